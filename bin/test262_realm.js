@@ -21,29 +21,40 @@ const {
 
 const createAgent = ({ features = [] }) => new Agent({
   features,
-  loadImportedModule(referrer, specifier, hostDefined, finish) {
+  loadImportedModule(referrer, specifier, hostDefined, finish, { attributes }) {
     if (referrer instanceof Realm) {
       throw new Error('Internal error: loadImportedModule called without a SriptOrModule referrer.');
     }
     const realm = referrer.Realm;
 
     try {
+      const type = attributes.get('type');
+      if (type !== undefined && type !== 'json') {
+        finish(Throw('TypeError', 'Raw', `Unsupported module type ${JSON.stringify(type)}`));
+        return;
+      }
       const base = path.dirname(referrer.HostDefined.specifier);
       const resolved = path.resolve(base, specifier);
-      if (realm.HostDefined.resolverCache.has(resolved)) {
-        finish(realm.HostDefined.resolverCache.get(resolved));
+      const cacheKey = type === 'json' ? `json:${resolved}` : resolved;
+      if (realm.HostDefined.resolverCache.has(cacheKey)) {
+        finish(realm.HostDefined.resolverCache.get(cacheKey));
         return;
       }
       const source = fs.readFileSync(resolved, 'utf8');
-      const m = resolved.endsWith('.json')
+      const m = type === 'json'
         ? realm.createJSONModule(resolved, source)
         : realm.createSourceTextModule(resolved, source);
-      realm.HostDefined.resolverCache.set(resolved, m);
+      realm.HostDefined.resolverCache.set(cacheKey, m);
       finish(m);
     } catch (e) {
       finish(Throw(e.name, 'Raw', e.message));
     }
   },
+  loadInlineModule(referrer, moduleRecord, hostDefined, finish) {
+    // Module expressions and declarations are already parsed, and their records
+    // share the referrer's HostDefined, so they resolve to themselves.
+    finish(moduleRecord);
+  },
 });
 
 const createRealm = ({ printCompatMode = false } = {}) => {
@@ -130,6 +141,10 @@ const createRealm = ({ printCompatMode = false } = {}) => {
       CreateDataProperty($262, Value(name), v);
     });
 
+    if (realm.Intrinsics['%AbstractModuleSource%']) {
+      CreateDataProperty($262, Value('AbstractModuleSource'), realm.Intrinsics['%AbstractModuleSource%']);
+    }
+
     CreateDataProperty(realm.GlobalObject, Value('$262'), $262);
     CreateDataProperty(realm.GlobalObject, Value('$'), $262);
 
@@ -54,5 +54,16 @@ async function* scan(d) {
     data[category] = ranges;
   }
 
+  // Properties of strings (used by the `v` flag) are lists of strings rather than code points.
+  const sequenceDir = path.resolve(unicodeDir, 'Sequence_Property');
+  for await (const dirent of await fs.opendir(sequenceDir)) {
+    if (!dirent.isDirectory() || dirent.name === 'Emoji_Test') {
+      continue;
+    }
+    // eslint-disable-next-line import/no-dynamic-require
+    const strings = require(`@unicode/unicode-15.0.0/Sequence_Property/${dirent.name}/index.js`);
+    data[`Sequence_Property/${dirent.name}`] = strings;
+  }
+
   await fs.writeFile(outFile, JSON.stringify(data));
 })();
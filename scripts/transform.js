@@ -65,6 +65,13 @@ module.exports = ({ types: t, template }) => {
     `;
   }
 
+  function createImportAsyncIteratorClose(file) {
+    const r = fileToImport(file, ABSTRACT_OPS_PATH);
+    return template.statement.ast`
+      import { AsyncIteratorClose } from "${r}";
+    `;
+  }
+
   function createImportValue(file) {
     const r = fileToImport(file, VALUE_PATH);
     return template.ast(`
@@ -127,6 +134,21 @@ module.exports = ({ types: t, template }) => {
       `, { preserveComments: true }),
       imports: ['IteratorClose', 'AbruptCompletion', 'Completion'],
     },
+    IfAbruptCloseAsyncIterator: {
+      // `yield*` cannot be parsed outside of a generator, so the closing
+      // expression is built by hand and substituted for %%close%%.
+      template: template(`
+      /* c8 ignore if */
+      if (%%value%% instanceof AbruptCompletion) {
+        return %%close%%;
+      }
+      /* c8 ignore if */
+      if (%%value%% instanceof Completion) {
+        %%value%% = %%value%%.Value;
+      }
+      `, { preserveComments: true }),
+      imports: ['AsyncIteratorClose', 'AbruptCompletion', 'Completion'],
+    },
     IfAbruptRejectPromise: {
       template: template(`
       /* c8 ignore if */
@@ -170,6 +192,9 @@ module.exports = ({ types: t, template }) => {
           if (state.needed.IteratorClose) {
             path.unshiftContainer('body', createImportIteratorClose(state.file));
           }
+          if (state.needed.AsyncIteratorClose) {
+            path.unshiftContainer('body', createImportAsyncIteratorClose(state.file));
+          }
           if (state.needed.Value) {
             path.node.body.unshift(createImportValue(state.file));
           }
@@ -263,6 +288,26 @@ module.exports = ({ types: t, template }) => {
                 }),
               );
               path.remove();
+            } else if (macro === MACROS.IfAbruptCloseAsyncIterator) {
+              if (!t.isIdentifier(argument)) {
+                throw path.get('arguments.0').buildCodeFrameError('First argument to IfAbruptCloseAsyncIterator should be an identifier');
+              }
+              const iteratorRecord = path.get('arguments.1');
+              if (!iteratorRecord.isIdentifier()) {
+                throw iteratorRecord.buildCodeFrameError('Second argument to IfAbruptCloseAsyncIterator should be an identifier');
+              }
+              const binding = path.scope.getBinding(argument.name);
+              binding.path.parent.kind = 'let';
+              statementPath.insertBefore(
+                macro.template({
+                  value: argument,
+                  close: t.yieldExpression(
+                    t.callExpression(t.identifier('AsyncIteratorClose'), [t.cloneNode(iteratorRecord.node), t.cloneNode(argument)]),
+                    true,
+                  ),
+                }),
+              );
+              path.remove();
             } else {
               const id = statementPath.scope.generateUidIdentifier();
               const replacement = {
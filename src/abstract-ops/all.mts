@@ -6,6 +6,9 @@ export * from './async-function-operations.mjs';
 export * from './async-generator-objects.mjs';
 export * from './data-types-and-values.mjs';
 export * from './dataview-objects.mjs';
+export * from './decimal128-objects.mjs';
+export * from './decorator-operations.mjs';
+export * from './disposable-operations.mjs';
 export * from './date-objects.mjs';
 export * from './error-objects.mjs';
 export * from './execution-contexts.mjs';
@@ -25,6 +28,7 @@ export * from './private-names.mjs';
 export * from './promise-operations.mjs';
 export * from './proxy-objects.mjs';
 export * from './realms.mjs';
+export * from './record-tuple-objects.mjs';
 export * from './reference-operations.mjs';
 export * from './regexp-objects.mjs';
 export * from './spec-types.mjs';
@@ -15,7 +15,9 @@ export function AsyncBlockStart(promiseCapability, asyncBody, asyncContext) {
 
   const runningContext = surroundingAgent.runningExecutionContext;
   asyncContext.codeEvaluationState = (function* resumer() {
-    const result = EnsureCompletion(yield* Evaluate(asyncBody));
+    // If asyncBody is a Parse Node, let result be Completion(Evaluation of asyncBody).
+    // Otherwise asyncBody is an Abstract Closure with no parameters; let result be asyncBody().
+    const result = EnsureCompletion(typeof asyncBody === 'function' ? yield* asyncBody() : yield* Evaluate(asyncBody));
     // Assert: If we return here, the async function either threw an exception or performed an implicit or explicit return; all awaiting is done.
     surroundingAgent.executionContextStack.pop(asyncContext);
     if (result.Type === 'normal') {
@@ -341,19 +341,20 @@ function AsyncGeneratorDrainQueue(generator) {
 }
 
 /** https://tc39.es/ecma262/#sec-createasynciteratorfromclosure */
-export function CreateAsyncIteratorFromClosure(closure, generatorBrand, generatorPrototype) {
+export function CreateAsyncIteratorFromClosure(closure, generatorBrand, generatorPrototype, extraSlots = []) {
   Assert(typeof closure === 'function');
   // 1. NOTE: closure can contain uses of the Await shorthand, and uses of the Yield shorthand to yield an IteratorResult object.
-  // 2. Let internalSlotsList be « [[AsyncGeneratorState]], [[AsyncGeneratorContext]], [[AsyncGeneratorQueue]], [[GeneratorBrand]] ».
-  const internalSlotsList = ['AsyncGeneratorState', 'AsyncGeneratorContext', 'AsyncGeneratorQueue', 'GeneratorBrand'];
-  // 3. Let generator be ! OrdinaryObjectCreate(generatorPrototype, internalSlotsList).
+  // 2. If extraSlots is not present, set extraSlots to a new empty List.
+  // 3. Let internalSlotsList be the list-concatenation of extraSlots and « [[AsyncGeneratorState]], [[AsyncGeneratorContext]], [[AsyncGeneratorQueue]], [[GeneratorBrand]] ».
+  const internalSlotsList = [...extraSlots, 'AsyncGeneratorState', 'AsyncGeneratorContext', 'AsyncGeneratorQueue', 'GeneratorBrand'];
+  // 4. Let generator be ! OrdinaryObjectCreate(generatorPrototype, internalSlotsList).
   const generator = X(OrdinaryObjectCreate(generatorPrototype, internalSlotsList));
-  // 4. Set generator.[[GeneratorBrand]] to generatorBrand.
+  // 5. Set generator.[[GeneratorBrand]] to generatorBrand.
   generator.GeneratorBrand = generatorBrand;
-  // 5. Set generator.[[AsyncGeneratorState]] to undefined.
+  // 6. Set generator.[[AsyncGeneratorState]] to undefined.
   generator.AsyncGeneratorState = Value.undefined;
-  // 6. Perform ? AsyncGeneratorStart(generator, closure, generatorBrand).
+  // 7. Perform ? AsyncGeneratorStart(generator, closure, generatorBrand).
   Q(AsyncGeneratorStart(generator, closure));
-  // 7. Return generator.
+  // 8. Return generator.
   return generator;
 }
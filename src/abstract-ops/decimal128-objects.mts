@@ -0,0 +1,389 @@
+// @ts-nocheck
+import { surroundingAgent } from '../engine.mjs';
+import { NumberValue, ObjectValue } from '../value.mjs';
+import { X } from '../completion.mjs';
+import { OutOfRange } from '../helpers.mjs';
+import {
+  OrdinaryObjectCreate,
+  F,
+} from './all.mjs';
+
+// This file covers abstract operations defined in
+/** https://tc39.es/proposal-decimal/#sec-decimal128-objects */
+
+// A finite Decimal128 value is s × c × 10^q, where c has at most 34 digits and -6176 ≤ q ≤ 6111.
+const MaxSignificandDigits = 34;
+const MinExponent = -6176;
+const MaxExponent = 6111;
+
+export const Decimal128RoundingModes = ['ceil', 'floor', 'trunc', 'halfEven', 'halfExpand'];
+
+// Decimal128 values are Records { [[Kind]], [[Sign]], [[Significand]], [[Exponent]] }.
+// [[Kind]] is finite, infinity, or nan, and [[Sign]] is 1 or -1. The significand of a
+// finite value never has trailing zeros, so each value has exactly one representation.
+function Decimal128Record(Kind, Sign, Significand = 0n, Exponent = 0) {
+  return Object.freeze({
+    Kind,
+    Sign,
+    Significand,
+    Exponent,
+  });
+}
+
+const Decimal128NaN = Decimal128Record('nan', 1);
+
+function DigitCount(n) {
+  return n === 0n ? 0 : n.toString().length;
+}
+
+function IsZero(x) {
+  return x.Kind === 'finite' && x.Significand === 0n;
+}
+
+// Removes the last count digits of significand, then rounds the result to an
+// integer according to roundingMode. sign is the sign of the value being rounded.
+function RoundDigits(sign, significand, count, roundingMode) {
+  if (count <= 0) {
+    return significand;
+  }
+  let quotient;
+  let discarded;
+  if (count > DigitCount(significand)) {
+    // Every digit is removed, and what remains is less than half of the last place.
+    quotient = 0n;
+    discarded = significand === 0n ? 'zero' : 'below';
+  } else {
+    const divisor = 10n ** BigInt(count);
+    quotient = significand / divisor;
+    const remainder = significand % divisor;
+    const half = divisor / 2n;
+    if (remainder === 0n) {
+      discarded = 'zero';
+    } else if (remainder < half) {
+      discarded = 'below';
+    } else if (remainder === half) {
+      discarded = 'half';
+    } else {
+      discarded = 'above';
+    }
+  }
+  if (discarded === 'zero') {
+    return quotient;
+  }
+  let roundUp;
+  switch (roundingMode) {
+    case 'ceil':
+      roundUp = sign === 1;
+      break;
+    case 'floor':
+      roundUp = sign === -1;
+      break;
+    case 'trunc':
+      roundUp = false;
+      break;
+    case 'halfExpand':
+      roundUp = discarded !== 'below';
+      break;
+    case 'halfEven':
+      roundUp = discarded === 'above' || (discarded === 'half' && quotient % 2n === 1n);
+      break;
+    /* c8 ignore next */
+    default:
+      throw new OutOfRange('RoundDigits', roundingMode);
+  }
+  return roundUp ? quotient + 1n : quotient;
+}
+
+// Rounds the mathematical value sign × significand × 10^exponent to the nearest Decimal128 value.
+export function RoundToDecimal128(sign, significand, exponent, roundingMode = 'halfEven') {
+  if (significand === 0n) {
+    return Decimal128Record('finite', sign, 0n, 0);
+  }
+  // Round to at most 34 significant digits.
+  const digits = DigitCount(significand);
+  if (digits > MaxSignificandDigits) {
+    const count = digits - MaxSignificandDigits;
+    significand = RoundDigits(sign, significand, count, roundingMode);
+    exponent += count;
+  }
+  // Round away the digits that fall below the smallest exponent.
+  if (exponent < MinExponent) {
+    significand = RoundDigits(sign, significand, MinExponent - exponent, roundingMode);
+    exponent = MinExponent;
+  }
+  if (significand === 0n) {
+    return Decimal128Record('finite', sign, 0n, 0);
+  }
+  while (significand % 10n === 0n) {
+    significand /= 10n;
+    exponent += 1;
+  }
+  // A value whose significand cannot be padded down to the largest exponent overflows.
+  if (exponent > MaxExponent && DigitCount(significand) + exponent - MaxExponent > MaxSignificandDigits) {
+    if (roundingMode === 'trunc' || (roundingMode === 'ceil' && sign === -1) || (roundingMode === 'floor' && sign === 1)) {
+      return Decimal128Record('finite', sign, (10n ** BigInt(MaxSignificandDigits)) - 1n, MaxExponent);
+    }
+    return Decimal128Record('infinity', sign);
+  }
+  return Decimal128Record('finite', sign, significand, exponent);
+}
+
+// Returns the Decimal128 value of str, or undefined if str is not a decimal literal.
+export function StringToDecimal128(str) {
+  if (str === 'NaN') {
+    return Decimal128NaN;
+  }
+  if (/^[+-]?Infinity$/.test(str)) {
+    return Decimal128Record('infinity', str.startsWith('-') ? -1 : 1);
+  }
+  const match = /^([+-]?)(?:(\d+)(?:\.(\d*))?|\.(\d+))(?:[eE]([+-]?\d+))?$/.exec(str);
+  if (match === null) {
+    return undefined;
+  }
+  const sign = match[1] === '-' ? -1 : 1;
+  const integerDigits = match[2] || '';
+  const fractionDigits = match[3] || match[4] || '';
+  const exponentText = match[5] || '0';
+  const significand = BigInt(`${integerDigits}${fractionDigits}` || '0');
+  return RoundToDecimal128(sign, significand, Number(exponentText) - fractionDigits.length);
+}
+
+// Returns the Decimal128 value closest to the Number n.
+export function NumberToDecimal128(n) {
+  const x = n.numberValue();
+  if (Number.isNaN(x)) {
+    return Decimal128NaN;
+  }
+  if (x === Infinity || x === -Infinity) {
+    return Decimal128Record('infinity', x < 0 ? -1 : 1);
+  }
+  if (Object.is(x, -0)) {
+    return Decimal128Record('finite', -1, 0n, 0);
+  }
+  // The shortest decimal representation of a Number round-trips, so it is used as the decimal value.
+  return StringToDecimal128(X(NumberValue.toString(n)).stringValue());
+}
+
+// Returns the Decimal128 value closest to the BigInt n.
+export function BigIntToDecimal128(n) {
+  const x = n.bigintValue();
+  return x < 0n ? RoundToDecimal128(-1, -x, 0) : RoundToDecimal128(1, x, 0);
+}
+
+// The following operations are IEEE 754 Decimal128 arithmetic. Inexact results
+// are rounded to the nearest value, with ties to even.
+
+export function Decimal128Negate(x) {
+  if (x.Kind === 'nan') {
+    return x;
+  }
+  return Decimal128Record(x.Kind, -x.Sign, x.Significand, x.Exponent);
+}
+
+export function Decimal128Add(x, y) {
+  if (x.Kind === 'nan' || y.Kind === 'nan') {
+    return Decimal128NaN;
+  }
+  if (x.Kind === 'infinity' && y.Kind === 'infinity') {
+    return x.Sign === y.Sign ? x : Decimal128NaN;
+  }
+  if (x.Kind === 'infinity') {
+    return x;
+  }
+  if (y.Kind === 'infinity') {
+    return y;
+  }
+  const exponent = Math.min(x.Exponent, y.Exponent);
+  const sum = BigInt(x.Sign) * x.Significand * (10n ** BigInt(x.Exponent - exponent))
+    + BigInt(y.Sign) * y.Significand * (10n ** BigInt(y.Exponent - exponent));
+  if (sum === 0n) {
+    // The sum of two zeros is -0 only if both are -0; an exact zero sum of nonzero values is +0.
+    return Decimal128Record('finite', x.Sign === -1 && y.Sign === -1 ? -1 : 1, 0n, 0);
+  }
+  return sum < 0n ? RoundToDecimal128(-1, -sum, exponent) : RoundToDecimal128(1, sum, exponent);
+}
+
+export function Decimal128Subtract(x, y) {
+  return Decimal128Add(x, Decimal128Negate(y));
+}
+
+export function Decimal128Multiply(x, y) {
+  if (x.Kind === 'nan' || y.Kind === 'nan') {
+    return Decimal128NaN;
+  }
+  const sign = x.Sign * y.Sign;
+  if (x.Kind === 'infinity' || y.Kind === 'infinity') {
+    if (IsZero(x) || IsZero(y)) {
+      return Decimal128NaN;
+    }
+    return Decimal128Record('infinity', sign);
+  }
+  return RoundToDecimal128(sign, x.Significand * y.Significand, x.Exponent + y.Exponent);
+}
+
+export function Decimal128Divide(x, y) {
+  if (x.Kind === 'nan' || y.Kind === 'nan') {
+    return Decimal128NaN;
+  }
+  const sign = x.Sign * y.Sign;
+  if (x.Kind === 'infinity') {
+    return y.Kind === 'infinity' ? Decimal128NaN : Decimal128Record('infinity', sign);
+  }
+  if (y.Kind === 'infinity') {
+    return Decimal128Record('finite', sign, 0n, 0);
+  }
+  if (IsZero(y)) {
+    return IsZero(x) ? Decimal128NaN : Decimal128Record('infinity', sign);
+  }
+  if (IsZero(x)) {
+    return Decimal128Record('finite', sign, 0n, 0);
+  }
+  // Compute at least two more digits than can be kept. If the division is inexact,
+  // append a nonzero digit so that the discarded digits are never exactly half.
+  const scale = Math.max(0, MaxSignificandDigits + 2 + DigitCount(y.Significand) - DigitCount(x.Significand));
+  const numerator = x.Significand * (10n ** BigInt(scale));
+  let quotient = numerator / y.Significand;
+  let exponent = x.Exponent - y.Exponent - scale;
+  if (numerator % y.Significand !== 0n) {
+    quotient = quotient * 10n + 1n;
+    exponent -= 1;
+  }
+  return RoundToDecimal128(sign, quotient, exponent);
+}
+
+// The remainder has the sign of the dividend and is computed using truncating division.
+export function Decimal128Remainder(x, y) {
+  if (x.Kind === 'nan' || y.Kind === 'nan' || x.Kind === 'infinity' || IsZero(y)) {
+    return Decimal128NaN;
+  }
+  if (y.Kind === 'infinity' || IsZero(x)) {
+    return x;
+  }
+  const exponent = Math.min(x.Exponent, y.Exponent);
+  const dividend = x.Significand * (10n ** BigInt(x.Exponent - exponent));
+  const divisor = y.Significand * (10n ** BigInt(y.Exponent - exponent));
+  return RoundToDecimal128(x.Sign, dividend % divisor, exponent);
+}
+
+// Rounds x to scale digits after the decimal point.
+export function Decimal128Round(x, scale, roundingMode) {
+  if (x.Kind !== 'finite' || x.Exponent >= -scale) {
+    return x;
+  }
+  const significand = RoundDigits(x.Sign, x.Significand, -scale - x.Exponent, roundingMode);
+  return RoundToDecimal128(x.Sign, significand, -scale, roundingMode);
+}
+
+// Places a decimal point so that pointPosition digits of digits precede it.
+function FormatDecimalDigits(digits, pointPosition) {
+  if (pointPosition >= digits.length) {
+    return digits + '0'.repeat(pointPosition - digits.length);
+  }
+  if (pointPosition > 0) {
+    return `${digits.slice(0, pointPosition)}.${digits.slice(pointPosition)}`;
+  }
+  return `0.${'0'.repeat(-pointPosition)}${digits}`;
+}
+
+function FormatExponential(digits, exponent) {
+  const mantissa = digits.length > 1 ? `${digits[0]}.${digits.slice(1)}` : digits;
+  return `${mantissa}e${exponent < 0 ? '-' : '+'}${Math.abs(exponent)}`;
+}
+
+// Like Number::toString, exponential notation is used for very large and very small values.
+export function Decimal128ToString(x) {
+  if (x.Kind === 'nan') {
+    return 'NaN';
+  }
+  const sign = x.Sign === -1 ? '-' : '';
+  if (x.Kind === 'infinity') {
+    return `${sign}Infinity`;
+  }
+  if (x.Significand === 0n) {
+    return `${sign}0`;
+  }
+  const digits = x.Significand.toString();
+  const n = digits.length + x.Exponent;
+  if (n > -6 && n <= 21) {
+    return sign + FormatDecimalDigits(digits, n);
+  }
+  return sign + FormatExponential(digits, n - 1);
+}
+
+// Formats x with fractionDigits digits after the decimal point, like Number.prototype.toFixed.
+export function Decimal128ToFixed(x, fractionDigits) {
+  if (x.Kind !== 'finite') {
+    return Decimal128ToString(x);
+  }
+  let significand;
+  if (x.Exponent >= -fractionDigits) {
+    significand = x.Significand * (10n ** BigInt(x.Exponent + fractionDigits));
+  } else {
+    significand = RoundDigits(x.Sign, x.Significand, -fractionDigits - x.Exponent, 'halfEven');
+  }
+  const digits = significand.toString().padStart(fractionDigits + 1, '0');
+  const sign = x.Sign === -1 && x.Significand !== 0n ? '-' : '';
+  return sign + FormatDecimalDigits(digits, digits.length - fractionDigits);
+}
+
+// Formats x with precision significant digits, like Number.prototype.toPrecision.
+export function Decimal128ToPrecision(x, precision) {
+  if (x.Kind !== 'finite') {
+    return Decimal128ToString(x);
+  }
+  const sign = x.Sign === -1 && x.Significand !== 0n ? '-' : '';
+  if (x.Significand === 0n) {
+    return FormatDecimalDigits('0'.repeat(precision), 1);
+  }
+  let significand = x.Significand;
+  let exponent = x.Exponent;
+  const digits = DigitCount(significand);
+  if (digits > precision) {
+    significand = RoundDigits(x.Sign, significand, digits - precision, 'halfEven');
+    exponent += digits - precision;
+    if (DigitCount(significand) > precision) {
+      significand /= 10n;
+      exponent += 1;
+    }
+  } else {
+    significand *= 10n ** BigInt(precision - digits);
+    exponent -= precision - digits;
+  }
+  const e = exponent + precision - 1;
+  if (e < -6 || e >= precision) {
+    return sign + FormatExponential(significand.toString(), e);
+  }
+  return sign + FormatDecimalDigits(significand.toString(), e + 1);
+}
+
+// Returns the Number value closest to x.
+export function Decimal128ToNumber(x) {
+  if (x.Kind === 'nan') {
+    return F(NaN);
+  }
+  if (x.Kind === 'infinity') {
+    return F(x.Sign * Infinity);
+  }
+  if (x.Significand === 0n) {
+    return F(x.Sign === -1 ? -0 : +0);
+  }
+  // The decimal string is converted with a single correctly rounded step.
+  return F(Number(`${x.Sign === -1 ? '-' : ''}${x.Significand}e${x.Exponent}`));
+}
+
+/** https://tc39.es/proposal-decimal/#sec-thisdecimal128value */
+export function thisDecimal128Value(value) {
+  // 1. If value is an Object and value has a [[Decimal128Data]] internal slot, return value.[[Decimal128Data]].
+  if (value instanceof ObjectValue && 'Decimal128Data' in value) {
+    return value.Decimal128Data;
+  }
+  // 2. Throw a TypeError exception.
+  return surroundingAgent.Throw('TypeError', 'NotATypeObject', 'Decimal128', value);
+}
+
+// Returns a new Decimal128 object from %Decimal128.prototype% that wraps x.
+export function CreateDecimal128Object(x) {
+  const O = OrdinaryObjectCreate(surroundingAgent.intrinsic('%Decimal128.prototype%'), ['Decimal128Data']);
+  O.Decimal128Data = x;
+  return O;
+}
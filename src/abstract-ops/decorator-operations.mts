@@ -0,0 +1,324 @@
+// @ts-nocheck
+import { surroundingAgent } from '../engine.mjs';
+import {
+  Value,
+  ObjectValue,
+  PrivateName,
+} from '../value.mjs';
+import { Q, X } from '../completion.mjs';
+import {
+  Call,
+  CreateBuiltinFunction,
+  CreateDataPropertyOrThrow,
+  Get,
+  HasProperty,
+  IsCallable,
+  OrdinaryObjectCreate,
+  PrivateElementFind,
+  PrivateGet,
+  PrivateSet,
+  Set,
+} from './all.mjs';
+
+/** https://arai-a.github.io/ecma262-compare/?pr=2417#sec-classelementdefinition-record-specification-type */
+export class ClassElementDefinitionRecord {
+  Key;
+  Kind;
+  Value;
+  Get;
+  Set;
+  Field;
+  Decorators;
+  constructor(init) {
+    this.Key = init.Key;
+    this.Kind = init.Kind;
+    this.Value = init.Value;
+    this.Get = init.Get;
+    this.Set = init.Set;
+    // For `field` and `accessor` elements, the ClassFieldDefinition Record
+    // which initializes the field (or the accessor's backing storage).
+    this.Field = init.Field;
+    this.Decorators = init.Decorators;
+  }
+}
+
+/** https://arai-a.github.io/ecma262-compare/?pr=2417#sec-makeautoaccessorgetter */
+export function MakeAutoAccessorGetter(name, privateStateName) {
+  // 1. Let getterClosure be a new Abstract Closure with no parameters that captures privateStateName and performs the following steps when called:
+  const getterClosure = (_args, { thisValue }) => {
+    // a. Let o be the this value.
+    const o = thisValue;
+    if (!(o instanceof ObjectValue)) {
+      return surroundingAgent.Throw('TypeError', 'NotAnObject', o);
+    }
+    // b. Return ? PrivateGet(privateStateName, o).
+    return Q(PrivateGet(privateStateName, o));
+  };
+  // 2. Let getter be CreateBuiltinFunction(getterClosure, 0, name, « », the current Realm Record, %Function.prototype%, "get").
+  const getter = X(CreateBuiltinFunction(getterClosure, 0, name, [], undefined, undefined, Value('get')));
+  // 3. Return getter.
+  return getter;
+}
+
+/** https://arai-a.github.io/ecma262-compare/?pr=2417#sec-makeautoaccessorsetter */
+export function MakeAutoAccessorSetter(name, privateStateName) {
+  // 1. Let setterClosure be a new Abstract Closure with parameters (value) that captures privateStateName and performs the following steps when called:
+  const setterClosure = ([value = Value.undefined], { thisValue }) => {
+    // a. Let o be the this value.
+    const o = thisValue;
+    if (!(o instanceof ObjectValue)) {
+      return surroundingAgent.Throw('TypeError', 'NotAnObject', o);
+    }
+    // b. Perform ? PrivateSet(privateStateName, o, value).
+    Q(PrivateSet(privateStateName, o, value));
+    // c. Return undefined.
+    return Value.undefined;
+  };
+  // 2. Let setter be CreateBuiltinFunction(setterClosure, 1, name, « », the current Realm Record, %Function.prototype%, "set").
+  const setter = X(CreateBuiltinFunction(setterClosure, 1, name, [], undefined, undefined, Value('set')));
+  // 3. Return setter.
+  return setter;
+}
+
+/** https://arai-a.github.io/ecma262-compare/?pr=2417#sec-createaddinitializerfunction */
+function CreateAddInitializerFunction(initializers, decorationState) {
+  // 1. Let addInitializerClosure be a new Abstract Closure with parameters (initializer) that captures initializers and decorationState and performs the following steps when called:
+  const addInitializerClosure = ([initializer = Value.undefined]) => {
+    // a. If decorationState.[[Finished]] is true, throw a TypeError exception.
+    if (decorationState.Finished) {
+      return surroundingAgent.Throw('TypeError', 'DecoratorFinished');
+    }
+    // b. If IsCallable(initializer) is false, throw a TypeError exception.
+    if (IsCallable(initializer) === Value.false) {
+      return surroundingAgent.Throw('TypeError', 'NotAFunction', initializer);
+    }
+    // c. Append initializer to initializers.
+    initializers.push(initializer);
+    // d. Return undefined.
+    return Value.undefined;
+  };
+  // 2. Return CreateBuiltinFunction(addInitializerClosure, 1, "addInitializer", « »).
+  return X(CreateBuiltinFunction(addInitializerClosure, 1, Value('addInitializer'), []));
+}
+
+/** https://arai-a.github.io/ecma262-compare/?pr=2417#sec-createdecoratoraccessobject */
+function CreateDecoratorAccessObject(kind, name) {
+  // 1. Let accessObj be OrdinaryObjectCreate(%Object.prototype%).
+  const accessObj = OrdinaryObjectCreate(surroundingAgent.intrinsic('%Object.prototype%'));
+  // 2. If kind is field, method, accessor, or getter, then
+  if (kind === 'field' || kind === 'method' || kind === 'accessor' || kind === 'getter') {
+    // a. Let getterClosure be a new Abstract Closure with parameters (obj) that captures name and performs the following steps when called:
+    const getterClosure = ([obj = Value.undefined]) => {
+      // i. If Type(obj) is not Object, throw a TypeError exception.
+      if (!(obj instanceof ObjectValue)) {
+        return surroundingAgent.Throw('TypeError', 'NotAnObject', obj);
+      }
+      // ii. If name is a Private Name, return ? PrivateGet(name, obj).
+      if (name instanceof PrivateName) {
+        return Q(PrivateGet(name, obj));
+      }
+      // iii. Return ? Get(obj, name).
+      return Q(Get(obj, name));
+    };
+    // b. Let getter be CreateBuiltinFunction(getterClosure, 1, "get", « »).
+    const getter = X(CreateBuiltinFunction(getterClosure, 1, Value('get'), []));
+    // c. Perform ! CreateDataPropertyOrThrow(accessObj, "get", getter).
+    X(CreateDataPropertyOrThrow(accessObj, Value('get'), getter));
+  }
+  // 3. If kind is field, accessor, or setter, then
+  if (kind === 'field' || kind === 'accessor' || kind === 'setter') {
+    // a. Let setterClosure be a new Abstract Closure with parameters (obj, value) that captures name and performs the following steps when called:
+    const setterClosure = ([obj = Value.undefined, value = Value.undefined]) => {
+      // i. If Type(obj) is not Object, throw a TypeError exception.
+      if (!(obj instanceof ObjectValue)) {
+        return surroundingAgent.Throw('TypeError', 'NotAnObject', obj);
+      }
+      // ii. If name is a Private Name, then
+      if (name instanceof PrivateName) {
+        // 1. Perform ? PrivateSet(name, obj, value).
+        Q(PrivateSet(name, obj, value));
+      } else { // iii. Else,
+        // 1. Perform ? Set(obj, name, value, true).
+        Q(Set(obj, name, value, Value.true));
+      }
+      // iv. Return undefined.
+      return Value.undefined;
+    };
+    // b. Let setter be CreateBuiltinFunction(setterClosure, 2, "set", « »).
+    const setter = X(CreateBuiltinFunction(setterClosure, 2, Value('set'), []));
+    // c. Perform ! CreateDataPropertyOrThrow(accessObj, "set", setter).
+    X(CreateDataPropertyOrThrow(accessObj, Value('set'), setter));
+  }
+  // 4. Let hasClosure be a new Abstract Closure with parameters (obj) that captures name and performs the following steps when called:
+  const hasClosure = ([obj = Value.undefined]) => {
+    // a. If Type(obj) is not Object, throw a TypeError exception.
+    if (!(obj instanceof ObjectValue)) {
+      return surroundingAgent.Throw('TypeError', 'NotAnObject', obj);
+    }
+    // b. If name is a Private Name, then
+    if (name instanceof PrivateName) {
+      // i. Let entry be PrivateElementFind(name, obj).
+      const entry = PrivateElementFind(name, obj);
+      // ii. If entry is empty, return false.
+      // iii. Return true.
+      return entry === undefined ? Value.false : Value.true;
+    }
+    // c. Return ? HasProperty(obj, name).
+    return Q(HasProperty(obj, name));
+  };
+  // 5. Let has be CreateBuiltinFunction(hasClosure, 1, "has", « »).
+  const has = X(CreateBuiltinFunction(hasClosure, 1, Value('has'), []));
+  // 6. Perform ! CreateDataPropertyOrThrow(accessObj, "has", has).
+  X(CreateDataPropertyOrThrow(accessObj, Value('has'), has));
+  // 7. Return accessObj.
+  return accessObj;
+}
+
+/** https://arai-a.github.io/ecma262-compare/?pr=2417#sec-createdecoratorcontextobject */
+function CreateDecoratorContextObject(kind, name, initializers, decorationState, isStatic) {
+  // 1. Let contextObj be OrdinaryObjectCreate(%Object.prototype%).
+  const contextObj = OrdinaryObjectCreate(surroundingAgent.intrinsic('%Object.prototype%'));
+  // 2. Let kindStr be the String value corresponding to kind.
+  const kindStr = Value(kind);
+  // 3. Perform ! CreateDataPropertyOrThrow(contextObj, "kind", kindStr).
+  X(CreateDataPropertyOrThrow(contextObj, Value('kind'), kindStr));
+  // 4. If kind is not class, then
+  if (kind !== 'class') {
+    // a. Perform ! CreateDataPropertyOrThrow(contextObj, "access", CreateDecoratorAccessObject(kind, name)).
+    X(CreateDataPropertyOrThrow(contextObj, Value('access'), CreateDecoratorAccessObject(kind, name)));
+    // b. Perform ! CreateDataPropertyOrThrow(contextObj, "static", isStatic).
+    X(CreateDataPropertyOrThrow(contextObj, Value('static'), isStatic ? Value.true : Value.false));
+    // c. If name is a Private Name, then
+    if (name instanceof PrivateName) {
+      // i. Perform ! CreateDataPropertyOrThrow(contextObj, "private", true).
+      X(CreateDataPropertyOrThrow(contextObj, Value('private'), Value.true));
+      // ii. Perform ! CreateDataPropertyOrThrow(contextObj, "name", name.[[Description]]).
+      X(CreateDataPropertyOrThrow(contextObj, Value('name'), name.Description));
+    } else { // d. Else,
+      // i. Perform ! CreateDataPropertyOrThrow(contextObj, "private", false).
+      X(CreateDataPropertyOrThrow(contextObj, Value('private'), Value.false));
+      // ii. Perform ! CreateDataPropertyOrThrow(contextObj, "name", name).
+      X(CreateDataPropertyOrThrow(contextObj, Value('name'), name));
+    }
+  } else { // 5. Else,
+    // a. Perform ! CreateDataPropertyOrThrow(contextObj, "name", name).
+    X(CreateDataPropertyOrThrow(contextObj, Value('name'), name));
+  }
+  // 6. Let addInitializer be CreateAddInitializerFunction(initializers, decorationState).
+  const addInitializer = CreateAddInitializerFunction(initializers, decorationState);
+  // 7. Perform ! CreateDataPropertyOrThrow(contextObj, "addInitializer", addInitializer).
+  X(CreateDataPropertyOrThrow(contextObj, Value('addInitializer'), addInitializer));
+  // 8. Return contextObj.
+  return contextObj;
+}
+
+/** https://arai-a.github.io/ecma262-compare/?pr=2417#sec-applydecoratorstoelementdefinition */
+export function ApplyDecoratorsToElementDefinition(elementRecord, extraInitializers, isStatic) {
+  // 1. For each element decorator of elementRecord.[[Decorators]], in reverse List order, do
+  for (const decorator of [...elementRecord.Decorators].reverse()) {
+    // a. Let decorationState be the Record { [[Finished]]: false }.
+    const decorationState = { Finished: false };
+    // b. Let context be CreateDecoratorContextObject(elementRecord.[[Kind]], elementRecord.[[Key]], extraInitializers, decorationState, isStatic).
+    const context = CreateDecoratorContextObject(elementRecord.Kind, elementRecord.Key, extraInitializers, decorationState, isStatic);
+    // c. Let value be undefined.
+    let value = Value.undefined;
+    // d. If elementRecord.[[Kind]] is method, set value to elementRecord.[[Value]].
+    if (elementRecord.Kind === 'method') {
+      value = elementRecord.Value;
+    } else if (elementRecord.Kind === 'getter') { // e. Else if elementRecord.[[Kind]] is getter, set value to elementRecord.[[Get]].
+      value = elementRecord.Get;
+    } else if (elementRecord.Kind === 'setter') { // f. Else if elementRecord.[[Kind]] is setter, set value to elementRecord.[[Set]].
+      value = elementRecord.Set;
+    } else if (elementRecord.Kind === 'accessor') { // g. Else if elementRecord.[[Kind]] is accessor, then
+      // i. Set value to OrdinaryObjectCreate(%Object.prototype%).
+      value = OrdinaryObjectCreate(surroundingAgent.intrinsic('%Object.prototype%'));
+      // ii. Perform ! CreateDataPropertyOrThrow(value, "get", elementRecord.[[Get]]).
+      X(CreateDataPropertyOrThrow(value, Value('get'), elementRecord.Get));
+      // iii. Perform ! CreateDataPropertyOrThrow(value, "set", elementRecord.[[Set]]).
+      X(CreateDataPropertyOrThrow(value, Value('set'), elementRecord.Set));
+    }
+    // h. Let newValue be ? Call(decorator, undefined, « value, context »).
+    const newValue = Q(Call(decorator, Value.undefined, [value, context]));
+    // i. Set decorationState.[[Finished]] to true.
+    decorationState.Finished = true;
+    // j. If elementRecord.[[Kind]] is field, then
+    if (elementRecord.Kind === 'field') {
+      // i. If IsCallable(newValue) is true, append newValue to elementRecord.[[Initializers]].
+      if (IsCallable(newValue) === Value.true) {
+        elementRecord.Field.Initializers.push(newValue);
+      } else if (newValue !== Value.undefined) { // ii. Else if newValue is not undefined, throw a TypeError exception.
+        return surroundingAgent.Throw('TypeError', 'NotAFunction', newValue);
+      }
+    } else if (elementRecord.Kind === 'accessor') { // k. Else if elementRecord.[[Kind]] is accessor, then
+      // i. If Type(newValue) is Object, then
+      if (newValue instanceof ObjectValue) {
+        // 1. Let newGetter be ? Get(newValue, "get").
+        const newGetter = Q(Get(newValue, Value('get')));
+        // 2. If IsCallable(newGetter) is true, set elementRecord.[[Get]] to newGetter.
+        if (IsCallable(newGetter) === Value.true) {
+          elementRecord.Get = newGetter;
+        } else if (newGetter !== Value.undefined) { // 3. Else if newGetter is not undefined, throw a TypeError exception.
+          return surroundingAgent.Throw('TypeError', 'NotAFunction', newGetter);
+        }
+        // 4. Let newSetter be ? Get(newValue, "set").
+        const newSetter = Q(Get(newValue, Value('set')));
+        // 5. If IsCallable(newSetter) is true, set elementRecord.[[Set]] to newSetter.
+        if (IsCallable(newSetter) === Value.true) {
+          elementRecord.Set = newSetter;
+        } else if (newSetter !== Value.undefined) { // 6. Else if newSetter is not undefined, throw a TypeError exception.
+          return surroundingAgent.Throw('TypeError', 'NotAFunction', newSetter);
+        }
+        // 7. Let initializer be ? Get(newValue, "init").
+        const initializer = Q(Get(newValue, Value('init')));
+        // 8. If IsCallable(initializer) is true, append initializer to elementRecord.[[Initializers]].
+        if (IsCallable(initializer) === Value.true) {
+          elementRecord.Field.Initializers.push(initializer);
+        } else if (initializer !== Value.undefined) { // 9. Else if initializer is not undefined, throw a TypeError exception.
+          return surroundingAgent.Throw('TypeError', 'NotAFunction', initializer);
+        }
+      } else if (newValue !== Value.undefined) { // ii. Else if newValue is not undefined, throw a TypeError exception.
+        return surroundingAgent.Throw('TypeError', 'NotAnObject', newValue);
+      }
+    } else { // l. Else,
+      // i. If IsCallable(newValue) is true, then
+      if (IsCallable(newValue) === Value.true) {
+        // 1. If elementRecord.[[Kind]] is getter, set elementRecord.[[Get]] to newValue.
+        if (elementRecord.Kind === 'getter') {
+          elementRecord.Get = newValue;
+        } else if (elementRecord.Kind === 'setter') { // 2. Else if elementRecord.[[Kind]] is setter, set elementRecord.[[Set]] to newValue.
+          elementRecord.Set = newValue;
+        } else { // 3. Else, set elementRecord.[[Value]] to newValue.
+          elementRecord.Value = newValue;
+        }
+      } else if (newValue !== Value.undefined) { // ii. Else if newValue is not undefined, throw a TypeError exception.
+        return surroundingAgent.Throw('TypeError', 'NotAFunction', newValue);
+      }
+    }
+  }
+  // 2. Set elementRecord.[[Decorators]] to a new empty List.
+  elementRecord.Decorators = [];
+  return undefined;
+}
+
+/** https://arai-a.github.io/ecma262-compare/?pr=2417#sec-applydecoratorstoclassdefinition */
+export function ApplyDecoratorsToClassDefinition(classDef, decorators, className, extraInitializers) {
+  // 1. For each element decorator of decorators, in reverse List order, do
+  for (const decorator of [...decorators].reverse()) {
+    // a. Let decorationState be the Record { [[Finished]]: false }.
+    const decorationState = { Finished: false };
+    // b. Let context be CreateDecoratorContextObject(class, className, extraInitializers, decorationState).
+    const context = CreateDecoratorContextObject('class', className, extraInitializers, decorationState);
+    // c. Let newDef be ? Call(decorator, undefined, « classDef, context »).
+    const newDef = Q(Call(decorator, Value.undefined, [classDef, context]));
+    // d. Set decorationState.[[Finished]] to true.
+    decorationState.Finished = true;
+    // e. If IsCallable(newDef) is true, set classDef to newDef.
+    if (IsCallable(newDef) === Value.true) {
+      classDef = newDef;
+    } else if (newDef !== Value.undefined) { // f. Else if newDef is not undefined, throw a TypeError exception.
+      return surroundingAgent.Throw('TypeError', 'NotAFunction', newDef);
+    }
+  }
+  // 2. Return classDef.
+  return classDef;
+}
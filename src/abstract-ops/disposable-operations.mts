@@ -0,0 +1,248 @@
+// @ts-nocheck
+import { surroundingAgent } from '../engine.mjs';
+import {
+  Descriptor,
+  ObjectValue,
+  Value,
+  wellKnownSymbols,
+} from '../value.mjs';
+import {
+  AbruptCompletion,
+  Await,
+  EnsureCompletion,
+  IfAbruptRejectPromise,
+  NormalCompletion,
+  ThrowCompletion,
+  Q, X,
+} from '../completion.mjs';
+import { captureStack } from '../helpers.mjs';
+import {
+  Assert,
+  Call,
+  CreateBuiltinFunction,
+  DefinePropertyOrThrow,
+  GetMethod,
+  IsCallable,
+  NewPromiseCapability,
+  OrdinaryObjectCreate,
+} from './all.mjs';
+
+// This file covers abstract operations defined in
+/** https://tc39.es/proposal-explicit-resource-management/#sec-disposable-objects */
+
+/** https://tc39.es/proposal-explicit-resource-management/#sec-disposecapability-records */
+export class DisposeCapabilityRecord {
+  DisposableResourceStack;
+
+  constructor() {
+    this.DisposableResourceStack = [];
+  }
+
+  // NON-SPEC
+  mark(m) {
+    for (const resource of this.DisposableResourceStack) {
+      m(resource.ResourceValue);
+      m(resource.DisposeMethod);
+    }
+  }
+}
+
+/** https://tc39.es/proposal-explicit-resource-management/#sec-newdisposecapability */
+export function NewDisposeCapability() {
+  // 1. Let stack be a new empty List.
+  // 2. Return the DisposeCapability Record { [[DisposableResourceStack]]: stack }.
+  return new DisposeCapabilityRecord();
+}
+
+/** https://tc39.es/proposal-explicit-resource-management/#sec-adddisposableresource */
+export function AddDisposableResource(disposeCapability, V, hint, method) {
+  let resource;
+  // 1. If method is not present, then
+  if (method === undefined) {
+    // a. If V is either null or undefined and hint is sync-dispose, return unused.
+    if ((V === Value.null || V === Value.undefined) && hint === 'sync-dispose') {
+      return NormalCompletion(undefined);
+    }
+    // b. NOTE: When V is either null or undefined and hint is async-dispose, we record that the resource
+    //    was evaluated to ensure we will still enter an Await when leaving the block.
+    // c. Let resource be ? CreateDisposableResource(V, hint).
+    resource = Q(CreateDisposableResource(V, hint));
+  } else { // 2. Else,
+    // a. Assert: V is undefined.
+    Assert(V === Value.undefined);
+    // b. Let resource be ? CreateDisposableResource(undefined, hint, method).
+    resource = Q(CreateDisposableResource(Value.undefined, hint, method));
+  }
+  // 3. Append resource to disposeCapability.[[DisposableResourceStack]].
+  disposeCapability.DisposableResourceStack.push(resource);
+  // 4. Return unused.
+  return NormalCompletion(undefined);
+}
+
+/** https://tc39.es/proposal-explicit-resource-management/#sec-createdisposableresource */
+function CreateDisposableResource(V, hint, method) {
+  // 1. If method is not present, then
+  if (method === undefined) {
+    // a. If V is either null or undefined, then
+    if (V === Value.null || V === Value.undefined) {
+      // i. Set V to undefined.
+      V = Value.undefined;
+      // ii. Set method to undefined.
+      method = Value.undefined;
+    } else { // b. Else,
+      // i. If V is not an Object, throw a TypeError exception.
+      if (!(V instanceof ObjectValue)) {
+        return surroundingAgent.Throw('TypeError', 'NotAnObject', V);
+      }
+      // ii. Set method to ? GetDisposeMethod(V, hint).
+      method = Q(GetDisposeMethod(V, hint));
+      // iii. If method is undefined, throw a TypeError exception.
+      if (method === Value.undefined) {
+        return surroundingAgent.Throw('TypeError', 'NotDisposable', V);
+      }
+    }
+  } else { // 2. Else,
+    // a. If IsCallable(method) is false, throw a TypeError exception.
+    if (IsCallable(method) === Value.false) {
+      return surroundingAgent.Throw('TypeError', 'NotAFunction', method);
+    }
+  }
+  // 3. Return the DisposableResource Record { [[ResourceValue]]: V, [[Hint]]: hint, [[DisposeMethod]]: method }.
+  return { ResourceValue: V, Hint: hint, DisposeMethod: method };
+}
+
+/** https://tc39.es/proposal-explicit-resource-management/#sec-getdisposemethod */
+function GetDisposeMethod(V, hint) {
+  let method;
+  // 1. If hint is async-dispose, then
+  if (hint === 'async-dispose') {
+    // a. Let method be ? GetMethod(V, @@asyncDispose).
+    method = Q(GetMethod(V, wellKnownSymbols.asyncDispose));
+    // b. If method is undefined, then
+    if (method === Value.undefined) {
+      // i. Set method to ? GetMethod(V, @@dispose).
+      method = Q(GetMethod(V, wellKnownSymbols.dispose));
+      // ii. If method is not undefined, then
+      if (method !== Value.undefined) {
+        const syncMethod = method;
+        // 1. Let closure be a new Abstract Closure with no parameters that captures method and performs the following steps when called:
+        const closure = (args, { thisValue }) => {
+          // a. Let O be the this value.
+          const O = thisValue;
+          // b. Let promiseCapability be ! NewPromiseCapability(%Promise%).
+          const promiseCapability = X(NewPromiseCapability(surroundingAgent.intrinsic('%Promise%')));
+          // c. Let result be Completion(Call(method, O)).
+          const result = Call(syncMethod, O);
+          // d. IfAbruptRejectPromise(result, promiseCapability).
+          IfAbruptRejectPromise(result, promiseCapability);
+          // e. Perform ? Call(promiseCapability.[[Resolve]], undefined, « undefined »).
+          Q(Call(promiseCapability.Resolve, Value.undefined, [Value.undefined]));
+          // f. Return promiseCapability.[[Promise]].
+          return promiseCapability.Promise;
+        };
+        // 2. NOTE: This function is not observable to user code. It is used to ensure that a Promise returned
+        //    from a synchronous @@dispose method will not be awaited and that any exception thrown will not be
+        //    thrown synchronously.
+        // 3. Return CreateBuiltinFunction(closure, 0, "", « »).
+        return CreateBuiltinFunction(closure, 0, Value(''), []);
+      }
+    }
+  } else { // 2. Else,
+    // a. Let method be ? GetMethod(V, @@dispose).
+    method = Q(GetMethod(V, wellKnownSymbols.dispose));
+  }
+  // 3. Return method.
+  return method;
+}
+
+/** https://tc39.es/proposal-explicit-resource-management/#sec-disposeresources */
+export function* DisposeResources(disposeCapability, completion) {
+  // NON-SPEC: fast path for scopes without any using declarations.
+  if (disposeCapability.DisposableResourceStack.length === 0) {
+    return completion;
+  }
+  completion = EnsureCompletion(completion);
+  // 1. Let needsAwait be false.
+  let needsAwait = false;
+  // 2. Let hasAwaited be false.
+  let hasAwaited = false;
+  // 3. For each element resource of disposeCapability.[[DisposableResourceStack]], in reverse list order, do
+  for (const resource of [...disposeCapability.DisposableResourceStack].reverse()) {
+    // a. Let value be resource.[[ResourceValue]].
+    const value = resource.ResourceValue;
+    // b. Let hint be resource.[[Hint]].
+    const hint = resource.Hint;
+    // c. Let method be resource.[[DisposeMethod]].
+    const method = resource.DisposeMethod;
+    // d. If hint is sync-dispose and needsAwait is true and hasAwaited is false, then
+    if (hint === 'sync-dispose' && needsAwait && !hasAwaited) {
+      // i. Perform ! Await(undefined).
+      X(yield* Await(Value.undefined));
+      // ii. Set needsAwait to false.
+      needsAwait = false;
+    }
+    // e. If method is not undefined, then
+    if (method !== Value.undefined) {
+      // i. Let result be Completion(Call(method, value)).
+      let result = EnsureCompletion(Call(method, value));
+      // ii. If result is a normal completion and hint is async-dispose, then
+      if (!(result instanceof AbruptCompletion) && hint === 'async-dispose') {
+        // 1. Set result to Completion(Await(result.[[Value]])).
+        result = yield* Await(result.Value);
+        // 2. Set hasAwaited to true.
+        hasAwaited = true;
+      }
+      // iii. If result is a throw completion, then
+      if (result instanceof AbruptCompletion) {
+        // 1. If completion is a throw completion, then
+        if (completion.Type === 'throw') {
+          // a. Set result to result.[[Value]].
+          result = result.Value;
+          // b. Let suppressed be completion.[[Value]].
+          const suppressed = completion.Value;
+          // c. Let error be a newly created SuppressedError object.
+          const error = OrdinaryObjectCreate(surroundingAgent.intrinsic('%SuppressedError.prototype%'), ['ErrorData']);
+          // d. Perform CreateNonEnumerableDataPropertyOrThrow(error, "error", result).
+          X(DefinePropertyOrThrow(error, Value('error'), Descriptor({
+            Value: result,
+            Writable: Value.true,
+            Enumerable: Value.false,
+            Configurable: Value.true,
+          })));
+          // e. Perform CreateNonEnumerableDataPropertyOrThrow(error, "suppressed", suppressed).
+          X(DefinePropertyOrThrow(error, Value('suppressed'), Descriptor({
+            Value: suppressed,
+            Writable: Value.true,
+            Enumerable: Value.false,
+            Configurable: Value.true,
+          })));
+          // NON-SPEC
+          X(captureStack(error));
+          // f. Set completion to ThrowCompletion(error).
+          completion = ThrowCompletion(error);
+        } else { // 2. Else,
+          // a. Set completion to result.
+          completion = result;
+        }
+      }
+    } else { // f. Else,
+      // i. Assert: hint is async-dispose.
+      Assert(hint === 'async-dispose');
+      // ii. Set needsAwait to true.
+      needsAwait = true;
+      // iii. NOTE: This can only indicate a case where either null or undefined was the initialized value of an await using declaration.
+    }
+  }
+  // 4. If needsAwait is true and hasAwaited is false, then
+  if (needsAwait && !hasAwaited) {
+    // a. Perform ! Await(undefined).
+    X(yield* Await(Value.undefined));
+  }
+  // 5. NOTE: After disposeCapability has been disposed, it will never be used again. The contents of
+  //    disposeCapability.[[DisposableResourceStack]] can be discarded in implementations, such as by
+  //    garbage collection, at this point.
+  // 6. Set disposeCapability.[[DisposableResourceStack]] to a new empty List.
+  disposeCapability.DisposableResourceStack = [];
+  // 7. Return ? completion.
+  return completion;
+}
@@ -70,6 +70,41 @@ export function GetNewTarget() {
   return envRec.NewTarget;
 }
 
+/** https://tc39.es/proposal-pipeline-operator/#sec-gettopicenvironment */
+export function GetTopicEnvironment() {
+  // 1. Let env be the running execution context's LexicalEnvironment.
+  let env = surroundingAgent.runningExecutionContext.LexicalEnvironment;
+  // 2. Repeat,
+  while (true) {
+    // a. Let exists be env.HasTopicBinding().
+    const exists = env.HasTopicBinding();
+    // b. If exists is true, return env.
+    if (exists === Value.true) {
+      return env;
+    }
+    // c. Let outer be env.[[OuterEnv]].
+    const outer = env.OuterEnv;
+    // d. Assert: outer is not null.
+    Assert(outer !== Value.null);
+    // e. Set env to outer.
+    env = outer;
+  }
+}
+
+/** https://tc39.es/proposal-pipeline-operator/#sec-getprimarytopicvalue */
+export function GetPrimaryTopicValue() {
+  // 1. Let envRec be GetTopicEnvironment().
+  const envRec = GetTopicEnvironment();
+  // 2. Assert: envRec.HasTopicBinding() is true.
+  Assert(envRec.HasTopicBinding() === Value.true);
+  // 3. Let topicValues be envRec.[[TopicValues]].
+  const topicValues = envRec.TopicValues;
+  // 4. Assert: topicValues has at least one element.
+  Assert(topicValues.length > 0);
+  // 5. Return topicValues[0].
+  return topicValues[0];
+}
+
 /** https://tc39.es/ecma262/#sec-getglobalobject */
 export function GetGlobalObject() {
   const currentRealm = surroundingAgent.currentRealmRecord;
@@ -153,6 +153,11 @@ export function DefineField(receiver, fieldRecord) {
   } else { // 4. Else, let initValue be undefined.
     initValue = Value.undefined;
   }
+  // (Decorators) For each element decoratorInitializer of fieldRecord.[[Initializers]], do
+  for (const decoratorInitializer of fieldRecord.Initializers) {
+    // a. Set initValue to ? Call(decoratorInitializer, receiver, « initValue »).
+    initValue = Q(Call(decoratorInitializer, receiver, [initValue]));
+  }
   // 5. If fieldName is a Private Name, then
   if (fieldName instanceof PrivateName) {
     // a. Perform ? PrivateFieldAdd(fieldName, receiver, initValue).
@@ -174,6 +179,11 @@ export function InitializeInstanceElements(O, constructor) {
     // a. Perform ? PrivateMethodOrAccessorAdd(method, O).
     Q(PrivateMethodOrAccessorAdd(method, O));
   }
+  // (Decorators) For each element initializer of constructor.[[Initializers]], do
+  for (const initializer of constructor.Initializers) {
+    // a. Perform ? Call(initializer, O).
+    Q(Call(initializer, O));
+  }
   // 3. Let fields be the value of constructor.[[Fields]].
   const fields = constructor.Fields;
   // 4. For each element fieldRecord of fields, do
@@ -302,6 +312,7 @@ export function OrdinaryFunctionCreate(functionPrototype, sourceText, ParameterL
     'SourceText',
     'Fields',
     'PrivateMethods',
+    'Initializers',
     'ClassFieldInitializerName',
     'IsClassConstructor',
   ];
@@ -344,6 +355,7 @@ export function OrdinaryFunctionCreate(functionPrototype, sourceText, ParameterL
   F.ClassFieldInitializerName = undefined;
   F.PrivateMethods = [];
   F.Fields = [];
+  F.Initializers = [];
   // 20. Let len be the ExpectedArgumentCount of ParameterList.
   const len = ExpectedArgumentCount(ParameterList);
   // 21. Perform ! SetFunctionLength(F, len).
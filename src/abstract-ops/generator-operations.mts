@@ -256,19 +256,20 @@ export function* Yield(value) {
 }
 
 /** https://tc39.es/ecma262/#sec-createiteratorfromclosure */
-export function CreateIteratorFromClosure(closure, generatorBrand, generatorPrototype) {
+export function CreateIteratorFromClosure(closure, generatorBrand, generatorPrototype, extraSlots = []) {
   Assert(typeof closure === 'function');
   // 1. NOTE: closure can contain uses of the Yield shorthand to yield an IteratorResult object.
-  // 2. Let internalSlotsList be « [[GeneratorState]], [[GeneratorContext]], [[GeneratorBrand]] ».
-  const internalSlotsList = ['GeneratorState', 'GeneratorContext', 'GeneratorBrand'];
-  // 3. Let generator be ! OrdinaryObjectCreate(generatorPrototype, internalSlotsList).
+  // 2. If extraSlots is not present, set extraSlots to a new empty List.
+  // 3. Let internalSlotsList be the list-concatenation of extraSlots and « [[GeneratorState]], [[GeneratorContext]], [[GeneratorBrand]] ».
+  const internalSlotsList = [...extraSlots, 'GeneratorState', 'GeneratorContext', 'GeneratorBrand'];
+  // 4. Let generator be ! OrdinaryObjectCreate(generatorPrototype, internalSlotsList).
   const generator = X(OrdinaryObjectCreate(generatorPrototype, internalSlotsList));
-  // 4. Set generator.[[GeneratorBrand]] to generatorBrand.
+  // 5. Set generator.[[GeneratorBrand]] to generatorBrand.
   generator.GeneratorBrand = generatorBrand;
-  // 5. Set generator.[[GeneratorState]] to undefined.
+  // 6. Set generator.[[GeneratorState]] to undefined.
   generator.GeneratorState = Value.undefined;
-  // 6. Perform ! GeneratorStart(generator, closure).
+  // 7. Perform ! GeneratorStart(generator, closure).
   X(GeneratorStart(generator, closure));
-  // 7. Return generator.
+  // 8. Return generator.
   return generator;
 }
@@ -3,7 +3,9 @@ import { ExecutionContext, HostEnsureCanCompileStrings, surroundingAgent } from
 import { JSStringValue, Value } from '../value.mjs';
 import { InstantiateFunctionObject } from '../runtime-semantics/all.mjs';
 import {
+  BlockFunctionDeclarations,
   IsStrict,
+  StringValue,
   VarDeclaredNames,
   VarScopedDeclarations,
   LexicallyScopedDeclarations,
@@ -220,8 +222,11 @@ function EvalDeclarationInstantiation(body, varEnv, lexEnv, privateEnv, strict)
           // a. If thisEnv.HasBinding(name) is true, then
           if (thisEnv.HasBinding(name) === Value.true) {
             // i. Throw a SyntaxError exception.
-            return surroundingAgent.Throw('SyntaxError', 'AlreadyDeclared', name);
-            // ii. NOTE: Annex B.3.5 defines alternate semantics for the above step.
+            // ii. NOTE: Annex B.3.4 defines alternate semantics for the above step:
+            //     If thisEnv is not the Environment Record for a Catch clause, throw a SyntaxError exception.
+            if (!(surroundingAgent.feature('annex-b') && thisEnv.IsCatchEnvironment)) {
+              return surroundingAgent.Throw('SyntaxError', 'AlreadyDeclared', name);
+            }
           }
           // b. NOTE: A direct eval will not hoist var declaration over a like-named lexical declaration
         }
@@ -282,7 +287,6 @@ function EvalDeclarationInstantiation(body, varEnv, lexEnv, privateEnv, strict)
       }
     }
   }
-  // 11. NOTE: Annex B.3.3.3 adds additional steps at this point.
   // 12. Let declaredVarNames be a new empty List.
   const declaredVarNames = new ValueSet();
   // 13. For each d in varDeclarations, do
@@ -313,6 +317,76 @@ function EvalDeclarationInstantiation(body, varEnv, lexEnv, privateEnv, strict)
       }
     }
   }
+  // NOTE: Annex B.3.2.3 adds additional steps at this point.
+  // a. If strict is false, then
+  if (surroundingAgent.feature('annex-b') && strict === false) {
+    // i. Let declaredFunctionOrVarNames be the list-concatenation of declaredFunctionNames and declaredVarNames.
+    const declaredFunctionOrVarNames = new ValueSet([...declaredFunctionNames, ...declaredVarNames]);
+    // ii. For each FunctionDeclaration f that is directly contained in the StatementList of a Block, CaseClause, or DefaultClause Contained within body, do
+    for (const f of BlockFunctionDeclarations(body)) {
+      // 1. Let F be StringValue of the BindingIdentifier of f.
+      const F = StringValue(f.BindingIdentifier);
+      // 2. If replacing the FunctionDeclaration f with a VariableStatement that has F as a BindingIdentifier would not produce any Early Errors for body, then
+      // a. Let bindingExists be false.
+      let bindingExists = false;
+      // b. Let thisEnv be lexEnv.
+      let thisEnv = lexEnv;
+      // c. Assert: The following loop will terminate.
+      // d. Repeat, while thisEnv is not varEnv,
+      while (thisEnv !== varEnv) {
+        // i. If thisEnv is not an Object Environment Record, then
+        if (!(thisEnv instanceof ObjectEnvironmentRecord)) {
+          // 1. If ! thisEnv.HasBinding(F) is true, then
+          if (X(thisEnv.HasBinding(F)) === Value.true) {
+            // a. Let bindingExists be true.
+            bindingExists = true;
+          }
+        }
+        // ii. Set thisEnv to thisEnv.[[OuterEnv]].
+        thisEnv = thisEnv.OuterEnv;
+      }
+      let fnDefinable;
+      // e. If bindingExists is false and varEnv is a Global Environment Record, then
+      if (bindingExists === false && varEnv instanceof GlobalEnvironmentRecord) {
+        // i. If varEnv.HasLexicalDeclaration(F) is false, then
+        if (varEnv.HasLexicalDeclaration(F) === Value.false) {
+          // 1. Let fnDefinable be ? varEnv.CanDeclareGlobalVar(F).
+          fnDefinable = Q(varEnv.CanDeclareGlobalVar(F));
+        } else { // ii. Else,
+          // 1. Let fnDefinable be false.
+          fnDefinable = Value.false;
+        }
+      } else { // f. Else,
+        // i. Let fnDefinable be true.
+        fnDefinable = Value.true;
+      }
+      // g. If bindingExists is false and fnDefinable is true, then
+      if (bindingExists === false && fnDefinable === Value.true) {
+        // i. If declaredFunctionOrVarNames does not contain F, then
+        if (!declaredFunctionOrVarNames.has(F)) {
+          // 1. If varEnv is a Global Environment Record, then
+          if (varEnv instanceof GlobalEnvironmentRecord) {
+            // a. Perform ? varEnv.CreateGlobalVarBinding(F, true).
+            Q(varEnv.CreateGlobalVarBinding(F, Value.true));
+          } else { // 2. Else,
+            // a. Let bindingExists be ! varEnv.HasBinding(F).
+            bindingExists = X(varEnv.HasBinding(F)) === Value.true;
+            // b. If bindingExists is false, then
+            if (bindingExists === false) {
+              // i. Perform ! varEnv.CreateMutableBinding(F, true).
+              X(varEnv.CreateMutableBinding(F, Value.true));
+              // ii. Perform ! varEnv.InitializeBinding(F, undefined).
+              X(varEnv.InitializeBinding(F, Value.undefined));
+            }
+          }
+          // 3. Append F to declaredFunctionOrVarNames.
+          declaredFunctionOrVarNames.add(F);
+        }
+        // ii. When the FunctionDeclaration f is evaluated, perform the following steps in place of the FunctionDeclaration Evaluation algorithm provided in 15.2.6: ...
+        f.IsBlockFunctionVarBinding = true;
+      }
+    }
+  }
   // 14. NOTE: No abnormal terminations occur after this algorithm step unless
   //     varEnv is a global Environment Record and the global object is a Proxy exotic object.
   // 15. Let lexDeclarations be the LexicallyScopedDeclarations of body.
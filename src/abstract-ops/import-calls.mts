@@ -5,10 +5,10 @@
 import {
   Call, GetModuleNamespace, PerformPromiseThen, Value,
 } from '../api.mjs';
-import { AbruptCompletion, X } from '../completion.mjs';
+import { AbruptCompletion, EnsureCompletion, X } from '../completion.mjs';
 
 /** https://tc39.es/ecma262/#sec-ContinueDynamicImport */
-export function ContinueDynamicImport(promiseCapability, moduleCompletion) {
+export function ContinueDynamicImport(promiseCapability, moduleCompletion, phase) {
   // 1. If moduleCompletion is an abrupt completion, then
   if (moduleCompletion instanceof AbruptCompletion) {
     // a. Perform ! Call(promiseCapability.[[Reject]], undefined, « moduleCompletion.[[Value]] »).
@@ -18,20 +18,35 @@ export function ContinueDynamicImport(promiseCapability, moduleCompletion) {
   }
   // 2. Let module be moduleCompletion.[[Value]].
   const module = moduleCompletion.Value;
+  // 3. If phase is source, then
+  if (phase === 'source') {
+    // a. Let moduleSourceCompletion be Completion(module.GetModuleSource()).
+    const moduleSourceCompletion = EnsureCompletion(module.GetModuleSource());
+    // b. If moduleSourceCompletion is an abrupt completion, then
+    if (moduleSourceCompletion instanceof AbruptCompletion) {
+      // i. Perform ! Call(promiseCapability.[[Reject]], undefined, « moduleSourceCompletion.[[Value]] »).
+      X(Call(promiseCapability.Reject, Value.undefined, [moduleSourceCompletion.Value]));
+    } else { // c. Else,
+      // i. Perform ! Call(promiseCapability.[[Resolve]], undefined, « moduleSourceCompletion.[[Value]] »).
+      X(Call(promiseCapability.Resolve, Value.undefined, [moduleSourceCompletion.Value]));
+    }
+    // d. Return unused.
+    return;
+  }
 
-  // 3. Let loadPromise be module.LoadRequestedModules().
+  // 4. Let loadPromise be module.LoadRequestedModules().
   const loadPromise = module.LoadRequestedModules();
 
-  // 4. Let rejectedClosure be a new Abstract Closure with parameters (reason) that captures promiseCapability and performs the following steps when called:
+  // 5. Let rejectedClosure be a new Abstract Closure with parameters (reason) that captures promiseCapability and performs the following steps when called:
   const rejectedClosure = ([reason = Value.undefined]) => {
     // a. Perform ! Call(promiseCapability.[[Reject]], undefined, « reason »).
     X(Call(promiseCapability.Reject, Value.undefined, [reason]));
     // b. Return unused.
   };
-  // 5. Let onRejected be CreateBuiltinFunction(rejectedClosure, 1, "", « »).
+  // 6. Let onRejected be CreateBuiltinFunction(rejectedClosure, 1, "", « »).
   const onRejected = Value(rejectedClosure);
 
-  // 6. Let linkAndEvaluateClosure be a new Abstract Closure with no parameters that captures module, promiseCapability, and onRejected and performs the following steps when called:
+  // 7. Let linkAndEvaluateClosure be a new Abstract Closure with no parameters that captures module, promiseCapability, and onRejected and performs the following steps when called:
   const linkAndEvaluateClosure = () => {
     // a. Let link be Completion(module.Link()).
     const link = module.Link();
@@ -48,8 +63,8 @@ export function ContinueDynamicImport(promiseCapability, moduleCompletion) {
 
     // d. Let fulfilledClosure be a new Abstract Closure with no parameters that captures module and promiseCapability and performs the following steps when called:
     const fulfilledClosure = () => {
-      // i. Let namespace be GetModuleNamespace(module).
-      const namespace = GetModuleNamespace(module);
+      // i. Let namespace be GetModuleNamespace(module, evaluation).
+      const namespace = GetModuleNamespace(module, 'evaluation');
       // ii. Perform ! Call(promiseCapability.[[Resolve]], undefined, « namespace »).
       X(Call(promiseCapability.Resolve, Value.undefined, [namespace]));
       // iii. Return unused.
@@ -61,10 +76,10 @@ export function ContinueDynamicImport(promiseCapability, moduleCompletion) {
     PerformPromiseThen(evaluatePromise, onFulfilled, onRejected);
     // g. Return unused.
   };
-  // 7. Let linkAndEvaluate be CreateBuiltinFunction(linkAndEvaluateClosure, 0, "", « »).
+  // 8. Let linkAndEvaluate be CreateBuiltinFunction(linkAndEvaluateClosure, 0, "", « »).
   const linkAndEvaluate = Value(linkAndEvaluateClosure);
 
-  // 8. Perform PerformPromiseThen(loadPromise, linkAndEvaluate, onRejected).
+  // 9. Perform PerformPromiseThen(loadPromise, linkAndEvaluate, onRejected).
   PerformPromiseThen(loadPromise, linkAndEvaluate, onRejected);
-  // 9. Return unused.
+  // 10. Return unused.
 }
@@ -2,6 +2,8 @@
 import { surroundingAgent } from '../engine.mjs';
 import {
   BooleanValue,
+  JSStringValue,
+  NumberValue,
   ObjectValue,
   Value,
   wellKnownSymbols,
@@ -9,25 +11,34 @@ import {
 import {
   Completion,
   EnsureCompletion,
+  IfAbruptCloseIterator,
   IfAbruptRejectPromise,
   Q, X,
   Await,
   NormalCompletion,
+  ThrowCompletion,
 } from '../completion.mjs';
 import {
   Assert,
   Call,
   CreateBuiltinFunction,
   CreateDataProperty,
+  CreateDataPropertyOrThrow,
   Get,
   GetMethod,
   GetV,
+  IsCallable,
   PromiseResolve,
   OrdinaryObjectCreate,
   PerformPromiseThen,
+  RequireObjectCoercible,
+  SameValue,
+  Set,
   ToBoolean,
+  ToPropertyKey,
   Yield,
   CreateIteratorFromClosure,
+  F,
 } from './all.mjs';
 
 // This file covers abstract operations defined in
@@ -66,6 +77,104 @@ export function GetIterator(obj, hint, method) {
   return EnsureCompletion(iteratorRecord);
 }
 
+/** https://tc39.es/ecma262/#sec-getiteratordirect */
+export function GetIteratorDirect(obj) {
+  // 1. Let nextMethod be ? Get(obj, "next").
+  const nextMethod = Q(Get(obj, Value('next')));
+  // 2. Let iteratorRecord be the Iterator Record { [[Iterator]]: obj, [[NextMethod]]: nextMethod, [[Done]]: false }.
+  const iteratorRecord = {
+    Iterator: obj,
+    NextMethod: nextMethod,
+    Done: Value.false,
+  };
+  // 3. Return iteratorRecord.
+  return iteratorRecord;
+}
+
+/** https://tc39.es/ecma262/#sec-getiteratorflattenable */
+export function GetIteratorFlattenable(obj, primitiveHandling) {
+  // 1. If obj is not an Object, then
+  if (!(obj instanceof ObjectValue)) {
+    // a. If primitiveHandling is reject-primitives, throw a TypeError exception.
+    if (primitiveHandling === 'reject-primitives') {
+      return surroundingAgent.Throw('TypeError', 'NotAnObject', obj);
+    }
+    // b. Assert: primitiveHandling is iterate-string-primitives.
+    Assert(primitiveHandling === 'iterate-string-primitives');
+    // c. If obj is not a String, throw a TypeError exception.
+    if (!(obj instanceof JSStringValue)) {
+      return surroundingAgent.Throw('TypeError', 'NotAnObject', obj);
+    }
+  }
+  // 2. Let method be ? GetMethod(obj, %Symbol.iterator%).
+  const method = Q(GetMethod(obj, wellKnownSymbols.iterator));
+  let iterator;
+  // 3. If method is undefined, then
+  if (method === Value.undefined) {
+    // a. Let iterator be obj.
+    iterator = obj;
+  } else { // 4. Else,
+    // a. Let iterator be ? Call(method, obj).
+    iterator = Q(Call(method, obj));
+  }
+  // 5. If iterator is not an Object, throw a TypeError exception.
+  if (!(iterator instanceof ObjectValue)) {
+    return surroundingAgent.Throw('TypeError', 'NotAnObject', iterator);
+  }
+  // 6. Return ? GetIteratorDirect(iterator).
+  return Q(GetIteratorDirect(iterator));
+}
+
+/** https://tc39.es/proposal-async-iterator-helpers/#sec-getasynciteratorflattenable */
+export function GetAsyncIteratorFlattenable(obj, primitiveHandling) {
+  // 1. If obj is not an Object, then
+  if (!(obj instanceof ObjectValue)) {
+    // a. If primitiveHandling is reject-primitives, throw a TypeError exception.
+    if (primitiveHandling === 'reject-primitives') {
+      return surroundingAgent.Throw('TypeError', 'NotAnObject', obj);
+    }
+    // b. Assert: primitiveHandling is iterate-string-primitives.
+    Assert(primitiveHandling === 'iterate-string-primitives');
+    // c. If obj is not a String, throw a TypeError exception.
+    if (!(obj instanceof JSStringValue)) {
+      return surroundingAgent.Throw('TypeError', 'NotAnObject', obj);
+    }
+  }
+  // 2. Let method be ? GetMethod(obj, %Symbol.asyncIterator%).
+  const method = Q(GetMethod(obj, wellKnownSymbols.asyncIterator));
+  let iterator;
+  // 3. If method is undefined, then
+  if (method === Value.undefined) {
+    // a. Let syncMethod be ? GetMethod(obj, %Symbol.iterator%).
+    const syncMethod = Q(GetMethod(obj, wellKnownSymbols.iterator));
+    // b. If syncMethod is undefined, then
+    if (syncMethod === Value.undefined) {
+      // i. Let iterator be obj.
+      iterator = obj;
+    } else { // c. Else,
+      // i. Let syncIterator be ? Call(syncMethod, obj).
+      const syncIterator = Q(Call(syncMethod, obj));
+      // ii. If syncIterator is not an Object, throw a TypeError exception.
+      if (!(syncIterator instanceof ObjectValue)) {
+        return surroundingAgent.Throw('TypeError', 'NotAnObject', syncIterator);
+      }
+      // iii. Let syncIteratorRecord be ? GetIteratorDirect(syncIterator).
+      const syncIteratorRecord = Q(GetIteratorDirect(syncIterator));
+      // iv. Return CreateAsyncFromSyncIterator(syncIteratorRecord).
+      return CreateAsyncFromSyncIterator(syncIteratorRecord);
+    }
+  } else { // 4. Else,
+    // a. Let iterator be ? Call(method, obj).
+    iterator = Q(Call(method, obj));
+  }
+  // 5. If iterator is not an Object, throw a TypeError exception.
+  if (!(iterator instanceof ObjectValue)) {
+    return surroundingAgent.Throw('TypeError', 'NotAnObject', iterator);
+  }
+  // 6. Return ? GetIteratorDirect(iterator).
+  return Q(GetIteratorDirect(iterator));
+}
+
 /** https://tc39.es/ecma262/#sec-iteratornext */
 export function IteratorNext(iteratorRecord, value) {
   let result;
@@ -102,6 +211,35 @@ export function IteratorStep(iteratorRecord) {
   return EnsureCompletion(result);
 }
 
+/** https://tc39.es/ecma262/#sec-iteratorstepvalue */
+export function IteratorStepValue(iteratorRecord) {
+  // 1. Let result be Completion(IteratorStep(iteratorRecord)).
+  const result = EnsureCompletion(IteratorStep(iteratorRecord));
+  // 2. If result is a throw completion, then
+  if (result.Type === 'throw') {
+    // a. Set iteratorRecord.[[Done]] to true.
+    iteratorRecord.Done = Value.true;
+  }
+  // 3. Set result to ? result.
+  const next = Q(result);
+  // 4. If result is done, then
+  if (next === Value.false) {
+    // a. Set iteratorRecord.[[Done]] to true.
+    iteratorRecord.Done = Value.true;
+    // b. Return done.
+    return 'done';
+  }
+  // 5. Let value be Completion(IteratorValue(result)).
+  const value = EnsureCompletion(IteratorValue(next));
+  // 6. If value is a throw completion, then
+  if (value.Type === 'throw') {
+    // a. Set iteratorRecord.[[Done]] to true.
+    iteratorRecord.Done = Value.true;
+  }
+  // 7. Return ? value.
+  return Q(value);
+}
+
 /** https://tc39.es/ecma262/#sec-iteratorclose */
 export function IteratorClose(iteratorRecord, completion) {
   // 1. Assert: Type(iteratorRecord.[[Iterator]]) is Object.
@@ -255,3 +393,106 @@ export function AsyncFromSyncIteratorContinuation(result, promiseCapability) {
   // 11. Return promiseCapability.[[Promise]].
   return promiseCapability.Promise;
 }
+
+/** https://tc39.es/ecma262/#sec-add-value-to-keyed-group */
+function AddValueToKeyedGroup(groups, key, value) {
+  // 1. For each Record { [[Key]], [[Elements]] } g of groups, do
+  for (const g of groups) {
+    // a. If SameValue(g.[[Key]], key) is true, then
+    if (SameValue(g.Key, key) === Value.true) {
+      // i. Assert: Exactly one element of groups meets this criterion.
+      // ii. Append value to g.[[Elements]].
+      g.Elements.push(value);
+      // iii. Return unused.
+      return;
+    }
+  }
+  // 2. Let group be the Record { [[Key]]: key, [[Elements]]: « value » }.
+  const group = { Key: key, Elements: [value] };
+  // 3. Append group to groups.
+  groups.push(group);
+  // 4. Return unused.
+}
+
+/** https://tc39.es/ecma262/#sec-groupby */
+export function GroupBy(items, callbackfn, keyCoercion) {
+  // 1. Perform ? RequireObjectCoercible(items).
+  Q(RequireObjectCoercible(items));
+  // 2. If IsCallable(callbackfn) is false, throw a TypeError exception.
+  if (IsCallable(callbackfn) === Value.false) {
+    return surroundingAgent.Throw('TypeError', 'NotAFunction', callbackfn);
+  }
+  // 3. Let groups be a new empty List.
+  const groups = [];
+  // 4. Let iteratorRecord be ? GetIterator(items, sync).
+  const iteratorRecord = Q(GetIterator(items, 'sync'));
+  // 5. Let k be 0.
+  let k = 0;
+  // 6. Repeat,
+  while (true) {
+    // a. If k ≥ 2^53 - 1, then
+    if (k >= (2 ** 53) - 1) {
+      // i. Let error be ThrowCompletion(a newly created TypeError object).
+      const error = ThrowCompletion(surroundingAgent.Throw('TypeError', 'ArrayPastSafeLength').Value);
+      // ii. Return ? IteratorClose(iteratorRecord, error).
+      return Q(IteratorClose(iteratorRecord, error));
+    }
+    // b. Let next be ? IteratorStep(iteratorRecord).
+    const next = Q(IteratorStep(iteratorRecord));
+    // c. If next is false, then
+    if (next === Value.false) {
+      // i. Return groups.
+      return groups;
+    }
+    // d. Let value be ? IteratorValue(next).
+    const value = Q(IteratorValue(next));
+    // e. Let key be Completion(Call(callbackfn, undefined, « value, 𝔽(k) »)).
+    let key = Call(callbackfn, Value.undefined, [value, F(k)]);
+    // f. IfAbruptCloseIterator(key, iteratorRecord).
+    IfAbruptCloseIterator(key, iteratorRecord);
+    // g. If keyCoercion is property, then
+    if (keyCoercion === 'property') {
+      // i. Set key to Completion(ToPropertyKey(key)).
+      key = ToPropertyKey(key);
+      // ii. IfAbruptCloseIterator(key, iteratorRecord).
+      IfAbruptCloseIterator(key, iteratorRecord);
+    } else { // h. Else,
+      // i. Assert: keyCoercion is zero.
+      Assert(keyCoercion === 'zero');
+      // ii. If key is -0𝔽, set key to +0𝔽.
+      if (key instanceof NumberValue && Object.is(key.numberValue(), -0)) {
+        key = F(+0);
+      }
+    }
+    // i. Perform AddValueToKeyedGroup(groups, key, value).
+    AddValueToKeyedGroup(groups, key, value);
+    // j. Set k to k + 1.
+    k += 1;
+  }
+}
+
+/** https://tc39.es/ecma262/#sec-SetterThatIgnoresPrototypeProperties */
+export function SetterThatIgnoresPrototypeProperties(thisValue, home, p, v) {
+  // 1. If thisValue is not an Object, throw a TypeError exception.
+  if (!(thisValue instanceof ObjectValue)) {
+    return surroundingAgent.Throw('TypeError', 'NotAnObject', thisValue);
+  }
+  // 2. If SameValue(thisValue, home) is true, then
+  if (SameValue(thisValue, home) === Value.true) {
+    // a. NOTE: Throwing here emulates assignment to a non-writable data property on the home object in strict mode code.
+    // b. Throw a TypeError exception.
+    return surroundingAgent.Throw('TypeError', 'CannotSetProperty', p, home);
+  }
+  // 3. Let desc be ? thisValue.[[GetOwnProperty]](p).
+  const desc = Q(thisValue.GetOwnProperty(p));
+  // 4. If desc is undefined, then
+  if (desc === Value.undefined) {
+    // a. Perform ? CreateDataPropertyOrThrow(thisValue, p, v).
+    Q(CreateDataPropertyOrThrow(thisValue, p, v));
+  } else { // 5. Else,
+    // a. Perform ? Set(thisValue, p, v, true).
+    Q(Set(thisValue, p, v, Value.true));
+  }
+  // 6. Return unused.
+  return Value.undefined;
+}
@@ -1,8 +1,9 @@
 // @ts-nocheck
 import { surroundingAgent } from '../engine.mjs';
 import { Q, X } from '../completion.mjs';
-import { AbstractModuleRecord, ResolvedBindingRecord } from '../modules.mjs';
+import { AbstractModuleRecord, CyclicModuleRecord, ResolvedBindingRecord } from '../modules.mjs';
 import {
+  JSStringValue,
   SymbolValue,
   Value,
   Descriptor,
@@ -24,9 +25,10 @@ import {
   OrdinaryDelete,
   OrdinaryOwnPropertyKeys,
   GetModuleNamespace,
+  ReadyForSyncExecution,
+  EvaluateSync,
 } from './all.mjs';
 
-
 function ModuleNamespaceSetPrototypeOf(V) {
   const O = this;
 
@@ -44,10 +46,10 @@ function ModuleNamespacePreventExtensions() {
 function ModuleNamespaceGetOwnProperty(P) {
   const O = this;
 
-  if (P instanceof SymbolValue) {
+  if (IsSymbolLikeNamespaceKey(P, O)) {
     return OrdinaryGetOwnProperty(O, P);
   }
-  const exports = O.Exports;
+  const exports = Q(GetModuleExportsList(O));
   if (!exports.has(P)) {
     return Value.undefined;
   }
@@ -63,7 +65,7 @@ function ModuleNamespaceGetOwnProperty(P) {
 function ModuleNamespaceDefineOwnProperty(P, Desc) {
   const O = this;
 
-  if (P instanceof SymbolValue) {
+  if (IsSymbolLikeNamespaceKey(P, O)) {
     return OrdinaryDefineOwnProperty(O, P, Desc);
   }
 
@@ -92,10 +94,10 @@ function ModuleNamespaceDefineOwnProperty(P, Desc) {
 function ModuleNamespaceHasProperty(P) {
   const O = this;
 
-  if (P instanceof SymbolValue) {
+  if (IsSymbolLikeNamespaceKey(P, O)) {
     return OrdinaryHasProperty(O, P);
   }
-  const exports = O.Exports;
+  const exports = Q(GetModuleExportsList(O));
   if (exports.has(P)) {
     return Value.true;
   }
@@ -108,13 +110,13 @@ function ModuleNamespaceGet(P, Receiver) {
 
   // 1. Assert: IsPropertyKey(P) is true.
   Assert(IsPropertyKey(P));
-  // 2. If Type(P) is Symbol, then
-  if (P instanceof SymbolValue) {
+  // 2. If IsSymbolLikeNamespaceKey(P, O) is true, then
+  if (IsSymbolLikeNamespaceKey(P, O)) {
     // a. Return ? OrdinaryGet(O, P, Receiver).
     return OrdinaryGet(O, P, Receiver);
   }
-  // 3. Let exports be O.[[Exports]].
-  const exports = O.Exports;
+  // 3. Let exports be ? GetModuleExportsList(O).
+  const exports = Q(GetModuleExportsList(O));
   // 4. If P is not an element of exports, return undefined.
   if (!exports.has(P)) {
     return Value.undefined;
@@ -131,8 +133,8 @@ function ModuleNamespaceGet(P, Receiver) {
   Assert(targetModule !== Value.undefined);
   // 10. If binding.[[BindingName]] is ~namespace~, then
   if (binding.BindingName === 'namespace') {
-    // a. Return ? GetModuleNamespace(targetModule).
-    return Q(GetModuleNamespace(targetModule));
+    // a. Return ? GetModuleNamespace(targetModule, evaluation).
+    return Q(GetModuleNamespace(targetModule, 'evaluation'));
   }
   // 11. Let targetEnv be targetModule.[[Environment]].
   const targetEnv = targetModule.Environment;
@@ -152,10 +154,10 @@ function ModuleNamespaceDelete(P) {
   const O = this;
 
   Assert(IsPropertyKey(P));
-  if (P instanceof SymbolValue) {
+  if (IsSymbolLikeNamespaceKey(P, O)) {
     return Q(OrdinaryDelete(O, P));
   }
-  const exports = O.Exports;
+  const exports = Q(GetModuleExportsList(O));
   if (exports.has(P)) {
     return Value.false;
   }
@@ -165,22 +167,60 @@ function ModuleNamespaceDelete(P) {
 function ModuleNamespaceOwnPropertyKeys() {
   const O = this;
 
-  const exports = [...O.Exports];
+  const exports = [...Q(GetModuleExportsList(O))];
   const symbolKeys = X(OrdinaryOwnPropertyKeys(O));
   exports.push(...symbolKeys);
   return exports;
 }
 
+/** https://tc39.es/proposal-defer-import-eval/#sec-IsSymbolLikeNamespaceKey */
+function IsSymbolLikeNamespaceKey(P, O) {
+  // 1. If P is a Symbol, return true.
+  if (P instanceof SymbolValue) {
+    return true;
+  }
+  // 2. If O.[[Deferred]] is true and P is "then", return true.
+  if (O.Deferred && P instanceof JSStringValue && P.stringValue() === 'then') {
+    return true;
+  }
+  // 3. Return false.
+  return false;
+}
+
+/** https://tc39.es/proposal-defer-import-eval/#sec-GetModuleExportsList */
+function GetModuleExportsList(O) {
+  // 1. If O.[[Deferred]] is true, perform ? EnsureDeferredNamespaceEvaluation(O).
+  if (O.Deferred) {
+    Q(EnsureDeferredNamespaceEvaluation(O));
+  }
+  // 2. Return O.[[Exports]].
+  return O.Exports;
+}
+
+/** https://tc39.es/proposal-defer-import-eval/#sec-EnsureDeferredNamespaceEvaluation */
+function EnsureDeferredNamespaceEvaluation(O) {
+  // 1. Assert: O.[[Deferred]] is true.
+  Assert(O.Deferred);
+  // 2. Let m be O.[[Module]].
+  const m = O.Module;
+  // 3. If m is a Cyclic Module Record, m.[[Status]] is not evaluated, and ReadyForSyncExecution(m) is false, throw a TypeError exception.
+  if (m instanceof CyclicModuleRecord && m.Status !== 'evaluated' && !ReadyForSyncExecution(m)) {
+    return surroundingAgent.Throw('TypeError', 'DeferredModuleNotReady');
+  }
+  // 4. Return ? EvaluateSync(m).
+  return Q(EvaluateSync(m));
+}
+
 /** https://tc39.es/ecma262/#sec-modulenamespacecreate */
-export function ModuleNamespaceCreate(module, exports) {
+export function ModuleNamespaceCreate(module, exports, phase) {
   // 1. Assert: module is a Module Record.
   Assert(module instanceof AbstractModuleRecord);
-  // 2. Assert: module.[[Namespace]] is undefined.
-  Assert(module.Namespace === Value.undefined);
+  // 2. If phase is defer, assert: module.[[DeferredNamespace]] is undefined; otherwise assert: module.[[Namespace]] is undefined.
+  Assert((phase === 'defer' ? module.DeferredNamespace : module.Namespace) === Value.undefined);
   // 3. Assert: exports is a List of String values.
   Assert(Array.isArray(exports));
   // 4. Let internalSlotsList be the internal slots listed in Table 31.
-  const internalSlotsList = ['Module', 'Exports', 'Prototype'];
+  const internalSlotsList = ['Module', 'Exports', 'Deferred', 'Prototype'];
   // 5. Let M be ! MakeBasicObject(internalSlotsList).
   const M = X(MakeBasicObject(internalSlotsList));
   /** https://tc39.es/ecma262/#sec-module-namespace-exotic-objects */
@@ -205,15 +245,21 @@ export function ModuleNamespaceCreate(module, exports) {
   });
   // 10. Set M.[[Exports]] to sortedExports.
   M.Exports = new ValueSet(sortedExports);
-  // 11. Create own properties of M corresponding to the definitions in 26.3.
+  // 11. If phase is defer, set M.[[Deferred]] to true; otherwise set M.[[Deferred]] to false.
+  M.Deferred = phase === 'defer';
+  // 12. Create own properties of M corresponding to the definitions in 26.3.
   M.properties.set(wellKnownSymbols.toStringTag, Descriptor({
     Writable: Value.false,
     Enumerable: Value.false,
     Configurable: Value.false,
-    Value: Value('Module'),
+    Value: M.Deferred ? Value('Deferred Module') : Value('Module'),
   }));
-  // 12. Set module.[[Namespace]] to M.
-  module.Namespace = M;
-  // 13. Return M;
+  // 13. If phase is defer, set module.[[DeferredNamespace]] to M; otherwise set module.[[Namespace]] to M.
+  if (M.Deferred) {
+    module.DeferredNamespace = M;
+  } else {
+    module.Namespace = M;
+  }
+  // 14. Return M;
   return M;
 }
@@ -1,11 +1,20 @@
 // @ts-nocheck
-import { surroundingAgent, HostLoadImportedModule } from '../engine.mjs';
+import {
+  surroundingAgent,
+  HostLoadImportedModule,
+  HostGetSupportedImportAttributes,
+  HostPromiseRejectionTracker,
+} from '../engine.mjs';
 import {
   CyclicModuleRecord,
+  SourceTextModuleRecord,
+  InlineModuleRecord,
   SyntheticModuleRecord,
+  ModuleSourceRecord,
   ResolvedBindingRecord,
 } from '../modules.mjs';
-import { Value } from '../value.mjs';
+import { CreateSourceTextModuleRecord } from '../parse.mjs';
+import { JSStringValue, Value } from '../value.mjs';
 import {
   Q, X, NormalCompletion, ThrowCompletion,
 } from '../completion.mjs';
@@ -17,6 +26,7 @@ import {
   CreateBuiltinFunction,
   Call,
   ContinueDynamicImport,
+  OrdinaryObjectCreate,
 } from './all.mjs';
 
 /** https://tc39.es/ecma262/#graphloadingstate-record */
@@ -45,21 +55,28 @@ export function InnerModuleLoading(state, module) {
     const requestedModulesCout = module.RequestedModules.length;
     // c. Set state.[[PendingModulesCount]] to state.[[PendingModulesCount]] + requestedModulesCount.
     state.PendingModules += requestedModulesCout;
-    // d. For each String required of module.[[RequestedModules]], do
-    for (const required of module.RequestedModules) {
-      // i. If module.[[LoadedModules]] contains a Record whose [[Specifier]] is required, then
-      //    1. Let record be that Record.
-      const record = getRecordWithSpecifier(module.LoadedModules, required);
-      if (record !== undefined) {
-        // 2. Perform InnerModuleLoading(state, record.[[Module]]).
-        ContinueModuleLoading(state, NormalCompletion(record.Module));
-      // ii. Else,
+    // d. For each ModuleRequest Record request of module.[[RequestedModules]], do
+    for (const request of module.RequestedModules) {
+      // i. If AllImportAttributesSupported(request.[[Attributes]]) is false, then
+      if (!AllImportAttributesSupported(request.Attributes)) {
+        // 1. Let error be ThrowCompletion(a newly created SyntaxError object).
+        const unsupported = request.Attributes.find((attribute) => !AllImportAttributesSupported([attribute]));
+        const error = surroundingAgent.Throw('SyntaxError', 'UnsupportedImportAttribute', unsupported.Key);
+        // 2. Perform ContinueModuleLoading(state, error).
+        ContinueModuleLoading(state, error);
       } else {
-        // 1. Perform HostLoadImportedModule(module, required, state.[[HostDefined]], state).
-        HostLoadImportedModule(module, required, state.HostDefined, state);
+        // ii. Else if module.[[LoadedModules]] contains a LoadedModuleRequest Record record such that ModuleRequestsEqual(record, request) is true, then
+        const record = getLoadedModuleRequest(module.LoadedModules, request);
+        if (record !== undefined) {
+          // 1. Perform InnerModuleLoading(state, record.[[Module]]).
+          ContinueModuleLoading(state, NormalCompletion(record.Module));
+        } else { // iii. Else,
+          // 1. Perform HostLoadImportedModule(module, request, state.[[HostDefined]], state).
+          HostLoadImportedModule(module, request, state.HostDefined, state);
+        }
       }
 
-      // iii. If state.[[IsLoading]] is false, return unused.
+      // iv. If state.[[IsLoading]] is false, return unused.
       if (state.IsLoading === false) {
         return;
       }
@@ -155,7 +172,11 @@ export function InnerModuleLinking(module, stack, index) {
 /** https://tc39.es/ecma262/#sec-innermoduleevaluation */
 export function InnerModuleEvaluation(module, stack, index) {
   if (!(module instanceof CyclicModuleRecord)) {
-    Q(module.Evaluate());
+    const promise = X(module.Evaluate());
+    Assert(promise.PromiseState !== 'pending');
+    if (promise.PromiseState === 'rejected') {
+      return ThrowCompletion(promise.PromiseResult);
+    }
     return index;
   }
   if (module.Status === 'evaluating-async' || module.Status === 'evaluated') {
@@ -176,8 +197,21 @@ export function InnerModuleEvaluation(module, stack, index) {
   module.AsyncParentModules = [];
   index += 1;
   stack.push(module);
+  const evaluationList = [];
   for (const required of module.RequestedModules) {
-    let requiredModule = GetImportedModule(module, required);
+    const requiredModule = GetImportedModule(module, required);
+    if (required.Phase === 'defer') {
+      for (const additionalModule of GatherAsynchronousTransitiveDependencies(requiredModule)) {
+        if (!evaluationList.includes(additionalModule)) {
+          evaluationList.push(additionalModule);
+        }
+      }
+    } else if (required.Phase === 'evaluation' && !evaluationList.includes(requiredModule)) {
+      // Modules imported in the source phase are not evaluated.
+      evaluationList.push(requiredModule);
+    }
+  }
+  for (let requiredModule of evaluationList) {
     index = Q(InnerModuleEvaluation(requiredModule, stack, index));
     if (requiredModule instanceof CyclicModuleRecord) {
       Assert(requiredModule.Status === 'evaluating' || requiredModule.Status === 'evaluating-async' || requiredModule.Status === 'evaluated');
@@ -224,6 +258,117 @@ export function InnerModuleEvaluation(module, stack, index) {
   return index;
 }
 
+/** https://tc39.es/proposal-defer-import-eval/#sec-GatherAsynchronousTransitiveDependencies */
+export function GatherAsynchronousTransitiveDependencies(module, seen = []) {
+  // 1. If seen is not present, let seen be a new empty List.
+  // 2. Let result be a new empty List.
+  const result = [];
+  // 3. If seen contains module, return result.
+  if (seen.includes(module)) {
+    return result;
+  }
+  // 4. Append module to seen.
+  seen.push(module);
+  // 5. If module is not a Cyclic Module Record, return result.
+  if (!(module instanceof CyclicModuleRecord)) {
+    return result;
+  }
+  // 6. If module.[[Status]] is either evaluating, evaluating-async, or evaluated, return result.
+  if (module.Status === 'evaluating' || module.Status === 'evaluating-async' || module.Status === 'evaluated') {
+    return result;
+  }
+  // 7. If module.[[HasTLA]] is true, then
+  if (module.Async === Value.true) {
+    // a. Append module to result.
+    result.push(module);
+    // b. Return result.
+    return result;
+  }
+  // 8. For each ModuleRequest Record required of module.[[RequestedModules]], do
+  for (const required of module.RequestedModules) {
+    // a. Let requiredModule be GetImportedModule(module, required).
+    const requiredModule = GetImportedModule(module, required);
+    // b. Let additionalModules be GatherAsynchronousTransitiveDependencies(requiredModule, seen).
+    const additionalModules = GatherAsynchronousTransitiveDependencies(requiredModule, seen);
+    // c. For each Module Record m of additionalModules, do
+    for (const m of additionalModules) {
+      // i. If result does not contain m, append m to result.
+      if (!result.includes(m)) {
+        result.push(m);
+      }
+    }
+  }
+  // 9. Return result.
+  return result;
+}
+
+/** https://tc39.es/proposal-defer-import-eval/#sec-ReadyForSyncExecution */
+export function ReadyForSyncExecution(module, seen = []) {
+  // 1. If seen is not present, let seen be a new empty List.
+  // 2. If seen contains module, return true.
+  if (seen.includes(module)) {
+    return true;
+  }
+  // 3. Append module to seen.
+  seen.push(module);
+  // 4. If module is not a Cyclic Module Record, return true.
+  if (!(module instanceof CyclicModuleRecord)) {
+    return true;
+  }
+  // 5. If module.[[Status]] is evaluated, return true.
+  // NOTE: Modules whose asynchronous evaluation has finished remain evaluating-async with [[AsyncEvaluating]] false.
+  if (module.Status === 'evaluated' || (module.Status === 'evaluating-async' && module.AsyncEvaluating === Value.false)) {
+    return true;
+  }
+  // 6. If module.[[Status]] is either evaluating or evaluating-async, return false.
+  if (module.Status === 'evaluating' || module.Status === 'evaluating-async') {
+    return false;
+  }
+  // 7. Assert: module.[[Status]] is linked.
+  Assert(module.Status === 'linked');
+  // 8. If module.[[HasTLA]] is true, return false.
+  if (module.Async === Value.true) {
+    return false;
+  }
+  // 9. For each ModuleRequest Record required of module.[[RequestedModules]], do
+  for (const required of module.RequestedModules) {
+    // a. Let requiredModule be GetImportedModule(module, required).
+    const requiredModule = GetImportedModule(module, required);
+    // b. If ReadyForSyncExecution(requiredModule, seen) is false, then
+    if (!ReadyForSyncExecution(requiredModule, seen)) {
+      // i. Return false.
+      return false;
+    }
+  }
+  // 10. Return true.
+  return true;
+}
+
+/** https://tc39.es/proposal-defer-import-eval/#sec-EvaluateSync */
+export function EvaluateSync(module) {
+  // 1. Assert: If module is a Cyclic Module Record, module.[[Status]] is not evaluating-async.
+  if (module instanceof CyclicModuleRecord) {
+    Assert(module.Status !== 'evaluating-async' || module.AsyncEvaluating === Value.false);
+  }
+  // 2. Let promise be module.Evaluate().
+  const promise = module.Evaluate();
+  // 3. Assert: promise.[[PromiseState]] is either fulfilled or rejected.
+  Assert(promise.PromiseState === 'fulfilled' || promise.PromiseState === 'rejected');
+  // 4. If promise.[[PromiseState]] is rejected, then
+  if (promise.PromiseState === 'rejected') {
+    // a. If promise.[[PromiseIsHandled]] is false, perform HostPromiseRejectionTracker(promise, "handle").
+    if (promise.PromiseIsHandled === Value.false) {
+      HostPromiseRejectionTracker(promise, 'handle');
+    }
+    // b. Set promise.[[PromiseIsHandled]] to true.
+    promise.PromiseIsHandled = Value.true;
+    // c. Return ThrowCompletion(promise.[[PromiseResult]]).
+    return ThrowCompletion(promise.PromiseResult);
+  }
+  // 5. Return unused.
+  return NormalCompletion(undefined);
+}
+
 /** https://tc39.es/ecma262/#sec-execute-async-module */
 function ExecuteAsyncModule(module) {
   // 1. Assert: module.[[Status]] is evaluating or evaluating-async.
@@ -338,9 +483,56 @@ function AsyncModuleExecutionRejected(module, error) {
   return Value.undefined;
 }
 
-function getRecordWithSpecifier(loadedModules, specifier) {
+/** https://tc39.es/ecma262/#sec-ModuleRequestsEqual */
+export function ModuleRequestsEqual(left, right) {
+  // 1. If left.[[Specifier]] is not right.[[Specifier]], return false.
+  if (left.Specifier instanceof JSStringValue && right.Specifier instanceof JSStringValue) {
+    if (left.Specifier.stringValue() !== right.Specifier.stringValue()) {
+      return false;
+    }
+  } else if (left.Specifier !== right.Specifier) {
+    // Module Records and ModuleDeclaration Parse Nodes are compared by identity.
+    return false;
+  }
+  // 2. Let leftAttrs be left.[[Attributes]].
+  const leftAttrs = left.Attributes;
+  // 3. Let rightAttrs be right.[[Attributes]].
+  const rightAttrs = right.Attributes;
+  // 4. Let leftAttrsCount be the number of elements in leftAttrs.
+  // 5. Let rightAttrsCount be the number of elements in rightAttrs.
+  // 6. If leftAttrsCount ≠ rightAttrsCount, return false.
+  if (leftAttrs.length !== rightAttrs.length) {
+    return false;
+  }
+  // 7. For each ImportAttribute Record l of leftAttrs, do
+  for (const l of leftAttrs) {
+    // a. If rightAttrs does not contain an ImportAttribute Record r such that l.[[Key]] is r.[[Key]] and l.[[Value]] is r.[[Value]], return false.
+    if (!rightAttrs.some((r) => l.Key.stringValue() === r.Key.stringValue() && l.Value.stringValue() === r.Value.stringValue())) {
+      return false;
+    }
+  }
+  // 8. Return true.
+  return true;
+}
+
+/** https://tc39.es/ecma262/#sec-AllImportAttributesSupported */
+export function AllImportAttributesSupported(attributes) {
+  // 1. Let supported be HostGetSupportedImportAttributes().
+  const supported = HostGetSupportedImportAttributes();
+  // 2. For each ImportAttribute Record attribute of attributes, do
+  for (const attribute of attributes) {
+    // a. If supported does not contain attribute.[[Key]], return false.
+    if (!supported.includes(attribute.Key.stringValue())) {
+      return false;
+    }
+  }
+  // 3. Return true.
+  return true;
+}
+
+function getLoadedModuleRequest(loadedModules, moduleRequest) {
   for (const record of loadedModules) {
-    if (record.Specifier.stringValue() === specifier.stringValue()) {
+    if (ModuleRequestsEqual(record, moduleRequest)) {
       return record;
     }
   }
@@ -348,24 +540,28 @@ function getRecordWithSpecifier(loadedModules, specifier) {
 }
 
 /** https://tc39.es/ecma262/#sec-GetImportedModule */
-export function GetImportedModule(referrer, specifier) {
-  const record = getRecordWithSpecifier(referrer.LoadedModules, specifier);
+export function GetImportedModule(referrer, request) {
+  // 1. Let records be a List consisting of each LoadedModuleRequest Record r of referrer.[[LoadedModules]] such that ModuleRequestsEqual(r, request) is true.
+  // 2. Assert: records has exactly one element, since LoadRequestedModules has completed successfully on referrer prior to invoking this abstract operation.
+  // 3. Let record be the sole element of records.
+  const record = getLoadedModuleRequest(referrer.LoadedModules, request);
   Assert(record !== undefined);
+  // 4. Return record.[[Module]].
   return record.Module;
 }
 
 /** https://tc39.es/ecma262/#sec-FinishLoadingImportedModule */
-export function FinishLoadingImportedModule(referrer, specifier, result, state) {
+export function FinishLoadingImportedModule(referrer, moduleRequest, result, state) {
   // 1. If result is a normal completion, then
   if (result.Type === 'normal') {
-    // a. If referrer.[[LoadedModules]] contains a Record whose [[Specifier]] is specifier, then
-    const record = getRecordWithSpecifier(referrer.LoadedModules, specifier);
+    // a. If referrer.[[LoadedModules]] contains a LoadedModuleRequest Record record such that ModuleRequestsEqual(record, moduleRequest) is true, then
+    const record = getLoadedModuleRequest(referrer.LoadedModules, moduleRequest);
     if (record !== undefined) {
-      // i. Assert: That Record's [[Module]] is result.[[Value]].
+      // i. Assert: record.[[Module]] and result.[[Value]] are the same Module Record.
       Assert(record.Module === result.Value);
     } else {
-    // b. Else, append the Record { [[Specifier]]: specifier, [[Module]]: result.[[Value]] } to referrer.[[LoadedModules]].
-      referrer.LoadedModules.push({ Specifier: specifier, Module: result.Value });
+    // b. Else, append the LoadedModuleRequest Record { [[Specifier]]: moduleRequest.[[Specifier]], [[Attributes]]: moduleRequest.[[Attributes]], [[Module]]: result.[[Value]] } to referrer.[[LoadedModules]].
+      referrer.LoadedModules.push({ Specifier: moduleRequest.Specifier, Attributes: moduleRequest.Attributes, Module: result.Value });
     }
   }
 
@@ -375,21 +571,21 @@ export function FinishLoadingImportedModule(referrer, specifier, result, state)
     ContinueModuleLoading(state, result);
   // 3. Else,
   } else {
-    // a. Perform ContinueDynamicImport(payload, result).
-    ContinueDynamicImport(state, result);
+    // a. Perform ContinueDynamicImport(payload, result, moduleRequest.[[Phase]]).
+    ContinueDynamicImport(state, result, moduleRequest.Phase);
   }
 
   // 4. Return unused.
 }
 
 /** https://tc39.es/ecma262/#sec-getmodulenamespace */
-export function GetModuleNamespace(module) {
+export function GetModuleNamespace(module, phase) {
   // 1. Assert: If module is a Cyclic Module Record, then module.[[Status]] is not new or unlinked.
   if (module instanceof CyclicModuleRecord) {
     Assert(module.Status !== 'new' && module.Status !== 'unlinked');
   }
-  // 2. Let namespace be module.[[Namespace]].
-  let namespace = module.Namespace;
+  // 2. If phase is defer, let namespace be module.[[DeferredNamespace]]; otherwise let namespace be module.[[Namespace]].
+  let namespace = phase === 'defer' ? module.DeferredNamespace : module.Namespace;
   // 3. If namespace is empty, then
   if (namespace === Value.undefined) {
     // a. Let exportedNames be module.GetExportedNames().
@@ -405,8 +601,8 @@ export function GetModuleNamespace(module) {
         unambiguousNames.push(name);
       }
     }
-    // d. Set namespace to ModuleNamespaceCreate(module, unambiguousNames).
-    namespace = ModuleNamespaceCreate(module, unambiguousNames);
+    // d. Set namespace to ModuleNamespaceCreate(module, unambiguousNames, phase).
+    namespace = ModuleNamespaceCreate(module, unambiguousNames, phase);
   }
   // 4. Return namespace.
   return namespace;
@@ -425,6 +621,7 @@ export function CreateSyntheticModule(exportNames, evaluationSteps, realm, hostD
     Realm: realm,
     Environment: Value.undefined,
     Namespace: Value.undefined,
+    DeferredNamespace: Value.undefined,
     HostDefined: hostDefined,
     ExportNames: exportNames,
     EvaluationSteps: evaluationSteps,
@@ -441,3 +638,66 @@ export function CreateDefaultExportSyntheticModule(defaultExport, realm, hostDef
   // 2. Return CreateSyntheticModule(« "default" », closure, realm)
   return CreateSyntheticModule([Value('default')], closure, realm, hostDefined);
 }
+
+// Module expressions and module declarations evaluate to ModuleSource objects
+// that carry the Module Record they were created with.
+export function ModuleSourceCreate(moduleRecord) {
+  const moduleSource = OrdinaryObjectCreate(surroundingAgent.intrinsic('%ModuleSource.prototype%'), ['ModuleRecord', 'ModuleSourceClassName']);
+  moduleSource.ModuleRecord = moduleRecord;
+  moduleSource.ModuleSourceClassName = Value('ModuleSource');
+  return moduleSource;
+}
+
+// Wraps a module source object that the host finished a source phase import
+// with. Within realm, the same object always maps to the same record, so that
+// loading it again satisfies FinishLoadingImportedModule's consistency requirement.
+export function GetModuleSourceRecord(moduleSource, realm, hostDefined) {
+  for (const e of realm.ModuleSourceMap) {
+    if (e.Source === moduleSource) {
+      return e.Module;
+    }
+  }
+  const module = new ModuleSourceRecord({
+    Realm: realm,
+    Environment: Value.undefined,
+    Namespace: Value.undefined,
+    DeferredNamespace: Value.undefined,
+    HostDefined: hostDefined,
+    ExportNames: [],
+    EvaluationSteps: () => NormalCompletion(undefined),
+    ModuleSource: moduleSource,
+  });
+  realm.ModuleSourceMap.push({ Source: moduleSource, Module: module });
+  return module;
+}
+
+export function CreateInlineModule(body, realm, parent) {
+  const hostDefined = parent === Value.null ? {} : parent.HostDefined;
+  return CreateSourceTextModuleRecord(body, realm, hostDefined, parent);
+}
+
+function declaresModule(module, declaration) {
+  if (module.ECMAScriptCode.ModuleBody === null) {
+    return false;
+  }
+  return module.ECMAScriptCode.ModuleBody.ModuleItemList.some((item) => item === declaration
+    || (item.type === 'ExportDeclaration' && item.Declaration === declaration));
+}
+
+// A module declaration at the top level of a module is instantiated once per
+// record of that module, so that static imports of it and its binding observe
+// the same Module Record. Declarations anywhere else create a new record each
+// time they are evaluated, like module expressions.
+export function GetModuleDeclarationRecord(referrer, declaration) {
+  let module = referrer;
+  while (module instanceof SourceTextModuleRecord) {
+    if (declaresModule(module, declaration)) {
+      if (!module.ModuleDeclarations.has(declaration)) {
+        module.ModuleDeclarations.set(declaration, CreateInlineModule(declaration.Module, module.Realm, module));
+      }
+      return module.ModuleDeclarations.get(declaration);
+    }
+    module = module instanceof InlineModuleRecord ? module.Parent : Value.null;
+  }
+  return CreateInlineModule(declaration.Module, surroundingAgent.currentRealmRecord, referrer);
+}
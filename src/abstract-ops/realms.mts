@@ -3,6 +3,7 @@ import {
   Descriptor,
   Value,
 } from '../value.mjs';
+import { surroundingAgent } from '../engine.mjs';
 import { NewGlobalEnvironment } from '../environment.mjs';
 import { Q, X } from '../completion.mjs';
 import { bootstrapObjectPrototype } from '../intrinsics/ObjectPrototype.mjs';
@@ -11,6 +12,8 @@ import { bootstrapArrayPrototype } from '../intrinsics/ArrayPrototype.mjs';
 import { bootstrapArray } from '../intrinsics/Array.mjs';
 import { bootstrapBigInt } from '../intrinsics/BigInt.mjs';
 import { bootstrapBigIntPrototype } from '../intrinsics/BigIntPrototype.mjs';
+import { bootstrapDecimal128 } from '../intrinsics/Decimal128.mjs';
+import { bootstrapDecimal128Prototype } from '../intrinsics/Decimal128Prototype.mjs';
 import { bootstrapBooleanPrototype } from '../intrinsics/BooleanPrototype.mjs';
 import { bootstrapBoolean } from '../intrinsics/Boolean.mjs';
 import { bootstrapNumberPrototype } from '../intrinsics/NumberPrototype.mjs';
@@ -34,7 +37,13 @@ import { bootstrapErrorPrototype } from '../intrinsics/ErrorPrototype.mjs';
 import { bootstrapError } from '../intrinsics/Error.mjs';
 import { bootstrapNativeError } from '../intrinsics/NativeError.mjs';
 import { bootstrapIteratorPrototype } from '../intrinsics/IteratorPrototype.mjs';
+import { bootstrapIterator } from '../intrinsics/Iterator.mjs';
+import { bootstrapIteratorHelperPrototype } from '../intrinsics/IteratorHelperPrototype.mjs';
+import { bootstrapWrapForValidIteratorPrototype } from '../intrinsics/WrapForValidIteratorPrototype.mjs';
 import { bootstrapAsyncIteratorPrototype } from '../intrinsics/AsyncIteratorPrototype.mjs';
+import { bootstrapAsyncIterator } from '../intrinsics/AsyncIterator.mjs';
+import { bootstrapAsyncIteratorHelperPrototype } from '../intrinsics/AsyncIteratorHelperPrototype.mjs';
+import { bootstrapWrapForValidAsyncIteratorPrototype } from '../intrinsics/WrapForValidAsyncIteratorPrototype.mjs';
 import { bootstrapArrayIteratorPrototype } from '../intrinsics/ArrayIteratorPrototype.mjs';
 import { bootstrapMapIteratorPrototype } from '../intrinsics/MapIteratorPrototype.mjs';
 import { bootstrapSetIteratorPrototype } from '../intrinsics/SetIteratorPrototype.mjs';
@@ -63,6 +72,7 @@ import { bootstrapIsNaN } from '../intrinsics/isNaN.mjs';
 import { bootstrapParseFloat } from '../intrinsics/parseFloat.mjs';
 import { bootstrapParseInt } from '../intrinsics/parseInt.mjs';
 import { bootstrapURIHandling } from '../intrinsics/URIHandling.mjs';
+import { bootstrapEscape } from '../intrinsics/escape.mjs';
 import { bootstrapThrowTypeError } from '../intrinsics/ThrowTypeError.mjs';
 import { bootstrapTypedArray } from '../intrinsics/TypedArray.mjs';
 import { bootstrapTypedArrayPrototype } from '../intrinsics/TypedArrayPrototype.mjs';
@@ -76,6 +86,20 @@ import { bootstrapWeakSetPrototype } from '../intrinsics/WeakSetPrototype.mjs';
 import { bootstrapWeakSet } from '../intrinsics/WeakSet.mjs';
 import { bootstrapAggregateError } from '../intrinsics/AggregateError.mjs';
 import { bootstrapAggregateErrorPrototype } from '../intrinsics/AggregateErrorPrototype.mjs';
+import { bootstrapSuppressedError } from '../intrinsics/SuppressedError.mjs';
+import { bootstrapSuppressedErrorPrototype } from '../intrinsics/SuppressedErrorPrototype.mjs';
+import { bootstrapDisposableStack } from '../intrinsics/DisposableStack.mjs';
+import { bootstrapDisposableStackPrototype } from '../intrinsics/DisposableStackPrototype.mjs';
+import { bootstrapAsyncDisposableStack } from '../intrinsics/AsyncDisposableStack.mjs';
+import { bootstrapAsyncDisposableStackPrototype } from '../intrinsics/AsyncDisposableStackPrototype.mjs';
+import { bootstrapRecordPrototype } from '../intrinsics/RecordPrototype.mjs';
+import { bootstrapRecord } from '../intrinsics/Record.mjs';
+import { bootstrapTuplePrototype } from '../intrinsics/TuplePrototype.mjs';
+import { bootstrapTuple } from '../intrinsics/Tuple.mjs';
+import { bootstrapAbstractModuleSourcePrototype } from '../intrinsics/AbstractModuleSourcePrototype.mjs';
+import { bootstrapAbstractModuleSource } from '../intrinsics/AbstractModuleSource.mjs';
+import { bootstrapModuleSourcePrototype } from '../intrinsics/ModuleSourcePrototype.mjs';
+import { bootstrapModuleSource } from '../intrinsics/ModuleSource.mjs';
 import { bootstrapWeakRefPrototype } from '../intrinsics/WeakRefPrototype.mjs';
 import { bootstrapWeakRef } from '../intrinsics/WeakRef.mjs';
 import { bootstrapFinalizationRegistryPrototype } from '../intrinsics/FinalizationRegistryPrototype.mjs';
@@ -93,6 +117,8 @@ export class Realm {
   GlobalObject;
   GlobalEnv;
   TemplateMap;
+  DedentMap;
+  ModuleSourceMap;
   LoadedModules;
   HostDefined;
   randomState;
@@ -103,8 +129,16 @@ export class Realm {
     for (const v of Object.values(this.Intrinsics)) {
       m(v);
     }
-    for (const v of Object.values(this.TemplateMap)) {
-      m(v);
+    for (const v of this.TemplateMap) {
+      m(v.Array);
+    }
+    for (const v of this.DedentMap) {
+      m(v.Raw);
+      m(v.Dedented);
+    }
+    for (const v of this.ModuleSourceMap) {
+      m(v.Source);
+      m(v.Module);
     }
     for (const v of this.LoadedModules) {
       m(v.Module);
@@ -119,6 +153,8 @@ export function CreateRealm() {
   realmRec.GlobalObject = Value.undefined;
   realmRec.GlobalEnv = Value.undefined;
   realmRec.TemplateMap = [];
+  realmRec.DedentMap = [];
+  realmRec.ModuleSourceMap = [];
   realmRec.LoadedModules = [];
   return realmRec;
 }
@@ -157,6 +193,9 @@ export function CreateIntrinsics(realmRec) {
   bootstrapParseFloat(realmRec);
   bootstrapParseInt(realmRec);
   bootstrapURIHandling(realmRec);
+  if (surroundingAgent.feature('annex-b')) {
+    bootstrapEscape(realmRec);
+  }
 
   bootstrapObject(realmRec);
 
@@ -165,10 +204,17 @@ export function CreateIntrinsics(realmRec) {
   bootstrapNativeError(realmRec);
   bootstrapAggregateErrorPrototype(realmRec);
   bootstrapAggregateError(realmRec);
+  if (surroundingAgent.feature('explicit-resource-management')) {
+    bootstrapSuppressedErrorPrototype(realmRec);
+    bootstrapSuppressedError(realmRec);
+  }
 
   bootstrapFunction(realmRec);
 
   bootstrapIteratorPrototype(realmRec);
+  bootstrapIterator(realmRec);
+  bootstrapIteratorHelperPrototype(realmRec);
+  bootstrapWrapForValidIteratorPrototype(realmRec);
   bootstrapAsyncIteratorPrototype(realmRec);
   bootstrapArrayIteratorPrototype(realmRec);
   bootstrapMapIteratorPrototype(realmRec);
@@ -253,6 +299,41 @@ export function CreateIntrinsics(realmRec) {
   bootstrapFinalizationRegistryPrototype(realmRec);
   bootstrapFinalizationRegistry(realmRec);
 
+  if (surroundingAgent.feature('async-iterator-helpers')) {
+    bootstrapAsyncIterator(realmRec);
+    bootstrapAsyncIteratorHelperPrototype(realmRec);
+    bootstrapWrapForValidAsyncIteratorPrototype(realmRec);
+  }
+
+  if (surroundingAgent.feature('explicit-resource-management')) {
+    bootstrapDisposableStackPrototype(realmRec);
+    bootstrapDisposableStack(realmRec);
+    bootstrapAsyncDisposableStackPrototype(realmRec);
+    bootstrapAsyncDisposableStack(realmRec);
+  }
+
+  if (surroundingAgent.feature('decimal')) {
+    bootstrapDecimal128Prototype(realmRec);
+    bootstrapDecimal128(realmRec);
+  }
+
+  if (surroundingAgent.feature('record-tuple')) {
+    bootstrapRecordPrototype(realmRec);
+    bootstrapRecord(realmRec);
+    bootstrapTuplePrototype(realmRec);
+    bootstrapTuple(realmRec);
+  }
+
+  if (surroundingAgent.feature('source-phase-imports')) {
+    bootstrapAbstractModuleSourcePrototype(realmRec);
+    bootstrapAbstractModuleSource(realmRec);
+  }
+
+  if (surroundingAgent.feature('module-expressions') || surroundingAgent.feature('module-declarations')) {
+    bootstrapModuleSourcePrototype(realmRec);
+    bootstrapModuleSource(realmRec);
+  }
+
   AddRestrictedFunctionProperties(intrinsics['%Function.prototype%'], realmRec);
 
   return intrinsics;
@@ -309,6 +390,10 @@ export function SetDefaultGlobalBindings(realmRec) {
     'decodeURIComponent',
     'encodeURI',
     'encodeURIComponent',
+    ...surroundingAgent.feature('annex-b') ? [
+      'escape',
+      'unescape',
+    ] : [],
 
     // Constructor Properties of the Global Object
     'AggregateError',
@@ -329,6 +414,7 @@ export function SetDefaultGlobalBindings(realmRec) {
     'Int8Array',
     'Int16Array',
     'Int32Array',
+    'Iterator',
     'Map',
     'Number',
     'Object',
@@ -351,6 +437,24 @@ export function SetDefaultGlobalBindings(realmRec) {
     'WeakMap',
     'WeakRef',
     'WeakSet',
+    ...surroundingAgent.feature('async-iterator-helpers') ? [
+      'AsyncIterator',
+    ] : [],
+    ...surroundingAgent.feature('decimal') ? [
+      'Decimal128',
+    ] : [],
+    ...surroundingAgent.feature('explicit-resource-management') ? [
+      'AsyncDisposableStack',
+      'DisposableStack',
+      'SuppressedError',
+    ] : [],
+    ...surroundingAgent.feature('record-tuple') ? [
+      'Record',
+      'Tuple',
+    ] : [],
+    ...surroundingAgent.feature('module-expressions') || surroundingAgent.feature('module-declarations') ? [
+      'ModuleSource',
+    ] : [],
 
     // Other Properties of the Global Object
     // 'Atomics',
@@ -0,0 +1,388 @@
+// @ts-nocheck
+import { surroundingAgent } from '../engine.mjs';
+import {
+  Descriptor,
+  JSStringValue,
+  ObjectValue,
+  RecordValue,
+  SymbolValue,
+  TupleValue,
+  UndefinedValue,
+  Value,
+} from '../value.mjs';
+import { X } from '../completion.mjs';
+import {
+  Assert,
+  CanonicalNumericIndexString,
+  IsCompatiblePropertyDescriptor,
+  IsIntegralNumber,
+  IsPropertyKey,
+  MakeBasicObject,
+  OrdinaryGet,
+  OrdinaryHasProperty,
+  ToString,
+  F,
+} from './all.mjs';
+
+// This file covers abstract operations defined in
+/** https://tc39.es/proposal-record-tuple/ */
+
+/** https://tc39.es/proposal-record-tuple/#sec-addpropertyintorecordentrieslist */
+export function AddPropertyIntoRecordEntriesList(entries, propName, value) {
+  // 1. Assert: IsPropertyKey(propName) is true.
+  Assert(IsPropertyKey(propName));
+  // 2. If Type(propName) is Symbol, throw a TypeError exception.
+  if (propName instanceof SymbolValue) {
+    return surroundingAgent.Throw('TypeError', 'RecordSymbolKey', propName);
+  }
+  // 3. If Type(value) is Object, throw a TypeError exception.
+  if (value instanceof ObjectValue) {
+    return surroundingAgent.Throw('TypeError', 'ObjectInRecordOrTuple', value);
+  }
+  // 4. Add { [[Key]]: propName, [[Value]]: value } to entries.
+  entries.push({ Key: propName, Value: value });
+  // 5. Return entries.
+  return entries;
+}
+
+/** https://tc39.es/proposal-record-tuple/#sec-deduplicaterecordentries */
+export function DeduplicateRecordEntries(entries) {
+  // 1. Let uniqueEntries be a new empty List.
+  const uniqueEntries = [];
+  // 2. For each element entry of entries, do
+  for (const entry of entries) {
+    // a. If uniqueEntries contains an element e such that e.[[Key]] is entry.[[Key]], then
+    const e = uniqueEntries.find((u) => u.Key.stringValue() === entry.Key.stringValue());
+    if (e !== undefined) {
+      // i. Set e.[[Value]] to entry.[[Value]].
+      e.Value = entry.Value;
+    } else { // b. Else,
+      // i. Append { [[Key]]: entry.[[Key]], [[Value]]: entry.[[Value]] } to uniqueEntries.
+      uniqueEntries.push({ Key: entry.Key, Value: entry.Value });
+    }
+  }
+  // 3. Sort uniqueEntries according to the lexicographic order of their [[Key]] field, treating the value of each such field as a sequence of UTF-16 code unit values.
+  uniqueEntries.sort((a, b) => (a.Key.stringValue() < b.Key.stringValue() ? -1 : 1));
+  // 4. Return uniqueEntries.
+  return uniqueEntries;
+}
+
+/** https://tc39.es/proposal-record-tuple/#sec-addvaluetotuplesequencelist */
+export function AddValueToTupleSequenceList(sequence, value) {
+  // 1. If Type(value) is Object, throw a TypeError exception.
+  if (value instanceof ObjectValue) {
+    return surroundingAgent.Throw('TypeError', 'ObjectInRecordOrTuple', value);
+  }
+  // 2. Append value to sequence.
+  sequence.push(value);
+  // 3. Return sequence.
+  return sequence;
+}
+
+/** https://tc39.es/proposal-record-tuple/#sec-recordequal */
+export function RecordEqual(x, y, elementEqual) {
+  // 1. If the size of x.[[Fields]] is not the size of y.[[Fields]], return false.
+  if (x.Fields.length !== y.Fields.length) {
+    return Value.false;
+  }
+  // 2. For each index i of x.[[Fields]], do
+  for (let i = 0; i < x.Fields.length; i += 1) {
+    const xField = x.Fields[i];
+    const yField = y.Fields[i];
+    // a. If xField.[[Key]] is not yField.[[Key]], return false.
+    if (xField.Key.stringValue() !== yField.Key.stringValue()) {
+      return Value.false;
+    }
+    // b. If elementEqual(xField.[[Value]], yField.[[Value]]) is false, return false.
+    if (elementEqual(xField.Value, yField.Value) === Value.false) {
+      return Value.false;
+    }
+  }
+  // 3. Return true.
+  return Value.true;
+}
+
+/** https://tc39.es/proposal-record-tuple/#sec-tupleequal */
+export function TupleEqual(x, y, elementEqual) {
+  // 1. If the length of x.[[Sequence]] is not the length of y.[[Sequence]], return false.
+  if (x.Sequence.length !== y.Sequence.length) {
+    return Value.false;
+  }
+  // 2. For each index i of x.[[Sequence]], do
+  for (let i = 0; i < x.Sequence.length; i += 1) {
+    // a. If elementEqual(x.[[Sequence]][i], y.[[Sequence]][i]) is false, return false.
+    if (elementEqual(x.Sequence[i], y.Sequence[i]) === Value.false) {
+      return Value.false;
+    }
+  }
+  // 3. Return true.
+  return Value.true;
+}
+
+function RecordGetField(R, P) {
+  if (!(P instanceof JSStringValue)) {
+    return undefined;
+  }
+  return R.RecordData.Fields.find((f) => f.Key.stringValue() === P.stringValue());
+}
+
+/** https://tc39.es/proposal-record-tuple/#sec-record-exotic-objects-getownproperty-p */
+function RecordExoticGetOwnProperty(P) {
+  const R = this;
+  // 1. Assert: IsPropertyKey(P) is true.
+  Assert(IsPropertyKey(P));
+  // 2. If Type(P) is Symbol, return undefined.
+  // 3. Let rec be R.[[RecordData]].
+  // 4. If rec.[[Fields]] does not contain an element field such that field.[[Key]] is P, return undefined.
+  const field = RecordGetField(R, P);
+  if (field === undefined) {
+    return Value.undefined;
+  }
+  // 5. Return the PropertyDescriptor { [[Value]]: field.[[Value]], [[Writable]]: false, [[Enumerable]]: true, [[Configurable]]: false }.
+  return Descriptor({
+    Value: field.Value,
+    Writable: Value.false,
+    Enumerable: Value.true,
+    Configurable: Value.false,
+  });
+}
+
+/** https://tc39.es/proposal-record-tuple/#sec-record-exotic-objects-defineownproperty-p-desc */
+function RecordExoticDefineOwnProperty(P, Desc) {
+  const R = this;
+  // 1. Assert: IsPropertyKey(P) is true.
+  Assert(IsPropertyKey(P));
+  // 2. Let current be ! R.[[GetOwnProperty]](P).
+  const current = X(R.GetOwnProperty(P));
+  // 3. If current is undefined, return false.
+  if (current instanceof UndefinedValue) {
+    return Value.false;
+  }
+  // 4. Return IsCompatiblePropertyDescriptor(false, Desc, current).
+  return X(IsCompatiblePropertyDescriptor(Value.false, Desc, current));
+}
+
+/** https://tc39.es/proposal-record-tuple/#sec-record-exotic-objects-set-p-v-receiver */
+function RecordExoticSet() {
+  // 1. Return false.
+  return Value.false;
+}
+
+/** https://tc39.es/proposal-record-tuple/#sec-record-exotic-objects-delete-p */
+function RecordExoticDelete(P) {
+  const R = this;
+  // 1. Assert: IsPropertyKey(P) is true.
+  Assert(IsPropertyKey(P));
+  // 2. If R.[[RecordData]].[[Fields]] contains an element field such that field.[[Key]] is P, return false.
+  if (RecordGetField(R, P) !== undefined) {
+    return Value.false;
+  }
+  // 3. Return true.
+  return Value.true;
+}
+
+/** https://tc39.es/proposal-record-tuple/#sec-record-exotic-objects-ownpropertykeys */
+function RecordExoticOwnPropertyKeys() {
+  const R = this;
+  // 1. Let keys be a new empty List.
+  // 2. For each element field of R.[[RecordData]].[[Fields]], append field.[[Key]] to keys.
+  // 3. Return keys.
+  return R.RecordData.Fields.map((field) => field.Key);
+}
+
+/** https://tc39.es/proposal-record-tuple/#sec-recordcreate */
+export function RecordCreate(value, prototype) {
+  // 1. Assert: Type(value) is Record.
+  Assert(value instanceof RecordValue);
+  // 2. Let R be ! MakeBasicObject(« [[Prototype]], [[Extensible]], [[RecordData]] »).
+  const R = X(MakeBasicObject(['Prototype', 'Extensible', 'RecordData']));
+  // 3. Set R.[[Prototype]] to prototype.
+  R.Prototype = prototype;
+  // 4. Set R.[[Extensible]] to false.
+  R.Extensible = Value.false;
+  // 5. Set R.[[RecordData]] to value.
+  R.RecordData = value;
+  // 6. Set R's essential internal methods to the definitions specified in Record Exotic Objects.
+  R.GetOwnProperty = RecordExoticGetOwnProperty;
+  R.DefineOwnProperty = RecordExoticDefineOwnProperty;
+  R.Set = RecordExoticSet;
+  R.Delete = RecordExoticDelete;
+  R.OwnPropertyKeys = RecordExoticOwnPropertyKeys;
+  // 7. Return R.
+  return R;
+}
+
+/** https://tc39.es/proposal-record-tuple/#sec-isvalidtupleindex */
+export function IsValidTupleIndex(T, index) {
+  // 1. If IsIntegralNumber(index) is false, return false.
+  if (IsIntegralNumber(index) === Value.false) {
+    return Value.false;
+  }
+  // 2. If index is -0𝔽, return false.
+  if (Object.is(index.numberValue(), -0)) {
+    return Value.false;
+  }
+  // 3. If ℝ(index) < 0 or ℝ(index) ≥ the length of T.[[Sequence]], return false.
+  if (index.numberValue() < 0 || index.numberValue() >= T.Sequence.length) {
+    return Value.false;
+  }
+  // 4. Return true.
+  return Value.true;
+}
+
+/** https://tc39.es/proposal-record-tuple/#sec-tupleget */
+function TupleGet(T, numericIndex) {
+  // 1. If IsValidTupleIndex(T, numericIndex) is false, return empty.
+  if (IsValidTupleIndex(T, numericIndex) === Value.false) {
+    return undefined;
+  }
+  // 2. Return T.[[Sequence]][ℝ(numericIndex)].
+  return T.Sequence[numericIndex.numberValue()];
+}
+
+/** https://tc39.es/proposal-record-tuple/#sec-tuple-exotic-objects-getownproperty-p */
+function TupleExoticGetOwnProperty(P) {
+  const T = this;
+  // 1. Assert: IsPropertyKey(P) is true.
+  Assert(IsPropertyKey(P));
+  // 2. If Type(P) is Symbol, return undefined.
+  if (P instanceof SymbolValue) {
+    return Value.undefined;
+  }
+  // 3. Let numericIndex be ! CanonicalNumericIndexString(P).
+  const numericIndex = X(CanonicalNumericIndexString(P));
+  // 4. If numericIndex is undefined, return undefined.
+  if (numericIndex instanceof UndefinedValue) {
+    return Value.undefined;
+  }
+  // 5. Let value be TupleGet(T.[[TupleData]], numericIndex).
+  const value = TupleGet(T.TupleData, numericIndex);
+  // 6. If value is empty, return undefined.
+  if (value === undefined) {
+    return Value.undefined;
+  }
+  // 7. Return the PropertyDescriptor { [[Value]]: value, [[Writable]]: false, [[Enumerable]]: true, [[Configurable]]: false }.
+  return Descriptor({
+    Value: value,
+    Writable: Value.false,
+    Enumerable: Value.true,
+    Configurable: Value.false,
+  });
+}
+
+/** https://tc39.es/proposal-record-tuple/#sec-tuple-exotic-objects-defineownproperty-p-desc */
+function TupleExoticDefineOwnProperty(P, Desc) {
+  const T = this;
+  // 1. Assert: IsPropertyKey(P) is true.
+  Assert(IsPropertyKey(P));
+  // 2. Let current be ! T.[[GetOwnProperty]](P).
+  const current = X(T.GetOwnProperty(P));
+  // 3. If current is undefined, return false.
+  if (current instanceof UndefinedValue) {
+    return Value.false;
+  }
+  // 4. Return IsCompatiblePropertyDescriptor(false, Desc, current).
+  return X(IsCompatiblePropertyDescriptor(Value.false, Desc, current));
+}
+
+/** https://tc39.es/proposal-record-tuple/#sec-tuple-exotic-objects-hasproperty-p */
+function TupleExoticHasProperty(P) {
+  const T = this;
+  // 1. Assert: IsPropertyKey(P) is true.
+  Assert(IsPropertyKey(P));
+  // 2. If Type(P) is String, then
+  if (P instanceof JSStringValue) {
+    // a. Let numericIndex be ! CanonicalNumericIndexString(P).
+    const numericIndex = X(CanonicalNumericIndexString(P));
+    // b. If numericIndex is not undefined, return IsValidTupleIndex(T.[[TupleData]], numericIndex).
+    if (!(numericIndex instanceof UndefinedValue)) {
+      return IsValidTupleIndex(T.TupleData, numericIndex);
+    }
+  }
+  // 3. Return ? OrdinaryHasProperty(T, P).
+  return OrdinaryHasProperty(T, P);
+}
+
+/** https://tc39.es/proposal-record-tuple/#sec-tuple-exotic-objects-get-p-receiver */
+function TupleExoticGet(P, Receiver) {
+  const T = this;
+  // 1. Assert: IsPropertyKey(P) is true.
+  Assert(IsPropertyKey(P));
+  // 2. If Type(P) is String, then
+  if (P instanceof JSStringValue) {
+    // a. Let numericIndex be ! CanonicalNumericIndexString(P).
+    const numericIndex = X(CanonicalNumericIndexString(P));
+    // b. If numericIndex is not undefined, then
+    if (!(numericIndex instanceof UndefinedValue)) {
+      // i. Let value be TupleGet(T.[[TupleData]], numericIndex).
+      const value = TupleGet(T.TupleData, numericIndex);
+      // ii. If value is empty, return undefined.
+      // iii. Return value.
+      return value === undefined ? Value.undefined : value;
+    }
+  }
+  // 3. Return ? OrdinaryGet(T, P, Receiver).
+  return OrdinaryGet(T, P, Receiver);
+}
+
+/** https://tc39.es/proposal-record-tuple/#sec-tuple-exotic-objects-set-p-v-receiver */
+function TupleExoticSet() {
+  // 1. Return false.
+  return Value.false;
+}
+
+/** https://tc39.es/proposal-record-tuple/#sec-tuple-exotic-objects-delete-p */
+function TupleExoticDelete(P) {
+  const T = this;
+  // 1. Assert: IsPropertyKey(P) is true.
+  Assert(IsPropertyKey(P));
+  // 2. If Type(P) is String, then
+  if (P instanceof JSStringValue) {
+    // a. Let numericIndex be ! CanonicalNumericIndexString(P).
+    const numericIndex = X(CanonicalNumericIndexString(P));
+    // b. If numericIndex is not undefined, return ! IsValidTupleIndex(T.[[TupleData]], numericIndex) is false.
+    if (!(numericIndex instanceof UndefinedValue)) {
+      return IsValidTupleIndex(T.TupleData, numericIndex) === Value.true ? Value.false : Value.true;
+    }
+  }
+  // 3. Return true.
+  return Value.true;
+}
+
+/** https://tc39.es/proposal-record-tuple/#sec-tuple-exotic-objects-ownpropertykeys */
+function TupleExoticOwnPropertyKeys() {
+  const T = this;
+  // 1. Let keys be a new empty List.
+  const keys = [];
+  // 2. For each integer i starting with 0 such that i < the length of T.[[TupleData]].[[Sequence]], in ascending order, do
+  for (let i = 0; i < T.TupleData.Sequence.length; i += 1) {
+    // a. Append ! ToString(𝔽(i)) to keys.
+    keys.push(X(ToString(F(i))));
+  }
+  // 3. Return keys.
+  return keys;
+}
+
+/** https://tc39.es/proposal-record-tuple/#sec-tuplecreate */
+export function TupleCreate(value, prototype) {
+  // 1. Assert: Type(value) is Tuple.
+  Assert(value instanceof TupleValue);
+  // 2. Let T be ! MakeBasicObject(« [[Prototype]], [[Extensible]], [[TupleData]] »).
+  const T = X(MakeBasicObject(['Prototype', 'Extensible', 'TupleData']));
+  // 3. Set T.[[Prototype]] to prototype.
+  T.Prototype = prototype;
+  // 4. Set T.[[Extensible]] to false.
+  T.Extensible = Value.false;
+  // 5. Set T.[[TupleData]] to value.
+  T.TupleData = value;
+  // 6. Set T's essential internal methods to the definitions specified in Tuple Exotic Objects.
+  T.GetOwnProperty = TupleExoticGetOwnProperty;
+  T.DefineOwnProperty = TupleExoticDefineOwnProperty;
+  T.HasProperty = TupleExoticHasProperty;
+  T.Get = TupleExoticGet;
+  T.Set = TupleExoticSet;
+  T.Delete = TupleExoticDelete;
+  T.OwnPropertyKeys = TupleExoticOwnPropertyKeys;
+  // 7. Return T.
+  return T;
+}
@@ -149,7 +149,7 @@ export function GetThisValue(V) {
 }
 
 /** https://tc39.es/ecma262/#sec-initializereferencedbinding */
-export function InitializeReferencedBinding(V, W) {
+export function InitializeReferencedBinding(V, W, hint = 'normal') {
   // 1. ReturnIfAbrupt(V).
   ReturnIfAbrupt(V);
   // 2. ReturnIfAbrupt(W).
@@ -162,8 +162,8 @@ export function InitializeReferencedBinding(V, W) {
   const base = V.Base;
   // 6. Assert: base is an Environment Record.
   Assert(base instanceof EnvironmentRecord);
-  // 7. Return base.InitializeBinding(V.[[ReferencedName]], W).
-  return base.InitializeBinding(V.ReferencedName, W);
+  // 7. Return base.InitializeBinding(V.[[ReferencedName]], W, hint).
+  return base.InitializeBinding(V.ReferencedName, W, hint);
 }
 
 /** https://tc39.es/ecma262/#sec-makeprivatereference */
@@ -23,12 +23,30 @@ import {
 
 /** https://tc39.es/ecma262/#sec-regexpalloc */
 export function RegExpAlloc(newTarget) {
-  const obj = Q(OrdinaryCreateFromConstructor(newTarget, '%RegExp.prototype%', ['RegExpMatcher', 'OriginalSource', 'OriginalFlags']));
+  const internalSlotsList = ['RegExpMatcher', 'OriginalSource', 'OriginalFlags'];
+  if (surroundingAgent.feature('legacy-regexp')) {
+    internalSlotsList.push('Realm', 'LegacyFeaturesEnabled');
+  }
+  const obj = Q(OrdinaryCreateFromConstructor(newTarget, '%RegExp.prototype%', internalSlotsList));
   X(DefinePropertyOrThrow(obj, Value('lastIndex'), Descriptor({
     Writable: Value.true,
     Enumerable: Value.false,
     Configurable: Value.false,
   })));
+  if (surroundingAgent.feature('legacy-regexp')) {
+    // 1. Let thisRealm be the current Realm Record.
+    const thisRealm = surroundingAgent.currentRealmRecord;
+    // 2. Set the value of obj’s [[Realm]] internal slot to thisRealm.
+    obj.Realm = thisRealm;
+    // 3. If SameValue(newTarget, thisRealm.[[Intrinsics]].[[%RegExp%]]) is true, then
+    if (SameValue(newTarget, thisRealm.Intrinsics['%RegExp%']) === Value.true) {
+      // i. Set the value of obj’s [[LegacyFeaturesEnabled]] internal slot to true.
+      obj.LegacyFeaturesEnabled = true;
+    } else { // 4. Else,
+      // i. Set the value of obj’s [[LegacyFeaturesEnabled]] internal slot to false.
+      obj.LegacyFeaturesEnabled = false;
+    }
+  }
   return obj;
 }
 
@@ -49,43 +67,144 @@ export function RegExpInitialize(obj, pattern, flags) {
     F = Q(ToString(flags));
   }
   const f = F.stringValue();
-  // 5. If F contains any code unit other than "d", "g", "i", "m", "s", "u", or "y" or if it contains the same code unit more than once, throw a SyntaxError exception.
-  if (/^[dgimsuy]*$/.test(f) === false || (new globalThis.Set(f).size !== f.length)) {
+  // 5. If F contains any code unit other than "d", "g", "i", "m", "s", "u", "v", "x", or "y" or if it contains the same code unit more than once, throw a SyntaxError exception.
+  const validFlags = surroundingAgent.feature('regexp-x-mode') ? /^[dgimsuvxy]*$/ : /^[dgimsuvy]*$/;
+  if (validFlags.test(f) === false || (new globalThis.Set(f).size !== f.length)) {
     return surroundingAgent.Throw('SyntaxError', 'InvalidRegExpFlags', f);
   }
   // 6. If F contains "u", let u be true; else let u be false.
   const u = f.includes('u');
-  // 7. If u is true, then
+  // 7. If F contains "v", let v be true; else let v be false.
+  const v = f.includes('v');
+  // 8. If F contains "x", let x be true; else let x be false.
+  //    (https://github.com/tc39/proposal-regexp-x-mode)
+  const x = f.includes('x');
+  // 9. If u is true or v is true, then
   //   a. Let patternText be ! UTF16DecodeString(P).
   //   b. Let patternCharacters be a List whose elements are the code points of patternText.
-  // 8. Else,
+  // 10. Else,
   //   a. Let patternText be the result of interpreting each of P's 16-bit elements as a Unicode BMP code point. UTF-16 decoding is not applied to the elements.
   //   b. Let patternCharacters be a List whose elements are the code unit elements of P.
-  // 9. Let parseResult be ParsePattern(patternText, u).
+  // 11. Let parseResult be ParsePattern(patternText, u, v, x).
   const patternText = P.stringValue();
-  const parseResult = ParsePattern(patternText, u);
-  // 10. If parseResult is a non-empty List of SyntaxError objects, throw a SyntaxError exception.
+  const parseResult = ParsePattern(patternText, u, v, x);
+  // 12. If parseResult is a non-empty List of SyntaxError objects, throw a SyntaxError exception.
   if (Array.isArray(parseResult)) {
     return surroundingAgent.Throw(parseResult[0]);
   }
   obj.parsedPattern = parseResult;
-  // 11. Assert: parseResult is a Parse Node for Pattern.
+  // 13. Assert: parseResult is a Parse Node for Pattern.
   Assert(parseResult.type === 'Pattern');
-  // 12. Set obj.[[OriginalSource]] to P.
+  // 14. Set obj.[[OriginalSource]] to P.
   obj.OriginalSource = P;
-  // 13. Set obj.[[OriginalFlags]] to F.
+  // 15. Set obj.[[OriginalFlags]] to F.
   obj.OriginalFlags = F;
-  // 14. Set obj.[[RegExpMatcher]] to the Abstract Closure that evaluates parseResult by
+  // 16. Set obj.[[RegExpMatcher]] to the Abstract Closure that evaluates parseResult by
   //     applying the semantics provided in 21.2.2 using patternCharacters as the pattern's
   //     List of SourceCharacter values and F as the flag parameters.
   const evaluatePattern = surroundingAgent.hostDefinedOptions.boost?.evaluatePattern || Evaluate_Pattern;
   obj.RegExpMatcher = evaluatePattern(parseResult, F.stringValue());
-  // 15. Perform ? Set(obj, "lastIndex", +0𝔽, true).
+  // 17. Perform ? Set(obj, "lastIndex", +0𝔽, true).
   Q(Set(obj, Value('lastIndex'), toNumberValue(+0), Value.true));
-  // 16. Return obj.
+  // 18. Return obj.
   return obj;
 }
 
+// The additional internal slots of the RegExp constructor.
+export const LegacyRegExpStaticSlots = [
+  'RegExpInput',
+  'RegExpLastMatch',
+  'RegExpLastParen',
+  'RegExpLeftContext',
+  'RegExpRightContext',
+  'RegExpParen1',
+  'RegExpParen2',
+  'RegExpParen3',
+  'RegExpParen4',
+  'RegExpParen5',
+  'RegExpParen6',
+  'RegExpParen7',
+  'RegExpParen8',
+  'RegExpParen9',
+];
+
+/** https://github.com/tc39/proposal-regexp-legacy-features#getlegacyregexpstaticproperty-c-thisvalue-internalslotname- */
+export function GetLegacyRegExpStaticProperty(C, thisValue, internalSlotName) {
+  // 1. Assert C is an object that has an internal slot named internalSlotName.
+  Assert(C instanceof ObjectValue && internalSlotName in C);
+  // 2. If SameValue(C, thisValue) is false, throw a TypeError exception.
+  if (SameValue(C, thisValue) === Value.false) {
+    return surroundingAgent.Throw('TypeError', 'RegExpLegacyStaticReceiver', thisValue);
+  }
+  // 3. Let value be the value of the internal slot of C named internalSlotName.
+  const value = C[internalSlotName];
+  // 4. If value is empty, throw a TypeError exception.
+  if (value === undefined) {
+    return surroundingAgent.Throw('TypeError', 'RegExpLegacyStaticInvalidated');
+  }
+  // 5. Return value.
+  return value;
+}
+
+/** https://github.com/tc39/proposal-regexp-legacy-features#setlegacyregexpstaticproperty-c-thisvalue-internalslotname-val- */
+export function SetLegacyRegExpStaticProperty(C, thisValue, internalSlotName, val) {
+  // 1. Assert C is an object that has an internal slot named internalSlotName.
+  Assert(C instanceof ObjectValue && internalSlotName in C);
+  // 2. If SameValue(C, thisValue) is false, throw a TypeError exception.
+  if (SameValue(C, thisValue) === Value.false) {
+    return surroundingAgent.Throw('TypeError', 'RegExpLegacyStaticReceiver', thisValue);
+  }
+  // 3. Let strVal be ? ToString(val).
+  const strVal = Q(ToString(val));
+  // 4. Set the value of the internal slot of C named internalSlotName to strVal.
+  C[internalSlotName] = strVal;
+  return Value.undefined;
+}
+
+/** https://github.com/tc39/proposal-regexp-legacy-features#updatelegacyregexpstaticproperties--c-s-startindex-endindex-capturedvalues- */
+export function UpdateLegacyRegExpStaticProperties(C, S, startIndex, endIndex, capturedValues) {
+  // 1. Assert: C is an Object that has a [[RegExpInput]] internal slot.
+  Assert(C instanceof ObjectValue && 'RegExpInput' in C);
+  // 2. Assert: Type(S) is String.
+  Assert(S instanceof JSStringValue);
+  // 3. Let len be the number of code units in S.
+  const str = S.stringValue();
+  const len = str.length;
+  // 4. Assert: startIndex and endIndex are integers such that 0 ≤ startIndex ≤ endIndex ≤ len.
+  Assert(startIndex >= 0 && startIndex <= endIndex && endIndex <= len);
+  // 5. Assert: capturedValues is a List of Strings.
+  Assert(capturedValues.every((v) => v instanceof JSStringValue));
+  // 6. Let n be the number of elements in capturedValues.
+  const n = capturedValues.length;
+  // 7. Set the value of C’s [[RegExpInput]] internal slot to S.
+  C.RegExpInput = S;
+  // 8. Set the value of C’s [[RegExpLastMatch]] internal slot to a String whose length is endIndex - startIndex and containing the code units from S with indices startIndex through endIndex - 1, in ascending order.
+  C.RegExpLastMatch = Value(str.slice(startIndex, endIndex));
+  // 9. If n > 0, set the value of C’s [[RegExpLastParen]] internal slot to the last element of capturedValues.
+  // 10. Else, set the value of C’s [[RegExpLastParen]] internal slot to the empty String.
+  C.RegExpLastParen = n > 0 ? capturedValues[n - 1] : Value('');
+  // 11. Set the value of C’s [[RegExpLeftContext]] internal slot to a String whose length is startIndex and containing the code units from S with indices 0 through startIndex - 1, in ascending order.
+  C.RegExpLeftContext = Value(str.slice(0, startIndex));
+  // 12. Set the value of C’s [[RegExpRightContext]] internal slot to a String whose length is len - endIndex and containing the code units from S with indices endIndex through len - 1, in ascending order.
+  C.RegExpRightContext = Value(str.slice(endIndex));
+  // 13. For each integer i such that 1 ≤ i ≤ 9
+  for (let i = 1; i <= 9; i += 1) {
+    // a. If i ≤ n, set the value of C’s [[RegExpPareni]] internal slot to the ith element of capturedValues.
+    // b. Else, set the value of C’s [[RegExpPareni]] internal slot to the empty String.
+    C[`RegExpParen${i}`] = i <= n ? capturedValues[i - 1] : Value('');
+  }
+}
+
+/** https://github.com/tc39/proposal-regexp-legacy-features#invalidatelegacyregexpstaticproperties--c- */
+export function InvalidateLegacyRegExpStaticProperties(C) {
+  // 1. Assert: C is an Object that has a [[RegExpInput]] internal slot.
+  Assert(C instanceof ObjectValue && 'RegExpInput' in C);
+  // 2. Set the value of the following internal slots of C to empty:
+  for (const slot of LegacyRegExpStaticSlots) {
+    C[slot] = undefined;
+  }
+}
+
 /** https://tc39.es/ecma262/#sec-regexpcreate */
 export function RegExpCreate(P, F) {
   const obj = Q(RegExpAlloc(surroundingAgent.intrinsic('%RegExp%')));
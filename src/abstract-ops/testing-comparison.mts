@@ -6,6 +6,8 @@ import {
   JSStringValue,
   NumberValue,
   ObjectValue,
+  RecordValue,
+  TupleValue,
   TypeForMethod,
   Value,
   wellKnownSymbols,
@@ -24,6 +26,8 @@ import {
   StringToBigInt,
   isProxyExoticObject,
   isArrayExoticObject,
+  RecordEqual,
+  TupleEqual,
 } from './all.mjs';
 
 // This file covers abstract operations defined in
@@ -42,6 +46,8 @@ export function RequireObjectCoercible(argument) {
     case 'String':
     case 'Symbol':
     case 'BigInt':
+    case 'Record':
+    case 'Tuple':
     case 'Object':
       return argument;
     default:
@@ -153,7 +159,15 @@ export function SameValue(x, y) {
     // a. Return ! Type(x)::sameValue(x, y).
     return TypeForMethod(x).sameValue(x, y);
   }
-  // 3. Return ! SameValueNonNumeric(x, y).
+  // 3. If Type(x) is Record, return ! RecordEqual(x, y, SameValue).
+  if (x instanceof RecordValue) {
+    return X(RecordEqual(x, y, SameValue));
+  }
+  // 4. If Type(x) is Tuple, return ! TupleEqual(x, y, SameValue).
+  if (x instanceof TupleValue) {
+    return X(TupleEqual(x, y, SameValue));
+  }
+  // 5. Return ! SameValueNonNumeric(x, y).
   return X(SameValueNonNumber(x, y));
 }
 
@@ -168,7 +182,15 @@ export function SameValueZero(x, y) {
     // a. Return ! Type(x)::sameValueZero(x, y).
     return TypeForMethod(x).sameValueZero(x, y);
   }
-  // 3. Return ! SameValueNonNumeric(x, y).
+  // 3. If Type(x) is Record, return ! RecordEqual(x, y, SameValueZero).
+  if (x instanceof RecordValue) {
+    return X(RecordEqual(x, y, SameValueZero));
+  }
+  // 4. If Type(x) is Tuple, return ! TupleEqual(x, y, SameValueZero).
+  if (x instanceof TupleValue) {
+    return X(TupleEqual(x, y, SameValueZero));
+  }
+  // 5. Return ! SameValueNonNumeric(x, y).
   return X(SameValueNonNumber(x, y));
 }
 
@@ -351,12 +373,12 @@ export function AbstractEqualityComparison(x, y) {
   if (y instanceof BooleanValue) {
     return AbstractEqualityComparison(x, X(ToNumber(y)));
   }
-  // 10. If Type(x) is either String, Number, BigInt, or Symbol and Type(y) is Object, return the result of the comparison x == ToPrimitive(y).
-  if (['String', 'Number', 'BigInt', 'Symbol'].includes(Type(x)) && y instanceof ObjectValue) {
+  // 10. If Type(x) is either String, Number, BigInt, Symbol, Record, or Tuple and Type(y) is Object, return the result of the comparison x == ToPrimitive(y).
+  if (['String', 'Number', 'BigInt', 'Symbol', 'Record', 'Tuple'].includes(Type(x)) && y instanceof ObjectValue) {
     return AbstractEqualityComparison(x, Q(ToPrimitive(y)));
   }
-  // 11. If Type(x) is Object and Type(y) is either String, Number, BigInt, or Symbol, return the result of the comparison ToPrimitive(x) == y.
-  if (x instanceof ObjectValue && ['String', 'Number', 'BigInt', 'Symbol'].includes(Type(y))) {
+  // 11. If Type(x) is Object and Type(y) is either String, Number, BigInt, Symbol, Record, or Tuple, return the result of the comparison ToPrimitive(x) == y.
+  if (x instanceof ObjectValue && ['String', 'Number', 'BigInt', 'Symbol', 'Record', 'Tuple'].includes(Type(y))) {
     return AbstractEqualityComparison(Q(ToPrimitive(x)), y);
   }
   // 12. If Type(x) is BigInt and Type(y) is Number, or if Type(x) is Number and Type(y) is BigInt, then
@@ -385,7 +407,15 @@ export function StrictEqualityComparison(x, y) {
     // a. Return ! Type(x)::equal(x, y).
     return X(TypeForMethod(x).equal(x, y));
   }
-  // 3. Return ! SameValueNonNumeric(x, y).
+  // 3. If Type(x) is Record, return ! RecordEqual(x, y, SameValueZero).
+  if (x instanceof RecordValue) {
+    return X(RecordEqual(x, y, SameValueZero));
+  }
+  // 4. If Type(x) is Tuple, return ! TupleEqual(x, y, SameValueZero).
+  if (x instanceof TupleValue) {
+    return X(TupleEqual(x, y, SameValueZero));
+  }
+  // 5. Return ! SameValueNonNumeric(x, y).
   return SameValueNonNumber(x, y);
 }
 
@@ -8,6 +8,8 @@ import {
   wellKnownSymbols,
   NullValue,
   BooleanValue,
+  RecordValue,
+  TupleValue,
 } from '../value.mjs';
 import {
   surroundingAgent,
@@ -22,8 +24,10 @@ import {
   GetMethod,
   IsCallable,
   OrdinaryObjectCreate,
+  RecordCreate,
   SameValue,
   StringCreate,
+  TupleCreate,
   Z,
   F,
 } from './all.mjs';
@@ -135,6 +139,9 @@ export function ToBoolean(argument) {
       return Value.false;
     }
     return Value.true;
+  } else if (argument instanceof RecordValue || argument instanceof TupleValue) {
+    // Return true.
+    return Value.true;
   } else if (argument instanceof ObjectValue) {
     // Return true.
     return Value.true;
@@ -180,6 +187,9 @@ export function ToNumber(argument) {
   } else if (argument instanceof SymbolValue) {
     // Throw a TypeError exception.
     return surroundingAgent.Throw('TypeError', 'CannotConvertSymbol', 'number');
+  } else if (argument instanceof RecordValue || argument instanceof TupleValue) {
+    // Throw a TypeError exception.
+    return surroundingAgent.Throw('TypeError', 'CannotConvertRecordOrTuple', Type(argument), 'number');
   } else if (argument instanceof ObjectValue) {
     // 1. Let primValue be ? ToPrimitive(argument, number).
     const primValue = Q(ToPrimitive(argument, 'number'));
@@ -391,6 +401,9 @@ export function ToBigInt(argument) {
   } else if (prim instanceof SymbolValue) {
     // Throw a TypeError exception.
     return surroundingAgent.Throw('TypeError', 'CannotConvertSymbol', 'bigint');
+  } else if (prim instanceof RecordValue || prim instanceof TupleValue) {
+    // Throw a TypeError exception.
+    return surroundingAgent.Throw('TypeError', 'CannotConvertRecordOrTuple', Type(prim), 'bigint');
   }
   throw new OutOfRange('ToBigInt', argument);
 }
@@ -455,6 +468,12 @@ export function ToString(argument) {
   } else if (argument instanceof BigIntValue) {
     // Return ! BigInt::toString(argument).
     return X(BigIntValue.toString(argument));
+  } else if (argument instanceof RecordValue) {
+    // Return "[object Record]".
+    return new JSStringValue('[object Record]');
+  } else if (argument instanceof TupleValue) {
+    // Return ? Call(%Tuple.prototype.join%, argument, « »).
+    return Q(Call(surroundingAgent.intrinsic('%Tuple.prototype.join%'), argument));
   } else if (argument instanceof ObjectValue) {
     // 1. Let primValue be ? ToPrimitive(argument, string).
     const primValue = Q(ToPrimitive(argument, 'string'));
@@ -495,6 +514,12 @@ export function ToObject(argument) {
     const obj = OrdinaryObjectCreate(surroundingAgent.intrinsic('%BigInt.prototype%'), ['BigIntData']);
     obj.BigIntData = argument;
     return obj;
+  } else if (argument instanceof RecordValue) {
+    // Return ! RecordCreate(argument, %Record.prototype%).
+    return X(RecordCreate(argument, surroundingAgent.intrinsic('%Record.prototype%')));
+  } else if (argument instanceof TupleValue) {
+    // Return ! TupleCreate(argument, %Tuple.prototype%).
+    return X(TupleCreate(argument, surroundingAgent.intrinsic('%Tuple.prototype%')));
   } else if (argument instanceof ObjectValue) {
     // Return argument.
     return argument;
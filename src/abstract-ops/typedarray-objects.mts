@@ -216,6 +216,24 @@ export function TypedArraySpeciesCreate(exemplar, argumentList) {
   return result;
 }
 
+/** https://tc39.es/ecma262/#sec-typedarray-create-same-type */
+export function TypedArrayCreateSameType(exemplar, argumentList) {
+  // 1. Assert: exemplar is an Object that has [[TypedArrayName]] and [[ContentType]] internal slots.
+  Assert(exemplar instanceof ObjectValue
+         && 'TypedArrayName' in exemplar
+         && 'ContentType' in exemplar);
+  // 2. Let constructor be the intrinsic object listed in column one of Table 61 for exemplar.[[TypedArrayName]].
+  const constructor = surroundingAgent.intrinsic(typedArrayInfoByName[exemplar.TypedArrayName.stringValue()].IntrinsicName);
+  // 3. Let result be ? TypedArrayCreate(constructor, argumentList).
+  const result = Q(TypedArrayCreate(constructor, argumentList));
+  // 4. Assert: result has [[TypedArrayName]] and [[ContentType]] internal slots.
+  Assert('TypedArrayName' in result && 'ContentType' in result);
+  // 5. Assert: result.[[ContentType]] is exemplar.[[ContentType]].
+  Assert(result.ContentType === exemplar.ContentType);
+  // 6. Return result.
+  return result;
+}
+
 /** https://tc39.es/ecma262/#sec-iterabletolist */
 export function IterableToList(items, method) {
   // 1. Let iteratorRecord be ? GetIterator(items, sync, method).
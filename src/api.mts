@@ -195,6 +195,8 @@ export class ManagedRealm extends Realm {
     this.GlobalObject = Value.undefined;
     this.GlobalEnv = Value.undefined;
     this.TemplateMap = [];
+    this.DedentMap = [];
+    this.ModuleSourceMap = [];
     this.LoadedModules = [];
 
     // InitializeHostDefinedRealm()
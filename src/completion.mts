@@ -133,6 +133,13 @@ export function IfAbruptCloseIterator(_value: Completion, _iteratorRecord: unkno
   throw new TypeError('IfAbruptCloseIterator() requires build');
 }
 
+/** https://tc39.es/proposal-async-iterator-helpers/#sec-ifabruptcloseasynciterator */
+// TODO(TS):
+export function IfAbruptCloseAsyncIterator(_value: Completion, _iteratorRecord: unknown) {
+  /* c8 skip next */
+  throw new TypeError('IfAbruptCloseAsyncIterator() requires build');
+}
+
 /** https://tc39.es/ecma262/#sec-ifabruptrejectpromise */
 export function IfAbruptRejectPromise(_value: Completion, _capability: PromiseCapabilityRecord) {
   /* c8 skip next */
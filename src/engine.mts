@@ -1,5 +1,5 @@
 // @ts-nocheck
-import { Value } from './value.mjs';
+import { JSStringValue, ObjectValue, Value } from './value.mjs';
 import {
   EnsureCompletion,
   NormalCompletion,
@@ -13,19 +13,113 @@ import {
   CleanupFinalizationRegistry,
   CreateArrayFromList,
   FinishLoadingImportedModule,
+  GetModuleDeclarationRecord,
+  GetModuleSourceRecord,
+  Realm,
 } from './abstract-ops/all.mjs';
 import { GlobalDeclarationInstantiation } from './runtime-semantics/all.mjs';
+import { AbstractModuleRecord } from './modules.mjs';
 import { Evaluate } from './evaluator.mjs';
 import { CallSite, unwind } from './helpers.mjs';
 import { runJobQueue } from './api.mjs';
 import * as messages from './messages.mjs';
 
 export const FEATURES = Object.freeze([
+  {
+    name: 'Annex B: Additional ECMAScript Features for Web Browsers',
+    flag: 'annex-b',
+    url: 'https://tc39.es/ecma262/#sec-additional-ecmascript-features-for-web-browsers',
+  },
+  {
+    name: 'Async Iterator Helpers',
+    flag: 'async-iterator-helpers',
+    url: 'https://github.com/tc39/proposal-async-iterator-helpers',
+  },
+  {
+    name: 'Decimal',
+    flag: 'decimal',
+    url: 'https://github.com/tc39/proposal-decimal',
+  },
+  {
+    name: 'Decorators',
+    flag: 'decorators',
+    url: 'https://github.com/tc39/proposal-decorators',
+  },
+  {
+    name: 'Deferred Module Evaluation',
+    flag: 'import-defer',
+    url: 'https://github.com/tc39/proposal-defer-import-eval',
+  },
+  {
+    name: 'Do Expressions',
+    flag: 'do-expressions',
+    url: 'https://github.com/tc39/proposal-do-expressions',
+  },
+  {
+    name: 'Explicit Resource Management',
+    flag: 'explicit-resource-management',
+    url: 'https://github.com/tc39/proposal-explicit-resource-management',
+  },
   {
     name: 'FinalizationRegistry.prototype.cleanupSome',
     flag: 'cleanup-some',
     url: 'https://github.com/tc39/proposal-cleanup-some',
   },
+  {
+    name: 'Hack-style Pipeline Operator',
+    flag: 'hack-pipeline',
+    url: 'https://github.com/tc39/proposal-pipeline-operator',
+  },
+  {
+    name: 'Legacy RegExp features',
+    flag: 'legacy-regexp',
+    url: 'https://github.com/tc39/proposal-regexp-legacy-features',
+  },
+  {
+    name: 'Module Declarations',
+    flag: 'module-declarations',
+    url: 'https://github.com/tc39/proposal-module-declarations',
+  },
+  {
+    name: 'Module Expressions',
+    flag: 'module-expressions',
+    url: 'https://github.com/tc39/proposal-module-expressions',
+  },
+  {
+    name: 'Pattern Matching',
+    flag: 'pattern-matching',
+    url: 'https://github.com/tc39/proposal-pattern-matching',
+  },
+  {
+    name: 'Records and Tuples',
+    flag: 'record-tuple',
+    url: 'https://github.com/tc39/proposal-record-tuple',
+  },
+  {
+    name: 'RegExp Buffer Boundaries',
+    flag: 'regexp-buffer-boundaries',
+    url: 'https://github.com/tc39/proposal-regexp-buffer-boundaries',
+  },
+  {
+    name: 'RegExp Extended Mode',
+    flag: 'regexp-x-mode',
+    url: 'https://github.com/tc39/proposal-regexp-x-mode',
+  },
+  {
+    name: 'Source Phase Imports',
+    flag: 'source-phase-imports',
+    url: 'https://github.com/tc39/proposal-source-phase-imports',
+  },
+  {
+    name: 'String.dedent',
+    flag: 'string-dedent',
+    url: 'https://github.com/tc39/proposal-string-dedent',
+  },
+  {
+    name: 'Throw Expressions',
+    flag: 'throw-expressions',
+    url: 'https://github.com/tc39/proposal-throw-expressions',
+  },
   {
     name: 'Well-Formed Unicode Strings',
     flag: 'is-usv-string',
@@ -273,30 +367,61 @@ export function HostHasSourceTextAvailable(func) {
   return Value.true;
 }
 
-// #sec-HostLoadImportedModule
-export function HostLoadImportedModule(referrer, specifier, hostDefined, payload) {
-  if (surroundingAgent.hostDefinedOptions.loadImportedModule) {
+/** https://tc39.es/ecma262/#sec-hostgetsupportedimportattributes */
+export function HostGetSupportedImportAttributes() {
+  if (surroundingAgent.hostDefinedOptions.getSupportedImportAttributes) {
+    return surroundingAgent.hostDefinedOptions.getSupportedImportAttributes();
+  }
+  return ['type'];
+}
+
+/** https://tc39.es/ecma262/#sec-HostLoadImportedModule */
+export function HostLoadImportedModule(referrer, moduleRequest, hostDefined, payload) {
+  let specifier = moduleRequest.Specifier;
+  if (!(specifier instanceof JSStringValue) && !(specifier instanceof AbstractModuleRecord)) {
+    specifier = GetModuleDeclarationRecord(referrer, specifier);
+  }
+  const { hostDefinedOptions } = surroundingAgent;
+  if (specifier instanceof AbstractModuleRecord ? hostDefinedOptions.loadInlineModule : hostDefinedOptions.loadImportedModule) {
     const executionContext = surroundingAgent.runningExecutionContext;
     let result;
     let sync = true;
-    surroundingAgent.hostDefinedOptions.loadImportedModule(referrer, specifier.stringValue(), hostDefined, (res) => {
-      result = EnsureCompletion(res);
+    const finish = (res) => {
       if (!sync) {
-        // If this callback has been called asynchronously, restore the correct execution context and enqueue a job.
+        // If this callback has been called asynchronously, restore the correct execution context.
         surroundingAgent.executionContextStack.push(executionContext);
+      }
+      result = EnsureCompletion(res);
+      if (result.Type === 'normal' && result.Value instanceof ObjectValue) {
+        if (moduleRequest.Phase === 'source') {
+          result = NormalCompletion(GetModuleSourceRecord(result.Value, referrer instanceof Realm ? referrer : referrer.Realm, hostDefined));
+        } else {
+          result = surroundingAgent.Throw('TypeError', 'ModuleSourceNotExpected');
+        }
+      }
+      if (!sync) {
+        // Enqueue a job to finish loading.
         surroundingAgent.queueJob('FinishLoadingImportedModule', () => {
-          FinishLoadingImportedModule(referrer, specifier, result, payload);
+          FinishLoadingImportedModule(referrer, moduleRequest, result, payload);
         });
         surroundingAgent.executionContextStack.pop(executionContext);
         runJobQueue();
       }
-    });
+    };
+    if (specifier instanceof AbstractModuleRecord) {
+      hostDefinedOptions.loadInlineModule(referrer, specifier, hostDefined, finish);
+    } else {
+      const attributes = new Map(moduleRequest.Attributes.map((attribute) => [attribute.Key.stringValue(), attribute.Value.stringValue()]));
+      hostDefinedOptions.loadImportedModule(referrer, specifier.stringValue(), hostDefined, finish, { attributes, phase: moduleRequest.Phase });
+    }
     sync = false;
     if (result !== undefined) {
-      FinishLoadingImportedModule(referrer, specifier, result, payload);
+      FinishLoadingImportedModule(referrer, moduleRequest, result, payload);
     }
+  } else if (specifier instanceof AbstractModuleRecord) {
+    FinishLoadingImportedModule(referrer, moduleRequest, NormalCompletion(specifier), payload);
   } else {
-    FinishLoadingImportedModule(referrer, specifier, surroundingAgent.Throw('Error', 'CouldNotResolveModule', specifier), payload);
+    FinishLoadingImportedModule(referrer, moduleRequest, surroundingAgent.Throw('Error', 'CouldNotResolveModule', moduleRequest.Specifier), payload);
   }
 }
 
@@ -10,6 +10,7 @@ import {
 } from './value.mjs';
 import { surroundingAgent } from './engine.mjs';
 import {
+  AddDisposableResource,
   Assert,
   DefinePropertyOrThrow,
   Get,
@@ -18,6 +19,7 @@ import {
   IsDataDescriptor,
   IsExtensible,
   IsPropertyKey,
+  NewDisposeCapability,
   Set,
   ToBoolean,
   isECMAScriptFunctionObject,
@@ -38,6 +40,8 @@ export class EnvironmentRecord {
 /** https://tc39.es/ecma262/#sec-declarative-environment-records */
 export class DeclarativeEnvironmentRecord extends EnvironmentRecord {
   bindings = new ValueMap();
+  DisposeCapability;
+  TopicValues = [];
 
   /** https://tc39.es/ecma262/#sec-declarative-environment-records-hasbinding-n */
   HasBinding(N) {
@@ -99,12 +103,16 @@ export class DeclarativeEnvironmentRecord extends EnvironmentRecord {
   }
 
   /** https://tc39.es/ecma262/#sec-declarative-environment-records-initializebinding-n-v */
-  InitializeBinding(N, V) {
+  InitializeBinding(N, V, hint = 'normal') {
     // 1. Let envRec be the declarative Environment Record for which the method was invoked.
     const envRec = this;
     // 2. Assert: envRec must have an uninitialized binding for N.
     const binding = envRec.bindings.get(N);
     Assert(binding !== undefined && binding.initialized === false);
+    // (Explicit Resource Management) If hint is not normal, perform ? AddDisposableResource(envRec.[[DisposeCapability]], V, hint).
+    if (hint !== 'normal') {
+      Q(AddDisposableResource(envRec.DisposeCapability, V, hint));
+    }
     // 3. Set the bound value for N in envRec to V.
     binding.value = V;
     // 4. Record that the binding for N in envRec has been initialized.
@@ -204,9 +212,37 @@ export class DeclarativeEnvironmentRecord extends EnvironmentRecord {
     return Value.undefined;
   }
 
+  /** https://tc39.es/proposal-pipeline-operator/#sec-declarative-environment-records-hastopicbinding */
+  HasTopicBinding() {
+    // 1. Let envRec be the declarative Environment Record for which the method was invoked.
+    const envRec = this;
+    // 2. If envRec.[[TopicValues]] is not empty, return true.
+    if (envRec.TopicValues.length > 0) {
+      return Value.true;
+    }
+    // 3. Return false.
+    return Value.false;
+  }
+
+  /** https://tc39.es/proposal-pipeline-operator/#sec-declarative-environment-records-bindtopicvalues */
+  BindTopicValues(V) {
+    // 1. Let envRec be the declarative Environment Record for which the method was invoked.
+    const envRec = this;
+    // 2. Assert: envRec.[[TopicValues]] is empty.
+    Assert(envRec.TopicValues.length === 0);
+    // 3. Set envRec.[[TopicValues]] to V.
+    envRec.TopicValues = V;
+    // 4. Return unused.
+    return NormalCompletion(undefined);
+  }
+
   // NON-SPEC
   mark(m) {
     m(this.bindings);
+    m(this.DisposeCapability);
+    for (const v of this.TopicValues) {
+      m(v);
+    }
   }
 }
 
@@ -335,6 +371,12 @@ export class ObjectEnvironmentRecord extends EnvironmentRecord {
     return Value.false;
   }
 
+  /** https://tc39.es/proposal-pipeline-operator/#sec-object-environment-records-hastopicbinding */
+  HasTopicBinding() {
+    // 1. Return false.
+    return Value.false;
+  }
+
   /** https://tc39.es/ecma262/#sec-object-environment-records-withbaseobject */
   WithBaseObject() {
     // 1. Let envRec be the object Environment Record for which the method was invoked.
@@ -595,6 +637,12 @@ export class GlobalEnvironmentRecord extends EnvironmentRecord {
     return Value.false;
   }
 
+  /** https://tc39.es/proposal-pipeline-operator/#sec-global-environment-records-hastopicbinding */
+  HasTopicBinding() {
+    // 1. Return false.
+    return Value.false;
+  }
+
   /** https://tc39.es/ecma262/#sec-global-environment-records-withbaseobject */
   WithBaseObject() {
     // 1. Return undefined.
@@ -891,6 +939,8 @@ export function NewDeclarativeEnvironment(E) {
   const env = new DeclarativeEnvironmentRecord();
   // 2. Set env.[[OuterEnv]] to E.
   env.OuterEnv = E;
+  // (Explicit Resource Management) Set env.[[DisposeCapability]] to NewDisposeCapability().
+  env.DisposeCapability = NewDisposeCapability();
   // 3. Return env.
   return env;
 }
@@ -929,6 +979,8 @@ export function NewFunctionEnvironment(F, newTarget) {
   env.NewTarget = newTarget;
   // 8. Set env.[[OuterEnv]] to F.[[Environment]].
   env.OuterEnv = F.Environment;
+  // (Explicit Resource Management) Set env.[[DisposeCapability]] to NewDisposeCapability().
+  env.DisposeCapability = NewDisposeCapability();
   // 9. Return env.
   return env;
 }
@@ -961,6 +1013,8 @@ export function NewModuleEnvironment(E) {
   const env = new ModuleEnvironmentRecord();
   // 2. Set env.[[OuterEnv]] to E.
   env.OuterEnv = E;
+  // (Explicit Resource Management) Set env.[[DisposeCapability]] to NewDisposeCapability().
+  env.DisposeCapability = NewDisposeCapability();
   // 3. Return env.
   return env;
 }
@@ -20,6 +20,7 @@ import {
   Evaluate_ReturnStatement,
   Evaluate_TryStatement,
   Evaluate_ThrowStatement,
+  Evaluate_ThrowExpression,
   Evaluate_DebuggerStatement,
   Evaluate_BreakableStatement,
   Evaluate_LabelledStatement,
@@ -72,6 +73,15 @@ import {
   Evaluate_RegularExpressionLiteral,
   Evaluate_AnyFunctionBody,
   Evaluate_ExpressionBody,
+  Evaluate_PipeExpression,
+  Evaluate_TopicReference,
+  Evaluate_MatchExpression,
+  Evaluate_DoExpression,
+  Evaluate_AsyncDoExpression,
+  Evaluate_RecordLiteral,
+  Evaluate_TupleLiteral,
+  Evaluate_ModuleExpression,
+  Evaluate_ModuleDeclaration,
 } from './runtime-semantics/all.mjs';
 
 export function* Evaluate(node) {
@@ -138,6 +148,8 @@ export function* Evaluate(node) {
       return yield* Evaluate_ExportDeclaration(node);
     case 'ClassDeclaration':
       return yield* Evaluate_ClassDeclaration(node);
+    case 'ModuleDeclaration':
+      return Evaluate_ModuleDeclaration(node);
     case 'LexicalDeclaration':
       return yield* Evaluate_LexicalDeclaration(node);
     case 'FunctionDeclaration':
@@ -232,12 +244,30 @@ export function* Evaluate(node) {
       return yield* Evaluate_AwaitExpression(node);
     case 'UnaryExpression':
       return yield* Evaluate_UnaryExpression(node);
+    case 'ThrowExpression':
+      return yield* Evaluate_ThrowExpression(node);
     case 'ArrowFunction':
       return Evaluate_ArrowFunction(node);
     case 'AsyncArrowFunction':
       return Evaluate_AsyncArrowFunction(node);
     case 'ConditionalExpression':
       return yield* Evaluate_ConditionalExpression(node);
+    case 'PipeExpression':
+      return yield* Evaluate_PipeExpression(node);
+    case 'TopicReference':
+      return Evaluate_TopicReference(node);
+    case 'MatchExpression':
+      return yield* Evaluate_MatchExpression(node);
+    case 'DoExpression':
+      return yield* Evaluate_DoExpression(node);
+    case 'AsyncDoExpression':
+      return Evaluate_AsyncDoExpression(node);
+    case 'RecordLiteral':
+      return yield* Evaluate_RecordLiteral(node);
+    case 'TupleLiteral':
+      return yield* Evaluate_TupleLiteral(node);
+    case 'ModuleExpression':
+      return Evaluate_ModuleExpression(node);
     case 'RegularExpressionLiteral':
       return Evaluate_RegularExpressionLiteral(node);
     case 'AsyncFunctionBody':
@@ -5,7 +5,7 @@ import {
 } from './value.mjs';
 import {
   Call, IsArray, Get, LengthOfArrayLike,
-  EscapeRegExpPattern,
+  Decimal128ToString, EscapeRegExpPattern,
 } from './abstract-ops/all.mjs';
 import { Q, X } from './completion.mjs';
 
@@ -70,6 +70,14 @@ const INSPECTORS = {
     return `'${s}'`;
   },
   Symbol: (v) => `Symbol(${v.Description === Value.undefined ? '' : v.Description.stringValue()})`,
+  Record: (v, ctx, i) => {
+    if (v.Fields.length === 0) {
+      return '#{}';
+    }
+    const fields = v.Fields.map(({ Key, Value: V }) => `${bareKeyRe.test(Key.stringValue()) ? Key.stringValue() : i(Key)}: ${i(V)}`);
+    return `#{ ${fields.join(', ')} }`;
+  },
+  Tuple: (v, ctx, i) => `#[${v.Sequence.map((e) => i(e)).join(', ')}]`,
   PrivateName: (v) => v.Description.stringValue(),
   Object: (v, ctx, i) => {
     if (ctx.inspected.includes(v)) {
@@ -125,12 +133,21 @@ const INSPECTORS = {
     if ('BigIntData' in v) {
       return `[BigInt ${i(v.BigIntData)}]`;
     }
+    if ('Decimal128Data' in v) {
+      return `[Decimal128 ${Decimal128ToString(v.Decimal128Data)}]`;
+    }
     if ('StringData' in v) {
       return `[String ${i(v.StringData)}]`;
     }
     if ('SymbolData' in v) {
       return `[Symbol ${i(v.SymbolData)}]`;
     }
+    if ('RecordData' in v) {
+      return `[Record ${i(v.RecordData)}]`;
+    }
+    if ('TupleData' in v) {
+      return `[Tuple ${i(v.TupleData)}]`;
+    }
 
     ctx.indent += 1;
     ctx.inspected.push(v);
@@ -178,7 +195,12 @@ const INSPECTORS = {
       }
 
       const tag = getObjectTag(v);
-      let out = tag && tag !== 'Object' ? `${tag} {` : '{';
+      let out;
+      if (!tag && v.Prototype === Value.null) {
+        out = '[Object: null prototype] {';
+      } else {
+        out = tag && tag !== 'Object' ? `${tag} {` : '{';
+      }
       if (cache.length > 5) {
         cache.forEach((c) => {
           out = `${out}\n${'  '.repeat(ctx.indent)}${c[0]}: ${c[1]},`;
@@ -0,0 +1,15 @@
+// @ts-nocheck
+import { surroundingAgent } from '../engine.mjs';
+import { bootstrapConstructor } from './bootstrap.mjs';
+
+/** https://tc39.es/proposal-source-phase-imports/ */
+function AbstractModuleSourceConstructor() {
+  // 1. Throw a TypeError exception.
+  return surroundingAgent.Throw('TypeError', 'AbstractModuleSourceNotConstructible');
+}
+
+export function bootstrapAbstractModuleSource(realmRec) {
+  const abstractModuleSourceConstructor = bootstrapConstructor(realmRec, AbstractModuleSourceConstructor, 'AbstractModuleSource', 0, realmRec.Intrinsics['%AbstractModuleSource.prototype%'], []);
+
+  realmRec.Intrinsics['%AbstractModuleSource%'] = abstractModuleSourceConstructor;
+}
@@ -0,0 +1,34 @@
+// @ts-nocheck
+import {
+  ObjectValue, JSStringValue, Value, wellKnownSymbols,
+} from '../value.mjs';
+import { Assert } from '../abstract-ops/all.mjs';
+import { bootstrapPrototype } from './bootstrap.mjs';
+
+/** https://tc39.es/proposal-source-phase-imports/ */
+function AbstractModuleSourceProto_toStringTag(args, { thisValue }) {
+  // 1. Let O be the this value.
+  const O = thisValue;
+  // 2. If O is not an Object, return undefined.
+  if (!(O instanceof ObjectValue)) {
+    return Value.undefined;
+  }
+  // 3. If O does not have a [[ModuleSourceClassName]] internal slot, return undefined.
+  if (!('ModuleSourceClassName' in O)) {
+    return Value.undefined;
+  }
+  // 4. Let name be O.[[ModuleSourceClassName]].
+  const name = O.ModuleSourceClassName;
+  // 5. Assert: name is a String.
+  Assert(name instanceof JSStringValue);
+  // 6. Return name.
+  return name;
+}
+
+export function bootstrapAbstractModuleSourcePrototype(realmRec) {
+  const proto = bootstrapPrototype(realmRec, [
+    [wellKnownSymbols.toStringTag, [AbstractModuleSourceProto_toStringTag]],
+  ], realmRec.Intrinsics['%Object.prototype%']);
+
+  realmRec.Intrinsics['%AbstractModuleSource.prototype%'] = proto;
+}
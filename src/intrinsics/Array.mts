@@ -3,6 +3,9 @@ import {
   surroundingAgent,
 } from '../engine.mjs';
 import {
+  Await,
+  Completion,
+  IfAbruptCloseAsyncIterator,
   IfAbruptCloseIterator,
   Q,
   ThrowCompletion, X,
@@ -10,8 +13,12 @@ import {
 import {
   ArrayCreate,
   Assert,
+  AsyncFunctionStart,
+  AsyncIteratorClose,
   Call,
   Construct,
+  CreateArrayFromList,
+  CreateAsyncFromSyncIterator,
   CreateDataProperty,
   CreateDataPropertyOrThrow,
   Get,
@@ -22,17 +29,21 @@ import {
   IsCallable,
   IsConstructor,
   IteratorClose,
+  IteratorComplete,
   IteratorStep,
   IteratorValue,
   Set,
   LengthOfArrayLike,
+  NewPromiseCapability,
   ToObject,
   ToString,
   ToUint32,
   F,
 } from '../abstract-ops/all.mjs';
 import {
+  JSStringValue,
   NumberValue,
+  ObjectValue,
   UndefinedValue,
   Value,
   wellKnownSymbols,
@@ -167,6 +178,161 @@ function Array_from([items = Value.undefined, mapfn = Value.undefined, thisArg =
   return A;
 }
 
+/** https://tc39.es/proposal-array-from-async/#sec-array.fromAsync */
+function Array_fromAsync([asyncItems = Value.undefined, mapfn = Value.undefined, thisArg = Value.undefined], { thisValue }) {
+  // 1. Let C be the this value.
+  const C = thisValue;
+  // 2. Let promiseCapability be ! NewPromiseCapability(%Promise%).
+  const promiseCapability = X(NewPromiseCapability(surroundingAgent.intrinsic('%Promise%')));
+  // 3. Let fromAsyncClosure be a new Abstract Closure with no parameters that captures C, mapfn, and thisArg and performs the following steps when called:
+  const fromAsyncClosure = function* fromAsyncClosure() {
+    let mapping;
+    // a. If mapfn is undefined, let mapping be false.
+    if (mapfn === Value.undefined) {
+      mapping = false;
+    } else { // b. Else,
+      // i. If IsCallable(mapfn) is false, throw a TypeError exception.
+      if (IsCallable(mapfn) === Value.false) {
+        return surroundingAgent.Throw('TypeError', 'NotAFunction', mapfn);
+      }
+      // ii. Let mapping be true.
+      mapping = true;
+    }
+    // c. Let usingAsyncIterator be ? GetMethod(asyncItems, @@asyncIterator).
+    const usingAsyncIterator = Q(GetMethod(asyncItems, wellKnownSymbols.asyncIterator));
+    let usingSyncIterator = Value.undefined;
+    // d. If usingAsyncIterator is undefined, then
+    if (usingAsyncIterator === Value.undefined) {
+      // i. Let usingSyncIterator be ? GetMethod(asyncItems, @@iterator).
+      usingSyncIterator = Q(GetMethod(asyncItems, wellKnownSymbols.iterator));
+    }
+    // e. Let iteratorRecord be undefined.
+    let iteratorRecord;
+    // f. If usingAsyncIterator is not undefined, then
+    if (usingAsyncIterator !== Value.undefined) {
+      // i. Set iteratorRecord to ? GetIterator(asyncItems, async, usingAsyncIterator).
+      iteratorRecord = Q(GetIterator(asyncItems, 'async', usingAsyncIterator));
+    } else if (usingSyncIterator !== Value.undefined) { // g. Else if usingSyncIterator is not undefined, then
+      // i. Set iteratorRecord to ? CreateAsyncFromSyncIterator(GetIterator(asyncItems, sync, usingSyncIterator)).
+      const syncIteratorRecord = Q(GetIterator(asyncItems, 'sync', usingSyncIterator));
+      iteratorRecord = X(CreateAsyncFromSyncIterator(syncIteratorRecord));
+    }
+    // h. If iteratorRecord is not undefined, then
+    if (iteratorRecord !== undefined) {
+      let A;
+      // i. If IsConstructor(C) is true, then
+      if (IsConstructor(C) === Value.true) {
+        // 1. Let A be ? Construct(C).
+        A = Q(Construct(C));
+      } else { // ii. Else,
+        // 1. Let A be ! ArrayCreate(0).
+        A = X(ArrayCreate(0));
+      }
+      // iii. Let k be 0.
+      let k = 0;
+      // iv. Repeat,
+      while (true) { // eslint-disable-line no-constant-condition
+        // 1. If k ≥ 2^53 - 1, then
+        if (k >= (2 ** 53) - 1) {
+          // a. Let error be ThrowCompletion(a newly created TypeError object).
+          const error = ThrowCompletion(surroundingAgent.Throw('TypeError', 'ArrayPastSafeLength').Value);
+          // b. Return ? AsyncIteratorClose(iteratorRecord, error).
+          return Q(yield* AsyncIteratorClose(iteratorRecord, error));
+        }
+        // 2. Let Pk be ! ToString(𝔽(k)).
+        const Pk = X(ToString(F(k)));
+        // 3. Let nextResult be ? Call(iteratorRecord.[[NextMethod]], iteratorRecord.[[Iterator]]).
+        let nextResult = Q(Call(iteratorRecord.NextMethod, iteratorRecord.Iterator));
+        // 4. Set nextResult to ? Await(nextResult).
+        nextResult = Q(yield* Await(nextResult));
+        // 5. If nextResult is not an Object, throw a TypeError exception.
+        if (!(nextResult instanceof ObjectValue)) {
+          return surroundingAgent.Throw('TypeError', 'NotAnObject', nextResult);
+        }
+        // 6. Let done be ? IteratorComplete(nextResult).
+        const done = Q(IteratorComplete(nextResult));
+        // 7. If done is true,
+        if (done === Value.true) {
+          // a. Perform ? Set(A, "length", 𝔽(k), true).
+          Q(Set(A, Value('length'), F(k), Value.true));
+          // b. Return Completion Record { [[Type]]: return, [[Value]]: A, [[Target]]: empty }.
+          return new Completion({ Type: 'return', Value: A, Target: undefined });
+        }
+        // 8. Let nextValue be ? IteratorValue(nextResult).
+        const nextValue = Q(IteratorValue(nextResult));
+        let mappedValue;
+        // 9. If mapping is true, then
+        if (mapping) {
+          // a. Let mappedValue be Call(mapfn, thisArg, « nextValue, 𝔽(k) »).
+          mappedValue = Call(mapfn, thisArg, [nextValue, F(k)]);
+          // b. IfAbruptCloseAsyncIterator(mappedValue, iteratorRecord).
+          IfAbruptCloseAsyncIterator(mappedValue, iteratorRecord);
+          // c. Set mappedValue to Await(mappedValue).
+          mappedValue = yield* Await(mappedValue);
+          // d. IfAbruptCloseAsyncIterator(mappedValue, iteratorRecord).
+          IfAbruptCloseAsyncIterator(mappedValue, iteratorRecord);
+        } else { // 10. Else, let mappedValue be nextValue.
+          mappedValue = nextValue;
+        }
+        // 11. Let defineStatus be CreateDataPropertyOrThrow(A, Pk, mappedValue).
+        const defineStatus = CreateDataPropertyOrThrow(A, Pk, mappedValue);
+        // 12. If defineStatus is an abrupt completion, return ? AsyncIteratorClose(iteratorRecord, defineStatus).
+        IfAbruptCloseAsyncIterator(defineStatus, iteratorRecord);
+        // 13. Set k to k + 1.
+        k += 1;
+      }
+    } else { // i. Else,
+      // i. NOTE: asyncItems is neither an AsyncIterable nor an Iterable so assume it is an array-like object.
+      // ii. Let arrayLike be ! ToObject(asyncItems).
+      const arrayLike = X(ToObject(asyncItems));
+      // iii. Let len be ? LengthOfArrayLike(arrayLike).
+      const len = Q(LengthOfArrayLike(arrayLike));
+      let A;
+      // iv. If IsConstructor(C) is true, then
+      if (IsConstructor(C) === Value.true) {
+        // 1. Let A be ? Construct(C, « 𝔽(len) »).
+        A = Q(Construct(C, [F(len)]));
+      } else { // v. Else,
+        // 1. Let A be ? ArrayCreate(len).
+        A = Q(ArrayCreate(len));
+      }
+      // vi. Let k be 0.
+      let k = 0;
+      // vii. Repeat, while k < len,
+      while (k < len) {
+        // 1. Let Pk be ! ToString(𝔽(k)).
+        const Pk = X(ToString(F(k)));
+        // 2. Let kValue be ? Get(arrayLike, Pk).
+        let kValue = Q(Get(arrayLike, Pk));
+        // 3. Set kValue to ? Await(kValue).
+        kValue = Q(yield* Await(kValue));
+        let mappedValue;
+        // 4. If mapping is true, then
+        if (mapping) {
+          // a. Let mappedValue be ? Call(mapfn, thisArg, « kValue, 𝔽(k) »).
+          mappedValue = Q(Call(mapfn, thisArg, [kValue, F(k)]));
+          // b. Set mappedValue to ? Await(mappedValue).
+          mappedValue = Q(yield* Await(mappedValue));
+        } else { // 5. Else, let mappedValue be kValue.
+          mappedValue = kValue;
+        }
+        // 6. Perform ? CreateDataPropertyOrThrow(A, Pk, mappedValue).
+        Q(CreateDataPropertyOrThrow(A, Pk, mappedValue));
+        // 7. Set k to k + 1.
+        k += 1;
+      }
+      // viii. Perform ? Set(A, "length", 𝔽(len), true).
+      Q(Set(A, Value('length'), F(len), Value.true));
+      // ix. Return Completion Record { [[Type]]: return, [[Value]]: A, [[Target]]: empty }.
+      return new Completion({ Type: 'return', Value: A, Target: undefined });
+    }
+  };
+  // 4. Perform AsyncFunctionStart(promiseCapability, fromAsyncClosure).
+  X(AsyncFunctionStart(promiseCapability, fromAsyncClosure));
+  // 5. Return promiseCapability.[[Promise]].
+  return promiseCapability.Promise;
+}
+
 /** https://tc39.es/ecma262/#sec-array.isarray */
 function Array_isArray([arg = Value.undefined]) {
   return Q(IsArray(arg));
@@ -194,6 +360,20 @@ function Array_of(items, { thisValue }) {
   return A;
 }
 
+/** https://tc39.es/proposal-pattern-matching/#sec-array-%symbol.custommatcher% */
+function Array_customMatcher([subject = Value.undefined, hint = Value.undefined]) {
+  // 1. If ? IsArray(subject) is false, return false.
+  if (Q(IsArray(subject)) === Value.false) {
+    return Value.false;
+  }
+  // 2. If hint is "boolean", return true.
+  if (hint instanceof JSStringValue && hint.stringValue() === 'boolean') {
+    return Value.true;
+  }
+  // 3. Return CreateArrayFromList(« subject »).
+  return CreateArrayFromList([subject]);
+}
+
 /** https://tc39.es/ecma262/#sec-get-array-@@species */
 function Array_speciesGetter(args, { thisValue }) {
   return thisValue;
@@ -204,8 +384,12 @@ export function bootstrapArray(realmRec) {
 
   const cons = bootstrapConstructor(realmRec, ArrayConstructor, 'Array', 1, proto, [
     ['from', Array_from, 1],
+    ['fromAsync', Array_fromAsync, 1],
     ['isArray', Array_isArray, 1],
     ['of', Array_of, 0],
+    surroundingAgent.feature('pattern-matching')
+      ? [wellKnownSymbols.customMatcher, Array_customMatcher, 2]
+      : undefined,
     [wellKnownSymbols.species, [Array_speciesGetter]],
   ]);
 
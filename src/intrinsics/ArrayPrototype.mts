@@ -33,7 +33,7 @@ import {
 } from '../abstract-ops/all.mjs';
 import { Q, X } from '../completion.mjs';
 import { assignProps } from './bootstrap.mjs';
-import { ArrayProto_sortBody, bootstrapArrayPrototypeShared } from './ArrayPrototypeShared.mjs';
+import { ArrayProto_sortBody, SortIndexedProperties, bootstrapArrayPrototypeShared } from './ArrayPrototypeShared.mjs';
 
 /** https://tc39.es/ecma262/#sec-array.prototype.concat */
 function ArrayProto_concat(args, { thisValue }) {
@@ -483,6 +483,147 @@ function ArrayProto_splice(args, { thisValue }) {
   return A;
 }
 
+/** https://tc39.es/ecma262/#sec-array.prototype.toreversed */
+function ArrayProto_toReversed(args, { thisValue }) {
+  // 1. Let O be ? ToObject(this value).
+  const O = Q(ToObject(thisValue));
+  // 2. Let len be ? LengthOfArrayLike(O).
+  const len = Q(LengthOfArrayLike(O));
+  // 3. Let A be ? ArrayCreate(len).
+  const A = Q(ArrayCreate(len));
+  // 4. Let k be 0.
+  let k = 0;
+  // 5. Repeat, while k < len,
+  while (k < len) {
+    // a. Let from be ! ToString(𝔽(len - k - 1)).
+    const from = X(ToString(F(len - k - 1)));
+    // b. Let Pk be ! ToString(𝔽(k)).
+    const Pk = X(ToString(F(k)));
+    // c. Let fromValue be ? Get(O, from).
+    const fromValue = Q(Get(O, from));
+    // d. Perform ! CreateDataPropertyOrThrow(A, Pk, fromValue).
+    X(CreateDataPropertyOrThrow(A, Pk, fromValue));
+    // e. Set k to k + 1.
+    k += 1;
+  }
+  // 6. Return A.
+  return A;
+}
+
+/** https://tc39.es/ecma262/#sec-array.prototype.tosorted */
+function ArrayProto_toSorted([comparefn = Value.undefined], { thisValue }) {
+  // 1. If comparefn is not undefined and IsCallable(comparefn) is false, throw a TypeError exception.
+  if (comparefn !== Value.undefined && IsCallable(comparefn) === Value.false) {
+    return surroundingAgent.Throw('TypeError', 'NotAFunction', comparefn);
+  }
+  // 2. Let O be ? ToObject(this value).
+  const O = Q(ToObject(thisValue));
+  // 3. Let len be ? LengthOfArrayLike(O).
+  const len = Q(LengthOfArrayLike(O));
+  // 4. Let A be ? ArrayCreate(len).
+  const A = Q(ArrayCreate(len));
+  // 5. Let SortCompare be a new Abstract Closure with parameters (x, y) that captures comparefn and performs the following steps when called:
+  //   a. Return ? CompareArrayElements(x, y, comparefn).
+  // 6. Let sortedList be ? SortIndexedProperties(O, len, SortCompare, read-through-holes).
+  const sortedList = Q(SortIndexedProperties(O, len, (x, y) => SortCompare(x, y, comparefn), 'read-through-holes'));
+  // 7. Let j be 0.
+  let j = 0;
+  // 8. Repeat, while j < len,
+  while (j < len) {
+    // a. Perform ! CreateDataPropertyOrThrow(A, ! ToString(𝔽(j)), sortedList[j]).
+    X(CreateDataPropertyOrThrow(A, X(ToString(F(j))), sortedList[j]));
+    // b. Set j to j + 1.
+    j += 1;
+  }
+  // 9. Return A.
+  return A;
+}
+
+/** https://tc39.es/ecma262/#sec-array.prototype.tospliced */
+function ArrayProto_toSpliced(args, { thisValue }) {
+  const [start = Value.undefined, skipCount = Value.undefined, ...items] = args;
+  // 1. Let O be ? ToObject(this value).
+  const O = Q(ToObject(thisValue));
+  // 2. Let len be ? LengthOfArrayLike(O).
+  const len = Q(LengthOfArrayLike(O));
+  // 3. Let relativeStart be ? ToIntegerOrInfinity(start).
+  const relativeStart = Q(ToIntegerOrInfinity(start));
+  let actualStart;
+  // 4. If relativeStart = -∞, let actualStart be 0.
+  if (relativeStart === -Infinity) {
+    actualStart = 0;
+  } else if (relativeStart < 0) { // 5. Else if relativeStart < 0, let actualStart be max(len + relativeStart, 0).
+    actualStart = Math.max(len + relativeStart, 0);
+  } else { // 6. Else, let actualStart be min(relativeStart, len).
+    actualStart = Math.min(relativeStart, len);
+  }
+  // 7. Let insertCount be the number of elements in items.
+  const insertCount = items.length;
+  let actualSkipCount;
+  // 8. If start is not present, then
+  if (args.length === 0) {
+    // a. Let actualSkipCount be 0.
+    actualSkipCount = 0;
+  } else if (args.length === 1) { // 9. Else if skipCount is not present, then
+    // a. Let actualSkipCount be len - actualStart.
+    actualSkipCount = len - actualStart;
+  } else { // 10. Else,
+    // a. Let sc be ? ToIntegerOrInfinity(skipCount).
+    const sc = Q(ToIntegerOrInfinity(skipCount));
+    // b. Let actualSkipCount be the result of clamping sc between 0 and len - actualStart.
+    actualSkipCount = Math.min(Math.max(sc, 0), len - actualStart);
+  }
+  // 11. Let newLen be len + insertCount - actualSkipCount.
+  const newLen = len + insertCount - actualSkipCount;
+  // 12. If newLen > 2**53 - 1, throw a TypeError exception.
+  if (newLen > (2 ** 53) - 1) {
+    return surroundingAgent.Throw('TypeError', 'ArrayPastSafeLength');
+  }
+  // 13. Let A be ? ArrayCreate(newLen).
+  const A = Q(ArrayCreate(newLen));
+  // 14. Let i be 0.
+  let i = 0;
+  // 15. Let r be actualStart + actualSkipCount.
+  let r = actualStart + actualSkipCount;
+  // 16. Repeat, while i < actualStart,
+  while (i < actualStart) {
+    // a. Let Pi be ! ToString(𝔽(i)).
+    const Pi = X(ToString(F(i)));
+    // b. Let iValue be ? Get(O, Pi).
+    const iValue = Q(Get(O, Pi));
+    // c. Perform ! CreateDataPropertyOrThrow(A, Pi, iValue).
+    X(CreateDataPropertyOrThrow(A, Pi, iValue));
+    // d. Set i to i + 1.
+    i += 1;
+  }
+  // 17. For each element E of items, do
+  for (const E of items) {
+    // a. Let Pi be ! ToString(𝔽(i)).
+    const Pi = X(ToString(F(i)));
+    // b. Perform ! CreateDataPropertyOrThrow(A, Pi, E).
+    X(CreateDataPropertyOrThrow(A, Pi, E));
+    // c. Set i to i + 1.
+    i += 1;
+  }
+  // 18. Repeat, while i < newLen,
+  while (i < newLen) {
+    // a. Let Pi be ! ToString(𝔽(i)).
+    const Pi = X(ToString(F(i)));
+    // b. Let from be ! ToString(𝔽(r)).
+    const from = X(ToString(F(r)));
+    // c. Let fromValue be ? Get(O, from).
+    const fromValue = Q(Get(O, from));
+    // d. Perform ! CreateDataPropertyOrThrow(A, Pi, fromValue).
+    X(CreateDataPropertyOrThrow(A, Pi, fromValue));
+    // e. Set i to i + 1.
+    i += 1;
+    // f. Set r to r + 1.
+    r += 1;
+  }
+  // 19. Return A.
+  return A;
+}
+
 /** https://tc39.es/ecma262/#sec-array.prototype.tostring */
 function ArrayProto_toString(a, { thisValue }) {
   const array = Q(ToObject(thisValue));
@@ -534,6 +675,49 @@ function ArrayProto_values(args, { thisValue }) {
   return CreateArrayIterator(O, 'value');
 }
 
+/** https://tc39.es/ecma262/#sec-array.prototype.with */
+function ArrayProto_with([index = Value.undefined, value = Value.undefined], { thisValue }) {
+  // 1. Let O be ? ToObject(this value).
+  const O = Q(ToObject(thisValue));
+  // 2. Let len be ? LengthOfArrayLike(O).
+  const len = Q(LengthOfArrayLike(O));
+  // 3. Let relativeIndex be ? ToIntegerOrInfinity(index).
+  const relativeIndex = Q(ToIntegerOrInfinity(index));
+  let actualIndex;
+  // 4. If relativeIndex ≥ 0, let actualIndex be relativeIndex.
+  if (relativeIndex >= 0) {
+    actualIndex = relativeIndex;
+  } else { // 5. Else, let actualIndex be len + relativeIndex.
+    actualIndex = len + relativeIndex;
+  }
+  // 6. If actualIndex ≥ len or actualIndex < 0, throw a RangeError exception.
+  if (actualIndex >= len || actualIndex < 0) {
+    return surroundingAgent.Throw('RangeError', 'OutOfRange', relativeIndex);
+  }
+  // 7. Let A be ? ArrayCreate(len).
+  const A = Q(ArrayCreate(len));
+  // 8. Let k be 0.
+  let k = 0;
+  // 9. Repeat, while k < len,
+  while (k < len) {
+    // a. Let Pk be ! ToString(𝔽(k)).
+    const Pk = X(ToString(F(k)));
+    let fromValue;
+    // b. If k is actualIndex, let fromValue be value.
+    if (k === actualIndex) {
+      fromValue = value;
+    } else { // c. Else, let fromValue be ? Get(O, Pk).
+      fromValue = Q(Get(O, Pk));
+    }
+    // d. Perform ! CreateDataPropertyOrThrow(A, Pk, fromValue).
+    X(CreateDataPropertyOrThrow(A, Pk, fromValue));
+    // e. Set k to k + 1.
+    k += 1;
+  }
+  // 10. Return A.
+  return A;
+}
+
 /** https://tc39.es/ecma262/#sec-array.prototype.at */
 function ArrayProto_at([index = Value.undefined], { thisValue }) {
   // 1. Let O be ? ToObject(this value).
@@ -579,9 +763,13 @@ export function bootstrapArrayPrototype(realmRec) {
     ['slice', ArrayProto_slice, 2],
     ['sort', ArrayProto_sort, 1],
     ['splice', ArrayProto_splice, 2],
+    ['toReversed', ArrayProto_toReversed, 0],
+    ['toSorted', ArrayProto_toSorted, 1],
+    ['toSpliced', ArrayProto_toSpliced, 2],
     ['toString', ArrayProto_toString, 0],
     ['unshift', ArrayProto_unshift, 1],
     ['values', ArrayProto_values, 0],
+    ['with', ArrayProto_with, 2],
   ]);
 
   bootstrapArrayPrototypeShared(
@@ -607,6 +795,9 @@ export function bootstrapArrayPrototype(realmRec) {
     Assert(X(CreateDataProperty(unscopableList, Value('flatMap'), Value.true)) === Value.true);
     Assert(X(CreateDataProperty(unscopableList, Value('includes'), Value.true)) === Value.true);
     Assert(X(CreateDataProperty(unscopableList, Value('keys'), Value.true)) === Value.true);
+    Assert(X(CreateDataProperty(unscopableList, Value('toReversed'), Value.true)) === Value.true);
+    Assert(X(CreateDataProperty(unscopableList, Value('toSorted'), Value.true)) === Value.true);
+    Assert(X(CreateDataProperty(unscopableList, Value('toSpliced'), Value.true)) === Value.true);
     Assert(X(CreateDataProperty(unscopableList, Value('values'), Value.true)) === Value.true);
     X(proto.DefineOwnProperty(wellKnownSymbols.unscopables, Descriptor({
       Value: unscopableList,
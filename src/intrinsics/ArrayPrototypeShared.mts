@@ -31,23 +31,63 @@ import { assignProps } from './bootstrap.mjs';
 // "The only internal methods of the this object that the algorithm may call
 // are [[Get]] and [[Set]]," a requirement of %TypedArray%.prototype.sort.
 export function ArrayProto_sortBody(obj, len, SortCompare, internalMethodsRestricted = false) {
+  const items = Q(SortIndexedProperties(obj, len, SortCompare, internalMethodsRestricted ? 'read-through-holes' : 'skip-holes'));
+  const itemCount = items.length;
+
+  let j = 0;
+  while (j < itemCount) {
+    Q(Set(obj, X(ToString(F(j))), items[j], Value.true));
+    j += 1;
+  }
+  while (j < len) {
+    Q(DeletePropertyOrThrow(obj, X(ToString(F(j)))));
+    j += 1;
+  }
+
+  return obj;
+}
+
+/** https://tc39.es/ecma262/#sec-sortindexedproperties */
+export function SortIndexedProperties(obj, len, SortCompare, holes) {
+  // 1. Let items be a new empty List.
   const items = [];
+  // 2. Let k be 0.
   let k = 0;
+  // 3. Repeat, while k < len,
   while (k < len) {
+    // a. Let Pk be ! ToString(𝔽(k)).
     const Pk = X(ToString(F(k)));
-    if (internalMethodsRestricted) {
-      items.push(Q(Get(obj, Pk)));
-    } else {
-      const kPresent = Q(HasProperty(obj, Pk));
-      if (kPresent === Value.true) {
+    // b. If holes is skip-holes, then
+    if (holes === 'skip-holes') {
+      // i. Let kRead be ? HasProperty(obj, Pk).
+      const kRead = Q(HasProperty(obj, Pk));
+      // ii. If kRead is true, then
+      if (kRead === Value.true) {
+        // 1. Let kValue be ? Get(obj, Pk).
         const kValue = Q(Get(obj, Pk));
+        // 2. Append kValue to items.
         items.push(kValue);
       }
-    }
+    } else { // c. Else,
+      // i. Assert: holes is read-through-holes.
+      Assert(holes === 'read-through-holes');
+      // ii. Let kValue be ? Get(obj, Pk).
+      const kValue = Q(Get(obj, Pk));
+      // iii. Append kValue to items.
+      items.push(kValue);
+    }
+    // d. Set k to k + 1.
     k += 1;
   }
-  const itemCount = items.length;
+  // 4. Sort items using an implementation-defined sequence of calls to SortCompare. If any such call returns an abrupt completion, stop before performing any further calls to SortCompare and return that Completion Record.
+  Q(ArrayProto_sortList(items, SortCompare));
+  // 5. Return items.
+  return items;
+}
 
+// Sorts the List items in place using SortCompare, which may return an abrupt
+// completion.
+export function ArrayProto_sortList(items, SortCompare) {
   // Mergesort.
   const lBuffer = [];
   const rBuffer = [];
@@ -98,17 +138,7 @@ export function ArrayProto_sortBody(obj, len, SortCompare, internalMethodsRestri
     }
   }
 
-  let j = 0;
-  while (j < itemCount) {
-    Q(Set(obj, X(ToString(F(j))), items[j], Value.true));
-    j += 1;
-  }
-  while (j < len) {
-    Q(DeletePropertyOrThrow(obj, X(ToString(F(j)))));
-    j += 1;
-  }
-
-  return obj;
+  return items;
 }
 
 export function bootstrapArrayPrototypeShared(realmRec, proto, priorToEvaluatingAlgorithm, objectToLength) {
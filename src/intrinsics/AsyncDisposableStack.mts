@@ -0,0 +1,28 @@
+// @ts-nocheck
+import { surroundingAgent } from '../engine.mjs';
+import { Value } from '../value.mjs';
+import { NewDisposeCapability, OrdinaryCreateFromConstructor } from '../abstract-ops/all.mjs';
+import { Q } from '../completion.mjs';
+import { bootstrapConstructor } from './bootstrap.mjs';
+
+/** https://tc39.es/proposal-explicit-resource-management/#sec-asyncdisposablestack */
+function AsyncDisposableStackConstructor(args, { NewTarget }) {
+  // 1. If NewTarget is undefined, throw a TypeError exception.
+  if (NewTarget === Value.undefined) {
+    return surroundingAgent.Throw('TypeError', 'ConstructorNonCallable', this);
+  }
+  // 2. Let asyncDisposableStack be ? OrdinaryCreateFromConstructor(NewTarget, "%AsyncDisposableStack.prototype%", « [[AsyncDisposableState]], [[DisposeCapability]] »).
+  const asyncDisposableStack = Q(OrdinaryCreateFromConstructor(NewTarget, '%AsyncDisposableStack.prototype%', ['AsyncDisposableState', 'DisposeCapability']));
+  // 3. Set asyncDisposableStack.[[AsyncDisposableState]] to pending.
+  asyncDisposableStack.AsyncDisposableState = 'pending';
+  // 4. Set asyncDisposableStack.[[DisposeCapability]] to NewDisposeCapability().
+  asyncDisposableStack.DisposeCapability = NewDisposeCapability();
+  // 5. Return asyncDisposableStack.
+  return asyncDisposableStack;
+}
+
+export function bootstrapAsyncDisposableStack(realmRec) {
+  const c = bootstrapConstructor(realmRec, AsyncDisposableStackConstructor, 'AsyncDisposableStack', 0, realmRec.Intrinsics['%AsyncDisposableStack.prototype%'], []);
+
+  realmRec.Intrinsics['%AsyncDisposableStack%'] = c;
+}
@@ -0,0 +1,167 @@
+// @ts-nocheck
+import { surroundingAgent } from '../engine.mjs';
+import { Value, wellKnownSymbols } from '../value.mjs';
+import {
+  AddDisposableResource,
+  AsyncBlockStart,
+  Call,
+  CreateBuiltinFunction,
+  DisposeResources,
+  IsCallable,
+  NewDisposeCapability,
+  NewPromiseCapability,
+  OrdinaryCreateFromConstructor,
+  RequireInternalSlot,
+} from '../abstract-ops/all.mjs';
+import {
+  IfAbruptRejectPromise,
+  NormalCompletion,
+  Q, X,
+} from '../completion.mjs';
+import { bootstrapPrototype } from './bootstrap.mjs';
+
+/** https://tc39.es/proposal-explicit-resource-management/#sec-asyncdisposablestack.prototype.adopt */
+function AsyncDisposableStackProto_adopt([value = Value.undefined, onDisposeAsync = Value.undefined], { thisValue }) {
+  // 1. Let asyncDisposableStack be the this value.
+  const asyncDisposableStack = thisValue;
+  // 2. Perform ? RequireInternalSlot(asyncDisposableStack, [[AsyncDisposableState]]).
+  Q(RequireInternalSlot(asyncDisposableStack, 'AsyncDisposableState'));
+  // 3. If asyncDisposableStack.[[AsyncDisposableState]] is disposed, throw a ReferenceError exception.
+  if (asyncDisposableStack.AsyncDisposableState === 'disposed') {
+    return surroundingAgent.Throw('ReferenceError', 'DisposableStackDisposed', 'AsyncDisposableStack');
+  }
+  // 4. If IsCallable(onDisposeAsync) is false, throw a TypeError exception.
+  if (IsCallable(onDisposeAsync) === Value.false) {
+    return surroundingAgent.Throw('TypeError', 'NotAFunction', onDisposeAsync);
+  }
+  // 5. Let closure be a new Abstract Closure with no parameters that captures value and onDisposeAsync and performs the following steps when called:
+  //   a. Return ? Call(onDisposeAsync, undefined, « value »).
+  const closure = () => Q(Call(onDisposeAsync, Value.undefined, [value]));
+  // 6. Let F be CreateBuiltinFunction(closure, 0, "", « »).
+  const F = CreateBuiltinFunction(closure, 0, Value(''), []);
+  // 7. Perform ? AddDisposableResource(asyncDisposableStack.[[DisposeCapability]], undefined, async-dispose, F).
+  Q(AddDisposableResource(asyncDisposableStack.DisposeCapability, Value.undefined, 'async-dispose', F));
+  // 8. Return value.
+  return value;
+}
+
+/** https://tc39.es/proposal-explicit-resource-management/#sec-asyncdisposablestack.prototype.defer */
+function AsyncDisposableStackProto_defer([onDisposeAsync = Value.undefined], { thisValue }) {
+  // 1. Let asyncDisposableStack be the this value.
+  const asyncDisposableStack = thisValue;
+  // 2. Perform ? RequireInternalSlot(asyncDisposableStack, [[AsyncDisposableState]]).
+  Q(RequireInternalSlot(asyncDisposableStack, 'AsyncDisposableState'));
+  // 3. If asyncDisposableStack.[[AsyncDisposableState]] is disposed, throw a ReferenceError exception.
+  if (asyncDisposableStack.AsyncDisposableState === 'disposed') {
+    return surroundingAgent.Throw('ReferenceError', 'DisposableStackDisposed', 'AsyncDisposableStack');
+  }
+  // 4. If IsCallable(onDisposeAsync) is false, throw a TypeError exception.
+  if (IsCallable(onDisposeAsync) === Value.false) {
+    return surroundingAgent.Throw('TypeError', 'NotAFunction', onDisposeAsync);
+  }
+  // 5. Perform ? AddDisposableResource(asyncDisposableStack.[[DisposeCapability]], undefined, async-dispose, onDisposeAsync).
+  Q(AddDisposableResource(asyncDisposableStack.DisposeCapability, Value.undefined, 'async-dispose', onDisposeAsync));
+  // 6. Return undefined.
+  return Value.undefined;
+}
+
+/** https://tc39.es/proposal-explicit-resource-management/#sec-asyncdisposablestack.prototype.disposeAsync */
+function AsyncDisposableStackProto_disposeAsync(args, { thisValue }) {
+  // 1. Let asyncDisposableStack be the this value.
+  const asyncDisposableStack = thisValue;
+  // 2. Let promiseCapability be ! NewPromiseCapability(%Promise%).
+  const promiseCapability = X(NewPromiseCapability(surroundingAgent.intrinsic('%Promise%')));
+  // 3. If asyncDisposableStack does not have an [[AsyncDisposableState]] internal slot, then
+  //   a. Perform ! Call(promiseCapability.[[Reject]], undefined, « a newly created TypeError object »).
+  //   b. Return promiseCapability.[[Promise]].
+  const check = RequireInternalSlot(asyncDisposableStack, 'AsyncDisposableState');
+  IfAbruptRejectPromise(check, promiseCapability);
+  // 4. If asyncDisposableStack.[[AsyncDisposableState]] is disposed, then
+  if (asyncDisposableStack.AsyncDisposableState === 'disposed') {
+    // a. Perform ! Call(promiseCapability.[[Resolve]], undefined, « undefined »).
+    X(Call(promiseCapability.Resolve, Value.undefined, [Value.undefined]));
+    // b. Return promiseCapability.[[Promise]].
+    return promiseCapability.Promise;
+  }
+  // 5. Set asyncDisposableStack.[[AsyncDisposableState]] to disposed.
+  asyncDisposableStack.AsyncDisposableState = 'disposed';
+  // 6. Let result be Completion(DisposeResources(asyncDisposableStack.[[DisposeCapability]], NormalCompletion(undefined))).
+  // 7. IfAbruptRejectPromise(result, promiseCapability).
+  // 8. Perform ! Call(promiseCapability.[[Resolve]], undefined, « result »).
+  //    DisposeResources may await, so it runs in its own async context which settles promiseCapability.
+  const asyncContext = surroundingAgent.runningExecutionContext.copy();
+  const disposeCapability = asyncDisposableStack.DisposeCapability;
+  X(AsyncBlockStart(promiseCapability, () => DisposeResources(disposeCapability, NormalCompletion(Value.undefined)), asyncContext));
+  // 9. Return promiseCapability.[[Promise]].
+  return promiseCapability.Promise;
+}
+
+/** https://tc39.es/proposal-explicit-resource-management/#sec-get-asyncdisposablestack.prototype.disposed */
+function AsyncDisposableStackProto_disposedGetter(args, { thisValue }) {
+  // 1. Let asyncDisposableStack be the this value.
+  const asyncDisposableStack = thisValue;
+  // 2. Perform ? RequireInternalSlot(asyncDisposableStack, [[AsyncDisposableState]]).
+  Q(RequireInternalSlot(asyncDisposableStack, 'AsyncDisposableState'));
+  // 3. If asyncDisposableStack.[[AsyncDisposableState]] is disposed, return true.
+  if (asyncDisposableStack.AsyncDisposableState === 'disposed') {
+    return Value.true;
+  }
+  // 4. Otherwise, return false.
+  return Value.false;
+}
+
+/** https://tc39.es/proposal-explicit-resource-management/#sec-asyncdisposablestack.prototype.move */
+function AsyncDisposableStackProto_move(args, { thisValue }) {
+  // 1. Let asyncDisposableStack be the this value.
+  const asyncDisposableStack = thisValue;
+  // 2. Perform ? RequireInternalSlot(asyncDisposableStack, [[AsyncDisposableState]]).
+  Q(RequireInternalSlot(asyncDisposableStack, 'AsyncDisposableState'));
+  // 3. If asyncDisposableStack.[[AsyncDisposableState]] is disposed, throw a ReferenceError exception.
+  if (asyncDisposableStack.AsyncDisposableState === 'disposed') {
+    return surroundingAgent.Throw('ReferenceError', 'DisposableStackDisposed', 'AsyncDisposableStack');
+  }
+  // 4. Let newAsyncDisposableStack be ? OrdinaryCreateFromConstructor(%AsyncDisposableStack%, "%AsyncDisposableStack.prototype%", « [[AsyncDisposableState]], [[DisposeCapability]] »).
+  const newAsyncDisposableStack = Q(OrdinaryCreateFromConstructor(surroundingAgent.intrinsic('%AsyncDisposableStack%'), '%AsyncDisposableStack.prototype%', ['AsyncDisposableState', 'DisposeCapability']));
+  // 5. Set newAsyncDisposableStack.[[AsyncDisposableState]] to pending.
+  newAsyncDisposableStack.AsyncDisposableState = 'pending';
+  // 6. Set newAsyncDisposableStack.[[DisposeCapability]] to asyncDisposableStack.[[DisposeCapability]].
+  newAsyncDisposableStack.DisposeCapability = asyncDisposableStack.DisposeCapability;
+  // 7. Set asyncDisposableStack.[[DisposeCapability]] to NewDisposeCapability().
+  asyncDisposableStack.DisposeCapability = NewDisposeCapability();
+  // 8. Set asyncDisposableStack.[[AsyncDisposableState]] to disposed.
+  asyncDisposableStack.AsyncDisposableState = 'disposed';
+  // 9. Return newAsyncDisposableStack.
+  return newAsyncDisposableStack;
+}
+
+/** https://tc39.es/proposal-explicit-resource-management/#sec-asyncdisposablestack.prototype.use */
+function AsyncDisposableStackProto_use([value = Value.undefined], { thisValue }) {
+  // 1. Let asyncDisposableStack be the this value.
+  const asyncDisposableStack = thisValue;
+  // 2. Perform ? RequireInternalSlot(asyncDisposableStack, [[AsyncDisposableState]]).
+  Q(RequireInternalSlot(asyncDisposableStack, 'AsyncDisposableState'));
+  // 3. If asyncDisposableStack.[[AsyncDisposableState]] is disposed, throw a ReferenceError exception.
+  if (asyncDisposableStack.AsyncDisposableState === 'disposed') {
+    return surroundingAgent.Throw('ReferenceError', 'DisposableStackDisposed', 'AsyncDisposableStack');
+  }
+  // 4. Perform ? AddDisposableResource(asyncDisposableStack.[[DisposeCapability]], value, async-dispose).
+  Q(AddDisposableResource(asyncDisposableStack.DisposeCapability, value, 'async-dispose'));
+  // 5. Return value.
+  return value;
+}
+
+export function bootstrapAsyncDisposableStackPrototype(realmRec) {
+  const proto = bootstrapPrototype(realmRec, [
+    ['adopt', AsyncDisposableStackProto_adopt, 2],
+    ['defer', AsyncDisposableStackProto_defer, 1],
+    ['disposeAsync', AsyncDisposableStackProto_disposeAsync, 0],
+    ['disposed', [AsyncDisposableStackProto_disposedGetter]],
+    ['move', AsyncDisposableStackProto_move, 0],
+    ['use', AsyncDisposableStackProto_use, 1],
+  ], realmRec.Intrinsics['%Object.prototype%'], 'AsyncDisposableStack');
+
+  const disposeAsyncFunc = X(proto.GetOwnProperty(Value('disposeAsync')));
+  X(proto.DefineOwnProperty(wellKnownSymbols.asyncDispose, disposeAsyncFunc));
+
+  realmRec.Intrinsics['%AsyncDisposableStack.prototype%'] = proto;
+}
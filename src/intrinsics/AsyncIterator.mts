@@ -0,0 +1,48 @@
+// @ts-nocheck
+import { surroundingAgent } from '../engine.mjs';
+import {
+  GetAsyncIteratorFlattenable,
+  OrdinaryCreateFromConstructor,
+  OrdinaryHasInstance,
+  OrdinaryObjectCreate,
+} from '../abstract-ops/all.mjs';
+import { Value } from '../value.mjs';
+import { Q } from '../completion.mjs';
+import { bootstrapConstructor } from './bootstrap.mjs';
+
+/** https://tc39.es/proposal-async-iterator-helpers/#sec-asynciterator-constructor */
+function AsyncIteratorConstructor(args, { NewTarget }) {
+  // 1. If NewTarget is either undefined or the active function object, throw a TypeError exception.
+  if (NewTarget === Value.undefined || NewTarget === surroundingAgent.activeFunctionObject) {
+    return surroundingAgent.Throw('TypeError', 'AsyncIteratorNotConstructible');
+  }
+  // 2. Return ? OrdinaryCreateFromConstructor(NewTarget, "%AsyncIterator.prototype%").
+  return Q(OrdinaryCreateFromConstructor(NewTarget, '%AsyncIteratorPrototype%'));
+}
+
+/** https://tc39.es/proposal-async-iterator-helpers/#sec-asynciterator.from */
+function AsyncIterator_from([O = Value.undefined]) {
+  // 1. Let iteratorRecord be ? GetAsyncIteratorFlattenable(O, iterate-string-primitives).
+  const iteratorRecord = Q(GetAsyncIteratorFlattenable(O, 'iterate-string-primitives'));
+  // 2. Let hasInstance be ? OrdinaryHasInstance(%AsyncIterator%, iteratorRecord.[[Iterator]]).
+  const hasInstance = Q(OrdinaryHasInstance(surroundingAgent.intrinsic('%AsyncIterator%'), iteratorRecord.Iterator));
+  // 3. If hasInstance is true, then
+  if (hasInstance === Value.true) {
+    // a. Return iteratorRecord.[[Iterator]].
+    return iteratorRecord.Iterator;
+  }
+  // 4. Let wrapper be OrdinaryObjectCreate(%WrapForValidAsyncIteratorPrototype%, « [[AsyncIterated]] »).
+  const wrapper = OrdinaryObjectCreate(surroundingAgent.intrinsic('%WrapForValidAsyncIteratorPrototype%'), ['AsyncIterated']);
+  // 5. Set wrapper.[[AsyncIterated]] to iteratorRecord.
+  wrapper.AsyncIterated = iteratorRecord;
+  // 6. Return wrapper.
+  return wrapper;
+}
+
+export function bootstrapAsyncIterator(realmRec) {
+  const asyncIteratorConstructor = bootstrapConstructor(realmRec, AsyncIteratorConstructor, 'AsyncIterator', 0, realmRec.Intrinsics['%AsyncIteratorPrototype%'], [
+    ['from', AsyncIterator_from, 1],
+  ]);
+
+  realmRec.Intrinsics['%AsyncIterator%'] = asyncIteratorConstructor;
+}
@@ -0,0 +1,150 @@
+// @ts-nocheck
+import { surroundingAgent } from '../engine.mjs';
+import {
+  Assert,
+  AsyncGeneratorAwaitReturn,
+  AsyncGeneratorEnqueue,
+  AsyncGeneratorResume,
+  AsyncGeneratorValidate,
+  Call,
+  CreateBuiltinFunction,
+  CreateIterResultObject,
+  GetMethod,
+  NewPromiseCapability,
+  PerformPromiseThen,
+  PromiseResolve,
+} from '../abstract-ops/all.mjs';
+import {
+  Completion,
+  IfAbruptRejectPromise,
+  NormalCompletion,
+  X,
+} from '../completion.mjs';
+import { ObjectValue, Value } from '../value.mjs';
+import { bootstrapPrototype } from './bootstrap.mjs';
+
+export const kAsyncIteratorHelper = Value('Async Iterator Helper');
+
+/** https://tc39.es/proposal-async-iterator-helpers/#sec-%asynciteratorhelperprototype%.next */
+function AsyncIteratorHelperPrototype_next(args, { thisValue }) {
+  // 1. Let generator be the this value.
+  const generator = thisValue;
+  // 2. Let promiseCapability be ! NewPromiseCapability(%Promise%).
+  const promiseCapability = X(NewPromiseCapability(surroundingAgent.intrinsic('%Promise%')));
+  // 3. Let result be AsyncGeneratorValidate(generator, "Async Iterator Helper").
+  const result = AsyncGeneratorValidate(generator, kAsyncIteratorHelper);
+  // 4. IfAbruptRejectPromise(result, promiseCapability).
+  IfAbruptRejectPromise(result, promiseCapability);
+  // 5. Let state be generator.[[AsyncGeneratorState]].
+  const state = generator.AsyncGeneratorState;
+  // 6. If state is completed, then
+  if (state === 'completed') {
+    // a. Let iteratorResult be ! CreateIterResultObject(undefined, true).
+    const iteratorResult = X(CreateIterResultObject(Value.undefined, Value.true));
+    // b. Perform ! Call(promiseCapability.[[Resolve]], undefined, « iteratorResult »).
+    X(Call(promiseCapability.Resolve, Value.undefined, [iteratorResult]));
+    // c. Return promiseCapability.[[Promise]].
+    return promiseCapability.Promise;
+  }
+  // 7. Let completion be NormalCompletion(undefined).
+  const completion = NormalCompletion(Value.undefined);
+  // 8. Perform ! AsyncGeneratorEnqueue(generator, completion, promiseCapability).
+  X(AsyncGeneratorEnqueue(generator, completion, promiseCapability));
+  // 9. If state is either suspendedStart or suspendedYield, then
+  if (state === 'suspendedStart' || state === 'suspendedYield') {
+    // a. Perform ! AsyncGeneratorResume(generator, completion).
+    X(AsyncGeneratorResume(generator, completion));
+  } else { // 10. Else,
+    // a. Assert: state is either executing or awaiting-return.
+    Assert(state === 'executing' || state === 'awaiting-return');
+  }
+  // 11. Return promiseCapability.[[Promise]].
+  return promiseCapability.Promise;
+}
+
+/** https://tc39.es/proposal-async-iterator-helpers/#sec-%asynciteratorhelperprototype%.return */
+function AsyncIteratorHelperPrototype_return(args, { thisValue }) {
+  // 1. Let generator be the this value.
+  const generator = thisValue;
+  // 2. Let promiseCapability be ! NewPromiseCapability(%Promise%).
+  const promiseCapability = X(NewPromiseCapability(surroundingAgent.intrinsic('%Promise%')));
+  // 3. Let result be AsyncGeneratorValidate(generator, "Async Iterator Helper").
+  const result = AsyncGeneratorValidate(generator, kAsyncIteratorHelper);
+  // 4. IfAbruptRejectPromise(result, promiseCapability).
+  IfAbruptRejectPromise(result, promiseCapability);
+  // 5. Assert: generator has an [[UnderlyingIterator]] internal slot.
+  Assert('UnderlyingIterator' in generator);
+  // 6. If generator.[[AsyncGeneratorState]] is suspendedStart, then
+  if (generator.AsyncGeneratorState === 'suspendedStart') {
+    // a. Set generator.[[AsyncGeneratorState]] to completed.
+    generator.AsyncGeneratorState = 'completed';
+    // b. NOTE: Once a generator enters the completed state it never leaves it and its associated execution context is never resumed. Any execution state associated with generator can be discarded at this point.
+    generator.AsyncGeneratorContext = null;
+    // c. Let iterator be generator.[[UnderlyingIterator]].[[Iterator]].
+    const iterator = generator.UnderlyingIterator.Iterator;
+    // d. Let returnMethod be Completion(GetMethod(iterator, "return")).
+    const returnMethod = GetMethod(iterator, Value('return'));
+    // e. IfAbruptRejectPromise(returnMethod, promiseCapability).
+    IfAbruptRejectPromise(returnMethod, promiseCapability);
+    // f. If returnMethod is undefined, then
+    if (returnMethod === Value.undefined) {
+      // i. Perform ! Call(promiseCapability.[[Resolve]], undefined, « CreateIterResultObject(undefined, true) »).
+      X(Call(promiseCapability.Resolve, Value.undefined, [X(CreateIterResultObject(Value.undefined, Value.true))]));
+      // ii. Return promiseCapability.[[Promise]].
+      return promiseCapability.Promise;
+    }
+    // g. Let returnResult be Completion(Call(returnMethod, iterator)).
+    const returnResult = Call(returnMethod, iterator);
+    // h. IfAbruptRejectPromise(returnResult, promiseCapability).
+    IfAbruptRejectPromise(returnResult, promiseCapability);
+    // i. Let returnPromise be Completion(PromiseResolve(%Promise%, returnResult)).
+    const returnPromise = PromiseResolve(surroundingAgent.intrinsic('%Promise%'), returnResult);
+    // j. IfAbruptRejectPromise(returnPromise, promiseCapability).
+    IfAbruptRejectPromise(returnPromise, promiseCapability);
+    // k. Let closure be a new Abstract Closure with parameters (value) that captures nothing and performs the following steps when called:
+    const closure = ([value = Value.undefined]) => {
+      // i. If value is not an Object, throw a TypeError exception.
+      if (!(value instanceof ObjectValue)) {
+        return surroundingAgent.Throw('TypeError', 'NotAnObject', value);
+      }
+      // ii. Return CreateIterResultObject(undefined, true).
+      return X(CreateIterResultObject(Value.undefined, Value.true));
+    };
+    // l. Let onFulfilled be CreateBuiltinFunction(closure, 1, "", « »).
+    const onFulfilled = CreateBuiltinFunction(closure, 1, Value(''), []);
+    // m. Perform PerformPromiseThen(returnPromise, onFulfilled, undefined, promiseCapability).
+    PerformPromiseThen(returnPromise, onFulfilled, Value.undefined, promiseCapability);
+    // n. Return promiseCapability.[[Promise]].
+    return promiseCapability.Promise;
+  }
+  // 7. Let completion be Completion { [[Type]]: return, [[Value]]: undefined, [[Target]]: empty }.
+  const completion = new Completion({ Type: 'return', Value: Value.undefined, Target: undefined });
+  // 8. Perform ! AsyncGeneratorEnqueue(generator, completion, promiseCapability).
+  X(AsyncGeneratorEnqueue(generator, completion, promiseCapability));
+  // 9. Let state be generator.[[AsyncGeneratorState]].
+  const state = generator.AsyncGeneratorState;
+  // 10. If state is completed, then
+  if (state === 'completed') {
+    // a. Set generator.[[AsyncGeneratorState]] to awaiting-return.
+    generator.AsyncGeneratorState = 'awaiting-return';
+    // b. Perform ! AsyncGeneratorAwaitReturn(generator).
+    X(AsyncGeneratorAwaitReturn(generator));
+  } else if (state === 'suspendedYield') { // 11. Else if state is suspendedYield, then
+    // a. Perform ! AsyncGeneratorResume(generator, completion).
+    X(AsyncGeneratorResume(generator, completion));
+  } else { // 12. Else,
+    // a. Assert: state is either executing or awaiting-return.
+    Assert(state === 'executing' || state === 'awaiting-return');
+  }
+  // 13. Return promiseCapability.[[Promise]].
+  return promiseCapability.Promise;
+}
+
+export function bootstrapAsyncIteratorHelperPrototype(realmRec) {
+  const proto = bootstrapPrototype(realmRec, [
+    ['next', AsyncIteratorHelperPrototype_next, 0],
+    ['return', AsyncIteratorHelperPrototype_return, 0],
+  ], realmRec.Intrinsics['%AsyncIteratorPrototype%'], 'Async Iterator Helper');
+
+  realmRec.Intrinsics['%AsyncIteratorHelperPrototype%'] = proto;
+}
@@ -1,6 +1,40 @@
 // @ts-nocheck
-import { wellKnownSymbols } from '../value.mjs';
+import { surroundingAgent } from '../engine.mjs';
+import { ObjectValue, Value, wellKnownSymbols } from '../value.mjs';
+import {
+  AsyncFunctionStart,
+  AsyncIteratorClose,
+  Call,
+  CreateArrayFromList,
+  CreateAsyncIteratorFromClosure,
+  CreateBuiltinFunction,
+  GetAsyncIteratorFlattenable,
+  GetIteratorDirect,
+  GetMethod,
+  IsCallable,
+  IteratorComplete,
+  IteratorValue,
+  NewPromiseCapability,
+  PerformPromiseThen,
+  PromiseResolve,
+  ToBoolean,
+  ToIntegerOrInfinity,
+  ToNumber,
+  Yield,
+  F,
+} from '../abstract-ops/all.mjs';
+import {
+  AbruptCompletion,
+  Await,
+  Completion,
+  EnsureCompletion,
+  IfAbruptCloseAsyncIterator,
+  IfAbruptRejectPromise,
+  NormalCompletion,
+  Q, X,
+} from '../completion.mjs';
 import { bootstrapPrototype } from './bootstrap.mjs';
+import { kAsyncIteratorHelper } from './AsyncIteratorHelperPrototype.mjs';
 
 /** https://tc39.es/ecma262/#sec-asynciteratorprototype-asynciterator */
 function AsyncIteratorPrototype_asyncIterator(args, { thisValue }) {
@@ -8,9 +42,647 @@ function AsyncIteratorPrototype_asyncIterator(args, { thisValue }) {
   return thisValue;
 }
 
+/** https://tc39.es/proposal-explicit-resource-management/#sec-%asynciteratorprototype%-@@asyncdispose */
+function AsyncIteratorPrototype_asyncDispose(args, { thisValue }) {
+  // 1. Let O be the this value.
+  const O = thisValue;
+  // 2. Let promiseCapability be ! NewPromiseCapability(%Promise%).
+  const promiseCapability = X(NewPromiseCapability(surroundingAgent.intrinsic('%Promise%')));
+  // 3. Let return be Completion(GetMethod(O, "return")).
+  const ret = GetMethod(O, Value('return'));
+  // 4. IfAbruptRejectPromise(return, promiseCapability).
+  IfAbruptRejectPromise(ret, promiseCapability);
+  // 5. If return is undefined, then
+  if (ret === Value.undefined) {
+    // a. Perform ! Call(promiseCapability.[[Resolve]], undefined, « undefined »).
+    X(Call(promiseCapability.Resolve, Value.undefined, [Value.undefined]));
+  } else { // 6. Else,
+    // a. Let result be Completion(Call(return, O, « undefined »)).
+    const result = Call(ret, O, [Value.undefined]);
+    // b. IfAbruptRejectPromise(result, promiseCapability).
+    IfAbruptRejectPromise(result, promiseCapability);
+    // c. Let resultWrapper be Completion(PromiseResolve(%Promise%, result)).
+    const resultWrapper = PromiseResolve(surroundingAgent.intrinsic('%Promise%'), result);
+    // d. IfAbruptRejectPromise(resultWrapper, promiseCapability).
+    IfAbruptRejectPromise(resultWrapper, promiseCapability);
+    // e. Let unwrap be a new Abstract Closure that performs the following steps when called:
+    //   i. Return undefined.
+    const unwrap = () => Value.undefined;
+    // f. Let onFulfilled be CreateBuiltinFunction(unwrap, 1, "", « »).
+    const onFulfilled = CreateBuiltinFunction(unwrap, 1, Value(''), []);
+    // g. Perform PerformPromiseThen(resultWrapper, onFulfilled, undefined, promiseCapability).
+    PerformPromiseThen(resultWrapper, onFulfilled, Value.undefined, promiseCapability);
+  }
+  // 7. Return promiseCapability.[[Promise]].
+  return promiseCapability.Promise;
+}
+
+// Calls the next method of iteratorRecord and awaits its result, returning
+// either the next value or done (the async counterpart of IteratorStepValue).
+function* AsyncIteratorStepValue(iteratorRecord) {
+  // 1. Let result be ? Call(iteratorRecord.[[NextMethod]], iteratorRecord.[[Iterator]]).
+  let result = Q(Call(iteratorRecord.NextMethod, iteratorRecord.Iterator));
+  // 2. Set result to ? Await(result).
+  result = Q(yield* Await(result));
+  // 3. If result is not an Object, throw a TypeError exception.
+  if (!(result instanceof ObjectValue)) {
+    return surroundingAgent.Throw('TypeError', 'NotAnObject', result);
+  }
+  // 4. Let done be ? IteratorComplete(result).
+  const done = Q(IteratorComplete(result));
+  // 5. If done is true, return done.
+  if (done === Value.true) {
+    return 'done';
+  }
+  // 6. Return ? IteratorValue(result).
+  return Q(IteratorValue(result));
+}
+
+// The promise-returning methods below are built-in async functions. Their steps
+// run as an async closure whose result settles the returned promise.
+function AsyncBuiltinFunctionStart(closure) {
+  const promiseCapability = X(NewPromiseCapability(surroundingAgent.intrinsic('%Promise%')));
+  X(AsyncFunctionStart(promiseCapability, function* asyncBody() {
+    const result = EnsureCompletion(yield* closure());
+    if (result.Type === 'normal') {
+      return new Completion({ Type: 'return', Value: result.Value, Target: undefined });
+    }
+    return result;
+  }));
+  return promiseCapability.Promise;
+}
+
+/** https://tc39.es/proposal-async-iterator-helpers/#sec-asynciteratorprototype.drop */
+function AsyncIteratorPrototype_drop([limit = Value.undefined], { thisValue }) {
+  // 1. Let O be the this value.
+  const O = thisValue;
+  // 2. If O is not an Object, throw a TypeError exception.
+  if (!(O instanceof ObjectValue)) {
+    return surroundingAgent.Throw('TypeError', 'NotAnObject', O);
+  }
+  // 3. Let numLimit be ? ToNumber(limit).
+  const numLimit = Q(ToNumber(limit));
+  // 4. If numLimit is NaN, throw a RangeError exception.
+  if (numLimit.isNaN()) {
+    return surroundingAgent.Throw('RangeError', 'OutOfRange', numLimit.numberValue());
+  }
+  // 5. Let integerLimit be ! ToIntegerOrInfinity(numLimit).
+  const integerLimit = X(ToIntegerOrInfinity(numLimit));
+  // 6. If integerLimit < 0, throw a RangeError exception.
+  if (integerLimit < 0) {
+    return surroundingAgent.Throw('RangeError', 'OutOfRange', numLimit.numberValue());
+  }
+  // 7. Let iterated be ? GetIteratorDirect(O).
+  const iterated = Q(GetIteratorDirect(O));
+  // 8. Let closure be a new Abstract Closure with no parameters that captures iterated and integerLimit and performs the following steps when called:
+  const closure = function* closure() {
+    // a. Let remaining be integerLimit.
+    let remaining = integerLimit;
+    // b. Repeat, while remaining > 0,
+    while (remaining > 0) {
+      // i. If remaining ≠ +∞, then
+      if (remaining !== Infinity) {
+        // 1. Set remaining to remaining - 1.
+        remaining -= 1;
+      }
+      // ii. Let value be ? AsyncIteratorStepValue(iterated).
+      const value = Q(yield* AsyncIteratorStepValue(iterated));
+      // iii. If value is done, return ReturnCompletion(undefined).
+      if (value === 'done') {
+        return Value.undefined;
+      }
+    }
+    // c. Repeat,
+    while (true) {
+      // i. Let value be ? AsyncIteratorStepValue(iterated).
+      const value = Q(yield* AsyncIteratorStepValue(iterated));
+      // ii. If value is done, return ReturnCompletion(undefined).
+      if (value === 'done') {
+        return Value.undefined;
+      }
+      // iii. Let completion be Completion(Yield(value)).
+      const completion = yield* Yield(value);
+      // iv. IfAbruptCloseAsyncIterator(completion, iterated).
+      IfAbruptCloseAsyncIterator(completion, iterated);
+    }
+  };
+  // 9. Let result be CreateAsyncIteratorFromClosure(closure, "Async Iterator Helper", %AsyncIteratorHelperPrototype%, « [[UnderlyingIterator]] »).
+  const result = CreateAsyncIteratorFromClosure(closure, kAsyncIteratorHelper, surroundingAgent.intrinsic('%AsyncIteratorHelperPrototype%'), ['UnderlyingIterator']);
+  // 10. Set result.[[UnderlyingIterator]] to iterated.
+  result.UnderlyingIterator = iterated;
+  // 11. Return result.
+  return result;
+}
+
+/** https://tc39.es/proposal-async-iterator-helpers/#sec-asynciteratorprototype.every */
+function AsyncIteratorPrototype_every([predicate = Value.undefined], { thisValue }) {
+  return AsyncBuiltinFunctionStart(function* every() {
+    // 1. Let O be the this value.
+    const O = thisValue;
+    // 2. If O is not an Object, throw a TypeError exception.
+    if (!(O instanceof ObjectValue)) {
+      return surroundingAgent.Throw('TypeError', 'NotAnObject', O);
+    }
+    // 3. If IsCallable(predicate) is false, throw a TypeError exception.
+    if (IsCallable(predicate) === Value.false) {
+      return surroundingAgent.Throw('TypeError', 'NotAFunction', predicate);
+    }
+    // 4. Let iterated be ? GetIteratorDirect(O).
+    const iterated = Q(GetIteratorDirect(O));
+    // 5. Let counter be 0.
+    let counter = 0;
+    // 6. Repeat,
+    while (true) {
+      // a. Let value be ? AsyncIteratorStepValue(iterated).
+      const value = Q(yield* AsyncIteratorStepValue(iterated));
+      // b. If value is done, return true.
+      if (value === 'done') {
+        return Value.true;
+      }
+      // c. Let result be Completion(Call(predicate, undefined, « value, 𝔽(counter) »)).
+      let result = Call(predicate, Value.undefined, [value, F(counter)]);
+      // d. IfAbruptCloseAsyncIterator(result, iterated).
+      IfAbruptCloseAsyncIterator(result, iterated);
+      // e. Set result to Completion(Await(result)).
+      result = yield* Await(result);
+      // f. IfAbruptCloseAsyncIterator(result, iterated).
+      IfAbruptCloseAsyncIterator(result, iterated);
+      // g. If ToBoolean(result) is false, return ? AsyncIteratorClose(iterated, NormalCompletion(false)).
+      if (ToBoolean(result) === Value.false) {
+        return Q(yield* AsyncIteratorClose(iterated, NormalCompletion(Value.false)));
+      }
+      // h. Set counter to counter + 1.
+      counter += 1;
+    }
+  });
+}
+
+/** https://tc39.es/proposal-async-iterator-helpers/#sec-asynciteratorprototype.filter */
+function AsyncIteratorPrototype_filter([predicate = Value.undefined], { thisValue }) {
+  // 1. Let O be the this value.
+  const O = thisValue;
+  // 2. If O is not an Object, throw a TypeError exception.
+  if (!(O instanceof ObjectValue)) {
+    return surroundingAgent.Throw('TypeError', 'NotAnObject', O);
+  }
+  // 3. If IsCallable(predicate) is false, throw a TypeError exception.
+  if (IsCallable(predicate) === Value.false) {
+    return surroundingAgent.Throw('TypeError', 'NotAFunction', predicate);
+  }
+  // 4. Let iterated be ? GetIteratorDirect(O).
+  const iterated = Q(GetIteratorDirect(O));
+  // 5. Let closure be a new Abstract Closure with no parameters that captures iterated and predicate and performs the following steps when called:
+  const closure = function* closure() {
+    // a. Let counter be 0.
+    let counter = 0;
+    // b. Repeat,
+    while (true) {
+      // i. Let value be ? AsyncIteratorStepValue(iterated).
+      const value = Q(yield* AsyncIteratorStepValue(iterated));
+      // ii. If value is done, return ReturnCompletion(undefined).
+      if (value === 'done') {
+        return Value.undefined;
+      }
+      // iii. Let selected be Completion(Call(predicate, undefined, « value, 𝔽(counter) »)).
+      let selected = Call(predicate, Value.undefined, [value, F(counter)]);
+      // iv. IfAbruptCloseAsyncIterator(selected, iterated).
+      IfAbruptCloseAsyncIterator(selected, iterated);
+      // v. Set selected to Completion(Await(selected)).
+      selected = yield* Await(selected);
+      // vi. IfAbruptCloseAsyncIterator(selected, iterated).
+      IfAbruptCloseAsyncIterator(selected, iterated);
+      // vii. If ToBoolean(selected) is true, then
+      if (ToBoolean(selected) === Value.true) {
+        // 1. Let completion be Completion(Yield(value)).
+        const completion = yield* Yield(value);
+        // 2. IfAbruptCloseAsyncIterator(completion, iterated).
+        IfAbruptCloseAsyncIterator(completion, iterated);
+      }
+      // viii. Set counter to counter + 1.
+      counter += 1;
+    }
+  };
+  // 6. Let result be CreateAsyncIteratorFromClosure(closure, "Async Iterator Helper", %AsyncIteratorHelperPrototype%, « [[UnderlyingIterator]] »).
+  const result = CreateAsyncIteratorFromClosure(closure, kAsyncIteratorHelper, surroundingAgent.intrinsic('%AsyncIteratorHelperPrototype%'), ['UnderlyingIterator']);
+  // 7. Set result.[[UnderlyingIterator]] to iterated.
+  result.UnderlyingIterator = iterated;
+  // 8. Return result.
+  return result;
+}
+
+/** https://tc39.es/proposal-async-iterator-helpers/#sec-asynciteratorprototype.find */
+function AsyncIteratorPrototype_find([predicate = Value.undefined], { thisValue }) {
+  return AsyncBuiltinFunctionStart(function* find() {
+    // 1. Let O be the this value.
+    const O = thisValue;
+    // 2. If O is not an Object, throw a TypeError exception.
+    if (!(O instanceof ObjectValue)) {
+      return surroundingAgent.Throw('TypeError', 'NotAnObject', O);
+    }
+    // 3. If IsCallable(predicate) is false, throw a TypeError exception.
+    if (IsCallable(predicate) === Value.false) {
+      return surroundingAgent.Throw('TypeError', 'NotAFunction', predicate);
+    }
+    // 4. Let iterated be ? GetIteratorDirect(O).
+    const iterated = Q(GetIteratorDirect(O));
+    // 5. Let counter be 0.
+    let counter = 0;
+    // 6. Repeat,
+    while (true) {
+      // a. Let value be ? AsyncIteratorStepValue(iterated).
+      const value = Q(yield* AsyncIteratorStepValue(iterated));
+      // b. If value is done, return undefined.
+      if (value === 'done') {
+        return Value.undefined;
+      }
+      // c. Let result be Completion(Call(predicate, undefined, « value, 𝔽(counter) »)).
+      let result = Call(predicate, Value.undefined, [value, F(counter)]);
+      // d. IfAbruptCloseAsyncIterator(result, iterated).
+      IfAbruptCloseAsyncIterator(result, iterated);
+      // e. Set result to Completion(Await(result)).
+      result = yield* Await(result);
+      // f. IfAbruptCloseAsyncIterator(result, iterated).
+      IfAbruptCloseAsyncIterator(result, iterated);
+      // g. If ToBoolean(result) is true, return ? AsyncIteratorClose(iterated, NormalCompletion(value)).
+      if (ToBoolean(result) === Value.true) {
+        return Q(yield* AsyncIteratorClose(iterated, NormalCompletion(value)));
+      }
+      // h. Set counter to counter + 1.
+      counter += 1;
+    }
+  });
+}
+
+/** https://tc39.es/proposal-async-iterator-helpers/#sec-asynciteratorprototype.flatmap */
+function AsyncIteratorPrototype_flatMap([mapper = Value.undefined], { thisValue }) {
+  // 1. Let O be the this value.
+  const O = thisValue;
+  // 2. If O is not an Object, throw a TypeError exception.
+  if (!(O instanceof ObjectValue)) {
+    return surroundingAgent.Throw('TypeError', 'NotAnObject', O);
+  }
+  // 3. If IsCallable(mapper) is false, throw a TypeError exception.
+  if (IsCallable(mapper) === Value.false) {
+    return surroundingAgent.Throw('TypeError', 'NotAFunction', mapper);
+  }
+  // 4. Let iterated be ? GetIteratorDirect(O).
+  const iterated = Q(GetIteratorDirect(O));
+  // 5. Let closure be a new Abstract Closure with no parameters that captures iterated and mapper and performs the following steps when called:
+  const closure = function* closure() {
+    // a. Let counter be 0.
+    let counter = 0;
+    // b. Repeat,
+    while (true) {
+      // i. Let value be ? AsyncIteratorStepValue(iterated).
+      const value = Q(yield* AsyncIteratorStepValue(iterated));
+      // ii. If value is done, return ReturnCompletion(undefined).
+      if (value === 'done') {
+        return Value.undefined;
+      }
+      // iii. Let mapped be Completion(Call(mapper, undefined, « value, 𝔽(counter) »)).
+      let mapped = Call(mapper, Value.undefined, [value, F(counter)]);
+      // iv. IfAbruptCloseAsyncIterator(mapped, iterated).
+      IfAbruptCloseAsyncIterator(mapped, iterated);
+      // v. Set mapped to Completion(Await(mapped)).
+      mapped = yield* Await(mapped);
+      // vi. IfAbruptCloseAsyncIterator(mapped, iterated).
+      IfAbruptCloseAsyncIterator(mapped, iterated);
+      // vii. Let innerIterator be Completion(GetAsyncIteratorFlattenable(mapped, reject-primitives)).
+      const innerIterator = GetAsyncIteratorFlattenable(mapped, 'reject-primitives');
+      // viii. IfAbruptCloseAsyncIterator(innerIterator, iterated).
+      IfAbruptCloseAsyncIterator(innerIterator, iterated);
+      // ix. Let innerAlive be true.
+      let innerAlive = true;
+      // x. Repeat, while innerAlive is true,
+      while (innerAlive) {
+        // 1. Let innerValue be Completion(AsyncIteratorStepValue(innerIterator)).
+        const innerValue = yield* AsyncIteratorStepValue(innerIterator);
+        // 2. IfAbruptCloseAsyncIterator(innerValue, iterated).
+        IfAbruptCloseAsyncIterator(innerValue, iterated);
+        // 3. If innerValue is done, then
+        if (innerValue === 'done') {
+          // a. Set innerAlive to false.
+          innerAlive = false;
+        } else { // 4. Else,
+          // a. Let completion be Completion(Yield(innerValue)).
+          const completion = yield* Yield(innerValue);
+          // b. If completion is an abrupt completion, then
+          if (completion instanceof AbruptCompletion) {
+            // i. Let backupCompletion be Completion(AsyncIteratorClose(innerIterator, completion)).
+            const backupCompletion = yield* AsyncIteratorClose(innerIterator, completion);
+            // ii. IfAbruptCloseAsyncIterator(backupCompletion, iterated).
+            IfAbruptCloseAsyncIterator(backupCompletion, iterated);
+            // iii. Return ? AsyncIteratorClose(iterated, completion).
+            return Q(yield* AsyncIteratorClose(iterated, completion));
+          }
+        }
+      }
+      // xi. Set counter to counter + 1.
+      counter += 1;
+    }
+  };
+  // 6. Let result be CreateAsyncIteratorFromClosure(closure, "Async Iterator Helper", %AsyncIteratorHelperPrototype%, « [[UnderlyingIterator]] »).
+  const result = CreateAsyncIteratorFromClosure(closure, kAsyncIteratorHelper, surroundingAgent.intrinsic('%AsyncIteratorHelperPrototype%'), ['UnderlyingIterator']);
+  // 7. Set result.[[UnderlyingIterator]] to iterated.
+  result.UnderlyingIterator = iterated;
+  // 8. Return result.
+  return result;
+}
+
+/** https://tc39.es/proposal-async-iterator-helpers/#sec-asynciteratorprototype.foreach */
+function AsyncIteratorPrototype_forEach([procedure = Value.undefined], { thisValue }) {
+  return AsyncBuiltinFunctionStart(function* forEach() {
+    // 1. Let O be the this value.
+    const O = thisValue;
+    // 2. If O is not an Object, throw a TypeError exception.
+    if (!(O instanceof ObjectValue)) {
+      return surroundingAgent.Throw('TypeError', 'NotAnObject', O);
+    }
+    // 3. If IsCallable(procedure) is false, throw a TypeError exception.
+    if (IsCallable(procedure) === Value.false) {
+      return surroundingAgent.Throw('TypeError', 'NotAFunction', procedure);
+    }
+    // 4. Let iterated be ? GetIteratorDirect(O).
+    const iterated = Q(GetIteratorDirect(O));
+    // 5. Let counter be 0.
+    let counter = 0;
+    // 6. Repeat,
+    while (true) {
+      // a. Let value be ? AsyncIteratorStepValue(iterated).
+      const value = Q(yield* AsyncIteratorStepValue(iterated));
+      // b. If value is done, return undefined.
+      if (value === 'done') {
+        return Value.undefined;
+      }
+      // c. Let result be Completion(Call(procedure, undefined, « value, 𝔽(counter) »)).
+      let result = Call(procedure, Value.undefined, [value, F(counter)]);
+      // d. IfAbruptCloseAsyncIterator(result, iterated).
+      IfAbruptCloseAsyncIterator(result, iterated);
+      // e. Set result to Completion(Await(result)).
+      result = yield* Await(result);
+      // f. IfAbruptCloseAsyncIterator(result, iterated).
+      IfAbruptCloseAsyncIterator(result, iterated);
+      // g. Set counter to counter + 1.
+      counter += 1;
+    }
+  });
+}
+
+/** https://tc39.es/proposal-async-iterator-helpers/#sec-asynciteratorprototype.map */
+function AsyncIteratorPrototype_map([mapper = Value.undefined], { thisValue }) {
+  // 1. Let O be the this value.
+  const O = thisValue;
+  // 2. If O is not an Object, throw a TypeError exception.
+  if (!(O instanceof ObjectValue)) {
+    return surroundingAgent.Throw('TypeError', 'NotAnObject', O);
+  }
+  // 3. If IsCallable(mapper) is false, throw a TypeError exception.
+  if (IsCallable(mapper) === Value.false) {
+    return surroundingAgent.Throw('TypeError', 'NotAFunction', mapper);
+  }
+  // 4. Let iterated be ? GetIteratorDirect(O).
+  const iterated = Q(GetIteratorDirect(O));
+  // 5. Let closure be a new Abstract Closure with no parameters that captures iterated and mapper and performs the following steps when called:
+  const closure = function* closure() {
+    // a. Let counter be 0.
+    let counter = 0;
+    // b. Repeat,
+    while (true) {
+      // i. Let value be ? AsyncIteratorStepValue(iterated).
+      const value = Q(yield* AsyncIteratorStepValue(iterated));
+      // ii. If value is done, return ReturnCompletion(undefined).
+      if (value === 'done') {
+        return Value.undefined;
+      }
+      // iii. Let mapped be Completion(Call(mapper, undefined, « value, 𝔽(counter) »)).
+      let mapped = Call(mapper, Value.undefined, [value, F(counter)]);
+      // iv. IfAbruptCloseAsyncIterator(mapped, iterated).
+      IfAbruptCloseAsyncIterator(mapped, iterated);
+      // v. Set mapped to Completion(Await(mapped)).
+      mapped = yield* Await(mapped);
+      // vi. IfAbruptCloseAsyncIterator(mapped, iterated).
+      IfAbruptCloseAsyncIterator(mapped, iterated);
+      // vii. Let completion be Completion(Yield(mapped)).
+      const completion = yield* Yield(mapped);
+      // viii. IfAbruptCloseAsyncIterator(completion, iterated).
+      IfAbruptCloseAsyncIterator(completion, iterated);
+      // ix. Set counter to counter + 1.
+      counter += 1;
+    }
+  };
+  // 6. Let result be CreateAsyncIteratorFromClosure(closure, "Async Iterator Helper", %AsyncIteratorHelperPrototype%, « [[UnderlyingIterator]] »).
+  const result = CreateAsyncIteratorFromClosure(closure, kAsyncIteratorHelper, surroundingAgent.intrinsic('%AsyncIteratorHelperPrototype%'), ['UnderlyingIterator']);
+  // 7. Set result.[[UnderlyingIterator]] to iterated.
+  result.UnderlyingIterator = iterated;
+  // 8. Return result.
+  return result;
+}
+
+/** https://tc39.es/proposal-async-iterator-helpers/#sec-asynciteratorprototype.reduce */
+function AsyncIteratorPrototype_reduce(args, { thisValue }) {
+  const [reducer = Value.undefined, initialValue] = args;
+  return AsyncBuiltinFunctionStart(function* reduce() {
+    // 1. Let O be the this value.
+    const O = thisValue;
+    // 2. If O is not an Object, throw a TypeError exception.
+    if (!(O instanceof ObjectValue)) {
+      return surroundingAgent.Throw('TypeError', 'NotAnObject', O);
+    }
+    // 3. If IsCallable(reducer) is false, throw a TypeError exception.
+    if (IsCallable(reducer) === Value.false) {
+      return surroundingAgent.Throw('TypeError', 'NotAFunction', reducer);
+    }
+    // 4. Let iterated be ? GetIteratorDirect(O).
+    const iterated = Q(GetIteratorDirect(O));
+    let accumulator;
+    let counter;
+    // 5. If initialValue is not present, then
+    if (args.length < 2) {
+      // a. Let accumulator be ? AsyncIteratorStepValue(iterated).
+      accumulator = Q(yield* AsyncIteratorStepValue(iterated));
+      // b. If accumulator is done, throw a TypeError exception.
+      if (accumulator === 'done') {
+        return surroundingAgent.Throw('TypeError', 'IteratorEmptyReduce');
+      }
+      // c. Let counter be 1.
+      counter = 1;
+    } else { // 6. Else,
+      // a. Let accumulator be initialValue.
+      accumulator = initialValue;
+      // b. Let counter be 0.
+      counter = 0;
+    }
+    // 7. Repeat,
+    while (true) {
+      // a. Let value be ? AsyncIteratorStepValue(iterated).
+      const value = Q(yield* AsyncIteratorStepValue(iterated));
+      // b. If value is done, return accumulator.
+      if (value === 'done') {
+        return accumulator;
+      }
+      // c. Let result be Completion(Call(reducer, undefined, « accumulator, value, 𝔽(counter) »)).
+      let result = Call(reducer, Value.undefined, [accumulator, value, F(counter)]);
+      // d. IfAbruptCloseAsyncIterator(result, iterated).
+      IfAbruptCloseAsyncIterator(result, iterated);
+      // e. Set result to Completion(Await(result)).
+      result = yield* Await(result);
+      // f. IfAbruptCloseAsyncIterator(result, iterated).
+      IfAbruptCloseAsyncIterator(result, iterated);
+      // g. Set accumulator to result.
+      accumulator = result;
+      // h. Set counter to counter + 1.
+      counter += 1;
+    }
+  });
+}
+
+/** https://tc39.es/proposal-async-iterator-helpers/#sec-asynciteratorprototype.some */
+function AsyncIteratorPrototype_some([predicate = Value.undefined], { thisValue }) {
+  return AsyncBuiltinFunctionStart(function* some() {
+    // 1. Let O be the this value.
+    const O = thisValue;
+    // 2. If O is not an Object, throw a TypeError exception.
+    if (!(O instanceof ObjectValue)) {
+      return surroundingAgent.Throw('TypeError', 'NotAnObject', O);
+    }
+    // 3. If IsCallable(predicate) is false, throw a TypeError exception.
+    if (IsCallable(predicate) === Value.false) {
+      return surroundingAgent.Throw('TypeError', 'NotAFunction', predicate);
+    }
+    // 4. Let iterated be ? GetIteratorDirect(O).
+    const iterated = Q(GetIteratorDirect(O));
+    // 5. Let counter be 0.
+    let counter = 0;
+    // 6. Repeat,
+    while (true) {
+      // a. Let value be ? AsyncIteratorStepValue(iterated).
+      const value = Q(yield* AsyncIteratorStepValue(iterated));
+      // b. If value is done, return false.
+      if (value === 'done') {
+        return Value.false;
+      }
+      // c. Let result be Completion(Call(predicate, undefined, « value, 𝔽(counter) »)).
+      let result = Call(predicate, Value.undefined, [value, F(counter)]);
+      // d. IfAbruptCloseAsyncIterator(result, iterated).
+      IfAbruptCloseAsyncIterator(result, iterated);
+      // e. Set result to Completion(Await(result)).
+      result = yield* Await(result);
+      // f. IfAbruptCloseAsyncIterator(result, iterated).
+      IfAbruptCloseAsyncIterator(result, iterated);
+      // g. If ToBoolean(result) is true, return ? AsyncIteratorClose(iterated, NormalCompletion(true)).
+      if (ToBoolean(result) === Value.true) {
+        return Q(yield* AsyncIteratorClose(iterated, NormalCompletion(Value.true)));
+      }
+      // h. Set counter to counter + 1.
+      counter += 1;
+    }
+  });
+}
+
+/** https://tc39.es/proposal-async-iterator-helpers/#sec-asynciteratorprototype.take */
+function AsyncIteratorPrototype_take([limit = Value.undefined], { thisValue }) {
+  // 1. Let O be the this value.
+  const O = thisValue;
+  // 2. If O is not an Object, throw a TypeError exception.
+  if (!(O instanceof ObjectValue)) {
+    return surroundingAgent.Throw('TypeError', 'NotAnObject', O);
+  }
+  // 3. Let numLimit be ? ToNumber(limit).
+  const numLimit = Q(ToNumber(limit));
+  // 4. If numLimit is NaN, throw a RangeError exception.
+  if (numLimit.isNaN()) {
+    return surroundingAgent.Throw('RangeError', 'OutOfRange', numLimit.numberValue());
+  }
+  // 5. Let integerLimit be ! ToIntegerOrInfinity(numLimit).
+  const integerLimit = X(ToIntegerOrInfinity(numLimit));
+  // 6. If integerLimit < 0, throw a RangeError exception.
+  if (integerLimit < 0) {
+    return surroundingAgent.Throw('RangeError', 'OutOfRange', numLimit.numberValue());
+  }
+  // 7. Let iterated be ? GetIteratorDirect(O).
+  const iterated = Q(GetIteratorDirect(O));
+  // 8. Let closure be a new Abstract Closure with no parameters that captures iterated and integerLimit and performs the following steps when called:
+  const closure = function* closure() {
+    // a. Let remaining be integerLimit.
+    let remaining = integerLimit;
+    // b. Repeat,
+    while (true) {
+      // i. If remaining = 0, then
+      if (remaining === 0) {
+        // 1. Return ? AsyncIteratorClose(iterated, ReturnCompletion(undefined)).
+        return Q(yield* AsyncIteratorClose(iterated, new Completion({ Type: 'return', Value: Value.undefined, Target: undefined })));
+      }
+      // ii. If remaining ≠ +∞, then
+      if (remaining !== Infinity) {
+        // 1. Set remaining to remaining - 1.
+        remaining -= 1;
+      }
+      // iii. Let value be ? AsyncIteratorStepValue(iterated).
+      const value = Q(yield* AsyncIteratorStepValue(iterated));
+      // iv. If value is done, return ReturnCompletion(undefined).
+      if (value === 'done') {
+        return Value.undefined;
+      }
+      // v. Let completion be Completion(Yield(value)).
+      const completion = yield* Yield(value);
+      // vi. IfAbruptCloseAsyncIterator(completion, iterated).
+      IfAbruptCloseAsyncIterator(completion, iterated);
+    }
+  };
+  // 9. Let result be CreateAsyncIteratorFromClosure(closure, "Async Iterator Helper", %AsyncIteratorHelperPrototype%, « [[UnderlyingIterator]] »).
+  const result = CreateAsyncIteratorFromClosure(closure, kAsyncIteratorHelper, surroundingAgent.intrinsic('%AsyncIteratorHelperPrototype%'), ['UnderlyingIterator']);
+  // 10. Set result.[[UnderlyingIterator]] to iterated.
+  result.UnderlyingIterator = iterated;
+  // 11. Return result.
+  return result;
+}
+
+/** https://tc39.es/proposal-async-iterator-helpers/#sec-asynciteratorprototype.toarray */
+function AsyncIteratorPrototype_toArray(args, { thisValue }) {
+  return AsyncBuiltinFunctionStart(function* toArray() {
+    // 1. Let O be the this value.
+    const O = thisValue;
+    // 2. If O is not an Object, throw a TypeError exception.
+    if (!(O instanceof ObjectValue)) {
+      return surroundingAgent.Throw('TypeError', 'NotAnObject', O);
+    }
+    // 3. Let iterated be ? GetIteratorDirect(O).
+    const iterated = Q(GetIteratorDirect(O));
+    // 4. Let items be a new empty List.
+    const items = [];
+    // 5. Repeat,
+    while (true) {
+      // a. Let value be ? AsyncIteratorStepValue(iterated).
+      const value = Q(yield* AsyncIteratorStepValue(iterated));
+      // b. If value is done, return CreateArrayFromList(items).
+      if (value === 'done') {
+        return CreateArrayFromList(items);
+      }
+      // c. Append value to items.
+      items.push(value);
+    }
+  });
+}
+
 export function bootstrapAsyncIteratorPrototype(realmRec) {
   const proto = bootstrapPrototype(realmRec, [
     [wellKnownSymbols.asyncIterator, AsyncIteratorPrototype_asyncIterator, 0],
+    ...surroundingAgent.feature('async-iterator-helpers') ? [
+      ['drop', AsyncIteratorPrototype_drop, 1],
+      ['every', AsyncIteratorPrototype_every, 1],
+      ['filter', AsyncIteratorPrototype_filter, 1],
+      ['find', AsyncIteratorPrototype_find, 1],
+      ['flatMap', AsyncIteratorPrototype_flatMap, 1],
+      ['forEach', AsyncIteratorPrototype_forEach, 1],
+      ['map', AsyncIteratorPrototype_map, 1],
+      ['reduce', AsyncIteratorPrototype_reduce, 1],
+      ['some', AsyncIteratorPrototype_some, 1],
+      ['take', AsyncIteratorPrototype_take, 1],
+      ['toArray', AsyncIteratorPrototype_toArray, 0],
+    ] : [],
+    surroundingAgent.feature('explicit-resource-management')
+      ? [wellKnownSymbols.asyncDispose, AsyncIteratorPrototype_asyncDispose, 0]
+      : undefined,
   ], realmRec.Intrinsics['%Object.prototype%']);
 
   realmRec.Intrinsics['%AsyncIteratorPrototype%'] = proto;
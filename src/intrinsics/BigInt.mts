@@ -1,7 +1,15 @@
 // @ts-nocheck
 import { surroundingAgent } from '../engine.mjs';
-import { NumberValue, Value } from '../value.mjs';
 import {
+  BigIntValue,
+  JSStringValue,
+  NumberValue,
+  ObjectValue,
+  Value,
+  wellKnownSymbols,
+} from '../value.mjs';
+import {
+  CreateArrayFromList,
   ToBigInt,
   ToIndex,
   ToPrimitive,
@@ -50,10 +58,32 @@ function BigInt_asUintN([bits = Value.undefined, bigint = Value.undefined]) {
   return Z(BigInt.asUintN(bits, bigint.bigintValue()));
 }
 
+/** https://tc39.es/proposal-pattern-matching/#sec-bigint-%symbol.custommatcher% */
+function BigInt_customMatcher([subject = Value.undefined, hint = Value.undefined]) {
+  let value;
+  // 1. If subject is a BigInt, let value be subject.
+  if (subject instanceof BigIntValue) {
+    value = subject;
+  } else if (subject instanceof ObjectValue && 'BigIntData' in subject) { // 2. Else if subject is an Object with a [[BigIntData]] internal slot, let value be subject.[[BigIntData]].
+    value = subject.BigIntData;
+  } else { // 3. Else, return false.
+    return Value.false;
+  }
+  // 4. If hint is "boolean", return true.
+  if (hint instanceof JSStringValue && hint.stringValue() === 'boolean') {
+    return Value.true;
+  }
+  // 5. Return CreateArrayFromList(« value »).
+  return CreateArrayFromList([value]);
+}
+
 export function bootstrapBigInt(realmRec) {
   const bigintConstructor = bootstrapConstructor(realmRec, BigIntConstructor, 'BigInt', 1, realmRec.Intrinsics['%BigInt.prototype%'], [
     ['asIntN', BigInt_asIntN, 2],
     ['asUintN', BigInt_asUintN, 2],
+    surroundingAgent.feature('pattern-matching')
+      ? [wellKnownSymbols.customMatcher, BigInt_customMatcher, 2]
+      : undefined,
   ]);
 
   realmRec.Intrinsics['%BigInt%'] = bigintConstructor;
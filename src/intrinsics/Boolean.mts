@@ -1,9 +1,17 @@
 // @ts-nocheck
+import { surroundingAgent } from '../engine.mjs';
 import {
+  CreateArrayFromList,
   OrdinaryCreateFromConstructor,
   ToBoolean,
 } from '../abstract-ops/all.mjs';
-import { Value } from '../value.mjs';
+import {
+  BooleanValue,
+  JSStringValue,
+  ObjectValue,
+  Value,
+  wellKnownSymbols,
+} from '../value.mjs';
 import { Q, X } from '../completion.mjs';
 import { bootstrapConstructor } from './bootstrap.mjs';
 
@@ -23,6 +31,25 @@ function BooleanConstructor([value = Value.undefined], { NewTarget }) {
   return O;
 }
 
+/** https://tc39.es/proposal-pattern-matching/#sec-boolean-%symbol.custommatcher% */
+function Boolean_customMatcher([subject = Value.undefined, hint = Value.undefined]) {
+  let value;
+  // 1. If subject is a Boolean, let value be subject.
+  if (subject instanceof BooleanValue) {
+    value = subject;
+  } else if (subject instanceof ObjectValue && 'BooleanData' in subject) { // 2. Else if subject is an Object with a [[BooleanData]] internal slot, let value be subject.[[BooleanData]].
+    value = subject.BooleanData;
+  } else { // 3. Else, return false.
+    return Value.false;
+  }
+  // 4. If hint is "boolean", return true.
+  if (hint instanceof JSStringValue && hint.stringValue() === 'boolean') {
+    return Value.true;
+  }
+  // 5. Return CreateArrayFromList(« value »).
+  return CreateArrayFromList([value]);
+}
+
 export function bootstrapBoolean(realmRec) {
   const cons = bootstrapConstructor(
     realmRec,
@@ -30,7 +57,11 @@ export function bootstrapBoolean(realmRec) {
     'Boolean',
     1,
     realmRec.Intrinsics['%Boolean.prototype%'],
-    [],
+    [
+      surroundingAgent.feature('pattern-matching')
+        ? [wellKnownSymbols.customMatcher, Boolean_customMatcher, 2]
+        : undefined,
+    ],
   );
 
   realmRec.Intrinsics['%Boolean%'] = cons;
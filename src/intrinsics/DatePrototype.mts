@@ -19,6 +19,7 @@ import {
   SecFromTime,
   TimeClip,
   TimeWithinDay,
+  ToIntegerOrInfinity,
   ToNumber,
   ToPrimitive,
   ToObject,
@@ -657,6 +658,60 @@ function DateProto_toPrimitive([hint = Value.undefined], { thisValue }) {
   return Q(OrdinaryToPrimitive(O, tryFirst));
 }
 
+/** https://tc39.es/ecma262/#sec-makefullyear */
+function MakeFullYear(year) {
+  // 1. If year is NaN, return NaN.
+  if (year.isNaN()) {
+    return F(NaN);
+  }
+  // 2. Let truncated be ! ToIntegerOrInfinity(year).
+  const truncated = X(ToIntegerOrInfinity(year));
+  // 3. If truncated is in the inclusive interval from 0 to 99, return 1900𝔽 + 𝔽(truncated).
+  if (truncated >= 0 && truncated <= 99) {
+    return F(1900 + truncated);
+  }
+  // 4. Return year.
+  return year;
+}
+
+/** https://tc39.es/ecma262/#sec-date.prototype.getyear */
+function DateProto_getYear(args, { thisValue }) {
+  // 1. Let dateObject be the this value.
+  // 2. Perform ? RequireInternalSlot(dateObject, [[DateValue]]).
+  // 3. Let t be dateObject.[[DateValue]].
+  const t = Q(thisTimeValue(thisValue));
+  // 4. If t is NaN, return NaN.
+  if (t.isNaN()) {
+    return F(NaN);
+  }
+  // 5. Return YearFromTime(LocalTime(t)) - 1900𝔽.
+  return F(YearFromTime(LocalTime(t)).numberValue() - 1900);
+}
+
+/** https://tc39.es/ecma262/#sec-date.prototype.setyear */
+function DateProto_setYear([year = Value.undefined], { thisValue }) {
+  // 1. Let dateObject be the this value.
+  // 2. Perform ? RequireInternalSlot(dateObject, [[DateValue]]).
+  // 3. Let t be dateObject.[[DateValue]].
+  let t = Q(thisTimeValue(thisValue));
+  // 4. Let y be ? ToNumber(year).
+  const y = Q(ToNumber(year));
+  // 5. If t is NaN, set t to +0𝔽; otherwise, set t to LocalTime(t).
+  t = t.isNaN() ? F(+0) : LocalTime(t);
+  // 6. Let yyyy be MakeFullYear(y).
+  const yyyy = MakeFullYear(y);
+  // 7. Let d be MakeDay(yyyy, MonthFromTime(t), DateFromTime(t)).
+  const d = MakeDay(yyyy, MonthFromTime(t), DateFromTime(t));
+  // 8. Let date be MakeDate(d, TimeWithinDay(t)).
+  const date = MakeDate(d, TimeWithinDay(t));
+  // 9. Let u be TimeClip(UTC(date)).
+  const u = TimeClip(UTC(date));
+  // 10. Set dateObject.[[DateValue]] to u.
+  thisValue.DateValue = u;
+  // 11. Return u.
+  return u;
+}
+
 export function bootstrapDatePrototype(realmRec) {
   const proto = bootstrapPrototype(realmRec, [
     ['getDate', DateProto_getDate, 0],
@@ -703,7 +758,16 @@ export function bootstrapDatePrototype(realmRec) {
     ['toUTCString', DateProto_toUTCString, 0],
     ['valueOf', DateProto_valueOf, 0],
     [wellKnownSymbols.toPrimitive, DateProto_toPrimitive, 1, { Writable: Value.false, Enumerable: Value.false, Configurable: Value.true }],
+    ...surroundingAgent.feature('annex-b') ? [
+      ['getYear', DateProto_getYear, 0],
+      ['setYear', DateProto_setYear, 1],
+    ] : [],
   ], realmRec.Intrinsics['%Object.prototype%']);
 
+  if (surroundingAgent.feature('annex-b')) {
+    // https://tc39.es/ecma262/#sec-date.prototype.togmtstring
+    X(proto.DefineOwnProperty(Value('toGMTString'), X(proto.GetOwnProperty(Value('toUTCString')))));
+  }
+
   realmRec.Intrinsics['%Date.prototype%'] = proto;
 }
@@ -0,0 +1,55 @@
+// @ts-nocheck
+import { surroundingAgent } from '../engine.mjs';
+import {
+  BigIntValue,
+  JSStringValue,
+  NumberValue,
+  Value,
+} from '../value.mjs';
+import {
+  BigIntToDecimal128,
+  NumberToDecimal128,
+  OrdinaryCreateFromConstructor,
+  StringToDecimal128,
+} from '../abstract-ops/all.mjs';
+import { Q } from '../completion.mjs';
+import { bootstrapConstructor } from './bootstrap.mjs';
+
+/** https://tc39.es/proposal-decimal/#sec-decimal128-constructor */
+function Decimal128Constructor([value = Value.undefined], { NewTarget }) {
+  // 1. If NewTarget is undefined, throw a TypeError exception.
+  if (NewTarget === Value.undefined) {
+    return surroundingAgent.Throw('TypeError', 'ConstructorNonCallable', this);
+  }
+  let data;
+  if (value instanceof JSStringValue) {
+    // 2. If value is a String, then
+    //   a. Let data be the result of rounding the decimal literal value to the nearest Decimal128 value.
+    //   b. If value is not a decimal literal, throw a SyntaxError exception.
+    data = StringToDecimal128(value.stringValue());
+    if (data === undefined) {
+      return surroundingAgent.Throw('SyntaxError', 'DecimalInvalidString', value);
+    }
+  } else if (value instanceof NumberValue) {
+    // 3. Else if value is a Number, let data be NumberToDecimal128(value).
+    data = NumberToDecimal128(value);
+  } else if (value instanceof BigIntValue) {
+    // 4. Else if value is a BigInt, let data be BigIntToDecimal128(value).
+    data = BigIntToDecimal128(value);
+  } else {
+    // 5. Else, throw a TypeError exception.
+    return surroundingAgent.Throw('TypeError', 'DecimalInvalidArgument', value);
+  }
+  // 6. Let O be ? OrdinaryCreateFromConstructor(NewTarget, "%Decimal128.prototype%", « [[Decimal128Data]] »).
+  const O = Q(OrdinaryCreateFromConstructor(NewTarget, '%Decimal128.prototype%', ['Decimal128Data']));
+  // 7. Set O.[[Decimal128Data]] to data.
+  O.Decimal128Data = data;
+  // 8. Return O.
+  return O;
+}
+
+export function bootstrapDecimal128(realmRec) {
+  const decimal128Constructor = bootstrapConstructor(realmRec, Decimal128Constructor, 'Decimal128', 1, realmRec.Intrinsics['%Decimal128.prototype%'], []);
+
+  realmRec.Intrinsics['%Decimal128%'] = decimal128Constructor;
+}
@@ -0,0 +1,131 @@
+// @ts-nocheck
+import { surroundingAgent } from '../engine.mjs';
+import { JSStringValue, Value } from '../value.mjs';
+import {
+  CreateDecimal128Object,
+  Decimal128Add,
+  Decimal128Divide,
+  Decimal128Multiply,
+  Decimal128Remainder,
+  Decimal128Round,
+  Decimal128RoundingModes,
+  Decimal128Subtract,
+  Decimal128ToFixed,
+  Decimal128ToNumber,
+  Decimal128ToPrecision,
+  Decimal128ToString,
+  ToIntegerOrInfinity,
+  thisDecimal128Value,
+} from '../abstract-ops/all.mjs';
+import { Q } from '../completion.mjs';
+import { bootstrapPrototype } from './bootstrap.mjs';
+
+/** https://tc39.es/proposal-decimal/#sec-decimal128.prototype.add */
+function Decimal128Proto_add([other = Value.undefined], { thisValue }) {
+  const x = Q(thisDecimal128Value(thisValue));
+  const y = Q(thisDecimal128Value(other));
+  return CreateDecimal128Object(Decimal128Add(x, y));
+}
+
+/** https://tc39.es/proposal-decimal/#sec-decimal128.prototype.divide */
+function Decimal128Proto_divide([other = Value.undefined], { thisValue }) {
+  const x = Q(thisDecimal128Value(thisValue));
+  const y = Q(thisDecimal128Value(other));
+  return CreateDecimal128Object(Decimal128Divide(x, y));
+}
+
+/** https://tc39.es/proposal-decimal/#sec-decimal128.prototype.multiply */
+function Decimal128Proto_multiply([other = Value.undefined], { thisValue }) {
+  const x = Q(thisDecimal128Value(thisValue));
+  const y = Q(thisDecimal128Value(other));
+  return CreateDecimal128Object(Decimal128Multiply(x, y));
+}
+
+/** https://tc39.es/proposal-decimal/#sec-decimal128.prototype.remainder */
+function Decimal128Proto_remainder([other = Value.undefined], { thisValue }) {
+  const x = Q(thisDecimal128Value(thisValue));
+  const y = Q(thisDecimal128Value(other));
+  return CreateDecimal128Object(Decimal128Remainder(x, y));
+}
+
+/** https://tc39.es/proposal-decimal/#sec-decimal128.prototype.round */
+function Decimal128Proto_round([numFractionalDigits = Value.undefined, roundingMode = Value.undefined], { thisValue }) {
+  const x = Q(thisDecimal128Value(thisValue));
+  const scale = Q(ToIntegerOrInfinity(numFractionalDigits));
+  if (scale < 0 || scale === Infinity) {
+    return surroundingAgent.Throw('RangeError', 'NumberFormatRange', 'round');
+  }
+  let mode = 'halfEven';
+  if (roundingMode !== Value.undefined) {
+    if (!(roundingMode instanceof JSStringValue) || !Decimal128RoundingModes.includes(roundingMode.stringValue())) {
+      return surroundingAgent.Throw('RangeError', 'DecimalRoundingMode', roundingMode);
+    }
+    mode = roundingMode.stringValue();
+  }
+  return CreateDecimal128Object(Decimal128Round(x, scale, mode));
+}
+
+/** https://tc39.es/proposal-decimal/#sec-decimal128.prototype.subtract */
+function Decimal128Proto_subtract([other = Value.undefined], { thisValue }) {
+  const x = Q(thisDecimal128Value(thisValue));
+  const y = Q(thisDecimal128Value(other));
+  return CreateDecimal128Object(Decimal128Subtract(x, y));
+}
+
+/** https://tc39.es/proposal-decimal/#sec-decimal128.prototype.tofixed */
+function Decimal128Proto_toFixed([fractionDigits = Value.undefined], { thisValue }) {
+  const x = Q(thisDecimal128Value(thisValue));
+  const f = Q(ToIntegerOrInfinity(fractionDigits));
+  if (f < 0 || f > 100) {
+    return surroundingAgent.Throw('RangeError', 'NumberFormatRange', 'toFixed');
+  }
+  return Value(Decimal128ToFixed(x, f));
+}
+
+/** https://tc39.es/proposal-decimal/#sec-decimal128.prototype.tonumber */
+function Decimal128Proto_toNumber(args, { thisValue }) {
+  const x = Q(thisDecimal128Value(thisValue));
+  return Decimal128ToNumber(x);
+}
+
+/** https://tc39.es/proposal-decimal/#sec-decimal128.prototype.toprecision */
+function Decimal128Proto_toPrecision([precision = Value.undefined], { thisValue }) {
+  const x = Q(thisDecimal128Value(thisValue));
+  if (precision === Value.undefined) {
+    return Value(Decimal128ToString(x));
+  }
+  const p = Q(ToIntegerOrInfinity(precision));
+  if (p < 1 || p > 100) {
+    return surroundingAgent.Throw('RangeError', 'NumberFormatRange', 'toPrecision');
+  }
+  return Value(Decimal128ToPrecision(x, p));
+}
+
+/** https://tc39.es/proposal-decimal/#sec-decimal128.prototype.tostring */
+function Decimal128Proto_toString(args, { thisValue }) {
+  const x = Q(thisDecimal128Value(thisValue));
+  return Value(Decimal128ToString(x));
+}
+
+/** https://tc39.es/proposal-decimal/#sec-decimal128.prototype.valueof */
+function Decimal128Proto_valueOf() {
+  return surroundingAgent.Throw('TypeError', 'DecimalValueOf');
+}
+
+export function bootstrapDecimal128Prototype(realmRec) {
+  const proto = bootstrapPrototype(realmRec, [
+    ['add', Decimal128Proto_add, 1],
+    ['divide', Decimal128Proto_divide, 1],
+    ['multiply', Decimal128Proto_multiply, 1],
+    ['remainder', Decimal128Proto_remainder, 1],
+    ['round', Decimal128Proto_round, 0],
+    ['subtract', Decimal128Proto_subtract, 1],
+    ['toFixed', Decimal128Proto_toFixed, 1],
+    ['toNumber', Decimal128Proto_toNumber, 0],
+    ['toPrecision', Decimal128Proto_toPrecision, 1],
+    ['toString', Decimal128Proto_toString, 0],
+    ['valueOf', Decimal128Proto_valueOf, 0],
+  ], realmRec.Intrinsics['%Object.prototype%'], 'Decimal128');
+
+  realmRec.Intrinsics['%Decimal128.prototype%'] = proto;
+}
@@ -0,0 +1,28 @@
+// @ts-nocheck
+import { surroundingAgent } from '../engine.mjs';
+import { Value } from '../value.mjs';
+import { NewDisposeCapability, OrdinaryCreateFromConstructor } from '../abstract-ops/all.mjs';
+import { Q } from '../completion.mjs';
+import { bootstrapConstructor } from './bootstrap.mjs';
+
+/** https://tc39.es/proposal-explicit-resource-management/#sec-disposablestack */
+function DisposableStackConstructor(args, { NewTarget }) {
+  // 1. If NewTarget is undefined, throw a TypeError exception.
+  if (NewTarget === Value.undefined) {
+    return surroundingAgent.Throw('TypeError', 'ConstructorNonCallable', this);
+  }
+  // 2. Let disposableStack be ? OrdinaryCreateFromConstructor(NewTarget, "%DisposableStack.prototype%", « [[DisposableState]], [[DisposeCapability]] »).
+  const disposableStack = Q(OrdinaryCreateFromConstructor(NewTarget, '%DisposableStack.prototype%', ['DisposableState', 'DisposeCapability']));
+  // 3. Set disposableStack.[[DisposableState]] to pending.
+  disposableStack.DisposableState = 'pending';
+  // 4. Set disposableStack.[[DisposeCapability]] to NewDisposeCapability().
+  disposableStack.DisposeCapability = NewDisposeCapability();
+  // 5. Return disposableStack.
+  return disposableStack;
+}
+
+export function bootstrapDisposableStack(realmRec) {
+  const c = bootstrapConstructor(realmRec, DisposableStackConstructor, 'DisposableStack', 0, realmRec.Intrinsics['%DisposableStack.prototype%'], []);
+
+  realmRec.Intrinsics['%DisposableStack%'] = c;
+}
@@ -0,0 +1,148 @@
+// @ts-nocheck
+import { surroundingAgent } from '../engine.mjs';
+import { Value, wellKnownSymbols } from '../value.mjs';
+import {
+  AddDisposableResource,
+  Call,
+  CreateBuiltinFunction,
+  DisposeResources,
+  IsCallable,
+  NewDisposeCapability,
+  OrdinaryCreateFromConstructor,
+  RequireInternalSlot,
+} from '../abstract-ops/all.mjs';
+import { NormalCompletion, Q, X } from '../completion.mjs';
+import { unwind } from '../helpers.mjs';
+import { bootstrapPrototype } from './bootstrap.mjs';
+
+/** https://tc39.es/proposal-explicit-resource-management/#sec-disposablestack.prototype.adopt */
+function DisposableStackProto_adopt([value = Value.undefined, onDispose = Value.undefined], { thisValue }) {
+  // 1. Let disposableStack be the this value.
+  const disposableStack = thisValue;
+  // 2. Perform ? RequireInternalSlot(disposableStack, [[DisposableState]]).
+  Q(RequireInternalSlot(disposableStack, 'DisposableState'));
+  // 3. If disposableStack.[[DisposableState]] is disposed, throw a ReferenceError exception.
+  if (disposableStack.DisposableState === 'disposed') {
+    return surroundingAgent.Throw('ReferenceError', 'DisposableStackDisposed', 'DisposableStack');
+  }
+  // 4. If IsCallable(onDispose) is false, throw a TypeError exception.
+  if (IsCallable(onDispose) === Value.false) {
+    return surroundingAgent.Throw('TypeError', 'NotAFunction', onDispose);
+  }
+  // 5. Let closure be a new Abstract Closure with no parameters that captures value and onDispose and performs the following steps when called:
+  //   a. Return ? Call(onDispose, undefined, « value »).
+  const closure = () => Q(Call(onDispose, Value.undefined, [value]));
+  // 6. Let F be CreateBuiltinFunction(closure, 0, "", « »).
+  const F = CreateBuiltinFunction(closure, 0, Value(''), []);
+  // 7. Perform ? AddDisposableResource(disposableStack.[[DisposeCapability]], undefined, sync-dispose, F).
+  Q(AddDisposableResource(disposableStack.DisposeCapability, Value.undefined, 'sync-dispose', F));
+  // 8. Return value.
+  return value;
+}
+
+/** https://tc39.es/proposal-explicit-resource-management/#sec-disposablestack.prototype.defer */
+function DisposableStackProto_defer([onDispose = Value.undefined], { thisValue }) {
+  // 1. Let disposableStack be the this value.
+  const disposableStack = thisValue;
+  // 2. Perform ? RequireInternalSlot(disposableStack, [[DisposableState]]).
+  Q(RequireInternalSlot(disposableStack, 'DisposableState'));
+  // 3. If disposableStack.[[DisposableState]] is disposed, throw a ReferenceError exception.
+  if (disposableStack.DisposableState === 'disposed') {
+    return surroundingAgent.Throw('ReferenceError', 'DisposableStackDisposed', 'DisposableStack');
+  }
+  // 4. If IsCallable(onDispose) is false, throw a TypeError exception.
+  if (IsCallable(onDispose) === Value.false) {
+    return surroundingAgent.Throw('TypeError', 'NotAFunction', onDispose);
+  }
+  // 5. Perform ? AddDisposableResource(disposableStack.[[DisposeCapability]], undefined, sync-dispose, onDispose).
+  Q(AddDisposableResource(disposableStack.DisposeCapability, Value.undefined, 'sync-dispose', onDispose));
+  // 6. Return undefined.
+  return Value.undefined;
+}
+
+/** https://tc39.es/proposal-explicit-resource-management/#sec-disposablestack.prototype.dispose */
+function DisposableStackProto_dispose(args, { thisValue }) {
+  // 1. Let disposableStack be the this value.
+  const disposableStack = thisValue;
+  // 2. Perform ? RequireInternalSlot(disposableStack, [[DisposableState]]).
+  Q(RequireInternalSlot(disposableStack, 'DisposableState'));
+  // 3. If disposableStack.[[DisposableState]] is disposed, return undefined.
+  if (disposableStack.DisposableState === 'disposed') {
+    return Value.undefined;
+  }
+  // 4. Set disposableStack.[[DisposableState]] to disposed.
+  disposableStack.DisposableState = 'disposed';
+  // 5. Return ? DisposeResources(disposableStack.[[DisposeCapability]], NormalCompletion(undefined)).
+  //    A DisposableStack only holds sync-dispose resources, so DisposeResources never awaits here.
+  return Q(unwind(DisposeResources(disposableStack.DisposeCapability, NormalCompletion(Value.undefined))));
+}
+
+/** https://tc39.es/proposal-explicit-resource-management/#sec-get-disposablestack.prototype.disposed */
+function DisposableStackProto_disposedGetter(args, { thisValue }) {
+  // 1. Let disposableStack be the this value.
+  const disposableStack = thisValue;
+  // 2. Perform ? RequireInternalSlot(disposableStack, [[DisposableState]]).
+  Q(RequireInternalSlot(disposableStack, 'DisposableState'));
+  // 3. If disposableStack.[[DisposableState]] is disposed, return true.
+  if (disposableStack.DisposableState === 'disposed') {
+    return Value.true;
+  }
+  // 4. Otherwise, return false.
+  return Value.false;
+}
+
+/** https://tc39.es/proposal-explicit-resource-management/#sec-disposablestack.prototype.move */
+function DisposableStackProto_move(args, { thisValue }) {
+  // 1. Let disposableStack be the this value.
+  const disposableStack = thisValue;
+  // 2. Perform ? RequireInternalSlot(disposableStack, [[DisposableState]]).
+  Q(RequireInternalSlot(disposableStack, 'DisposableState'));
+  // 3. If disposableStack.[[DisposableState]] is disposed, throw a ReferenceError exception.
+  if (disposableStack.DisposableState === 'disposed') {
+    return surroundingAgent.Throw('ReferenceError', 'DisposableStackDisposed', 'DisposableStack');
+  }
+  // 4. Let newDisposableStack be ? OrdinaryCreateFromConstructor(%DisposableStack%, "%DisposableStack.prototype%", « [[DisposableState]], [[DisposeCapability]] »).
+  const newDisposableStack = Q(OrdinaryCreateFromConstructor(surroundingAgent.intrinsic('%DisposableStack%'), '%DisposableStack.prototype%', ['DisposableState', 'DisposeCapability']));
+  // 5. Set newDisposableStack.[[DisposableState]] to pending.
+  newDisposableStack.DisposableState = 'pending';
+  // 6. Set newDisposableStack.[[DisposeCapability]] to disposableStack.[[DisposeCapability]].
+  newDisposableStack.DisposeCapability = disposableStack.DisposeCapability;
+  // 7. Set disposableStack.[[DisposeCapability]] to NewDisposeCapability().
+  disposableStack.DisposeCapability = NewDisposeCapability();
+  // 8. Set disposableStack.[[DisposableState]] to disposed.
+  disposableStack.DisposableState = 'disposed';
+  // 9. Return newDisposableStack.
+  return newDisposableStack;
+}
+
+/** https://tc39.es/proposal-explicit-resource-management/#sec-disposablestack.prototype.use */
+function DisposableStackProto_use([value = Value.undefined], { thisValue }) {
+  // 1. Let disposableStack be the this value.
+  const disposableStack = thisValue;
+  // 2. Perform ? RequireInternalSlot(disposableStack, [[DisposableState]]).
+  Q(RequireInternalSlot(disposableStack, 'DisposableState'));
+  // 3. If disposableStack.[[DisposableState]] is disposed, throw a ReferenceError exception.
+  if (disposableStack.DisposableState === 'disposed') {
+    return surroundingAgent.Throw('ReferenceError', 'DisposableStackDisposed', 'DisposableStack');
+  }
+  // 4. Perform ? AddDisposableResource(disposableStack.[[DisposeCapability]], value, sync-dispose).
+  Q(AddDisposableResource(disposableStack.DisposeCapability, value, 'sync-dispose'));
+  // 5. Return value.
+  return value;
+}
+
+export function bootstrapDisposableStackPrototype(realmRec) {
+  const proto = bootstrapPrototype(realmRec, [
+    ['adopt', DisposableStackProto_adopt, 2],
+    ['defer', DisposableStackProto_defer, 1],
+    ['dispose', DisposableStackProto_dispose, 0],
+    ['disposed', [DisposableStackProto_disposedGetter]],
+    ['move', DisposableStackProto_move, 0],
+    ['use', DisposableStackProto_use, 1],
+  ], realmRec.Intrinsics['%Object.prototype%'], 'DisposableStack');
+
+  const disposeFunc = X(proto.GetOwnProperty(Value('dispose')));
+  X(proto.DefineOwnProperty(wellKnownSymbols.dispose, disposeFunc));
+
+  realmRec.Intrinsics['%DisposableStack.prototype%'] = proto;
+}
@@ -18,6 +18,7 @@ import {
   SetFunctionLength,
   SetFunctionName,
   ToIntegerOrInfinity,
+  CreateArrayFromList,
   CreateBuiltinFunction,
   MakeBasicObject,
 } from '../abstract-ops/all.mjs';
@@ -231,6 +232,28 @@ function FunctionProto_hasInstance([V = Value.undefined], { thisValue }) {
   return Q(OrdinaryHasInstance(F, V));
 }
 
+/** https://tc39.es/proposal-pattern-matching/#sec-function.prototype-%symbol.custommatcher% */
+function FunctionProto_customMatcher([subject = Value.undefined, hint = Value.undefined], { thisValue }) {
+  // 1. Let func be the this value.
+  const func = thisValue;
+  // 2. If IsCallable(func) is false, throw a TypeError exception.
+  if (IsCallable(func) === Value.false) {
+    return surroundingAgent.Throw('TypeError', 'ThisNotAFunction', func);
+  }
+  // 3. Let result be ? OrdinaryHasInstance(func, subject).
+  const result = Q(OrdinaryHasInstance(func, subject));
+  // 4. If hint is "boolean", return result.
+  if (hint instanceof JSStringValue && hint.stringValue() === 'boolean') {
+    return result;
+  }
+  // 5. If result is false, return false.
+  if (result === Value.false) {
+    return Value.false;
+  }
+  // 6. Return CreateArrayFromList(« subject »).
+  return CreateArrayFromList([subject]);
+}
+
 export function bootstrapFunctionPrototype(realmRec) {
   const proto = CreateBuiltinFunction(
     FunctionProto,
@@ -249,5 +272,8 @@ export function bootstrapFunctionPrototype(realmRec) {
     ['call', FunctionProto_call, 1],
     ['toString', FunctionProto_toString, 0],
     [wellKnownSymbols.hasInstance, FunctionProto_hasInstance, 1, readonly],
+    surroundingAgent.feature('pattern-matching')
+      ? [wellKnownSymbols.customMatcher, FunctionProto_customMatcher, 2]
+      : undefined,
   ]);
 }
@@ -0,0 +1,69 @@
+// @ts-nocheck
+import { surroundingAgent } from '../engine.mjs';
+import {
+  GetIteratorFlattenable,
+  OrdinaryCreateFromConstructor,
+  OrdinaryHasInstance,
+  OrdinaryObjectCreate,
+  SetterThatIgnoresPrototypeProperties,
+} from '../abstract-ops/all.mjs';
+import { Value } from '../value.mjs';
+import { Q } from '../completion.mjs';
+import { assignProps, bootstrapConstructor } from './bootstrap.mjs';
+
+/** https://tc39.es/ecma262/#sec-iterator-constructor */
+function IteratorConstructor(args, { NewTarget }) {
+  // 1. If NewTarget is either undefined or the active function object, throw a TypeError exception.
+  if (NewTarget === Value.undefined || NewTarget === surroundingAgent.activeFunctionObject) {
+    return surroundingAgent.Throw('TypeError', 'IteratorNotConstructible');
+  }
+  // 2. Return ? OrdinaryCreateFromConstructor(NewTarget, "%Iterator.prototype%").
+  return Q(OrdinaryCreateFromConstructor(NewTarget, '%IteratorPrototype%'));
+}
+
+/** https://tc39.es/ecma262/#sec-iterator.from */
+function Iterator_from([O = Value.undefined]) {
+  // 1. Let iteratorRecord be ? GetIteratorFlattenable(O, iterate-string-primitives).
+  const iteratorRecord = Q(GetIteratorFlattenable(O, 'iterate-string-primitives'));
+  // 2. Let hasInstance be ? OrdinaryHasInstance(%Iterator%, iteratorRecord.[[Iterator]]).
+  const hasInstance = Q(OrdinaryHasInstance(surroundingAgent.intrinsic('%Iterator%'), iteratorRecord.Iterator));
+  // 3. If hasInstance is true, then
+  if (hasInstance === Value.true) {
+    // a. Return iteratorRecord.[[Iterator]].
+    return iteratorRecord.Iterator;
+  }
+  // 4. Let wrapper be OrdinaryObjectCreate(%WrapForValidIteratorPrototype%, « [[Iterated]] »).
+  const wrapper = OrdinaryObjectCreate(surroundingAgent.intrinsic('%WrapForValidIteratorPrototype%'), ['Iterated']);
+  // 5. Set wrapper.[[Iterated]] to iteratorRecord.
+  wrapper.Iterated = iteratorRecord;
+  // 6. Return wrapper.
+  return wrapper;
+}
+
+/** https://tc39.es/ecma262/#sec-get-iterator.prototype.constructor */
+function IteratorProto_constructorGetter() {
+  // 1. Return %Iterator%.
+  return surroundingAgent.intrinsic('%Iterator%');
+}
+
+/** https://tc39.es/ecma262/#sec-set-iterator.prototype.constructor */
+function IteratorProto_constructorSetter([v = Value.undefined], { thisValue }) {
+  // 1. Perform ? SetterThatIgnoresPrototypeProperties(this value, %Iterator.prototype%, "constructor", v).
+  Q(SetterThatIgnoresPrototypeProperties(thisValue, surroundingAgent.intrinsic('%IteratorPrototype%'), Value('constructor'), v));
+  // 2. Return undefined.
+  return Value.undefined;
+}
+
+export function bootstrapIterator(realmRec) {
+  const proto = realmRec.Intrinsics['%IteratorPrototype%'];
+  const iteratorConstructor = bootstrapConstructor(realmRec, IteratorConstructor, 'Iterator', 0, proto, [
+    ['from', Iterator_from, 1],
+  ]);
+
+  // Iterator.prototype.constructor is an accessor rather than the usual data property.
+  assignProps(realmRec, proto, [
+    ['constructor', [IteratorProto_constructorGetter, IteratorProto_constructorSetter]],
+  ]);
+
+  realmRec.Intrinsics['%Iterator%'] = iteratorConstructor;
+}
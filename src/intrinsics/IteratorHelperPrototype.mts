@@ -0,0 +1,59 @@
+// @ts-nocheck
+import {
+  Assert,
+  CreateIterResultObject,
+  GeneratorResume,
+  GeneratorResumeAbrupt,
+  IteratorClose,
+  RequireInternalSlot,
+} from '../abstract-ops/all.mjs';
+import {
+  Completion,
+  NormalCompletion,
+  Q,
+  X,
+} from '../completion.mjs';
+import { Value } from '../value.mjs';
+import { bootstrapPrototype } from './bootstrap.mjs';
+
+export const kIteratorHelper = Value('Iterator Helper');
+
+/** https://tc39.es/ecma262/#sec-%iteratorhelperprototype%.next */
+function IteratorHelperPrototype_next(args, { thisValue }) {
+  // 1. Return ? GeneratorResume(this value, undefined, "Iterator Helper").
+  return Q(GeneratorResume(thisValue, Value.undefined, kIteratorHelper));
+}
+
+/** https://tc39.es/ecma262/#sec-%iteratorhelperprototype%.return */
+function IteratorHelperPrototype_return(args, { thisValue }) {
+  // 1. Let O be this value.
+  const O = thisValue;
+  // 2. Perform ? RequireInternalSlot(O, [[UnderlyingIterator]]).
+  Q(RequireInternalSlot(O, 'UnderlyingIterator'));
+  // 3. Assert: O has a [[GeneratorState]] internal slot.
+  Assert('GeneratorState' in O);
+  // 4. If O.[[GeneratorState]] is suspended-start, then
+  if (O.GeneratorState === 'suspendedStart') {
+    // a. Set O.[[GeneratorState]] to completed.
+    O.GeneratorState = 'completed';
+    // b. NOTE: Once a generator enters the completed state it never leaves it and its associated execution context is never resumed. Any execution state associated with O can be discarded at this point.
+    O.GeneratorContext = null;
+    // c. Perform ? IteratorClose(O.[[UnderlyingIterator]], NormalCompletion(unused)).
+    Q(IteratorClose(O.UnderlyingIterator, NormalCompletion(undefined)));
+    // d. Return CreateIterResultObject(undefined, true).
+    return X(CreateIterResultObject(Value.undefined, Value.true));
+  }
+  // 5. Let C be Completion { [[Type]]: return, [[Value]]: undefined, [[Target]]: empty }.
+  const C = new Completion({ Type: 'return', Value: Value.undefined, Target: undefined });
+  // 6. Return ? GeneratorResumeAbrupt(O, C, "Iterator Helper").
+  return Q(GeneratorResumeAbrupt(O, C, kIteratorHelper));
+}
+
+export function bootstrapIteratorHelperPrototype(realmRec) {
+  const proto = bootstrapPrototype(realmRec, [
+    ['next', IteratorHelperPrototype_next, 0],
+    ['return', IteratorHelperPrototype_return, 0],
+  ], realmRec.Intrinsics['%IteratorPrototype%'], 'Iterator Helper');
+
+  realmRec.Intrinsics['%IteratorHelperPrototype%'] = proto;
+}
@@ -1,6 +1,34 @@
 // @ts-nocheck
-import { wellKnownSymbols } from '../value.mjs';
+import { surroundingAgent } from '../engine.mjs';
+import { ObjectValue, Value, wellKnownSymbols } from '../value.mjs';
+import {
+  Call,
+  CreateArrayFromList,
+  CreateIteratorFromClosure,
+  GetIteratorDirect,
+  GetIteratorFlattenable,
+  GetMethod,
+  IsCallable,
+  IteratorClose,
+  IteratorStep,
+  IteratorStepValue,
+  SetterThatIgnoresPrototypeProperties,
+  ToBoolean,
+  ToIntegerOrInfinity,
+  ToNumber,
+  Yield,
+  F,
+} from '../abstract-ops/all.mjs';
+import {
+  AbruptCompletion,
+  Completion,
+  IfAbruptCloseIterator,
+  NormalCompletion,
+  ThrowCompletion,
+  Q, X,
+} from '../completion.mjs';
 import { bootstrapPrototype } from './bootstrap.mjs';
+import { kIteratorHelper } from './IteratorHelperPrototype.mjs';
 
 /** https://tc39.es/ecma262/#sec-%iteratorprototype%-@@iterator */
 function IteratorPrototype_iterator(args, { thisValue }) {
@@ -8,9 +36,621 @@ function IteratorPrototype_iterator(args, { thisValue }) {
   return thisValue;
 }
 
+/** https://tc39.es/proposal-explicit-resource-management/#sec-%iteratorprototype%-@@dispose */
+function IteratorPrototype_dispose(args, { thisValue }) {
+  // 1. Let O be the this value.
+  const O = thisValue;
+  // 2. Let return be ? GetMethod(O, "return").
+  const ret = Q(GetMethod(O, Value('return')));
+  // 3. If return is not undefined, then
+  if (ret !== Value.undefined) {
+    // a. Perform ? Call(return, O, « »).
+    Q(Call(ret, O));
+  }
+  // 4. Return NormalCompletion(undefined).
+  return Value.undefined;
+}
+
+/** https://tc39.es/ecma262/#sec-iterator.prototype.drop */
+function IteratorPrototype_drop([limit = Value.undefined], { thisValue }) {
+  // 1. Let O be the this value.
+  const O = thisValue;
+  // 2. If O is not an Object, throw a TypeError exception.
+  if (!(O instanceof ObjectValue)) {
+    return surroundingAgent.Throw('TypeError', 'NotAnObject', O);
+  }
+  // 3. Let iterated be the Iterator Record { [[Iterator]]: O, [[NextMethod]]: undefined, [[Done]]: false }.
+  let iterated = { Iterator: O, NextMethod: Value.undefined, Done: Value.false };
+  // 4. Let numLimit be Completion(ToNumber(limit)).
+  const numLimit = ToNumber(limit);
+  // 5. IfAbruptCloseIterator(numLimit, iterated).
+  IfAbruptCloseIterator(numLimit, iterated);
+  // 6. If numLimit is NaN, then
+  if (numLimit.isNaN()) {
+    // a. Let error be ThrowCompletion(a newly created RangeError object).
+    const error = ThrowCompletion(surroundingAgent.Throw('RangeError', 'OutOfRange', numLimit.numberValue()).Value);
+    // b. Return ? IteratorClose(iterated, error).
+    return Q(IteratorClose(iterated, error));
+  }
+  // 7. Let integerLimit be ! ToIntegerOrInfinity(numLimit).
+  const integerLimit = X(ToIntegerOrInfinity(numLimit));
+  // 8. If integerLimit < 0, then
+  if (integerLimit < 0) {
+    // a. Let error be ThrowCompletion(a newly created RangeError object).
+    const error = ThrowCompletion(surroundingAgent.Throw('RangeError', 'OutOfRange', numLimit.numberValue()).Value);
+    // b. Return ? IteratorClose(iterated, error).
+    return Q(IteratorClose(iterated, error));
+  }
+  // 9. Set iterated to ? GetIteratorDirect(O).
+  iterated = Q(GetIteratorDirect(O));
+  // 10. Let closure be a new Abstract Closure with no parameters that captures iterated and integerLimit and performs the following steps when called:
+  const closure = function* closure() {
+    // a. Let remaining be integerLimit.
+    let remaining = integerLimit;
+    // b. Repeat, while remaining > 0,
+    while (remaining > 0) {
+      // i. If remaining ≠ +∞, then
+      if (remaining !== Infinity) {
+        // 1. Set remaining to remaining - 1.
+        remaining -= 1;
+      }
+      // ii. Let next be ? IteratorStep(iterated).
+      const next = Q(IteratorStep(iterated));
+      // iii. If next is done, return ReturnCompletion(undefined).
+      if (next === Value.false) {
+        return Value.undefined;
+      }
+    }
+    // c. Repeat,
+    while (true) {
+      // i. Let value be ? IteratorStepValue(iterated).
+      const value = Q(IteratorStepValue(iterated));
+      // ii. If value is done, return ReturnCompletion(undefined).
+      if (value === 'done') {
+        return Value.undefined;
+      }
+      // iii. Let completion be Completion(Yield(value)).
+      const completion = yield* Yield(value);
+      // iv. IfAbruptCloseIterator(completion, iterated).
+      IfAbruptCloseIterator(completion, iterated);
+    }
+  };
+  // 11. Let result be CreateIteratorFromClosure(closure, "Iterator Helper", %IteratorHelperPrototype%, « [[UnderlyingIterator]] »).
+  const result = CreateIteratorFromClosure(closure, kIteratorHelper, surroundingAgent.intrinsic('%IteratorHelperPrototype%'), ['UnderlyingIterator']);
+  // 12. Set result.[[UnderlyingIterator]] to iterated.
+  result.UnderlyingIterator = iterated;
+  // 13. Return result.
+  return result;
+}
+
+/** https://tc39.es/ecma262/#sec-iterator.prototype.every */
+function IteratorPrototype_every([predicate = Value.undefined], { thisValue }) {
+  // 1. Let O be the this value.
+  const O = thisValue;
+  // 2. If O is not an Object, throw a TypeError exception.
+  if (!(O instanceof ObjectValue)) {
+    return surroundingAgent.Throw('TypeError', 'NotAnObject', O);
+  }
+  // 3. Let iterated be the Iterator Record { [[Iterator]]: O, [[NextMethod]]: undefined, [[Done]]: false }.
+  let iterated = { Iterator: O, NextMethod: Value.undefined, Done: Value.false };
+  // 4. If IsCallable(predicate) is false, then
+  if (IsCallable(predicate) === Value.false) {
+    // a. Let error be ThrowCompletion(a newly created TypeError object).
+    const error = ThrowCompletion(surroundingAgent.Throw('TypeError', 'NotAFunction', predicate).Value);
+    // b. Return ? IteratorClose(iterated, error).
+    return Q(IteratorClose(iterated, error));
+  }
+  // 5. Set iterated to ? GetIteratorDirect(O).
+  iterated = Q(GetIteratorDirect(O));
+  // 6. Let counter be 0.
+  let counter = 0;
+  // 7. Repeat,
+  while (true) {
+    // a. Let value be ? IteratorStepValue(iterated).
+    const value = Q(IteratorStepValue(iterated));
+    // b. If value is done, return true.
+    if (value === 'done') {
+      return Value.true;
+    }
+    // c. Let result be Completion(Call(predicate, undefined, « value, 𝔽(counter) »)).
+    const result = Call(predicate, Value.undefined, [value, F(counter)]);
+    // d. IfAbruptCloseIterator(result, iterated).
+    IfAbruptCloseIterator(result, iterated);
+    // e. If ToBoolean(result) is false, return ? IteratorClose(iterated, NormalCompletion(false)).
+    if (ToBoolean(result) === Value.false) {
+      return Q(IteratorClose(iterated, NormalCompletion(Value.false)));
+    }
+    // f. Set counter to counter + 1.
+    counter += 1;
+  }
+}
+
+/** https://tc39.es/ecma262/#sec-iterator.prototype.filter */
+function IteratorPrototype_filter([predicate = Value.undefined], { thisValue }) {
+  // 1. Let O be the this value.
+  const O = thisValue;
+  // 2. If O is not an Object, throw a TypeError exception.
+  if (!(O instanceof ObjectValue)) {
+    return surroundingAgent.Throw('TypeError', 'NotAnObject', O);
+  }
+  // 3. Let iterated be the Iterator Record { [[Iterator]]: O, [[NextMethod]]: undefined, [[Done]]: false }.
+  let iterated = { Iterator: O, NextMethod: Value.undefined, Done: Value.false };
+  // 4. If IsCallable(predicate) is false, then
+  if (IsCallable(predicate) === Value.false) {
+    // a. Let error be ThrowCompletion(a newly created TypeError object).
+    const error = ThrowCompletion(surroundingAgent.Throw('TypeError', 'NotAFunction', predicate).Value);
+    // b. Return ? IteratorClose(iterated, error).
+    return Q(IteratorClose(iterated, error));
+  }
+  // 5. Set iterated to ? GetIteratorDirect(O).
+  iterated = Q(GetIteratorDirect(O));
+  // 6. Let closure be a new Abstract Closure with no parameters that captures iterated and predicate and performs the following steps when called:
+  const closure = function* closure() {
+    // a. Let counter be 0.
+    let counter = 0;
+    // b. Repeat,
+    while (true) {
+      // i. Let value be ? IteratorStepValue(iterated).
+      const value = Q(IteratorStepValue(iterated));
+      // ii. If value is done, return ReturnCompletion(undefined).
+      if (value === 'done') {
+        return Value.undefined;
+      }
+      // iii. Let selected be Completion(Call(predicate, undefined, « value, 𝔽(counter) »)).
+      const selected = Call(predicate, Value.undefined, [value, F(counter)]);
+      // iv. IfAbruptCloseIterator(selected, iterated).
+      IfAbruptCloseIterator(selected, iterated);
+      // v. If ToBoolean(selected) is true, then
+      if (ToBoolean(selected) === Value.true) {
+        // 1. Let completion be Completion(Yield(value)).
+        const completion = yield* Yield(value);
+        // 2. IfAbruptCloseIterator(completion, iterated).
+        IfAbruptCloseIterator(completion, iterated);
+      }
+      // vi. Set counter to counter + 1.
+      counter += 1;
+    }
+  };
+  // 7. Let result be CreateIteratorFromClosure(closure, "Iterator Helper", %IteratorHelperPrototype%, « [[UnderlyingIterator]] »).
+  const result = CreateIteratorFromClosure(closure, kIteratorHelper, surroundingAgent.intrinsic('%IteratorHelperPrototype%'), ['UnderlyingIterator']);
+  // 8. Set result.[[UnderlyingIterator]] to iterated.
+  result.UnderlyingIterator = iterated;
+  // 9. Return result.
+  return result;
+}
+
+/** https://tc39.es/ecma262/#sec-iterator.prototype.find */
+function IteratorPrototype_find([predicate = Value.undefined], { thisValue }) {
+  // 1. Let O be the this value.
+  const O = thisValue;
+  // 2. If O is not an Object, throw a TypeError exception.
+  if (!(O instanceof ObjectValue)) {
+    return surroundingAgent.Throw('TypeError', 'NotAnObject', O);
+  }
+  // 3. Let iterated be the Iterator Record { [[Iterator]]: O, [[NextMethod]]: undefined, [[Done]]: false }.
+  let iterated = { Iterator: O, NextMethod: Value.undefined, Done: Value.false };
+  // 4. If IsCallable(predicate) is false, then
+  if (IsCallable(predicate) === Value.false) {
+    // a. Let error be ThrowCompletion(a newly created TypeError object).
+    const error = ThrowCompletion(surroundingAgent.Throw('TypeError', 'NotAFunction', predicate).Value);
+    // b. Return ? IteratorClose(iterated, error).
+    return Q(IteratorClose(iterated, error));
+  }
+  // 5. Set iterated to ? GetIteratorDirect(O).
+  iterated = Q(GetIteratorDirect(O));
+  // 6. Let counter be 0.
+  let counter = 0;
+  // 7. Repeat,
+  while (true) {
+    // a. Let value be ? IteratorStepValue(iterated).
+    const value = Q(IteratorStepValue(iterated));
+    // b. If value is done, return undefined.
+    if (value === 'done') {
+      return Value.undefined;
+    }
+    // c. Let result be Completion(Call(predicate, undefined, « value, 𝔽(counter) »)).
+    const result = Call(predicate, Value.undefined, [value, F(counter)]);
+    // d. IfAbruptCloseIterator(result, iterated).
+    IfAbruptCloseIterator(result, iterated);
+    // e. If ToBoolean(result) is true, return ? IteratorClose(iterated, NormalCompletion(value)).
+    if (ToBoolean(result) === Value.true) {
+      return Q(IteratorClose(iterated, NormalCompletion(value)));
+    }
+    // f. Set counter to counter + 1.
+    counter += 1;
+  }
+}
+
+/** https://tc39.es/ecma262/#sec-iterator.prototype.flatmap */
+function IteratorPrototype_flatMap([mapper = Value.undefined], { thisValue }) {
+  // 1. Let O be the this value.
+  const O = thisValue;
+  // 2. If O is not an Object, throw a TypeError exception.
+  if (!(O instanceof ObjectValue)) {
+    return surroundingAgent.Throw('TypeError', 'NotAnObject', O);
+  }
+  // 3. Let iterated be the Iterator Record { [[Iterator]]: O, [[NextMethod]]: undefined, [[Done]]: false }.
+  let iterated = { Iterator: O, NextMethod: Value.undefined, Done: Value.false };
+  // 4. If IsCallable(mapper) is false, then
+  if (IsCallable(mapper) === Value.false) {
+    // a. Let error be ThrowCompletion(a newly created TypeError object).
+    const error = ThrowCompletion(surroundingAgent.Throw('TypeError', 'NotAFunction', mapper).Value);
+    // b. Return ? IteratorClose(iterated, error).
+    return Q(IteratorClose(iterated, error));
+  }
+  // 5. Set iterated to ? GetIteratorDirect(O).
+  iterated = Q(GetIteratorDirect(O));
+  // 6. Let closure be a new Abstract Closure with no parameters that captures iterated and mapper and performs the following steps when called:
+  const closure = function* closure() {
+    // a. Let counter be 0.
+    let counter = 0;
+    // b. Repeat,
+    while (true) {
+      // i. Let value be ? IteratorStepValue(iterated).
+      const value = Q(IteratorStepValue(iterated));
+      // ii. If value is done, return ReturnCompletion(undefined).
+      if (value === 'done') {
+        return Value.undefined;
+      }
+      // iii. Let mapped be Completion(Call(mapper, undefined, « value, 𝔽(counter) »)).
+      const mapped = Call(mapper, Value.undefined, [value, F(counter)]);
+      // iv. IfAbruptCloseIterator(mapped, iterated).
+      IfAbruptCloseIterator(mapped, iterated);
+      // v. Let innerIterator be Completion(GetIteratorFlattenable(mapped, reject-primitives)).
+      const innerIterator = GetIteratorFlattenable(mapped, 'reject-primitives');
+      // vi. IfAbruptCloseIterator(innerIterator, iterated).
+      IfAbruptCloseIterator(innerIterator, iterated);
+      // vii. Let innerAlive be true.
+      let innerAlive = true;
+      // viii. Repeat, while innerAlive is true,
+      while (innerAlive) {
+        // 1. Let innerValue be Completion(IteratorStepValue(innerIterator)).
+        const innerValue = IteratorStepValue(innerIterator);
+        // 2. IfAbruptCloseIterator(innerValue, iterated).
+        IfAbruptCloseIterator(innerValue, iterated);
+        // 3. If innerValue is done, then
+        if (innerValue === 'done') {
+          // a. Set innerAlive to false.
+          innerAlive = false;
+        } else { // 4. Else,
+          // a. Let completion be Completion(Yield(innerValue)).
+          const completion = yield* Yield(innerValue);
+          // b. If completion is an abrupt completion, then
+          if (completion instanceof AbruptCompletion) {
+            // i. Let backupCompletion be Completion(IteratorClose(innerIterator, completion)).
+            const backupCompletion = IteratorClose(innerIterator, completion);
+            // ii. IfAbruptCloseIterator(backupCompletion, iterated).
+            IfAbruptCloseIterator(backupCompletion, iterated);
+            // iii. Return ? IteratorClose(iterated, completion).
+            return Q(IteratorClose(iterated, completion));
+          }
+        }
+      }
+      // ix. Set counter to counter + 1.
+      counter += 1;
+    }
+  };
+  // 7. Let result be CreateIteratorFromClosure(closure, "Iterator Helper", %IteratorHelperPrototype%, « [[UnderlyingIterator]] »).
+  const result = CreateIteratorFromClosure(closure, kIteratorHelper, surroundingAgent.intrinsic('%IteratorHelperPrototype%'), ['UnderlyingIterator']);
+  // 8. Set result.[[UnderlyingIterator]] to iterated.
+  result.UnderlyingIterator = iterated;
+  // 9. Return result.
+  return result;
+}
+
+/** https://tc39.es/ecma262/#sec-iterator.prototype.foreach */
+function IteratorPrototype_forEach([procedure = Value.undefined], { thisValue }) {
+  // 1. Let O be the this value.
+  const O = thisValue;
+  // 2. If O is not an Object, throw a TypeError exception.
+  if (!(O instanceof ObjectValue)) {
+    return surroundingAgent.Throw('TypeError', 'NotAnObject', O);
+  }
+  // 3. Let iterated be the Iterator Record { [[Iterator]]: O, [[NextMethod]]: undefined, [[Done]]: false }.
+  let iterated = { Iterator: O, NextMethod: Value.undefined, Done: Value.false };
+  // 4. If IsCallable(procedure) is false, then
+  if (IsCallable(procedure) === Value.false) {
+    // a. Let error be ThrowCompletion(a newly created TypeError object).
+    const error = ThrowCompletion(surroundingAgent.Throw('TypeError', 'NotAFunction', procedure).Value);
+    // b. Return ? IteratorClose(iterated, error).
+    return Q(IteratorClose(iterated, error));
+  }
+  // 5. Set iterated to ? GetIteratorDirect(O).
+  iterated = Q(GetIteratorDirect(O));
+  // 6. Let counter be 0.
+  let counter = 0;
+  // 7. Repeat,
+  while (true) {
+    // a. Let value be ? IteratorStepValue(iterated).
+    const value = Q(IteratorStepValue(iterated));
+    // b. If value is done, return undefined.
+    if (value === 'done') {
+      return Value.undefined;
+    }
+    // c. Let result be Completion(Call(procedure, undefined, « value, 𝔽(counter) »)).
+    const result = Call(procedure, Value.undefined, [value, F(counter)]);
+    // d. IfAbruptCloseIterator(result, iterated).
+    IfAbruptCloseIterator(result, iterated);
+    // e. Set counter to counter + 1.
+    counter += 1;
+  }
+}
+
+/** https://tc39.es/ecma262/#sec-iterator.prototype.map */
+function IteratorPrototype_map([mapper = Value.undefined], { thisValue }) {
+  // 1. Let O be the this value.
+  const O = thisValue;
+  // 2. If O is not an Object, throw a TypeError exception.
+  if (!(O instanceof ObjectValue)) {
+    return surroundingAgent.Throw('TypeError', 'NotAnObject', O);
+  }
+  // 3. Let iterated be the Iterator Record { [[Iterator]]: O, [[NextMethod]]: undefined, [[Done]]: false }.
+  let iterated = { Iterator: O, NextMethod: Value.undefined, Done: Value.false };
+  // 4. If IsCallable(mapper) is false, then
+  if (IsCallable(mapper) === Value.false) {
+    // a. Let error be ThrowCompletion(a newly created TypeError object).
+    const error = ThrowCompletion(surroundingAgent.Throw('TypeError', 'NotAFunction', mapper).Value);
+    // b. Return ? IteratorClose(iterated, error).
+    return Q(IteratorClose(iterated, error));
+  }
+  // 5. Set iterated to ? GetIteratorDirect(O).
+  iterated = Q(GetIteratorDirect(O));
+  // 6. Let closure be a new Abstract Closure with no parameters that captures iterated and mapper and performs the following steps when called:
+  const closure = function* closure() {
+    // a. Let counter be 0.
+    let counter = 0;
+    // b. Repeat,
+    while (true) {
+      // i. Let value be ? IteratorStepValue(iterated).
+      const value = Q(IteratorStepValue(iterated));
+      // ii. If value is done, return ReturnCompletion(undefined).
+      if (value === 'done') {
+        return Value.undefined;
+      }
+      // iii. Let mapped be Completion(Call(mapper, undefined, « value, 𝔽(counter) »)).
+      const mapped = Call(mapper, Value.undefined, [value, F(counter)]);
+      // iv. IfAbruptCloseIterator(mapped, iterated).
+      IfAbruptCloseIterator(mapped, iterated);
+      // v. Let completion be Completion(Yield(mapped)).
+      const completion = yield* Yield(mapped);
+      // vi. IfAbruptCloseIterator(completion, iterated).
+      IfAbruptCloseIterator(completion, iterated);
+      // vii. Set counter to counter + 1.
+      counter += 1;
+    }
+  };
+  // 7. Let result be CreateIteratorFromClosure(closure, "Iterator Helper", %IteratorHelperPrototype%, « [[UnderlyingIterator]] »).
+  const result = CreateIteratorFromClosure(closure, kIteratorHelper, surroundingAgent.intrinsic('%IteratorHelperPrototype%'), ['UnderlyingIterator']);
+  // 8. Set result.[[UnderlyingIterator]] to iterated.
+  result.UnderlyingIterator = iterated;
+  // 9. Return result.
+  return result;
+}
+
+/** https://tc39.es/ecma262/#sec-iterator.prototype.reduce */
+function IteratorPrototype_reduce(args, { thisValue }) {
+  const [reducer = Value.undefined, initialValue] = args;
+  // 1. Let O be the this value.
+  const O = thisValue;
+  // 2. If O is not an Object, throw a TypeError exception.
+  if (!(O instanceof ObjectValue)) {
+    return surroundingAgent.Throw('TypeError', 'NotAnObject', O);
+  }
+  // 3. Let iterated be the Iterator Record { [[Iterator]]: O, [[NextMethod]]: undefined, [[Done]]: false }.
+  let iterated = { Iterator: O, NextMethod: Value.undefined, Done: Value.false };
+  // 4. If IsCallable(reducer) is false, then
+  if (IsCallable(reducer) === Value.false) {
+    // a. Let error be ThrowCompletion(a newly created TypeError object).
+    const error = ThrowCompletion(surroundingAgent.Throw('TypeError', 'NotAFunction', reducer).Value);
+    // b. Return ? IteratorClose(iterated, error).
+    return Q(IteratorClose(iterated, error));
+  }
+  // 5. Set iterated to ? GetIteratorDirect(O).
+  iterated = Q(GetIteratorDirect(O));
+  let accumulator;
+  let counter;
+  // 6. If initialValue is not present, then
+  if (args.length < 2) {
+    // a. Let accumulator be ? IteratorStepValue(iterated).
+    accumulator = Q(IteratorStepValue(iterated));
+    // b. If accumulator is done, throw a TypeError exception.
+    if (accumulator === 'done') {
+      return surroundingAgent.Throw('TypeError', 'IteratorEmptyReduce');
+    }
+    // c. Let counter be 1.
+    counter = 1;
+  } else { // 7. Else,
+    // a. Let accumulator be initialValue.
+    accumulator = initialValue;
+    // b. Let counter be 0.
+    counter = 0;
+  }
+  // 8. Repeat,
+  while (true) {
+    // a. Let value be ? IteratorStepValue(iterated).
+    const value = Q(IteratorStepValue(iterated));
+    // b. If value is done, return accumulator.
+    if (value === 'done') {
+      return accumulator;
+    }
+    // c. Let result be Completion(Call(reducer, undefined, « accumulator, value, 𝔽(counter) »)).
+    const result = Call(reducer, Value.undefined, [accumulator, value, F(counter)]);
+    // d. IfAbruptCloseIterator(result, iterated).
+    IfAbruptCloseIterator(result, iterated);
+    // e. Set accumulator to result.
+    accumulator = result;
+    // f. Set counter to counter + 1.
+    counter += 1;
+  }
+}
+
+/** https://tc39.es/ecma262/#sec-iterator.prototype.some */
+function IteratorPrototype_some([predicate = Value.undefined], { thisValue }) {
+  // 1. Let O be the this value.
+  const O = thisValue;
+  // 2. If O is not an Object, throw a TypeError exception.
+  if (!(O instanceof ObjectValue)) {
+    return surroundingAgent.Throw('TypeError', 'NotAnObject', O);
+  }
+  // 3. Let iterated be the Iterator Record { [[Iterator]]: O, [[NextMethod]]: undefined, [[Done]]: false }.
+  let iterated = { Iterator: O, NextMethod: Value.undefined, Done: Value.false };
+  // 4. If IsCallable(predicate) is false, then
+  if (IsCallable(predicate) === Value.false) {
+    // a. Let error be ThrowCompletion(a newly created TypeError object).
+    const error = ThrowCompletion(surroundingAgent.Throw('TypeError', 'NotAFunction', predicate).Value);
+    // b. Return ? IteratorClose(iterated, error).
+    return Q(IteratorClose(iterated, error));
+  }
+  // 5. Set iterated to ? GetIteratorDirect(O).
+  iterated = Q(GetIteratorDirect(O));
+  // 6. Let counter be 0.
+  let counter = 0;
+  // 7. Repeat,
+  while (true) {
+    // a. Let value be ? IteratorStepValue(iterated).
+    const value = Q(IteratorStepValue(iterated));
+    // b. If value is done, return false.
+    if (value === 'done') {
+      return Value.false;
+    }
+    // c. Let result be Completion(Call(predicate, undefined, « value, 𝔽(counter) »)).
+    const result = Call(predicate, Value.undefined, [value, F(counter)]);
+    // d. IfAbruptCloseIterator(result, iterated).
+    IfAbruptCloseIterator(result, iterated);
+    // e. If ToBoolean(result) is true, return ? IteratorClose(iterated, NormalCompletion(true)).
+    if (ToBoolean(result) === Value.true) {
+      return Q(IteratorClose(iterated, NormalCompletion(Value.true)));
+    }
+    // f. Set counter to counter + 1.
+    counter += 1;
+  }
+}
+
+/** https://tc39.es/ecma262/#sec-iterator.prototype.take */
+function IteratorPrototype_take([limit = Value.undefined], { thisValue }) {
+  // 1. Let O be the this value.
+  const O = thisValue;
+  // 2. If O is not an Object, throw a TypeError exception.
+  if (!(O instanceof ObjectValue)) {
+    return surroundingAgent.Throw('TypeError', 'NotAnObject', O);
+  }
+  // 3. Let iterated be the Iterator Record { [[Iterator]]: O, [[NextMethod]]: undefined, [[Done]]: false }.
+  let iterated = { Iterator: O, NextMethod: Value.undefined, Done: Value.false };
+  // 4. Let numLimit be Completion(ToNumber(limit)).
+  const numLimit = ToNumber(limit);
+  // 5. IfAbruptCloseIterator(numLimit, iterated).
+  IfAbruptCloseIterator(numLimit, iterated);
+  // 6. If numLimit is NaN, then
+  if (numLimit.isNaN()) {
+    // a. Let error be ThrowCompletion(a newly created RangeError object).
+    const error = ThrowCompletion(surroundingAgent.Throw('RangeError', 'OutOfRange', numLimit.numberValue()).Value);
+    // b. Return ? IteratorClose(iterated, error).
+    return Q(IteratorClose(iterated, error));
+  }
+  // 7. Let integerLimit be ! ToIntegerOrInfinity(numLimit).
+  const integerLimit = X(ToIntegerOrInfinity(numLimit));
+  // 8. If integerLimit < 0, then
+  if (integerLimit < 0) {
+    // a. Let error be ThrowCompletion(a newly created RangeError object).
+    const error = ThrowCompletion(surroundingAgent.Throw('RangeError', 'OutOfRange', numLimit.numberValue()).Value);
+    // b. Return ? IteratorClose(iterated, error).
+    return Q(IteratorClose(iterated, error));
+  }
+  // 9. Set iterated to ? GetIteratorDirect(O).
+  iterated = Q(GetIteratorDirect(O));
+  // 10. Let closure be a new Abstract Closure with no parameters that captures iterated and integerLimit and performs the following steps when called:
+  const closure = function* closure() {
+    // a. Let remaining be integerLimit.
+    let remaining = integerLimit;
+    // b. Repeat,
+    while (true) {
+      // i. If remaining = 0, then
+      if (remaining === 0) {
+        // 1. Return ? IteratorClose(iterated, ReturnCompletion(undefined)).
+        return Q(IteratorClose(iterated, new Completion({ Type: 'return', Value: Value.undefined, Target: undefined })));
+      }
+      // ii. If remaining ≠ +∞, then
+      if (remaining !== Infinity) {
+        // 1. Set remaining to remaining - 1.
+        remaining -= 1;
+      }
+      // iii. Let value be ? IteratorStepValue(iterated).
+      const value = Q(IteratorStepValue(iterated));
+      // iv. If value is done, return ReturnCompletion(undefined).
+      if (value === 'done') {
+        return Value.undefined;
+      }
+      // v. Let completion be Completion(Yield(value)).
+      const completion = yield* Yield(value);
+      // vi. IfAbruptCloseIterator(completion, iterated).
+      IfAbruptCloseIterator(completion, iterated);
+    }
+  };
+  // 11. Let result be CreateIteratorFromClosure(closure, "Iterator Helper", %IteratorHelperPrototype%, « [[UnderlyingIterator]] »).
+  const result = CreateIteratorFromClosure(closure, kIteratorHelper, surroundingAgent.intrinsic('%IteratorHelperPrototype%'), ['UnderlyingIterator']);
+  // 12. Set result.[[UnderlyingIterator]] to iterated.
+  result.UnderlyingIterator = iterated;
+  // 13. Return result.
+  return result;
+}
+
+/** https://tc39.es/ecma262/#sec-iterator.prototype.toarray */
+function IteratorPrototype_toArray(args, { thisValue }) {
+  // 1. Let O be the this value.
+  const O = thisValue;
+  // 2. If O is not an Object, throw a TypeError exception.
+  if (!(O instanceof ObjectValue)) {
+    return surroundingAgent.Throw('TypeError', 'NotAnObject', O);
+  }
+  // 3. Let iterated be ? GetIteratorDirect(O).
+  const iterated = Q(GetIteratorDirect(O));
+  // 4. Let items be a new empty List.
+  const items = [];
+  // 5. Repeat,
+  while (true) {
+    // a. Let value be ? IteratorStepValue(iterated).
+    const value = Q(IteratorStepValue(iterated));
+    // b. If value is done, return CreateArrayFromList(items).
+    if (value === 'done') {
+      return CreateArrayFromList(items);
+    }
+    // c. Append value to items.
+    items.push(value);
+  }
+}
+
+/** https://tc39.es/ecma262/#sec-get-iterator.prototype-%symbol.tostringtag% */
+function IteratorPrototype_toStringTagGetter() {
+  // 1. Return "Iterator".
+  return Value('Iterator');
+}
+
+/** https://tc39.es/ecma262/#sec-set-iterator.prototype-%symbol.tostringtag% */
+function IteratorPrototype_toStringTagSetter([v = Value.undefined], { thisValue }) {
+  // 1. Perform ? SetterThatIgnoresPrototypeProperties(this value, %Iterator.prototype%, %Symbol.toStringTag%, v).
+  Q(SetterThatIgnoresPrototypeProperties(thisValue, surroundingAgent.intrinsic('%IteratorPrototype%'), wellKnownSymbols.toStringTag, v));
+  // 2. Return undefined.
+  return Value.undefined;
+}
+
 export function bootstrapIteratorPrototype(realmRec) {
   const proto = bootstrapPrototype(realmRec, [
     [wellKnownSymbols.iterator, IteratorPrototype_iterator, 0],
+    [wellKnownSymbols.toStringTag, [IteratorPrototype_toStringTagGetter, IteratorPrototype_toStringTagSetter]],
+    ['drop', IteratorPrototype_drop, 1],
+    ['every', IteratorPrototype_every, 1],
+    ['filter', IteratorPrototype_filter, 1],
+    ['find', IteratorPrototype_find, 1],
+    ['flatMap', IteratorPrototype_flatMap, 1],
+    ['forEach', IteratorPrototype_forEach, 1],
+    ['map', IteratorPrototype_map, 1],
+    ['reduce', IteratorPrototype_reduce, 1],
+    ['some', IteratorPrototype_some, 1],
+    ['take', IteratorPrototype_take, 1],
+    ['toArray', IteratorPrototype_toArray, 0],
+    surroundingAgent.feature('explicit-resource-management')
+      ? [wellKnownSymbols.dispose, IteratorPrototype_dispose, 0]
+      : undefined,
   ], realmRec.Intrinsics['%Object.prototype%']);
 
   realmRec.Intrinsics['%IteratorPrototype%'] = proto;
@@ -6,6 +6,8 @@ import {
   NumberValue,
   ObjectValue,
   JSStringValue,
+  RecordValue,
+  TupleValue,
   UndefinedValue,
   Value,
 } from '../value.mjs';
@@ -23,6 +25,7 @@ import {
   LengthOfArrayLike,
   ToIntegerOrInfinity,
   ToNumber,
+  ToObject,
   ToString,
 } from '../abstract-ops/all.mjs';
 import {
@@ -356,6 +359,13 @@ function SerializeJSONProperty(state, key, holder) {
   if (value instanceof BigIntValue) {
     return surroundingAgent.Throw('TypeError', 'CannotJSONSerializeBigInt');
   }
+  // https://tc39.es/proposal-record-tuple/#sec-serializejsonproperty
+  if (value instanceof RecordValue) {
+    return Q(SerializeJSONObject(state, X(ToObject(value))));
+  }
+  if (value instanceof TupleValue) {
+    return Q(SerializeJSONArray(state, X(ToObject(value))));
+  }
   if (value instanceof ObjectValue && IsCallable(value) === Value.false) {
     const isArray = Q(IsArray(value));
     if (isArray === Value.true) {
@@ -3,8 +3,11 @@ import { surroundingAgent } from '../engine.mjs';
 import {
   Assert,
   Call,
+  Construct,
+  CreateArrayFromList,
   Get,
   GetIterator,
+  GroupBy,
   IsCallable,
   IteratorClose,
   IteratorStep,
@@ -19,6 +22,7 @@ import {
 import {
   IfAbruptCloseIterator,
   Q,
+  X,
 } from '../completion.mjs';
 import { bootstrapConstructor } from './bootstrap.mjs';
 
@@ -73,6 +77,25 @@ function MapConstructor([iterable = Value.undefined], { NewTarget }) {
   return Q(AddEntriesFromIterable(map, iterable, adder));
 }
 
+/** https://tc39.es/ecma262/#sec-map.groupby */
+function Map_groupBy([items = Value.undefined, callbackfn = Value.undefined]) {
+  // 1. Let groups be ? GroupBy(items, callbackfn, zero).
+  const groups = Q(GroupBy(items, callbackfn, 'zero'));
+  // 2. Let map be ! Construct(%Map%).
+  const map = X(Construct(surroundingAgent.intrinsic('%Map%')));
+  // 3. For each Record { [[Key]], [[Elements]] } g of groups, do
+  for (const g of groups) {
+    // a. Let elements be CreateArrayFromList(g.[[Elements]]).
+    const elements = CreateArrayFromList(g.Elements);
+    // b. Let entry be the Record { [[Key]]: g.[[Key]], [[Value]]: elements }.
+    const entry = { Key: g.Key, Value: elements };
+    // c. Append entry to map.[[MapData]].
+    map.MapData.push(entry);
+  }
+  // 4. Return map.
+  return map;
+}
+
 /** https://tc39.es/ecma262/#sec-get-map-@@species */
 function Map_speciesGetter(args, { thisValue }) {
   // 1. Return the this value.
@@ -81,6 +104,7 @@ function Map_speciesGetter(args, { thisValue }) {
 
 export function bootstrapMap(realmRec) {
   const mapConstructor = bootstrapConstructor(realmRec, MapConstructor, 'Map', 0, realmRec.Intrinsics['%Map.prototype%'], [
+    ['groupBy', Map_groupBy, 2],
     [wellKnownSymbols.species, [Map_speciesGetter]],
   ]);
 
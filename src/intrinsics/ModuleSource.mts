@@ -0,0 +1,18 @@
+// @ts-nocheck
+import { surroundingAgent } from '../engine.mjs';
+import { bootstrapConstructor } from './bootstrap.mjs';
+
+/** https://tc39.es/proposal-module-expressions/#sec-modulesource-constructor */
+function ModuleSourceConstructor() {
+  // 1. Throw a TypeError exception.
+  return surroundingAgent.Throw('TypeError', 'ModuleSourceNotConstructible');
+}
+
+export function bootstrapModuleSource(realmRec) {
+  const moduleSourceConstructor = bootstrapConstructor(realmRec, ModuleSourceConstructor, 'ModuleSource', 0, realmRec.Intrinsics['%ModuleSource.prototype%'], []);
+  if (surroundingAgent.feature('source-phase-imports')) {
+    moduleSourceConstructor.Prototype = realmRec.Intrinsics['%AbstractModuleSource%'];
+  }
+
+  realmRec.Intrinsics['%ModuleSource%'] = moduleSourceConstructor;
+}
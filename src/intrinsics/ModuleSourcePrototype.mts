@@ -0,0 +1,13 @@
+// @ts-nocheck
+import { surroundingAgent } from '../engine.mjs';
+import { bootstrapPrototype } from './bootstrap.mjs';
+
+export function bootstrapModuleSourcePrototype(realmRec) {
+  // With source phase imports, ModuleSource is a subclass of %AbstractModuleSource%,
+  // whose @@toStringTag getter reads [[ModuleSourceClassName]].
+  const proto = surroundingAgent.feature('source-phase-imports')
+    ? bootstrapPrototype(realmRec, [], realmRec.Intrinsics['%AbstractModuleSource.prototype%'])
+    : bootstrapPrototype(realmRec, [], realmRec.Intrinsics['%Object.prototype%'], 'ModuleSource');
+
+  realmRec.Intrinsics['%ModuleSource.prototype%'] = proto;
+}
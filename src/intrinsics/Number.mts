@@ -1,5 +1,7 @@
 // @ts-nocheck
+import { surroundingAgent } from '../engine.mjs';
 import {
+  CreateArrayFromList,
   IsIntegralNumber,
   OrdinaryCreateFromConstructor,
   ToNumeric,
@@ -7,9 +9,12 @@ import {
 } from '../abstract-ops/all.mjs';
 import {
   Descriptor,
+  JSStringValue,
   NumberValue,
   BigIntValue,
+  ObjectValue,
   Value,
+  wellKnownSymbols,
 } from '../value.mjs';
 import { Q, X } from '../completion.mjs';
 import { bootstrapConstructor } from './bootstrap.mjs';
@@ -79,6 +84,25 @@ function Number_isSafeInteger([number = Value.undefined]) {
   return Value.false;
 }
 
+/** https://tc39.es/proposal-pattern-matching/#sec-number-%symbol.custommatcher% */
+function Number_customMatcher([subject = Value.undefined, hint = Value.undefined]) {
+  let value;
+  // 1. If subject is a Number, let value be subject.
+  if (subject instanceof NumberValue) {
+    value = subject;
+  } else if (subject instanceof ObjectValue && 'NumberData' in subject) { // 2. Else if subject is an Object with a [[NumberData]] internal slot, let value be subject.[[NumberData]].
+    value = subject.NumberData;
+  } else { // 3. Else, return false.
+    return Value.false;
+  }
+  // 4. If hint is "boolean", return true.
+  if (hint instanceof JSStringValue && hint.stringValue() === 'boolean') {
+    return Value.true;
+  }
+  // 5. Return CreateArrayFromList(« value »).
+  return CreateArrayFromList([value]);
+}
+
 export function bootstrapNumber(realmRec) {
   const override = {
     Writable: Value.false,
@@ -99,6 +123,9 @@ export function bootstrapNumber(realmRec) {
     ['isInteger', Number_isInteger, 1],
     ['isNaN', Number_isNaN, 1],
     ['isSafeInteger', Number_isSafeInteger, 1],
+    surroundingAgent.feature('pattern-matching')
+      ? [wellKnownSymbols.customMatcher, Number_customMatcher, 2]
+      : undefined,
   ]);
 
   /** https://tc39.es/ecma262/#sec-number.parsefloat */
@@ -17,6 +17,7 @@ import {
   EnumerableOwnPropertyNames,
   FromPropertyDescriptor,
   Get,
+  GroupBy,
   HasOwnProperty,
   IsExtensible,
   OrdinaryObjectCreate,
@@ -286,6 +287,23 @@ function Object_getPrototypeOf([O = Value.undefined]) {
   return Q(obj.GetPrototypeOf());
 }
 
+/** https://tc39.es/ecma262/#sec-object.groupby */
+function Object_groupBy([items = Value.undefined, callbackfn = Value.undefined]) {
+  // 1. Let groups be ? GroupBy(items, callbackfn, property).
+  const groups = Q(GroupBy(items, callbackfn, 'property'));
+  // 2. Let obj be OrdinaryObjectCreate(null).
+  const obj = OrdinaryObjectCreate(Value.null);
+  // 3. For each Record { [[Key]], [[Elements]] } g of groups, do
+  for (const g of groups) {
+    // a. Let elements be CreateArrayFromList(g.[[Elements]]).
+    const elements = CreateArrayFromList(g.Elements);
+    // b. Perform ! CreateDataPropertyOrThrow(obj, g.[[Key]], elements).
+    X(CreateDataPropertyOrThrow(obj, g.Key, elements));
+  }
+  // 4. Return obj.
+  return obj;
+}
+
 /** https://tc39.es/ecma262/#sec-object.hasown */
 function Object_hasOwn([O = Value.undefined, P = Value.undefined]) {
   // 1. Let obj be ? ToObject(O).
@@ -420,6 +438,7 @@ export function bootstrapObject(realmRec) {
     ['getOwnPropertyNames', Object_getOwnPropertyNames, 1],
     ['getOwnPropertySymbols', Object_getOwnPropertySymbols, 1],
     ['getPrototypeOf', Object_getPrototypeOf, 1],
+    ['groupBy', Object_groupBy, 2],
     ['hasOwn', Object_hasOwn, 2],
     ['is', Object_is, 2],
     ['isExtensible', Object_isExtensible, 1],
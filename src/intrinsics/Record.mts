@@ -0,0 +1,80 @@
+// @ts-nocheck
+import { surroundingAgent } from '../engine.mjs';
+import { RecordValue, Value } from '../value.mjs';
+import {
+  AddPropertyIntoRecordEntriesList,
+  CreateBuiltinFunction,
+  DeduplicateRecordEntries,
+  EnumerableOwnPropertyNames,
+  Get,
+  RequireObjectCoercible,
+  ToObject,
+  ToPropertyKey,
+} from '../abstract-ops/all.mjs';
+import { Q, X } from '../completion.mjs';
+import { bootstrapConstructor } from './bootstrap.mjs';
+import { AddEntriesFromIterable } from './Map.mjs';
+
+/** https://tc39.es/proposal-record-tuple/#sec-record-constructor-record */
+function RecordConstructor([arg = Value.undefined], { NewTarget }) {
+  // 1. If NewTarget is not undefined, throw a TypeError exception.
+  if (NewTarget !== Value.undefined) {
+    return surroundingAgent.Throw('TypeError', 'NotAConstructor', this);
+  }
+  // 2. Let obj be ? ToObject(arg).
+  const obj = Q(ToObject(arg));
+  // 3. Let props be ? EnumerableOwnPropertyNames(obj, key+value).
+  const props = Q(EnumerableOwnPropertyNames(obj, 'key+value'));
+  // 4. Let fields be a new empty List.
+  const fields = [];
+  // 5. For each element prop of props, do
+  for (const prop of props) {
+    // a. Let key be ! Get(prop, "0").
+    const key = X(Get(prop, Value('0')));
+    // b. Let value be ! Get(prop, "1").
+    const value = X(Get(prop, Value('1')));
+    // c. Perform ? AddPropertyIntoRecordEntriesList(fields, key, value).
+    Q(AddPropertyIntoRecordEntriesList(fields, key, value));
+  }
+  // 6. Return a new Record value whose [[Fields]] is DeduplicateRecordEntries(fields).
+  return new RecordValue(DeduplicateRecordEntries(fields));
+}
+
+/** https://tc39.es/proposal-record-tuple/#sec-record.fromentries */
+function Record_fromEntries([iterable = Value.undefined]) {
+  // 1. Perform ? RequireObjectCoercible(iterable).
+  Q(RequireObjectCoercible(iterable));
+  // 2. Let fields be a new empty List.
+  const fields = [];
+  // 3. Let closure be a new Abstract Closure with parameters (key, value) that captures fields and performs the following steps when called:
+  const closure = ([key = Value.undefined, value = Value.undefined]) => {
+    // a. Let propertyKey be ? ToPropertyKey(key).
+    const propertyKey = Q(ToPropertyKey(key));
+    // b. Perform ? AddPropertyIntoRecordEntriesList(fields, propertyKey, value).
+    Q(AddPropertyIntoRecordEntriesList(fields, propertyKey, value));
+    // c. Return undefined.
+    return Value.undefined;
+  };
+  // 4. Let adder be ! CreateBuiltinFunction(closure, 2, "", « »).
+  const adder = X(CreateBuiltinFunction(closure, 2, Value(''), []));
+  // 5. Perform ? AddEntriesFromIterable(undefined, iterable, adder).
+  Q(AddEntriesFromIterable(Value.undefined, iterable, adder));
+  // 6. Return a new Record value whose [[Fields]] is DeduplicateRecordEntries(fields).
+  return new RecordValue(DeduplicateRecordEntries(fields));
+}
+
+/** https://tc39.es/proposal-record-tuple/#sec-record.isrecord */
+function Record_isRecord([arg = Value.undefined]) {
+  // 1. If Type(arg) is Record, return true.
+  // 2. Return false.
+  return arg instanceof RecordValue ? Value.true : Value.false;
+}
+
+export function bootstrapRecord(realmRec) {
+  const recordConstructor = bootstrapConstructor(realmRec, RecordConstructor, 'Record', 1, realmRec.Intrinsics['%Record.prototype%'], [
+    ['fromEntries', Record_fromEntries, 1],
+    ['isRecord', Record_isRecord, 1],
+  ]);
+
+  realmRec.Intrinsics['%Record%'] = recordConstructor;
+}
@@ -0,0 +1,10 @@
+// @ts-nocheck
+import { Value } from '../value.mjs';
+import { bootstrapPrototype } from './bootstrap.mjs';
+
+/** https://tc39.es/proposal-record-tuple/#sec-properties-of-the-record-prototype-object */
+export function bootstrapRecordPrototype(realmRec) {
+  const proto = bootstrapPrototype(realmRec, [], Value.null, 'Record');
+
+  realmRec.Intrinsics['%Record.prototype%'] = proto;
+}
@@ -4,10 +4,13 @@ import {
 } from '../engine.mjs';
 import {
   Get,
+  GetLegacyRegExpStaticProperty,
   IsRegExp,
+  LegacyRegExpStaticSlots,
   RegExpAlloc,
   RegExpInitialize,
   SameValue,
+  SetLegacyRegExpStaticProperty,
 } from '../abstract-ops/all.mjs';
 import {
   ObjectValue,
@@ -77,12 +80,45 @@ function RegExp_speciesGetter(args, { thisValue }) {
   return thisValue;
 }
 
+/** https://github.com/tc39/proposal-regexp-legacy-features#additional-properties-of-the-regexp-constructor */
+function legacyStaticAccessors(name, internalSlotName, settable = false) {
+  function getter(args, { thisValue }) {
+    // 1. Return ? GetLegacyRegExpStaticProperty(%RegExp%, this value, internalSlotName).
+    return Q(GetLegacyRegExpStaticProperty(surroundingAgent.intrinsic('%RegExp%'), thisValue, internalSlotName));
+  }
+  function setter([val = Value.undefined], { thisValue }) {
+    // 1. Perform ? SetLegacyRegExpStaticProperty(%RegExp%, this value, internalSlotName, val).
+    return Q(SetLegacyRegExpStaticProperty(surroundingAgent.intrinsic('%RegExp%'), thisValue, internalSlotName, val));
+  }
+  return [name, settable ? [getter, setter] : [getter]];
+}
+
 export function bootstrapRegExp(realmRec) {
   const proto = realmRec.Intrinsics['%RegExp.prototype%'];
 
   const cons = bootstrapConstructor(realmRec, RegExpConstructor, 'RegExp', 2, proto, [
     [wellKnownSymbols.species, [RegExp_speciesGetter]],
+    ...surroundingAgent.feature('legacy-regexp') ? [
+      legacyStaticAccessors('input', 'RegExpInput', true),
+      legacyStaticAccessors('$_', 'RegExpInput', true),
+      legacyStaticAccessors('lastMatch', 'RegExpLastMatch'),
+      legacyStaticAccessors('$&', 'RegExpLastMatch'),
+      legacyStaticAccessors('lastParen', 'RegExpLastParen'),
+      legacyStaticAccessors('$+', 'RegExpLastParen'),
+      legacyStaticAccessors('leftContext', 'RegExpLeftContext'),
+      legacyStaticAccessors('$`', 'RegExpLeftContext'),
+      legacyStaticAccessors('rightContext', 'RegExpRightContext'),
+      legacyStaticAccessors("$'", 'RegExpRightContext'),
+      ...[1, 2, 3, 4, 5, 6, 7, 8, 9].map((i) => legacyStaticAccessors(`$${i}`, `RegExpParen${i}`)),
+    ] : [],
   ]);
 
+  if (surroundingAgent.feature('legacy-regexp')) {
+    // The initial value of all these internal slots is the empty String.
+    for (const slot of LegacyRegExpStaticSlots) {
+      cons[slot] = Value('');
+    }
+  }
+
   realmRec.Intrinsics['%RegExp%'] = cons;
 }
@@ -24,6 +24,7 @@ import {
   LengthOfArrayLike,
   MakeMatchIndicesIndexPairArray,
   OrdinaryObjectCreate,
+  InvalidateLegacyRegExpStaticProperties,
   RequireInternalSlot,
   SameValue,
   Set,
@@ -35,6 +36,8 @@ import {
   ToString,
   ToUint32,
   RegExpHasFlag,
+  RegExpInitialize,
+  UpdateLegacyRegExpStaticProperties,
   F,
 } from '../abstract-ops/all.mjs';
 import { RegExpState as State, GetSubstitution } from '../runtime-semantics/all.mjs';
@@ -93,8 +96,8 @@ export function RegExpBuiltinExec(R, S) {
   }
   // 10. Let matcher be R.[[RegExpMatcher]].
   const matcher = R.RegExpMatcher;
-  // 11. If flags contains "u", let fullUnicode be true; else let fullUnicode be false.
-  const fullUnicode = flags.includes('u');
+  // 11. If flags contains "u" or flags contains "v", let fullUnicode be true; else let fullUnicode be false.
+  const fullUnicode = flags.includes('u') || flags.includes('v');
   // 12. Let matchSucceeded be false.
   let matchSucceeded = false;
   let r;
@@ -185,7 +188,11 @@ export function RegExpBuiltinExec(R, S) {
   }
   // 32. Perform ! CreateDataPropertyOrThrow(A, "groups", groups).
   X(CreateDataPropertyOrThrow(A, Value('groups'), groups));
-  // 33. For each integer i such that i > 0 and i ≤ n, do
+  // 33. Let matchedGroupNames be a new empty List.
+  const matchedGroupNames = [];
+  // (Legacy RegExp features) Let capturedValues be a new empty List.
+  const capturedValues = [];
+  // 34. For each integer i such that i > 0 and i ≤ n, do
   for (let i = 1; i <= n; i += 1) {
     // a. Let captureI be ith element of r's captures List.
     const captureI = r.captures[i];
@@ -217,27 +224,63 @@ export function RegExpBuiltinExec(R, S) {
     }
     // e. Perform ! CreateDataPropertyOrThrow(A, ! ToString(𝔽(i)), capturedValue).
     X(CreateDataPropertyOrThrow(A, X(ToString(F(i))), capturedValue));
+    // (Legacy RegExp features) Append capturedValue to the end of capturedValues.
+    //   Unmatched captures are exposed as the empty String.
+    capturedValues.push(capturedValue === Value.undefined ? Value('') : capturedValue);
     // f. If the ith capture of R was defined with a GroupName, then
     if (R.parsedPattern.capturingGroups[i - 1].GroupSpecifier) {
       // i. Let s be the StringValue of the corresponding RegExpIdentifierName.
       const s = Value(R.parsedPattern.capturingGroups[i - 1].GroupSpecifier);
-      // ii. Perform ! CreateDataPropertyOrThrow(groups, s, capturedValue).
-      X(CreateDataPropertyOrThrow(groups, s, capturedValue));
-      // iii. Append s to groupNames.
-      groupNames.push(s);
+      // ii. If matchedGroupNames contains s, then
+      if (matchedGroupNames.includes(s.stringValue())) {
+        // 1. Assert: capturedValue is undefined.
+        Assert(capturedValue === Value.undefined);
+        // 2. Append undefined to groupNames.
+        groupNames.push(Value.undefined);
+      } else { // iii. Else,
+        // 1. If capturedValue is not undefined, append s to matchedGroupNames.
+        if (capturedValue !== Value.undefined) {
+          matchedGroupNames.push(s.stringValue());
+        }
+        // 2. NOTE: If there are multiple groups named s, groups may already have an s property at this point.
+        //    However, because groups is an ordinary object whose properties are all writable data properties,
+        //    the call to CreateDataPropertyOrThrow is nevertheless guaranteed to succeed.
+        // 3. Perform ! CreateDataPropertyOrThrow(groups, s, capturedValue).
+        X(CreateDataPropertyOrThrow(groups, s, capturedValue));
+        // 4. Append s to groupNames.
+        groupNames.push(s);
+      }
     } else {
       // i. Append undefined to groupNames.
       groupNames.push(Value.undefined);
     }
   }
-  // 34. If hasIndices is true, then
+  // 35. If hasIndices is true, then
   if (hasIndices) {
     // a. Let indicesArray be MakeMatchIndicesIndexPairArray(S, indices, groupNames, hasGroups).
     const indicesArray = MakeMatchIndicesIndexPairArray(S, indices, groupNames, hasGroups);
     // b. Perform ! CreateDataProperty(A, "indices", indicesArray).
     X(CreateDataPropertyOrThrow(A, Value('indices'), indicesArray));
   }
-  // 35. Return A.
+  if (surroundingAgent.feature('legacy-regexp')) {
+    // (Legacy RegExp features)
+    // a. Let thisRealm be the current Realm Record.
+    const thisRealm = surroundingAgent.currentRealmRecord;
+    // b. Let rRealm be the value of R's [[Realm]] internal slot.
+    const rRealm = R.Realm;
+    // c. If SameValue(thisRealm, rRealm) is true, then
+    if (thisRealm === rRealm) {
+      // i. If the value of R’s [[LegacyFeaturesEnabled]] internal slot is true, then
+      if (R.LegacyFeaturesEnabled) {
+        // 1. Perform UpdateLegacyRegExpStaticProperties(%RegExp%, S, lastIndex, e, capturedValues).
+        UpdateLegacyRegExpStaticProperties(surroundingAgent.intrinsic('%RegExp%'), S, lastIndex, e, capturedValues);
+      } else { // ii. Else,
+        // 1. Perform InvalidateLegacyRegExpStaticProperties(%RegExp%).
+        InvalidateLegacyRegExpStaticProperties(surroundingAgent.intrinsic('%RegExp%'));
+      }
+    }
+  }
+  // 36. Return A.
   return A;
 }
 
@@ -265,6 +308,32 @@ export function AdvanceStringIndex(S, index, unicode) {
   return index + cp.CodeUnitCount;
 }
 
+/** https://tc39.es/proposal-pattern-matching/#sec-regexp.prototype-%symbol.custommatcher% */
+function RegExpProto_customMatcher([subject = Value.undefined, hint = Value.undefined], { thisValue }) {
+  // 1. Let regexp be the this value.
+  const regexp = thisValue;
+  // 2. If regexp is not an Object, throw a TypeError exception.
+  if (!(regexp instanceof ObjectValue)) {
+    return surroundingAgent.Throw('TypeError', 'NotAnObject', regexp);
+  }
+  // 3. If subject is not a String, return false.
+  if (!(subject instanceof JSStringValue)) {
+    return Value.false;
+  }
+  // 4. Let result be ? RegExpExec(regexp, subject).
+  const result = Q(RegExpExec(regexp, subject));
+  // 5. If result is null, return false.
+  if (result === Value.null) {
+    return Value.false;
+  }
+  // 6. If hint is "boolean", return true.
+  if (hint instanceof JSStringValue && hint.stringValue() === 'boolean') {
+    return Value.true;
+  }
+  // 7. Return result.
+  return result;
+}
+
 /** https://tc39.es/ecma262/#sec-get-regexp.prototype.dotAll */
 function RegExpProto_dotAllGetter(args, { thisValue }) {
   // 1. Let R be the this value.
@@ -275,6 +344,16 @@ function RegExpProto_dotAllGetter(args, { thisValue }) {
   return Q(RegExpHasFlag(R, cu));
 }
 
+/** https://github.com/tc39/proposal-regexp-x-mode */
+function RegExpProto_extendedGetter(args, { thisValue }) {
+  // 1. Let R be the this value.
+  const R = thisValue;
+  // 2. Let cu be the code unit 0x0078 (LATIN SMALL LETTER X).
+  const cu = 'x';
+  // 3. Return ? RegExpHasFlag(R, cu).
+  return Q(RegExpHasFlag(R, cu));
+}
+
 /** https://tc39.es/ecma262/#sec-get-regexp.prototype.flags */
 function RegExpProto_flagsGetter(args, { thisValue }) {
   const R = thisValue;
@@ -306,6 +385,16 @@ function RegExpProto_flagsGetter(args, { thisValue }) {
   if (unicode === Value.true) {
     result += 'u';
   }
+  const unicodeSets = ToBoolean(Q(Get(R, Value('unicodeSets'))));
+  if (unicodeSets === Value.true) {
+    result += 'v';
+  }
+  if (surroundingAgent.feature('regexp-x-mode')) {
+    const extended = ToBoolean(Q(Get(R, Value('extended'))));
+    if (extended === Value.true) {
+      result += 'x';
+    }
+  }
   const sticky = ToBoolean(Q(Get(R, Value('sticky'))));
   if (sticky === Value.true) {
     result += 'y';
@@ -369,8 +458,8 @@ function RegExpProto_match([string = Value.undefined], { thisValue }) {
     // a. Return ? RegExpExec(rx, S).
     return Q(RegExpExec(rx, S));
   } else { // 6. Else,
-    // a. If flags contains "u", let fullUnicode be true. Otherwise, let fullUnicode be false.
-    const fullUnicode = flags.stringValue().includes('u') ? Value.true : Value.false;
+    // a. If flags contains "u" or flags contains "v", let fullUnicode be true. Otherwise, let fullUnicode be false.
+    const fullUnicode = (flags.stringValue().includes('u') || flags.stringValue().includes('v')) ? Value.true : Value.false;
     // b. Perform ? Set(rx, "lastIndex", +0𝔽, true).
     Q(Set(rx, Value('lastIndex'), F(+0), Value.true));
     // c. Let A be ! ArrayCreate(0).
@@ -429,7 +518,7 @@ function RegExpProto_matchAll([string = Value.undefined], { thisValue }) {
     global = Value.false;
   }
   let fullUnicode;
-  if (flags.stringValue().includes('u')) {
+  if (flags.stringValue().includes('u') || flags.stringValue().includes('v')) {
     fullUnicode = Value.true;
   } else {
     fullUnicode = Value.false;
@@ -473,8 +562,8 @@ function RegExpProto_replace([string = Value.undefined, replaceValue = Value.und
   let fullUnicode;
   // 9. If global is true, then
   if (global === Value.true) {
-    // a. If flags contains "u", let fullUnicode be true. Otherwise, let fullUnicode be false.
-    fullUnicode = flags.stringValue().includes('u') ? Value.true : Value.false;
+    // a. If flags contains "u" or flags contains "v", let fullUnicode be true. Otherwise, let fullUnicode be false.
+    fullUnicode = (flags.stringValue().includes('u') || flags.stringValue().includes('v')) ? Value.true : Value.false;
     // b. Perform ? Set(rx, "lastIndex", +0𝔽, true).
     Q(Set(rx, Value('lastIndex'), F(+0), Value.true));
   }
@@ -648,7 +737,7 @@ function RegExpProto_split([string = Value.undefined, limit = Value.undefined],
   const C = Q(SpeciesConstructor(rx, surroundingAgent.intrinsic('%RegExp%')));
   const flagsValue = Q(Get(rx, Value('flags')));
   const flags = Q(ToString(flagsValue)).stringValue();
-  const unicodeMatching = flags.includes('u') ? Value.true : Value.false;
+  const unicodeMatching = (flags.includes('u') || flags.includes('v')) ? Value.true : Value.false;
   const newFlags = flags.includes('y') ? Value(flags) : Value(`${flags}y`);
   const splitter = Q(Construct(C, [rx, newFlags]));
 
@@ -766,12 +855,68 @@ function RegExpProto_unicodeGetter(args, { thisValue }) {
   return Q(RegExpHasFlag(R, cu));
 }
 
+/** https://tc39.es/ecma262/#sec-get-regexp.prototype.unicodesets */
+function RegExpProto_unicodeSetsGetter(args, { thisValue }) {
+  // 1. Let R be the this value.
+  const R = thisValue;
+  // 2. Let cu be the code unit 0x0076 (LATIN SMALL LETTER V).
+  const cu = 'v';
+  // 3. Return ? RegExpHasFlag(R, cu).
+  return Q(RegExpHasFlag(R, cu));
+}
+
+/** https://tc39.es/ecma262/#sec-regexp.prototype.compile */
+function RegExpProto_compile([pattern = Value.undefined, flags = Value.undefined], { thisValue }) {
+  // 1. Let O be the this value.
+  const O = thisValue;
+  // 2. Perform ? RequireInternalSlot(O, [[RegExpMatcher]]).
+  Q(RequireInternalSlot(O, 'RegExpMatcher'));
+  if (surroundingAgent.feature('legacy-regexp')) {
+    // (Legacy RegExp features)
+    // a. Let thisRealm be the current Realm Record.
+    const thisRealm = surroundingAgent.currentRealmRecord;
+    // b. Let oRealm be the value of O’s [[Realm]] internal slot.
+    const oRealm = O.Realm;
+    // c. If SameValue(thisRealm, oRealm) is false, throw a TypeError exception.
+    // d. If the value of O’s [[LegacyFeaturesEnabled]] internal slot is false, throw a TypeError exception.
+    if (thisRealm !== oRealm || !O.LegacyFeaturesEnabled) {
+      return surroundingAgent.Throw('TypeError', 'RegExpCompileLegacyDisabled');
+    }
+  }
+  let P;
+  let F;
+  // 3. If pattern is an Object and pattern has a [[RegExpMatcher]] internal slot, then
+  if (pattern instanceof ObjectValue && 'RegExpMatcher' in pattern) {
+    // a. If flags is not undefined, throw a TypeError exception.
+    if (flags !== Value.undefined) {
+      return surroundingAgent.Throw('TypeError', 'RegExpCompileWithFlags');
+    }
+    // b. Let P be pattern.[[OriginalSource]].
+    P = pattern.OriginalSource;
+    // c. Let F be pattern.[[OriginalFlags]].
+    F = pattern.OriginalFlags;
+  } else { // 4. Else,
+    // a. Let P be pattern.
+    P = pattern;
+    // b. Let F be flags.
+    F = flags;
+  }
+  // 5. Return ? RegExpInitialize(O, P, F).
+  return Q(RegExpInitialize(O, P, F));
+}
+
 export function bootstrapRegExpPrototype(realmRec) {
   const proto = bootstrapPrototype(
     realmRec,
     [
       ['exec', RegExpProto_exec, 1],
+      surroundingAgent.feature('pattern-matching')
+        ? [wellKnownSymbols.customMatcher, RegExpProto_customMatcher, 2]
+        : undefined,
       ['dotAll', [RegExpProto_dotAllGetter]],
+      surroundingAgent.feature('regexp-x-mode')
+        ? ['extended', [RegExpProto_extendedGetter]]
+        : undefined,
       ['flags', [RegExpProto_flagsGetter]],
       ['global', [RegExpProto_globalGetter]],
       ['hasIndices', [RegExpProto_hasIndicesGetter]],
@@ -787,6 +932,10 @@ export function bootstrapRegExpPrototype(realmRec) {
       ['test', RegExpProto_test, 1],
       ['toString', RegExpProto_toString, 0],
       ['unicode', [RegExpProto_unicodeGetter]],
+      ['unicodeSets', [RegExpProto_unicodeSetsGetter]],
+      surroundingAgent.feature('annex-b')
+        ? ['compile', RegExpProto_compile, 2]
+        : undefined,
     ],
     realmRec.Intrinsics['%Object.prototype%'],
   );
@@ -3,19 +3,141 @@ import { surroundingAgent } from '../engine.mjs';
 import {
   Call,
   F,
+  Get,
+  GetIterator,
   IsCallable,
+  IteratorClose,
+  IteratorStep,
+  IteratorValue,
+  OrdinaryObjectCreate,
   RequireInternalSlot,
+  SameValue,
   SameValueZero,
+  ToBoolean,
+  ToIntegerOrInfinity,
+  ToNumber,
 } from '../abstract-ops/all.mjs';
 import {
   NumberValue,
+  ObjectValue,
   Value,
   wellKnownSymbols,
 } from '../value.mjs';
-import { Q, X } from '../completion.mjs';
+import { NormalCompletion, Q, X } from '../completion.mjs';
 import { bootstrapPrototype } from './bootstrap.mjs';
 import { CreateSetIterator } from './SetIteratorPrototype.mjs';
 
+/** https://tc39.es/ecma262/#sec-getsetrecord */
+function GetSetRecord(obj) {
+  // 1. If obj is not an Object, throw a TypeError exception.
+  if (!(obj instanceof ObjectValue)) {
+    return surroundingAgent.Throw('TypeError', 'NotAnObject', obj);
+  }
+  // 2. Let rawSize be ? Get(obj, "size").
+  const rawSize = Q(Get(obj, Value('size')));
+  // 3. Let numSize be ? ToNumber(rawSize).
+  const numSize = Q(ToNumber(rawSize));
+  // 4. NOTE: If rawSize is undefined, then numSize will be NaN.
+  // 5. If numSize is NaN, throw a TypeError exception.
+  if (numSize.isNaN()) {
+    return surroundingAgent.Throw('TypeError', 'SetLikeSizeNaN', obj);
+  }
+  // 6. Let intSize be ! ToIntegerOrInfinity(numSize).
+  const intSize = X(ToIntegerOrInfinity(numSize));
+  // 7. If intSize < 0, throw a RangeError exception.
+  if (intSize < 0) {
+    return surroundingAgent.Throw('RangeError', 'SetLikeSizeNegative', obj);
+  }
+  // 8. Let has be ? Get(obj, "has").
+  const has = Q(Get(obj, Value('has')));
+  // 9. If IsCallable(has) is false, throw a TypeError exception.
+  if (IsCallable(has) === Value.false) {
+    return surroundingAgent.Throw('TypeError', 'NotAFunction', has);
+  }
+  // 10. Let keys be ? Get(obj, "keys").
+  const keys = Q(Get(obj, Value('keys')));
+  // 11. If IsCallable(keys) is false, throw a TypeError exception.
+  if (IsCallable(keys) === Value.false) {
+    return surroundingAgent.Throw('TypeError', 'NotAFunction', keys);
+  }
+  // 12. Return a new Set Record { [[SetObject]]: obj, [[Size]]: intSize, [[Has]]: has, [[Keys]]: keys }.
+  return {
+    SetObject: obj,
+    Size: intSize,
+    Has: has,
+    Keys: keys,
+  };
+}
+
+/** https://tc39.es/ecma262/#sec-canonicalizekeyedcollectionkey */
+function CanonicalizeKeyedCollectionKey(key) {
+  // 1. If key is -0𝔽, return +0𝔽.
+  if (key instanceof NumberValue && Object.is(key.numberValue(), -0)) {
+    return F(+0);
+  }
+  // 2. Return key.
+  return key;
+}
+
+/** https://tc39.es/ecma262/#sec-setdatahas */
+function SetDataHas(setData, value) {
+  // 1. If SetDataIndex(setData, value) is not-found, return false.
+  if (SetDataIndex(setData, value) === 'not-found') {
+    return Value.false;
+  }
+  // 2. Return true.
+  return Value.true;
+}
+
+/** https://tc39.es/ecma262/#sec-setdataindex */
+function SetDataIndex(setData, value) {
+  // 1. Set value to CanonicalizeKeyedCollectionKey(value).
+  value = CanonicalizeKeyedCollectionKey(value);
+  // 2. Let size be the number of elements in setData.
+  const size = setData.length;
+  // 3. Let index be 0.
+  let index = 0;
+  // 4. Repeat, while index < size,
+  while (index < size) {
+    // a. Let e be setData[index].
+    const e = setData[index];
+    // b. If e is not empty and e is value, then
+    if (e !== undefined && SameValue(e, value) === Value.true) {
+      // i. Return index.
+      return index;
+    }
+    // c. Set index to index + 1.
+    index += 1;
+  }
+  // 5. Return not-found.
+  return 'not-found';
+}
+
+/** https://tc39.es/ecma262/#sec-setdatasize */
+function SetDataSize(setData) {
+  // 1. Let count be 0.
+  let count = 0;
+  // 2. For each element e of setData, do
+  for (const e of setData) {
+    // a. If e is not empty, set count to count + 1.
+    if (e !== undefined) {
+      count += 1;
+    }
+  }
+  // 3. Return count.
+  return count;
+}
+
+// Creates the result object shared by the methods that return a new Set.
+function CreateSetFromSetData(resultSetData) {
+  // Let result be OrdinaryObjectCreate(%Set.prototype%, « [[SetData]] »).
+  const result = OrdinaryObjectCreate(surroundingAgent.intrinsic('%Set.prototype%'), ['SetData']);
+  // Set result.[[SetData]] to resultSetData.
+  result.SetData = resultSetData;
+  // Return result.
+  return result;
+}
+
 /** https://tc39.es/ecma262/#sec-set.prototype.add */
 function SetProto_add([value = Value.undefined], { thisValue }) {
   // 1. Let S be the this value.
@@ -82,6 +204,68 @@ function SetProto_delete([value = Value.undefined], { thisValue }) {
   return Value.false;
 }
 
+/** https://tc39.es/ecma262/#sec-set.prototype.difference */
+function SetProto_difference([other = Value.undefined], { thisValue }) {
+  // 1. Let O be the this value.
+  const O = thisValue;
+  // 2. Perform ? RequireInternalSlot(O, [[SetData]]).
+  Q(RequireInternalSlot(O, 'SetData'));
+  // 3. Let otherRec be ? GetSetRecord(other).
+  const otherRec = Q(GetSetRecord(other));
+  // 4. Let resultSetData be a copy of O.[[SetData]].
+  const resultSetData = [...O.SetData];
+  // 5. If SetDataSize(O.[[SetData]]) ≤ otherRec.[[Size]], then
+  if (SetDataSize(O.SetData) <= otherRec.Size) {
+    // a. Let thisSize be the number of elements in O.[[SetData]].
+    const thisSize = O.SetData.length;
+    // b. Let index be 0.
+    let index = 0;
+    // c. Repeat, while index < thisSize,
+    while (index < thisSize) {
+      // i. Let e be resultSetData[index].
+      const e = resultSetData[index];
+      // ii. If e is not empty, then
+      if (e !== undefined) {
+        // 1. Let inOther be ToBoolean(? Call(otherRec.[[Has]], otherRec.[[SetObject]], « e »)).
+        const inOther = ToBoolean(Q(Call(otherRec.Has, otherRec.SetObject, [e])));
+        // 2. If inOther is true, then
+        if (inOther === Value.true) {
+          // a. Set resultSetData[index] to empty.
+          resultSetData[index] = undefined;
+        }
+      }
+      // iii. Set index to index + 1.
+      index += 1;
+    }
+  } else { // 6. Else,
+    // a. Let keysIter be ? GetIteratorFromMethod(otherRec.[[SetObject]], otherRec.[[Keys]]).
+    const keysIter = Q(GetIterator(otherRec.SetObject, 'sync', otherRec.Keys));
+    // b. Let next be not-started.
+    let next;
+    // c. Repeat, while next is not done,
+    do {
+      // i. Set next to ? IteratorStepValue(keysIter).
+      next = Q(IteratorStep(keysIter));
+      // ii. If next is not done, then
+      if (next !== Value.false) {
+        // 1. Set next to CanonicalizeKeyedCollectionKey(next).
+        const nextValue = CanonicalizeKeyedCollectionKey(Q(IteratorValue(next)));
+        // 2. Let valueIndex be SetDataIndex(resultSetData, next).
+        const valueIndex = SetDataIndex(resultSetData, nextValue);
+        // 3. If valueIndex is not not-found, then
+        if (valueIndex !== 'not-found') {
+          // a. Set resultSetData[valueIndex] to empty.
+          resultSetData[valueIndex] = undefined;
+        }
+      }
+    } while (next !== Value.false);
+  }
+  // 7. Let result be OrdinaryObjectCreate(%Set.prototype%, « [[SetData]] »).
+  // 8. Set result.[[SetData]] to resultSetData.
+  // 9. Return result.
+  return CreateSetFromSetData(resultSetData);
+}
+
 /** https://tc39.es/ecma262/#sec-set.prototype.entries */
 function SetProto_entries(args, { thisValue }) {
   // 1. Let S be the this value.
@@ -133,6 +317,213 @@ function SetProto_has([value = Value.undefined], { thisValue }) {
   return Value.false;
 }
 
+/** https://tc39.es/ecma262/#sec-set.prototype.intersection */
+function SetProto_intersection([other = Value.undefined], { thisValue }) {
+  // 1. Let O be the this value.
+  const O = thisValue;
+  // 2. Perform ? RequireInternalSlot(O, [[SetData]]).
+  Q(RequireInternalSlot(O, 'SetData'));
+  // 3. Let otherRec be ? GetSetRecord(other).
+  const otherRec = Q(GetSetRecord(other));
+  // 4. Let resultSetData be a new empty List.
+  const resultSetData = [];
+  // 5. If SetDataSize(O.[[SetData]]) ≤ otherRec.[[Size]], then
+  if (SetDataSize(O.SetData) <= otherRec.Size) {
+    // a. Let thisSize be the number of elements in O.[[SetData]].
+    let thisSize = O.SetData.length;
+    // b. Let index be 0.
+    let index = 0;
+    // c. Repeat, while index < thisSize,
+    while (index < thisSize) {
+      // i. Let e be O.[[SetData]][index].
+      const e = O.SetData[index];
+      // ii. Set index to index + 1.
+      index += 1;
+      // iii. If e is not empty, then
+      if (e !== undefined) {
+        // 1. Let inOther be ToBoolean(? Call(otherRec.[[Has]], otherRec.[[SetObject]], « e »)).
+        const inOther = ToBoolean(Q(Call(otherRec.Has, otherRec.SetObject, [e])));
+        // 2. If inOther is true, then
+        if (inOther === Value.true) {
+          // a. NOTE: It is possible for earlier calls to otherRec.[[Has]] to remove and re-add an element of O.[[SetData]], which can cause elements to be visited more than once during this iteration.
+          // b. If SetDataHas(resultSetData, e) is false, then
+          if (SetDataHas(resultSetData, e) === Value.false) {
+            // i. Append e to resultSetData.
+            resultSetData.push(e);
+          }
+        }
+        // 3. NOTE: The number of elements in O.[[SetData]] may have increased during execution of otherRec.[[Has]].
+        // 4. Set thisSize to the number of elements in O.[[SetData]].
+        thisSize = O.SetData.length;
+      }
+    }
+  } else { // 6. Else,
+    // a. Let keysIter be ? GetIteratorFromMethod(otherRec.[[SetObject]], otherRec.[[Keys]]).
+    const keysIter = Q(GetIterator(otherRec.SetObject, 'sync', otherRec.Keys));
+    // b. Let next be not-started.
+    let next;
+    // c. Repeat, while next is not done,
+    do {
+      // i. Set next to ? IteratorStepValue(keysIter).
+      next = Q(IteratorStep(keysIter));
+      // ii. If next is not done, then
+      if (next !== Value.false) {
+        // 1. Set next to CanonicalizeKeyedCollectionKey(next).
+        const nextValue = CanonicalizeKeyedCollectionKey(Q(IteratorValue(next)));
+        // 2. Let inThis be SetDataHas(O.[[SetData]], next).
+        const inThis = SetDataHas(O.SetData, nextValue);
+        // 3. If inThis is true, then
+        if (inThis === Value.true) {
+          // a. NOTE: Because other is an arbitrary object, it is possible for its "keys" iterator to produce the same value more than once.
+          // b. If SetDataHas(resultSetData, next) is false, then
+          if (SetDataHas(resultSetData, nextValue) === Value.false) {
+            // i. Append next to resultSetData.
+            resultSetData.push(nextValue);
+          }
+        }
+      }
+    } while (next !== Value.false);
+  }
+  // 7. Let result be OrdinaryObjectCreate(%Set.prototype%, « [[SetData]] »).
+  // 8. Set result.[[SetData]] to resultSetData.
+  // 9. Return result.
+  return CreateSetFromSetData(resultSetData);
+}
+
+/** https://tc39.es/ecma262/#sec-set.prototype.isdisjointfrom */
+function SetProto_isDisjointFrom([other = Value.undefined], { thisValue }) {
+  // 1. Let O be the this value.
+  const O = thisValue;
+  // 2. Perform ? RequireInternalSlot(O, [[SetData]]).
+  Q(RequireInternalSlot(O, 'SetData'));
+  // 3. Let otherRec be ? GetSetRecord(other).
+  const otherRec = Q(GetSetRecord(other));
+  // 4. If SetDataSize(O.[[SetData]]) ≤ otherRec.[[Size]], then
+  if (SetDataSize(O.SetData) <= otherRec.Size) {
+    // a. Let thisSize be the number of elements in O.[[SetData]].
+    let thisSize = O.SetData.length;
+    // b. Let index be 0.
+    let index = 0;
+    // c. Repeat, while index < thisSize,
+    while (index < thisSize) {
+      // i. Let e be O.[[SetData]][index].
+      const e = O.SetData[index];
+      // ii. Set index to index + 1.
+      index += 1;
+      // iii. If e is not empty, then
+      if (e !== undefined) {
+        // 1. Let inOther be ToBoolean(? Call(otherRec.[[Has]], otherRec.[[SetObject]], « e »)).
+        const inOther = ToBoolean(Q(Call(otherRec.Has, otherRec.SetObject, [e])));
+        // 2. If inOther is true, return false.
+        if (inOther === Value.true) {
+          return Value.false;
+        }
+        // 3. NOTE: The number of elements in O.[[SetData]] may have increased during execution of otherRec.[[Has]].
+        // 4. Set thisSize to the number of elements in O.[[SetData]].
+        thisSize = O.SetData.length;
+      }
+    }
+  } else { // 5. Else,
+    // a. Let keysIter be ? GetIteratorFromMethod(otherRec.[[SetObject]], otherRec.[[Keys]]).
+    const keysIter = Q(GetIterator(otherRec.SetObject, 'sync', otherRec.Keys));
+    // b. Let next be not-started.
+    let next;
+    // c. Repeat, while next is not done,
+    do {
+      // i. Set next to ? IteratorStepValue(keysIter).
+      next = Q(IteratorStep(keysIter));
+      // ii. If next is not done, then
+      if (next !== Value.false) {
+        const nextValue = Q(IteratorValue(next));
+        // 1. If SetDataHas(O.[[SetData]], next) is true, then
+        if (SetDataHas(O.SetData, nextValue) === Value.true) {
+          // a. Perform ? IteratorClose(keysIter, NormalCompletion(unused)).
+          Q(IteratorClose(keysIter, NormalCompletion(undefined)));
+          // b. Return false.
+          return Value.false;
+        }
+      }
+    } while (next !== Value.false);
+  }
+  // 6. Return true.
+  return Value.true;
+}
+
+/** https://tc39.es/ecma262/#sec-set.prototype.issubsetof */
+function SetProto_isSubsetOf([other = Value.undefined], { thisValue }) {
+  // 1. Let O be the this value.
+  const O = thisValue;
+  // 2. Perform ? RequireInternalSlot(O, [[SetData]]).
+  Q(RequireInternalSlot(O, 'SetData'));
+  // 3. Let otherRec be ? GetSetRecord(other).
+  const otherRec = Q(GetSetRecord(other));
+  // 4. If SetDataSize(O.[[SetData]]) > otherRec.[[Size]], return false.
+  if (SetDataSize(O.SetData) > otherRec.Size) {
+    return Value.false;
+  }
+  // 5. Let thisSize be the number of elements in O.[[SetData]].
+  let thisSize = O.SetData.length;
+  // 6. Let index be 0.
+  let index = 0;
+  // 7. Repeat, while index < thisSize,
+  while (index < thisSize) {
+    // a. Let e be O.[[SetData]][index].
+    const e = O.SetData[index];
+    // b. Set index to index + 1.
+    index += 1;
+    // c. If e is not empty, then
+    if (e !== undefined) {
+      // i. Let inOther be ToBoolean(? Call(otherRec.[[Has]], otherRec.[[SetObject]], « e »)).
+      const inOther = ToBoolean(Q(Call(otherRec.Has, otherRec.SetObject, [e])));
+      // ii. If inOther is false, return false.
+      if (inOther === Value.false) {
+        return Value.false;
+      }
+      // iii. NOTE: The number of elements in O.[[SetData]] may have increased during execution of otherRec.[[Has]].
+      // iv. Set thisSize to the number of elements in O.[[SetData]].
+      thisSize = O.SetData.length;
+    }
+  }
+  // 8. Return true.
+  return Value.true;
+}
+
+/** https://tc39.es/ecma262/#sec-set.prototype.issupersetof */
+function SetProto_isSupersetOf([other = Value.undefined], { thisValue }) {
+  // 1. Let O be the this value.
+  const O = thisValue;
+  // 2. Perform ? RequireInternalSlot(O, [[SetData]]).
+  Q(RequireInternalSlot(O, 'SetData'));
+  // 3. Let otherRec be ? GetSetRecord(other).
+  const otherRec = Q(GetSetRecord(other));
+  // 4. If SetDataSize(O.[[SetData]]) < otherRec.[[Size]], return false.
+  if (SetDataSize(O.SetData) < otherRec.Size) {
+    return Value.false;
+  }
+  // 5. Let keysIter be ? GetIteratorFromMethod(otherRec.[[SetObject]], otherRec.[[Keys]]).
+  const keysIter = Q(GetIterator(otherRec.SetObject, 'sync', otherRec.Keys));
+  // 6. Let next be not-started.
+  let next;
+  // 7. Repeat, while next is not done,
+  do {
+    // a. Set next to ? IteratorStepValue(keysIter).
+    next = Q(IteratorStep(keysIter));
+    // b. If next is not done, then
+    if (next !== Value.false) {
+      const nextValue = Q(IteratorValue(next));
+      // i. If SetDataHas(O.[[SetData]], next) is false, then
+      if (SetDataHas(O.SetData, nextValue) === Value.false) {
+        // 1. Perform ? IteratorClose(keysIter, NormalCompletion(unused)).
+        Q(IteratorClose(keysIter, NormalCompletion(undefined)));
+        // 2. Return false.
+        return Value.false;
+      }
+    }
+  } while (next !== Value.false);
+  // 8. Return true.
+  return Value.true;
+}
+
 /** https://tc39.es/ecma262/#sec-get-set.prototype.size */
 function SetProto_sizeGetter(args, { thisValue }) {
   // 1. Let S be the this value.
@@ -154,6 +545,87 @@ function SetProto_sizeGetter(args, { thisValue }) {
   return F(count);
 }
 
+/** https://tc39.es/ecma262/#sec-set.prototype.symmetricdifference */
+function SetProto_symmetricDifference([other = Value.undefined], { thisValue }) {
+  // 1. Let O be the this value.
+  const O = thisValue;
+  // 2. Perform ? RequireInternalSlot(O, [[SetData]]).
+  Q(RequireInternalSlot(O, 'SetData'));
+  // 3. Let otherRec be ? GetSetRecord(other).
+  const otherRec = Q(GetSetRecord(other));
+  // 4. Let keysIter be ? GetIteratorFromMethod(otherRec.[[SetObject]], otherRec.[[Keys]]).
+  const keysIter = Q(GetIterator(otherRec.SetObject, 'sync', otherRec.Keys));
+  // 5. Let resultSetData be a copy of O.[[SetData]].
+  const resultSetData = [...O.SetData];
+  // 6. Let next be not-started.
+  let next;
+  // 7. Repeat, while next is not done,
+  do {
+    // a. Set next to ? IteratorStepValue(keysIter).
+    next = Q(IteratorStep(keysIter));
+    // b. If next is not done, then
+    if (next !== Value.false) {
+      // i. Set next to CanonicalizeKeyedCollectionKey(next).
+      const nextValue = CanonicalizeKeyedCollectionKey(Q(IteratorValue(next)));
+      // ii. Let resultIndex be SetDataIndex(resultSetData, next).
+      const resultIndex = SetDataIndex(resultSetData, nextValue);
+      // iii. If resultIndex is not-found, let alreadyInResult be false. Otherwise let alreadyInResult be true.
+      const alreadyInResult = resultIndex !== 'not-found';
+      // iv. If SetDataHas(O.[[SetData]], next) is true, then
+      if (SetDataHas(O.SetData, nextValue) === Value.true) {
+        // 1. If alreadyInResult is true, set resultSetData[resultIndex] to empty.
+        if (alreadyInResult) {
+          resultSetData[resultIndex] = undefined;
+        }
+      } else { // v. Else,
+        // 1. If alreadyInResult is false, append next to resultSetData.
+        if (!alreadyInResult) {
+          resultSetData.push(nextValue);
+        }
+      }
+    }
+  } while (next !== Value.false);
+  // 8. Let result be OrdinaryObjectCreate(%Set.prototype%, « [[SetData]] »).
+  // 9. Set result.[[SetData]] to resultSetData.
+  // 10. Return result.
+  return CreateSetFromSetData(resultSetData);
+}
+
+/** https://tc39.es/ecma262/#sec-set.prototype.union */
+function SetProto_union([other = Value.undefined], { thisValue }) {
+  // 1. Let O be the this value.
+  const O = thisValue;
+  // 2. Perform ? RequireInternalSlot(O, [[SetData]]).
+  Q(RequireInternalSlot(O, 'SetData'));
+  // 3. Let otherRec be ? GetSetRecord(other).
+  const otherRec = Q(GetSetRecord(other));
+  // 4. Let keysIter be ? GetIteratorFromMethod(otherRec.[[SetObject]], otherRec.[[Keys]]).
+  const keysIter = Q(GetIterator(otherRec.SetObject, 'sync', otherRec.Keys));
+  // 5. Let resultSetData be a copy of O.[[SetData]].
+  const resultSetData = [...O.SetData];
+  // 6. Let next be not-started.
+  let next;
+  // 7. Repeat, while next is not done,
+  do {
+    // a. Set next to ? IteratorStepValue(keysIter).
+    next = Q(IteratorStep(keysIter));
+    // b. If next is not done, then
+    if (next !== Value.false) {
+      // i. Set next to CanonicalizeKeyedCollectionKey(next).
+      const nextValue = CanonicalizeKeyedCollectionKey(Q(IteratorValue(next)));
+      // ii. If SetDataHas(resultSetData, next) is false, then
+      if (SetDataHas(resultSetData, nextValue) === Value.false) {
+        // 1. Append next to resultSetData.
+        resultSetData.push(nextValue);
+      }
+    }
+  } while (next !== Value.false);
+  // 8. Let result be OrdinaryObjectCreate(%Set.prototype%, « [[SetData]] »).
+  // 9. Set result.[[SetData]] to resultSetData.
+  // 10. Return result.
+  return CreateSetFromSetData(resultSetData);
+}
+
 /** https://tc39.es/ecma262/#sec-set.prototype.values */
 function SetProto_values(args, { thisValue }) {
   // 1. Let S be the this value.
@@ -167,10 +639,17 @@ export function bootstrapSetPrototype(realmRec) {
     ['add', SetProto_add, 1],
     ['clear', SetProto_clear, 0],
     ['delete', SetProto_delete, 1],
+    ['difference', SetProto_difference, 1],
     ['entries', SetProto_entries, 0],
     ['forEach', SetProto_forEach, 1],
     ['has', SetProto_has, 1],
+    ['intersection', SetProto_intersection, 1],
+    ['isDisjointFrom', SetProto_isDisjointFrom, 1],
+    ['isSubsetOf', SetProto_isSubsetOf, 1],
+    ['isSupersetOf', SetProto_isSupersetOf, 1],
     ['size', [SetProto_sizeGetter]],
+    ['symmetricDifference', SetProto_symmetricDifference, 1],
+    ['union', SetProto_union, 1],
     ['values', SetProto_values, 0],
   ], realmRec.Intrinsics['%Object.prototype%'], 'Set');
 
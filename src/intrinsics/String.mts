@@ -1,14 +1,24 @@
 // @ts-nocheck
 import { surroundingAgent } from '../engine.mjs';
 import {
+  Descriptor,
+  JSStringValue,
+  ObjectValue,
   SymbolValue,
   Value,
+  wellKnownSymbols,
 } from '../value.mjs';
 import {
   Assert,
+  Call,
+  CreateArrayFromList,
+  CreateBuiltinFunction,
+  DefinePropertyOrThrow,
   Get,
   GetPrototypeFromConstructor,
+  IsCallable,
   IsIntegralNumber,
+  SetIntegrityLevel,
   StringCreate,
   SymbolDescriptiveString,
   LengthOfArrayLike,
@@ -18,7 +28,8 @@ import {
   ToUint16,
   F,
 } from '../abstract-ops/all.mjs';
-import { UTF16EncodeCodePoint } from '../static-semantics/all.mjs';
+import { TV, UTF16EncodeCodePoint } from '../static-semantics/all.mjs';
+import { isWhitespace } from '../parser/Lexer.mjs';
 import { Q, X } from '../completion.mjs';
 import { bootstrapConstructor } from './bootstrap.mjs';
 
@@ -110,11 +121,235 @@ function String_raw([template = Value.undefined, ...substitutions]) {
   }
 }
 
+// Splits str into a List of Records { [[String]], [[Newline]] }, one per line.
+function SplitTemplateIntoBlockLines(str) {
+  const lines = [];
+  let start = 0;
+  for (let i = 0; i < str.length; i += 1) {
+    if (str[i] === '\n' || str[i] === '\r') {
+      const end = i;
+      if (str[i] === '\r' && str[i + 1] === '\n') {
+        i += 1;
+      }
+      lines.push({ String: str.slice(start, end), Newline: str.slice(end, i + 1) });
+      start = i + 1;
+    }
+  }
+  lines.push({ String: str.slice(start), Newline: '' });
+  return lines;
+}
+
+function IsWhitespaceOnly(str) {
+  return [...str].every((c) => isWhitespace(c));
+}
+
+function LeadingWhitespace(str) {
+  let i = 0;
+  while (i < str.length && isWhitespace(str[i])) {
+    i += 1;
+  }
+  return str.slice(0, i);
+}
+
+/** https://tc39.es/proposal-string-dedent/#sec-dedentstringsarray */
+function DedentStringsArray(templateStrings) {
+  const blocks = templateStrings.map((str) => SplitTemplateIntoBlockLines(str));
+  const lastBlockIndex = blocks.length - 1;
+  // A line ending in a substitution is never considered empty, since the substitution is part of its content.
+  const endsWithSubstitution = (blockIndex, lineIndex) => blockIndex !== lastBlockIndex && lineIndex === blocks[blockIndex].length - 1;
+  // 1. The opening line must be followed by a newline and contain only whitespace.
+  const firstBlock = blocks[0];
+  if (firstBlock.length === 1 || endsWithSubstitution(0, 0) || !IsWhitespaceOnly(firstBlock[0].String)) {
+    return surroundingAgent.Throw('TypeError', 'StringDedentOpeningLine');
+  }
+  // 2. The closing line must be preceded by a newline and contain only whitespace.
+  const lastBlock = blocks[lastBlockIndex];
+  if (lastBlock.length === 1 || !IsWhitespaceOnly(lastBlock[lastBlock.length - 1].String)) {
+    return surroundingAgent.Throw('TypeError', 'StringDedentClosingLine');
+  }
+  // 3. Remove the opening line, the closing line, and the newline that precedes the closing line.
+  firstBlock[0] = { String: '', Newline: '' };
+  lastBlock[lastBlock.length - 1].String = '';
+  lastBlock[lastBlock.length - 2].Newline = '';
+  // 4. Empty every other line that contains only whitespace, and determine the
+  //    longest common leading whitespace of the remaining lines. Whitespace is
+  //    compared literally, so a tab never matches a space.
+  let common;
+  blocks.forEach((lines, blockIndex) => {
+    // The first line of each block after the first continues a line that precedes a substitution.
+    for (let lineIndex = 1; lineIndex < lines.length; lineIndex += 1) {
+      const line = lines[lineIndex];
+      if (!endsWithSubstitution(blockIndex, lineIndex) && IsWhitespaceOnly(line.String)) {
+        line.String = '';
+      } else {
+        const indentation = LeadingWhitespace(line.String);
+        if (common === undefined) {
+          common = indentation;
+        } else {
+          let i = 0;
+          while (i < common.length && i < indentation.length && common[i] === indentation[i]) {
+            i += 1;
+          }
+          common = common.slice(0, i);
+        }
+      }
+    }
+  });
+  // 5. Remove the common indentation from the start of every non-empty line.
+  return blocks.map((lines) => lines.map((line, lineIndex) => {
+    if (lineIndex !== 0 && line.String !== '') {
+      return line.String.slice(common.length) + line.Newline;
+    }
+    return line.String + line.Newline;
+  }).join(''));
+}
+
+/** https://tc39.es/proposal-string-dedent/#sec-dedenttemplatestringsarray */
+function DedentTemplateStringsArray(template) {
+  if (!(template instanceof ObjectValue)) {
+    return surroundingAgent.Throw('TypeError', 'NotAnObject', template);
+  }
+  // 1. Let realm be the current Realm Record.
+  const realm = surroundingAgent.currentRealmRecord;
+  // 2. Let dedentRegistry be realm.[[DedentMap]].
+  const dedentRegistry = realm.DedentMap;
+  // 3. Let rawInput be ? Get(template, "raw").
+  const rawInput = Q(Get(template, Value('raw')));
+  if (!(rawInput instanceof ObjectValue)) {
+    return surroundingAgent.Throw('TypeError', 'NotAnObject', rawInput);
+  }
+  // 4. For each element e of dedentRegistry, do
+  for (const e of dedentRegistry) {
+    // a. If e.[[Raw]] is rawInput, return e.[[Dedented]].
+    if (e.Raw === rawInput) {
+      return e.Dedented;
+    }
+  }
+  // 5. Let length be ? LengthOfArrayLike(rawInput).
+  const length = Q(LengthOfArrayLike(rawInput));
+  if (length === 0) {
+    return surroundingAgent.Throw('TypeError', 'StringDedentOpeningLine');
+  }
+  // 6. Let rawStrings be a new empty List.
+  const rawStrings = [];
+  // 7. For each integer index such that 0 ≤ index < length, do
+  for (let index = 0; index < length; index += 1) {
+    // a. Let segment be ? Get(rawInput, ! ToString(𝔽(index))).
+    const segment = Q(Get(rawInput, X(ToString(F(index)))));
+    // b. If segment is not a String, throw a TypeError exception.
+    if (!(segment instanceof JSStringValue)) {
+      return surroundingAgent.Throw('TypeError', 'StringDedentRawSegment', segment);
+    }
+    // c. Append segment to rawStrings.
+    rawStrings.push(segment.stringValue());
+  }
+  // 8. Let dedentedRaw be ? DedentStringsArray(rawStrings).
+  const dedentedRaw = Q(DedentStringsArray(rawStrings));
+  // 9. Let cookedArr be CreateArrayFromList of the template values of each element of dedentedRaw.
+  const cookedArr = X(CreateArrayFromList(dedentedRaw.map((str) => {
+    const cooked = TV(str);
+    return cooked === undefined ? Value.undefined : Value(cooked);
+  })));
+  // 10. Let rawArr be CreateArrayFromList(dedentedRaw).
+  const rawArr = X(CreateArrayFromList(dedentedRaw.map((str) => Value(str))));
+  // 11. Perform ! SetIntegrityLevel(rawArr, frozen).
+  X(SetIntegrityLevel(rawArr, 'frozen'));
+  // 12. Perform ! DefinePropertyOrThrow(cookedArr, "raw", PropertyDescriptor { [[Value]]: rawArr, [[Writable]]: false, [[Enumerable]]: false, [[Configurable]]: false }).
+  X(DefinePropertyOrThrow(cookedArr, Value('raw'), Descriptor({
+    Value: rawArr,
+    Writable: Value.false,
+    Enumerable: Value.false,
+    Configurable: Value.false,
+  })));
+  // 13. Perform ! SetIntegrityLevel(cookedArr, frozen).
+  X(SetIntegrityLevel(cookedArr, 'frozen'));
+  // 14. Append the Record { [[Raw]]: rawInput, [[Dedented]]: cookedArr } to dedentRegistry.
+  dedentRegistry.push({ Raw: rawInput, Dedented: cookedArr });
+  // 15. Return cookedArr.
+  return cookedArr;
+}
+
+// Concatenates the cooked strings of the dedented template with the substitutions,
+// like String.raw does for raw strings.
+function CookTemplateStringsArray(template, substitutions) {
+  const literalSegments = Q(LengthOfArrayLike(template));
+  const stringElements = [];
+  for (let nextIndex = 0; nextIndex < literalSegments; nextIndex += 1) {
+    const nextSeg = Q(Get(template, X(ToString(F(nextIndex)))));
+    if (nextSeg === Value.undefined) {
+      return surroundingAgent.Throw('TypeError', 'StringDedentInvalidEscape');
+    }
+    stringElements.push(Q(ToString(nextSeg)).stringValue());
+    if (nextIndex + 1 < literalSegments && nextIndex < substitutions.length) {
+      stringElements.push(Q(ToString(substitutions[nextIndex])).stringValue());
+    }
+  }
+  return Value(stringElements.join(''));
+}
+
+/** https://tc39.es/proposal-string-dedent/#sec-string.dedent */
+function String_dedent([templateOrFn = Value.undefined, ...substitutions]) {
+  // Not part of the proposal, which only accepts template objects and tags.
+  // A plain String is accepted so that templating code can dedent text it builds
+  // at runtime. It is dedented as a single block, without interpreting escapes.
+  if (templateOrFn instanceof JSStringValue) {
+    const [dedented] = Q(DedentStringsArray([templateOrFn.stringValue()]));
+    return Value(dedented);
+  }
+  // 1. If templateOrFn is not an Object, throw a TypeError exception.
+  if (!(templateOrFn instanceof ObjectValue)) {
+    return surroundingAgent.Throw('TypeError', 'NotAnObject', templateOrFn);
+  }
+  // 2. If IsCallable(templateOrFn) is true, then
+  if (IsCallable(templateOrFn) === Value.true) {
+    // a. Let tag be templateOrFn.
+    const tag = templateOrFn;
+    // b. Let closure be a new Abstract Closure with parameters (template, ...substitutions) that captures tag and performs the following steps when called:
+    const closure = ([template = Value.undefined, ...closureSubstitutions], { thisValue }) => {
+      // i. Let dedented be ? DedentTemplateStringsArray(template).
+      const dedented = Q(DedentTemplateStringsArray(template));
+      // ii. Return ? Call(tag, this value, « dedented, ...substitutions »).
+      return Q(Call(tag, thisValue, [dedented, ...closureSubstitutions]));
+    };
+    // c. Return CreateBuiltinFunction(closure, 1, "", « »).
+    return CreateBuiltinFunction(closure, 1, Value(''), []);
+  }
+  // 3. Let template be templateOrFn.
+  const template = templateOrFn;
+  // 4. Let dedented be ? DedentTemplateStringsArray(template).
+  const dedented = Q(DedentTemplateStringsArray(template));
+  // 5. Return ? CookTemplateStringsArray(dedented, substitutions).
+  return Q(CookTemplateStringsArray(dedented, substitutions));
+}
+
+/** https://tc39.es/proposal-pattern-matching/#sec-string-%symbol.custommatcher% */
+function String_customMatcher([subject = Value.undefined, hint = Value.undefined]) {
+  let value;
+  // 1. If subject is a String, let value be subject.
+  if (subject instanceof JSStringValue) {
+    value = subject;
+  } else if (subject instanceof ObjectValue && 'StringData' in subject) { // 2. Else if subject is an Object with a [[StringData]] internal slot, let value be subject.[[StringData]].
+    value = subject.StringData;
+  } else { // 3. Else, return false.
+    return Value.false;
+  }
+  // 4. If hint is "boolean", return true.
+  if (hint instanceof JSStringValue && hint.stringValue() === 'boolean') {
+    return Value.true;
+  }
+  // 5. Return CreateArrayFromList(« value »).
+  return CreateArrayFromList([value]);
+}
+
 export function bootstrapString(realmRec) {
   const stringConstructor = bootstrapConstructor(realmRec, StringConstructor, 'String', 1, realmRec.Intrinsics['%String.prototype%'], [
     ['fromCharCode', String_fromCharCode, 1],
     ['fromCodePoint', String_fromCodePoint, 1],
     ['raw', String_raw, 1],
+    surroundingAgent.feature('string-dedent') ? ['dedent', String_dedent, 1] : undefined,
+    surroundingAgent.feature('pattern-matching')
+      ? [wellKnownSymbols.customMatcher, String_customMatcher, 2]
+      : undefined,
   ]);
 
   realmRec.Intrinsics['%String%'] = stringConstructor;
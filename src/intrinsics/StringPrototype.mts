@@ -779,6 +779,157 @@ function StringProto_at([index = Value.undefined], { thisValue }) {
   return Value(S.stringValue()[k]);
 }
 
+/** https://tc39.es/ecma262/#sec-string.prototype.substr */
+function StringProto_substr([start = Value.undefined, length = Value.undefined], { thisValue }) {
+  // 1. Let O be ? RequireObjectCoercible(this value).
+  const O = Q(RequireObjectCoercible(thisValue));
+  // 2. Let S be ? ToString(O).
+  const S = Q(ToString(O)).stringValue();
+  // 3. Let size be the length of S.
+  const size = S.length;
+  // 4. Let intStart be ? ToIntegerOrInfinity(start).
+  let intStart = Q(ToIntegerOrInfinity(start));
+  // 5. If intStart = -∞, set intStart to 0.
+  if (intStart === -Infinity) {
+    intStart = 0;
+  } else if (intStart < 0) { // 6. Else if intStart < 0, set intStart to max(size + intStart, 0).
+    intStart = Math.max(size + intStart, 0);
+  } else { // 7. Else, set intStart to min(intStart, size).
+    intStart = Math.min(intStart, size);
+  }
+  // 8. If length is undefined, let intLength be size; otherwise let intLength be ? ToIntegerOrInfinity(length).
+  let intLength;
+  if (length === Value.undefined) {
+    intLength = size;
+  } else {
+    intLength = Q(ToIntegerOrInfinity(length));
+  }
+  // 9. Set intLength to the result of clamping intLength between 0 and size.
+  intLength = Math.min(Math.max(intLength, 0), size);
+  // 10. Let intEnd be min(intStart + intLength, size).
+  const intEnd = Math.min(intStart + intLength, size);
+  // 11. Return the substring of S from intStart to intEnd.
+  return Value(S.slice(intStart, intEnd));
+}
+
+/** https://tc39.es/ecma262/#sec-createhtml */
+function CreateHTML(string, tag, attribute, value) {
+  // 1. Let str be ? RequireObjectCoercible(string).
+  const str = Q(RequireObjectCoercible(string));
+  // 2. Let S be ? ToString(str).
+  const S = Q(ToString(str)).stringValue();
+  // 3. Let p1 be the string-concatenation of "<" and tag.
+  let p1 = `<${tag}`;
+  // 4. If attribute is not the empty String, then
+  if (attribute !== '') {
+    // a. Let V be ? ToString(value).
+    const V = Q(ToString(value)).stringValue();
+    // b. Let escapedV be the String value that is the same as V except that each occurrence of the code unit 0x0022 (QUOTATION MARK) in V has been replaced with the six code unit sequence "&quot;".
+    const escapedV = V.replaceAll('"', '&quot;');
+    // c. Set p1 to the string-concatenation of p1, the code unit 0x0020 (SPACE), attribute, the code unit 0x003D (EQUALS SIGN), the code unit 0x0022 (QUOTATION MARK), escapedV, and the code unit 0x0022 (QUOTATION MARK).
+    p1 = `${p1} ${attribute}="${escapedV}"`;
+  }
+  // 5. Let p2 be the string-concatenation of p1 and ">".
+  const p2 = `${p1}>`;
+  // 6. Let p3 be the string-concatenation of p2 and S.
+  const p3 = `${p2}${S}`;
+  // 7. Let p4 be the string-concatenation of p3, "</", tag, and ">".
+  const p4 = `${p3}</${tag}>`;
+  // 8. Return p4.
+  return Value(p4);
+}
+
+/** https://tc39.es/ecma262/#sec-string.prototype.anchor */
+function StringProto_anchor([name = Value.undefined], { thisValue }) {
+  // 1. Let S be the this value.
+  // 2. Return ? CreateHTML(S, "a", "name", name).
+  return Q(CreateHTML(thisValue, 'a', 'name', name));
+}
+
+/** https://tc39.es/ecma262/#sec-string.prototype.big */
+function StringProto_big(args, { thisValue }) {
+  // 1. Let S be the this value.
+  // 2. Return ? CreateHTML(S, "big", "", "").
+  return Q(CreateHTML(thisValue, 'big', '', ''));
+}
+
+/** https://tc39.es/ecma262/#sec-string.prototype.blink */
+function StringProto_blink(args, { thisValue }) {
+  // 1. Let S be the this value.
+  // 2. Return ? CreateHTML(S, "blink", "", "").
+  return Q(CreateHTML(thisValue, 'blink', '', ''));
+}
+
+/** https://tc39.es/ecma262/#sec-string.prototype.bold */
+function StringProto_bold(args, { thisValue }) {
+  // 1. Let S be the this value.
+  // 2. Return ? CreateHTML(S, "b", "", "").
+  return Q(CreateHTML(thisValue, 'b', '', ''));
+}
+
+/** https://tc39.es/ecma262/#sec-string.prototype.fixed */
+function StringProto_fixed(args, { thisValue }) {
+  // 1. Let S be the this value.
+  // 2. Return ? CreateHTML(S, "tt", "", "").
+  return Q(CreateHTML(thisValue, 'tt', '', ''));
+}
+
+/** https://tc39.es/ecma262/#sec-string.prototype.fontcolor */
+function StringProto_fontcolor([color = Value.undefined], { thisValue }) {
+  // 1. Let S be the this value.
+  // 2. Return ? CreateHTML(S, "font", "color", color).
+  return Q(CreateHTML(thisValue, 'font', 'color', color));
+}
+
+/** https://tc39.es/ecma262/#sec-string.prototype.fontsize */
+function StringProto_fontsize([size = Value.undefined], { thisValue }) {
+  // 1. Let S be the this value.
+  // 2. Return ? CreateHTML(S, "font", "size", size).
+  return Q(CreateHTML(thisValue, 'font', 'size', size));
+}
+
+/** https://tc39.es/ecma262/#sec-string.prototype.italics */
+function StringProto_italics(args, { thisValue }) {
+  // 1. Let S be the this value.
+  // 2. Return ? CreateHTML(S, "i", "", "").
+  return Q(CreateHTML(thisValue, 'i', '', ''));
+}
+
+/** https://tc39.es/ecma262/#sec-string.prototype.link */
+function StringProto_link([url = Value.undefined], { thisValue }) {
+  // 1. Let S be the this value.
+  // 2. Return ? CreateHTML(S, "a", "href", url).
+  return Q(CreateHTML(thisValue, 'a', 'href', url));
+}
+
+/** https://tc39.es/ecma262/#sec-string.prototype.small */
+function StringProto_small(args, { thisValue }) {
+  // 1. Let S be the this value.
+  // 2. Return ? CreateHTML(S, "small", "", "").
+  return Q(CreateHTML(thisValue, 'small', '', ''));
+}
+
+/** https://tc39.es/ecma262/#sec-string.prototype.strike */
+function StringProto_strike(args, { thisValue }) {
+  // 1. Let S be the this value.
+  // 2. Return ? CreateHTML(S, "strike", "", "").
+  return Q(CreateHTML(thisValue, 'strike', '', ''));
+}
+
+/** https://tc39.es/ecma262/#sec-string.prototype.sub */
+function StringProto_sub(args, { thisValue }) {
+  // 1. Let S be the this value.
+  // 2. Return ? CreateHTML(S, "sub", "", "").
+  return Q(CreateHTML(thisValue, 'sub', '', ''));
+}
+
+/** https://tc39.es/ecma262/#sec-string.prototype.sup */
+function StringProto_sup(args, { thisValue }) {
+  // 1. Let S be the this value.
+  // 2. Return ? CreateHTML(S, "sup", "", "").
+  return Q(CreateHTML(thisValue, 'sup', '', ''));
+}
+
 export function bootstrapStringPrototype(realmRec) {
   const proto = StringCreate(Value(''), realmRec.Intrinsics['%Object.prototype%']);
 
@@ -822,7 +973,30 @@ export function bootstrapStringPrototype(realmRec) {
     ['trimStart', StringProto_trimStart, 0],
     ['valueOf', StringProto_valueOf, 0],
     [wellKnownSymbols.iterator, StringProto_iterator, 0],
+    ...surroundingAgent.feature('annex-b') ? [
+      ['substr', StringProto_substr, 2],
+      ['anchor', StringProto_anchor, 1],
+      ['big', StringProto_big, 0],
+      ['blink', StringProto_blink, 0],
+      ['bold', StringProto_bold, 0],
+      ['fixed', StringProto_fixed, 0],
+      ['fontcolor', StringProto_fontcolor, 1],
+      ['fontsize', StringProto_fontsize, 1],
+      ['italics', StringProto_italics, 0],
+      ['link', StringProto_link, 1],
+      ['small', StringProto_small, 0],
+      ['strike', StringProto_strike, 0],
+      ['sub', StringProto_sub, 0],
+      ['sup', StringProto_sup, 0],
+    ] : [],
   ]);
 
+  if (surroundingAgent.feature('annex-b')) {
+    // https://tc39.es/ecma262/#sec-string.prototype.trimleft
+    X(proto.DefineOwnProperty(Value('trimLeft'), X(proto.GetOwnProperty(Value('trimStart')))));
+    // https://tc39.es/ecma262/#sec-string.prototype.trimright
+    X(proto.DefineOwnProperty(Value('trimRight'), X(proto.GetOwnProperty(Value('trimEnd')))));
+  }
+
   realmRec.Intrinsics['%String.prototype%'] = proto;
 }
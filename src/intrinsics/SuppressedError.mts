@@ -0,0 +1,60 @@
+// @ts-nocheck
+import { surroundingAgent } from '../engine.mjs';
+import { Value, Descriptor } from '../value.mjs';
+import {
+  CreateMethodProperty,
+  ToString,
+  OrdinaryCreateFromConstructor,
+  DefinePropertyOrThrow,
+} from '../abstract-ops/all.mjs';
+import { Q, X } from '../completion.mjs';
+import { captureStack } from '../helpers.mjs';
+import { bootstrapConstructor } from './bootstrap.mjs';
+
+/** https://tc39.es/proposal-explicit-resource-management/#sec-suppressederror */
+function SuppressedErrorConstructor([error = Value.undefined, suppressed = Value.undefined, message = Value.undefined], { NewTarget }) {
+  // 1. If NewTarget is undefined, let newTarget be the active function object; else let newTarget be NewTarget.
+  let newTarget;
+  if (NewTarget === Value.undefined) {
+    newTarget = surroundingAgent.activeFunctionObject;
+  } else {
+    newTarget = NewTarget;
+  }
+  // 2. Let O be ? OrdinaryCreateFromConstructor(newTarget, "%SuppressedError.prototype%", « [[ErrorData]] »).
+  const O = Q(OrdinaryCreateFromConstructor(newTarget, '%SuppressedError.prototype%', [
+    'ErrorData',
+  ]));
+  // 3. If message is not undefined, then
+  if (message !== Value.undefined) {
+    // a. Let messageString be ? ToString(message).
+    const messageString = Q(ToString(message));
+    // b. Perform CreateNonEnumerableDataPropertyOrThrow(O, "message", messageString).
+    X(CreateMethodProperty(O, Value('message'), messageString));
+  }
+  // 4. Perform CreateNonEnumerableDataPropertyOrThrow(O, "error", error).
+  X(DefinePropertyOrThrow(O, Value('error'), Descriptor({
+    Configurable: Value.true,
+    Enumerable: Value.false,
+    Writable: Value.true,
+    Value: error,
+  })));
+  // 5. Perform CreateNonEnumerableDataPropertyOrThrow(O, "suppressed", suppressed).
+  X(DefinePropertyOrThrow(O, Value('suppressed'), Descriptor({
+    Configurable: Value.true,
+    Enumerable: Value.false,
+    Writable: Value.true,
+    Value: suppressed,
+  })));
+
+  // NON-SPEC
+  X(captureStack(O));
+
+  // 6. Return O.
+  return O;
+}
+
+export function bootstrapSuppressedError(realmRec) {
+  const c = bootstrapConstructor(realmRec, SuppressedErrorConstructor, 'SuppressedError', 3, realmRec.Intrinsics['%SuppressedError.prototype%'], []);
+  c.Prototype = realmRec.Intrinsics['%Error%'];
+  realmRec.Intrinsics['%SuppressedError%'] = c;
+}
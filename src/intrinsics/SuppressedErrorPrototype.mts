@@ -0,0 +1,12 @@
+// @ts-nocheck
+import { Value } from '../value.mjs';
+import { bootstrapPrototype } from './bootstrap.mjs';
+
+export function bootstrapSuppressedErrorPrototype(realmRec) {
+  const proto = bootstrapPrototype(realmRec, [
+    ['name', Value('SuppressedError')],
+    ['message', Value('')],
+  ], realmRec.Intrinsics['%Error.prototype%']);
+
+  realmRec.Intrinsics['%SuppressedError.prototype%'] = proto;
+}
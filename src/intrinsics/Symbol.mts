@@ -1,6 +1,8 @@
 // @ts-nocheck
 import {
   Descriptor,
+  JSStringValue,
+  ObjectValue,
   SymbolValue,
   Value,
   wellKnownSymbols,
@@ -9,6 +11,7 @@ import {
   surroundingAgent,
 } from '../engine.mjs';
 import {
+  CreateArrayFromList,
   SameValue,
   ToString,
 } from '../abstract-ops/all.mjs';
@@ -72,13 +75,41 @@ function Symbol_keyFor([sym = Value.undefined]) {
   return Value.undefined;
 }
 
+/** https://tc39.es/proposal-pattern-matching/#sec-symbol-%symbol.custommatcher% */
+function Symbol_customMatcher([subject = Value.undefined, hint = Value.undefined]) {
+  let value;
+  // 1. If subject is a Symbol, let value be subject.
+  if (subject instanceof SymbolValue) {
+    value = subject;
+  } else if (subject instanceof ObjectValue && 'SymbolData' in subject) { // 2. Else if subject is an Object with a [[SymbolData]] internal slot, let value be subject.[[SymbolData]].
+    value = subject.SymbolData;
+  } else { // 3. Else, return false.
+    return Value.false;
+  }
+  // 4. If hint is "boolean", return true.
+  if (hint instanceof JSStringValue && hint.stringValue() === 'boolean') {
+    return Value.true;
+  }
+  // 5. Return CreateArrayFromList(« value »).
+  return CreateArrayFromList([value]);
+}
+
 export function bootstrapSymbol(realmRec) {
   const symbolConstructor = bootstrapConstructor(realmRec, SymbolConstructor, 'Symbol', 0, realmRec.Intrinsics['%Symbol.prototype%'], [
     ['for', Symbol_for, 1],
     ['keyFor', Symbol_keyFor, 1],
+    surroundingAgent.feature('pattern-matching')
+      ? [wellKnownSymbols.customMatcher, Symbol_customMatcher, 2]
+      : undefined,
   ]);
 
   for (const [name, sym] of Object.entries(wellKnownSymbols)) {
+    if ((name === 'asyncDispose' || name === 'dispose') && !surroundingAgent.feature('explicit-resource-management')) {
+      continue;
+    }
+    if (name === 'customMatcher' && !surroundingAgent.feature('pattern-matching')) {
+      continue;
+    }
     symbolConstructor.DefineOwnProperty(Value(name), Descriptor({
       Value: sym,
       Writable: Value.false,
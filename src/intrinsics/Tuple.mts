@@ -0,0 +1,147 @@
+// @ts-nocheck
+import { surroundingAgent } from '../engine.mjs';
+import { TupleValue, Value, wellKnownSymbols } from '../value.mjs';
+import {
+  AddValueToTupleSequenceList,
+  Call,
+  Get,
+  GetIterator,
+  GetMethod,
+  IsCallable,
+  IteratorStep,
+  IteratorValue,
+  LengthOfArrayLike,
+  ToObject,
+  ToString,
+  F,
+} from '../abstract-ops/all.mjs';
+import { IfAbruptCloseIterator, Q, X } from '../completion.mjs';
+import { bootstrapConstructor } from './bootstrap.mjs';
+
+/** https://tc39.es/proposal-record-tuple/#sec-tuple-constructor-tuple */
+function TupleConstructor(items, { NewTarget }) {
+  // 1. If NewTarget is not undefined, throw a TypeError exception.
+  if (NewTarget !== Value.undefined) {
+    return surroundingAgent.Throw('TypeError', 'NotAConstructor', this);
+  }
+  // 2. Let sequence be a new empty List.
+  const sequence = [];
+  // 3. For each element item of items, do
+  for (const item of items) {
+    // a. Perform ? AddValueToTupleSequenceList(sequence, item).
+    Q(AddValueToTupleSequenceList(sequence, item));
+  }
+  // 4. Return a new Tuple value whose [[Sequence]] is sequence.
+  return new TupleValue(sequence);
+}
+
+/** https://tc39.es/proposal-record-tuple/#sec-tuple.from */
+function Tuple_from([items = Value.undefined, mapFn = Value.undefined, thisArg = Value.undefined]) {
+  let mapping;
+  // 1. If mapFn is undefined, let mapping be false.
+  if (mapFn === Value.undefined) {
+    mapping = false;
+  } else { // 2. Else,
+    // a. If IsCallable(mapFn) is false, throw a TypeError exception.
+    if (IsCallable(mapFn) === Value.false) {
+      return surroundingAgent.Throw('TypeError', 'NotAFunction', mapFn);
+    }
+    // b. Let mapping be true.
+    mapping = true;
+  }
+  // 3. Let list be a new empty List.
+  const list = [];
+  // 4. Let k be 0.
+  let k = 0;
+  // 5. Let usingIterator be ? GetMethod(items, @@iterator).
+  const usingIterator = Q(GetMethod(items, wellKnownSymbols.iterator));
+  // 6. If usingIterator is not undefined, then
+  if (usingIterator !== Value.undefined) {
+    // a. Let iteratorRecord be ? GetIterator(items, sync, usingIterator).
+    const iteratorRecord = Q(GetIterator(items, 'sync', usingIterator));
+    // b. Repeat,
+    while (true) {
+      // i. Let next be ? IteratorStep(iteratorRecord).
+      const next = Q(IteratorStep(iteratorRecord));
+      // ii. If next is false, return a new Tuple value whose [[Sequence]] is list.
+      if (next === Value.false) {
+        return new TupleValue(list);
+      }
+      // iii. Let nextValue be ? IteratorValue(next).
+      const nextValue = Q(IteratorValue(next));
+      let mappedValue;
+      // iv. If mapping is true, then
+      if (mapping) {
+        // 1. Let mappedValue be Completion(Call(mapFn, thisArg, « nextValue, 𝔽(k) »)).
+        mappedValue = Call(mapFn, thisArg, [nextValue, F(k)]);
+        // 2. IfAbruptCloseIterator(mappedValue, iteratorRecord).
+        IfAbruptCloseIterator(mappedValue, iteratorRecord);
+      } else { // v. Else, let mappedValue be nextValue.
+        mappedValue = nextValue;
+      }
+      // vi. Let addStatus be Completion(AddValueToTupleSequenceList(list, mappedValue)).
+      const addStatus = AddValueToTupleSequenceList(list, mappedValue);
+      // vii. IfAbruptCloseIterator(addStatus, iteratorRecord).
+      IfAbruptCloseIterator(addStatus, iteratorRecord);
+      // viii. Set k to k + 1.
+      k += 1;
+    }
+  }
+  // 7. NOTE: items is not an Iterable so assume it is an array-like object.
+  // 8. Let arrayLike be ! ToObject(items).
+  const arrayLike = X(ToObject(items));
+  // 9. Let len be ? LengthOfArrayLike(arrayLike).
+  const len = Q(LengthOfArrayLike(arrayLike));
+  // 10. Repeat, while k < len,
+  while (k < len) {
+    // a. Let Pk be ! ToString(𝔽(k)).
+    const Pk = X(ToString(F(k)));
+    // b. Let kValue be ? Get(arrayLike, Pk).
+    const kValue = Q(Get(arrayLike, Pk));
+    let mappedValue;
+    // c. If mapping is true, then
+    if (mapping) {
+      // i. Let mappedValue be ? Call(mapFn, thisArg, « kValue, 𝔽(k) »).
+      mappedValue = Q(Call(mapFn, thisArg, [kValue, F(k)]));
+    } else { // d. Else, let mappedValue be kValue.
+      mappedValue = kValue;
+    }
+    // e. Perform ? AddValueToTupleSequenceList(list, mappedValue).
+    Q(AddValueToTupleSequenceList(list, mappedValue));
+    // f. Set k to k + 1.
+    k += 1;
+  }
+  // 11. Return a new Tuple value whose [[Sequence]] is list.
+  return new TupleValue(list);
+}
+
+/** https://tc39.es/proposal-record-tuple/#sec-tuple.istuple */
+function Tuple_isTuple([arg = Value.undefined]) {
+  // 1. If Type(arg) is Tuple, return true.
+  // 2. Return false.
+  return arg instanceof TupleValue ? Value.true : Value.false;
+}
+
+/** https://tc39.es/proposal-record-tuple/#sec-tuple.of */
+function Tuple_of(items) {
+  // 1. Let items be the List of arguments passed to this function.
+  // 2. Let list be a new empty List.
+  const list = [];
+  // 3. For each element item of items, do
+  for (const item of items) {
+    // a. Perform ? AddValueToTupleSequenceList(list, item).
+    Q(AddValueToTupleSequenceList(list, item));
+  }
+  // 4. Return a new Tuple value whose [[Sequence]] is list.
+  return new TupleValue(list);
+}
+
+export function bootstrapTuple(realmRec) {
+  const tupleConstructor = bootstrapConstructor(realmRec, TupleConstructor, 'Tuple', 0, realmRec.Intrinsics['%Tuple.prototype%'], [
+    ['from', Tuple_from, 1],
+    ['isTuple', Tuple_isTuple, 1],
+    ['of', Tuple_of, 0],
+  ]);
+
+  realmRec.Intrinsics['%Tuple%'] = tupleConstructor;
+}
@@ -0,0 +1,810 @@
+// @ts-nocheck
+import { surroundingAgent } from '../engine.mjs';
+import {
+  ObjectValue,
+  TupleValue,
+  UndefinedValue,
+  Value,
+  wellKnownSymbols,
+} from '../value.mjs';
+import {
+  AddValueToTupleSequenceList,
+  Assert,
+  Call,
+  CreateArrayIterator,
+  Get,
+  HasProperty,
+  Invoke,
+  IsCallable,
+  IsConcatSpreadable,
+  LengthOfArrayLike,
+  SameValueZero,
+  SortCompare,
+  StrictEqualityComparison,
+  ToBoolean,
+  ToIntegerOrInfinity,
+  ToObject,
+  ToString,
+  F,
+} from '../abstract-ops/all.mjs';
+import { Q, X } from '../completion.mjs';
+import { bootstrapPrototype } from './bootstrap.mjs';
+import { ArrayProto_sortList } from './ArrayPrototypeShared.mjs';
+
+/** https://tc39.es/proposal-record-tuple/#sec-thistuplevalue */
+function thisTupleValue(value) {
+  // 1. If Type(value) is Tuple, return value.
+  if (value instanceof TupleValue) {
+    return value;
+  }
+  // 2. If Type(value) is Object and value has a [[TupleData]] internal slot, then
+  if (value instanceof ObjectValue && 'TupleData' in value) {
+    // a. Let t be value.[[TupleData]].
+    const t = value.TupleData;
+    // b. Assert: Type(t) is Tuple.
+    Assert(t instanceof TupleValue);
+    // c. Return t.
+    return t;
+  }
+  // 3. Throw a TypeError exception.
+  return surroundingAgent.Throw('TypeError', 'NotATypeObject', 'Tuple', value);
+}
+
+// Converts a relative index argument as used by slice, toSpliced and friends
+// into an absolute index clamped to [0, len].
+function ResolveRelativeIndex(relativeIndex, len) {
+  if (relativeIndex === -Infinity) {
+    return 0;
+  } else if (relativeIndex < 0) {
+    return Math.max(len + relativeIndex, 0);
+  }
+  return Math.min(relativeIndex, len);
+}
+
+/** https://tc39.es/proposal-record-tuple/#sec-get-tuple.prototype.length */
+function TupleProto_lengthGetter(args, { thisValue }) {
+  // 1. Let T be ? thisTupleValue(this value).
+  const T = Q(thisTupleValue(thisValue));
+  // 2. Let size be the length of T.[[Sequence]].
+  // 3. Return 𝔽(size).
+  return F(T.Sequence.length);
+}
+
+/** https://tc39.es/proposal-record-tuple/#sec-tuple.prototype.at */
+function TupleProto_at([index = Value.undefined], { thisValue }) {
+  // 1. Let T be ? thisTupleValue(this value).
+  const T = Q(thisTupleValue(thisValue));
+  // 2. Let list be T.[[Sequence]].
+  const list = T.Sequence;
+  // 3. Let len be the length of list.
+  const len = list.length;
+  // 4. Let relativeIndex be ? ToIntegerOrInfinity(index).
+  const relativeIndex = Q(ToIntegerOrInfinity(index));
+  // 5. If relativeIndex ≥ 0, let k be relativeIndex; otherwise let k be len + relativeIndex.
+  const k = relativeIndex >= 0 ? relativeIndex : len + relativeIndex;
+  // 6. If k < 0 or k ≥ len, return undefined.
+  if (k < 0 || k >= len) {
+    return Value.undefined;
+  }
+  // 7. Return list[k].
+  return list[k];
+}
+
+/** https://tc39.es/proposal-record-tuple/#sec-tuple.prototype.concat */
+function TupleProto_concat(args, { thisValue }) {
+  // 1. Let T be ? thisTupleValue(this value).
+  const T = Q(thisTupleValue(thisValue));
+  // 2. Let list be a new empty List.
+  const list = [];
+  // 3. Let items be a List whose first element is T and whose subsequent elements are, in left to right order, the arguments that were passed to this function invocation.
+  const items = [T, ...args];
+  // 4. For each element E of items, do
+  for (const E of items) {
+    // a. If Type(E) is Tuple, then
+    if (E instanceof TupleValue) {
+      // i. For each element subElement of E.[[Sequence]], append subElement to list.
+      list.push(...E.Sequence);
+      continue;
+    }
+    // b. Let spreadable be ? IsConcatSpreadable(E).
+    const spreadable = Q(IsConcatSpreadable(E));
+    // c. If spreadable is true, then
+    if (spreadable === Value.true) {
+      // i. Let len be ? LengthOfArrayLike(E).
+      const len = Q(LengthOfArrayLike(E));
+      // ii. Let k be 0.
+      let k = 0;
+      // iii. Repeat, while k < len,
+      while (k < len) {
+        // 1. Let P be ! ToString(𝔽(k)).
+        const P = X(ToString(F(k)));
+        // 2. Let exists be ? HasProperty(E, P).
+        const exists = Q(HasProperty(E, P));
+        // 3. If exists is true, then
+        if (exists === Value.true) {
+          // a. Let subElement be ? Get(E, P).
+          const subElement = Q(Get(E, P));
+          // b. Perform ? AddValueToTupleSequenceList(list, subElement).
+          Q(AddValueToTupleSequenceList(list, subElement));
+        }
+        // 4. Set k to k + 1.
+        k += 1;
+      }
+    } else { // d. Else,
+      // i. Perform ? AddValueToTupleSequenceList(list, E).
+      Q(AddValueToTupleSequenceList(list, E));
+    }
+  }
+  // 5. Return a new Tuple value whose [[Sequence]] is list.
+  return new TupleValue(list);
+}
+
+/** https://tc39.es/proposal-record-tuple/#sec-tuple.prototype.entries */
+function TupleProto_entries(args, { thisValue }) {
+  // 1. Let T be ? thisTupleValue(this value).
+  const T = Q(thisTupleValue(thisValue));
+  // 2. Let O be ! ToObject(T).
+  const O = X(ToObject(T));
+  // 3. Return CreateArrayIterator(O, key+value).
+  return CreateArrayIterator(O, 'key+value');
+}
+
+/** https://tc39.es/proposal-record-tuple/#sec-tuple.prototype.every */
+function TupleProto_every([callbackfn = Value.undefined, thisArg = Value.undefined], { thisValue }) {
+  // 1. Let T be ? thisTupleValue(this value).
+  const T = Q(thisTupleValue(thisValue));
+  // 2. Let list be T.[[Sequence]].
+  const list = T.Sequence;
+  // 3. If IsCallable(callbackfn) is false, throw a TypeError exception.
+  if (IsCallable(callbackfn) === Value.false) {
+    return surroundingAgent.Throw('TypeError', 'NotAFunction', callbackfn);
+  }
+  // 4. For each index k of list, do
+  for (let k = 0; k < list.length; k += 1) {
+    // a. Let testResult be ! ToBoolean(? Call(callbackfn, thisArg, « list[k], 𝔽(k), T »)).
+    const testResult = ToBoolean(Q(Call(callbackfn, thisArg, [list[k], F(k), T])));
+    // b. If testResult is false, return false.
+    if (testResult === Value.false) {
+      return Value.false;
+    }
+  }
+  // 5. Return true.
+  return Value.true;
+}
+
+/** https://tc39.es/proposal-record-tuple/#sec-tuple.prototype.filter */
+function TupleProto_filter([callbackfn = Value.undefined, thisArg = Value.undefined], { thisValue }) {
+  // 1. Let T be ? thisTupleValue(this value).
+  const T = Q(thisTupleValue(thisValue));
+  // 2. Let list be T.[[Sequence]].
+  const list = T.Sequence;
+  // 3. If IsCallable(callbackfn) is false, throw a TypeError exception.
+  if (IsCallable(callbackfn) === Value.false) {
+    return surroundingAgent.Throw('TypeError', 'NotAFunction', callbackfn);
+  }
+  // 4. Let newList be a new empty List.
+  const newList = [];
+  // 5. For each index k of list, do
+  for (let k = 0; k < list.length; k += 1) {
+    // a. Let kValue be list[k].
+    const kValue = list[k];
+    // b. Let selected be ! ToBoolean(? Call(callbackfn, thisArg, « kValue, 𝔽(k), T »)).
+    const selected = ToBoolean(Q(Call(callbackfn, thisArg, [kValue, F(k), T])));
+    // c. If selected is true, append kValue to newList.
+    if (selected === Value.true) {
+      newList.push(kValue);
+    }
+  }
+  // 6. Return a new Tuple value whose [[Sequence]] is newList.
+  return new TupleValue(newList);
+}
+
+function FindViaPredicate(T, direction, predicate, thisArg) {
+  const list = T.Sequence;
+  if (IsCallable(predicate) === Value.false) {
+    return surroundingAgent.Throw('TypeError', 'NotAFunction', predicate);
+  }
+  const len = list.length;
+  for (let i = 0; i < len; i += 1) {
+    const k = direction === 'ascending' ? i : len - 1 - i;
+    const kValue = list[k];
+    const testResult = ToBoolean(Q(Call(predicate, thisArg, [kValue, F(k), T])));
+    if (testResult === Value.true) {
+      return { Index: F(k), Value: kValue };
+    }
+  }
+  return { Index: F(-1), Value: Value.undefined };
+}
+
+/** https://tc39.es/proposal-record-tuple/#sec-tuple.prototype.find */
+function TupleProto_find([predicate = Value.undefined, thisArg = Value.undefined], { thisValue }) {
+  // 1. Let T be ? thisTupleValue(this value).
+  const T = Q(thisTupleValue(thisValue));
+  // 2. Let findRec be ? FindViaPredicate(T, ascending, predicate, thisArg).
+  const findRec = Q(FindViaPredicate(T, 'ascending', predicate, thisArg));
+  // 3. Return findRec.[[Value]].
+  return findRec.Value;
+}
+
+/** https://tc39.es/proposal-record-tuple/#sec-tuple.prototype.findindex */
+function TupleProto_findIndex([predicate = Value.undefined, thisArg = Value.undefined], { thisValue }) {
+  // 1. Let T be ? thisTupleValue(this value).
+  const T = Q(thisTupleValue(thisValue));
+  // 2. Let findRec be ? FindViaPredicate(T, ascending, predicate, thisArg).
+  const findRec = Q(FindViaPredicate(T, 'ascending', predicate, thisArg));
+  // 3. Return findRec.[[Index]].
+  return findRec.Index;
+}
+
+/** https://tc39.es/proposal-record-tuple/#sec-tuple.prototype.findlast */
+function TupleProto_findLast([predicate = Value.undefined, thisArg = Value.undefined], { thisValue }) {
+  // 1. Let T be ? thisTupleValue(this value).
+  const T = Q(thisTupleValue(thisValue));
+  // 2. Let findRec be ? FindViaPredicate(T, descending, predicate, thisArg).
+  const findRec = Q(FindViaPredicate(T, 'descending', predicate, thisArg));
+  // 3. Return findRec.[[Value]].
+  return findRec.Value;
+}
+
+/** https://tc39.es/proposal-record-tuple/#sec-tuple.prototype.findlastindex */
+function TupleProto_findLastIndex([predicate = Value.undefined, thisArg = Value.undefined], { thisValue }) {
+  // 1. Let T be ? thisTupleValue(this value).
+  const T = Q(thisTupleValue(thisValue));
+  // 2. Let findRec be ? FindViaPredicate(T, descending, predicate, thisArg).
+  const findRec = Q(FindViaPredicate(T, 'descending', predicate, thisArg));
+  // 3. Return findRec.[[Index]].
+  return findRec.Index;
+}
+
+/** https://tc39.es/proposal-record-tuple/#sec-flattenintotuple */
+function FlattenIntoTuple(target, source, depth, mapperFunction, thisArg) {
+  // 1. Assert: If mapperFunction is present, then IsCallable(mapperFunction) is true, thisArg is present, and depth is 1.
+  Assert(mapperFunction === undefined || (IsCallable(mapperFunction) === Value.true && thisArg !== undefined && depth === 1));
+  // 2. For each index sourceIndex of source.[[Sequence]], do
+  for (let sourceIndex = 0; sourceIndex < source.Sequence.length; sourceIndex += 1) {
+    // a. Let element be source.[[Sequence]][sourceIndex].
+    let element = source.Sequence[sourceIndex];
+    // b. If mapperFunction is present, then
+    if (mapperFunction !== undefined) {
+      // i. Set element to ? Call(mapperFunction, thisArg, « element, 𝔽(sourceIndex), source »).
+      element = Q(Call(mapperFunction, thisArg, [element, F(sourceIndex), source]));
+    }
+    // c. If depth > 0 and Type(element) is Tuple, then
+    if (depth > 0 && element instanceof TupleValue) {
+      // i. Perform ? FlattenIntoTuple(target, element, depth - 1).
+      Q(FlattenIntoTuple(target, element, depth - 1));
+    } else { // d. Else,
+      // i. Perform ? AddValueToTupleSequenceList(target, element).
+      Q(AddValueToTupleSequenceList(target, element));
+    }
+  }
+  // 3. Return target.
+  return target;
+}
+
+/** https://tc39.es/proposal-record-tuple/#sec-tuple.prototype.flat */
+function TupleProto_flat([depth = Value.undefined], { thisValue }) {
+  // 1. Let T be ? thisTupleValue(this value).
+  const T = Q(thisTupleValue(thisValue));
+  // 2. Let depthNum be 1.
+  let depthNum = 1;
+  // 3. If depth is not undefined, then
+  if (depth !== Value.undefined) {
+    // a. Set depthNum to ? ToIntegerOrInfinity(depth).
+    depthNum = Q(ToIntegerOrInfinity(depth));
+  }
+  // 4. Let flat be a new empty List.
+  const flat = [];
+  // 5. Perform ? FlattenIntoTuple(flat, T, depthNum).
+  Q(FlattenIntoTuple(flat, T, depthNum));
+  // 6. Return a new Tuple value whose [[Sequence]] is flat.
+  return new TupleValue(flat);
+}
+
+/** https://tc39.es/proposal-record-tuple/#sec-tuple.prototype.flatmap */
+function TupleProto_flatMap([mapperFunction = Value.undefined, thisArg = Value.undefined], { thisValue }) {
+  // 1. Let T be ? thisTupleValue(this value).
+  const T = Q(thisTupleValue(thisValue));
+  // 2. If IsCallable(mapperFunction) is false, throw a TypeError exception.
+  if (IsCallable(mapperFunction) === Value.false) {
+    return surroundingAgent.Throw('TypeError', 'NotAFunction', mapperFunction);
+  }
+  // 3. Let flat be a new empty List.
+  const flat = [];
+  // 4. Perform ? FlattenIntoTuple(flat, T, 1, mapperFunction, thisArg).
+  Q(FlattenIntoTuple(flat, T, 1, mapperFunction, thisArg));
+  // 5. Return a new Tuple value whose [[Sequence]] is flat.
+  return new TupleValue(flat);
+}
+
+/** https://tc39.es/proposal-record-tuple/#sec-tuple.prototype.foreach */
+function TupleProto_forEach([callbackfn = Value.undefined, thisArg = Value.undefined], { thisValue }) {
+  // 1. Let T be ? thisTupleValue(this value).
+  const T = Q(thisTupleValue(thisValue));
+  // 2. Let list be T.[[Sequence]].
+  const list = T.Sequence;
+  // 3. If IsCallable(callbackfn) is false, throw a TypeError exception.
+  if (IsCallable(callbackfn) === Value.false) {
+    return surroundingAgent.Throw('TypeError', 'NotAFunction', callbackfn);
+  }
+  // 4. For each index k of list, do
+  for (let k = 0; k < list.length; k += 1) {
+    // a. Perform ? Call(callbackfn, thisArg, « list[k], 𝔽(k), T »).
+    Q(Call(callbackfn, thisArg, [list[k], F(k), T]));
+  }
+  // 5. Return undefined.
+  return Value.undefined;
+}
+
+/** https://tc39.es/proposal-record-tuple/#sec-tuple.prototype.includes */
+function TupleProto_includes([searchElement = Value.undefined, fromIndex = Value.undefined], { thisValue }) {
+  // 1. Let T be ? thisTupleValue(this value).
+  const T = Q(thisTupleValue(thisValue));
+  // 2. Let list be T.[[Sequence]].
+  const list = T.Sequence;
+  // 3. Let len be the length of list.
+  const len = list.length;
+  // 4. If len is 0, return false.
+  if (len === 0) {
+    return Value.false;
+  }
+  // 5. Let n be ? ToIntegerOrInfinity(fromIndex).
+  const n = Q(ToIntegerOrInfinity(fromIndex));
+  // 6. Let k be the result of clamping n relative to len.
+  let k = n >= 0 ? n : Math.max(len + n, 0);
+  // 7. Repeat, while k < len,
+  while (k < len) {
+    // a. If SameValueZero(searchElement, list[k]) is true, return true.
+    if (SameValueZero(searchElement, list[k]) === Value.true) {
+      return Value.true;
+    }
+    // b. Set k to k + 1.
+    k += 1;
+  }
+  // 8. Return false.
+  return Value.false;
+}
+
+/** https://tc39.es/proposal-record-tuple/#sec-tuple.prototype.indexof */
+function TupleProto_indexOf([searchElement = Value.undefined, fromIndex = Value.undefined], { thisValue }) {
+  // 1. Let T be ? thisTupleValue(this value).
+  const T = Q(thisTupleValue(thisValue));
+  // 2. Let list be T.[[Sequence]].
+  const list = T.Sequence;
+  // 3. Let len be the length of list.
+  const len = list.length;
+  // 4. If len is 0, return -1𝔽.
+  if (len === 0) {
+    return F(-1);
+  }
+  // 5. Let n be ? ToIntegerOrInfinity(fromIndex).
+  const n = Q(ToIntegerOrInfinity(fromIndex));
+  // 6. Let k be the result of clamping n relative to len.
+  let k = n >= 0 ? n : Math.max(len + n, 0);
+  // 7. Repeat, while k < len,
+  while (k < len) {
+    // a. If IsStrictlyEqual(searchElement, list[k]) is true, return 𝔽(k).
+    if (StrictEqualityComparison(searchElement, list[k]) === Value.true) {
+      return F(k);
+    }
+    // b. Set k to k + 1.
+    k += 1;
+  }
+  // 8. Return -1𝔽.
+  return F(-1);
+}
+
+/** https://tc39.es/proposal-record-tuple/#sec-tuple.prototype.join */
+function TupleProto_join([separator = Value.undefined], { thisValue }) {
+  // 1. Let T be ? thisTupleValue(this value).
+  const T = Q(thisTupleValue(thisValue));
+  // 2. Let list be T.[[Sequence]].
+  const list = T.Sequence;
+  // 3. If separator is undefined, let sep be the single-element String ",".
+  // 4. Else, let sep be ? ToString(separator).
+  let sep;
+  if (separator instanceof UndefinedValue) {
+    sep = ',';
+  } else {
+    sep = Q(ToString(separator)).stringValue();
+  }
+  // 5. Let R be the empty String.
+  let R = '';
+  // 6. For each index k of list, do
+  for (let k = 0; k < list.length; k += 1) {
+    // a. If k > 0, set R to the string-concatenation of R and sep.
+    if (k > 0) {
+      R = `${R}${sep}`;
+    }
+    // b. Let element be list[k].
+    const element = list[k];
+    // c. If element is either undefined or null, let next be the empty String; otherwise, let next be ? ToString(element).
+    let next;
+    if (element === Value.undefined || element === Value.null) {
+      next = '';
+    } else {
+      next = Q(ToString(element)).stringValue();
+    }
+    // d. Set R to the string-concatenation of R and next.
+    R = `${R}${next}`;
+  }
+  // 7. Return R.
+  return Value(R);
+}
+
+/** https://tc39.es/proposal-record-tuple/#sec-tuple.prototype.keys */
+function TupleProto_keys(args, { thisValue }) {
+  // 1. Let T be ? thisTupleValue(this value).
+  const T = Q(thisTupleValue(thisValue));
+  // 2. Let O be ! ToObject(T).
+  const O = X(ToObject(T));
+  // 3. Return CreateArrayIterator(O, key).
+  return CreateArrayIterator(O, 'key');
+}
+
+/** https://tc39.es/proposal-record-tuple/#sec-tuple.prototype.lastindexof */
+function TupleProto_lastIndexOf([searchElement = Value.undefined, fromIndex], { thisValue }) {
+  // 1. Let T be ? thisTupleValue(this value).
+  const T = Q(thisTupleValue(thisValue));
+  // 2. Let list be T.[[Sequence]].
+  const list = T.Sequence;
+  // 3. Let len be the length of list.
+  const len = list.length;
+  // 4. If len is 0, return -1𝔽.
+  if (len === 0) {
+    return F(-1);
+  }
+  let n;
+  // 5. If fromIndex is present, let n be ? ToIntegerOrInfinity(fromIndex); else let n be len - 1.
+  if (fromIndex !== undefined) {
+    n = Q(ToIntegerOrInfinity(fromIndex));
+  } else {
+    n = len - 1;
+  }
+  // 6. If n = -∞, return -1𝔽.
+  if (n === -Infinity) {
+    return F(-1);
+  }
+  // 7. If n ≥ 0, let k be min(n, len - 1); else let k be len + n.
+  let k = n >= 0 ? Math.min(n, len - 1) : len + n;
+  // 8. Repeat, while k ≥ 0,
+  while (k >= 0) {
+    // a. If IsStrictlyEqual(searchElement, list[k]) is true, return 𝔽(k).
+    if (StrictEqualityComparison(searchElement, list[k]) === Value.true) {
+      return F(k);
+    }
+    // b. Set k to k - 1.
+    k -= 1;
+  }
+  // 9. Return -1𝔽.
+  return F(-1);
+}
+
+/** https://tc39.es/proposal-record-tuple/#sec-tuple.prototype.map */
+function TupleProto_map([callbackfn = Value.undefined, thisArg = Value.undefined], { thisValue }) {
+  // 1. Let T be ? thisTupleValue(this value).
+  const T = Q(thisTupleValue(thisValue));
+  // 2. Let list be T.[[Sequence]].
+  const list = T.Sequence;
+  // 3. If IsCallable(callbackfn) is false, throw a TypeError exception.
+  if (IsCallable(callbackfn) === Value.false) {
+    return surroundingAgent.Throw('TypeError', 'NotAFunction', callbackfn);
+  }
+  // 4. Let newList be a new empty List.
+  const newList = [];
+  // 5. For each index k of list, do
+  for (let k = 0; k < list.length; k += 1) {
+    // a. Let mappedValue be ? Call(callbackfn, thisArg, « list[k], 𝔽(k), T »).
+    const mappedValue = Q(Call(callbackfn, thisArg, [list[k], F(k), T]));
+    // b. Perform ? AddValueToTupleSequenceList(newList, mappedValue).
+    Q(AddValueToTupleSequenceList(newList, mappedValue));
+  }
+  // 6. Return a new Tuple value whose [[Sequence]] is newList.
+  return new TupleValue(newList);
+}
+
+/** https://tc39.es/proposal-record-tuple/#sec-tuple.prototype.reduce */
+function TupleProto_reduce([callbackfn = Value.undefined, initialValue], { thisValue }) {
+  // 1. Let T be ? thisTupleValue(this value).
+  const T = Q(thisTupleValue(thisValue));
+  // 2. Let list be T.[[Sequence]].
+  const list = T.Sequence;
+  // 3. If IsCallable(callbackfn) is false, throw a TypeError exception.
+  if (IsCallable(callbackfn) === Value.false) {
+    return surroundingAgent.Throw('TypeError', 'NotAFunction', callbackfn);
+  }
+  // 4. If list is empty and initialValue is not present, throw a TypeError exception.
+  if (list.length === 0 && initialValue === undefined) {
+    return surroundingAgent.Throw('TypeError', 'TupleReduceEmpty');
+  }
+  let k = 0;
+  let accumulator;
+  // 5. If initialValue is present, let accumulator be initialValue.
+  if (initialValue !== undefined) {
+    accumulator = initialValue;
+  } else { // 6. Else, let accumulator be list[0] and let k be 1.
+    accumulator = list[0];
+    k = 1;
+  }
+  // 7. Repeat, while k < the length of list,
+  while (k < list.length) {
+    // a. Set accumulator to ? Call(callbackfn, undefined, « accumulator, list[k], 𝔽(k), T »).
+    accumulator = Q(Call(callbackfn, Value.undefined, [accumulator, list[k], F(k), T]));
+    // b. Set k to k + 1.
+    k += 1;
+  }
+  // 8. Return accumulator.
+  return accumulator;
+}
+
+/** https://tc39.es/proposal-record-tuple/#sec-tuple.prototype.reduceright */
+function TupleProto_reduceRight([callbackfn = Value.undefined, initialValue], { thisValue }) {
+  // 1. Let T be ? thisTupleValue(this value).
+  const T = Q(thisTupleValue(thisValue));
+  // 2. Let list be T.[[Sequence]].
+  const list = T.Sequence;
+  // 3. If IsCallable(callbackfn) is false, throw a TypeError exception.
+  if (IsCallable(callbackfn) === Value.false) {
+    return surroundingAgent.Throw('TypeError', 'NotAFunction', callbackfn);
+  }
+  // 4. If list is empty and initialValue is not present, throw a TypeError exception.
+  if (list.length === 0 && initialValue === undefined) {
+    return surroundingAgent.Throw('TypeError', 'TupleReduceEmpty');
+  }
+  let k = list.length - 1;
+  let accumulator;
+  // 5. If initialValue is present, let accumulator be initialValue.
+  if (initialValue !== undefined) {
+    accumulator = initialValue;
+  } else { // 6. Else, let accumulator be the last element of list and let k be the length of list - 2.
+    accumulator = list[k];
+    k -= 1;
+  }
+  // 7. Repeat, while k ≥ 0,
+  while (k >= 0) {
+    // a. Set accumulator to ? Call(callbackfn, undefined, « accumulator, list[k], 𝔽(k), T »).
+    accumulator = Q(Call(callbackfn, Value.undefined, [accumulator, list[k], F(k), T]));
+    // b. Set k to k - 1.
+    k -= 1;
+  }
+  // 8. Return accumulator.
+  return accumulator;
+}
+
+/** https://tc39.es/proposal-record-tuple/#sec-tuple.prototype.slice */
+function TupleProto_slice([start = Value.undefined, end = Value.undefined], { thisValue }) {
+  // 1. Let T be ? thisTupleValue(this value).
+  const T = Q(thisTupleValue(thisValue));
+  // 2. Let list be T.[[Sequence]].
+  const list = T.Sequence;
+  // 3. Let len be the length of list.
+  const len = list.length;
+  // 4. Let relativeStart be ? ToIntegerOrInfinity(start).
+  const relativeStart = Q(ToIntegerOrInfinity(start));
+  // 5. Let k be the result of clamping relativeStart relative to len.
+  const k = ResolveRelativeIndex(relativeStart, len);
+  let relativeEnd;
+  // 6. If end is undefined, let relativeEnd be len; else let relativeEnd be ? ToIntegerOrInfinity(end).
+  if (end === Value.undefined) {
+    relativeEnd = len;
+  } else {
+    relativeEnd = Q(ToIntegerOrInfinity(end));
+  }
+  // 7. Let final be the result of clamping relativeEnd relative to len.
+  const final = ResolveRelativeIndex(relativeEnd, len);
+  // 8. Let newList be the elements of list from index k up to but not including index final.
+  const newList = list.slice(k, Math.max(final, k));
+  // 9. Return a new Tuple value whose [[Sequence]] is newList.
+  return new TupleValue(newList);
+}
+
+/** https://tc39.es/proposal-record-tuple/#sec-tuple.prototype.some */
+function TupleProto_some([callbackfn = Value.undefined, thisArg = Value.undefined], { thisValue }) {
+  // 1. Let T be ? thisTupleValue(this value).
+  const T = Q(thisTupleValue(thisValue));
+  // 2. Let list be T.[[Sequence]].
+  const list = T.Sequence;
+  // 3. If IsCallable(callbackfn) is false, throw a TypeError exception.
+  if (IsCallable(callbackfn) === Value.false) {
+    return surroundingAgent.Throw('TypeError', 'NotAFunction', callbackfn);
+  }
+  // 4. For each index k of list, do
+  for (let k = 0; k < list.length; k += 1) {
+    // a. Let testResult be ! ToBoolean(? Call(callbackfn, thisArg, « list[k], 𝔽(k), T »)).
+    const testResult = ToBoolean(Q(Call(callbackfn, thisArg, [list[k], F(k), T])));
+    // b. If testResult is true, return true.
+    if (testResult === Value.true) {
+      return Value.true;
+    }
+  }
+  // 5. Return false.
+  return Value.false;
+}
+
+/** https://tc39.es/proposal-record-tuple/#sec-tuple.prototype.tolocalestring */
+function TupleProto_toLocaleString(args, { thisValue }) {
+  // 1. Let T be ? thisTupleValue(this value).
+  const T = Q(thisTupleValue(thisValue));
+  // 2. Let list be T.[[Sequence]].
+  const list = T.Sequence;
+  // 3. Let separator be the implementation-defined list-separator String appropriate for the host environment's current locale.
+  const separator = ', ';
+  // 4. Let R be the empty String.
+  let R = '';
+  // 5. For each index k of list, do
+  for (let k = 0; k < list.length; k += 1) {
+    // a. If k > 0, set R to the string-concatenation of R and separator.
+    if (k > 0) {
+      R = `${R}${separator}`;
+    }
+    // b. Let nextElement be list[k].
+    const nextElement = list[k];
+    // c. If nextElement is not undefined or null, then
+    if (nextElement !== Value.undefined && nextElement !== Value.null) {
+      // i. Let S be ? ToString(? Invoke(nextElement, "toLocaleString")).
+      const S = Q(ToString(Q(Invoke(nextElement, Value('toLocaleString'))))).stringValue();
+      // ii. Set R to the string-concatenation of R and S.
+      R = `${R}${S}`;
+    }
+  }
+  // 6. Return R.
+  return Value(R);
+}
+
+/** https://tc39.es/proposal-record-tuple/#sec-tuple.prototype.toreversed */
+function TupleProto_toReversed(args, { thisValue }) {
+  // 1. Let T be ? thisTupleValue(this value).
+  const T = Q(thisTupleValue(thisValue));
+  // 2. Let newList be a new List containing the elements of T.[[Sequence]] in reverse order.
+  const newList = [...T.Sequence].reverse();
+  // 3. Return a new Tuple value whose [[Sequence]] is newList.
+  return new TupleValue(newList);
+}
+
+/** https://tc39.es/proposal-record-tuple/#sec-tuple.prototype.tosorted */
+function TupleProto_toSorted([comparefn = Value.undefined], { thisValue }) {
+  // 1. If comparefn is not undefined and IsCallable(comparefn) is false, throw a TypeError exception.
+  if (comparefn !== Value.undefined && IsCallable(comparefn) === Value.false) {
+    return surroundingAgent.Throw('TypeError', 'NotAFunction', comparefn);
+  }
+  // 2. Let T be ? thisTupleValue(this value).
+  const T = Q(thisTupleValue(thisValue));
+  // 3. Let items be a new List containing the elements of T.[[Sequence]].
+  const items = [...T.Sequence];
+  // 4. Sort items using an implementation-defined sequence of calls to SortCompare. If any such call returns an abrupt completion, return that completion.
+  Q(ArrayProto_sortList(items, (x, y) => SortCompare(x, y, comparefn)));
+  // 5. Return a new Tuple value whose [[Sequence]] is items.
+  return new TupleValue(items);
+}
+
+/** https://tc39.es/proposal-record-tuple/#sec-tuple.prototype.tospliced */
+function TupleProto_toSpliced(args, { thisValue }) {
+  const [start = Value.undefined, skipCount = Value.undefined, ...items] = args;
+  // 1. Let T be ? thisTupleValue(this value).
+  const T = Q(thisTupleValue(thisValue));
+  // 2. Let list be T.[[Sequence]].
+  const list = T.Sequence;
+  // 3. Let len be the length of list.
+  const len = list.length;
+  // 4. Let relativeStart be ? ToIntegerOrInfinity(start).
+  const relativeStart = Q(ToIntegerOrInfinity(start));
+  // 5. Let actualStart be the result of clamping relativeStart relative to len.
+  const actualStart = ResolveRelativeIndex(relativeStart, len);
+  let actualSkipCount;
+  // 6. If start is not present, let actualSkipCount be 0.
+  if (args.length === 0) {
+    actualSkipCount = 0;
+  } else if (args.length === 1) { // 7. Else if skipCount is not present, let actualSkipCount be len - actualStart.
+    actualSkipCount = len - actualStart;
+  } else { // 8. Else,
+    // a. Let sc be ? ToIntegerOrInfinity(skipCount).
+    const sc = Q(ToIntegerOrInfinity(skipCount));
+    // b. Let actualSkipCount be the result of clamping sc between 0 and len - actualStart.
+    actualSkipCount = Math.min(Math.max(sc, 0), len - actualStart);
+  }
+  // 9. Let newList be a new empty List.
+  const newList = [];
+  // 10. Append the elements of list from index 0 up to but not including index actualStart to newList.
+  newList.push(...list.slice(0, actualStart));
+  // 11. For each element E of items, perform ? AddValueToTupleSequenceList(newList, E).
+  for (const E of items) {
+    Q(AddValueToTupleSequenceList(newList, E));
+  }
+  // 12. Append the elements of list from index actualStart + actualSkipCount to newList.
+  newList.push(...list.slice(actualStart + actualSkipCount));
+  // 13. Return a new Tuple value whose [[Sequence]] is newList.
+  return new TupleValue(newList);
+}
+
+/** https://tc39.es/proposal-record-tuple/#sec-tuple.prototype.tostring */
+function TupleProto_toString(args, { thisValue }) {
+  // 1. Let T be ? thisTupleValue(this value).
+  const T = Q(thisTupleValue(thisValue));
+  // 2. Return ? Call(%Tuple.prototype.join%, T, « »).
+  return Q(Call(surroundingAgent.intrinsic('%Tuple.prototype.join%'), T));
+}
+
+/** https://tc39.es/proposal-record-tuple/#sec-tuple.prototype.valueof */
+function TupleProto_valueOf(args, { thisValue }) {
+  // 1. Return ? thisTupleValue(this value).
+  return Q(thisTupleValue(thisValue));
+}
+
+/** https://tc39.es/proposal-record-tuple/#sec-tuple.prototype.values */
+function TupleProto_values(args, { thisValue }) {
+  // 1. Let T be ? thisTupleValue(this value).
+  const T = Q(thisTupleValue(thisValue));
+  // 2. Let O be ! ToObject(T).
+  const O = X(ToObject(T));
+  // 3. Return CreateArrayIterator(O, value).
+  return CreateArrayIterator(O, 'value');
+}
+
+/** https://tc39.es/proposal-record-tuple/#sec-tuple.prototype.with */
+function TupleProto_with([index = Value.undefined, value = Value.undefined], { thisValue }) {
+  // 1. Let T be ? thisTupleValue(this value).
+  const T = Q(thisTupleValue(thisValue));
+  // 2. Let list be a new List containing the elements of T.[[Sequence]].
+  const list = [...T.Sequence];
+  // 3. Let len be the length of list.
+  const len = list.length;
+  // 4. Let relativeIndex be ? ToIntegerOrInfinity(index).
+  const relativeIndex = Q(ToIntegerOrInfinity(index));
+  // 5. If relativeIndex ≥ 0, let actualIndex be relativeIndex; otherwise let actualIndex be len + relativeIndex.
+  const actualIndex = relativeIndex >= 0 ? relativeIndex : len + relativeIndex;
+  // 6. If actualIndex ≥ len or actualIndex < 0, throw a RangeError exception.
+  if (actualIndex >= len || actualIndex < 0) {
+    return surroundingAgent.Throw('RangeError', 'OutOfRange', relativeIndex);
+  }
+  // 7. If Type(value) is Object, throw a TypeError exception.
+  if (value instanceof ObjectValue) {
+    return surroundingAgent.Throw('TypeError', 'ObjectInRecordOrTuple', value);
+  }
+  // 8. Set list[actualIndex] to value.
+  list[actualIndex] = value;
+  // 9. Return a new Tuple value whose [[Sequence]] is list.
+  return new TupleValue(list);
+}
+
+export function bootstrapTuplePrototype(realmRec) {
+  const proto = bootstrapPrototype(realmRec, [
+    ['at', TupleProto_at, 1],
+    ['concat', TupleProto_concat, 1],
+    ['entries', TupleProto_entries, 0],
+    ['every', TupleProto_every, 1],
+    ['filter', TupleProto_filter, 1],
+    ['find', TupleProto_find, 1],
+    ['findIndex', TupleProto_findIndex, 1],
+    ['findLast', TupleProto_findLast, 1],
+    ['findLastIndex', TupleProto_findLastIndex, 1],
+    ['flat', TupleProto_flat, 0],
+    ['flatMap', TupleProto_flatMap, 1],
+    ['forEach', TupleProto_forEach, 1],
+    ['includes', TupleProto_includes, 1],
+    ['indexOf', TupleProto_indexOf, 1],
+    ['join', TupleProto_join, 1],
+    ['keys', TupleProto_keys, 0],
+    ['lastIndexOf', TupleProto_lastIndexOf, 1],
+    ['length', [TupleProto_lengthGetter]],
+    ['map', TupleProto_map, 1],
+    ['reduce', TupleProto_reduce, 1],
+    ['reduceRight', TupleProto_reduceRight, 1],
+    ['slice', TupleProto_slice, 2],
+    ['some', TupleProto_some, 1],
+    ['toLocaleString', TupleProto_toLocaleString, 0],
+    ['toReversed', TupleProto_toReversed, 0],
+    ['toSorted', TupleProto_toSorted, 1],
+    ['toSpliced', TupleProto_toSpliced, 2],
+    ['toString', TupleProto_toString, 0],
+    ['valueOf', TupleProto_valueOf, 0],
+    ['values', TupleProto_values, 0],
+    ['with', TupleProto_with, 2],
+  ], realmRec.Intrinsics['%Object.prototype%'], 'Tuple');
+
+  X(proto.DefineOwnProperty(wellKnownSymbols.iterator, proto.GetOwnProperty(Value('values'))));
+
+  // Used by ToString.
+  realmRec.Intrinsics['%Tuple.prototype.join%'] = X(Get(proto, Value('join')));
+
+  realmRec.Intrinsics['%Tuple.prototype%'] = proto;
+}
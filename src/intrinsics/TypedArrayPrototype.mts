@@ -10,6 +10,7 @@ import {
   IsCallable,
   IsDetachedBuffer,
   IsSharedArrayBuffer,
+  IsValidIntegerIndex,
   SameValue,
   Set,
   SetValueInBuffer,
@@ -20,6 +21,7 @@ import {
   ToNumber,
   ToObject,
   ToString,
+  TypedArrayCreateSameType,
   TypedArraySpeciesCreate,
   ValidateTypedArray,
   RequireInternalSlot,
@@ -34,7 +36,7 @@ import {
   Descriptor, JSStringValue, NumberValue, ObjectValue, Value, wellKnownSymbols,
 } from '../value.mjs';
 import { bootstrapPrototype } from './bootstrap.mjs';
-import { ArrayProto_sortBody, bootstrapArrayPrototypeShared } from './ArrayPrototypeShared.mjs';
+import { ArrayProto_sortBody, SortIndexedProperties, bootstrapArrayPrototypeShared } from './ArrayPrototypeShared.mjs';
 
 /** https://tc39.es/ecma262/#sec-get-%typedarray%.prototype.buffer */
 function TypedArrayProto_buffer(args, { thisValue }) {
@@ -751,6 +753,67 @@ function TypedArrayProto_values(args, { thisValue }) {
   return CreateArrayIterator(O, 'value');
 }
 
+/** https://tc39.es/ecma262/#sec-%typedarray%.prototype.toreversed */
+function TypedArrayProto_toReversed(args, { thisValue }) {
+  // 1. Let O be the this value.
+  const O = thisValue;
+  // 2. Perform ? ValidateTypedArray(O).
+  Q(ValidateTypedArray(O));
+  // 3. Let length be O.[[ArrayLength]].
+  const length = O.ArrayLength;
+  // 4. Let A be ? TypedArrayCreateSameType(O, « 𝔽(length) »).
+  const A = Q(TypedArrayCreateSameType(O, [F(length)]));
+  // 5. Let k be 0.
+  let k = 0;
+  // 6. Repeat, while k < length,
+  while (k < length) {
+    // a. Let from be ! ToString(𝔽(length - k - 1)).
+    const from = X(ToString(F(length - k - 1)));
+    // b. Let Pk be ! ToString(𝔽(k)).
+    const Pk = X(ToString(F(k)));
+    // c. Let fromValue be ! Get(O, from).
+    const fromValue = X(Get(O, from));
+    // d. Perform ! Set(A, Pk, fromValue, true).
+    X(Set(A, Pk, fromValue, Value.true));
+    // e. Set k to k + 1.
+    k += 1;
+  }
+  // 7. Return A.
+  return A;
+}
+
+/** https://tc39.es/ecma262/#sec-%typedarray%.prototype.tosorted */
+function TypedArrayProto_toSorted([comparefn = Value.undefined], { thisValue }) {
+  // 1. If comparefn is not undefined and IsCallable(comparefn) is false, throw a TypeError exception.
+  if (comparefn !== Value.undefined && IsCallable(comparefn) === Value.false) {
+    return surroundingAgent.Throw('TypeError', 'NotAFunction', comparefn);
+  }
+  // 2. Let O be the this value.
+  const O = thisValue;
+  // 3. Perform ? ValidateTypedArray(O).
+  Q(ValidateTypedArray(O));
+  // 4. Let len be O.[[ArrayLength]].
+  const len = O.ArrayLength;
+  // 5. Let A be ? TypedArrayCreateSameType(O, « 𝔽(len) »).
+  const A = Q(TypedArrayCreateSameType(O, [F(len)]));
+  // 6. NOTE: The following closure performs a numeric comparison rather than the string comparison used in 23.1.3.34.
+  // 7. Let SortCompare be a new Abstract Closure with parameters (x, y) that captures comparefn and performs the following steps when called:
+  //   a. Return ? CompareTypedArrayElements(x, y, comparefn).
+  // 8. Let sortedList be ? SortIndexedProperties(O, len, SortCompare, read-through-holes).
+  const sortedList = Q(SortIndexedProperties(O, len, (x, y) => TypedArraySortCompare(x, y, comparefn), 'read-through-holes'));
+  // 9. Let j be 0.
+  let j = 0;
+  // 10. Repeat, while j < len,
+  while (j < len) {
+    // a. Perform ! Set(A, ! ToString(𝔽(j)), sortedList[j], true).
+    X(Set(A, X(ToString(F(j))), sortedList[j], Value.true));
+    // b. Set j to j + 1.
+    j += 1;
+  }
+  // 11. Return A.
+  return A;
+}
+
 /** https://tc39.es/ecma262/#sec-get-%typedarray%.prototype-@@tostringtag */
 function TypedArrayProto_toStringTag(args, { thisValue }) {
   // 1. Let O be the this value.
@@ -798,6 +861,58 @@ function TypedArrayProto_at([index = Value.undefined], { thisValue }) {
   return Q(Get(O, X(ToString(F(k)))));
 }
 
+/** https://tc39.es/ecma262/#sec-%typedarray%.prototype.with */
+function TypedArrayProto_with([index = Value.undefined, value = Value.undefined], { thisValue }) {
+  // 1. Let O be the this value.
+  const O = thisValue;
+  // 2. Perform ? ValidateTypedArray(O).
+  Q(ValidateTypedArray(O));
+  // 3. Let len be O.[[ArrayLength]].
+  const len = O.ArrayLength;
+  // 4. Let relativeIndex be ? ToIntegerOrInfinity(index).
+  const relativeIndex = Q(ToIntegerOrInfinity(index));
+  let actualIndex;
+  // 5. If relativeIndex ≥ 0, let actualIndex be relativeIndex.
+  if (relativeIndex >= 0) {
+    actualIndex = relativeIndex;
+  } else { // 6. Else, let actualIndex be len + relativeIndex.
+    actualIndex = len + relativeIndex;
+  }
+  let numericValue;
+  // 7. If O.[[ContentType]] is BigInt, let numericValue be ? ToBigInt(value).
+  if (O.ContentType === 'BigInt') {
+    numericValue = Q(ToBigInt(value));
+  } else { // 8. Else, let numericValue be ? ToNumber(value).
+    numericValue = Q(ToNumber(value));
+  }
+  // 9. If IsValidIntegerIndex(O, 𝔽(actualIndex)) is false, throw a RangeError exception.
+  if (IsValidIntegerIndex(O, F(actualIndex)) === Value.false) {
+    return surroundingAgent.Throw('RangeError', 'OutOfRange', relativeIndex);
+  }
+  // 10. Let A be ? TypedArrayCreateSameType(O, « 𝔽(len) »).
+  const A = Q(TypedArrayCreateSameType(O, [F(len)]));
+  // 11. Let k be 0.
+  let k = 0;
+  // 12. Repeat, while k < len,
+  while (k < len) {
+    // a. Let Pk be ! ToString(𝔽(k)).
+    const Pk = X(ToString(F(k)));
+    let fromValue;
+    // b. If k is actualIndex, let fromValue be numericValue.
+    if (k === actualIndex) {
+      fromValue = numericValue;
+    } else { // c. Else, let fromValue be ! Get(O, Pk).
+      fromValue = X(Get(O, Pk));
+    }
+    // d. Perform ! Set(A, Pk, fromValue, true).
+    X(Set(A, Pk, fromValue, Value.true));
+    // e. Set k to k + 1.
+    k += 1;
+  }
+  // 13. Return A.
+  return A;
+}
+
 export function bootstrapTypedArrayPrototype(realmRec) {
   const ArrayProto_toString = X(Get(realmRec.Intrinsics['%Array.prototype%'], Value('toString')));
   Assert(ArrayProto_toString instanceof ObjectValue);
@@ -818,7 +933,10 @@ export function bootstrapTypedArrayPrototype(realmRec) {
     ['slice', TypedArrayProto_slice, 2],
     ['sort', TypedArrayProto_sort, 1],
     ['subarray', TypedArrayProto_subarray, 2],
+    ['toReversed', TypedArrayProto_toReversed, 0],
+    ['toSorted', TypedArrayProto_toSorted, 1],
     ['values', TypedArrayProto_values, 0],
+    ['with', TypedArrayProto_with, 2],
     ['toString', ArrayProto_toString],
     [wellKnownSymbols.toStringTag, [TypedArrayProto_toStringTag]],
   ], realmRec.Intrinsics['%Object.prototype%']);
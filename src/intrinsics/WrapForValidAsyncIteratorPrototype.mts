@@ -0,0 +1,67 @@
+// @ts-nocheck
+import { surroundingAgent } from '../engine.mjs';
+import {
+  Assert,
+  Call,
+  CreateIterResultObject,
+  GetMethod,
+  NewPromiseCapability,
+  RequireInternalSlot,
+} from '../abstract-ops/all.mjs';
+import { ObjectValue, Value } from '../value.mjs';
+import { IfAbruptRejectPromise, Q, X } from '../completion.mjs';
+import { bootstrapPrototype } from './bootstrap.mjs';
+
+/** https://tc39.es/proposal-async-iterator-helpers/#sec-wrapforvalidasynciteratorprototype.next */
+function WrapForValidAsyncIteratorPrototype_next(args, { thisValue }) {
+  // 1. Let O be this value.
+  const O = thisValue;
+  // 2. Perform ? RequireInternalSlot(O, [[AsyncIterated]]).
+  Q(RequireInternalSlot(O, 'AsyncIterated'));
+  // 3. Let iteratorRecord be O.[[AsyncIterated]].
+  const iteratorRecord = O.AsyncIterated;
+  // 4. Return ? Call(iteratorRecord.[[NextMethod]], iteratorRecord.[[Iterator]]).
+  return Q(Call(iteratorRecord.NextMethod, iteratorRecord.Iterator));
+}
+
+/** https://tc39.es/proposal-async-iterator-helpers/#sec-wrapforvalidasynciteratorprototype.return */
+function WrapForValidAsyncIteratorPrototype_return(args, { thisValue }) {
+  // 1. Let O be this value.
+  const O = thisValue;
+  // 2. Perform ? RequireInternalSlot(O, [[AsyncIterated]]).
+  Q(RequireInternalSlot(O, 'AsyncIterated'));
+  // 3. Let iterator be O.[[AsyncIterated]].[[Iterator]].
+  const iterator = O.AsyncIterated.Iterator;
+  // 4. Assert: iterator is an Object.
+  Assert(iterator instanceof ObjectValue);
+  // 5. Let promiseCapability be ! NewPromiseCapability(%Promise%).
+  const promiseCapability = X(NewPromiseCapability(surroundingAgent.intrinsic('%Promise%')));
+  // 6. Let returnMethod be Completion(GetMethod(iterator, "return")).
+  const returnMethod = GetMethod(iterator, Value('return'));
+  // 7. IfAbruptRejectPromise(returnMethod, promiseCapability).
+  IfAbruptRejectPromise(returnMethod, promiseCapability);
+  // 8. If returnMethod is undefined, then
+  if (returnMethod === Value.undefined) {
+    // a. Perform ! Call(promiseCapability.[[Resolve]], undefined, « CreateIterResultObject(undefined, true) »).
+    X(Call(promiseCapability.Resolve, Value.undefined, [X(CreateIterResultObject(Value.undefined, Value.true))]));
+    // b. Return promiseCapability.[[Promise]].
+    return promiseCapability.Promise;
+  }
+  // 9. Let result be Completion(Call(returnMethod, iterator)).
+  const result = Call(returnMethod, iterator);
+  // 10. IfAbruptRejectPromise(result, promiseCapability).
+  IfAbruptRejectPromise(result, promiseCapability);
+  // 11. Perform ! Call(promiseCapability.[[Resolve]], undefined, « result »).
+  X(Call(promiseCapability.Resolve, Value.undefined, [result]));
+  // 12. Return promiseCapability.[[Promise]].
+  return promiseCapability.Promise;
+}
+
+export function bootstrapWrapForValidAsyncIteratorPrototype(realmRec) {
+  const proto = bootstrapPrototype(realmRec, [
+    ['next', WrapForValidAsyncIteratorPrototype_next, 0],
+    ['return', WrapForValidAsyncIteratorPrototype_return, 0],
+  ], realmRec.Intrinsics['%AsyncIteratorPrototype%']);
+
+  realmRec.Intrinsics['%WrapForValidAsyncIteratorPrototype%'] = proto;
+}
@@ -0,0 +1,53 @@
+// @ts-nocheck
+import {
+  Assert,
+  Call,
+  CreateIterResultObject,
+  GetMethod,
+  RequireInternalSlot,
+} from '../abstract-ops/all.mjs';
+import { ObjectValue, Value } from '../value.mjs';
+import { Q, X } from '../completion.mjs';
+import { bootstrapPrototype } from './bootstrap.mjs';
+
+/** https://tc39.es/ecma262/#sec-%wrapforvaliditeratorprototype%.next */
+function WrapForValidIteratorPrototype_next(args, { thisValue }) {
+  // 1. Let O be this value.
+  const O = thisValue;
+  // 2. Perform ? RequireInternalSlot(O, [[Iterated]]).
+  Q(RequireInternalSlot(O, 'Iterated'));
+  // 3. Let iteratorRecord be O.[[Iterated]].
+  const iteratorRecord = O.Iterated;
+  // 4. Return ? Call(iteratorRecord.[[NextMethod]], iteratorRecord.[[Iterator]]).
+  return Q(Call(iteratorRecord.NextMethod, iteratorRecord.Iterator));
+}
+
+/** https://tc39.es/ecma262/#sec-%wrapforvaliditeratorprototype%.return */
+function WrapForValidIteratorPrototype_return(args, { thisValue }) {
+  // 1. Let O be this value.
+  const O = thisValue;
+  // 2. Perform ? RequireInternalSlot(O, [[Iterated]]).
+  Q(RequireInternalSlot(O, 'Iterated'));
+  // 3. Let iterator be O.[[Iterated]].[[Iterator]].
+  const iterator = O.Iterated.Iterator;
+  // 4. Assert: iterator is an Object.
+  Assert(iterator instanceof ObjectValue);
+  // 5. Let returnMethod be ? GetMethod(iterator, "return").
+  const returnMethod = Q(GetMethod(iterator, Value('return')));
+  // 6. If returnMethod is undefined, then
+  if (returnMethod === Value.undefined) {
+    // a. Return CreateIterResultObject(undefined, true).
+    return X(CreateIterResultObject(Value.undefined, Value.true));
+  }
+  // 7. Return ? Call(returnMethod, iterator).
+  return Q(Call(returnMethod, iterator));
+}
+
+export function bootstrapWrapForValidIteratorPrototype(realmRec) {
+  const proto = bootstrapPrototype(realmRec, [
+    ['next', WrapForValidIteratorPrototype_next, 0],
+    ['return', WrapForValidIteratorPrototype_return, 0],
+  ], realmRec.Intrinsics['%IteratorPrototype%']);
+
+  realmRec.Intrinsics['%WrapForValidIteratorPrototype%'] = proto;
+}
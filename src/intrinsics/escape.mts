@@ -0,0 +1,115 @@
+// @ts-nocheck
+import { Value } from '../value.mjs';
+import {
+  CreateBuiltinFunction,
+  ToString,
+} from '../abstract-ops/all.mjs';
+import { isHexDigit } from '../parser/Lexer.mjs';
+import { Q } from '../completion.mjs';
+
+/** https://tc39.es/ecma262/#sec-escape-string */
+function escape([string = Value.undefined]) {
+  // 1. Set string to ? ToString(string).
+  string = Q(ToString(string)).stringValue();
+  // 2. Let len be the length of string.
+  const len = string.length;
+  // 3. Let R be the empty String.
+  let R = '';
+  // 4. Let unescapedSet be the string-concatenation of the ASCII word characters and "@*+-./".
+  const unescapedSet = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789_@*+-./';
+  // 5. Let k be 0.
+  let k = 0;
+  // 6. Repeat, while k < len,
+  while (k < len) {
+    // a. Let C be the code unit at index k within string.
+    const C = string[k];
+    let S;
+    // b. If unescapedSet contains C, then
+    if (unescapedSet.includes(C)) {
+      // i. Let S be C.
+      S = C;
+    } else { // c. Else,
+      // i. Let n be the numeric value of C.
+      const n = C.charCodeAt(0);
+      // ii. If n < 256, then
+      if (n < 256) {
+        // 1. Let hex be the String representation of n, formatted as an uppercase hexadecimal number.
+        const hex = n.toString(16).toUpperCase();
+        // 2. Let S be the string-concatenation of "%" and StringPad(hex, 2𝔽, "0", start).
+        S = `%${hex.padStart(2, '0')}`;
+      } else { // iii. Else,
+        // 1. Let hex be the String representation of n, formatted as an uppercase hexadecimal number.
+        const hex = n.toString(16).toUpperCase();
+        // 2. Let S be the string-concatenation of "%u" and StringPad(hex, 4𝔽, "0", start).
+        S = `%u${hex.padStart(4, '0')}`;
+      }
+    }
+    // d. Set R to the string-concatenation of R and S.
+    R += S;
+    // e. Set k to k + 1.
+    k += 1;
+  }
+  // 7. Return R.
+  return Value(R);
+}
+
+/** https://tc39.es/ecma262/#sec-unescape-string */
+function unescape([string = Value.undefined]) {
+  // 1. Set string to ? ToString(string).
+  string = Q(ToString(string)).stringValue();
+  // 2. Let len be the length of string.
+  const len = string.length;
+  // 3. Let R be the empty String.
+  let R = '';
+  // 4. Let k be 0.
+  let k = 0;
+  // 5. Repeat, while k ≠ len,
+  while (k !== len) {
+    // a. Let C be the code unit at index k within string.
+    let C = string[k];
+    // b. If C is the code unit 0x0025 (PERCENT SIGN), then
+    if (C === '%') {
+      // i. Let hexDigits be the empty String.
+      let hexDigits = '';
+      // ii. Let optionalAdvance be 0.
+      let optionalAdvance = 0;
+      // iii. If k + 5 < len and the code unit at index k + 1 within string is the code unit 0x0075 (LATIN SMALL LETTER U), then
+      if (k + 5 < len && string[k + 1] === 'u') {
+        // 1. Set hexDigits to the substring of string from k + 2 to k + 6.
+        hexDigits = string.slice(k + 2, k + 6);
+        // 2. Set optionalAdvance to 5.
+        optionalAdvance = 5;
+      } else if (k + 3 <= len) { // iv. Else if k + 3 ≤ len, then
+        // 1. Set hexDigits to the substring of string from k + 1 to k + 3.
+        hexDigits = string.slice(k + 1, k + 3);
+        // 2. Set optionalAdvance to 2.
+        optionalAdvance = 2;
+      }
+      // v. Let parseResult be ParseText(hexDigits, HexDigits[~Sep]).
+      // vi. If parseResult is a Parse Node, then
+      if (hexDigits !== '' && [...hexDigits].every(isHexDigit)) {
+        // 1. Let n be the MV of parseResult.
+        const n = Number.parseInt(hexDigits, 16);
+        // 2. Set C to the code unit whose numeric value is n.
+        C = String.fromCharCode(n);
+        // 3. Set k to k + optionalAdvance.
+        k += optionalAdvance;
+      }
+    }
+    // c. Set R to the string-concatenation of R and C.
+    R += C;
+    // d. Set k to k + 1.
+    k += 1;
+  }
+  // 6. Return R.
+  return Value(R);
+}
+
+export function bootstrapEscape(realmRec) {
+  [
+    ['escape', escape, 1],
+    ['unescape', unescape, 1],
+  ].forEach(([name, f, length]) => {
+    realmRec.Intrinsics[`%${name}%`] = CreateBuiltinFunction(f, length, Value(name), [], realmRec);
+  });
+}
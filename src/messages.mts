@@ -14,12 +14,14 @@ function i(V) {
 
 export const Raw = (s) => s;
 
+export const AbstractModuleSourceNotConstructible = () => 'AbstractModuleSource cannot be called or constructed';
 export const AlreadyDeclared = (n) => `${i(n)} is already declared`;
 export const ArrayBufferDetached = () => 'Attempt to access detached ArrayBuffer';
 export const ArrayBufferShared = () => 'Attempt to access shared ArrayBuffer';
 export const ArrayPastSafeLength = () => 'Cannot make length of array-like object surpass the bounds of an integer index';
 export const ArrayEmptyReduce = () => 'Cannot reduce an empty array with no initial value';
 export const AssignmentToConstant = (n) => `Assignment to constant variable ${i(n)}`;
+export const AsyncIteratorNotConstructible = () => 'AsyncIterator cannot be constructed directly';
 export const AwaitInFormalParameters = () => 'await is not allowed in function parameters';
 export const AwaitInClassStaticBlock = () => 'await is not allowed in class static blocks';
 export const AwaitNotInAsyncFunction = () => 'await is only valid in async functions';
@@ -31,6 +33,7 @@ export const BufferDetachKeyMismatch = (k, b) => `${i(k)} is not the [[ArrayBuff
 export const CannotAllocateDataBlock = () => 'Cannot allocate memory';
 export const CannotCreateProxyWith = (x, y) => `Cannot create a proxy with a ${x} as ${y}`;
 export const CannotConvertDecimalToBigInt = (n) => `Cannot convert ${i(n)} to a BigInt because it is not an integer`;
+export const CannotConvertRecordOrTuple = (type, t) => `Cannot convert a ${type} value to a ${t}`;
 export const CannotConvertSymbol = (t) => `Cannot convert a Symbol value to a ${t}`;
 export const CannotConvertToBigInt = (v) => `Cannot convert ${i(v)} to a BigInt`;
 export const CannotConvertToObject = (t) => `Cannot convert ${t} to object`;
@@ -45,18 +48,31 @@ export const ClassMissingBindingIdentifier = () => 'Class declaration missing bi
 export const ConstDeclarationMissingInitializer = () => 'Missing initialization of const declaration';
 export const ConstructorNonCallable = (f) => `${i(f)} cannot be invoked without new`;
 export const CouldNotResolveModule = (s) => `Could not resolve module ${i(s)}`;
+export const CustomMatcherResultNotObject = (v) => `Custom matcher returned ${i(v)}, which is neither false nor an object`;
+export const DoExpressionInvalidEnd = () => 'A do expression may not end in a declaration or an iteration statement';
+export const DoExpressionVarInParameters = () => 'A do expression in formal parameters may not contain var declarations';
 export const DataViewOOB = () => 'Offset is outside the bounds of the DataView';
+export const DecimalInvalidArgument = (v) => `Cannot convert ${i(v)} to a Decimal128`;
+export const DecimalInvalidString = (s) => `${i(s)} is not a valid decimal literal`;
+export const DecimalRoundingMode = (m) => `Invalid rounding mode ${i(m)}`;
+export const DecimalValueOf = () => 'Decimal128 values cannot be converted to primitives; use toString or toNumber';
+export const DecoratorFinished = () => 'Cannot add initializers after decoration has finished';
+export const DecoratorOnConstructor = () => 'Decorators are not valid on class constructors';
+export const DeferredModuleNotReady = () => 'Cannot synchronously evaluate a deferred module whose graph is already evaluating or contains top-level await';
+export const DisposableStackDisposed = (t) => `Cannot use a disposed ${t}`;
 export const DeleteIdentifier = () => 'Delete of identifier in strict mode';
 export const DeletePrivateName = () => 'Private fields cannot be deleted';
 export const DateInvalidTime = () => 'Invalid time';
 export const DerivedConstructorReturnedNonObject = () => 'Derived constructors may only return object or undefined';
 export const DuplicateConstructor = () => 'A class may only have one constructor';
 export const DuplicateExports = () => 'Module cannot contain duplicate exports';
+export const DuplicateImportAttribute = (a) => `Duplicate import attribute ${i(a)}`;
 export const DuplicateProto = () => 'An object literal may only have one __proto__ property';
 export const FunctionDeclarationStatement = () => 'Functions can only be declared at top level or inside a block';
 export const GeneratorRunning = () => 'Cannot manipulate a running generator';
 export const IllegalBreakContinue = (isBreak) => `Illegal ${isBreak ? 'break' : 'continue'} statement`;
 export const IllegalOctalEscape = () => 'Illegal octal escape';
+export const ImportAttributeValueNotString = (a, v) => `Value of import attribute ${i(a)} must be a string, got ${i(v)}`;
 export const InternalSlotMissing = (o, s) => `Internal slot ${s} is missing for ${i(o)}`;
 export const InvalidArrayLength = (l) => `Invalid array length: ${i(l)}`;
 export const InvalidAssignmentTarget = () => 'Invalid assignment target';
@@ -72,20 +88,31 @@ export const InvalidSuperProperty = () => '`super` not expected here';
 export const InvalidTemplateEscape = () => 'Invalid escapes are only allowed in tagged templates';
 export const InvalidThis = () => 'Invalid `this` access';
 export const InvalidUnicodeEscape = () => 'Invalid unicode escape';
+export const IteratorEmptyReduce = () => 'Cannot reduce an empty iterator with no initial value';
+export const IteratorNotConstructible = () => 'Iterator cannot be constructed directly';
 export const IteratorThrowMissing = () => 'The iterator does not provide a throw method';
 export const JSONCircular = () => 'Cannot JSON stringify a circular structure';
 export const JSONUnexpectedToken = () => 'Unexpected token in JSON';
 export const JSONUnexpectedChar = (c) => `Unexpected character ${c} in JSON`;
 export const JSONExpected = (e, a) => `Expected character ${e} but got ${a} in JSON`;
 export const LetInLexicalBinding = () => '\'let\' is not allowed to be used as a name in lexical declarations';
+export const MatchDefaultNotLast = () => '`default` must be the last clause of a match expression';
+export const MatchExpressionNoMatch = (v) => `No clause of the match expression matched ${i(v)}`;
+export const MatchPatternMixedCombinators = () => '`and` and `or` patterns cannot be mixed without parentheses';
+export const ModuleDeclarationNotFound = (n) => `${i(n)} is not a module declaration`;
 export const ModuleExportNameInvalidUnicode = () => 'Export name is not valid unicode';
+export const ModuleSourceNotConstructible = () => 'ModuleSource objects can only be created by module expressions and declarations';
+export const ModuleSourceNotExpected = () => 'Module source objects can only be loaded by source phase imports';
+export const ModuleSourceUnavailable = () => 'Module does not have a source representation';
 export const ModuleUndefinedExport = (n) => `Export '${i(n)}' is not defined in module`;
 export const NegativeIndex = (n) => `${n} cannot be negative`;
 export const NewlineAfterThrow = () => 'Illegal newline after throw';
 export const NormalizeInvalidForm = () => 'Invalid normalization form';
 export const NotAConstructor = (v) => `${i(v)} is not a constructor`;
+export const NotACustomMatcher = (v) => `${i(v)} does not have a callable Symbol.customMatcher method`;
 export const NotAFunction = (v) => `${i(v)} is not a function`;
 export const NotATypeObject = (t, v) => `${i(v)} is not a ${t} object`;
+export const NotDisposable = (v) => `${i(v)} is not disposable`;
 export const NotAnObject = (v) => `${i(v)} is not an object`;
 export const NotASymbol = (v) => `${i(v)} is not a symbol`;
 export const NotDefined = (n) => `${i(n)} is not defined`;
@@ -95,7 +122,10 @@ export const NumberFormatRange = (m) => `Invalid format range for ${m}`;
 export const ObjectToPrimitive = () => 'Cannot convert object to primitive value';
 export const ObjectPrototypeType = () => 'Object prototype must be an Object or null';
 export const ObjectSetPrototype = () => 'Could not set prototype of object';
+export const ObjectInRecordOrTuple = (v) => `${i(v)} is an object and cannot be placed in a Record or Tuple`;
 export const OutOfRange = (n) => `${n} is out of range`;
+export const PipeBodyMissingTopic = () => 'Pipe body must contain the topic reference';
+export const PipeBodyUnparenthesized = () => 'Arrow functions, assignments, conditionals, and yield expressions must be parenthesized when used as a pipe body';
 export const PrivateNameNoGetter = (p) => `${i(p)} was defined without a getter`;
 export const PrivateNameNoSetter = (p) => `${i(p)} was defined without a setter`;
 export const PrivateNameIsMethod = (p) => `Private method ${i(p)} is not writable`;
@@ -130,23 +160,38 @@ export const ProxyPreventExtensionsExtensible = () => '\'preventExtensions\' on
 export const ProxySetPrototypeOfNonExtensible = () => '\'setPrototypeOf\' on proxy: trap returned truthy for setting a new prototype on the non-extensible proxy target';
 export const ProxySetFrozenData = (p) => `'set' on proxy: trap returned truthy for property ${i(p)} which exists in the proxy target as a non-configurable and non-writable data property with a different value`;
 export const ProxySetFrozenAccessor = (p) => `'set' on proxy: trap returned truthy for property ${i(p)} which exists in the proxy target as a non-configurable and non-writable accessor property without a setter`;
+export const RecordProtoKey = () => 'A record literal may not have a __proto__ key';
+export const RecordSymbolKey = (k) => `Cannot use ${i(k)} as a Record key`;
 export const RegExpArgumentNotAllowed = (m) => `First argument to ${m} must not be a regular expression`;
+export const RegExpCompileLegacyDisabled = () => 'RegExp.prototype.compile cannot be used on RegExp subclass instances or RegExps from other realms';
+export const RegExpCompileWithFlags = () => 'Cannot supply flags when compiling from another RegExp';
 export const RegExpExecNotObject = (o) => `${i(o)} is not object or null`;
+export const RegExpLegacyStaticInvalidated = () => 'Legacy RegExp static properties are unavailable after a match by a RegExp subclass instance';
+export const RegExpLegacyStaticReceiver = (v) => `Legacy RegExp static properties cannot be accessed on ${i(v)}`;
 export const ResolutionNullOrAmbiguous = (r, n, m) => (r === null
   ? `Could not resolve import ${i(n)} from ${m.HostDefined.specifier}`
   : `Star export ${i(n)} from ${m.HostDefined.specifier} is ambiguous`);
+export const SetLikeSizeNaN = (v) => `The size of set-like object ${i(v)} is NaN`;
+export const SetLikeSizeNegative = (v) => `The size of set-like object ${i(v)} is negative`;
 export const SpeciesNotConstructor = () => 'object.constructor[Symbol.species] is not a constructor';
 export const StrictModeDelete = (n) => `Cannot not delete property ${i(n)}`;
 export const StrictPoisonPill = () => 'The caller, callee, and arguments properties may not be accessed on functions or the arguments objects for calls to them';
 export const StringRepeatCount = (v) => `Count ${i(v)} is invalid`;
 export const StringCodePointInvalid = (n) => `Invalid code point ${i(n)}`;
+export const StringDedentClosingLine = () => 'The closing line of a dedented template must contain only whitespace';
+export const StringDedentInvalidEscape = () => 'Invalid escapes are only allowed in dedented templates that are passed to a tag';
+export const StringDedentOpeningLine = () => 'The opening line of a dedented template must contain only whitespace';
+export const StringDedentRawSegment = (v) => `Raw template segment ${i(v)} is not a string`;
 export const StringPrototypeMethodGlobalRegExp = (m) => `The RegExp passed to String.prototype.${m} must have the global flag`;
 export const SubclassLengthTooSmall = (v) => `Subclass constructor returned a smaller-than-requested object ${i(v)}`;
 export const SubclassSameValue = (v) => `Subclass constructor returned the same object ${i(v)}`;
 export const TargetMatchesHeldValue = (v) => `heldValue ${i(v)} matches target`;
 export const TemplateInOptionalChain = () => 'Templates are not allowed in optional chains';
+export const ThrowExpressionOperand = () => 'A throw expression must be parenthesized when used as an operand';
 export const ThisNotAFunction = (v) => `Expected 'this' value to be a function but got ${i(v)}`;
+export const TopicReferenceOutsidePipeBody = () => 'The topic reference may only be used inside a pipe body';
 export const TryMissingCatchOrFinally = () => 'Missing catch or finally after try';
+export const TupleReduceEmpty = () => 'Cannot reduce an empty tuple with no initial value';
 export const TypedArrayCreationOOB = () => 'Sum of start offset and byte length should be less than the size of underlying buffer';
 export const TypedArrayLengthAlignment = (n, m) => `Size of ${n} should be a multiple of ${m}`;
 export const TypedArrayOOB = () => 'Sum of start offset and byte length should be less than the size of the TypedArray';
@@ -156,6 +201,7 @@ export const UnableToSeal = (o) => `Unable to seal object ${i(o)}`;
 export const UnableToFreeze = (o) => `Unable to freeze object ${i(o)}`;
 export const UnableToPreventExtensions = (o) => `Unable to prevent extensions on object ${i(o)}`;
 export const UnknownPrivateName = (o, p) => `${i(p)} does not exist on object ${i(o)}`;
+export const UnsupportedImportAttribute = (a) => `Unsupported import attribute ${i(a)}`;
 export const UnterminatedComment = () => 'Missing */ after comment';
 export const UnterminatedRegExp = () => 'Missing / after RegExp literal';
 export const UnterminatedString = () => 'Missing \' or " after string literal';
@@ -164,6 +210,8 @@ export const UnexpectedEOS = () => 'Unexpected end of source';
 export const UnexpectedEvalOrArguments = () => '`arguments` and `eval` are not valid in this context';
 export const UnexpectedToken = () => 'Unexpected token';
 export const UnexpectedReservedWordStrict = () => 'Unexpected reserved word in strict mode';
+export const UsingDeclarationMissingInitializer = () => 'Missing initialization of using declaration';
+export const UsingDeclarationNotAllowed = () => 'using declarations are not allowed in this context';
 export const UseStrictNonSimpleParameter = () => 'Function with \'use strict\' directive has non-simple parameter list';
 export const URIMalformed = () => 'URI malformed';
 export const WeakCollectionNotObject = (v) => `${i(v)} is not a valid weak collection entry object`;
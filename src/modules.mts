@@ -6,6 +6,7 @@ import {
   Assert,
   Call,
   NewPromiseCapability,
+  PromiseResolve,
   GetImportedModule,
   GetModuleNamespace,
   InnerModuleEvaluation,
@@ -16,6 +17,7 @@ import {
   AsyncBlockStart,
   PromiseCapabilityRecord,
   GraphLoadingState,
+  ModuleSourceCreate,
 } from './abstract-ops/all.mjs';
 import {
   VarScopedDeclarations,
@@ -29,6 +31,7 @@ import {
   NormalCompletion,
   AbruptCompletion,
   EnsureCompletion,
+  IfAbruptRejectPromise,
   Q, X,
 } from './completion.mjs';
 import { ValueSet, unwind } from './helpers.mjs';
@@ -55,16 +58,19 @@ export class AbstractModuleRecord {
   Realm;
   Environment;
   Namespace;
+  DeferredNamespace;
   HostDefined;
   constructor({
     Realm,
     Environment,
     Namespace,
+    DeferredNamespace,
     HostDefined,
   }) {
     this.Realm = Realm;
     this.Environment = Environment;
     this.Namespace = Namespace;
+    this.DeferredNamespace = DeferredNamespace;
     this.HostDefined = HostDefined;
   }
 
@@ -72,6 +78,7 @@ export class AbstractModuleRecord {
     m(this.Realm);
     m(this.Environment);
     m(this.Namespace);
+    m(this.DeferredNamespace);
   }
 }
 
@@ -227,6 +234,7 @@ export class SourceTextModuleRecord extends CyclicModuleRecord {
   LocalExportEntries;
   IndirectExportEntries;
   StarExportEntries;
+  ModuleDeclarations = new Map();
   constructor(init) {
     super(init);
 
@@ -384,6 +392,12 @@ export class SourceTextModuleRecord extends CyclicModuleRecord {
     return starResolution;
   }
 
+  /** https://tc39.es/proposal-source-phase-imports/ */
+  GetModuleSource() {
+    // 1. Throw a SyntaxError exception.
+    return surroundingAgent.Throw('SyntaxError', 'ModuleSourceUnavailable');
+  }
+
   /** https://tc39.es/ecma262/#sec-source-text-module-record-initialize-environment */
   InitializeEnvironment() {
     const module = this;
@@ -419,13 +433,20 @@ export class SourceTextModuleRecord extends CyclicModuleRecord {
       const importedModule = GetImportedModule(module, ie.ModuleRequest);
       // b. If in.[[ImportName]] is ~namespace-object~, then
       if (ie.ImportName === 'namespace-object') {
-        // i. Let namespace be GetModuleNamespace(importedModule).
-        const namespace = GetModuleNamespace(importedModule);
+        // i. Let namespace be GetModuleNamespace(importedModule, in.[[ModuleRequest]].[[Phase]]).
+        const namespace = GetModuleNamespace(importedModule, ie.ModuleRequest.Phase);
         // ii. Perform ! env.CreateImmutableBinding(in.[[LocalName]], true).
         X(env.CreateImmutableBinding(ie.LocalName, Value.true));
         // iii. Call env.InitializeBinding(in.[[LocalName]], namespace).
         env.InitializeBinding(ie.LocalName, namespace);
-      } else { // c. Else,
+      } else if (ie.ImportName === 'source') { // c. Else if in.[[ImportName]] is ~source~, then
+        // i. Let moduleSourceObject be ? importedModule.GetModuleSource().
+        const moduleSourceObject = Q(importedModule.GetModuleSource());
+        // ii. Perform ! env.CreateImmutableBinding(in.[[LocalName]], true).
+        X(env.CreateImmutableBinding(ie.LocalName, Value.true));
+        // iii. Perform ! env.InitializeBinding(in.[[LocalName]], moduleSourceObject).
+        X(env.InitializeBinding(ie.LocalName, moduleSourceObject));
+      } else { // d. Else,
         // i. Let resolution be importedModule.ResolveExport(in.[[ImportName]]).
         const resolution = importedModule.ResolveExport(ie.ImportName);
         // ii. If resolution is null or "ambiguous", throw a SyntaxError exception.
@@ -440,8 +461,8 @@ export class SourceTextModuleRecord extends CyclicModuleRecord {
         }
         // iii. If resolution.[[BindingName]] is ~namespace~, then
         if (resolution.BindingName === 'namespace') {
-          // 1. Let namespace be GetModuleNamespace(resolution.[[Module]]).
-          const namespace = GetModuleNamespace(resolution.Module);
+          // 1. Let namespace be GetModuleNamespace(resolution.[[Module]], evaluation).
+          const namespace = GetModuleNamespace(resolution.Module, 'evaluation');
           // 2. Perform ! env.CreateImmutableBinding(in.[[LocalName]], true).
           X(env.CreateImmutableBinding(ie.LocalName, Value.true));
           // 3. Call env.InitializeBinding(in.[[LocalName]], namespace).
@@ -557,6 +578,31 @@ export class SourceTextModuleRecord extends CyclicModuleRecord {
     super.mark(m);
     m(this.ImportMeta);
     m(this.Context);
+    for (const v of this.ModuleDeclarations.values()) {
+      m(v);
+    }
+  }
+}
+
+// The record of a module expression or module declaration. It shares the
+// [[HostDefined]] of [[Parent]], the Script or Module Record whose code contains
+// it, so that hosts can resolve its imports relative to that code.
+export class InlineModuleRecord extends SourceTextModuleRecord {
+  Parent;
+  constructor(init) {
+    super(init);
+
+    this.Parent = init.Parent;
+  }
+
+  // The source of a module expression or declaration is its ModuleSource object.
+  GetModuleSource() {
+    return ModuleSourceCreate(this);
+  }
+
+  mark(m) {
+    super.mark(m);
+    m(this.Parent);
   }
 }
 
@@ -591,6 +637,12 @@ export class SyntheticModuleRecord extends AbstractModuleRecord {
     return null;
   }
 
+  /** https://tc39.es/ecma262/#sec-smr-LoadRequestedModules */
+  LoadRequestedModules() {
+    // 1. Return ! PromiseResolve(%Promise%, undefined).
+    return X(PromiseResolve(surroundingAgent.intrinsic('%Promise%'), Value.undefined));
+  }
+
   /** https://tc39.es/ecma262/#sec-synthetic-module-record-link */
   Link() {
     const module = this;
@@ -609,8 +661,8 @@ export class SyntheticModuleRecord extends AbstractModuleRecord {
       // b. Perform ! env.InitializeBinding(exportName, undefined).
       X(env.InitializeBinding(exportName, Value.undefined));
     }
-    // 8. Return undefined.
-    return Value.undefined;
+    // 6. Return unused.
+    return NormalCompletion(undefined);
   }
 
   /** https://tc39.es/ecma262/#sec-synthetic-module-record-evaluate */
@@ -637,8 +689,14 @@ export class SyntheticModuleRecord extends AbstractModuleRecord {
     // 10. Suspend moduleContext and remove it from the execution context stack.
     // 11. Resume the context that is now on the top of the execution context stack as the running execution context.
     surroundingAgent.executionContextStack.pop(moduleContext);
-    // 12. Return Completion(result).
-    return Completion(result);
+    // 12. Let pc be ! NewPromiseCapability(%Promise%).
+    const pc = X(NewPromiseCapability(surroundingAgent.intrinsic('%Promise%')));
+    // 13. IfAbruptRejectPromise(result, pc).
+    IfAbruptRejectPromise(result, pc);
+    // 14. Perform ! Call(pc.[[Resolve]], undefined, « undefined »).
+    X(Call(pc.Resolve, Value.undefined, [Value.undefined]));
+    // 15. Return pc.[[Promise]].
+    return pc.Promise;
   }
 
   /** https://tc39.es/ecma262/#sec-synthetic-module-record-set-synthetic-export */
@@ -647,4 +705,29 @@ export class SyntheticModuleRecord extends AbstractModuleRecord {
     // 1. Return ? module.[[Environment]].SetMutableBinding(name, value, true).
     return Q(module.Environment.SetMutableBinding(name, value, Value.true));
   }
+
+  GetModuleSource() {
+    return surroundingAgent.Throw('SyntaxError', 'ModuleSourceUnavailable');
+  }
+}
+
+// A host may satisfy a source phase import with only a module source object,
+// such as a WebAssembly.Module. It is wrapped in a Synthetic Module Record with
+// no exports so that it can be stored in [[LoadedModules]].
+export class ModuleSourceRecord extends SyntheticModuleRecord {
+  ModuleSource;
+  constructor(init) {
+    super(init);
+
+    this.ModuleSource = init.ModuleSource;
+  }
+
+  GetModuleSource() {
+    return this.ModuleSource;
+  }
+
+  mark(m) {
+    super.mark(m);
+    m(this.ModuleSource);
+  }
 }
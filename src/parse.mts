@@ -2,7 +2,7 @@
 import { Parser } from './parser/Parser.mjs';
 import { RegExpParser } from './parser/RegExpParser.mjs';
 import { surroundingAgent } from './engine.mjs';
-import { SourceTextModuleRecord } from './modules.mjs';
+import { SourceTextModuleRecord, InlineModuleRecord } from './modules.mjs';
 import { Value } from './value.mjs';
 import {
   Get,
@@ -98,6 +98,13 @@ export function ParseModule(sourceText, realm, hostDefined = {}) {
   if (Array.isArray(body)) {
     return body;
   }
+  return CreateSourceTextModuleRecord(body, realm, hostDefined);
+}
+
+// Steps 4-12 of ParseModule, also used to create the records of module
+// expressions and module declarations from their already parsed Module.
+// When parent is present, the record is an InlineModuleRecord nested in parent.
+export function CreateSourceTextModuleRecord(body, realm, hostDefined, parent) {
   // 4. Let requestedModules be the ModuleRequests of body.
   const requestedModules = ModuleRequests(body);
   // 5. Let importEntries be ImportEntries of body.
@@ -148,10 +155,11 @@ export function ParseModule(sourceText, realm, hostDefined = {}) {
     }
   }
   // 12. Return Source Text Module Record { [[Realm]]: realm, [[Environment]]: undefined, [[Namespace]]: undefined, [[Status]]: unlinked, [[EvaluationError]]: undefined, [[HostDefined]]: hostDefined, [[ECMAScriptCode]]: body, [[Context]]: empty, [[ImportMeta]]: empty, [[RequestedModules]]: requestedModules, [[ImportEntries]]: importEntries, [[LocalExportEntries]]: localExportEntries, [[IndirectExportEntries]]: indirectExportEntries, [[StarExportEntries]]: starExportEntries, [[DFSIndex]]: undefined, [[DFSAncestorIndex]]: undefined }.
-  return new (hostDefined.SourceTextModuleRecord || SourceTextModuleRecord)({
+  const init = {
     Realm: realm,
     Environment: Value.undefined,
     Namespace: Value.undefined,
+    DeferredNamespace: Value.undefined,
     Status: 'new',
     EvaluationError: Value.undefined,
     HostDefined: hostDefined,
@@ -172,7 +180,11 @@ export function ParseModule(sourceText, realm, hostDefined = {}) {
     TopLevelCapability: Value.undefined,
     AsyncParentModules: Value.undefined,
     PendingAsyncDependencies: Value.undefined,
-  });
+  };
+  if (parent !== undefined) {
+    return new InlineModuleRecord({ ...init, Parent: parent });
+  }
+  return new (hostDefined.SourceTextModuleRecord || SourceTextModuleRecord)(init);
 }
 
 /** https://tc39.es/ecma262/#sec-parsejsonmodule */
@@ -186,24 +198,38 @@ export function ParseJSONModule(sourceText, realm, hostDefined) {
 }
 
 /** https://tc39.es/ecma262/#sec-parsepattern */
-export function ParsePattern(patternText, u) {
+export function ParsePattern(patternText, u, v, x = false) {
   const parse = (flags) => {
     const p = new RegExpParser(patternText);
-    return p.scope(flags, () => p.parsePattern());
+    return p.scope({ ...flags, X: x }, () => p.parsePattern());
   };
   try {
-    // 1. If u is true, then
+    // 1. If v is true and u is true, then
+    if (v && u) {
+      // a. Let parseResult be a List containing one or more SyntaxError objects.
+      return [surroundingAgent.Throw('SyntaxError', 'InvalidRegExpFlags', 'uv').Value];
+    }
+    // 2. Else if v is true, then
+    if (v) {
+      // a. Let parseResult be ParseText(patternText, Pattern[+UnicodeMode, +UnicodeSetsMode, +NamedCaptureGroups]).
+      return parse({ U: true, N: true, V: true });
+    }
+    // 3. Else if u is true, then
     if (u) {
-      // a. Parse patternText using the grammars in 21.2.1. The goal symbol for the parse is Pattern[+U, +N].
+      // a. Let parseResult be ParseText(patternText, Pattern[+UnicodeMode, ~UnicodeSetsMode, +NamedCaptureGroups]).
       return parse({ U: true, N: true });
-    } else { // 2. Else
-      // a. Parse patternText using the grammars in 21.2.1. The goal symbol for the parse is Pattern[~U, ~N].
-      //    If the result of parsing contains a GroupName, reparse with the goal symbol Pattern[~U, +N] and use this result instead.
-      const pattern = parse({ U: false, N: false });
-      if (pattern.groupSpecifiers.size > 0) {
+    } else if (surroundingAgent.feature('annex-b')) { // Annex B.1.2.9 replaces step 4:
+      // a. Let parseResult be ParseText(patternText, Pattern[~UnicodeMode, ~UnicodeSetsMode, ~NamedCaptureGroups]).
+      const parseResult = parse({ U: false, N: false });
+      // b. If parseResult is a Parse Node and parseResult contains a GroupName, then
+      if (parseResult.groupSpecifiers.size > 0) {
+        // i. Set parseResult to ParseText(patternText, Pattern[~UnicodeMode, ~UnicodeSetsMode, +NamedCaptureGroups]).
         return parse({ U: false, N: true });
       }
-      return pattern;
+      return parseResult;
+    } else { // 4. Else,
+      // a. Let parseResult be ParseText(patternText, Pattern[~UnicodeMode, ~UnicodeSetsMode, +NamedCaptureGroups]).
+      return parse({ U: false, N: true });
     }
   } catch (e) {
     return [handleError(e)];
@@ -5,6 +5,8 @@ import {
   StringValue,
   IsComputedPropertyKey,
   ContainsArguments,
+  EndsInIterationOrDeclaration,
+  VarScopedDeclarations,
 } from '../static-semantics/all.mjs';
 import {
   Token, TokenPrecedence,
@@ -24,6 +26,9 @@ export class ExpressionParser extends FunctionParser {
   parseExpression() {
     const node = this.startNode();
     const AssignmentExpression = this.parseAssignmentExpression();
+    if (AssignmentExpression.type === 'ThrowExpression' && this.test(Token.COMMA)) {
+      this.raise('ThrowExpressionOperand', AssignmentExpression);
+    }
     if (this.eat(Token.COMMA)) {
       node.ExpressionList = [AssignmentExpression];
       do {
@@ -42,6 +47,7 @@ export class ExpressionParser extends FunctionParser {
   //   LeftHandSideExpression `=` AssignmentExpression
   //   LeftHandSideExpression AssignmentOperator AssignmentExpression
   //   LeftHandSideExpression LogicalAssignmentOperator AssignmentExpression
+  //   PipeExpression
   //
   // AssignmentOperator : one of
   //   *= /= %= += -= <<= >>= >>>= &= ^= |= **=
@@ -108,19 +114,78 @@ export class ExpressionParser extends FunctionParser {
       case Token.ASSIGN_EXP:
       case Token.ASSIGN_AND:
       case Token.ASSIGN_OR:
-      case Token.ASSIGN_NULLISH:
+      case Token.ASSIGN_NULLISH: {
         assignmentInfo.clear();
-        this.validateAssignmentTarget(left);
+        const isLogical = this.test(Token.ASSIGN_AND) || this.test(Token.ASSIGN_OR) || this.test(Token.ASSIGN_NULLISH);
+        this.validateAssignmentTarget(left, !isLogical);
         node.LeftHandSideExpression = left;
         node.AssignmentOperator = this.next().value;
         node.AssignmentExpression = this.parseAssignmentExpression();
         return this.finishNode(node, 'AssignmentExpression');
+      }
+      case Token.PIPELINE:
+        return this.parsePipeExpression(left);
       default:
         return left;
     }
   }
 
-  validateAssignmentTarget(node) {
+  // PipeExpression :
+  //   ShortCircuitExpression `|>` PipeBody
+  //   PipeExpression `|>` PipeBody
+  //
+  // PipeBody :
+  //   ShortCircuitExpression
+  parsePipeExpression(PipeHead) {
+    let result = PipeHead;
+    while (this.test(Token.PIPELINE)) {
+      const node = this.startNode(result);
+      this.next();
+      node.PipeHead = result;
+      if (this.test(Token.YIELD) && this.scope.hasYield()) {
+        this.raise('PipeBodyUnparenthesized');
+      }
+      this.scope.pushPipeBodyInfo();
+      node.PipeBody = this.scope.with({ topic: true }, () => this.parseConditionalExpression());
+      const pipeBodyInfo = this.scope.popPipeBodyInfo();
+      if (node.PipeBody.type === 'ConditionalExpression') {
+        this.raiseEarly('PipeBodyUnparenthesized', node.PipeBody);
+      }
+      switch (this.peek().type) {
+        case Token.ARROW:
+        case Token.ASSIGN:
+        case Token.ASSIGN_MUL:
+        case Token.ASSIGN_DIV:
+        case Token.ASSIGN_MOD:
+        case Token.ASSIGN_ADD:
+        case Token.ASSIGN_SUB:
+        case Token.ASSIGN_SHL:
+        case Token.ASSIGN_SAR:
+        case Token.ASSIGN_SHR:
+        case Token.ASSIGN_BIT_AND:
+        case Token.ASSIGN_BIT_XOR:
+        case Token.ASSIGN_BIT_OR:
+        case Token.ASSIGN_EXP:
+        case Token.ASSIGN_AND:
+        case Token.ASSIGN_OR:
+        case Token.ASSIGN_NULLISH:
+          this.raise('PipeBodyUnparenthesized');
+          break;
+        default:
+          break;
+      }
+      if (!pipeBodyInfo.usesTopic) {
+        this.raiseEarly('PipeBodyMissingTopic', node.PipeBody);
+      }
+      result = this.finishNode(node, 'PipeExpression');
+    }
+    return result;
+  }
+
+  // Annex B.3.9: with allowCall, sloppy mode call expressions are accepted and
+  // throw a ReferenceError at runtime instead. Destructuring patterns and
+  // logical assignments never pass allowCall.
+  validateAssignmentTarget(node, allowCall = false) {
     switch (node.type) {
       case 'IdentifierReference':
         if (this.isStrictMode() && (node.name === 'eval' || node.name === 'arguments')) {
@@ -138,8 +203,13 @@ export class ExpressionParser extends FunctionParser {
         if (node.Expression.type === 'ObjectLiteral' || node.Expression.type === 'ArrayLiteral') {
           break;
         }
-        this.validateAssignmentTarget(node.Expression);
+        this.validateAssignmentTarget(node.Expression, allowCall);
         return;
+      case 'CallExpression':
+        if (allowCall && this.feature('annex-b') && !this.isStrictMode()) {
+          return;
+        }
+        break;
       case 'ArrayLiteral':
         node.ElementList.forEach((p, i) => {
           if (p.type === 'SpreadElement' && (i !== node.ElementList.length - 1 || node.hasTrailingComma)) {
@@ -403,11 +473,15 @@ export class ExpressionParser extends FunctionParser {
   //   `~` UnaryExpression
   //   `!` UnaryExpression
   //   [+Await] AwaitExpression
+  //   ThrowExpression
   parseUnaryExpression() {
     return this.scope.with({ in: true }, () => {
       if (this.test(Token.AWAIT) && this.scope.hasAwait()) {
         return this.parseAwaitExpression();
       }
+      if (this.test(Token.THROW) && this.feature('throw-expressions')) {
+        return this.parseThrowExpression();
+      }
       const node = this.startNode();
       switch (this.peek().type) {
         case Token.DELETE:
@@ -455,6 +529,20 @@ export class ExpressionParser extends FunctionParser {
     return this.finishNode(node, 'AwaitExpression');
   }
 
+  // ThrowExpression : `throw` UnaryExpression
+  parseThrowExpression() {
+    const node = this.startNode();
+    this.expect(Token.THROW);
+    node.UnaryExpression = this.parseUnaryExpression();
+    // A ThrowExpression may not be the left operand of a binary or conditional
+    // operator, because `throw a + b` would otherwise mean `(throw a) + b` in
+    // expression position but `throw (a + b)` in statement position.
+    if (TokenPrecedence[this.peek().type] > 0 || this.test(Token.CONDITIONAL)) {
+      this.raise('ThrowExpressionOperand', node);
+    }
+    return this.finishNode(node, 'ThrowExpression');
+  }
+
   // UpdateExpression :
   //   LeftHandSideExpression
   //   LeftHandSideExpression [no LineTerminator here] `++`
@@ -467,13 +555,13 @@ export class ExpressionParser extends FunctionParser {
       node.operator = this.next().value;
       node.LeftHandSideExpression = null;
       node.UnaryExpression = this.parseUnaryExpression();
-      this.validateAssignmentTarget(node.UnaryExpression);
+      this.validateAssignmentTarget(node.UnaryExpression, true);
       return this.finishNode(node, 'UpdateExpression');
     }
     const argument = this.parseLeftHandSideExpression();
     if (!this.peek().hadLineTerminatorBefore) {
       if (this.test(Token.INC) || this.test(Token.DEC)) {
-        this.validateAssignmentTarget(argument);
+        this.validateAssignmentTarget(argument, true);
         const node = this.startNode();
         node.operator = this.next().value;
         node.LeftHandSideExpression = argument;
@@ -520,7 +608,20 @@ export class ExpressionParser extends FunctionParser {
       case Token.IMPORT: {
         const node = this.startNode();
         this.next();
-        if (this.scope.hasImportMeta() && this.eat(Token.PERIOD)) {
+        if (this.feature('source-phase-imports') && this.test(Token.PERIOD) && this.matches('source', this.peekAhead())) {
+          // `import` `.` `source` `(` AssignmentExpression `,`? `)`
+          if (!allowCalls) {
+            this.unexpected();
+          }
+          this.next();
+          this.next();
+          node.Phase = 'source';
+          this.expect(Token.LPAREN);
+          node.AssignmentExpression = this.parseAssignmentExpression();
+          this.eat(Token.COMMA);
+          this.expect(Token.RPAREN);
+          result = this.finishNode(node, 'ImportCall');
+        } else if (this.scope.hasImportMeta() && this.eat(Token.PERIOD)) {
           this.expect('meta');
           result = this.finishNode(node, 'ImportMeta');
         } else {
@@ -529,6 +630,10 @@ export class ExpressionParser extends FunctionParser {
           }
           this.expect(Token.LPAREN);
           node.AssignmentExpression = this.parseAssignmentExpression();
+          if (this.eat(Token.COMMA) && !this.test(Token.RPAREN)) {
+            node.OptionsExpression = this.parseAssignmentExpression();
+            this.eat(Token.COMMA);
+          }
           this.expect(Token.RPAREN);
           result = this.finishNode(node, 'ImportCall');
         }
@@ -574,7 +679,16 @@ export class ExpressionParser extends FunctionParser {
           if (couldBeArrow) {
             this.scope.pushArrowInfo(true);
           }
+          // `match` [no LineTerminator here] `(`
+          const couldBeMatch = this.feature('pattern-matching')
+            && this.matches('match', this.currentToken)
+            && result.type === 'IdentifierReference'
+            && !this.peek().hadLineTerminatorBefore;
           const { Arguments, trailingComma } = this.parseArguments();
+          if (couldBeMatch && this.test(Token.LBRACE) && !this.peek().hadLineTerminatorBefore) {
+            result = this.parseMatchExpression(node, Arguments, trailingComma);
+            break;
+          }
           node.CallExpression = result;
           node.Arguments = Arguments;
           if (couldBeArrow) {
@@ -679,6 +793,16 @@ export class ExpressionParser extends FunctionParser {
             && !this.peekAhead().hadLineTerminatorBefore) {
           return this.parseFunctionExpression(FunctionKind.ASYNC);
         }
+        // `async` [no LineTerminator here] `do`
+        if (this.feature('do-expressions') && this.test('async') && this.testAhead(Token.DO)
+            && !this.peekAhead().hadLineTerminatorBefore) {
+          return this.parseDoExpression(true);
+        }
+        // `module` [no LineTerminator here] `{`
+        if (this.feature('module-expressions') && this.test('module') && this.testAhead(Token.LBRACE)
+            && !this.peekAhead().hadLineTerminatorBefore) {
+          return this.parseModuleExpression();
+        }
         return this.parseIdentifierReference();
       case Token.THIS: {
         const node = this.startNode();
@@ -702,9 +826,14 @@ export class ExpressionParser extends FunctionParser {
         return this.parseArrayLiteral();
       case Token.LBRACE:
         return this.parseObjectLiteral();
+      case Token.HASH_LBRACK:
+        return this.parseTupleLiteral();
+      case Token.HASH_LBRACE:
+        return this.parseRecordLiteral();
       case Token.FUNCTION:
         return this.parseFunctionExpression(FunctionKind.NORMAL);
       case Token.CLASS:
+      case Token.AT:
         return this.parseClassExpression();
       case Token.TEMPLATE:
         return this.parseTemplateLiteral();
@@ -713,11 +842,360 @@ export class ExpressionParser extends FunctionParser {
         return this.parseRegularExpressionLiteral();
       case Token.LPAREN:
         return this.parseCoverParenthesizedExpressionAndArrowParameterList();
+      case Token.MOD:
+        if (this.feature('hack-pipeline')) {
+          return this.parseTopicReference();
+        }
+        return this.unexpected();
+      case Token.DO:
+        if (this.feature('do-expressions')) {
+          return this.parseDoExpression(false);
+        }
+        return this.unexpected();
       default:
         return this.unexpected();
     }
   }
 
+  // DoExpression :
+  //   `do` Block
+  // AsyncDoExpression :
+  //   `async` [no LineTerminator here] `do` Block
+  parseDoExpression(isAsync) {
+    const node = this.startNode();
+    if (isAsync) {
+      this.expect('async');
+    }
+    this.expect(Token.DO);
+    if (isAsync) {
+      const hadTopLevelAwait = this.state.hasTopLevelAwait;
+      this.scope.arrowInfoStack.push(null);
+      node.Block = this.scope.with({
+        await: true,
+        yield: false,
+        return: false,
+        parameters: false,
+        classStaticBlock: false,
+        label: 'boundary',
+      }, () => this.parseBlock());
+      this.scope.arrowInfoStack.pop();
+      this.state.hasTopLevelAwait = hadTopLevelAwait;
+    } else {
+      node.Block = this.scope.with({ label: 'boundary' }, () => this.parseBlock());
+    }
+    // It is a Syntax Error if EndsInIterationOrDeclaration of Block is true.
+    if (EndsInIterationOrDeclaration(node.Block)) {
+      this.raiseEarly('DoExpressionInvalidEnd', node.Block);
+    }
+    const declarations = VarScopedDeclarations(node.Block);
+    if (declarations.length > 0) {
+      if (this.scope.inParameters()) {
+        this.raiseEarly('DoExpressionVarInParameters', node);
+      } else {
+        this.scope.doExpressionScope().doExpressionDeclarations.push(...declarations);
+      }
+    }
+    return this.finishNode(node, isAsync ? 'AsyncDoExpression' : 'DoExpression');
+  }
+
+  // TopicReference : `%`
+  parseTopicReference() {
+    const node = this.startNode();
+    this.expect(Token.MOD);
+    this.finishNode(node, 'TopicReference');
+    if (this.scope.hasTopic()) {
+      this.scope.pipeBodyInfo.usesTopic = true;
+    } else {
+      this.raiseEarly('TopicReferenceOutsidePipeBody', node);
+    }
+    return node;
+  }
+
+  // MatchExpression :
+  //   CoverCallExpressionAndAsyncArrowHead [no LineTerminator here] `{` MatchExpressionClauses `;`? `}`
+  //
+  // MatchExpressionClauses :
+  //   MatchExpressionClause
+  //   MatchExpressionClauses `;` MatchExpressionClause
+  //
+  // MatchExpressionClause :
+  //   `when` MatchPattern `:` Expression
+  //   `default` `:` Expression
+  parseMatchExpression(node, Arguments, trailingComma) {
+    if (Arguments.length === 0 || trailingComma) {
+      this.raise('UnexpectedToken');
+    }
+    Arguments.forEach((argument) => {
+      if (argument.type === 'AssignmentRestElement') {
+        this.raiseEarly('UnexpectedToken', argument);
+      }
+    });
+    if (Arguments.length === 1) {
+      node.Expression = Arguments[0];
+    } else {
+      const commaOp = this.startNode(Arguments[0]);
+      commaOp.ExpressionList = Arguments;
+      node.Expression = this.finishNode(commaOp, 'CommaOperator');
+    }
+    this.expect(Token.LBRACE);
+    node.MatchExpressionClauses = [];
+    do {
+      const clause = this.startNode();
+      const previous = node.MatchExpressionClauses[node.MatchExpressionClauses.length - 1];
+      if (previous && previous.MatchPattern === null) {
+        this.raiseEarly('MatchDefaultNotLast', previous);
+      }
+      this.scope.with({ lexical: true, in: true }, () => {
+        if (this.eat(Token.DEFAULT)) {
+          clause.MatchPattern = null;
+        } else {
+          this.expect('when');
+          clause.MatchPattern = this.parseMatchPattern();
+        }
+        this.expect(Token.COLON);
+        clause.Expression = this.parseExpression();
+      });
+      node.MatchExpressionClauses.push(this.finishNode(clause, 'MatchExpressionClause'));
+    } while (this.eat(Token.SEMICOLON) && !this.test(Token.RBRACE));
+    this.expect(Token.RBRACE);
+    return this.finishNode(node, 'MatchExpression');
+  }
+
+  // MatchPattern :
+  //   UnaryMatchPattern
+  //   UnaryMatchPattern `and` UnaryMatchPattern ...
+  //   UnaryMatchPattern `or` UnaryMatchPattern ...
+  parseMatchPattern() {
+    const node = this.startNode();
+    const MatchPattern = this.parseUnaryMatchPattern();
+    if (!this.test('and') && !this.test('or')) {
+      return MatchPattern;
+    }
+    node.Operator = this.peek().value;
+    node.MatchPatternList = [MatchPattern];
+    while (this.test('and') || this.test('or')) {
+      if (!this.test(node.Operator)) {
+        this.raise('MatchPatternMixedCombinators');
+      }
+      this.next();
+      node.MatchPatternList.push(this.parseUnaryMatchPattern());
+    }
+    return this.finishNode(node, 'CombinedMatchPattern');
+  }
+
+  // UnaryMatchPattern :
+  //   PrimaryMatchPattern
+  //   `not` UnaryMatchPattern
+  parseUnaryMatchPattern() {
+    if (this.test('not')) {
+      const node = this.startNode();
+      this.next();
+      node.MatchPattern = this.parseUnaryMatchPattern();
+      return this.finishNode(node, 'NotMatchPattern');
+    }
+    return this.parsePrimaryMatchPattern();
+  }
+
+  // PrimaryMatchPattern :
+  //   `(` MatchPattern `)`
+  //   PrimitivePattern
+  //   MatchBindingPattern
+  //   RegularExpressionPattern
+  //   MemberExpressionPattern
+  //   ObjectMatchPattern
+  //   ArrayMatchPattern
+  //   RelationalPattern
+  //   GuardPattern
+  parsePrimaryMatchPattern() {
+    const node = this.startNode();
+    switch (this.peek().type) {
+      case Token.LPAREN: {
+        this.next();
+        const MatchPattern = this.parseMatchPattern();
+        this.expect(Token.RPAREN);
+        return MatchPattern;
+      }
+      case Token.NUMBER:
+      case Token.BIGINT:
+      case Token.STRING:
+      case Token.NULL:
+      case Token.TRUE:
+      case Token.FALSE:
+        node.Literal = this.parsePrimaryExpression();
+        return this.finishNode(node, 'PrimitivePattern');
+      case Token.TEMPLATE:
+        node.Literal = this.parseTemplateLiteral();
+        if (node.Literal.ExpressionList.length > 0) {
+          this.raiseEarly('UnexpectedToken', node.Literal);
+        }
+        return this.finishNode(node, 'PrimitivePattern');
+      case Token.ADD:
+      case Token.SUB:
+        if (!this.testAhead(Token.NUMBER) && !this.testAhead(Token.BIGINT)) {
+          return this.unexpected();
+        }
+        node.Literal = this.parseUnaryExpression();
+        return this.finishNode(node, 'PrimitivePattern');
+      case Token.DIV:
+      case Token.ASSIGN_DIV:
+        node.RegularExpressionLiteral = this.parseRegularExpressionLiteral();
+        node.MatchList = this.test(Token.LPAREN) ? this.parseMatchList(Token.LPAREN, Token.RPAREN) : null;
+        return this.finishNode(node, 'RegularExpressionPattern');
+      case Token.LBRACE:
+        return this.parseObjectMatchPattern();
+      case Token.LBRACK:
+        node.MatchList = this.parseMatchList(Token.LBRACK, Token.RBRACK);
+        return this.finishNode(node, 'ArrayMatchPattern');
+      case Token.LT:
+      case Token.GT:
+      case Token.LTE:
+      case Token.GTE:
+      case Token.EQ:
+      case Token.NE:
+      case Token.EQ_STRICT:
+      case Token.NE_STRICT:
+      case Token.INSTANCEOF:
+      case Token.IN:
+        node.RelationalOperator = this.next().value;
+        node.ShiftExpression = this.parseBinaryExpression(TokenPrecedence[Token.SHL]);
+        return this.finishNode(node, 'RelationalPattern');
+      case Token.IF:
+        this.next();
+        this.expect(Token.LPAREN);
+        node.Expression = this.parseExpression();
+        this.expect(Token.RPAREN);
+        return this.finishNode(node, 'GuardPattern');
+      default:
+        if (this.test('let') || this.test(Token.CONST)) {
+          return this.parseMatchBindingPattern();
+        }
+        return this.parseMemberExpressionPattern();
+    }
+  }
+
+  // MatchBindingPattern :
+  //   `let` BindingIdentifier
+  //   `const` BindingIdentifier
+  parseMatchBindingPattern() {
+    const node = this.startNode();
+    node.LetOrConst = this.next().value;
+    node.BindingIdentifier = this.parseBindingIdentifier();
+    this.scope.declare(node.BindingIdentifier, 'lexical');
+    return this.finishNode(node, 'MatchBindingPattern');
+  }
+
+  // MemberExpressionPattern :
+  //   PatternMatchingMemberExpression
+  //   PatternMatchingMemberExpression `(` MatchList `)`
+  //
+  // PatternMatchingMemberExpression :
+  //   IdentifierReference
+  //   PatternMatchingMemberExpression `.` IdentifierName
+  //   PatternMatchingMemberExpression `.` PrivateIdentifier
+  //   PatternMatchingMemberExpression `[` Expression `]`
+  parseMemberExpressionPattern() {
+    const node = this.startNode();
+    let MemberExpression = this.parseIdentifierReference();
+    while (this.test(Token.PERIOD) || this.test(Token.LBRACK)) {
+      const member = this.startNode(MemberExpression);
+      member.MemberExpression = MemberExpression;
+      if (this.eat(Token.LBRACK)) {
+        member.IdentifierName = null;
+        member.Expression = this.parseExpression();
+        this.expect(Token.RBRACK);
+      } else {
+        this.expect(Token.PERIOD);
+        if (this.test(Token.PRIVATE_IDENTIFIER)) {
+          member.PrivateIdentifier = this.parsePrivateIdentifier();
+          this.scope.checkUndefinedPrivate(member.PrivateIdentifier);
+          member.IdentifierName = null;
+        } else {
+          member.IdentifierName = this.parseIdentifierName();
+          member.PrivateIdentifier = null;
+        }
+        member.Expression = null;
+      }
+      MemberExpression = this.finishNode(member, 'MemberExpression');
+    }
+    node.MemberExpression = MemberExpression;
+    node.MatchList = this.test(Token.LPAREN) ? this.parseMatchList(Token.LPAREN, Token.RPAREN) : null;
+    return this.finishNode(node, 'MemberExpressionPattern');
+  }
+
+  // MatchList :
+  //   MatchElementList? MatchRestPattern?
+  //
+  // MatchRestPattern :
+  //   `...` MatchPattern?
+  parseMatchList(open, close) {
+    const node = this.startNode();
+    this.expect(open);
+    node.MatchElementList = [];
+    node.MatchRestPattern = null;
+    while (!this.eat(close)) {
+      if (this.eat(Token.COMMA)) {
+        node.MatchElementList.push(null);
+        continue;
+      }
+      if (this.test(Token.ELLIPSIS)) {
+        const rest = this.startNode();
+        this.next();
+        rest.MatchPattern = this.test(close) ? null : this.parseMatchPattern();
+        node.MatchRestPattern = this.finishNode(rest, 'MatchRestPattern');
+        this.expect(close);
+        break;
+      }
+      node.MatchElementList.push(this.parseMatchPattern());
+      if (this.eat(close)) {
+        break;
+      }
+      this.expect(Token.COMMA);
+    }
+    return this.finishNode(node, 'MatchList');
+  }
+
+  // ObjectMatchPattern :
+  //   `{` `}`
+  //   `{` MatchPropertyList `,`? `}`
+  //   `{` MatchPropertyList `,` MatchRestPattern `}`
+  //   `{` MatchRestPattern `}`
+  //
+  // MatchProperty :
+  //   PropertyName
+  //   PropertyName `:` MatchPattern
+  //   MatchBindingPattern
+  parseObjectMatchPattern() {
+    const node = this.startNode();
+    this.expect(Token.LBRACE);
+    node.MatchPropertyList = [];
+    node.MatchRestPattern = null;
+    while (!this.eat(Token.RBRACE)) {
+      if (this.test(Token.ELLIPSIS)) {
+        const rest = this.startNode();
+        this.next();
+        rest.MatchPattern = this.test(Token.RBRACE) ? null : this.parseMatchPattern();
+        node.MatchRestPattern = this.finishNode(rest, 'MatchRestPattern');
+        this.expect(Token.RBRACE);
+        break;
+      }
+      const property = this.startNode();
+      if ((this.test('let') || this.test(Token.CONST)) && !this.testAhead(Token.COLON)
+          && !this.testAhead(Token.COMMA) && !this.testAhead(Token.RBRACE)) {
+        property.PropertyName = null;
+        property.MatchPattern = this.parseMatchBindingPattern();
+      } else {
+        property.PropertyName = this.parsePropertyName();
+        property.MatchPattern = this.eat(Token.COLON) ? this.parseMatchPattern() : null;
+      }
+      node.MatchPropertyList.push(this.finishNode(property, 'MatchProperty'));
+      if (this.eat(Token.RBRACE)) {
+        break;
+      }
+      this.expect(Token.COMMA);
+    }
+    return this.finishNode(node, 'ObjectMatchPattern');
+  }
+
   // NumericLiteral
   parseNumericLiteral() {
     const node = this.startNode();
@@ -835,6 +1313,91 @@ export class ExpressionParser extends FunctionParser {
     return this.parseBracketedDefinition('property');
   }
 
+  // TupleLiteral :
+  //   `#[` `]`
+  //   `#[` TupleElementList `]`
+  //   `#[` TupleElementList `,` `]`
+  // TupleElementList :
+  //   AssignmentExpression
+  //   SpreadElement
+  //   TupleElementList `,` AssignmentExpression
+  //   TupleElementList `,` SpreadElement
+  parseTupleLiteral() {
+    const node = this.startNode();
+    this.expect(Token.HASH_LBRACK);
+    node.TupleElementList = [];
+    while (true) {
+      if (this.eat(Token.RBRACK)) {
+        break;
+      }
+      if (this.test(Token.ELLIPSIS)) {
+        const spread = this.startNode();
+        this.next();
+        spread.AssignmentExpression = this.parseAssignmentExpression();
+        node.TupleElementList.push(this.finishNode(spread, 'SpreadElement'));
+      } else {
+        node.TupleElementList.push(this.parseAssignmentExpression());
+      }
+      if (this.eat(Token.RBRACK)) {
+        break;
+      }
+      this.expect(Token.COMMA);
+    }
+    return this.finishNode(node, 'TupleLiteral');
+  }
+
+  // RecordLiteral :
+  //   `#{` `}`
+  //   `#{` RecordPropertyDefinitionList `}`
+  //   `#{` RecordPropertyDefinitionList `,` `}`
+  parseRecordLiteral() {
+    const node = this.startNode();
+    this.expect(Token.HASH_LBRACE);
+    node.RecordPropertyDefinitionList = [];
+    while (true) {
+      if (this.eat(Token.RBRACE)) {
+        break;
+      }
+      node.RecordPropertyDefinitionList.push(this.parseRecordPropertyDefinition());
+      if (this.eat(Token.RBRACE)) {
+        break;
+      }
+      this.expect(Token.COMMA);
+    }
+    return this.finishNode(node, 'RecordLiteral');
+  }
+
+  // RecordPropertyDefinition :
+  //   IdentifierReference
+  //   PropertyName `:` AssignmentExpression
+  //   `...` AssignmentExpression
+  parseRecordPropertyDefinition() {
+    const node = this.startNode();
+    if (this.eat(Token.ELLIPSIS)) {
+      node.PropertyName = null;
+      node.AssignmentExpression = this.parseAssignmentExpression();
+      return this.finishNode(node, 'RecordPropertyDefinition');
+    }
+    const PropertyName = this.parsePropertyName();
+    // It is a Syntax Error if PropName of RecordPropertyDefinition is "__proto__".
+    if (!IsComputedPropertyKey(PropertyName)
+        && PropertyName.type !== 'NumericLiteral'
+        && StringValue(PropertyName).stringValue() === '__proto__') {
+      this.raiseEarly('RecordProtoKey', PropertyName);
+    }
+    if (PropertyName.type === 'IdentifierName'
+        && !this.test(Token.COLON)
+        && !isKeyword(PropertyName.name)) {
+      PropertyName.type = 'IdentifierReference';
+      this.validateIdentifierReference(PropertyName.name, PropertyName);
+      return PropertyName;
+    }
+    this.expect(Token.COLON);
+    node.PropertyName = PropertyName;
+    node.AssignmentExpression = this.parseAssignmentExpression();
+    return this.finishNode(node, 'RecordPropertyDefinition');
+  }
+
   parseFunctionExpression(kind) {
     return this.parseFunction(true, kind);
   }
@@ -868,13 +1431,19 @@ export class ExpressionParser extends FunctionParser {
 
   /** https://tc39.es/ecma262/#sec-class-definitions */
   // ClassDeclaration :
-  //   `class` BindingIdentifier ClassTail
-  //   [+Default] `class` ClassTail
+  //   DecoratorList? `class` BindingIdentifier ClassTail
+  //   [+Default] DecoratorList? `class` ClassTail
   //
   // ClassExpression :
-  //   `class` BindingIdentifier? ClassTail
-  parseClass(isExpression) {
-    const node = this.startNode();
+  //   DecoratorList? `class` BindingIdentifier? ClassTail
+  parseClass(isExpression, DecoratorList) {
+    const node = this.startNode(DecoratorList?.[0]);
+
+    if (DecoratorList) {
+      node.DecoratorList = DecoratorList;
+    } else if (this.test(Token.AT)) {
+      node.DecoratorList = this.parseDecoratorList();
+    }
 
     this.expect(Token.CLASS);
 
@@ -914,6 +1483,7 @@ export class ExpressionParser extends FunctionParser {
       this.scope.with({
         superCall: !!node.ClassHeritage,
         private: true,
+        topic: false,
       }, () => {
         node.ClassBody = [];
         let hasConstructor = false;
@@ -970,6 +1540,10 @@ export class ExpressionParser extends FunctionParser {
             && m.type === 'MethodDefinition'
             && name === 'constructor';
           if (isActualConstructor) {
+            // It is a Syntax Error if ClassElementKind of ClassElement is ConstructorMethod and DecoratorList is present.
+            if (m.DecoratorList) {
+              this.raiseEarly('DecoratorOnConstructor', m.DecoratorList[0]);
+            }
             if (hasConstructor) {
               this.raiseEarly('DuplicateConstructor', m);
             } else {
@@ -990,15 +1564,26 @@ export class ExpressionParser extends FunctionParser {
     return this.finishNode(node, 'ClassTail');
   }
 
+  // ClassElement :
+  //   DecoratorList? MethodDefinition
+  //   DecoratorList? `static` MethodDefinition
+  //   DecoratorList? FieldDefinition `;`
+  //   DecoratorList? `static` FieldDefinition `;`
+  //   ClassStaticBlock
+  //   `;`
   parseClassElement() {
+    let DecoratorList;
+    if (this.test(Token.AT)) {
+      DecoratorList = this.parseDecoratorList();
+    }
     let element;
-    if (this.test('static') && this.testAhead(Token.LBRACE)) {
+    if (!DecoratorList && this.test('static') && this.testAhead(Token.LBRACE)) {
       const node = this.startNode();
       this.expect('static');
       node.static = true;
       this.expect(Token.LBRACE);
       node.ClassStaticBlockBody = this.startNode();
-      node.ClassStaticBlockBody.ClassStaticBlockStatementList = this.scope.with(
+      this.scope.with(
         {
           lexical: true,
           yield: false,
@@ -1010,16 +1595,88 @@ export class ExpressionParser extends FunctionParser {
           label: 'boundary',
           classStaticBlock: true,
         },
-        () => this.parseStatementList(Token.RBRACE),
+        () => {
+          node.ClassStaticBlockBody.ClassStaticBlockStatementList = this.parseStatementList(Token.RBRACE);
+          node.ClassStaticBlockBody.DoExpressionVarScopedDeclarations = this.scope.doExpressionScope().doExpressionDeclarations;
+        },
       );
       this.finishNode(node.ClassStaticBlockBody, 'ClassStaticBlockBody');
       element = this.finishNode(node, 'ClassStaticBlock');
     } else {
       element = this.parseBracketedDefinition('class element');
+      if (DecoratorList) {
+        element.DecoratorList = DecoratorList;
+      }
     }
     return element;
   }
 
+  // DecoratorList :
+  //   DecoratorList? Decorator
+  parseDecoratorList() {
+    if (!this.feature('decorators')) {
+      this.unexpected();
+    }
+    const list = [];
+    while (this.test(Token.AT)) {
+      list.push(this.parseDecorator());
+    }
+    return list;
+  }
+
+  // Decorator :
+  //   `@` DecoratorMemberExpression
+  //   `@` DecoratorParenthesizedExpression
+  //   `@` DecoratorCallExpression
+  //
+  // DecoratorMemberExpression :
+  //   IdentifierReference
+  //   DecoratorMemberExpression `.` IdentifierName
+  //   DecoratorMemberExpression `.` PrivateIdentifier
+  //
+  // DecoratorParenthesizedExpression :
+  //   `(` Expression `)`
+  //
+  // DecoratorCallExpression :
+  //   DecoratorMemberExpression Arguments
+  parseDecorator() {
+    const node = this.startNode();
+    this.expect(Token.AT);
+    if (this.test(Token.LPAREN)) {
+      const inner = this.startNode();
+      this.next();
+      inner.Expression = this.parseExpression();
+      this.expect(Token.RPAREN);
+      node.DecoratorParenthesizedExpression = this.finishNode(inner, 'ParenthesizedExpression');
+      return this.finishNode(node, 'Decorator');
+    }
+    let expression = this.parseIdentifierReference();
+    while (this.test(Token.PERIOD)) {
+      const inner = this.startNode(expression);
+      this.next();
+      inner.MemberExpression = expression;
+      if (this.test(Token.PRIVATE_IDENTIFIER)) {
+        inner.PrivateIdentifier = this.parsePrivateIdentifier();
+        this.scope.checkUndefinedPrivate(inner.PrivateIdentifier);
+        inner.IdentifierName = null;
+      } else {
+        inner.IdentifierName = this.parseIdentifierName();
+        inner.PrivateIdentifier = null;
+      }
+      inner.Expression = null;
+      expression = this.finishNode(inner, 'MemberExpression');
+    }
+    if (this.test(Token.LPAREN)) {
+      const inner = this.startNode(expression);
+      inner.CallExpression = expression;
+      inner.Arguments = this.parseArguments().Arguments;
+      node.DecoratorCallExpression = this.finishNode(inner, 'CallExpression');
+    } else {
+      node.DecoratorMemberExpression = expression;
+    }
+    return this.finishNode(node, 'Decorator');
+  }
+
   parseClassExpression() {
     return this.parseClass(true);
   }
@@ -1094,18 +1751,25 @@ export class ExpressionParser extends FunctionParser {
     node.RegularExpressionBody = this.scannedValue;
     this.scanRegularExpressionFlags();
     node.RegularExpressionFlags = this.scannedValue;
+    if (node.RegularExpressionFlags.includes('u') && node.RegularExpressionFlags.includes('v')) {
+      this.raise('InvalidRegExpFlags', node.location.startIndex + node.RegularExpressionBody.length + 2, node.RegularExpressionFlags);
+    }
     try {
       const parse = (flags) => {
         const p = new RegExpParser(node.RegularExpressionBody);
-        return p.scope(flags, () => p.parsePattern());
+        return p.scope({ ...flags, X: node.RegularExpressionFlags.includes('x') }, () => p.parsePattern());
       };
-      if (node.RegularExpressionFlags.includes('u')) {
+      if (node.RegularExpressionFlags.includes('v')) {
+        parse({ U: true, N: true, V: true });
+      } else if (node.RegularExpressionFlags.includes('u')) {
         parse({ U: true, N: true });
-      } else {
-        const pattern = parse({ U: false, N: false });
-        if (pattern.groupSpecifiers.size > 0) {
+      } else if (this.feature('annex-b')) {
+        // Annex B.1.2.9: only parse with NamedCaptureGroups if the pattern has a GroupName.
+        if (parse({ U: false, N: false }).groupSpecifiers.size > 0) {
           parse({ U: false, N: true });
         }
+      } else {
+        parse({ U: false, N: true });
       }
     } catch (e) {
       if (e instanceof SyntaxError) {
@@ -1288,6 +1952,27 @@ export class ExpressionParser extends FunctionParser {
         node.static = this.eat('static');
         this.markNodeStart(node);
       }
+      // FieldDefinition :
+      //   `accessor` [no LineTerminator here] ClassElementName Initializer?
+      if (!firstFirstName
+          && this.feature('decorators')
+          && this.test('accessor')
+          && !this.peekAhead().hadLineTerminatorBefore
+          && !this.testAhead(Token.ASSIGN)
+          && !this.testAhead(Token.LPAREN)
+          && !isAutomaticSemicolon(this.peekAhead().type)) {
+        this.next();
+        node.accessor = true;
+        node.ClassElementName = this.parseClassElementName();
+        node.Initializer = this.scope.with({ superProperty: true }, () => this.parseInitializerOpt());
+        const argumentNode = node.Initializer && ContainsArguments(node.Initializer);
+        if (argumentNode) {
+          this.raiseEarly('UnexpectedToken', argumentNode);
+        }
+        this.finishNode(node, 'FieldDefinition');
+        this.semicolon();
+        return node;
+      }
     }
 
     let isGenerator = this.eat(Token.MUL);
@@ -1375,6 +2060,7 @@ export class ExpressionParser extends FunctionParser {
       await: isAsync,
       yield: isGenerator,
       classStaticBlock: false,
+      topic: false,
     }, () => {
       if (isSpecialMethod && isGetter) {
         this.expect(Token.LPAREN);
@@ -46,7 +46,7 @@ export class FunctionParser extends IdentifierParser {
         node.BindingIdentifier = this.parseBindingIdentifier();
       });
       if (!isExpression) {
-        this.scope.declare(node.BindingIdentifier, 'function');
+        this.scope.declare(node.BindingIdentifier, 'function', isAsync || isGenerator ? undefined : 'plain');
       }
     } else if (isExpression === false && !this.scope.isDefault()) {
       this.unexpected();
@@ -63,6 +63,7 @@ export class FunctionParser extends IdentifierParser {
       variableFunctions: true,
       parameters: false,
       classStaticBlock: false,
+      topic: false,
     }, () => {
       this.scope.arrowInfoStack.push(null);
 
@@ -266,6 +267,7 @@ export class FunctionParser extends IdentifierParser {
       exprBody.AssignmentExpression = this.parseAssignmentExpression();
     });
     asyncBody.ExpressionBody = this.finishNode(exprBody, 'ExpressionBody');
+    asyncBody.DoExpressionVarScopedDeclarations = this.scope.doExpressionScope().doExpressionDeclarations;
     return this.finishNode(asyncBody, `${isAsync ? 'Async' : ''}ConciseBody`);
   }
 
@@ -323,6 +325,7 @@ export class FunctionParser extends IdentifierParser {
       node.FunctionStatementList = this.parseStatementList(Token.RBRACE, node.directives);
       node.strict = node.strict || node.directives.includes('use strict');
     });
+    node.DoExpressionVarScopedDeclarations = this.scope.doExpressionScope().doExpressionDeclarations;
     const name = `${isAsync ? 'Async' : ''}${isGenerator ? 'Generator' : 'Function'}Body`;
     return this.finishNode(node, name);
   }
@@ -1,6 +1,7 @@
 // @ts-nocheck
 import { ModuleParser } from './ModuleParser.mjs';
 import { Token } from './tokens.mjs';
+import { Scope } from './Scope.mjs';
 
 export class LanguageParser extends ModuleParser {
   // Script : ScriptBody?
@@ -27,6 +28,7 @@ export class LanguageParser extends ModuleParser {
       const directives = [];
       node.StatementList = this.parseStatementList(Token.EOS, directives);
       node.strict = directives.includes('use strict');
+      node.DoExpressionVarScopedDeclarations = this.scope.doExpressionScope().doExpressionDeclarations;
     });
     return this.finishNode(node, 'ScriptBody');
   }
@@ -47,21 +49,94 @@ export class LanguageParser extends ModuleParser {
       if (this.eat(Token.EOS)) {
         node.ModuleBody = null;
       } else {
-        node.ModuleBody = this.parseModuleBody();
+        node.ModuleBody = this.parseModuleBody(Token.EOS);
       }
-      this.scope.undefinedExports.forEach((importNode, name) => {
-        this.raiseEarly('ModuleUndefinedExport', importNode, name);
-      });
-      node.hasTopLevelAwait = this.state.hasTopLevelAwait;
-      return this.finishNode(node, 'Module');
+      return this.finishModule(node);
     });
   }
 
+  // ModuleExpression :
+  //   `module` [no LineTerminator here] `{` ModuleBody? `}`
+  parseModuleExpression() {
+    const node = this.startNode();
+    this.expect('module');
+    node.Module = this.parseInlineModule();
+    return this.finishNode(node, 'ModuleExpression');
+  }
+
+  // ModuleDeclaration :
+  //   `module` [no LineTerminator here] BindingIdentifier [no LineTerminator here] `{` ModuleBody? `}`
+  parseModuleDeclaration() {
+    const node = this.startNode();
+    this.expect('module');
+    node.BindingIdentifier = this.parseBindingIdentifier();
+    if (this.peek().hadLineTerminatorBefore) {
+      this.unexpected();
+    }
+    this.scope.declare(node.BindingIdentifier, 'lexical');
+    // Only module declarations at the top level of a module can be imported from.
+    if (this.scope.isModule() && this.scope.lexicalScope() === this.scope.scopeStack[0]) {
+      this.scope.moduleDeclarations.set(node.BindingIdentifier.name, node);
+    }
+    node.Module = this.parseInlineModule();
+    return this.finishNode(node, 'ModuleDeclaration');
+  }
+
+  // The body of a module expression or declaration does not close over its
+  // surroundings, so it is parsed with a fresh Scope. Only references to module
+  // declarations may escape it, and those are resolved by the enclosing module.
+  parseInlineModule() {
+    const outerScope = this.scope;
+    const hadTopLevelAwait = this.state.hasTopLevelAwait;
+    this.scope = new Scope(this, outerScope);
+    this.state.hasTopLevelAwait = false;
+    const node = this.scope.with({
+      module: true,
+      strict: true,
+      in: true,
+      importMeta: true,
+      await: true,
+      lexical: true,
+      variable: true,
+    }, () => {
+      const inner = this.startNode();
+      this.expect(Token.LBRACE);
+      if (this.eat(Token.RBRACE)) {
+        inner.ModuleBody = null;
+      } else {
+        inner.ModuleBody = this.parseModuleBody(Token.RBRACE);
+      }
+      return this.finishModule(inner);
+    });
+    this.scope = outerScope;
+    this.state.hasTopLevelAwait = hadTopLevelAwait;
+    return node;
+  }
+
+  finishModule(node) {
+    this.scope.undefinedExports.forEach((importNode, name) => {
+      this.raiseEarly('ModuleUndefinedExport', importNode, name);
+    });
+    this.scope.moduleDeclarationReferences.forEach((reference) => {
+      const declaration = this.scope.moduleDeclarations.get(reference.name);
+      if (declaration !== undefined) {
+        reference.ModuleDeclaration = declaration;
+      } else if (this.scope.outer?.isModule()) {
+        this.scope.outer.moduleDeclarationReferences.push(reference);
+      } else {
+        this.raiseEarly('ModuleDeclarationNotFound', reference, reference.name);
+      }
+    });
+    node.hasTopLevelAwait = this.state.hasTopLevelAwait;
+    return this.finishNode(node, 'Module');
+  }
+
   // ModuleBody :
   //   ModuleItemList
-  parseModuleBody() {
+  parseModuleBody(end) {
     const node = this.startNode();
-    node.ModuleItemList = this.parseModuleItemList();
+    node.ModuleItemList = this.parseModuleItemList(end);
+    node.DoExpressionVarScopedDeclarations = this.scope.doExpressionScope().doExpressionDeclarations;
     return this.finishNode(node, 'ModuleBody');
   }
 
@@ -73,9 +148,9 @@ export class LanguageParser extends ModuleParser {
   //   ImportDeclaration
   //   ExportDeclaration
   //   StatementListItem
-  parseModuleItemList() {
+  parseModuleItemList(end) {
     const moduleItemList = [];
-    while (!this.eat(Token.EOS)) {
+    while (!this.eat(end)) {
       switch (this.peek().type) {
         case Token.IMPORT:
           moduleItemList.push(this.parseImportDeclaration());
@@ -83,6 +158,15 @@ export class LanguageParser extends ModuleParser {
         case Token.EXPORT:
           moduleItemList.push(this.parseExportDeclaration());
           break;
+        case Token.AT: {
+          const DecoratorList = this.parseDecoratorList();
+          if (this.test(Token.EXPORT)) {
+            moduleItemList.push(this.parseExportDeclaration(DecoratorList));
+          } else {
+            moduleItemList.push(this.parseClassDeclaration(DecoratorList));
+          }
+          break;
+        }
         default:
           moduleItemList.push(this.parseStatementListItem());
           break;
@@ -120,12 +120,14 @@ const SingleCharTokens = {
   '"': Token.STRING,
   '\'': Token.STRING,
   '#': Token.PRIVATE_IDENTIFIER,
+  '@': Token.AT,
 };
 
 export class Lexer {
   currentToken;
   peekToken;
   peekAheadToken;
+  peekAheadAheadToken;
 
   position = 0;
   line = 1;
@@ -158,7 +160,8 @@ export class Lexer {
     this.currentToken = this.peekToken;
     if (this.peekAheadToken !== undefined) {
       this.peekToken = this.peekAheadToken;
-      this.peekAheadToken = undefined;
+      this.peekAheadToken = this.peekAheadAheadToken;
+      this.peekAheadAheadToken = undefined;
     } else {
       this.peekToken = this.advance();
     }
@@ -180,6 +183,14 @@ export class Lexer {
     return this.peekAheadToken;
   }
 
+  peekAheadAhead() {
+    if (this.peekAheadAheadToken === undefined) {
+      this.peekAhead();
+      this.peekAheadAheadToken = this.advance();
+    }
+    return this.peekAheadAheadToken;
+  }
+
   matches(token, peek) {
     if (typeof token === 'string') {
       if (peek.type === Token.IDENTIFIER && peek.value === token) {
@@ -239,6 +250,28 @@ export class Lexer {
               break loop; // eslint-disable-line no-labels
           }
           break;
+        case '<':
+          // https://tc39.es/ecma262/#sec-html-like-comments
+          // SingleLineHTMLOpenComment :: `<!--` SingleLineCommentChars?
+          if (this.source.startsWith('<!--', this.position) && this.isHTMLLikeCommentAllowed()) {
+            this.skipLineComment();
+          } else {
+            break loop; // eslint-disable-line no-labels
+          }
+          break;
+        case '-':
+          // https://tc39.es/ecma262/#sec-html-like-comments
+          // SingleLineHTMLCloseComment :: LineTerminatorSequence HTMLCloseComment
+          // InputElementHashbangOrRegExp :: HTMLCloseComment
+          // The latter applies at the start of the input, before the first token.
+          if ((this.lineTerminatorBeforeNextToken || (this.currentToken === undefined && this.peekToken === undefined))
+              && this.source.startsWith('-->', this.position)
+              && this.isHTMLLikeCommentAllowed()) {
+            this.skipLineComment();
+          } else {
+            break loop; // eslint-disable-line no-labels
+          }
+          break;
         default:
           if (isWhitespace(c)) {
             this.position += 1;
@@ -259,6 +292,10 @@ export class Lexer {
     }
   }
 
+  isHTMLLikeCommentAllowed() {
+    return this.feature('annex-b') && !this.scope.isModule();
+  }
+
   skipHashbangComment() {
     if (this.position === 0
         && this.source[0] === '#'
@@ -326,6 +363,7 @@ export class Lexer {
         case Token.COMMA:
         case Token.BIT_NOT:
         case Token.TEMPLATE:
+        case Token.AT:
           return single;
 
         case Token.CONDITIONAL:
@@ -485,7 +523,11 @@ export class Lexer {
           return Token.BIT_AND;
 
         case Token.BIT_OR:
-          // | || |= ||=
+          // | || |= ||= |>
+          if (c1 === '>' && this.feature('hack-pipeline')) {
+            this.position += 1;
+            return Token.PIPELINE;
+          }
           if (c1 === '|') {
             this.position += 1;
             if (this.source[this.position] === '=') {
@@ -534,6 +576,11 @@ export class Lexer {
           return this.scanIdentifierOrKeyword();
 
         case Token.PRIVATE_IDENTIFIER:
+          // #{ #[ #identifier
+          if ((c1 === '{' || c1 === '[') && this.feature('record-tuple')) {
+            this.position += 1;
+            return c1 === '{' ? Token.HASH_LBRACE : Token.HASH_LBRACK;
+          }
           return this.scanIdentifierOrKeyword(true);
 
         default:
@@ -887,7 +934,7 @@ export class Lexer {
       }
       const c = this.source[this.position];
       if (isRegularExpressionFlagPart(c)
-          && 'dgimsuy'.includes(c)
+          && ('dgimsuvy'.includes(c) || (c === 'x' && this.feature('regexp-x-mode')))
           && !buffer.includes(c)) {
         this.position += 1;
         buffer += c;
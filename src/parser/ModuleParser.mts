@@ -6,8 +6,10 @@ import { FunctionKind } from './FunctionParser.mjs';
 
 export class ModuleParser extends StatementParser {
   // ImportDeclaration :
-  //   `import` ImportClause FromClause `;`
-  //   `import` ModuleSpecifier `;`
+  //   `import` ImportClause FromClause WithClause? `;`
+  //   `import` `defer` NameSpaceImport FromClause WithClause? `;`
+  //   `import` `source` ImportedBinding FromClause WithClause? `;`
+  //   `import` ModuleSpecifier WithClause? `;`
   parseImportDeclaration() {
     if (this.testAhead(Token.PERIOD) || this.testAhead(Token.LPAREN)) {
       // `import` `(`
@@ -18,11 +20,32 @@ export class ModuleParser extends StatementParser {
     this.next();
     if (this.test(Token.STRING)) {
       node.ModuleSpecifier = this.parsePrimaryExpression();
+    } else if (this.feature('import-defer') && this.test('defer') && this.testAhead(Token.MUL)) {
+      // `import` `defer` NameSpaceImport FromClause WithClause? `;`
+      this.next();
+      node.Phase = 'defer';
+      const clause = this.startNode();
+      clause.NameSpaceImport = this.parseNameSpaceImport();
+      node.ImportClause = this.finishNode(clause, 'ImportClause');
+      this.scope.declare(node.ImportClause, 'import');
+      node.FromClause = this.parseFromClause();
+    } else if (this.feature('source-phase-imports') && this.test('source') && this.testAhead(Token.IDENTIFIER)
+               && (!this.testAhead('from') || this.matches('from', this.peekAheadAhead()))) {
+      // `import` `source` ImportedBinding FromClause WithClause? `;`
+      // `import source from "x"` is a default import of `source`.
+      this.next();
+      node.Phase = 'source';
+      node.ImportedBinding = this.parseBindingIdentifier();
+      this.scope.declare(node.ImportedBinding, 'import');
+      node.FromClause = this.parseFromClause();
     } else {
       node.ImportClause = this.parseImportClause();
       this.scope.declare(node.ImportClause, 'import');
       node.FromClause = this.parseFromClause();
     }
+    if (this.test(Token.WITH)) {
+      node.WithClause = this.parseWithClause();
+    }
     this.semicolon();
     return this.finishNode(node, 'ImportDeclaration');
   }
@@ -113,29 +136,39 @@ export class ModuleParser extends StatementParser {
   }
 
   // ExportDeclaration :
-  //   `export` ExportFromClause FromClause `;`
+  //   `export` ExportFromClause FromClause WithClause? `;`
   //   `export` NamedExports `;`
   //   `export` VariableStatement
   //   `export` Declaration
   //   `export` `default` HoistableDeclaration
   //   `export` `default` ClassDeclaration
   //   `export` `default` AssignmentExpression `;`
+  //   DecoratorList `export` ClassDeclaration
+  //   DecoratorList `export` `default` ClassDeclaration
   //
   // ExportFromClause :
   //   `*`
   //   `*` as ModuleExportName
   //   NamedExports
-  parseExportDeclaration() {
-    const node = this.startNode();
+  parseExportDeclaration(DecoratorList) {
+    const node = this.startNode(DecoratorList?.[0]);
     this.expect(Token.EXPORT);
     node.default = this.eat(Token.DEFAULT);
+    if (DecoratorList && !this.test(Token.CLASS)) {
+      // Decorators may not appear both before and after `export`.
+      this.unexpected();
+    }
     if (node.default) {
       switch (this.peek().type) {
         case Token.FUNCTION:
           node.HoistableDeclaration = this.scope.with({ default: true }, () => this.parseFunctionDeclaration(FunctionKind.NORMAL));
           break;
         case Token.CLASS:
+        case Token.AT:
           node.ClassDeclaration = this.scope.with({ default: true }, () => this.parseClassDeclaration());
+          if (DecoratorList) {
+            node.ClassDeclaration.DecoratorList = DecoratorList;
+          }
           break;
         default:
           if (this.test('async') && this.testAhead(Token.FUNCTION) && !this.peekAhead().hadLineTerminatorBefore) {
@@ -158,7 +191,11 @@ export class ModuleParser extends StatementParser {
           this.scope.declare(node.Declaration, 'export');
           break;
         case Token.CLASS:
+        case Token.AT:
           node.Declaration = this.parseClassDeclaration();
+          if (DecoratorList) {
+            node.Declaration.DecoratorList = DecoratorList;
+          }
           this.scope.declare(node.Declaration, 'export');
           break;
         case Token.FUNCTION:
@@ -174,6 +211,9 @@ export class ModuleParser extends StatementParser {
           if (this.test('from')) {
             node.ExportFromClause = NamedExports;
             node.FromClause = this.parseFromClause();
+            if (this.test(Token.WITH)) {
+              node.WithClause = this.parseWithClause();
+            }
           } else {
             NamedExports.ExportsList.forEach((n) => {
               if (n.localName.type === 'StringLiteral') {
@@ -195,6 +235,9 @@ export class ModuleParser extends StatementParser {
           }
           node.ExportFromClause = this.finishNode(inner, 'ExportFromClause');
           node.FromClause = this.parseFromClause();
+          if (this.test(Token.WITH)) {
+            node.WithClause = this.parseWithClause();
+          }
           this.semicolon();
           break;
         }
@@ -205,6 +248,9 @@ export class ModuleParser extends StatementParser {
           } else if (this.test('async') && this.testAhead(Token.FUNCTION) && !this.peekAhead().hadLineTerminatorBefore) {
             node.Declaration = this.parseHoistableDeclaration();
             this.scope.declare(node.Declaration, 'export');
+          } else if (this.isModuleDeclarationStart()) {
+            node.Declaration = this.parseModuleDeclaration();
+            this.scope.declare(node.Declaration, 'export');
           } else {
             this.unexpected();
           }
@@ -262,8 +308,53 @@ export class ModuleParser extends StatementParser {
 
   // FromClause :
   //   `from` ModuleSpecifier
+  //   `from` IdentifierReference
   parseFromClause() {
     this.expect('from');
+    if (this.feature('module-declarations') && !this.test(Token.STRING)) {
+      const reference = this.parseIdentifierReference();
+      this.scope.moduleDeclarationReferences.push(reference);
+      return reference;
+    }
     return this.parseStringLiteral();
   }
+
+  // WithClause :
+  //   `with` `{` `}`
+  //   `with` `{` WithEntries `,`? `}`
+  //
+  // WithEntries :
+  //   AttributeKey `:` StringLiteral
+  //   AttributeKey `:` StringLiteral `,` WithEntries
+  //
+  // AttributeKey :
+  //   IdentifierName
+  //   StringLiteral
+  parseWithClause() {
+    const node = this.startNode();
+    this.expect(Token.WITH);
+    this.expect(Token.LBRACE);
+    node.WithEntries = [];
+    const keys = new Set();
+    while (!this.eat(Token.RBRACE)) {
+      const entry = this.startNode();
+      entry.AttributeKey = this.test(Token.STRING)
+        ? this.parseStringLiteral()
+        : this.parseIdentifierName();
+      const key = StringValue(entry.AttributeKey);
+      if (keys.has(key.stringValue())) {
+        this.raiseEarly('DuplicateImportAttribute', entry.AttributeKey, key);
+      } else {
+        keys.add(key.stringValue());
+      }
+      this.expect(Token.COLON);
+      entry.StringLiteral = this.parseStringLiteral();
+      node.WithEntries.push(this.finishNode(entry, 'ImportAttribute'));
+      if (this.eat(Token.RBRACE)) {
+        break;
+      }
+      this.expect(Token.COMMA);
+    }
+    return this.finishNode(node, 'WithClause');
+  }
 }
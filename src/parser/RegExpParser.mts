@@ -1,12 +1,15 @@
 // @ts-nocheck
+import { surroundingAgent } from '../engine.mjs';
 import {
   BinaryUnicodeProperties,
+  BinaryUnicodePropertiesOfStrings,
   NonbinaryUnicodeProperties,
   UnicodeGeneralCategoryValues,
   UnicodeScriptValues,
 } from '../runtime-semantics/all.mjs';
 import {
   CharacterValue,
+  MayContainStrings,
   UTF16SurrogatePairToCodePoint,
 } from '../static-semantics/all.mjs';
 import {
@@ -15,24 +18,42 @@ import {
   isLeadingSurrogate,
   isTrailingSurrogate,
   isHexDigit,
+  isLineTerminator,
+  isWhitespace,
 } from './Lexer.mjs';
 
 const isSyntaxCharacter = (c) => '^$\\.*+?()[]{}|'.includes(c);
 const isClosingSyntaxCharacter = (c) => ')]}|'.includes(c);
 const isDecimalDigit = (c) => /[0123456789]/u.test(c);
 const isControlLetter = (c) => /[a-zA-Z]/u.test(c);
+const isOctalDigit = (c) => /[01234567]/u.test(c);
 const isIdentifierContinue = (c) => c && /\p{ID_Continue}/u.test(c);
+const isClassSetSyntaxCharacter = (c) => '()[]{}/-\\|'.includes(c);
+const isClassSetReservedPunctuator = (c) => '&-!#%,:;<=>@`~'.includes(c);
+const isClassSetReservedDoublePunctuatorCharacter = (c) => '&!#$%*+,.:;<=>?@^`~'.includes(c);
+
+/** https://tc39.es/ecma262/#sec-mightbothparticipate */
+// Each path lists the Disjunctions enclosing a GroupSpecifier, and whether
+// the GroupSpecifier is within the Alternative or the derived Disjunction.
+function MightBothParticipate(x, y) {
+  return !x.some((a) => y.some((b) => a.Disjunction === b.Disjunction && a.Alternative !== b.Alternative));
+}
 
 const PLUS_U = 1 << 0;
 const PLUS_N = 1 << 1;
+const PLUS_V = 1 << 2;
+const PLUS_X = 1 << 3;
 
 export class RegExpParser {
   source;
   position = 0;
   capturingGroups = [];
   groupSpecifiers = new Map();
+  groupSpecifierPaths = new Map();
+  disjunctionPath = [];
   decimalEscapes = [];
   groupNameRefs = [];
+  totalCapturingGroups = undefined;
   state = 0;
   constructor(source) {
     this.source = source;
@@ -53,6 +74,18 @@ export class RegExpParser {
       this.state &= ~PLUS_N;
     }
 
+    if (flags.V === true) {
+      this.state |= PLUS_V;
+    } else if (flags.V === false) {
+      this.state &= ~PLUS_V;
+    }
+
+    if (flags.X === true) {
+      this.state |= PLUS_X;
+    } else if (flags.X === false) {
+      this.state &= ~PLUS_X;
+    }
+
     const r = f();
 
     this.state = oldState;
@@ -68,6 +101,19 @@ export class RegExpParser {
     return (this.state & PLUS_N) === PLUS_N;
   }
 
+  get plusV() {
+    return (this.state & PLUS_V) === PLUS_V;
+  }
+
+  get plusX() {
+    return (this.state & PLUS_X) === PLUS_X;
+  }
+
+  // Annex B.1.2 extends the pattern grammar when not in Unicode mode.
+  get annexB() {
+    return !this.plusU && surroundingAgent.feature('annex-b');
+  }
+
   raise(message, position = this.position) {
     const e = new SyntaxError(message);
     e.position = position;
@@ -102,6 +148,62 @@ export class RegExpParser {
     }
   }
 
+  // In Annex B.1.2, `]` and `}` are ExtendedPatternCharacters instead.
+  testClosingSyntaxCharacter() {
+    const c = this.peek();
+    return isClosingSyntaxCharacter(c) && !(this.annexB && (c === ']' || c === '}'));
+  }
+
+  testBracedQuantifier() {
+    return /^\{[0123456789]+(?:,[0123456789]*)?\}/u.test(this.source.slice(this.position));
+  }
+
+  // CountLeftCapturingParensWithin(pattern), which Annex B needs before the
+  // whole pattern has been parsed to tell backreferences from octal escapes.
+  countCapturingGroups() {
+    if (this.totalCapturingGroups === undefined) {
+      let count = 0;
+      let inClass = false;
+      for (let i = 0; i < this.source.length; i += 1) {
+        const c = this.source[i];
+        if (c === '\\') {
+          i += 1;
+        } else if (inClass) {
+          inClass = c !== ']';
+        } else if (c === '[') {
+          inClass = true;
+        } else if (c === '(') {
+          if (this.source[i + 1] !== '?'
+              || (this.source[i + 2] === '<' && this.source[i + 3] !== '=' && this.source[i + 3] !== '!')) {
+            count += 1;
+          }
+        }
+      }
+      this.totalCapturingGroups = count;
+    }
+    return this.totalCapturingGroups;
+  }
+
+  // In extended mode, whitespace and `#` comments outside of
+  // character classes are not part of the pattern.
+  skipExtendedModeWhitespace() {
+    if (!this.plusX) {
+      return;
+    }
+    while (this.position < this.source.length) {
+      const c = this.peek();
+      if (isWhitespace(c) || isLineTerminator(c)) {
+        this.position += 1;
+      } else if (c === '#') {
+        while (this.position < this.source.length && !isLineTerminator(this.peek())) {
+          this.position += 1;
+        }
+      } else {
+        break;
+      }
+    }
+  }
+
   // Pattern ::
   //   Disjunction
   parsePattern() {
@@ -137,9 +239,13 @@ export class RegExpParser {
       Alternative: undefined,
       Disjunction: undefined,
     };
+    this.disjunctionPath.push({ Disjunction: node, Alternative: true });
     node.Alternative = this.parseAlternative();
+    this.disjunctionPath.pop();
     if (this.eat('|')) {
+      this.disjunctionPath.push({ Disjunction: node, Alternative: false });
       node.Disjunction = this.parseDisjunction();
+      this.disjunctionPath.pop();
     }
     return node;
   }
@@ -154,13 +260,15 @@ export class RegExpParser {
       Term: undefined,
       Alternative: undefined,
     };
+    this.skipExtendedModeWhitespace();
     while (this.position < this.source.length
-           && !isClosingSyntaxCharacter(this.peek())) {
+           && !this.testClosingSyntaxCharacter()) {
       node = {
         type: 'Alternative',
         Term: this.parseTerm(),
         Alternative: node,
       };
+      this.skipExtendedModeWhitespace();
     }
     return node;
   }
@@ -169,17 +277,38 @@ export class RegExpParser {
   //   Assertion
   //   Atom
   //   Atom Quantifier
+  //   [~UnicodeMode] QuantifiableAssertion Quantifier (Annex B.1.2)
+  // QuantifiableAssertion ::
+  //   `(` `?` `=` Disjunction `)`
+  //   `(` `?` `!` Disjunction `)`
   parseTerm() {
+    const capturingParenthesesBefore = this.capturingGroups.length;
     const assertion = this.maybeParseAssertion();
     if (assertion) {
+      if (this.annexB && (assertion.subtype === '?=' || assertion.subtype === '?!')) {
+        this.skipExtendedModeWhitespace();
+        const Quantifier = this.maybeParseQuantifier();
+        if (Quantifier) {
+          assertion.enclosedCapturingParentheses = this.capturingGroups.length - capturingParenthesesBefore;
+          return {
+            type: 'Term',
+            capturingParenthesesBefore,
+            Atom: assertion,
+            Quantifier,
+          };
+        }
+      }
       return assertion;
     }
-    return {
+    const node = {
       type: 'Term',
       capturingParenthesesBefore: this.capturingGroups.length,
       Atom: this.parseAtom(),
-      Quantifier: this.maybeParseQuantifier(),
+      Quantifier: undefined,
     };
+    this.skipExtendedModeWhitespace();
+    node.Quantifier = this.maybeParseQuantifier();
+    return node;
   }
 
   // Assertion ::
@@ -187,6 +316,9 @@ export class RegExpParser {
   //   `$`
   //   `\` `b`
   //   `\` `B`
+  //   [+UnicodeMode] `\` `A`
+  //   [+UnicodeMode] `\` `z`
+  //   [+UnicodeMode] `\` `Z`
   //   `(` `?` `=` Disjunction `)`
   //   `(` `?` `!` Disjunction `)`
   //   `(` `?` `<=` Disjunction `)`
@@ -208,6 +340,11 @@ export class RegExpParser {
       this.position += 2;
       return { type: 'Assertion', subtype: 'B' };
     }
+    if (this.plusU && surroundingAgent.feature('regexp-buffer-boundaries')
+        && (look2 === '\\A' || look2 === '\\z' || look2 === '\\Z')) {
+      this.position += 2;
+      return { type: 'Assertion', subtype: look2[1] };
+    }
 
     const look3 = this.source.slice(this.position, this.position + 3);
     if (look3 === '(?=') {
@@ -266,6 +403,8 @@ export class RegExpParser {
   //   `{` DecimalDigits `}`
   //   `{` DecimalDigits `,` `}`
   //   `{` DecimalDigits `,` DecimalDigits `}`
+  //
+  // In Annex B.1.2, a `{` that does not start one of these is an ExtendedPatternCharacter.
   maybeParseQuantifier() {
     let QuantifierPrefix;
 
@@ -275,7 +414,7 @@ export class RegExpParser {
       QuantifierPrefix = '+';
     } else if (this.eat('?')) {
       QuantifierPrefix = '?';
-    } else if (this.eat('{')) {
+    } else if ((!this.annexB || this.testBracedQuantifier()) && this.eat('{')) {
       QuantifierPrefix = {
         DecimalDigits_a: undefined,
         DecimalDigits_b: undefined,
@@ -311,12 +450,25 @@ export class RegExpParser {
   //   `\` AtomEscape
   //   CharacterClass
   //   `(` GroupSpecifier Disjunction `)`
-  //   `(` `?` `:` Disjunction `)`
+  //   `(` `?` RegularExpressionModifiers `:` Disjunction `)`
+  //   `(` `?` RegularExpressionModifiers `-` RegularExpressionModifiers `:` Disjunction `)`
+  //
+  // Annex B.1.2 replaces Atom with ExtendedAtom when not in Unicode mode:
+  // ExtendedAtom ::
+  //   ...
+  //   `\` [lookahead = `c`]
+  //   InvalidBracedQuantifier
+  //   ExtendedPatternCharacter
+  // ExtendedPatternCharacter ::
+  //   SourceCharacter but not one of `^` `$` `\` `.` `*` `+` `?` `(` `)` `[` `|`
   parseAtom() {
     if (this.eat('.')) {
       return { type: 'Atom', subtype: '.', enclosedCapturingParentheses: 0 };
     }
     if (this.eat('\\')) {
+      if (this.annexB && this.test('c') && !isControlLetter(this.source[this.position + 1] || '')) {
+        return { type: 'Atom', PatternCharacter: '\\' };
+      }
       return this.parseAtomEscape();
     }
     if (this.eat('(')) {
@@ -326,23 +478,46 @@ export class RegExpParser {
         enclosedCapturingParentheses: 0,
         capturing: true,
         GroupSpecifier: undefined,
+        RegularExpressionModifiers_a: undefined,
+        RegularExpressionModifiers_b: undefined,
         Disjunction: undefined,
       };
       if (this.eat('?')) {
-        if (this.eat(':')) {
-          node.capturing = false;
-        } else {
+        if (this.test('<')) {
           node.GroupSpecifier = this.parseGroupName();
+        } else {
+          node.capturing = false;
+          const position = this.position;
+          node.RegularExpressionModifiers_a = this.parseRegularExpressionModifiers();
+          if (this.eat('-')) {
+            node.RegularExpressionModifiers_b = this.parseRegularExpressionModifiers();
+            if (node.RegularExpressionModifiers_a === '' && node.RegularExpressionModifiers_b === '') {
+              this.raise('Expected a modifier to add or remove', position);
+            }
+            for (const c of node.RegularExpressionModifiers_a) {
+              if (node.RegularExpressionModifiers_b.includes(c)) {
+                this.raise(`Modifier '${c}' cannot be both added and removed`, position);
+              }
+            }
+          }
+          this.expect(':');
         }
       }
       if (node.capturing) {
         this.capturingGroups.push(node);
       }
       if (node.GroupSpecifier) {
+        const path = [...this.disjunctionPath];
         if (this.groupSpecifiers.has(node.GroupSpecifier)) {
-          this.raise(`Duplicate group specifier '${node.GroupSpecifier}'`);
+          if (this.groupSpecifierPaths.get(node.GroupSpecifier).some((p) => MightBothParticipate(p, path))) {
+            this.raise(`Duplicate group specifier '${node.GroupSpecifier}'`);
+          }
+        } else {
+          this.groupSpecifiers.set(node.GroupSpecifier, []);
+          this.groupSpecifierPaths.set(node.GroupSpecifier, []);
         }
-        this.groupSpecifiers.set(node.GroupSpecifier, node.capturingParenthesesBefore);
+        this.groupSpecifiers.get(node.GroupSpecifier).push(node.capturingParenthesesBefore);
+        this.groupSpecifierPaths.get(node.GroupSpecifier).push(path);
       }
       node.Disjunction = this.parseDisjunction();
       this.expect(')');
@@ -355,8 +530,12 @@ export class RegExpParser {
         CharacterClass: this.parseCharacterClass(),
       };
     }
-    if (isSyntaxCharacter(this.peek())) {
-      this.raise(`Expected a PatternCharacter but got ${this.peek()}`);
+    const c = this.peek();
+    // It is a Syntax Error if any source text is matched by InvalidBracedQuantifier.
+    const isExtendedPatternCharacter = this.annexB
+      && (c === ']' || c === '}' || (c === '{' && !this.testBracedQuantifier()));
+    if (isSyntaxCharacter(c) && !isExtendedPatternCharacter) {
+      this.raise(`Expected a PatternCharacter but got ${c}`);
     }
     return {
       type: 'Atom',
@@ -364,11 +543,31 @@ export class RegExpParser {
     };
   }
 
+  // RegularExpressionModifiers ::
+  //   [empty]
+  //   RegularExpressionModifiers RegularExpressionModifier
+  // RegularExpressionModifier :: one of
+  //   `i` `m` `s`
+  parseRegularExpressionModifiers() {
+    let modifiers = '';
+    while (this.test('i') || this.test('m') || this.test('s')) {
+      const c = this.next();
+      if (modifiers.includes(c)) {
+        this.raise(`Duplicate modifier '${c}'`, this.position - 1);
+      }
+      modifiers += c;
+    }
+    return modifiers;
+  }
+
   // AtomEscape ::
   //   DecimalEscape
   //   CharacterClassEscape
   //   CharacterEscape
   //   [+N] `k` GroupName
+  //
+  // In Annex B.1.2, a DecimalEscape is only a backreference if the pattern has
+  // that many capturing groups; otherwise it is a CharacterEscape.
   parseAtomEscape() {
     if (this.plusN && this.eat('k')) {
       const node = {
@@ -386,12 +585,18 @@ export class RegExpParser {
         CharacterClassEscape,
       };
     }
+    const start = this.position;
     const DecimalEscape = this.maybeParseDecimalEscape();
     if (DecimalEscape) {
-      return {
-        type: 'AtomEscape',
-        DecimalEscape,
-      };
+      if (this.annexB && DecimalEscape.value > this.countCapturingGroups()) {
+        this.decimalEscapes.pop();
+        this.position = start;
+      } else {
+        return {
+          type: 'AtomEscape',
+          DecimalEscape,
+        };
+      }
     }
     return {
       type: 'AtomEscape',
@@ -405,12 +610,18 @@ export class RegExpParser {
   //   `0` [lookahead ∉ DecimalDigit]
   //   HexEscapeSequence
   //   RegExpUnicodeEscapeSequence
+  //   [~U] LegacyOctalEscapeSequence (Annex B.1.2)
   //   IdentityEscape
   //
   // IdentityEscape ::
   //   [+U] SyntaxCharacter
   //   [+U] `/`
   //   [~U] SourceCharacter but not UnicodeIDContinue
+  //   [~U] SourceCharacterIdentityEscape (Annex B.1.2)
+  //
+  // SourceCharacterIdentityEscape ::
+  //   [~N] SourceCharacter but not `c`
+  //   [+N] SourceCharacter but not one of `c` or `k`
   parseCharacterEscape() {
     switch (this.peek()) {
       case 'f':
@@ -492,8 +703,25 @@ export class RegExpParser {
             subtype: this.next(),
           };
         }
+        if (this.annexB) {
+          if (isOctalDigit(c)) {
+            return {
+              type: 'CharacterEscape',
+              LegacyOctalEscapeSequence: this.parseLegacyOctalEscapeSequence(),
+            };
+          }
+          if (this.plusN && c === 'k') {
+            this.raise('Invalid identity escape');
+          }
+          return {
+            type: 'CharacterEscape',
+            IdentityEscape: this.next(),
+          };
+        }
         if (this.plusU) {
-          if (c !== '/' && !isSyntaxCharacter(c)) {
+          // In extended mode, escaped whitespace and `#` match themselves.
+          if (c !== '/' && !isSyntaxCharacter(c)
+              && !(this.plusX && (c === '#' || isWhitespace(c) || isLineTerminator(c)))) {
             this.raise('Invalid identity escape');
           }
         } else {
@@ -509,6 +737,24 @@ export class RegExpParser {
     }
   }
 
+  // LegacyOctalEscapeSequence ::
+  //   `0` [lookahead ∈ { `8`, `9` }]
+  //   NonZeroOctalDigit [lookahead ∉ OctalDigit]
+  //   ZeroToThree OctalDigit [lookahead ∉ OctalDigit]
+  //   FourToSeven OctalDigit
+  //   ZeroToThree OctalDigit OctalDigit
+  parseLegacyOctalEscapeSequence() {
+    const first = this.next();
+    let buffer = first;
+    if (isOctalDigit(this.peek())) {
+      buffer += this.next();
+      if (first <= '3' && isOctalDigit(this.peek())) {
+        buffer += this.next();
+      }
+    }
+    return buffer;
+  }
+
   // DecimalEscape ::
   //   NonZeroDigit DecimalDigits? [lookahead != DecimalDigit]
   maybeParseDecimalEscape() {
@@ -637,7 +883,11 @@ export class RegExpParser {
             },
           };
         }
-        if (!(LoneUnicodePropertyNameOrValue in UnicodeGeneralCategoryValues
+        if (this.plusV && LoneUnicodePropertyNameOrValue in BinaryUnicodePropertiesOfStrings) {
+          if (value === 'P') {
+            this.raise('Invalid property of strings in negated property escape');
+          }
+        } else if (!(LoneUnicodePropertyNameOrValue in UnicodeGeneralCategoryValues
             || LoneUnicodePropertyNameOrValue in BinaryUnicodeProperties)) {
           this.raise('Invalid unicode property name or value');
         }
@@ -656,21 +906,196 @@ export class RegExpParser {
   }
 
   // CharacterClass ::
-  //   `[` ClassRanges `]`
-  //   `[` `^` ClassRanges `]`
+  //   `[` ClassContents `]`
+  //   `[` `^` ClassContents `]`
+  // ClassContents ::
+  //   [empty]
+  //   [~V] NonemptyClassRanges
+  //   [+V] ClassSetExpression
   parseCharacterClass() {
     this.expect('[');
     const node = {
       type: 'CharacterClass',
       invert: false,
       ClassRanges: undefined,
+      ClassSetExpression: undefined,
     };
     node.invert = this.eat('^');
-    node.ClassRanges = this.parseClassRanges();
+    if (this.plusV) {
+      const start = this.position;
+      node.ClassSetExpression = this.parseClassSetExpression();
+      // It is a Syntax Error if MayContainStrings of the ClassContents is true.
+      if (node.invert && MayContainStrings(node.ClassSetExpression)) {
+        this.raise('Negated character class may contain strings', start);
+      }
+    } else {
+      node.ClassRanges = this.parseClassRanges();
+    }
     this.expect(']');
     return node;
   }
 
+  // ClassSetExpression ::
+  //   ClassUnion
+  //   ClassIntersection
+  //   ClassSubtraction
+  // ClassUnion ::
+  //   ClassSetRange ClassUnion?
+  //   ClassSetOperand ClassUnion?
+  // ClassIntersection ::
+  //   ClassSetOperand `&&` [lookahead != `&`] ClassSetOperand
+  //   ClassIntersection `&&` [lookahead != `&`] ClassSetOperand
+  // ClassSubtraction ::
+  //   ClassSetOperand `--` ClassSetOperand
+  //   ClassSubtraction `--` ClassSetOperand
+  parseClassSetExpression() {
+    const operands = [];
+    if (this.test(']')) {
+      return { type: 'ClassUnion', operands };
+    }
+    const first = this.parseClassSetRangeOrOperand();
+    operands.push(first);
+    for (const [operator, type] of [['&&', 'ClassIntersection'], ['--', 'ClassSubtraction']]) {
+      if (this.source.startsWith(operator, this.position)) {
+        if (first.type === 'ClassSetRange') {
+          this.raise('Invalid set operation in character class');
+        }
+        while (this.source.startsWith(operator, this.position)) {
+          this.position += 2;
+          if (operator === '&&' && this.test('&')) {
+            this.raise('Invalid set operation in character class');
+          }
+          operands.push(this.parseClassSetOperand());
+        }
+        if (!this.test(']')) {
+          this.raise('Invalid set operation in character class');
+        }
+        return { type, operands };
+      }
+    }
+    while (!this.test(']')) {
+      if (this.position >= this.source.length) {
+        this.raise('Unexpected end of CharacterClass');
+      }
+      if (this.source.startsWith('&&', this.position) || this.source.startsWith('--', this.position)) {
+        this.raise('Invalid set operation in character class');
+      }
+      operands.push(this.parseClassSetRangeOrOperand());
+    }
+    return { type: 'ClassUnion', operands };
+  }
+
+  // ClassSetRange ::
+  //   ClassSetCharacter `-` ClassSetCharacter
+  parseClassSetRangeOrOperand() {
+    const operand = this.parseClassSetOperand();
+    if (operand.type === 'ClassSetCharacter' && this.test('-') && !this.source.startsWith('--', this.position)) {
+      this.next();
+      const ClassSetCharacter_b = this.parseClassSetCharacter();
+      if (CharacterValue(operand) > CharacterValue(ClassSetCharacter_b)) {
+        this.raise('Invalid class range');
+      }
+      return {
+        type: 'ClassSetRange',
+        ClassSetCharacter_a: operand,
+        ClassSetCharacter_b,
+      };
+    }
+    return operand;
+  }
+
+  // ClassSetOperand ::
+  //   NestedClass
+  //   ClassStringDisjunction
+  //   ClassSetCharacter
+  // NestedClass ::
+  //   `[` [lookahead != `^`] ClassContents `]`
+  //   `[^` ClassContents `]`
+  //   `\` CharacterClassEscape
+  parseClassSetOperand() {
+    if (this.test('[')) {
+      const node = this.parseCharacterClass();
+      return {
+        type: 'NestedClass',
+        invert: node.invert,
+        ClassSetExpression: node.ClassSetExpression,
+      };
+    }
+    if (this.source.startsWith('\\q{', this.position)) {
+      return this.parseClassStringDisjunction();
+    }
+    if (this.test('\\')) {
+      const start = this.position;
+      this.next();
+      const CharacterClassEscape = this.maybeParseCharacterClassEscape();
+      if (CharacterClassEscape) {
+        return CharacterClassEscape;
+      }
+      this.position = start;
+    }
+    return this.parseClassSetCharacter();
+  }
+
+  // ClassStringDisjunction ::
+  //   `\q{` ClassStringDisjunctionContents `}`
+  // ClassStringDisjunctionContents ::
+  //   ClassString
+  //   ClassString `|` ClassStringDisjunctionContents
+  // ClassString ::
+  //   [empty]
+  //   NonEmptyClassString
+  // NonEmptyClassString ::
+  //   ClassSetCharacter NonEmptyClassString?
+  parseClassStringDisjunction() {
+    this.position += 3;
+    const node = {
+      type: 'ClassStringDisjunction',
+      ClassStrings: [],
+    };
+    let ClassString = [];
+    while (true) {
+      if (this.eat('}')) {
+        node.ClassStrings.push(ClassString);
+        break;
+      }
+      if (this.eat('|')) {
+        node.ClassStrings.push(ClassString);
+        ClassString = [];
+      } else {
+        ClassString.push(this.parseClassSetCharacter());
+      }
+    }
+    return node;
+  }
+
+  // ClassSetCharacter ::
+  //   [lookahead ∉ ClassSetReservedDoublePunctuator] SourceCharacter but not ClassSetSyntaxCharacter
+  //   `\` CharacterEscape
+  //   `\` ClassSetReservedPunctuator
+  //   `\b`
+  parseClassSetCharacter() {
+    if (this.eat('\\')) {
+      if (this.eat('b')) {
+        return { type: 'ClassSetCharacter', value: 'b' };
+      }
+      if (isClassSetReservedPunctuator(this.peek())) {
+        return { type: 'ClassSetCharacter', ClassSetReservedPunctuator: this.next() };
+      }
+      return { type: 'ClassSetCharacter', CharacterEscape: this.parseCharacterEscape() };
+    }
+    const c = this.peek();
+    if (c === undefined) {
+      this.raise('Unexpected end of CharacterClass');
+    }
+    if (isClassSetReservedDoublePunctuatorCharacter(c) && this.source[this.position + 1] === c) {
+      this.raise('Invalid set operation in character class');
+    }
+    if (isClassSetSyntaxCharacter(c)) {
+      this.raise(`Unexpected '${c}' in character class`);
+    }
+    return { type: 'ClassSetCharacter', SourceCharacter: this.parseSourceCharacter() };
+  }
+
   // ClassRanges ::
   //   [empty]
   //   NonemptyClassRanges
@@ -682,18 +1107,18 @@ export class RegExpParser {
       }
       const atom = this.parseClassAtom();
       if (this.eat('-')) {
-        if (atom.type === 'CharacterClassEscape') {
-          this.raise('Invalid class range');
-        }
         if (this.test(']')) {
           ranges.push(atom);
           ranges.push({ type: 'ClassAtom', value: '-' });
         } else {
           const atom2 = this.parseClassAtom();
-          if (atom2.type === 'CharacterClassEscape') {
-            this.raise('Invalid class range');
-          }
-          if (CharacterValue(atom) > CharacterValue(atom2)) {
+          // In Annex B.1.2, a range with a CharacterClassEscape at either end is
+          // allowed when not in Unicode mode, and is handled by CharacterRangeOrUnion.
+          if (atom.type === 'CharacterClassEscape' || atom2.type === 'CharacterClassEscape') {
+            if (!this.annexB) {
+              this.raise('Invalid class range');
+            }
+          } else if (CharacterValue(atom) > CharacterValue(atom2)) {
             this.raise('Invalid class range');
           }
           ranges.push([atom, atom2]);
@@ -711,13 +1136,34 @@ export class RegExpParser {
   // ClassAtomNoDash ::
   //   SourceCharacter but not one of `\` or `]` or `-`
   //   `\` ClassEscape
+  //   [~U] `\` [lookahead = `c`] (Annex B.1.2)
   // ClassEscape :
   //   `b`
   //   [+U] `-`
+  //   [~U] `c` ClassControlLetter (Annex B.1.2)
   //   CharacterClassEscape
   //   CharacterEscape
+  // ClassControlLetter ::
+  //   DecimalDigit
+  //   `_`
   parseClassAtom() {
     if (this.eat('\\')) {
+      if (this.annexB && this.test('c')) {
+        const c = this.source[this.position + 1] || '';
+        if (isDecimalDigit(c) || c === '_') {
+          this.position += 2;
+          return {
+            type: 'ClassEscape',
+            ClassControlLetter: c,
+          };
+        }
+        if (!isControlLetter(c)) {
+          return {
+            type: 'ClassAtom',
+            SourceCharacter: '\\',
+          };
+        }
+      }
       if (this.eat('b')) {
         return {
           type: 'ClassEscape',
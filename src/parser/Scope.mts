@@ -17,6 +17,7 @@ export const Flag = {
   'default',
   'module',
   'classStaticBlock',
+  'topic',
 ].forEach((name, i) => {
   /* c8 ignore next */
   if (i > 31) {
@@ -106,6 +107,7 @@ export function getDeclarations(node) {
     case 'VariableStatement':
       return getDeclarations(node.VariableDeclarationList);
     case 'ClassDeclaration':
+    case 'ModuleDeclaration':
       return getDeclarations(node.BindingIdentifier);
     default:
       throw new OutOfRange('getDeclarations', node);
@@ -118,13 +120,18 @@ export class Scope {
   labels = [];
   arrowInfoStack = [];
   assignmentInfoStack = [];
+  pipeBodyInfoStack = [];
   exports = new Set();
   undefinedExports = new Map();
   privateScope;
   undefinedPrivateAccesses = [];
+  moduleDeclarations = new Map();
+  moduleDeclarationReferences = [];
+  outer;
   flags = 0;
-  constructor(parser) {
+  constructor(parser, outer = undefined) {
     this.parser = parser;
+    this.outer = outer;
   }
 
   hasReturn() {
@@ -167,6 +174,10 @@ export class Scope {
     return (this.flags & Flag.classStaticBlock) !== 0;
   }
 
+  hasTopic() {
+    return (this.flags & Flag.topic) !== 0;
+  }
+
   isDefault() {
     return (this.flags & Flag.default) !== 0;
   }
@@ -195,7 +206,9 @@ export class Scope {
         lexicals: new Set(),
         variables: new Set(),
         functions: new Set(),
+        sloppyFunctions: new Set(),
         parameters: new Set(),
+        doExpressionDeclarations: [],
       });
     }
 
@@ -297,6 +310,20 @@ export class Scope {
     return this.assignmentInfoStack.pop();
   }
 
+  pushPipeBodyInfo() {
+    this.pipeBodyInfoStack.push({
+      usesTopic: false,
+    });
+  }
+
+  popPipeBodyInfo() {
+    return this.pipeBodyInfoStack.pop();
+  }
+
+  get pipeBodyInfo() {
+    return this.pipeBodyInfoStack[this.pipeBodyInfoStack.length - 1];
+  }
+
   registerObjectLiteralEarlyError(error) {
     for (let i = this.assignmentInfoStack.length - 1; i >= 0; i -= 1) {
       const info = this.assignmentInfoStack[i];
@@ -329,6 +356,20 @@ export class Scope {
     throw new RangeError();
   }
 
+  // Var declarations inside do expressions are not reachable through the
+  // statement-level VarScopedDeclarations of their body, so they are collected
+  // on the nearest function, script, module, or static block scope instead.
+  doExpressionScope() {
+    for (let i = this.scopeStack.length - 1; i >= 0; i -= 1) {
+      const scope = this.scopeStack[i];
+      if (scope.flags.variable || scope.flags.classStaticBlock) {
+        return scope;
+      }
+    }
+    /* c8 ignore next */
+    throw new RangeError();
+  }
+
   declare(node, type, extraType) {
     const declarations = getDeclarations(node);
     declarations.forEach((d) => {
@@ -353,7 +394,11 @@ export class Scope {
         }
         case 'function': {
           const scope = this.lexicalScope();
-          if (scope.lexicals.has(d.name)) {
+          // Annex B.3.2.4: sloppy mode blocks may contain duplicate plain function declarations.
+          const sloppyFunction = extraType === 'plain'
+            && !this.parser.isStrictMode()
+            && this.parser.feature('annex-b');
+          if (scope.lexicals.has(d.name) && !(sloppyFunction && scope.sloppyFunctions.has(d.name))) {
             this.parser.raiseEarly('AlreadyDeclared', d.node, d.name);
           }
           if (scope.flags.variableFunctions) {
@@ -362,6 +407,9 @@ export class Scope {
             if (scope.variables.has(d.name)) {
               this.parser.raiseEarly('AlreadyDeclared', d.node, d.name);
             }
+            if (sloppyFunction && !scope.lexicals.has(d.name)) {
+              scope.sloppyFunctions.add(d.name);
+            }
             scope.lexicals.add(d.name);
           }
           if (scope === this.scopeStack[0] && this.undefinedExports.has(d.name)) {
@@ -376,7 +424,10 @@ export class Scope {
           for (let i = this.scopeStack.length - 1; i >= 0; i -= 1) {
             const scope = this.scopeStack[i];
             scope.variables.add(d.name);
-            if (scope.lexicals.has(d.name) || (!scope.flags.variableFunctions && scope.functions.has(d.name))) {
+            // Annex B.3.4: var declarations may rebind a simple catch parameter.
+            const catchParameter = scope.catchParameter === d.name && this.parser.feature('annex-b');
+            if ((scope.lexicals.has(d.name) && !catchParameter)
+                || (!scope.flags.variableFunctions && scope.functions.has(d.name))) {
               this.parser.raiseEarly('AlreadyDeclared', d.node, d.name);
             }
             if (i === 0 && this.undefinedExports.has(d.name)) {
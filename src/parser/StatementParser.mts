@@ -63,15 +63,20 @@ export class StatementParser extends ExpressionParser {
   //   HoistableDeclaration
   //   ClassDeclaration
   //   LexicalDeclaration
+  //   ModuleDeclaration
   parseStatementListItem() {
     switch (this.peek().type) {
       case Token.FUNCTION:
         return this.parseHoistableDeclaration();
       case Token.CLASS:
+      case Token.AT:
         return this.parseClassDeclaration();
       case Token.CONST:
         return this.parseLexicalDeclaration();
       default:
+        if (this.isUsingDeclarationStart()) {
+          return this.parseLexicalDeclaration();
+        }
         if (this.test('let')) {
           switch (this.peekAhead().type) {
             case Token.LBRACE:
@@ -87,10 +92,21 @@ export class StatementParser extends ExpressionParser {
         if (this.test('async') && this.testAhead(Token.FUNCTION) && !this.peekAhead().hadLineTerminatorBefore) {
           return this.parseHoistableDeclaration();
         }
+        if (this.isModuleDeclarationStart()) {
+          return this.parseModuleDeclaration();
+        }
         return this.parseStatement();
     }
   }
 
+  // `module` [no LineTerminator here] BindingIdentifier
+  isModuleDeclarationStart() {
+    return this.feature('module-declarations')
+      && this.test('module')
+      && this.testAhead(Token.IDENTIFIER)
+      && !this.peekAhead().hadLineTerminatorBefore;
+  }
+
   // HoistableDeclaration :
   //   FunctionDeclaration
   //   GeneratorDeclaration
@@ -109,30 +125,114 @@ export class StatementParser extends ExpressionParser {
   }
 
   // ClassDeclaration :
-  //   `class` BindingIdentifier ClassTail
-  //   [+Default] `class` ClassTail
-  parseClassDeclaration() {
-    return this.parseClass(false);
+  //   DecoratorList? `class` BindingIdentifier ClassTail
+  //   [+Default] DecoratorList? `class` ClassTail
+  parseClassDeclaration(DecoratorList) {
+    return this.parseClass(false, DecoratorList);
   }
 
-  // LexicalDeclaration : LetOrConst BindingList `;`
+  // LexicalDeclaration :
+  //   LetOrConst BindingList `;`
+  //   UsingDeclaration
+  //   [+Await] AwaitUsingDeclaration
+  //
+  // UsingDeclaration :
+  //   `using` [no LineTerminator here] BindingList `;`
+  //
+  // AwaitUsingDeclaration :
+  //   `await` [no LineTerminator here] `using` [no LineTerminator here] BindingList `;`
   parseLexicalDeclaration() {
     const node = this.startNode();
-    const letOrConst = this.eat('let') || this.expect(Token.CONST);
-    node.LetOrConst = letOrConst.type === Token.CONST ? 'const' : 'let';
+    node.LetOrConst = this.parseLetOrConst();
     node.BindingList = this.parseBindingList();
     this.semicolon();
 
     this.scope.declare(node.BindingList, 'lexical');
-    node.BindingList.forEach((b) => {
-      if (node.LetOrConst === 'const' && !b.Initializer) {
-        this.raiseEarly('ConstDeclarationMissingInitializer', b);
+    if (node.LetOrConst === 'using' || node.LetOrConst === 'await using') {
+      const scope = this.scope.lexicalScope();
+      if ((scope === this.scope.scopeStack[0] && !this.scope.isModule()) || scope.flags.label === 'switch') {
+        this.raiseEarly('UsingDeclarationNotAllowed', node);
       }
-    });
+      this.validateUsingBindingList(node.BindingList, true);
+    } else {
+      node.BindingList.forEach((b) => {
+        if (node.LetOrConst === 'const' && !b.Initializer) {
+          this.raiseEarly('ConstDeclarationMissingInitializer', b);
+        }
+      });
+    }
 
     return this.finishNode(node, 'LexicalDeclaration');
   }
 
+  // LetOrConst :
+  //   `let`
+  //   `const`
+  //
+  // Also consumes the `using` and `await` `using` prefixes of UsingDeclaration
+  // and AwaitUsingDeclaration, which are represented like LetOrConst.
+  parseLetOrConst() {
+    if (this.eat(Token.AWAIT)) {
+      this.expect('using');
+      if (!this.scope.hasReturn()) {
+        this.state.hasTopLevelAwait = true;
+      }
+      return 'await using';
+    }
+    if (this.eat('using')) {
+      return 'using';
+    }
+    if (this.eat('let')) {
+      return 'let';
+    }
+    this.expect(Token.CONST);
+    return 'const';
+  }
+
+  // Whether the upcoming tokens begin a UsingDeclaration or an AwaitUsingDeclaration.
+  // `using` is only a keyword when followed by a BindingIdentifier on the same line.
+  isUsingDeclarationStart(inForHead = false) {
+    if (!this.feature('explicit-resource-management')) {
+      return false;
+    }
+    const isBindingIdentifierStart = (token) => {
+      if (token.hadLineTerminatorBefore) {
+        return false;
+      }
+      switch (token.type) {
+        case Token.IDENTIFIER:
+        case Token.YIELD:
+        case Token.AWAIT:
+          return true;
+        default:
+          return false;
+      }
+    };
+    if (this.test('using')) {
+      // `for (using of ...` is a for-of loop over the identifier `using`, unless it is `for (using of of ...`.
+      if (inForHead && this.testAhead('of') && !this.matches('of', this.peekAheadAhead())) {
+        return false;
+      }
+      return isBindingIdentifierStart(this.peekAhead());
+    }
+    return this.test(Token.AWAIT)
+      && this.scope.hasAwait()
+      && this.testAhead('using')
+      && !this.peekAhead().hadLineTerminatorBefore
+      && isBindingIdentifierStart(this.peekAheadAhead());
+  }
+
+  // UsingDeclaration and AwaitUsingDeclaration only allow BindingIdentifiers.
+  validateUsingBindingList(BindingList, requireInitializer) {
+    BindingList.forEach((b) => {
+      if (b.BindingPattern) {
+        this.raiseEarly('UnexpectedToken', b.BindingPattern);
+      } else if (requireInitializer && !b.Initializer) {
+        this.raiseEarly('UsingDeclarationMissingInitializer', b);
+      }
+    });
+  }
+
   // BindingList :
   //   LexicalBinding
   //   BindingList `,` LexicalBinding
@@ -411,13 +511,52 @@ export class StatementParser extends ExpressionParser {
     this.expect(Token.LPAREN);
     node.Expression = this.parseExpression();
     this.expect(Token.RPAREN);
-    node.Statement_a = this.parseStatement();
+    node.Statement_a = this.parseIfClause();
     if (this.eat(Token.ELSE)) {
-      node.Statement_b = this.parseStatement();
+      node.Statement_b = this.parseIfClause();
     }
     return this.finishNode(node, 'IfStatement');
   }
 
+  // Annex B.3.3: in sloppy mode, an if statement clause may be a FunctionDeclaration,
+  // which is treated as if it were the sole declaration in a Block.
+  parseIfClause() {
+    if (this.test(Token.FUNCTION) && this.isAnnexBSloppy()) {
+      const node = this.startNode();
+      this.scope.with({ lexical: true }, () => {
+        node.StatementList = [this.parsePlainFunctionDeclaration()];
+      });
+      return this.finishNode(node, 'Block');
+    }
+    const statement = this.parseStatement();
+    this.validateNotLabelledFunction(statement);
+    return statement;
+  }
+
+  isAnnexBSloppy() {
+    return this.feature('annex-b') && !this.isStrictMode();
+  }
+
+  // FunctionDeclarations permitted by Annex B in statement position may not be generators or async.
+  parsePlainFunctionDeclaration() {
+    const node = this.parseFunctionDeclaration(FunctionKind.NORMAL);
+    if (node.type !== 'FunctionDeclaration') {
+      this.raiseEarly('UnexpectedToken', node);
+    }
+    return node;
+  }
+
+  /** https://tc39.es/ecma262/#sec-islabelledfunction */
+  validateNotLabelledFunction(statement) {
+    let item = statement;
+    while (item.type === 'LabelledStatement') {
+      item = item.LabelledItem;
+    }
+    if (item !== statement && item.type === 'FunctionDeclaration') {
+      this.raiseEarly('UnexpectedToken', item);
+    }
+  }
+
   // `while` `(` Expression `)` Statement
   parseWhileStatement() {
     const node = this.startNode();
@@ -428,6 +567,7 @@ export class StatementParser extends ExpressionParser {
     this.scope.with({ label: 'loop' }, () => {
       node.Statement = this.parseStatement();
     });
+    this.validateNotLabelledFunction(node.Statement);
     return this.finishNode(node, 'WhileStatement');
   }
 
@@ -438,6 +578,7 @@ export class StatementParser extends ExpressionParser {
     this.scope.with({ label: 'loop' }, () => {
       node.Statement = this.parseStatement();
     });
+    this.validateNotLabelledFunction(node.Statement);
     this.expect(Token.WHILE);
     this.expect(Token.LPAREN);
     node.Expression = this.parseExpression();
@@ -462,7 +603,7 @@ export class StatementParser extends ExpressionParser {
   //
   // ForDeclaration : LetOrConst ForBinding
   parseForStatement() {
-    return this.scope.with({
+    const statement = this.scope.with({
       lexical: true,
       label: 'loop',
     }, () => {
@@ -500,17 +641,16 @@ export class StatementParser extends ExpressionParser {
             return false;
         }
       };
-      if ((this.test('let') || this.test(Token.CONST)) && isLexicalStart()) {
+      if (((this.test('let') || this.test(Token.CONST)) && isLexicalStart()) || this.isUsingDeclarationStart(true)) {
         const inner = this.startNode();
-        if (this.eat('let')) {
-          inner.LetOrConst = 'let';
-        } else {
-          this.expect(Token.CONST);
-          inner.LetOrConst = 'const';
-        }
+        inner.LetOrConst = this.parseLetOrConst();
+        const isUsing = inner.LetOrConst === 'using' || inner.LetOrConst === 'await using';
         const list = this.parseBindingList();
         this.scope.declare(list, 'lexical');
         if (list.length > 1 || this.test(Token.SEMICOLON)) {
+          if (isUsing) {
+            this.validateUsingBindingList(list, true);
+          }
           inner.BindingList = list;
           node.LexicalDeclaration = this.finishNode(inner, 'LexicalDeclaration');
           this.expect(Token.SEMICOLON);
@@ -537,6 +677,12 @@ export class StatementParser extends ExpressionParser {
               this.raiseEarly('UnexpectedToken', d.node);
             }
           });
+        if (isUsing) {
+          this.validateUsingBindingList(list, false);
+          if (this.test(Token.IN)) {
+            this.unexpected();
+          }
+        }
         if (!isAwait && this.eat(Token.IN)) {
           node.Expression = this.parseExpression();
           this.expect(Token.RPAREN);
@@ -558,7 +704,7 @@ export class StatementParser extends ExpressionParser {
           node.Statement = this.parseStatement();
           return this.finishNode(node, 'ForAwaitStatement');
         }
-        const list = this.parseVariableDeclarationList(false);
+        const list = this.scope.with({ in: false }, () => this.parseVariableDeclarationList(false));
         if (list.length > 1 || this.test(Token.SEMICOLON)) {
           node.VariableDeclarationList = list;
           this.expect(Token.SEMICOLON);
@@ -576,7 +722,10 @@ export class StatementParser extends ExpressionParser {
         node.ForBinding = list[0];
         node.ForBinding.type = 'ForBinding';
         if (node.ForBinding.Initializer) {
-          this.unexpected(node.ForBinding.Initializer);
+          // Annex B.3.5: in sloppy mode, a for-in `var` BindingIdentifier may have an Initializer.
+          if (!this.isAnnexBSloppy() || !node.ForBinding.BindingIdentifier || !this.test(Token.IN)) {
+            this.unexpected(node.ForBinding.Initializer);
+          }
         }
         if (this.eat('of')) {
           node.AssignmentExpression = this.parseAssignmentExpression();
@@ -595,7 +744,7 @@ export class StatementParser extends ExpressionParser {
         if (n.type === 'AssignmentExpression') {
           this.raiseEarly('UnexpectedToken', n);
         } else {
-          this.validateAssignmentTarget(n);
+          this.validateAssignmentTarget(n, true);
         }
       };
       const assignmentInfo = this.scope.popAssignmentInfo();
@@ -637,6 +786,8 @@ export class StatementParser extends ExpressionParser {
       node.Statement = this.parseStatement();
       return this.finishNode(node, 'ForStatement');
     });
+    this.validateNotLabelledFunction(statement.Statement);
+    return statement;
   }
 
   // ForBinding :
@@ -857,6 +1008,9 @@ export class StatementParser extends ExpressionParser {
               break;
           }
           this.scope.declare(clause.CatchParameter, 'lexical');
+          if (clause.CatchParameter.type === 'BindingIdentifier') {
+            this.scope.lexicalScope().catchParameter = clause.CatchParameter.name;
+          }
           this.expect(Token.RPAREN);
         } else {
           clause.CatchParameter = null;
@@ -887,18 +1041,23 @@ export class StatementParser extends ExpressionParser {
   }
 
   // ExpressionStatement :
-  //   [lookahead != `{`, `function`, `async` [no LineTerminator here] `function`, `class`, `let` `[` ] Expression `;`
+  //   [lookahead != `{`, `function`, `async` [no LineTerminator here] `function`, `class`, `@`, `let` `[` ] Expression `;`
   parseExpressionStatement() {
     switch (this.peek().type) {
       case Token.LBRACE:
       case Token.FUNCTION:
       case Token.CLASS:
+      case Token.AT:
         this.unexpected();
         break;
       default:
         if (this.test('async') && this.testAhead(Token.FUNCTION) && !this.peekAhead().hadLineTerminatorBefore) {
           this.unexpected();
         }
+        if (this.feature('do-expressions') && this.test('async') && this.testAhead(Token.DO)
+            && !this.peekAhead().hadLineTerminatorBefore) {
+          this.unexpected();
+        }
         if (this.test('let') && this.testAhead(Token.LBRACK)) {
           this.unexpected();
         }
@@ -939,7 +1098,14 @@ export class StatementParser extends ExpressionParser {
         nextToken: type === null ? this.peek() : null,
       });
 
-      node.LabelledItem = this.parseStatement();
+      // LabelledItem :
+      //   Statement
+      //   FunctionDeclaration
+      if (this.test(Token.FUNCTION) && this.isAnnexBSloppy()) {
+        node.LabelledItem = this.parsePlainFunctionDeclaration();
+      } else {
+        node.LabelledItem = this.parseStatement();
+      }
 
       this.scope.labels.pop();
 
@@ -40,9 +40,13 @@ export const RawTokens = [
   ['RPAREN', ')'],
   ['RBRACK', ']'],
   ['LBRACE', '{'],
+  ['HASH_LBRACE', '#{'],
+  ['HASH_LBRACK', '#['],
   ['COLON', ':'],
   ['ELLIPSIS', '...'],
+  ['AT', '@'],
   ['CONDITIONAL', '?'],
+  ['PIPELINE', '|>'],
   // BEGIN AutoSemicolon
   ['SEMICOLON', ';'],
   ['RBRACE', '}'],
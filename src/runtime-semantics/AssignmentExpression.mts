@@ -1,4 +1,5 @@
 // @ts-nocheck
+import { surroundingAgent } from '../engine.mjs';
 import { Value } from '../value.mjs';
 import { Q, X, ReturnIfAbrupt } from '../completion.mjs';
 import {
@@ -7,6 +8,7 @@ import {
   ToBoolean,
 } from '../abstract-ops/all.mjs';
 import {
+  AssignmentTargetType,
   IsAnonymousFunctionDefinition,
   IsIdentifierRef,
 } from '../static-semantics/all.mjs';
@@ -140,6 +142,10 @@ export function* Evaluate_AssignmentExpression({
       const lref = yield* Evaluate(LeftHandSideExpression);
       // b. ReturnIfAbrupt(lref).
       ReturnIfAbrupt(lref);
+      // (Annex B.3.9) If the AssignmentTargetType of LeftHandSideExpression is web-compat, throw a ReferenceError exception.
+      if (AssignmentTargetType(LeftHandSideExpression) === 'web-compat') {
+        return surroundingAgent.Throw('ReferenceError', 'InvalidAssignmentTarget');
+      }
       // c. If IsAnonymousFunctionDefinition(AssignmentExpression) and IsIdentifierRef of LeftHandSideExpression are both true, then
       let rval;
       if (IsAnonymousFunctionDefinition(AssignmentExpression) && IsIdentifierRef(LeftHandSideExpression)) {
@@ -245,6 +251,11 @@ export function* Evaluate_AssignmentExpression({
   } else {
     // 1. Let lref be the result of evaluating LeftHandSideExpression.
     const lref = yield* Evaluate(LeftHandSideExpression);
+    // (Annex B.3.9) If the AssignmentTargetType of LeftHandSideExpression is web-compat, throw a ReferenceError exception.
+    if (AssignmentTargetType(LeftHandSideExpression) === 'web-compat') {
+      ReturnIfAbrupt(lref);
+      return surroundingAgent.Throw('ReferenceError', 'InvalidAssignmentTarget');
+    }
     // 2. Let lval be ? GetValue(lref).
     const lval = Q(GetValue(lref));
     // 3. Let rref be the result of evaluating AssignmentExpression.
@@ -2,7 +2,7 @@
 import { surroundingAgent } from '../engine.mjs';
 import { Value } from '../value.mjs';
 import { NewDeclarativeEnvironment, DeclarativeEnvironmentRecord } from '../environment.mjs';
-import { Assert } from '../abstract-ops/all.mjs';
+import { Assert, DisposeResources } from '../abstract-ops/all.mjs';
 import {
   LexicallyScopedDeclarations,
   IsConstantDeclaration,
@@ -29,7 +29,12 @@ export function BlockDeclarationInstantiation(code, env) {
         X(env.CreateImmutableBinding(dn, Value.true));
       } else { // ii. Else,
         // 1. Perform ! env.CreateMutableBinding(dn, false).
-        X(env.CreateMutableBinding(dn, false));
+        // NOTE: Annex B.3.2.6 replaces the above step, since sloppy mode blocks may contain duplicate FunctionDeclarations:
+        //   1. If ! env.HasBinding(dn) is false, then
+        //     a. Perform ! env.CreateMutableBinding(dn, false).
+        if (X(env.HasBinding(dn)) === Value.false) {
+          X(env.CreateMutableBinding(dn, false));
+        }
       }
       // b. If d is a FunctionDeclaration, a GeneratorDeclaration, an AsyncFunctionDeclaration, or an AsyncGeneratorDeclaration, then
       if (d.type === 'FunctionDeclaration'
@@ -41,7 +46,18 @@ export function BlockDeclarationInstantiation(code, env) {
         // ii. Let fo be InstantiateFunctionObject of d with argument env.
         const fo = InstantiateFunctionObject(d, env, privateEnv);
         // iii. Perform env.InitializeBinding(fn, fo).
-        env.InitializeBinding(fn, fo);
+        // NOTE: Annex B.3.2.6 replaces the above step:
+        //   1. If the binding for fn in env is an uninitialized binding, then
+        //     a. Perform ! env.InitializeBinding(fn, fo).
+        //   2. Else,
+        //     a. Assert: d is a FunctionDeclaration.
+        //     b. Perform ! env.SetMutableBinding(fn, fo, false).
+        if (env.bindings.get(fn).initialized === false) {
+          X(env.InitializeBinding(fn, fo));
+        } else {
+          Assert(d.type === 'FunctionDeclaration');
+          X(env.SetMutableBinding(fn, fo, Value.false));
+        }
       }
     }
   }
@@ -65,7 +81,9 @@ export function* Evaluate_Block({ StatementList }) {
   // 4. Set the running execution context's LexicalEnvironment to blockEnv.
   surroundingAgent.runningExecutionContext.LexicalEnvironment = blockEnv;
   // 5. Let blockValue be the result of evaluating StatementList.
-  const blockValue = yield* Evaluate_StatementList(StatementList);
+  let blockValue = yield* Evaluate_StatementList(StatementList);
+  // (Explicit Resource Management) Set blockValue to Completion(DisposeResources(blockEnv.[[DisposeCapability]], blockValue)).
+  blockValue = yield* DisposeResources(blockEnv.DisposeCapability, blockValue);
   // 6. Set the running execution context's LexicalEnvironment to oldEnv.
   surroundingAgent.runningExecutionContext.LexicalEnvironment = oldEnv;
   // 7. Return blockValue.
@@ -8,13 +8,13 @@ import { InitializeBoundName, ClassDefinitionEvaluation } from './all.mjs';
 
 /** https://tc39.es/ecma262/#sec-runtime-semantics-bindingclassdeclarationevaluation */
 //   ClassDeclaration :
-//     `class` BindingIdentifier ClassTail
-//     `class` ClassTail
+//     DecoratorList? `class` BindingIdentifier ClassTail
+//     DecoratorList? `class` ClassTail
 export function* BindingClassDeclarationEvaluation(ClassDeclaration) {
-  const { BindingIdentifier, ClassTail } = ClassDeclaration;
+  const { DecoratorList, BindingIdentifier, ClassTail } = ClassDeclaration;
   if (!BindingIdentifier) {
     // 1. Let value be ? ClassDefinitionEvaluation of ClassTail with arguments undefined and "default".
-    const value = Q(yield* ClassDefinitionEvaluation(ClassTail, Value.undefined, Value('default')));
+    const value = Q(yield* ClassDefinitionEvaluation(ClassTail, Value.undefined, Value('default'), DecoratorList));
     // 2. Set value.[[SourceText]] to the source text matched by ClassDeclaration.
     value.SourceText = sourceTextMatchedBy(ClassDeclaration);
     // 3. Return value.
@@ -23,7 +23,7 @@ export function* BindingClassDeclarationEvaluation(ClassDeclaration) {
   // 1. Let className be StringValue of BindingIdentifier.
   const className = StringValue(BindingIdentifier);
   // 2. Let value be ? ClassDefinitionEvaluation of ClassTail with arguments className and className.
-  const value = Q(yield* ClassDefinitionEvaluation(ClassTail, className, className));
+  const value = Q(yield* ClassDefinitionEvaluation(ClassTail, className, className, DecoratorList));
   // 3. Set value.[[SourceText]] to the source text matched by ClassDeclaration.
   value.SourceText = sourceTextMatchedBy(ClassDeclaration);
   // 4. Let env be the running execution context's LexicalEnvironment.
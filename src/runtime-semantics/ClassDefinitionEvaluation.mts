@@ -1,14 +1,18 @@
 // @ts-nocheck
 import { surroundingAgent } from '../engine.mjs';
 import {
-  Value, NullValue, ObjectValue, PrivateName,
+  Value, NullValue, ObjectValue, PrivateName, Descriptor,
 } from '../value.mjs';
 import { Evaluate } from '../evaluator.mjs';
 import {
   Assert,
+  ApplyDecoratorsToClassDefinition,
+  ApplyDecoratorsToElementDefinition,
   Call,
+  ClassElementDefinitionRecord,
   Construct,
   CreateBuiltinFunction,
+  DefinePropertyOrThrow,
   Get,
   GetValue,
   IsConstructor,
@@ -47,17 +51,23 @@ import {
   ClassFieldDefinitionRecord,
   ClassStaticBlockDefinitionEvaluation,
   ClassStaticBlockDefinitionRecord,
+  DecoratorListEvaluation,
 } from './all.mjs';
 
 function* ClassElementEvaluation(node, object, enumerable) {
+  let decorators;
+  if (surroundingAgent.feature('decorators')) {
+    // (Decorators) Let decorators be ? DecoratorListEvaluation of DecoratorList.
+    decorators = Q(yield* DecoratorListEvaluation(node.DecoratorList));
+  }
   switch (node.type) {
     case 'MethodDefinition':
     case 'GeneratorMethod':
     case 'AsyncMethod':
     case 'AsyncGeneratorMethod':
-      return yield* MethodDefinitionEvaluation(node, object, enumerable);
+      return yield* MethodDefinitionEvaluation(node, object, enumerable, decorators);
     case 'FieldDefinition':
-      return yield* ClassFieldDefinitionEvaluation(node, object);
+      return yield* ClassFieldDefinitionEvaluation(node, object, decorators);
     case 'ClassStaticBlock':
       return ClassStaticBlockDefinitionEvaluation(node, object);
     default:
@@ -65,9 +75,127 @@ function* ClassElementEvaluation(node, object, enumerable) {
   }
 }
 
+// Adds a private method or accessor to container, combining getter/setter pairs.
+function AddPrivateMethod(container, field) {
+  // 1. If container contains a PrivateElement whose [[Key]] is field.[[Key]], then
+  const index = container.findIndex((el) => el.Key === field.Key);
+  if (index >= 0) {
+    // a. Let existing be that PrivateElement.
+    const existing = container[index];
+    // b. Assert: field.[[Kind]] and existing.[[Kind]] are both accessor.
+    Assert(field.Kind === 'accessor' && existing.Kind === 'accessor');
+    // c. If field.[[Get]] is undefined, then
+    let combined;
+    if (field.Get === Value.undefined) {
+      combined = new PrivateElementRecord({
+        Key: field.Key,
+        Kind: 'accessor',
+        Get: existing.Get,
+        Set: field.Set,
+      });
+    } else { // d. Else
+      combined = new PrivateElementRecord({
+        Key: field.Key,
+        Kind: 'accessor',
+        Get: field.Get,
+        Set: existing.Set,
+      });
+    }
+    // e. Replace existing in container with combined.
+    container[index] = combined;
+  } else { // 2. Else,
+    // a. Append field to container.
+    container.push(field);
+  }
+}
+
+/** https://arai-a.github.io/ecma262-compare/?pr=2417#sec-applydecoratorsanddefinemethod */
+function ApplyDecoratorsAndDefineMethod(homeObject, elementRecord, container, extraInitializers, isStatic) {
+  // 1. Perform ? ApplyDecoratorsToElementDefinition(elementRecord, extraInitializers, isStatic).
+  Q(ApplyDecoratorsToElementDefinition(elementRecord, extraInitializers, isStatic));
+  const { Key: key, Kind: kind } = elementRecord;
+  // 2. If key is a Private Name, then
+  if (key instanceof PrivateName) {
+    let method;
+    // a. If kind is method, let method be PrivateElement { [[Key]]: key, [[Kind]]: method, [[Value]]: elementRecord.[[Value]] }.
+    if (kind === 'method') {
+      method = new PrivateElementRecord({
+        Key: key,
+        Kind: 'method',
+        Value: elementRecord.Value,
+      });
+    } else { // b. Else, let method be PrivateElement { [[Key]]: key, [[Kind]]: accessor, [[Get]]: elementRecord.[[Get]], [[Set]]: elementRecord.[[Set]] }.
+      method = new PrivateElementRecord({
+        Key: key,
+        Kind: 'accessor',
+        Get: kind === 'setter' ? Value.undefined : elementRecord.Get,
+        Set: kind === 'getter' ? Value.undefined : elementRecord.Set,
+      });
+    }
+    // c. Perform AddPrivateMethod(container, method).
+    AddPrivateMethod(container, method);
+    // d. Return unused.
+    return undefined;
+  }
+  let desc;
+  // 3. If kind is method, let desc be the PropertyDescriptor { [[Value]]: elementRecord.[[Value]], [[Writable]]: true, [[Enumerable]]: false, [[Configurable]]: true }.
+  if (kind === 'method') {
+    desc = Descriptor({
+      Value: elementRecord.Value,
+      Writable: Value.true,
+      Enumerable: Value.false,
+      Configurable: Value.true,
+    });
+  } else if (kind === 'getter') { // 4. Else if kind is getter, let desc be the PropertyDescriptor { [[Get]]: elementRecord.[[Get]], [[Enumerable]]: false, [[Configurable]]: true }.
+    desc = Descriptor({
+      Get: elementRecord.Get,
+      Enumerable: Value.false,
+      Configurable: Value.true,
+    });
+  } else if (kind === 'setter') { // 5. Else if kind is setter, let desc be the PropertyDescriptor { [[Set]]: elementRecord.[[Set]], [[Enumerable]]: false, [[Configurable]]: true }.
+    desc = Descriptor({
+      Set: elementRecord.Set,
+      Enumerable: Value.false,
+      Configurable: Value.true,
+    });
+  } else { // 6. Else, let desc be the PropertyDescriptor { [[Get]]: elementRecord.[[Get]], [[Set]]: elementRecord.[[Set]], [[Enumerable]]: false, [[Configurable]]: true }.
+    Assert(kind === 'accessor');
+    desc = Descriptor({
+      Get: elementRecord.Get,
+      Set: elementRecord.Set,
+      Enumerable: Value.false,
+      Configurable: Value.true,
+    });
+  }
+  // 7. Perform ? DefinePropertyOrThrow(homeObject, key, desc).
+  Q(DefinePropertyOrThrow(homeObject, key, desc));
+  // 8. Return unused.
+  return undefined;
+}
+
+// Applies the decorators of every class element: static methods and accessors
+// first, then instance methods and accessors, then static and instance fields.
+function ApplyDecoratorsToClassElements(F, proto, elements) {
+  for (const elementRecord of elements.staticMethods) {
+    Q(ApplyDecoratorsAndDefineMethod(F, elementRecord, elements.staticPrivateMethods, elements.staticExtraInitializers, true));
+  }
+  for (const elementRecord of elements.instanceMethods) {
+    Q(ApplyDecoratorsAndDefineMethod(proto, elementRecord, elements.instancePrivateMethods, elements.instanceExtraInitializers, false));
+  }
+  for (const elementRecord of elements.staticFields) {
+    Q(ApplyDecoratorsToElementDefinition(elementRecord, elements.staticExtraInitializers, true));
+  }
+  for (const elementRecord of elements.instanceFields) {
+    Q(ApplyDecoratorsToElementDefinition(elementRecord, elements.instanceExtraInitializers, false));
+  }
+  return undefined;
+}
+
 // ClassTail : ClassHeritage? `{` ClassBody? `}`
-export function* ClassDefinitionEvaluation(ClassTail, classBinding, className) {
+export function* ClassDefinitionEvaluation(ClassTail, classBinding, className, DecoratorList) {
   const { ClassHeritage, ClassBody } = ClassTail;
+  // (Decorators) Let decorators be ? DecoratorListEvaluation of DecoratorList.
+  const decorators = Q(yield* DecoratorListEvaluation(DecoratorList));
   // 1. Let env be the LexicalEnvironment of the running execution context.
   const env = surroundingAgent.runningExecutionContext.LexicalEnvironment;
   // 2. Let classScope be NewDeclarativeEnvironment(env).
@@ -216,6 +344,18 @@ export function* ClassDefinitionEvaluation(ClassTail, classBinding, className) {
   const instanceFields = [];
   // 24. Let staticElements be a new empty List.
   const staticElements = [];
+  // (Decorators) Let decoratedElements hold the elements whose decorators are yet to be applied,
+  // along with the containers and extra initializers those decorators affect.
+  const decoratedElements = {
+    staticMethods: [],
+    instanceMethods: [],
+    staticFields: [],
+    instanceFields: [],
+    staticPrivateMethods,
+    instancePrivateMethods,
+    staticExtraInitializers: [],
+    instanceExtraInitializers: [],
+  };
   // 25. For each ClassElement e of elements, do
   for (const e of elements) {
     let field;
@@ -249,36 +389,8 @@ export function* ClassDefinitionEvaluation(ClassTail, classBinding, className) {
       } else { // iii. Else, let container be staticPrivateMethods.
         container = staticPrivateMethods;
       }
-      // iv. If container contains a PrivateElement whose [[Key]] is field.[[Key]], then
-      const index = container.findIndex((el) => el.Key === field.Key);
-      if (index >= 0) {
-        // 1. Let existing be that PrivateElement.
-        const existing = container[index];
-        // 2. Assert: field.[[Kind]] and existing.[[Kind]] are both accessor.
-        Assert(field.Kind === 'accessor' && existing.Kind === 'accessor');
-        // 3. If field.[[Get]] is undefined, then
-        let combined;
-        if (field.Get === Value.undefined) {
-          combined = new PrivateElementRecord({
-            Key: field.Key,
-            Kind: 'accessor',
-            Get: existing.Get,
-            Set: field.Set,
-          });
-        } else { // 4. Else
-          combined = new PrivateElementRecord({
-            Key: field.Key,
-            Kind: 'accessor',
-            Get: field.Get,
-            Set: existing.Set,
-          });
-        }
-        // 5. Replace existing in container with combined.
-        container[index] = combined;
-      } else { // v. Else,
-        // 1. Append field to container.
-        container.push(field);
-      }
+      // iv. Perform AddPrivateMethod(container, field).
+      AddPrivateMethod(container, field);
     } else if (field instanceof ClassFieldDefinitionRecord) { // f. Else if field is a ClassFieldDefinition Record, then
       // i. If IsStatic of e is false, append field to instanceFields.
       if (IsStatic(e) === false) {
@@ -289,24 +401,78 @@ export function* ClassDefinitionEvaluation(ClassTail, classBinding, className) {
     } else if (field instanceof ClassStaticBlockDefinitionRecord) { // g. Else if element is a ClassStaticBlockDefinition Record, then
       // i. Append element to staticElements.
       staticElements.push(field);
+    } else if (field instanceof ClassElementDefinitionRecord) { // (Decorators) Else if field is a ClassElementDefinition Record, then
+      // i. If field.[[Kind]] is field or accessor, then
+      if (field.Kind === 'field' || field.Kind === 'accessor') {
+        // 1. If IsStatic of e is false, append field.[[Field]] to instanceFields.
+        if (IsStatic(e) === false) {
+          instanceFields.push(field.Field);
+        } else { // 2. Else, append field.[[Field]] to staticElements.
+          staticElements.push(field.Field);
+        }
+      }
+      // ii. If field.[[Kind]] is field, then
+      if (field.Kind === 'field') {
+        // 1. If IsStatic of e is false, append field to decoratedElements.[[InstanceFields]].
+        if (IsStatic(e) === false) {
+          decoratedElements.instanceFields.push(field);
+        } else { // 2. Else, append field to decoratedElements.[[StaticFields]].
+          decoratedElements.staticFields.push(field);
+        }
+      } else if (IsStatic(e) === false) { // iii. Else if IsStatic of e is false, append field to decoratedElements.[[InstanceMethods]].
+        decoratedElements.instanceMethods.push(field);
+      } else { // iv. Else, append field to decoratedElements.[[StaticMethods]].
+        decoratedElements.staticMethods.push(field);
+      }
     }
   }
   // 26. Set the running execution context's LexicalEnvironment to env.
   surroundingAgent.runningExecutionContext.LexicalEnvironment = env;
+  // (Decorators) Let decorated be Completion(ApplyDecoratorsToClassElements(F, proto, decoratedElements)).
+  let decorated = ApplyDecoratorsToClassElements(F, proto, decoratedElements);
+  // (Decorators) Let classExtraInitializers be a new empty List.
+  const classExtraInitializers = [];
+  // (Decorators) If decorated is a normal completion, set decorated to Completion(ApplyDecoratorsToClassDefinition(F, decorators, className, classExtraInitializers)).
+  if (!(decorated instanceof AbruptCompletion)) {
+    decorated = ApplyDecoratorsToClassDefinition(F, decorators, className, classExtraInitializers);
+  }
+  // (Decorators) If decorated is an abrupt completion, then
+  if (decorated instanceof AbruptCompletion) {
+    // a. Set the running execution context's PrivateEnvironment to outerPrivateEnvironment.
+    surroundingAgent.runningExecutionContext.PrivateEnvironment = outerPrivateEnvironment;
+    // b. Return decorated.
+    return decorated;
+  }
+  // (Decorators) Let newF be decorated.[[Value]].
+  const newF = EnsureCompletion(decorated).Value;
   // 27. If classBinding is not undefined, then
   if (classBinding !== Value.undefined) {
-    // a. Perform classScope.InitializeBinding(classBinding, F).
-    classScope.InitializeBinding(classBinding, F);
+    // a. Perform classScope.InitializeBinding(classBinding, newF).
+    classScope.InitializeBinding(classBinding, newF);
   }
   // 28. Set F.[[PrivateMethods]] to instancePrivateMethods.
   F.PrivateMethods = instancePrivateMethods;
   // 29. Set F.[[Fields]] to instanceFields.
   F.Fields = instanceFields;
+  // (Decorators) Set F.[[Initializers]] to decoratedElements.[[InstanceExtraInitializers]].
+  F.Initializers = decoratedElements.instanceExtraInitializers;
   // 30. For each PrivateElement method of staticPrivateMethods, do
   for (const method of staticPrivateMethods) {
     // a. Perform ! PrivateMethodOrAccessorAdd(method, F).
     X(PrivateMethodOrAccessorAdd(method, F));
   }
+  // (Decorators) For each element initializer of decoratedElements.[[StaticExtraInitializers]], do
+  for (const initializer of decoratedElements.staticExtraInitializers) {
+    // a. Let result be Completion(Call(initializer, F)).
+    const result = Completion(Call(initializer, F));
+    // b. If result is an abrupt completion, then
+    if (result instanceof AbruptCompletion) {
+      // i. Set the running execution context's PrivateEnvironment to outerPrivateEnvironment.
+      surroundingAgent.runningExecutionContext.PrivateEnvironment = outerPrivateEnvironment;
+      // ii. Return result.
+      return result;
+    }
+  }
   // 31. For each element elementRecord of staticElements, do
   for (const elementRecord of staticElements) {
     let result;
@@ -330,6 +496,11 @@ export function* ClassDefinitionEvaluation(ClassTail, classBinding, className) {
   }
   // 32. Set the running execution context's PrivateEnvironment to outerPrivateEnvironment.
   surroundingAgent.runningExecutionContext.PrivateEnvironment = outerPrivateEnvironment;
-  // 33. Return F.
-  return F;
+  // (Decorators) For each element initializer of classExtraInitializers, do
+  for (const initializer of classExtraInitializers) {
+    // a. Perform ? Call(initializer, newF).
+    Q(Call(initializer, newF));
+  }
+  // 33. Return newF.
+  return newF;
 }
@@ -7,13 +7,13 @@ import { ClassDefinitionEvaluation } from './all.mjs';
 
 /** https://tc39.es/ecma262/#sec-class-definitions-runtime-semantics-evaluation */
 // ClassExpression :
-//   `class` ClassTail
-//   `class` BindingIdentifier ClassTail
+//   DecoratorList? `class` ClassTail
+//   DecoratorList? `class` BindingIdentifier ClassTail
 export function* Evaluate_ClassExpression(ClassExpression) {
-  const { BindingIdentifier, ClassTail } = ClassExpression;
+  const { DecoratorList, BindingIdentifier, ClassTail } = ClassExpression;
   if (!BindingIdentifier) {
     // 1. Let value be ? ClassDefinitionEvaluation of ClassTail with arguments undefined and ''
-    const value = Q(yield* ClassDefinitionEvaluation(ClassTail, Value.undefined, Value('')));
+    const value = Q(yield* ClassDefinitionEvaluation(ClassTail, Value.undefined, Value(''), DecoratorList));
     // 2. Set value.[[SourceText]] to the source text matched by ClassExpression.
     value.SourceText = sourceTextMatchedBy(ClassExpression);
     // 3. Return value.
@@ -22,7 +22,7 @@ export function* Evaluate_ClassExpression(ClassExpression) {
   // 1. Let className be StringValue of BindingIdentifier.
   const className = StringValue(BindingIdentifier);
   // 2. Let value be ? ClassDefinitionEvaluation of ClassTail with arguments className and className.
-  const value = Q(yield* ClassDefinitionEvaluation(ClassTail, className, className));
+  const value = Q(yield* ClassDefinitionEvaluation(ClassTail, className, className, DecoratorList));
   // Set value.[[SourceText]] to the source text matched by ClassExpression.
   value.SourceText = sourceTextMatchedBy(ClassExpression);
   // Return value.
@@ -1,19 +1,32 @@
 // @ts-nocheck
 import { surroundingAgent } from '../engine.mjs';
+import { Value, PrivateName, SymbolValue } from '../value.mjs';
 import { X, ReturnIfAbrupt } from '../completion.mjs';
-import { MakeMethod, OrdinaryFunctionCreate } from '../abstract-ops/all.mjs';
+import {
+  ClassElementDefinitionRecord,
+  MakeAutoAccessorGetter,
+  MakeAutoAccessorSetter,
+  MakeMethod,
+  OrdinaryFunctionCreate,
+} from '../abstract-ops/all.mjs';
 import { Evaluate_PropertyName } from './PropertyName.mjs';
 
 export class ClassFieldDefinitionRecord {
   Name;
   Initializer;
+  Initializers;
   constructor(init) {
     this.Name = init.Name;
     this.Initializer = init.Initializer;
+    // Initializers added by decorators, each called with the preceding value.
+    this.Initializers = init.Initializers || [];
   }
 }
 
-export function* ClassFieldDefinitionEvaluation(FieldDefinition, homeObject) {
+// FieldDefinition :
+//   ClassElementName Initializer?
+//   `accessor` ClassElementName Initializer?
+export function* ClassFieldDefinitionEvaluation(FieldDefinition, homeObject, decorators) {
   const { ClassElementName, Initializer } = FieldDefinition;
   // 1. Let name be the result of evaluating ClassElementName.
   const name = yield* Evaluate_PropertyName(ClassElementName);
@@ -48,9 +61,52 @@ export function* ClassFieldDefinitionEvaluation(FieldDefinition, homeObject) {
     // a. Let initializer be empty.
     initializer = undefined;
   }
-  // 5. Return the ClassFieldDefinition Record { [[Name]]: name, [[Initializer]]: initializer }.
-  return new ClassFieldDefinitionRecord({
-    Name: name,
-    Initializer: initializer,
+  // 5. If decorators is not present, return the ClassFieldDefinition Record { [[Name]]: name, [[Initializer]]: initializer }.
+  if (decorators === undefined) {
+    return new ClassFieldDefinitionRecord({
+      Name: name,
+      Initializer: initializer,
+    });
+  }
+  // 6. If FieldDefinition is not an `accessor` field, then
+  if (!FieldDefinition.accessor) {
+    // a. Return the ClassElementDefinition Record { [[Key]]: name, [[Kind]]: field, [[Field]]: the ClassFieldDefinition Record { [[Name]]: name, [[Initializer]]: initializer }, [[Decorators]]: decorators }.
+    return new ClassElementDefinitionRecord({
+      Key: name,
+      Kind: 'field',
+      Field: new ClassFieldDefinitionRecord({
+        Name: name,
+        Initializer: initializer,
+      }),
+      Decorators: decorators,
+    });
+  }
+  // 7. Let privateStateDesc be the string-concatenation of the description of name and " accessor storage".
+  let description;
+  if (name instanceof PrivateName) {
+    description = name.Description.stringValue();
+  } else if (name instanceof SymbolValue) {
+    description = name.Description === Value.undefined ? '' : `[${name.Description.stringValue()}]`;
+  } else {
+    description = name.stringValue();
+  }
+  const privateStateDesc = Value(`${description} accessor storage`);
+  // 8. Let privateStateName be a new Private Name whose [[Description]] is privateStateDesc.
+  const privateStateName = new PrivateName(privateStateDesc);
+  // 9. Let getter be MakeAutoAccessorGetter(name, privateStateName).
+  const getter = MakeAutoAccessorGetter(name, privateStateName);
+  // 10. Let setter be MakeAutoAccessorSetter(name, privateStateName).
+  const setter = MakeAutoAccessorSetter(name, privateStateName);
+  // 11. Return the ClassElementDefinition Record { [[Key]]: name, [[Kind]]: accessor, [[Get]]: getter, [[Set]]: setter, [[Field]]: the ClassFieldDefinition Record { [[Name]]: privateStateName, [[Initializer]]: initializer }, [[Decorators]]: decorators }.
+  return new ClassElementDefinitionRecord({
+    Key: name,
+    Kind: 'accessor',
+    Get: getter,
+    Set: setter,
+    Field: new ClassFieldDefinitionRecord({
+      Name: privateStateName,
+      Initializer: initializer,
+    }),
+    Decorators: decorators,
   });
 }
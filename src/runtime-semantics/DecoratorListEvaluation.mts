@@ -0,0 +1,35 @@
+// @ts-nocheck
+import { Evaluate } from '../evaluator.mjs';
+import { GetValue } from '../abstract-ops/all.mjs';
+import { Q } from '../completion.mjs';
+
+/** https://arai-a.github.io/ecma262-compare/?pr=2417#sec-runtime-semantics-decoratorevaluation */
+//   Decorator :
+//     `@` DecoratorMemberExpression
+//     `@` DecoratorParenthesizedExpression
+//     `@` DecoratorCallExpression
+function* DecoratorEvaluation(Decorator) {
+  const expression = Decorator.DecoratorMemberExpression
+    || Decorator.DecoratorParenthesizedExpression
+    || Decorator.DecoratorCallExpression;
+  // 1. Let ref be the result of evaluating the expression.
+  const ref = yield* Evaluate(expression);
+  // 2. Return ? GetValue(ref).
+  return Q(GetValue(ref));
+}
+
+/** https://arai-a.github.io/ecma262-compare/?pr=2417#sec-runtime-semantics-decoratorlistevaluation */
+//   DecoratorList : DecoratorList? Decorator
+export function* DecoratorListEvaluation(DecoratorList = []) {
+  // 1. Let decorators be a new empty List.
+  const decorators = [];
+  // 2. For each Decorator decorator of DecoratorList, in source text order, do
+  for (const Decorator of DecoratorList) {
+    // a. Let decorator be ? DecoratorEvaluation of Decorator.
+    const decorator = Q(yield* DecoratorEvaluation(Decorator));
+    // b. Append decorator to decorators.
+    decorators.push(decorator);
+  }
+  // 3. Return decorators.
+  return decorators;
+}
@@ -0,0 +1,46 @@
+// @ts-nocheck
+import { surroundingAgent } from '../engine.mjs';
+import { Evaluate } from '../evaluator.mjs';
+import { AsyncBlockStart, NewPromiseCapability } from '../abstract-ops/all.mjs';
+import {
+  Completion,
+  EnsureCompletion,
+  UpdateEmpty,
+  Q, X,
+} from '../completion.mjs';
+import { Value } from '../value.mjs';
+
+/** https://tc39.es/proposal-do-expressions/#sec-do-expression-runtime-semantics-evaluation */
+//   DoExpression : `do` Block
+export function* Evaluate_DoExpression({ Block }) {
+  // 1. Let completion be Completion(Evaluation of Block).
+  const completion = EnsureCompletion(yield* Evaluate(Block));
+  // 2. Return ? UpdateEmpty(completion, undefined).
+  return Q(UpdateEmpty(completion, Value.undefined));
+}
+
+/** https://tc39.es/proposal-do-expressions/#sec-async-do-expression-runtime-semantics-evaluation */
+//   AsyncDoExpression : `async` `do` Block
+export function Evaluate_AsyncDoExpression({ Block }) {
+  // 1. Let promiseCapability be ! NewPromiseCapability(%Promise%).
+  const promiseCapability = X(NewPromiseCapability(surroundingAgent.intrinsic('%Promise%')));
+  // 2. Let asyncContext be a copy of the running execution context.
+  const asyncContext = surroundingAgent.runningExecutionContext.copy();
+  // 3. Let closure be a new Abstract Closure with no parameters that captures Block and performs the following steps when called:
+  const closure = function* closure() {
+    // a. Let completion be Completion(Evaluation of Block).
+    const completion = EnsureCompletion(yield* Evaluate(Block));
+    // b. Let result be Completion(UpdateEmpty(completion, undefined)).
+    const result = UpdateEmpty(completion, Value.undefined);
+    // c. If result is a normal completion, return Completion Record { [[Type]]: return, [[Value]]: result.[[Value]], [[Target]]: empty }.
+    if (result.Type === 'normal') {
+      return new Completion({ Type: 'return', Value: result.Value, Target: undefined });
+    }
+    // d. Return ? result.
+    return result;
+  };
+  // 4. Perform AsyncBlockStart(promiseCapability, closure, asyncContext).
+  X(AsyncBlockStart(promiseCapability, closure, asyncContext));
+  // 5. Return promiseCapability.[[Promise]].
+  return promiseCapability.Promise;
+}
@@ -1,11 +1,28 @@
 // @ts-nocheck
-import { NormalCompletion } from '../completion.mjs';
+import { surroundingAgent } from '../engine.mjs';
+import { Value } from '../value.mjs';
+import { StringValue } from '../static-semantics/all.mjs';
+import { Q, X, NormalCompletion } from '../completion.mjs';
 
 /** https://tc39.es/ecma262/#sec-function-definitions-runtime-semantics-evaluation */
 // FunctionDeclaration :
 //   function BindingIdentifier ( FormalParameters ) { FunctionBody }
 //   function ( FormalParameters ) { FunctionBody }
-export function Evaluate_FunctionDeclaration(_FunctionDeclaration) {
+export function Evaluate_FunctionDeclaration(FunctionDeclaration) {
+  // Annex B.3.2: block-level function declarations which are also bound in the enclosing var scope.
+  if (FunctionDeclaration.IsBlockFunctionVarBinding) {
+    const F = StringValue(FunctionDeclaration.BindingIdentifier);
+    // i. Let fenv be the running execution context's VariableEnvironment.
+    const fenv = surroundingAgent.runningExecutionContext.VariableEnvironment;
+    // ii. Let benv be the running execution context's LexicalEnvironment.
+    const benv = surroundingAgent.runningExecutionContext.LexicalEnvironment;
+    // iii. Let fobj be ! benv.GetBindingValue(F, false).
+    const fobj = X(benv.GetBindingValue(F, Value.false));
+    // iv. Perform ? fenv.SetMutableBinding(F, fobj, false).
+    Q(fenv.SetMutableBinding(F, fobj, Value.false));
+    // v. Return unused.
+    return NormalCompletion(undefined);
+  }
   // 1. Return NormalCompletion(empty).
   return NormalCompletion(undefined);
 }
@@ -8,6 +8,7 @@ import {
   CreateUnmappedArgumentsObject,
 } from '../abstract-ops/all.mjs';
 import {
+  BlockFunctionDeclarations,
   BoundNames,
   IsConstantDeclaration,
   IsSimpleParameterList,
@@ -16,6 +17,7 @@ import {
   VarScopedDeclarations,
   LexicallyDeclaredNames,
   LexicallyScopedDeclarations,
+  StringValue,
 } from '../static-semantics/all.mjs';
 import { NewDeclarativeEnvironment } from '../environment.mjs';
 import { Q, X, NormalCompletion } from '../completion.mjs';
@@ -220,7 +222,35 @@ export function* FunctionDeclarationInstantiation(func, argumentsList) {
       }
     }
   }
-  // 29. NOTE: Annex B.3.3.1 adds additional steps at this point.
+  // 29. NOTE: Annex B.3.2.1 adds additional steps at this point.
+  if (surroundingAgent.feature('annex-b')) {
+    // a. If strict is false, then
+    if (strict === false) {
+      // i. Let instantiatedVarNames be a copy of the List parameterBindings.
+      //    (varNames are included as well, since they have already been instantiated in varEnv.)
+      const instantiatedVarNames = new ValueSet([...parameterBindings, ...varNames]);
+      // ii. For each FunctionDeclaration f that is directly contained in the StatementList of a Block, CaseClause, or DefaultClause, do
+      for (const f of BlockFunctionDeclarations(code)) {
+        // 1. Let F be StringValue of the BindingIdentifier of f.
+        const F = StringValue(f.BindingIdentifier);
+        // 2. If replacing the FunctionDeclaration f with a VariableStatement that has F as a BindingIdentifier would not produce any Early Errors for func and parameterNames does not contain F, then
+        if (!new ValueSet(parameterNames).has(F)) {
+          // a. NOTE: A var binding for F is only instantiated here if it is neither a VarDeclaredName, the name of a formal parameter, or another FunctionDeclaration.
+          // b. If instantiatedVarNames does not contain F and F is not "arguments", then
+          if (!instantiatedVarNames.has(F) && F.stringValue() !== 'arguments') {
+            // i. Perform ! varEnv.CreateMutableBinding(F, false).
+            X(varEnv.CreateMutableBinding(F, Value.false));
+            // ii. Perform ! varEnv.InitializeBinding(F, undefined).
+            X(varEnv.InitializeBinding(F, Value.undefined));
+            // iii. Append F to instantiatedVarNames.
+            instantiatedVarNames.add(F);
+          }
+          // c. When the FunctionDeclaration f is evaluated, perform the following steps in place of the FunctionDeclaration Evaluation algorithm provided in 15.2.6: ...
+          f.IsBlockFunctionVarBinding = true;
+        }
+      }
+    }
+  }
   let lexEnv;
   // 30. If strict is false, then
   if (strict === false) {
@@ -1,4 +1,6 @@
 // @ts-nocheck
+import { surroundingAgent } from '../engine.mjs';
+import { DisposeResources } from '../abstract-ops/all.mjs';
 import { Evaluate_StatementList } from './all.mjs';
 
 /** https://tc39.es/ecma262/#sec-function-definitions-runtime-semantics-evaluation */
@@ -6,6 +8,11 @@ import { Evaluate_StatementList } from './all.mjs';
 //
 // (implicit)
 //   FunctionStatementList : StatementList
-export function Evaluate_FunctionStatementList(FunctionStatementList) {
-  return Evaluate_StatementList(FunctionStatementList);
+export function* Evaluate_FunctionStatementList(FunctionStatementList) {
+  // 1. Let result be Completion(Evaluation of StatementList).
+  const result = yield* Evaluate_StatementList(FunctionStatementList);
+  // 2. Let env be the running execution context's LexicalEnvironment.
+  const env = surroundingAgent.runningExecutionContext.LexicalEnvironment;
+  // 3. Return ? DisposeResources(env.[[DisposeCapability]], result).
+  return yield* DisposeResources(env.DisposeCapability, result);
 }
@@ -3,11 +3,14 @@ import { surroundingAgent } from '../engine.mjs';
 import { EnvironmentRecord } from '../environment.mjs';
 import { Assert } from '../abstract-ops/all.mjs';
 import {
+  BlockFunctionDeclarations,
   BoundNames,
   IsConstantDeclaration,
+  IsStrict,
   LexicallyDeclaredNames,
   LexicallyScopedDeclarations,
   VarDeclaredNames,
+  StringValue,
   VarScopedDeclarations,
 } from '../static-semantics/all.mjs';
 import { Value } from '../value.mjs';
@@ -109,7 +112,40 @@ export function GlobalDeclarationInstantiation(script, env) {
     }
   }
   // 12. NOTE: No abnormal terminations occur after this algorithm step if the global object is an ordinary object. However, if the global object is a Proxy exotic object it may exhibit behaviours that cause abnormal terminations in some of the following steps.
-  // 13. NOTE: Annex B.3.3.2 adds additional steps at this point.
+  // 13. NOTE: Annex B.3.2.2 adds additional steps at this point.
+  if (surroundingAgent.feature('annex-b')) {
+    // a. Let strict be IsStrict of script.
+    const strict = IsStrict(script);
+    // b. If strict is false, then
+    if (strict === false) {
+      // i. Let declaredFunctionOrVarNames be the list-concatenation of declaredFunctionNames and declaredVarNames.
+      const declaredFunctionOrVarNames = new ValueSet([...declaredFunctionNames, ...declaredVarNames]);
+      // ii. For each FunctionDeclaration f that is directly contained in the StatementList of a Block, CaseClause, or DefaultClause Contained within script, do
+      for (const f of BlockFunctionDeclarations(script)) {
+        // 1. Let F be StringValue of the BindingIdentifier of f.
+        const F = StringValue(f.BindingIdentifier);
+        // 2. If replacing the FunctionDeclaration f with a VariableStatement that has F as a BindingIdentifier would not produce any Early Errors for script, then
+        // a. If env.HasLexicalDeclaration(F) is false, then
+        if (env.HasLexicalDeclaration(F) === Value.false) {
+          // i. Let fnDefinable be ? env.CanDeclareGlobalVar(F).
+          const fnDefinable = Q(env.CanDeclareGlobalVar(F));
+          // ii. If fnDefinable is true, then
+          if (fnDefinable === Value.true) {
+            // 1. NOTE: A var binding for F is only instantiated here if it is neither a VarDeclaredName nor the name of another FunctionDeclaration.
+            // 2. If declaredFunctionOrVarNames does not contain F, then
+            if (!declaredFunctionOrVarNames.has(F)) {
+              // a. Perform ? env.CreateGlobalVarBinding(F, false).
+              Q(env.CreateGlobalVarBinding(F, Value.false));
+              // b. Append F to declaredFunctionOrVarNames.
+              declaredFunctionOrVarNames.add(F);
+            }
+            // 3. When the FunctionDeclaration f is evaluated, perform the following steps in place of the FunctionDeclaration Evaluation algorithm provided in 15.2.6: ...
+            f.IsBlockFunctionVarBinding = true;
+          }
+        }
+      }
+    }
+  }
   // 14. Let lexDeclarations be the LexicallyScopedDeclarations of script.
   const lexDeclarations = LexicallyScopedDeclarations(script);
   // 15. Let privateEnv be null.
@@ -2,6 +2,10 @@
 import { surroundingAgent, HostLoadImportedModule } from '../engine.mjs';
 import { Evaluate } from '../evaluator.mjs';
 import {
+  AllImportAttributesSupported,
+  Call,
+  EnumerableOwnPropertyNames,
+  Get,
   GetValue,
   ToString,
   NewPromiseCapability,
@@ -10,29 +14,129 @@ import {
 import {
   Q, X, IfAbruptRejectPromise,
 } from '../completion.mjs';
-import { Value } from '../api.mjs';
+import { ObjectValue, JSStringValue, Value } from '../value.mjs';
 
 /** https://tc39.es/ecma262/#sec-import-calls */
-// ImportCall : `import` `(` AssignmentExpression `)`
-export function* Evaluate_ImportCall({ AssignmentExpression }) {
-  // 1. Let referrer be ! GetActiveScriptOrModule().
-  let referrer = X(GetActiveScriptOrModule());
+// ImportCall :
+//   `import` `(` AssignmentExpression `,`? `)`
+//   `import` `(` AssignmentExpression `,` AssignmentExpression `,`? `)`
+//   `import` `.` `source` `(` AssignmentExpression `,`? `)`
+export function* Evaluate_ImportCall({ AssignmentExpression, OptionsExpression, Phase }) {
+  if (Phase === 'source') {
+    // 1. Return ? EvaluateImportCall(AssignmentExpression, undefined, source).
+    return Q(yield* EvaluateImportCall(AssignmentExpression, undefined, 'source'));
+  }
+  // 1. Return ? EvaluateImportCall(AssignmentExpression, OptionsExpression, evaluation).
+  return Q(yield* EvaluateImportCall(AssignmentExpression, OptionsExpression, 'evaluation'));
+}
+
+/** https://tc39.es/ecma262/#sec-evaluate-import-call */
+function* EvaluateImportCall(specifierExpression, optionsExpression, phase) {
+  // 1. Let referrer be GetActiveScriptOrModule().
+  let referrer = GetActiveScriptOrModule();
   // 2. If referrer is null, set referrer to the current Realm Record.
   if (referrer === null) {
-    referrer = surroundingAgent.realm;
+    referrer = surroundingAgent.currentRealmRecord;
   }
-  // 3. Let argRef be the result of evaluating AssignmentExpression.
-  const argRef = yield* Evaluate(AssignmentExpression);
-  // 4. Let specifier be ? GetValue(argRef).
-  const specifier = Q(GetValue(argRef));
-  // 5. Let promiseCapability be ! NewPromiseCapability(%Promise%).
+  // 3. Let specifierRef be ? Evaluation of specifierExpression.
+  const specifierRef = yield* Evaluate(specifierExpression);
+  // 4. Let specifier be ? GetValue(specifierRef).
+  const specifier = Q(GetValue(specifierRef));
+  let options;
+  // 5. If optionsExpression is present, then
+  if (optionsExpression) {
+    // a. Let optionsRef be ? Evaluation of optionsExpression.
+    const optionsRef = yield* Evaluate(optionsExpression);
+    // b. Let options be ? GetValue(optionsRef).
+    options = Q(GetValue(optionsRef));
+  } else { // 6. Else,
+    // a. Let options be undefined.
+    options = Value.undefined;
+  }
+  // 7. Let promiseCapability be ! NewPromiseCapability(%Promise%).
   const promiseCapability = X(NewPromiseCapability(surroundingAgent.intrinsic('%Promise%')));
-  // 6. Let specifierString be ToString(specifier).
-  const specifierString = ToString(specifier);
-  // 7. IfAbruptRejectPromise(specifierString, promiseCapability).
-  IfAbruptRejectPromise(specifierString, promiseCapability);
-  // 8. Perform HostLoadImportedModule(referrer, specifierString, ~empty~, promiseCapability).
-  HostLoadImportedModule(referrer, specifierString, Value.undefined, promiseCapability);
-  // 9. Return promiseCapability.[[Promise]].
+  let specifierString;
+  // 8. If specifier is an Object that has a [[ModuleRecord]] internal slot, then
+  if (specifier instanceof ObjectValue && 'ModuleRecord' in specifier) {
+    // a. Let specifierString be specifier.[[ModuleRecord]].
+    specifierString = specifier.ModuleRecord;
+  } else { // 9. Else,
+    // a. Let specifierString be Completion(ToString(specifier)).
+    specifierString = ToString(specifier);
+    // b. IfAbruptRejectPromise(specifierString, promiseCapability).
+    IfAbruptRejectPromise(specifierString, promiseCapability);
+  }
+  // 10. Let attributes be a new empty List.
+  const attributes = [];
+  // 11. If options is not undefined, then
+  if (options !== Value.undefined) {
+    // a. If options is not an Object, then
+    if (!(options instanceof ObjectValue)) {
+      // i. Perform ! Call(promiseCapability.[[Reject]], undefined, « a newly created TypeError object »).
+      X(Call(promiseCapability.Reject, Value.undefined, [
+        surroundingAgent.Throw('TypeError', 'NotAnObject', options).Value,
+      ]));
+      // ii. Return promiseCapability.[[Promise]].
+      return promiseCapability.Promise;
+    }
+    // b. Let attributesObj be Completion(Get(options, "with")).
+    const attributesObj = Get(options, Value('with'));
+    // c. IfAbruptRejectPromise(attributesObj, promiseCapability).
+    IfAbruptRejectPromise(attributesObj, promiseCapability);
+    // d. If attributesObj is not undefined, then
+    if (attributesObj !== Value.undefined) {
+      // i. If attributesObj is not an Object, then
+      if (!(attributesObj instanceof ObjectValue)) {
+        // 1. Perform ! Call(promiseCapability.[[Reject]], undefined, « a newly created TypeError object »).
+        X(Call(promiseCapability.Reject, Value.undefined, [
+          surroundingAgent.Throw('TypeError', 'NotAnObject', attributesObj).Value,
+        ]));
+        // 2. Return promiseCapability.[[Promise]].
+        return promiseCapability.Promise;
+      }
+      // ii. Let entries be Completion(EnumerableOwnPropertyNames(attributesObj, key+value)).
+      const entries = EnumerableOwnPropertyNames(attributesObj, 'key+value');
+      // iii. IfAbruptRejectPromise(entries, promiseCapability).
+      IfAbruptRejectPromise(entries, promiseCapability);
+      // iv. For each element entry of entries, do
+      for (const entry of entries) {
+        // 1. Let key be ! Get(entry, "0").
+        const key = X(Get(entry, Value('0')));
+        // 2. Let value be ! Get(entry, "1").
+        const value = X(Get(entry, Value('1')));
+        // 3. If key is a String, then
+        if (key instanceof JSStringValue) {
+          // a. If value is not a String, then
+          if (!(value instanceof JSStringValue)) {
+            // i. Perform ! Call(promiseCapability.[[Reject]], undefined, « a newly created TypeError object »).
+            X(Call(promiseCapability.Reject, Value.undefined, [
+              surroundingAgent.Throw('TypeError', 'ImportAttributeValueNotString', key, value).Value,
+            ]));
+            // ii. Return promiseCapability.[[Promise]].
+            return promiseCapability.Promise;
+          }
+          // b. Append the ImportAttribute Record { [[Key]]: key, [[Value]]: value } to attributes.
+          attributes.push({ Key: key, Value: value });
+        }
+      }
+    }
+    // e. If AllImportAttributesSupported(attributes) is false, then
+    if (!AllImportAttributesSupported(attributes)) {
+      // i. Perform ! Call(promiseCapability.[[Reject]], undefined, « a newly created TypeError object »).
+      const unsupported = attributes.find((attribute) => !AllImportAttributesSupported([attribute]));
+      X(Call(promiseCapability.Reject, Value.undefined, [
+        surroundingAgent.Throw('TypeError', 'UnsupportedImportAttribute', unsupported.Key).Value,
+      ]));
+      // ii. Return promiseCapability.[[Promise]].
+      return promiseCapability.Promise;
+    }
+    // f. Sort attributes according to the lexicographic order of their [[Key]] field, treating the value of each such field as a sequence of UTF-16 code unit values.
+    attributes.sort((a, b) => (a.Key.stringValue() < b.Key.stringValue() ? -1 : 1));
+  }
+  // 12. Let moduleRequest be a new ModuleRequest Record { [[Specifier]]: specifierString, [[Attributes]]: attributes, [[Phase]]: phase }.
+  const moduleRequest = { Specifier: specifierString, Attributes: attributes, Phase: phase };
+  // 13. Perform HostLoadImportedModule(referrer, moduleRequest, empty, promiseCapability).
+  HostLoadImportedModule(referrer, moduleRequest, Value.undefined, promiseCapability);
+  // 14. Return promiseCapability.[[Promise]].
   return promiseCapability.Promise;
 }
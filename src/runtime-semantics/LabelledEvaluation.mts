@@ -6,6 +6,7 @@ import { NewDeclarativeEnvironment, DeclarativeEnvironmentRecord } from '../envi
 import {
   Assert,
   Call,
+  DisposeResources,
   GetIterator,
   GetValue,
   PutValue,
@@ -21,8 +22,10 @@ import {
   SameValue,
 } from '../abstract-ops/all.mjs';
 import {
+  AssignmentTargetType,
   BoundNames,
   IsConstantDeclaration,
+  IsAnonymousFunctionDefinition,
   IsDestructuring,
   StringValue,
 } from '../static-semantics/all.mjs';
@@ -43,6 +46,7 @@ import {
   Evaluate_VariableDeclarationList,
   BindingInitialization,
   DestructuringAssignmentEvaluation,
+  NamedEvaluation,
   refineLeftHandSideExpression,
 } from './all.mjs';
 
@@ -290,9 +294,11 @@ function* LabelledEvaluation_BreakableStatement_ForStatement(ForStatement, label
       // 6. Set the running execution context's LexicalEnvironment to loopEnv.
       surroundingAgent.runningExecutionContext.LexicalEnvironment = loopEnv;
       // 7. Let forDcl be the result of evaluating LexicalDeclaration.
-      const forDcl = yield* Evaluate(LexicalDeclaration);
+      let forDcl = yield* Evaluate(LexicalDeclaration);
       // 8. If forDcl is an abrupt completion, then
       if (forDcl instanceof AbruptCompletion) {
+        // (Explicit Resource Management) Set forDcl to Completion(DisposeResources(loopEnv.[[DisposeCapability]], forDcl)).
+        forDcl = yield* DisposeResources(loopEnv.DisposeCapability, forDcl);
         // a. Set the running execution context's LexicalEnvironment to oldEnv.
         surroundingAgent.runningExecutionContext.LexicalEnvironment = oldEnv;
         // b. Return Completion(forDcl).
@@ -306,7 +312,9 @@ function* LabelledEvaluation_BreakableStatement_ForStatement(ForStatement, label
         perIterationLets = [];
       }
       // 10. Let bodyResult be ForBodyEvaluation(the first Expression, the second Expression, Statement, perIterationLets, labelSet).
-      const bodyResult = yield* ForBodyEvaluation(Expression_a, Expression_b, Statement, perIterationLets, labelSet);
+      let bodyResult = yield* ForBodyEvaluation(Expression_a, Expression_b, Statement, perIterationLets, labelSet);
+      // (Explicit Resource Management) Set bodyResult to Completion(DisposeResources(loopEnv.[[DisposeCapability]], bodyResult)).
+      bodyResult = yield* DisposeResources(loopEnv.DisposeCapability, bodyResult);
       // 11. Set the running execution context's LexicalEnvironment to oldEnv.
       surroundingAgent.runningExecutionContext.LexicalEnvironment = oldEnv;
       // 12. Return Completion(bodyResult).
@@ -350,6 +358,31 @@ function* LabelledEvaluation_IterationStatement_ForInStatement(ForInStatement, l
       // 2. Return ? ForIn/OfBodyEvaluation(LeftHandSideExpression, Statement, keyResult, enumerate, assignment, labelSet).
       return Q(yield* ForInOfBodyEvaluation(LeftHandSideExpression, Statement, keyResult, 'enumerate', 'assignment', labelSet));
     }
+    case !!ForBinding && !!ForBinding.Initializer && !!Expression: {
+      // IterationStatement : `for` `(` `var` BindingIdentifier Initializer `in` Expression `)` Statement
+      const { BindingIdentifier, Initializer } = ForBinding;
+      // 1. Let bindingId be StringValue of BindingIdentifier.
+      const bindingId = StringValue(BindingIdentifier);
+      // 2. Let lhs be ? ResolveBinding(bindingId).
+      const lhs = Q(ResolveBinding(bindingId, undefined, BindingIdentifier.strict));
+      let value;
+      // 3. If IsAnonymousFunctionDefinition(Initializer) is true, then
+      if (IsAnonymousFunctionDefinition(Initializer)) {
+        // a. Let value be ? NamedEvaluation of Initializer with argument bindingId.
+        value = Q(yield* NamedEvaluation(Initializer, bindingId));
+      } else { // 4. Else,
+        // a. Let rhs be ? Evaluation of Initializer.
+        const rhs = Q(yield* Evaluate(Initializer));
+        // b. Let value be ? GetValue(rhs).
+        value = Q(GetValue(rhs));
+      }
+      // 5. Perform ? PutValue(lhs, value).
+      Q(PutValue(lhs, value));
+      // 6. Let keyResult be ? ForIn/OfHeadEvaluation(« », Expression, enumerate).
+      const keyResult = Q(yield* ForInOfHeadEvaluation([], Expression, 'enumerate'));
+      // 7. Return ? ForIn/OfBodyEvaluation(BindingIdentifier, Statement, keyResult, enumerate, varBinding, labelSet).
+      return Q(yield* ForInOfBodyEvaluation(ForBinding, Statement, keyResult, 'enumerate', 'varBinding', labelSet));
+    }
     case !!ForBinding && !!Expression: {
       // IterationStatement :`for` `(` `var` ForBinding `in` Expression `)` Statement
       // 1. Let keyResult be ? ForIn/OfHeadEvaluation(« », Expression, enumerate).
@@ -612,6 +645,11 @@ function* ForInOfBodyEvaluation(lhs, stmt, iteratorRecord, iterationKind, lhsKin
       if (destructuring === false) {
         // 1. Let lhsRef be the result of evaluating lhs. (It may be evaluated repeatedly.)
         lhsRef = yield* Evaluate(lhs);
+        // (Annex B.3.9) If lhsKind is assignment and the AssignmentTargetType of lhs is web-compat, throw a ReferenceError exception.
+        // The throw completion becomes status below, so the iterator is closed.
+        if (lhsKind === 'assignment' && AssignmentTargetType(lhs) === 'web-compat' && !(lhsRef instanceof AbruptCompletion)) {
+          lhsRef = surroundingAgent.Throw('ReferenceError', 'InvalidAssignmentTarget');
+        }
       }
     } else { // h. Else,
       // i. Assert: lhsKind is lexicalBinding.
@@ -641,8 +679,15 @@ function* ForInOfBodyEvaluation(lhs, stmt, iteratorRecord, iterationKind, lhsKin
         // 1. Let status be lhsRef.
         status = lhsRef;
       } else if (lhsKind === 'lexicalBinding') { // ii. Else is lhsKind is lexicalBinding, then
-        // 1. Let status be InitializeReferencedBinding(lhsRef, nextValue).
-        status = InitializeReferencedBinding(lhsRef, nextValue);
+        // (Explicit Resource Management) Let hint be sync-dispose or async-dispose if lhs is a using declaration; otherwise normal.
+        let hint = 'normal';
+        if (lhs.LetOrConst === 'using') {
+          hint = 'sync-dispose';
+        } else if (lhs.LetOrConst === 'await using') {
+          hint = 'async-dispose';
+        }
+        // 1. Let status be InitializeReferencedBinding(lhsRef, nextValue, hint).
+        status = InitializeReferencedBinding(lhsRef, nextValue, hint);
       } else { // iii. Else,
         status = PutValue(lhsRef, nextValue);
       }
@@ -685,7 +730,11 @@ function* ForInOfBodyEvaluation(lhs, stmt, iteratorRecord, iterationKind, lhsKin
       }
     }
     // l. Let result be the result of evaluating stmt.
-    const result = EnsureCompletion(yield* Evaluate(stmt));
+    let result = EnsureCompletion(yield* Evaluate(stmt));
+    // (Explicit Resource Management) If iterationEnv is not undefined, set result to Completion(DisposeResources(iterationEnv.[[DisposeCapability]], result)).
+    if (iterationEnv !== undefined) {
+      result = EnsureCompletion(yield* DisposeResources(iterationEnv.DisposeCapability, result));
+    }
     // m. Set the running execution context's LexicalEnvironment to oldEnv.
     surroundingAgent.runningExecutionContext.LexicalEnvironment = oldEnv;
     // n. If LoopContinues(result, labelSet) is false, then
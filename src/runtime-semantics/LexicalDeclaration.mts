@@ -20,7 +20,7 @@ import { NamedEvaluation, BindingInitialization } from './all.mjs';
 //   LexicalBinding :
 //     BindingIdentifier
 //     BindingIdentifier Initializer
-function* Evaluate_LexicalBinding_BindingIdentifier({ BindingIdentifier, Initializer, strict }) {
+function* Evaluate_LexicalBinding_BindingIdentifier({ BindingIdentifier, Initializer, strict }, hint) {
   if (Initializer) {
     // 1. Let bindingId be StringValue of BindingIdentifier.
     const bindingId = StringValue(BindingIdentifier);
@@ -37,8 +37,8 @@ function* Evaluate_LexicalBinding_BindingIdentifier({ BindingIdentifier, Initial
       // b. Let value be ? GetValue(rhs).
       value = Q(GetValue(rhs));
     }
-    // 5. Return InitializeReferencedBinding(lhs, value).
-    return InitializeReferencedBinding(lhs, value);
+    // 5. Return InitializeReferencedBinding(lhs, value, hint).
+    return InitializeReferencedBinding(lhs, value, hint);
   } else {
     // 1. Let lhs be ResolveBinding(StringValue of BindingIdentifier).
     const lhs = ResolveBinding(StringValue(BindingIdentifier), undefined, strict);
@@ -57,10 +57,10 @@ function* Evaluate_LexicalBinding_BindingPattern(LexicalBinding) {
   return yield* BindingInitialization(BindingPattern, value, env);
 }
 
-export function* Evaluate_LexicalBinding(LexicalBinding) {
+export function* Evaluate_LexicalBinding(LexicalBinding, hint = 'normal') {
   switch (true) {
     case !!LexicalBinding.BindingIdentifier:
-      return yield* Evaluate_LexicalBinding_BindingIdentifier(LexicalBinding);
+      return yield* Evaluate_LexicalBinding_BindingIdentifier(LexicalBinding, hint);
     case !!LexicalBinding.BindingPattern:
       return yield* Evaluate_LexicalBinding_BindingPattern(LexicalBinding);
     default:
@@ -73,13 +73,13 @@ export function* Evaluate_LexicalBinding(LexicalBinding) {
 //
 // (implicit)
 //   BindingList : LexicalBinding
-export function* Evaluate_BindingList(BindingList) {
+export function* Evaluate_BindingList(BindingList, hint = 'normal') {
   // 1. Let next be the result of evaluating BindingList.
   // 2. ReturnIfAbrupt(next).
   // 3. Return the result of evaluating LexicalBinding.
   let next;
   for (const LexicalBinding of BindingList) {
-    next = yield* Evaluate_LexicalBinding(LexicalBinding);
+    next = yield* Evaluate_LexicalBinding(LexicalBinding, hint);
     ReturnIfAbrupt(next);
   }
   return next;
@@ -87,9 +87,18 @@ export function* Evaluate_BindingList(BindingList) {
 
 /** https://tc39.es/ecma262/#sec-let-and-const-declarations-runtime-semantics-evaluation */
 //   LexicalDeclaration : LetOrConst BindingList `;`
-export function* Evaluate_LexicalDeclaration({ BindingList }) {
+//   UsingDeclaration : `using` BindingList `;`
+//   AwaitUsingDeclaration : `await` `using` BindingList `;`
+export function* Evaluate_LexicalDeclaration({ LetOrConst, BindingList }) {
+  // (Explicit Resource Management) Let hint be normal, sync-dispose, or async-dispose.
+  let hint = 'normal';
+  if (LetOrConst === 'using') {
+    hint = 'sync-dispose';
+  } else if (LetOrConst === 'await using') {
+    hint = 'async-dispose';
+  }
   // 1. Let next be the result of evaluating BindingList.
-  const next = yield* Evaluate_BindingList(BindingList);
+  const next = yield* Evaluate_BindingList(BindingList, hint);
   // 2. ReturnIfAbrupt(next).
   ReturnIfAbrupt(next);
   // 3. Return NormalCompletion(empty).
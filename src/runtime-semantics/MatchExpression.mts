@@ -0,0 +1,604 @@
+// @ts-nocheck
+import { surroundingAgent } from '../engine.mjs';
+import { Evaluate } from '../evaluator.mjs';
+import { NewDeclarativeEnvironment } from '../environment.mjs';
+import {
+  AbstractEqualityComparison,
+  AbstractRelationalComparison,
+  Assert,
+  Call,
+  CopyDataProperties,
+  CreateArrayFromList,
+  Get,
+  GetIterator,
+  GetV,
+  GetValue,
+  HasProperty,
+  IsCallable,
+  IteratorClose,
+  IteratorStep,
+  IteratorValue,
+  OrdinaryObjectCreate,
+  SameValueZero,
+  StrictEqualityComparison,
+  ToBoolean,
+  ToPropertyKey,
+} from '../abstract-ops/all.mjs';
+import { StringValue } from '../static-semantics/all.mjs';
+import {
+  ObjectValue,
+  Value,
+  wellKnownSymbols,
+} from '../value.mjs';
+import {
+  AbruptCompletion,
+  EnsureCompletion,
+  Q, X,
+} from '../completion.mjs';
+import { OutOfRange, ValueMap } from '../helpers.mjs';
+import { Evaluate_PropertyName, InstanceofOperator } from './all.mjs';
+
+/** https://tc39.es/proposal-pattern-matching/#sec-match-expression-runtime-semantics-evaluation */
+//   MatchExpression :
+//     `match` `(` Expression `)` `{` MatchExpressionClauses `;`? `}`
+export function* Evaluate_MatchExpression({ Expression, MatchExpressionClauses }) {
+  // 1. Let subjectRef be ? Evaluation of Expression.
+  const subjectRef = yield* Evaluate(Expression);
+  // 2. Let subject be ? GetValue(subjectRef).
+  const subject = Q(GetValue(subjectRef));
+  // 3. Let cacheGroup be CreateMatchCache().
+  const cacheGroup = CreateMatchCache();
+  // 4. Let result be Completion(MatchExpressionClausesEvaluation of MatchExpressionClauses with arguments subject and cacheGroup).
+  const result = EnsureCompletion(yield* MatchExpressionClausesEvaluation(MatchExpressionClauses, subject, cacheGroup));
+  // 5. Return ? FinishMatch(result, cacheGroup).
+  return Q(FinishMatch(result, cacheGroup));
+}
+
+/** https://tc39.es/proposal-pattern-matching/#sec-match-expression-clauses-runtime-semantics-evaluation */
+function* MatchExpressionClausesEvaluation(MatchExpressionClauses, subject, cacheGroup) {
+  // 1. For each MatchExpressionClause clause of MatchExpressionClauses, do
+  for (const clause of MatchExpressionClauses) {
+    // a. Let result be ? MatchExpressionClauseEvaluation of clause with arguments subject and cacheGroup.
+    const result = Q(yield* MatchExpressionClauseEvaluation(clause, subject, cacheGroup));
+    // b. If result is not not-matched, return result.
+    if (result !== 'not-matched') {
+      return result;
+    }
+  }
+  // 2. Throw a TypeError exception.
+  return surroundingAgent.Throw('TypeError', 'MatchExpressionNoMatch', subject);
+}
+
+/** https://tc39.es/proposal-pattern-matching/#sec-match-expression-clause-runtime-semantics-evaluation */
+//   MatchExpressionClause :
+//     `when` MatchPattern `:` Expression
+//     `default` `:` Expression
+function* MatchExpressionClauseEvaluation({ MatchPattern, Expression }, subject, cacheGroup) {
+  if (MatchPattern === null) {
+    // 1. Let exprRef be ? Evaluation of Expression.
+    const exprRef = yield* Evaluate(Expression);
+    // 2. Return ? GetValue(exprRef).
+    return Q(GetValue(exprRef));
+  }
+  // 1. Let oldEnv be the running execution context's LexicalEnvironment.
+  const oldEnv = surroundingAgent.runningExecutionContext.LexicalEnvironment;
+  // 2. Let clauseEnv be NewDeclarativeEnvironment(oldEnv).
+  const clauseEnv = NewDeclarativeEnvironment(oldEnv);
+  // 3. For each MatchBindingPattern binding of MatchPatternBindings of MatchPattern, do
+  for (const binding of MatchPatternBindings(MatchPattern)) {
+    // a. Let name be StringValue of binding's BindingIdentifier.
+    const name = StringValue(binding.BindingIdentifier);
+    // b. If binding is a `const` binding, then
+    if (binding.LetOrConst === 'const') {
+      // i. Perform ! clauseEnv.CreateImmutableBinding(name, true).
+      X(clauseEnv.CreateImmutableBinding(name, Value.true));
+    } else { // c. Else,
+      // i. Perform ! clauseEnv.CreateMutableBinding(name, false).
+      X(clauseEnv.CreateMutableBinding(name, Value.false));
+    }
+  }
+  // 4. Set the running execution context's LexicalEnvironment to clauseEnv.
+  surroundingAgent.runningExecutionContext.LexicalEnvironment = clauseEnv;
+  // 5. Let matches be Completion(MatchPatternMatches of MatchPattern with arguments subject and cacheGroup).
+  const matches = EnsureCompletion(yield* MatchPatternMatches(MatchPattern, subject, cacheGroup));
+  // 6. If matches is an abrupt completion, then
+  if (matches instanceof AbruptCompletion) {
+    // a. Set the running execution context's LexicalEnvironment to oldEnv.
+    surroundingAgent.runningExecutionContext.LexicalEnvironment = oldEnv;
+    // b. Return ? matches.
+    return matches;
+  }
+  // 7. If matches.[[Value]] is false, then
+  if (matches.Value === Value.false) {
+    // a. Set the running execution context's LexicalEnvironment to oldEnv.
+    surroundingAgent.runningExecutionContext.LexicalEnvironment = oldEnv;
+    // b. Return not-matched.
+    return 'not-matched';
+  }
+  // 8. Let result be Completion(Evaluation of Expression).
+  let result = EnsureCompletion(yield* Evaluate(Expression));
+  // 9. If result is a normal completion, set result to Completion(GetValue(result.[[Value]])).
+  if (!(result instanceof AbruptCompletion)) {
+    result = EnsureCompletion(GetValue(result.Value));
+  }
+  // 10. Set the running execution context's LexicalEnvironment to oldEnv.
+  surroundingAgent.runningExecutionContext.LexicalEnvironment = oldEnv;
+  // 11. Return ? result.
+  return result;
+}
+
+// NON-SPEC: collects the MatchBindingPatterns introduced by a MatchPattern,
+// without descending into nested expressions.
+function MatchPatternBindings(node) {
+  if (node === null) {
+    return [];
+  }
+  switch (node.type) {
+    case 'MatchBindingPattern':
+      return [node];
+    case 'CombinedMatchPattern':
+      return node.MatchPatternList.flatMap(MatchPatternBindings);
+    case 'NotMatchPattern':
+    case 'MatchRestPattern':
+    case 'MatchProperty':
+      return MatchPatternBindings(node.MatchPattern);
+    case 'ArrayMatchPattern':
+    case 'MemberExpressionPattern':
+    case 'RegularExpressionPattern':
+      return MatchPatternBindings(node.MatchList);
+    case 'MatchList':
+      return [
+        ...node.MatchElementList.flatMap(MatchPatternBindings),
+        ...MatchPatternBindings(node.MatchRestPattern),
+      ];
+    case 'ObjectMatchPattern':
+      return [
+        ...node.MatchPropertyList.flatMap(MatchPatternBindings),
+        ...MatchPatternBindings(node.MatchRestPattern),
+      ];
+    default:
+      return [];
+  }
+}
+
+/** https://tc39.es/proposal-pattern-matching/#sec-match-pattern-matches */
+function* MatchPatternMatches(node, subject, cacheGroup) {
+  switch (node.type) {
+    case 'PrimitivePattern': {
+      // 1. Let value be ? Evaluation of Literal.
+      const value = Q(GetValue(yield* Evaluate(node.Literal)));
+      // 2. Return SameValueZero(subject, value).
+      return SameValueZero(subject, value);
+    }
+    case 'MatchBindingPattern': {
+      // 1. Let name be StringValue of BindingIdentifier.
+      const name = StringValue(node.BindingIdentifier);
+      // 2. Let env be the running execution context's LexicalEnvironment.
+      const env = surroundingAgent.runningExecutionContext.LexicalEnvironment;
+      // 3. Perform ! env.InitializeBinding(name, subject).
+      X(env.InitializeBinding(name, subject));
+      // 4. Return true.
+      return Value.true;
+    }
+    case 'RegularExpressionPattern': {
+      // 1. Let regexp be ? Evaluation of RegularExpressionLiteral.
+      const regexp = Q(yield* Evaluate(node.RegularExpressionLiteral));
+      // 2. Return ? MatcherPatternMatches(regexp, MatchList, subject, cacheGroup).
+      return Q(yield* MatcherPatternMatches(regexp, node.MatchList, subject, cacheGroup));
+    }
+    case 'MemberExpressionPattern': {
+      // 1. Let ref be ? Evaluation of PatternMatchingMemberExpression.
+      const ref = yield* Evaluate(node.MemberExpression);
+      // 2. Let value be ? GetValue(ref).
+      const value = Q(GetValue(ref));
+      // 3. If MatchList is not present and value is not an Object, return SameValueZero(subject, value).
+      if (node.MatchList === null && !(value instanceof ObjectValue)) {
+        return SameValueZero(subject, value);
+      }
+      // 4. Return ? MatcherPatternMatches(value, MatchList, subject, cacheGroup).
+      return Q(yield* MatcherPatternMatches(value, node.MatchList, subject, cacheGroup));
+    }
+    case 'ObjectMatchPattern':
+      return Q(yield* ObjectMatchPatternMatches(node, subject, cacheGroup));
+    case 'ArrayMatchPattern': {
+      // 1. If subject is not an Object, return false.
+      if (!(subject instanceof ObjectValue)) {
+        return Value.false;
+      }
+      // 2. Let iteratorMethod be ? GetCached(subject, cacheGroup, @@iterator).
+      const iteratorMethod = Q(GetCached(subject, cacheGroup, wellKnownSymbols.iterator));
+      // 3. If IsCallable(iteratorMethod) is false, return false.
+      if (IsCallable(iteratorMethod) === Value.false) {
+        return Value.false;
+      }
+      // 4. Let iteratorRecord be ? GetIteratorCached(subject, cacheGroup).
+      const iteratorRecord = Q(GetIteratorCached(subject, cacheGroup));
+      // 5. Return ? ListPatternMatches of MatchList with arguments iteratorRecord and cacheGroup.
+      return Q(yield* ListPatternMatches(node.MatchList, iteratorRecord, cacheGroup));
+    }
+    case 'RelationalPattern':
+      return Q(yield* RelationalPatternMatches(node, subject));
+    case 'GuardPattern': {
+      // 1. Let ref be ? Evaluation of Expression.
+      const ref = yield* Evaluate(node.Expression);
+      // 2. Let value be ? GetValue(ref).
+      const value = Q(GetValue(ref));
+      // 3. Return ToBoolean(value).
+      return ToBoolean(value);
+    }
+    case 'NotMatchPattern': {
+      // 1. Let result be ? MatchPatternMatches of MatchPattern with arguments subject and cacheGroup.
+      const result = Q(yield* MatchPatternMatches(node.MatchPattern, subject, cacheGroup));
+      // 2. If result is true, return false. Otherwise, return true.
+      return result === Value.true ? Value.false : Value.true;
+    }
+    case 'CombinedMatchPattern':
+      // 1. For each MatchPattern pattern of MatchPatternList, do
+      for (const pattern of node.MatchPatternList) {
+        // a. Let result be ? MatchPatternMatches of pattern with arguments subject and cacheGroup.
+        const result = Q(yield* MatchPatternMatches(pattern, subject, cacheGroup));
+        // b. If Operator is `and` and result is false, return false.
+        if (node.Operator === 'and' && result === Value.false) {
+          return Value.false;
+        }
+        // c. If Operator is `or` and result is true, return true.
+        if (node.Operator === 'or' && result === Value.true) {
+          return Value.true;
+        }
+      }
+      // 2. If Operator is `and`, return true. Otherwise, return false.
+      return node.Operator === 'and' ? Value.true : Value.false;
+    default:
+      throw new OutOfRange('MatchPatternMatches', node);
+  }
+}
+
+/** https://tc39.es/proposal-pattern-matching/#sec-matcher-pattern-matches */
+function* MatcherPatternMatches(matcher, MatchList, subject, cacheGroup) {
+  // 1. If MatchList is not present, return ? InvokeCustomMatcher(matcher, subject, cacheGroup, boolean).
+  if (MatchList === null) {
+    return Q(InvokeCustomMatcher(matcher, subject, cacheGroup, 'boolean'));
+  }
+  // 2. Let iteratorRecord be ? InvokeCustomMatcher(matcher, subject, cacheGroup, list).
+  const iteratorRecord = Q(InvokeCustomMatcher(matcher, subject, cacheGroup, 'list'));
+  // 3. If iteratorRecord is not-matched, return false.
+  if (iteratorRecord === 'not-matched') {
+    return Value.false;
+  }
+  // 4. Return ? ListPatternMatches of MatchList with arguments iteratorRecord and cacheGroup.
+  return Q(yield* ListPatternMatches(MatchList, iteratorRecord, cacheGroup));
+}
+
+/** https://tc39.es/proposal-pattern-matching/#sec-invoke-custom-matcher */
+function InvokeCustomMatcher(matcher, subject, cacheGroup, kind) {
+  // 1. If matcher is not an Object, throw a TypeError exception.
+  if (!(matcher instanceof ObjectValue)) {
+    return surroundingAgent.Throw('TypeError', 'NotAnObject', matcher);
+  }
+  // 2. Let f be ? Get(matcher, @@customMatcher).
+  const f = Q(Get(matcher, wellKnownSymbols.customMatcher));
+  // 3. If IsCallable(f) is false, throw a TypeError exception.
+  if (IsCallable(f) === Value.false) {
+    return surroundingAgent.Throw('TypeError', 'NotACustomMatcher', matcher);
+  }
+  // 4. If kind is boolean, let hint be "boolean"; otherwise let hint be "list".
+  const hint = Value(kind);
+  // 5. Let result be ? Call(f, matcher, « subject, hint »).
+  const result = Q(Call(f, matcher, [subject, hint]));
+  // 6. If kind is boolean, return ToBoolean(result).
+  if (kind === 'boolean') {
+    return ToBoolean(result);
+  }
+  // 7. If result is false, return not-matched.
+  if (result === Value.false) {
+    return 'not-matched';
+  }
+  // 8. If result is not an Object, throw a TypeError exception.
+  if (!(result instanceof ObjectValue)) {
+    return surroundingAgent.Throw('TypeError', 'CustomMatcherResultNotObject', result);
+  }
+  // 9. Return ? GetIteratorCached(result, cacheGroup).
+  return Q(GetIteratorCached(result, cacheGroup));
+}
+
+/** https://tc39.es/proposal-pattern-matching/#sec-object-match-pattern-matches */
+//   ObjectMatchPattern :
+//     `{` MatchPropertyList `,` MatchRestPattern `}`
+function* ObjectMatchPatternMatches({ MatchPropertyList, MatchRestPattern }, subject, cacheGroup) {
+  // 1. If subject is not an Object, return false.
+  if (!(subject instanceof ObjectValue)) {
+    return Value.false;
+  }
+  // 2. Let excludedNames be a new empty List.
+  const excludedNames = [];
+  // 3. For each MatchProperty property of MatchPropertyList, do
+  for (const property of MatchPropertyList) {
+    let key;
+    // a. If property is MatchBindingPattern, let key be StringValue of its BindingIdentifier.
+    if (property.PropertyName === null) {
+      key = StringValue(property.MatchPattern.BindingIdentifier);
+    } else { // b. Else, let key be ? Evaluation of PropertyName.
+      key = Q(yield* Evaluate_PropertyName(property.PropertyName));
+    }
+    // c. Append key to excludedNames.
+    excludedNames.push(key);
+    // d. If ? HasPropertyCached(subject, cacheGroup, key) is false, return false.
+    if (Q(HasPropertyCached(subject, cacheGroup, key)) === Value.false) {
+      return Value.false;
+    }
+    // e. If property has a MatchPattern pattern, then
+    if (property.MatchPattern !== null) {
+      // i. Let value be ? GetCached(subject, cacheGroup, key).
+      const value = Q(GetCached(subject, cacheGroup, key));
+      // ii. If ? MatchPatternMatches of pattern with arguments value and cacheGroup is false, return false.
+      if (Q(yield* MatchPatternMatches(property.MatchPattern, value, cacheGroup)) === Value.false) {
+        return Value.false;
+      }
+    }
+  }
+  // 4. If MatchRestPattern is present and has a MatchPattern pattern, then
+  if (MatchRestPattern !== null && MatchRestPattern.MatchPattern !== null) {
+    // a. Let restObj be OrdinaryObjectCreate(%Object.prototype%).
+    const restObj = OrdinaryObjectCreate(surroundingAgent.intrinsic('%Object.prototype%'));
+    // b. Perform ? CopyDataProperties(restObj, subject, excludedNames).
+    Q(CopyDataProperties(restObj, subject, excludedNames));
+    // c. Return ? MatchPatternMatches of pattern with arguments restObj and cacheGroup.
+    return Q(yield* MatchPatternMatches(MatchRestPattern.MatchPattern, restObj, cacheGroup));
+  }
+  // 5. Return true.
+  return Value.true;
+}
+
+/** https://tc39.es/proposal-pattern-matching/#sec-list-pattern-matches */
+//   MatchList :
+//     MatchElementList? MatchRestPattern?
+function* ListPatternMatches({ MatchElementList, MatchRestPattern }, iteratorRecord, cacheGroup) {
+  // 1. For each element pattern of MatchElementList, with index n, do
+  for (let n = 0; n < MatchElementList.length; n += 1) {
+    const pattern = MatchElementList[n];
+    // a. Let value be ? GetIteratorNthValueCached(iteratorRecord, cacheGroup, n).
+    const value = Q(GetIteratorNthValueCached(iteratorRecord, cacheGroup, n));
+    // b. If value is not-matched, return false.
+    if (value === 'not-matched') {
+      return Value.false;
+    }
+    // c. If pattern is an elision, continue.
+    if (pattern === null) {
+      continue;
+    }
+    // d. If ? MatchPatternMatches of pattern with arguments value and cacheGroup is false, return false.
+    if (Q(yield* MatchPatternMatches(pattern, value, cacheGroup)) === Value.false) {
+      return Value.false;
+    }
+  }
+  const length = MatchElementList.length;
+  // 2. If MatchRestPattern is not present, then
+  if (MatchRestPattern === null) {
+    // a. Let value be ? GetIteratorNthValueCached(iteratorRecord, cacheGroup, length).
+    const value = Q(GetIteratorNthValueCached(iteratorRecord, cacheGroup, length));
+    // b. If value is not-matched, return true. Otherwise, return false.
+    return value === 'not-matched' ? Value.true : Value.false;
+  }
+  // 3. If MatchRestPattern does not have a MatchPattern, return true.
+  if (MatchRestPattern.MatchPattern === null) {
+    return Value.true;
+  }
+  // 4. Let rest be a new empty List.
+  const rest = [];
+  // 5. Let n be length.
+  let n = length;
+  // 6. Repeat,
+  while (true) {
+    // a. Let value be ? GetIteratorNthValueCached(iteratorRecord, cacheGroup, n).
+    const value = Q(GetIteratorNthValueCached(iteratorRecord, cacheGroup, n));
+    // b. If value is not-matched, exit the loop.
+    if (value === 'not-matched') {
+      break;
+    }
+    // c. Append value to rest.
+    rest.push(value);
+    // d. Set n to n + 1.
+    n += 1;
+  }
+  // 7. Return ? MatchPatternMatches of MatchRestPattern's MatchPattern with arguments CreateArrayFromList(rest) and cacheGroup.
+  return Q(yield* MatchPatternMatches(MatchRestPattern.MatchPattern, CreateArrayFromList(rest), cacheGroup));
+}
+
+/** https://tc39.es/proposal-pattern-matching/#sec-relational-pattern-matches */
+//   RelationalPattern :
+//     `<` ShiftExpression
+//     ...
+function* RelationalPatternMatches({ RelationalOperator, ShiftExpression }, subject) {
+  // 1. Let ref be ? Evaluation of ShiftExpression.
+  const ref = yield* Evaluate(ShiftExpression);
+  // 2. Let value be ? GetValue(ref).
+  const value = Q(GetValue(ref));
+  switch (RelationalOperator) {
+    case '<': {
+      // 3. Let r be ? IsLessThan(subject, value, true).
+      const r = Q(AbstractRelationalComparison(subject, value));
+      // 4. If r is undefined, return false. Otherwise, return r.
+      return r === Value.undefined ? Value.false : r;
+    }
+    case '>': {
+      // 3. Let r be ? IsLessThan(value, subject, false).
+      const r = Q(AbstractRelationalComparison(value, subject, false));
+      // 4. If r is undefined, return false. Otherwise, return r.
+      return r === Value.undefined ? Value.false : r;
+    }
+    case '<=': {
+      // 3. Let r be ? IsLessThan(value, subject, false).
+      const r = Q(AbstractRelationalComparison(value, subject, false));
+      // 4. If r is either true or undefined, return false. Otherwise, return true.
+      return r === Value.true || r === Value.undefined ? Value.false : Value.true;
+    }
+    case '>=': {
+      // 3. Let r be ? IsLessThan(subject, value, true).
+      const r = Q(AbstractRelationalComparison(subject, value));
+      // 4. If r is either true or undefined, return false. Otherwise, return true.
+      return r === Value.true || r === Value.undefined ? Value.false : Value.true;
+    }
+    case '==':
+      // 3. Return ? IsLooselyEqual(value, subject).
+      return Q(AbstractEqualityComparison(value, subject));
+    case '!=': {
+      // 3. Let r be ? IsLooselyEqual(value, subject).
+      const r = Q(AbstractEqualityComparison(value, subject));
+      // 4. If r is true, return false. Otherwise, return true.
+      return r === Value.true ? Value.false : Value.true;
+    }
+    case '===':
+      // 3. Return IsStrictlyEqual(value, subject).
+      return X(StrictEqualityComparison(value, subject));
+    case '!==': {
+      // 3. Let r be IsStrictlyEqual(value, subject).
+      const r = X(StrictEqualityComparison(value, subject));
+      // 4. If r is true, return false. Otherwise, return true.
+      return r === Value.true ? Value.false : Value.true;
+    }
+    case 'instanceof':
+      // 3. Return ? InstanceofOperator(subject, value).
+      return Q(InstanceofOperator(subject, value));
+    case 'in':
+      // 3. If value is not an Object, throw a TypeError exception.
+      if (!(value instanceof ObjectValue)) {
+        return surroundingAgent.Throw('TypeError', 'NotAnObject', value);
+      }
+      // 4. Return ? HasProperty(value, ? ToPropertyKey(subject)).
+      return Q(HasProperty(value, Q(ToPropertyKey(subject))));
+    default:
+      throw new OutOfRange('RelationalPatternMatches', RelationalOperator);
+  }
+}
+
+/** https://tc39.es/proposal-pattern-matching/#sec-creatematchcache */
+function CreateMatchCache() {
+  // 1. Return a new empty Map of match cache records.
+  return new ValueMap();
+}
+
+/** https://tc39.es/proposal-pattern-matching/#sec-getmatchcache */
+function GetMatchCache(subject, cacheGroup) {
+  // 1. If cacheGroup contains a record for subject, return it.
+  if (cacheGroup.has(subject)) {
+    return cacheGroup.get(subject);
+  }
+  // 2. Let cache be a new match cache record { [[Has]]: a new empty Map, [[Get]]: a new empty Map, [[Iterator]]: empty, [[IteratedValues]]: a new empty List }.
+  const cache = {
+    Has: new ValueMap(),
+    Get: new ValueMap(),
+    Iterator: undefined,
+    IteratedValues: [],
+  };
+  // 3. Add cache to cacheGroup for subject.
+  cacheGroup.set(subject, cache);
+  // 4. Return cache.
+  return cache;
+}
+
+/** https://tc39.es/proposal-pattern-matching/#sec-haspropertycached */
+function HasPropertyCached(subject, cacheGroup, propertyName) {
+  // 1. Let cache be GetMatchCache(subject, cacheGroup).[[Has]].
+  const cache = GetMatchCache(subject, cacheGroup).Has;
+  // 2. If cache contains propertyName, return its value.
+  if (cache.has(propertyName)) {
+    return cache.get(propertyName);
+  }
+  // 3. Let result be ? HasProperty(subject, propertyName).
+  const result = Q(HasProperty(subject, propertyName));
+  // 4. Add result to cache for propertyName.
+  cache.set(propertyName, result);
+  // 5. Return result.
+  return result;
+}
+
+/** https://tc39.es/proposal-pattern-matching/#sec-getcached */
+function GetCached(subject, cacheGroup, propertyName) {
+  // 1. Let cache be GetMatchCache(subject, cacheGroup).[[Get]].
+  const cache = GetMatchCache(subject, cacheGroup).Get;
+  // 2. If cache contains propertyName, return its value.
+  if (cache.has(propertyName)) {
+    return cache.get(propertyName);
+  }
+  // 3. Let result be ? GetV(subject, propertyName).
+  const result = Q(GetV(subject, propertyName));
+  // 4. Add result to cache for propertyName.
+  cache.set(propertyName, result);
+  // 5. Return result.
+  return result;
+}
+
+/** https://tc39.es/proposal-pattern-matching/#sec-getiteratorcached */
+function GetIteratorCached(subject, cacheGroup) {
+  // 1. Let cache be GetMatchCache(subject, cacheGroup).
+  const cache = GetMatchCache(subject, cacheGroup);
+  // 2. If cache.[[Iterator]] is not empty, return cache.[[Iterator]].
+  if (cache.Iterator !== undefined) {
+    return cache.Iterator;
+  }
+  // 3. Let iteratorMethod be ? GetCached(subject, cacheGroup, @@iterator).
+  const iteratorMethod = Q(GetCached(subject, cacheGroup, wellKnownSymbols.iterator));
+  // 4. Let iteratorRecord be ? GetIteratorFromMethod(subject, iteratorMethod).
+  const iteratorRecord = Q(GetIterator(subject, 'sync', iteratorMethod));
+  // 5. Set cache.[[Iterator]] to iteratorRecord.
+  cache.Iterator = iteratorRecord;
+  // 6. Return iteratorRecord.
+  return iteratorRecord;
+}
+
+/** https://tc39.es/proposal-pattern-matching/#sec-getiteratornthvaluecached */
+function GetIteratorNthValueCached(iteratorRecord, cacheGroup, n) {
+  // 1. Let iteratedValues be GetMatchCache(iteratorRecord.[[Iterator]], cacheGroup).[[IteratedValues]].
+  const iteratedValues = GetMatchCache(iteratorRecord.Iterator, cacheGroup).IteratedValues;
+  // 2. Assert: n ≤ the number of elements in iteratedValues.
+  Assert(n <= iteratedValues.length);
+  // 3. If n < the number of elements in iteratedValues, return iteratedValues[n].
+  if (n < iteratedValues.length) {
+    return iteratedValues[n];
+  }
+  // 4. If iteratorRecord.[[Done]] is true, return not-matched.
+  if (iteratorRecord.Done === Value.true) {
+    return 'not-matched';
+  }
+  // 5. Let next be Completion(IteratorStep(iteratorRecord)).
+  let next = IteratorStep(iteratorRecord);
+  // 6. If next is an abrupt completion, set iteratorRecord.[[Done]] to true.
+  if (next instanceof AbruptCompletion) {
+    iteratorRecord.Done = Value.true;
+  }
+  // 7. ReturnIfAbrupt(next).
+  next = Q(next);
+  // 8. If next is false, then
+  if (next === Value.false) {
+    // a. Set iteratorRecord.[[Done]] to true.
+    iteratorRecord.Done = Value.true;
+    // b. Return not-matched.
+    return 'not-matched';
+  }
+  // 9. Let value be Completion(IteratorValue(next)).
+  let value = IteratorValue(next);
+  // 10. If value is an abrupt completion, set iteratorRecord.[[Done]] to true.
+  if (value instanceof AbruptCompletion) {
+    iteratorRecord.Done = Value.true;
+  }
+  // 11. ReturnIfAbrupt(value).
+  value = Q(value);
+  // 12. Append value to iteratedValues.
+  iteratedValues.push(value);
+  // 13. Return value.
+  return value;
+}
+
+/** https://tc39.es/proposal-pattern-matching/#sec-finishmatch */
+function FinishMatch(matchCompletion, cacheGroup) {
+  // 1. For each match cache record cache of cacheGroup, do
+  for (const [, cache] of cacheGroup) {
+    // a. If cache.[[Iterator]] is not empty and cache.[[Iterator]].[[Done]] is false, then
+    if (cache.Iterator !== undefined && cache.Iterator.Done === Value.false) {
+      // i. Set matchCompletion to Completion(IteratorClose(cache.[[Iterator]], matchCompletion)).
+      matchCompletion = EnsureCompletion(IteratorClose(cache.Iterator, matchCompletion));
+    }
+  }
+  // 2. Return ? matchCompletion.
+  return matchCompletion;
+}
@@ -8,6 +8,7 @@ import {
   SetFunctionName,
   MakeMethod,
   sourceTextMatchedBy,
+  ClassElementDefinitionRecord,
 } from '../abstract-ops/all.mjs';
 import {
   Q, X,
@@ -33,7 +34,16 @@ export class PrivateElementRecord {
 }
 
 /** https://tc39.es/ecma262/#sec-definemethodproperty */
-function DefineMethodProperty(key, homeObject, closure, enumerable) {
+function DefineMethodProperty(key, homeObject, closure, enumerable, decorators) {
+  // (Decorators) If decorators is present, the method is defined once its decorators have been applied.
+  if (decorators !== undefined) {
+    return new ClassElementDefinitionRecord({
+      Key: key,
+      Kind: 'method',
+      Value: closure,
+      Decorators: decorators,
+    });
+  }
   // 1. If key is a Private Name, then
   if (key instanceof PrivateName) {
     // a. Return PrivateElement { [[Key]]: key, [[Kind]]: method, [[Value]]: closure }.
@@ -61,7 +71,7 @@ function DefineMethodProperty(key, homeObject, closure, enumerable) {
 //   ClassElementName `(` UniqueFormalParameters `)` `{` FunctionBody `}`
 //   `get` ClassElementName `(` `)` `{` FunctionBody `}`
 //   `set` ClassElementName `(` PropertySetParameterList `)` `{` FunctionBody `}`
-function* MethodDefinitionEvaluation_MethodDefinition(MethodDefinition, object, enumerable) {
+function* MethodDefinitionEvaluation_MethodDefinition(MethodDefinition, object, enumerable, decorators) {
   switch (true) {
     case !!MethodDefinition.UniqueFormalParameters: {
       // 1. Let methodDef be ? DefineMethod of MethodDefinition with argument object.
@@ -69,7 +79,7 @@ function* MethodDefinitionEvaluation_MethodDefinition(MethodDefinition, object,
       // 2. Perform ! SetFunctionName(methodDef.[[Closure]], methodDef.[[Key]]).
       X(SetFunctionName(methodDef.Closure, methodDef.Key));
       // 3. Return ? DefineMethodProperty(methodDef.[[Key]], object, methodDef.[[Closure]], enumerable).
-      return Q(DefineMethodProperty(methodDef.Key, object, methodDef.Closure, enumerable));
+      return Q(DefineMethodProperty(methodDef.Key, object, methodDef.Closure, enumerable, decorators));
     }
     case !!MethodDefinition.PropertySetParameterList: {
       const { ClassElementName, PropertySetParameterList, FunctionBody } = MethodDefinition;
@@ -89,6 +99,15 @@ function* MethodDefinitionEvaluation_MethodDefinition(MethodDefinition, object,
       MakeMethod(closure, object);
       // 8. Perform SetFunctionName(closure, propKey, "get").
       SetFunctionName(closure, propKey, Value('set'));
+      // (Decorators) If decorators is present, the setter is defined once its decorators have been applied.
+      if (decorators !== undefined) {
+        return new ClassElementDefinitionRecord({
+          Key: propKey,
+          Kind: 'setter',
+          Set: closure,
+          Decorators: decorators,
+        });
+      }
       // 9. If propKey is a Private Name, then
       if (propKey instanceof PrivateName) {
         // a. Return PrivateElement { [[Key]]: propKey, [[Kind]]: accessor, [[Get]]: undefined, [[Set]]: closure }.
@@ -131,6 +150,15 @@ function* MethodDefinitionEvaluation_MethodDefinition(MethodDefinition, object,
       MakeMethod(closure, object);
       // 9. Perform SetFunctionName(closure, propKey, "get").
       SetFunctionName(closure, propKey, Value('get'));
+      // (Decorators) If decorators is present, the getter is defined once its decorators have been applied.
+      if (decorators !== undefined) {
+        return new ClassElementDefinitionRecord({
+          Key: propKey,
+          Kind: 'getter',
+          Get: closure,
+          Decorators: decorators,
+        });
+      }
       // 10. If propKey is a Private Name, then
       if (propKey instanceof PrivateName) {
         return new PrivateElementRecord({
@@ -160,7 +188,7 @@ function* MethodDefinitionEvaluation_MethodDefinition(MethodDefinition, object,
 /** https://tc39.es/ecma262/#sec-async-function-definitions-MethodDefinitionEvaluation */
 //   AsyncMethod :
 //     `async` ClassElementName `(` UniqueFormalParameters `)` `{` AsyncFunctionBody `}`
-function* MethodDefinitionEvaluation_AsyncMethod(AsyncMethod, object, enumerable) {
+function* MethodDefinitionEvaluation_AsyncMethod(AsyncMethod, object, enumerable, decorators) {
   const { ClassElementName, UniqueFormalParameters, AsyncFunctionBody } = AsyncMethod;
   // 1. Let propKey be the result of evaluating ClassElementName.
   const propKey = yield* Evaluate_PropertyName(ClassElementName);
@@ -179,13 +207,13 @@ function* MethodDefinitionEvaluation_AsyncMethod(AsyncMethod, object, enumerable
   // 8. Perform ! SetFunctionName(closure, propKey).
   X(SetFunctionName(closure, propKey));
   // 9. Return ? DefineMethodProperty(propKey, object, closure, enumerable).
-  return Q(DefineMethodProperty(propKey, object, closure, enumerable));
+  return Q(DefineMethodProperty(propKey, object, closure, enumerable, decorators));
 }
 
 /** https://tc39.es/ecma262/#sec-generator-function-definitions-runtime-semantics-propertydefinitionevaluation */
 //   GeneratorMethod :
 //     `*` ClassElementName `(` UniqueFormalParameters `)` `{` GeneratorBody `}`
-function* MethodDefinitionEvaluation_GeneratorMethod(GeneratorMethod, object, enumerable) {
+function* MethodDefinitionEvaluation_GeneratorMethod(GeneratorMethod, object, enumerable, decorators) {
   const { ClassElementName, UniqueFormalParameters, GeneratorBody } = GeneratorMethod;
   // 1. Let propKey be the result of evaluating ClassElementName.
   const propKey = yield* Evaluate_PropertyName(ClassElementName);
@@ -213,13 +241,13 @@ function* MethodDefinitionEvaluation_GeneratorMethod(GeneratorMethod, object, en
     Configurable: Value.false,
   }));
   // 11. Return ? DefineMethodProperty(propKey, object, closure, enumerable).
-  return Q(DefineMethodProperty(propKey, object, closure, enumerable));
+  return Q(DefineMethodProperty(propKey, object, closure, enumerable, decorators));
 }
 
 /** https://tc39.es/ecma262/#sec-asyncgenerator-definitions-propertydefinitionevaluation */
 //   AsyncGeneratorMethod :
 //     `async` `*` PropertyName `(` UniqueFormalParameters `)` `{` AsyncGeneratorBody `}`
-function* MethodDefinitionEvaluation_AsyncGeneratorMethod(AsyncGeneratorMethod, object, enumerable) {
+function* MethodDefinitionEvaluation_AsyncGeneratorMethod(AsyncGeneratorMethod, object, enumerable, decorators) {
   const { ClassElementName, UniqueFormalParameters, AsyncGeneratorBody } = AsyncGeneratorMethod;
   // 1. Let propKey be the result of evaluating ClassElementName.
   const propKey = yield* Evaluate_PropertyName(ClassElementName);
@@ -247,19 +275,19 @@ function* MethodDefinitionEvaluation_AsyncGeneratorMethod(AsyncGeneratorMethod,
     Configurable: Value.false,
   }));
   // 11. Return ? DefineMethodProperty(propKey, object, closure, enumerable).
-  return Q(DefineMethodProperty(propKey, object, closure, enumerable));
+  return Q(DefineMethodProperty(propKey, object, closure, enumerable, decorators));
 }
 
-export function MethodDefinitionEvaluation(node, object, enumerable) {
+export function MethodDefinitionEvaluation(node, object, enumerable, decorators) {
   switch (node.type) {
     case 'MethodDefinition':
-      return MethodDefinitionEvaluation_MethodDefinition(node, object, enumerable);
+      return MethodDefinitionEvaluation_MethodDefinition(node, object, enumerable, decorators);
     case 'AsyncMethod':
-      return MethodDefinitionEvaluation_AsyncMethod(node, object, enumerable);
+      return MethodDefinitionEvaluation_AsyncMethod(node, object, enumerable, decorators);
     case 'GeneratorMethod':
-      return MethodDefinitionEvaluation_GeneratorMethod(node, object, enumerable);
+      return MethodDefinitionEvaluation_GeneratorMethod(node, object, enumerable, decorators);
     case 'AsyncGeneratorMethod':
-      return MethodDefinitionEvaluation_AsyncGeneratorMethod(node, object, enumerable);
+      return MethodDefinitionEvaluation_AsyncGeneratorMethod(node, object, enumerable, decorators);
     default:
       throw new OutOfRange('MethodDefinitionEvaluation', node);
   }
@@ -1,8 +1,15 @@
 // @ts-nocheck
+import { surroundingAgent } from '../engine.mjs';
+import { DisposeResources } from '../abstract-ops/all.mjs';
 import { Evaluate_StatementList } from './all.mjs';
 
 /** https://tc39.es/ecma262/#sec-module-semantics-runtime-semantics-evaluation */
 // ModuleBody : ModuleItemList
-export function Evaluate_ModuleBody({ ModuleItemList }) {
-  return Evaluate_StatementList(ModuleItemList);
+export function* Evaluate_ModuleBody({ ModuleItemList }) {
+  // 1. Let result be Completion(Evaluation of ModuleItemList).
+  const result = yield* Evaluate_StatementList(ModuleItemList);
+  // 2. Let env be the running execution context's LexicalEnvironment.
+  const env = surroundingAgent.runningExecutionContext.LexicalEnvironment;
+  // 3. Return ? DisposeResources(env.[[DisposeCapability]], result).
+  return yield* DisposeResources(env.DisposeCapability, result);
 }
@@ -0,0 +1,39 @@
+// @ts-nocheck
+import { surroundingAgent } from '../engine.mjs';
+import {
+  CreateInlineModule,
+  GetActiveScriptOrModule,
+  GetModuleDeclarationRecord,
+  ModuleSourceCreate,
+} from '../abstract-ops/all.mjs';
+import { StringValue } from '../static-semantics/all.mjs';
+import { Q, NormalCompletion } from '../completion.mjs';
+import { InitializeBoundName } from './all.mjs';
+
+/** https://tc39.es/proposal-module-expressions/#sec-module-expression-evaluation */
+//   ModuleExpression : `module` `{` ModuleBody? `}`
+export function Evaluate_ModuleExpression({ Module }) {
+  // 1. Let script or module be GetActiveScriptOrModule().
+  const scriptOrModule = GetActiveScriptOrModule();
+  // 2. Let moduleRecord be ! ParseModule(ModuleBody, the current Realm Record, script or module.[[HostDefined]]).
+  const moduleRecord = CreateInlineModule(Module, surroundingAgent.currentRealmRecord, scriptOrModule);
+  // 3. Return ! ModuleSourceCreate(moduleRecord).
+  return ModuleSourceCreate(moduleRecord);
+}
+
+/** https://tc39.es/proposal-module-declarations/#sec-module-declaration-evaluation */
+//   ModuleDeclaration : `module` BindingIdentifier `{` ModuleBody? `}`
+export function Evaluate_ModuleDeclaration(ModuleDeclaration) {
+  // 1. Let script or module be GetActiveScriptOrModule().
+  const scriptOrModule = GetActiveScriptOrModule();
+  // 2. Let moduleRecord be GetModuleDeclarationRecord(script or module, ModuleDeclaration).
+  const moduleRecord = GetModuleDeclarationRecord(scriptOrModule, ModuleDeclaration);
+  // 3. Let moduleSource be ! ModuleSourceCreate(moduleRecord).
+  const moduleSource = ModuleSourceCreate(moduleRecord);
+  // 4. Let bindingId be StringValue of BindingIdentifier.
+  const bindingId = StringValue(ModuleDeclaration.BindingIdentifier);
+  // 5. Perform ? InitializeBoundName(bindingId, moduleSource, the running execution context's LexicalEnvironment).
+  Q(InitializeBoundName(bindingId, moduleSource, surroundingAgent.runningExecutionContext.LexicalEnvironment));
+  // 6. Return empty.
+  return NormalCompletion(undefined);
+}
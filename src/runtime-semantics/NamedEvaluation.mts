@@ -59,9 +59,9 @@ function NamedEvaluation_AsyncArrowFunction(AsyncArrowFunction, name) {
 /** https://tc39.es/ecma262/#sec-class-definitions-runtime-semantics-namedevaluation */
 //   ClassExpression : `class` ClassTail
 function* NamedEvaluation_ClassExpression(ClassExpression, name) {
-  const { ClassTail } = ClassExpression;
+  const { DecoratorList, ClassTail } = ClassExpression;
   // 1. Let value be the result of ClassDefinitionEvaluation of ClassTail with arguments undefined and name.
-  const value = yield* ClassDefinitionEvaluation(ClassTail, Value.undefined, name);
+  const value = yield* ClassDefinitionEvaluation(ClassTail, Value.undefined, name, DecoratorList);
   // 2. ReturnIfAbrupt(value).
   ReturnIfAbrupt(value);
   // 3. Set value.[[SourceText]] to the source text matched by ClassExpression.
@@ -0,0 +1,38 @@
+// @ts-nocheck
+import { surroundingAgent } from '../engine.mjs';
+import { Evaluate } from '../evaluator.mjs';
+import { NewDeclarativeEnvironment } from '../environment.mjs';
+import { GetPrimaryTopicValue, GetValue } from '../abstract-ops/all.mjs';
+import { Q, X } from '../completion.mjs';
+
+/** https://tc39.es/proposal-pipeline-operator/#sec-pipe-operator-runtime-semantics-evaluation */
+//   PipeExpression :
+//     ShortCircuitExpression `|>` PipeBody
+//     PipeExpression `|>` PipeBody
+export function* Evaluate_PipeExpression({ PipeHead, PipeBody }) {
+  // 1. Let headRef be the result of evaluating ShortCircuitExpression.
+  const headRef = yield* Evaluate(PipeHead);
+  // 2. Let headValue be ? GetValue(headRef).
+  const headValue = Q(GetValue(headRef));
+  // 3. Let oldEnv be the running execution context's LexicalEnvironment.
+  const oldEnv = surroundingAgent.runningExecutionContext.LexicalEnvironment;
+  // 4. Let pipeBodyEnv be NewDeclarativeEnvironment(oldEnv).
+  const pipeBodyEnv = NewDeclarativeEnvironment(oldEnv);
+  // 5. Perform ! pipeBodyEnv.BindTopicValues(« headValue »).
+  X(pipeBodyEnv.BindTopicValues([headValue]));
+  // 6. Set the running execution context's LexicalEnvironment to pipeBodyEnv.
+  surroundingAgent.runningExecutionContext.LexicalEnvironment = pipeBodyEnv;
+  // 7. Let bodyRef be the result of evaluating PipeBody.
+  const bodyRef = yield* Evaluate(PipeBody);
+  // 8. Set the running execution context's LexicalEnvironment to oldEnv.
+  surroundingAgent.runningExecutionContext.LexicalEnvironment = oldEnv;
+  // 9. Return ? GetValue(bodyRef).
+  return Q(GetValue(bodyRef));
+}
+
+/** https://tc39.es/proposal-pipeline-operator/#sec-topic-references-runtime-semantics-evaluation */
+//   TopicReference : `%`
+export function Evaluate_TopicReference(_TopicReference) {
+  // 1. Return GetPrimaryTopicValue().
+  return GetPrimaryTopicValue();
+}
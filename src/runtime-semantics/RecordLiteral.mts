@@ -0,0 +1,87 @@
+// @ts-nocheck
+import { RecordValue, Value } from '../value.mjs';
+import { Evaluate } from '../evaluator.mjs';
+import { StringValue } from '../static-semantics/all.mjs';
+import {
+  AddPropertyIntoRecordEntriesList,
+  DeduplicateRecordEntries,
+  Get,
+  GetValue,
+  ToObject,
+} from '../abstract-ops/all.mjs';
+import { Q, X } from '../completion.mjs';
+import { Evaluate_PropertyName } from './all.mjs';
+
+/** https://tc39.es/proposal-record-tuple/#sec-record-initializer-runtime-semantics-recordpropertydefinitionevaluation */
+//   RecordPropertyDefinition :
+//     IdentifierReference
+//     PropertyName `:` AssignmentExpression
+//     `...` AssignmentExpression
+function* RecordPropertyDefinitionEvaluation(RecordPropertyDefinition, entries) {
+  if (RecordPropertyDefinition.type === 'IdentifierReference') {
+    // 1. Let propName be StringValue of IdentifierReference.
+    const propName = StringValue(RecordPropertyDefinition);
+    // 2. Let exprValue be the result of evaluating IdentifierReference.
+    const exprValue = yield* Evaluate(RecordPropertyDefinition);
+    // 3. Let propValue be ? GetValue(exprValue).
+    const propValue = Q(GetValue(exprValue));
+    // 4. Return ? AddPropertyIntoRecordEntriesList(entries, propName, propValue).
+    return Q(AddPropertyIntoRecordEntriesList(entries, propName, propValue));
+  }
+  const { PropertyName, AssignmentExpression } = RecordPropertyDefinition;
+  if (PropertyName === null) {
+    // 1. Let exprValue be the result of evaluating AssignmentExpression.
+    const exprValue = yield* Evaluate(AssignmentExpression);
+    // 2. Let source be ? GetValue(exprValue).
+    const source = Q(GetValue(exprValue));
+    // 3. If source is either undefined or null, return entries.
+    if (source === Value.undefined || source === Value.null) {
+      return entries;
+    }
+    // 4. Let from be ! ToObject(source).
+    const from = X(ToObject(source));
+    // 5. Let keys be ? from.[[OwnPropertyKeys]]().
+    const keys = Q(from.OwnPropertyKeys());
+    // 6. For each element nextKey of keys, do
+    for (const nextKey of keys) {
+      // a. Let desc be ? from.[[GetOwnProperty]](nextKey).
+      const desc = Q(from.GetOwnProperty(nextKey));
+      // b. If desc is not undefined and desc.[[Enumerable]] is true, then
+      if (desc !== Value.undefined && desc.Enumerable === Value.true) {
+        // i. Let value be ? Get(from, nextKey).
+        const value = Q(Get(from, nextKey));
+        // ii. Perform ? AddPropertyIntoRecordEntriesList(entries, nextKey, value).
+        Q(AddPropertyIntoRecordEntriesList(entries, nextKey, value));
+      }
+    }
+    // 7. Return entries.
+    return entries;
+  }
+  // 1. Let propKey be the result of evaluating PropertyName.
+  // 2. ReturnIfAbrupt(propKey).
+  const propKey = Q(yield* Evaluate_PropertyName(PropertyName));
+  // 3. Let exprValueRef be the result of evaluating AssignmentExpression.
+  const exprValueRef = yield* Evaluate(AssignmentExpression);
+  // 4. Let propValue be ? GetValue(exprValueRef).
+  const propValue = Q(GetValue(exprValueRef));
+  // 5. Return ? AddPropertyIntoRecordEntriesList(entries, propKey, propValue).
+  return Q(AddPropertyIntoRecordEntriesList(entries, propKey, propValue));
+}
+
+/** https://tc39.es/proposal-record-tuple/#sec-record-initializer-runtime-semantics-evaluation */
+//   RecordLiteral :
+//     `#{` `}`
+//     `#{` RecordPropertyDefinitionList `}`
+//     `#{` RecordPropertyDefinitionList `,` `}`
+export function* Evaluate_RecordLiteral({ RecordPropertyDefinitionList }) {
+  // 1. Let entries be a new empty List.
+  const entries = [];
+  // 2. Perform ? RecordPropertyDefinitionEvaluation of RecordPropertyDefinitionList with argument entries.
+  for (const RecordPropertyDefinition of RecordPropertyDefinitionList) {
+    Q(yield* RecordPropertyDefinitionEvaluation(RecordPropertyDefinition, entries));
+  }
+  // 3. Let uniqueEntries be DeduplicateRecordEntries(entries).
+  const uniqueEntries = DeduplicateRecordEntries(entries);
+  // 4. Return a new Record value whose [[Fields]] is uniqueEntries.
+  return new RecordValue(uniqueEntries);
+}
@@ -12,8 +12,10 @@ import {
   UnicodeMatchPropertyValue,
   UnicodeGeneralCategoryValues,
   BinaryUnicodeProperties,
+  BinaryUnicodePropertiesOfStrings,
   NonbinaryUnicodeProperties,
   getUnicodePropertyValueSet,
+  getUnicodePropertyOfStringsSet,
 } from './all.mjs';
 
 /** https://tc39.es/ecma262/#sec-pattern */
@@ -33,6 +35,11 @@ function isContinuation(v) {
 }
 
 class CharSet {
+  // CharSetElements that do not consist of exactly one character. These only
+  // occur when UnicodeSets is true, and are stored as strings of canonicalized
+  // code points.
+  strings = new Set();
+
   union(other) {
     const concrete = new Set();
     const fns = new Set();
@@ -54,7 +61,29 @@ class CharSet {
     };
     add(this);
     add(other);
-    return new UnionCharSet(concrete, fns);
+    const result = new UnionCharSet(concrete, fns);
+    result.strings = new Set([...this.strings, ...other.strings]);
+    return result;
+  }
+
+  intersection(other) {
+    const result = new VirtualCharSet((c) => this.has(c) && other.has(c));
+    this.strings.forEach((s) => {
+      if (other.strings.has(s)) {
+        result.strings.add(s);
+      }
+    });
+    return result;
+  }
+
+  difference(other) {
+    const result = new VirtualCharSet((c) => this.has(c) && !other.has(c));
+    this.strings.forEach((s) => {
+      if (!other.strings.has(s)) {
+        result.strings.add(s);
+      }
+    });
+    return result;
   }
 }
 
@@ -137,22 +166,26 @@ export function Evaluate_Pattern(Pattern, flags) {
   //     Atom :: `(` GroupSpecifier Disjunction `)` Parse Nodes) in the pattern. A left-capturing parenthesis
   //     is any `(` pattern character that is matched by the `(` terminal of the Atom :: `(` GroupSpecifier Disjunction `)`
   //     production.
-  //   * DotAll is true if the RegExp object's [[OriginalFlags]] internal slot contains "s" and otherwise is false.
-  //   * IgnoreCase is true if the RegExp object's [[OriginalFlags]] internal slot contains "i" and otherwise is false.
-  //   * Multiline is true if the RegExp object's [[OriginalFlags]] internal slot contains "m" and otherwise is false.
-  //   * Unicode is true if the RegExp object's [[OriginalFlags]] internal slot contains "u" and otherwise is false.
+  //   * Unicode is true if the RegExp object's [[OriginalFlags]] internal slot contains "u" or "v" and otherwise is false.
+  //   * UnicodeSets is true if the RegExp object's [[OriginalFlags]] internal slot contains "v" and otherwise is false.
   let Input;
   let InputLength;
   const NcapturingParens = Pattern.capturingGroups.length;
-  const DotAll = flags.includes('s');
-  const IgnoreCase = flags.includes('i');
-  const Multiline = flags.includes('m');
-  const Unicode = flags.includes('u');
+  const UnicodeSets = flags.includes('v');
+  const Unicode = flags.includes('u') || UnicodeSets;
 
   {
-    // 1. Evaluate Disjunction with +1 as its direction argument to obtain a Matcher m.
-    const m = Evaluate(Pattern.Disjunction, +1);
-    // 2. Return a new abstract closure with parameters (str, index) that captures m and performs the following steps when called:
+    // 1. Let rer be the RegExp Record { [[IgnoreCase]]: i, [[Multiline]]: m, [[DotAll]]: s, [[Unicode]]: u, [[UnicodeSets]]: v }.
+    const rer = {
+      IgnoreCase: flags.includes('i'),
+      Multiline: flags.includes('m'),
+      DotAll: flags.includes('s'),
+      Unicode,
+      UnicodeSets,
+    };
+    // 2. Evaluate Disjunction with arguments rer and +1 to obtain a Matcher m.
+    const m = Evaluate(Pattern.Disjunction, rer, +1);
+    // 3. Return a new abstract closure with parameters (str, index) that captures m and performs the following steps when called:
     return (str, index) => {
       // a. Assert: Type(str) is String.
       Assert(str instanceof JSStringValue);
@@ -216,6 +249,18 @@ export function Evaluate_Pattern(Pattern, flags) {
         return Evaluate_ClassAtom(node, ...args);
       case 'ClassEscape':
         return Evaluate_ClassEscape(node, ...args);
+      case 'ClassUnion':
+      case 'ClassIntersection':
+      case 'ClassSubtraction':
+        return Evaluate_ClassSetExpression(node, ...args);
+      case 'ClassSetRange':
+        return Evaluate_ClassSetRange(node, ...args);
+      case 'NestedClass':
+        return Evaluate_NestedClass(node, ...args);
+      case 'ClassStringDisjunction':
+        return Evaluate_ClassStringDisjunction(node, ...args);
+      case 'ClassSetCharacter':
+        return Evaluate_ClassSetCharacter(node, ...args);
       default:
         throw new OutOfRange('Evaluate', node);
     }
@@ -225,17 +270,17 @@ export function Evaluate_Pattern(Pattern, flags) {
   //   Disjunction ::
   //     Alternative
   //     Alternative `|` Disjunction
-  function Evaluate_Disjunction({ Alternative, Disjunction }, direction) {
+  function Evaluate_Disjunction({ Alternative, Disjunction }, rer, direction) {
     if (!Disjunction) {
-      // 1. Evaluate Alternative with argument direction to obtain a Matcher m.
-      const m = Evaluate(Alternative, direction);
+      // 1. Evaluate Alternative with arguments rer and direction to obtain a Matcher m.
+      const m = Evaluate(Alternative, rer, direction);
       // 2. Return m.
       return m;
     }
-    // 1. Evaluate Alternative with argument direction to obtain a Matcher m1.
-    const m1 = Evaluate(Alternative, direction);
-    // 2. Evaluate Disjunction with argument direction to obtain a Matcher m2.
-    const m2 = Evaluate(Disjunction, direction);
+    // 1. Evaluate Alternative with arguments rer and direction to obtain a Matcher m1.
+    const m1 = Evaluate(Alternative, rer, direction);
+    // 2. Evaluate Disjunction with arguments rer and direction to obtain a Matcher m2.
+    const m2 = Evaluate(Disjunction, rer, direction);
     // 3. Return a new Matcher with parameters (x, c) that captures m1 and m2 and performs the following steps when called:
     return (x, c) => {
       // a. Assert: x is a State.
@@ -257,7 +302,7 @@ export function Evaluate_Pattern(Pattern, flags) {
   //   Alternative ::
   //     [empty]
   //     Alternative Term
-  function Evaluate_Alternative({ Alternative, Term }, direction) {
+  function Evaluate_Alternative({ Alternative, Term }, rer, direction) {
     if (!Alternative && !Term) {
       // 1. Return a new Matcher with parameters (x, c) that captures nothing and performs the following steps when called:
       return (x, c) => {
@@ -269,10 +314,10 @@ export function Evaluate_Pattern(Pattern, flags) {
         return c(x);
       };
     }
-    // 1. Evaluate Alternative with argument direction to obtain a Matcher m1.
-    const m1 = Evaluate(Alternative, direction);
-    // 2. Evaluate Term with argument direction to obtain a Matcher m2.
-    const m2 = Evaluate(Term, direction);
+    // 1. Evaluate Alternative with arguments rer and direction to obtain a Matcher m1.
+    const m1 = Evaluate(Alternative, rer, direction);
+    // 2. Evaluate Term with arguments rer and direction to obtain a Matcher m2.
+    const m2 = Evaluate(Term, rer, direction);
     // 3. If direction is equal to +1, then
     if (direction === +1) {
       // a. Return a new Matcher with parameters (x, c) that captures m1 and m2 and performs the following steps when called:
@@ -318,14 +363,14 @@ export function Evaluate_Pattern(Pattern, flags) {
   //     Assertion
   //     Atom
   //     Atom Quantifier
-  function Evaluate_Term(Term, direction) {
+  function Evaluate_Term(Term, rer, direction) {
     const { Atom, Quantifier } = Term;
     if (!Quantifier) {
-      // 1. Return the Matcher that is the result of evaluating Atom with argument direction.
-      return Evaluate(Atom, direction);
+      // 1. Return the Matcher that is the result of evaluating Atom with arguments rer and direction.
+      return Evaluate(Atom, rer, direction);
     }
-    // 1. Evaluate Atom with argument direction to obtain a Matcher m.
-    const m = Evaluate(Atom, direction);
+    // 1. Evaluate Atom with arguments rer and direction to obtain a Matcher m.
+    const m = Evaluate(Atom, rer, direction);
     // 2. Evaluate Quantifier to obtain the three results: an integer min, an integer (or ∞) max, and Boolean greedy.
     const [min, max, greedy] = Evaluate(Quantifier);
     // 3. Assert: If max is finite, then max is not less than min.
@@ -420,14 +465,17 @@ export function Evaluate_Pattern(Pattern, flags) {
   //     `$`
   //     `\` `b`
   //     `\` `B`
+  //     `\` `A`
+  //     `\` `z`
+  //     `\` `Z`
   //     `(` `?` `=` Disjunction `)`
   //     `(` `?` `!` Disjunction `)`
   //     `(` `?` `<=` Disjunction `)`
   //     `(` `?` `<!` Disjunction `)`
-  function Evaluate_Assertion({ subtype, Disjunction }) {
+  function Evaluate_Assertion({ subtype, Disjunction }, rer) {
     switch (subtype) {
       case '^':
-        // 1. Return a new Matcher with parameters (x, c) that captures nothing and performs the following steps when called:
+        // 1. Return a new Matcher with parameters (x, c) that captures rer and performs the following steps when called:
         return (x, c) => {
           // a. Assert: x is a State.
           Assert(x instanceof State);
@@ -435,8 +483,8 @@ export function Evaluate_Pattern(Pattern, flags) {
           Assert(isContinuation(c));
           // c. Let e be x's endIndex.
           const e = x.endIndex;
-          // d. If e is zero, or if Multiline is true and the character Input[e - 1] is one of LineTerminator, then
-          if (e === 0 || (Multiline && isLineTerminator(String.fromCodePoint(Input[e - 1])))) {
+          // d. If e is zero, or if rer.[[Multiline]] is true and the character Input[e - 1] is one of LineTerminator, then
+          if (e === 0 || (rer.Multiline && isLineTerminator(String.fromCodePoint(Input[e - 1])))) {
             // i. Call c(x) and return its result.
             return c(x);
           }
@@ -444,7 +492,7 @@ export function Evaluate_Pattern(Pattern, flags) {
           return 'failure';
         };
       case '$':
-        // 1. Return a new Matcher with parameters (x, c) that captures nothing and performs the following steps when called:
+        // 1. Return a new Matcher with parameters (x, c) that captures rer and performs the following steps when called:
         return (x, c) => {
           // a. Assert: x is a State.
           Assert(x instanceof State);
@@ -452,8 +500,8 @@ export function Evaluate_Pattern(Pattern, flags) {
           Assert(isContinuation(c));
           // c. Let e be x's endIndex.
           const e = x.endIndex;
-          // d. If e is equal to InputLength, or if Multiline is true and the character Input[e] is one of LineTerminator, then
-          if (e === InputLength || (Multiline && isLineTerminator(String.fromCodePoint(Input[e])))) {
+          // d. If e is equal to InputLength, or if rer.[[Multiline]] is true and the character Input[e] is one of LineTerminator, then
+          if (e === InputLength || (rer.Multiline && isLineTerminator(String.fromCodePoint(Input[e])))) {
             // i. Call c(x) and return its result.
             return c(x);
           }
@@ -461,7 +509,7 @@ export function Evaluate_Pattern(Pattern, flags) {
           return 'failure';
         };
       case 'b':
-        // 1. Return a new Matcher with parameters (x, c) that captures nothing and performs the following steps when called:
+        // 1. Return a new Matcher with parameters (x, c) that captures rer and performs the following steps when called:
         return (x, c) => {
           // a. Assert: x is a State.
           Assert(x instanceof State);
@@ -469,10 +517,10 @@ export function Evaluate_Pattern(Pattern, flags) {
           Assert(isContinuation(c));
           // c. Let e be x's endIndex.
           const e = x.endIndex;
-          // d. Call IsWordChar(e - 1) and let a be the Boolean result.
-          const a = IsWordChar(e - 1);
-          // e. Call IsWordChar(e) and let b be the Boolean result.
-          const b = IsWordChar(e);
+          // d. Call IsWordChar(rer, e - 1) and let a be the Boolean result.
+          const a = IsWordChar(rer, e - 1);
+          // e. Call IsWordChar(rer, e) and let b be the Boolean result.
+          const b = IsWordChar(rer, e);
           // f. If a is true and b is false, or if a is false and b is true, then
           if ((a && !b) || (!a && b)) {
             // i. Call c(x) and return its result.
@@ -482,7 +530,7 @@ export function Evaluate_Pattern(Pattern, flags) {
           return 'failure';
         };
       case 'B':
-        // 1. Return a new Matcher with parameters (x, c) that captures nothing and performs the following steps when called:
+        // 1. Return a new Matcher with parameters (x, c) that captures rer and performs the following steps when called:
         return (x, c) => {
           // a. Assert: x is a State.
           Assert(x instanceof State);
@@ -490,10 +538,10 @@ export function Evaluate_Pattern(Pattern, flags) {
           Assert(isContinuation(c));
           // c. Let e be x's endIndex.
           const e = x.endIndex;
-          // d. Call IsWordChar(e - 1) and let a be the Boolean result.
-          const a = IsWordChar(e - 1);
-          // e. Call IsWordChar(e) and let b be the Boolean result.
-          const b = IsWordChar(e);
+          // d. Call IsWordChar(rer, e - 1) and let a be the Boolean result.
+          const a = IsWordChar(rer, e - 1);
+          // e. Call IsWordChar(rer, e) and let b be the Boolean result.
+          const b = IsWordChar(rer, e);
           // f. If a is true and b is true, or if a is false and b is false, then
           if ((a && b) || (!a && !b)) {
             // i. Call c(x) and return its result.
@@ -502,9 +550,61 @@ export function Evaluate_Pattern(Pattern, flags) {
           // g. Return failure.
           return 'failure';
         };
+      // https://github.com/tc39/proposal-regexp-buffer-boundaries
+      case 'A':
+        // 1. Return a new Matcher with parameters (x, c) that captures nothing and performs the following steps when called:
+        return (x, c) => {
+          // a. Assert: x is a State.
+          Assert(x instanceof State);
+          // b. Assert: c is a Continuation.
+          Assert(isContinuation(c));
+          // c. Let e be x's endIndex.
+          const e = x.endIndex;
+          // d. If e is zero, then
+          if (e === 0) {
+            // i. Call c(x) and return its result.
+            return c(x);
+          }
+          // e. Return failure.
+          return 'failure';
+        };
+      case 'z':
+        // 1. Return a new Matcher with parameters (x, c) that captures nothing and performs the following steps when called:
+        return (x, c) => {
+          // a. Assert: x is a State.
+          Assert(x instanceof State);
+          // b. Assert: c is a Continuation.
+          Assert(isContinuation(c));
+          // c. Let e be x's endIndex.
+          const e = x.endIndex;
+          // d. If e is equal to InputLength, then
+          if (e === InputLength) {
+            // i. Call c(x) and return its result.
+            return c(x);
+          }
+          // e. Return failure.
+          return 'failure';
+        };
+      case 'Z':
+        // 1. Return a new Matcher with parameters (x, c) that captures nothing and performs the following steps when called:
+        return (x, c) => {
+          // a. Assert: x is a State.
+          Assert(x instanceof State);
+          // b. Assert: c is a Continuation.
+          Assert(isContinuation(c));
+          // c. Let e be x's endIndex.
+          const e = x.endIndex;
+          // d. If e is equal to InputLength, or if e is equal to InputLength - 1 and the character Input[e] is one of LineTerminator, then
+          if (e === InputLength || (e === InputLength - 1 && isLineTerminator(String.fromCodePoint(Input[e])))) {
+            // i. Call c(x) and return its result.
+            return c(x);
+          }
+          // e. Return failure.
+          return 'failure';
+        };
       case '?=': {
-        // 1. Evaluate Disjunction with +1 as its direction argument to obtain a Matcher m.
-        const m = Evaluate(Disjunction, +1);
+        // 1. Evaluate Disjunction with arguments rer and +1 to obtain a Matcher m.
+        const m = Evaluate(Disjunction, rer, +1);
         // 2. Return a new Matcher with parameters (x, c) that captures m and performs the following steps when called:
         return (x, c) => {
           // a. Assert: x is a State.
@@ -537,8 +637,8 @@ export function Evaluate_Pattern(Pattern, flags) {
         };
       }
       case '?!': {
-        // 1. Evaluate Disjunction with +1 as its direction argument to obtain a Matcher m.
-        const m = Evaluate(Disjunction, +1);
+        // 1. Evaluate Disjunction with arguments rer and +1 to obtain a Matcher m.
+        const m = Evaluate(Disjunction, rer, +1);
         // 2. Return a new Matcher with parameters (x, c) that captures m and performs the following steps when called:
         return (x, c) => {
           // a. Assert: x is a State.
@@ -563,8 +663,8 @@ export function Evaluate_Pattern(Pattern, flags) {
         };
       }
       case '?<=': {
-        // 1. Evaluate Disjunction with -1 as its direction argument to obtain a Matcher m.
-        const m = Evaluate(Disjunction, -1);
+        // 1. Evaluate Disjunction with arguments rer and -1 to obtain a Matcher m.
+        const m = Evaluate(Disjunction, rer, -1);
         // 2. Return a new Matcher with parameters (x, c) that captures m and performs the following steps when called:
         return (x, c) => {
           // a. Assert: x is a State.
@@ -597,8 +697,8 @@ export function Evaluate_Pattern(Pattern, flags) {
         };
       }
       case '?<!': {
-        // 1. Evaluate Disjunction with -1 as its direction argument to obtain a Matcher m.
-        const m = Evaluate(Disjunction, -1);
+        // 1. Evaluate Disjunction with arguments rer and -1 to obtain a Matcher m.
+        const m = Evaluate(Disjunction, rer, -1);
         // 2. Return a new Matcher with parameters (x, c) that captures m and performs the following steps when called:
         return (x, c) => {
           // a. Assert: x is a State.
@@ -628,14 +728,14 @@ export function Evaluate_Pattern(Pattern, flags) {
   }
 
   /** https://tc39.es/ecma262/#sec-runtime-semantics-wordcharacters-abstract-operation */
-  function WordCharacters() {
+  function WordCharacters(rer) {
     // 1. Let A be a set of characters containing the sixty-three characters:
     //   a b c d e f g h i j k l m n o p q r s t u v w x y z
     //   A B C D E F G H I J K L M N O P Q R S T U V W X Y Z
     //   0 1 2 3 4 5 6 7 8 9 _
     // 2. Let U be an empty set.
-    // 3. For each character c not in set A where Canonicalize(c) is in A, add c to U.
-    // 4. Assert: Unless Unicode and IgnoreCase are both true, U is empty.
+    // 3. For each character c not in set A where Canonicalize(rer, c) is in A, add c to U.
+    // 4. Assert: Unless rer.[[Unicode]] and rer.[[IgnoreCase]] are both true, U is empty.
     // 5. Add the characters in set U to set A.
     // Return A.
     const A = new ConcreteCharSet([
@@ -643,12 +743,12 @@ export function Evaluate_Pattern(Pattern, flags) {
       'A', 'B', 'C', 'D', 'E', 'F', 'G', 'H', 'I', 'J', 'K', 'L', 'M', 'N', 'O', 'P', 'Q', 'R', 'S', 'T', 'U', 'V', 'W', 'X', 'Y', 'Z',
       '0', '1', '2', '3', '4', '5', '6', '7', '8', '9', '_',
     ].map((c) => c.codePointAt(0)));
-    if (Unicode && IgnoreCase) {
+    if (rer.Unicode && rer.IgnoreCase) {
       return new VirtualCharSet((c) => {
         if (A.has(c)) {
           return true;
         }
-        if (A.has(Canonicalize(c))) {
+        if (A.has(Canonicalize(rer, c))) {
           return true;
         }
         return false;
@@ -658,15 +758,15 @@ export function Evaluate_Pattern(Pattern, flags) {
   }
 
   /** https://tc39.es/ecma262/#sec-runtime-semantics-iswordchar-abstract-operation */
-  function IsWordChar(e) {
+  function IsWordChar(rer, e) {
     // 1. If e is -1 or e is InputLength, return false.
     if (e === -1 || e === InputLength) {
       return false;
     }
     // 2. Let c be the character Input[e].
     const c = Input[e];
-    // 3. Let wordChars be the result of ! WordCharacters().
-    const wordChars = X(WordCharacters());
+    // 3. Let wordChars be the result of ! WordCharacters(rer).
+    const wordChars = X(WordCharacters(rer));
     // 4. If c is in wordChars, return true.
     if (wordChars.has(c)) {
       return true;
@@ -701,39 +801,40 @@ export function Evaluate_Pattern(Pattern, flags) {
   //     `\` AtomEscape
   //     CharacterClass
   //     `(` GroupSpecifier Disjunction `)`
-  //     `(` `?` `:` Disjunction `)`
-  function Evaluate_Atom(Atom, direction) {
+  //     `(` `?` RegularExpressionModifiers `:` Disjunction `)`
+  //     `(` `?` RegularExpressionModifiers `-` RegularExpressionModifiers `:` Disjunction `)`
+  function Evaluate_Atom(Atom, rer, direction) {
     switch (true) {
       case !!Atom.PatternCharacter: {
         // 1. Let ch be the character matched by PatternCharacter.
         const ch = Atom.PatternCharacter.codePointAt(0);
         // 2. Let A be a one-element CharSet containing the character ch.
-        const A = new ConcreteCharSet([Canonicalize(ch)]);
-        // 3. Call CharacterSetMatcher(A, false, direction) and return its Matcher result.
-        return CharacterSetMatcher(A, false, direction);
+        const A = new ConcreteCharSet([Canonicalize(rer, ch)]);
+        // 3. Call CharacterSetMatcher(rer, A, false, direction) and return its Matcher result.
+        return CharacterSetMatcher(rer, A, false, direction);
       }
       case Atom.subtype === '.': {
         let A;
-        // 1. If DotAll is true, then
-        if (DotAll) {
+        // 1. If rer.[[DotAll]] is true, then
+        if (rer.DotAll) {
           // a. Let A be the set of all characters.
           A = new VirtualCharSet((_c) => true);
         } else {
           // 2. Otherwise, let A be the set of all characters except LineTerminator.
           A = new VirtualCharSet((c) => !isLineTerminator(String.fromCodePoint(c)));
         }
-        // 3. Call CharacterSetMatcher(A, false, direction) and return its Matcher result.
-        return CharacterSetMatcher(A, false, direction);
+        // 3. Call CharacterSetMatcher(rer, A, false, direction) and return its Matcher result.
+        return CharacterSetMatcher(rer, A, false, direction);
       }
       case !!Atom.CharacterClass: {
-        // 1. Evaluate CharacterClass to obtain a CharSet A and a Boolean invert.
-        const { A, invert } = Evaluate(Atom.CharacterClass);
-        // 2. Call CharacterSetMatcher(A, invert, direction) and return its Matcher result.
-        return CharacterSetMatcher(A, invert, direction);
+        // 1. Evaluate CharacterClass with argument rer to obtain a CharSet A and a Boolean invert.
+        const { A, invert } = Evaluate(Atom.CharacterClass, rer);
+        // 2. Return CompileCharSetMatcher(rer, A, invert, direction).
+        return CompileCharSetMatcher(rer, A, invert, direction);
       }
       case Atom.capturing: {
-        // 1. Evaluate Disjunction with argument direction to obtain a Matcher m.
-        const m = Evaluate(Atom.Disjunction, direction);
+        // 1. Evaluate Disjunction with arguments rer and direction to obtain a Matcher m.
+        const m = Evaluate(Atom.Disjunction, rer, direction);
         // 2. Let parenIndex be the number of left-capturing parentheses in the entire regular expression
         //    that occur to the left of this Atom. This is the total number of Atom :: `(` GroupSpecifier Disjunction `)`
         //    Parse Nodes prior to or enclosing this Atom.
@@ -780,16 +881,188 @@ export function Evaluate_Pattern(Pattern, flags) {
           return m(x, d);
         };
       }
-      case !!Atom.Disjunction:
-        return Evaluate(Atom.Disjunction, direction);
+      case !!Atom.Disjunction: {
+        // 1. Let addModifiers be the source text matched by the first RegularExpressionModifiers.
+        const addModifiers = Atom.RegularExpressionModifiers_a;
+        // 2. Let removeModifiers be the source text matched by the second RegularExpressionModifiers, or the empty String if it is not present.
+        const removeModifiers = Atom.RegularExpressionModifiers_b || '';
+        // 3. Let modifiedRer be UpdateModifiers(rer, addModifiers, removeModifiers).
+        const modifiedRer = UpdateModifiers(rer, addModifiers, removeModifiers);
+        // 4. Evaluate Disjunction with arguments modifiedRer and direction and return its Matcher result.
+        return Evaluate(Atom.Disjunction, modifiedRer, direction);
+      }
       default:
         throw new OutOfRange('Evaluate_Atom', Atom);
     }
   }
 
+  /** https://tc39.es/ecma262/#sec-updatemodifiers */
+  function UpdateModifiers(rer, add, remove) {
+    // 1. Assert: add and remove have no elements in common.
+    Assert([...add].every((c) => !remove.includes(c)));
+    // 2. Let ignoreCase be rer.[[IgnoreCase]].
+    let ignoreCase = rer.IgnoreCase;
+    // 3. Let multiline be rer.[[Multiline]].
+    let multiline = rer.Multiline;
+    // 4. Let dotAll be rer.[[DotAll]].
+    let dotAll = rer.DotAll;
+    // 5. If remove contains "i", set ignoreCase to false.
+    if (remove.includes('i')) {
+      ignoreCase = false;
+    } else if (add.includes('i')) { // 6. Else if add contains "i", set ignoreCase to true.
+      ignoreCase = true;
+    }
+    // 7. If remove contains "m", set multiline to false.
+    if (remove.includes('m')) {
+      multiline = false;
+    } else if (add.includes('m')) { // 8. Else if add contains "m", set multiline to true.
+      multiline = true;
+    }
+    // 9. If remove contains "s", set dotAll to false.
+    if (remove.includes('s')) {
+      dotAll = false;
+    } else if (add.includes('s')) { // 10. Else if add contains "s", set dotAll to true.
+      dotAll = true;
+    }
+    // 11. Return the RegExp Record { [[IgnoreCase]]: ignoreCase, [[Multiline]]: multiline, [[DotAll]]: dotAll, [[Unicode]]: rer.[[Unicode]], [[UnicodeSets]]: rer.[[UnicodeSets]] }.
+    return {
+      IgnoreCase: ignoreCase,
+      Multiline: multiline,
+      DotAll: dotAll,
+      Unicode: rer.Unicode,
+      UnicodeSets: rer.UnicodeSets,
+    };
+  }
+
+  // NON-SPEC: The steps shared by Atom :: CharacterClass and AtomEscape :: CharacterClassEscape
+  // for matching a CharSet which may contain strings.
+  function CompileCharSetMatcher(rer, A, invert, direction) {
+    // 1. If rer.[[UnicodeSets]] is false, or if every CharSetElement of A consists of a single character, then
+    if (!rer.UnicodeSets || A.strings.size === 0) {
+      // a. Call CharacterSetMatcher(rer, A, invert, direction) and return its Matcher result.
+      return CharacterSetMatcher(rer, A, invert, direction);
+    }
+    // 2. Assert: invert is false.
+    Assert(invert === false);
+    // 3. Let lm be an empty List of Matchers.
+    const lm = [];
+    // 4. For each CharSetElement s in A containing more than 1 character, iterating in descending order of length, do
+    const strings = [...A.strings]
+      .map((s) => Array.from(s, (ch) => ch.codePointAt(0)))
+      .filter((s) => s.length > 1)
+      .sort((a, b) => b.length - a.length);
+    for (const s of strings) {
+      // a. Let cs2 be a one-element CharSet containing the last code point of s.
+      const cs2 = new ConcreteCharSet([s[s.length - 1]]);
+      // b. Let m2 be CharacterSetMatcher(rer, cs2, false, direction).
+      let m2 = CharacterSetMatcher(rer, cs2, false, direction);
+      // c. For each code point c1 in s, iterating backwards from its second-to-last code point, do
+      for (let i = s.length - 2; i >= 0; i -= 1) {
+        // i. Let cs1 be a one-element CharSet containing c1.
+        const cs1 = new ConcreteCharSet([s[i]]);
+        // ii. Let m1 be CharacterSetMatcher(rer, cs1, false, direction).
+        const m1 = CharacterSetMatcher(rer, cs1, false, direction);
+        // iii. Set m2 to MatchSequence(m1, m2, direction).
+        m2 = MatchSequence(m1, m2, direction);
+      }
+      // d. Append m2 to lm.
+      lm.push(m2);
+    }
+    // 5. Let singles be the CharSet containing every CharSetElement of A that consists of a single character.
+    // 6. Append CharacterSetMatcher(rer, singles, false, direction) to lm.
+    lm.push(CharacterSetMatcher(rer, A, false, direction));
+    // 7. If A contains the empty sequence of characters, append EmptyMatcher() to lm.
+    if (A.strings.has('')) {
+      lm.push(EmptyMatcher());
+    }
+    // 8. Let m2 be the last Matcher in lm.
+    let m2 = lm[lm.length - 1];
+    // 9. For each Matcher m1 of lm, iterating backwards from its second-to-last element, do
+    for (let i = lm.length - 2; i >= 0; i -= 1) {
+      // a. Set m2 to MatchTwoAlternatives(m1, m2).
+      m2 = MatchTwoAlternatives(lm[i], m2);
+    }
+    // 10. Return m2.
+    return m2;
+  }
+
+  /** https://tc39.es/ecma262/#sec-emptymatcher */
+  function EmptyMatcher() {
+    // 1. Return a new Matcher with parameters (x, c) that captures nothing and performs the following steps when called:
+    return (x, c) => {
+      // a. Assert: x is a State.
+      Assert(x instanceof State);
+      // b. Assert: c is a Continuation.
+      Assert(isContinuation(c));
+      // c. Return c(x).
+      return c(x);
+    };
+  }
+
+  /** https://tc39.es/ecma262/#sec-matchtwoalternatives */
+  function MatchTwoAlternatives(m1, m2) {
+    // 1. Return a new Matcher with parameters (x, c) that captures m1 and m2 and performs the following steps when called:
+    return (x, c) => {
+      // a. Assert: x is a State.
+      Assert(x instanceof State);
+      // b. Assert: c is a Continuation.
+      Assert(isContinuation(c));
+      // c. Let r be m1(x, c).
+      const r = m1(x, c);
+      // d. If r is not failure, return r.
+      if (r !== 'failure') {
+        return r;
+      }
+      // e. Return m2(x, c).
+      return m2(x, c);
+    };
+  }
+
+  /** https://tc39.es/ecma262/#sec-matchsequence */
+  function MatchSequence(m1, m2, direction) {
+    // 1. If direction is forward, then
+    if (direction === +1) {
+      // a. Return a new Matcher with parameters (x, c) that captures m1 and m2 and performs the following steps when called:
+      return (x, c) => {
+        // i. Assert: x is a State.
+        Assert(x instanceof State);
+        // ii. Assert: c is a Continuation.
+        Assert(isContinuation(c));
+        // iii. Let d be a new Continuation with parameters (y) that captures c and m2 and performs the following steps when called:
+        const d = (y) => {
+          // 1. Assert: y is a State.
+          Assert(y instanceof State);
+          // 2. Return m2(y, c).
+          return m2(y, c);
+        };
+        // iv. Return m1(x, d).
+        return m1(x, d);
+      };
+    }
+    // 2. Else,
+    // a. Assert: direction is backward.
+    Assert(direction === -1);
+    // b. Return a new Matcher with parameters (x, c) that captures m1 and m2 and performs the following steps when called:
+    return (x, c) => {
+      // i. Assert: x is a State.
+      Assert(x instanceof State);
+      // ii. Assert: c is a Continuation.
+      Assert(isContinuation(c));
+      // iii. Let d be a new Continuation with parameters (y) that captures c and m1 and performs the following steps when called:
+      const d = (y) => {
+        // 1. Assert: y is a State.
+        Assert(y instanceof State);
+        // 2. Return m1(y, c).
+        return m1(y, c);
+      };
+      // iv. Return m2(x, d).
+      return m2(x, d);
+    };
+  }
+
   /** https://tc39.es/ecma262/#sec-runtime-semantics-charactersetmatcher-abstract-operation */
-  function CharacterSetMatcher(A, invert, direction) {
-    // 1. Return a new Matcher with parameters (x, c) that captures A, invert, and direction and performs the following steps when called:
+  function CharacterSetMatcher(rer, A, invert, direction) {
+    // 1. Return a new Matcher with parameters (x, c) that captures rer, A, invert, and direction and performs the following steps when called:
     return (x, c) => {
       // a. Assert: x is a State.
       Assert(x instanceof State);
@@ -807,18 +1080,18 @@ export function Evaluate_Pattern(Pattern, flags) {
       const index = Math.min(e, f);
       // g. Let ch be the character Input[index].
       const ch = Input[index];
-      // h. Let cc be Canonicalize(ch).
-      const cc = Canonicalize(ch);
+      // h. Let cc be Canonicalize(rer, ch).
+      const cc = Canonicalize(rer, ch);
       // i. If invert is false, then
       if (invert === false) {
-        // i. If there does not exist a member a of set A such that Canonicalize(a) is cc, return failure.
+        // i. If there does not exist a member a of set A such that Canonicalize(rer, a) is cc, return failure.
         if (!A.has(cc)) {
           return 'failure';
         }
       } else { // j. Else
         // i. Assert: invert is true.
         Assert(invert === true);
-        // ii. If there exists a member a of set A such that Canonicalize(a) is cc, return failure.
+        // ii. If there exists a member a of set A such that Canonicalize(rer, a) is cc, return failure.
         if (A.has(cc)) {
           return 'failure';
         }
@@ -833,13 +1106,13 @@ export function Evaluate_Pattern(Pattern, flags) {
   }
 
   /** https://tc39.es/ecma262/#sec-runtime-semantics-canonicalize-ch */
-  function Canonicalize(ch) {
-    // 1. If IgnoreCase is false, return ch.
-    if (IgnoreCase === false) {
+  function Canonicalize(rer, ch) {
+    // 1. If rer.[[IgnoreCase]] is false, return ch.
+    if (rer.IgnoreCase === false) {
       return ch;
     }
-    // 2. If Unicode is true, then
-    if (Unicode === true) {
+    // 2. If rer.[[Unicode]] is true, then
+    if (rer.Unicode === true) {
       const s = String.fromCodePoint(ch);
       // a. If the file CaseFolding.txt of the Unicode Character Database provides a simple or common case folding mapping for ch, return the result of applying that mapping to ch.
       if (unicodeCaseFoldingSimple.has(s)) {
@@ -879,38 +1152,44 @@ export function Evaluate_Pattern(Pattern, flags) {
   //   CharacterEscape
   //   CharacterClassEscape
   //   `k` GroupName
-  function Evaluate_AtomEscape(AtomEscape, direction) {
+  function Evaluate_AtomEscape(AtomEscape, rer, direction) {
     switch (true) {
       case !!AtomEscape.DecimalEscape: {
         // 1. Evaluate DecimalEscape to obtain an integer n.
         const n = Evaluate(AtomEscape.DecimalEscape);
         // 2. Assert: n ≤ NcapturingParens.
         Assert(n <= NcapturingParens);
-        // 3. Call BackreferenceMatcher(n, direction) and return its Matcher result.
-        return BackreferenceMatcher(n, direction);
+        // 3. Call BackreferenceMatcher(rer, « n », direction) and return its Matcher result.
+        return BackreferenceMatcher(rer, [n], direction);
       }
       case !!AtomEscape.CharacterEscape: {
         // 1. Evaluate CharacterEscape to obtain a character ch.
         const ch = Evaluate(AtomEscape.CharacterEscape);
         // 2. Let A be a one-element CharSet containing the character ch.
-        const A = new ConcreteCharSet([Canonicalize(ch)]);
-        // 3. Call CharacterSetMatcher(A, false, direction) and return its Matcher result.
-        return CharacterSetMatcher(A, false, direction);
+        const A = new ConcreteCharSet([Canonicalize(rer, ch)]);
+        // 3. Call CharacterSetMatcher(rer, A, false, direction) and return its Matcher result.
+        return CharacterSetMatcher(rer, A, false, direction);
       }
       case !!AtomEscape.CharacterClassEscape: {
-        // 1. Evaluate CharacterClassEscape to obtain a CharSet A.
-        const A = Evaluate(AtomEscape.CharacterClassEscape);
-        // 2. Call CharacterSetMatcher(A, false, direction) and return its Matcher result.
-        return CharacterSetMatcher(A, false, direction);
+        // 1. Evaluate CharacterClassEscape with argument rer to obtain a CharSet A.
+        const A = Evaluate(AtomEscape.CharacterClassEscape, rer);
+        // 2. Return CompileCharSetMatcher(rer, A, false, direction).
+        return CompileCharSetMatcher(rer, A, false, direction);
       }
       case !!AtomEscape.GroupName: {
-        // 1. Search the enclosing Pattern for an instance of a GroupSpecifier for a RegExpIdentifierName which has a StringValue equal to the StringValue of the RegExpIdentifierName contained in GroupName.
-        // 2. Assert: A unique such GroupSpecifier is found.
-        // 3. Let parenIndex be the number of left-capturing parentheses in the entire regular expression that occur to the left of the located GroupSpecifier. This is the total number of Atom :: `(` GroupSpecifier Disjunction `)` Parse Nodes prior to or enclosing the located GroupSpecifier.
-        const parenIndex = Pattern.groupSpecifiers.get(AtomEscape.GroupName);
-        Assert(parenIndex !== undefined);
-        // 4. Call BackreferenceMatcher(parenIndex, direction) and return its Matcher result.
-        return BackreferenceMatcher(parenIndex + 1, direction);
+        // 1. Let groupSpecifiers be GroupSpecifiersThatMatch(GroupName).
+        const groupSpecifiers = Pattern.groupSpecifiers.get(AtomEscape.GroupName);
+        Assert(groupSpecifiers !== undefined);
+        // 2. Let parenIndices be a new empty List.
+        const parenIndices = [];
+        // 3. For each GroupSpecifier groupSpecifier of groupSpecifiers, do
+        for (const parenIndex of groupSpecifiers) {
+          // a. Let parenIndex be CountLeftCapturingParensBefore(groupSpecifier).
+          // b. Append parenIndex + 1 to parenIndices.
+          parenIndices.push(parenIndex + 1);
+        }
+        // 4. Call BackreferenceMatcher(rer, parenIndices, direction) and return its Matcher result.
+        return BackreferenceMatcher(rer, parenIndices, direction);
       }
       default:
         throw new OutOfRange('Evaluate_AtomEscape', AtomEscape);
@@ -918,8 +1197,10 @@ export function Evaluate_Pattern(Pattern, flags) {
   }
 
   /** https://tc39.es/ecma262/#sec-backreference-matcher */
-  function BackreferenceMatcher(n, direction) {
-    // 1. Return a new Matcher with parameters (x, c) that captures n and direction and performs the following steps when called:
+  function BackreferenceMatcher(rer, ns, direction) {
+    // 1. Assert: ns is a List of positive integers.
+    Assert(ns.every((n) => n > 0));
+    // 2. Return a new Matcher with parameters (x, c) that captures rer, ns, and direction and performs the following steps when called:
     return (x, c) => {
       // a. Assert: x is a State.
       Assert(x instanceof State);
@@ -927,37 +1208,47 @@ export function Evaluate_Pattern(Pattern, flags) {
       Assert(isContinuation(c));
       // c. Let cap be x's captures List.
       const cap = x.captures;
-      // d. Let s be cap[n].
-      const s = cap[n];
-      // e. If s is undefined, return c(x).
+      // d. Let s be undefined.
+      let s = Value.undefined;
+      // e. For each integer n of ns, do
+      for (const n of ns) {
+        // i. If cap[n] is not undefined, then
+        if (cap[n] !== Value.undefined) {
+          // 1. Assert: s is undefined.
+          Assert(s === Value.undefined);
+          // 2. Set s to cap[n].
+          s = cap[n];
+        }
+      }
+      // f. If s is undefined, return c(x).
       if (s === Value.undefined) {
         return c(x);
       }
-      // f. Let e be x's endIndex.
+      // g. Let e be x's endIndex.
       const e = x.endIndex;
-      // g. Let rs be r's startIndex.
+      // h. Let rs be r's startIndex.
       const rs = s.startIndex;
-      // h. Let re be r's endIndex.
+      // i. Let re be r's endIndex.
       const re = s.endIndex;
-      // i. Let len be the number of elements in re - rs.
+      // j. Let len be the number of elements in re - rs.
       const len = re - rs;
-      // h. Let f be e + direction × len.
+      // k. Let f be e + direction × len.
       const f = e + direction * len;
-      // i. If f < 0 or f > InputLength, return failure.
+      // l. If f < 0 or f > InputLength, return failure.
       if (f < 0 || f > InputLength) {
         return 'failure';
       }
-      // j. Let g be min(e, f).
+      // m. Let g be min(e, f).
       const g = Math.min(e, f);
-      // k. If there exists an integer i between 0 (inclusive) and len (exclusive) such that Canonicalize(s[i]) is not the same character value as Canonicalize(Input[g + i]), return failure.
+      // n. If there exists an integer i between 0 (inclusive) and len (exclusive) such that Canonicalize(rer, s[i]) is not the same character value as Canonicalize(rer, Input[g + i]), return failure.
       for (let i = 0; i < len; i += 1) {
-        if (Canonicalize(Input[s.startIndex + i]) !== Canonicalize(Input[g + i])) {
+        if (Canonicalize(rer, Input[s.startIndex + i]) !== Canonicalize(rer, Input[g + i])) {
           return 'failure';
         }
       }
-      // l. Let y be the State (f, cap).
+      // o. Let y be the State (f, cap).
       const y = new State(f, cap);
-      // m. Call c(y) and return its result.
+      // p. Call c(y) and return its result.
       return c(y);
     };
   }
@@ -994,7 +1285,7 @@ export function Evaluate_Pattern(Pattern, flags) {
   //   `W`
   //   `p{` UnicodePropertyValueExpression `}`
   //   `P{` UnicodePropertyValueExpression `}`
-  function Evaluate_CharacterClassEscape(node) {
+  function Evaluate_CharacterClassEscape(node, rer) {
     switch (node.value) {
       case 'd':
         // 1. Return the ten-element set of characters containing the characters 0 through 9 inclusive.
@@ -1015,19 +1306,19 @@ export function Evaluate_Pattern(Pattern, flags) {
           return !isWhitespace(s) && !isLineTerminator(s);
         });
       case 'w':
-        // 1. Return the set of all characters returned by WordCharacters().
-        return WordCharacters();
+        // 1. Return the set of all characters returned by WordCharacters(rer).
+        return WordCharacters(rer);
       case 'W': {
         // 1. Return the set of all characters not included in the set returned by CharacterClassEscape :: `w`.
-        const s = WordCharacters();
+        const s = WordCharacters(rer);
         return new VirtualCharSet((c) => !s.has(c));
       }
       case 'p':
         // 1. Return the CharSet containing all Unicode code points included in the CharSet returned by UnicodePropertyValueExpression.
-        return Evaluate(node.UnicodePropertyValueExpression);
+        return Evaluate(node.UnicodePropertyValueExpression, rer);
       case 'P': {
         // 1. Return the CharSet containing all Unicode code points not included in the CharSet returned by UnicodePropertyValueExpression.
-        const s = Evaluate(node.UnicodePropertyValueExpression);
+        const s = Evaluate(node.UnicodePropertyValueExpression, rer);
         return new VirtualCharSet((c) => !s.has(c));
       }
       default:
@@ -1038,7 +1329,7 @@ export function Evaluate_Pattern(Pattern, flags) {
   // UnicodePropertyValueExpression ::
   //   UnicodePropertyName `=` UnicodePropertyValue
   //   LoneUnicodePropertyNameOrValue
-  function Evaluate_UnicodePropertyValueExpression(UnicodePropertyValueExpression) {
+  function Evaluate_UnicodePropertyValueExpression(UnicodePropertyValueExpression, rer) {
     if (UnicodePropertyValueExpression.LoneUnicodePropertyNameOrValue) {
       // 1. Let s be SourceText of LoneUnicodePropertyNameOrValue.
       const s = UnicodePropertyValueExpression.LoneUnicodePropertyNameOrValue;
@@ -1047,6 +1338,20 @@ export function Evaluate_Pattern(Pattern, flags) {
         // a. Return the CharSet containing all Unicode code points whose character database definition includes the property “General_Category” with value s.
         return new ConcreteCharSet(getUnicodePropertyValueSet('General_Category', UnicodeGeneralCategoryValues[s]));
       }
+      // If rer.[[UnicodeSets]] is true and s is a binary property of strings listed in the “Property name” column of the table of binary Unicode properties of strings, then
+      if (rer.UnicodeSets && s in BinaryUnicodePropertiesOfStrings) {
+        // a. Return the CharSet containing all strings that the character database definition includes in the property s, with each code point simple case folded.
+        const A = new ConcreteCharSet([]);
+        for (const string of getUnicodePropertyOfStringsSet(BinaryUnicodePropertiesOfStrings[s])) {
+          const canonicalized = Array.from(string, (ch) => Canonicalize(rer, ch.codePointAt(0)));
+          if (canonicalized.length === 1) {
+            A.concrete.add(canonicalized[0]);
+          } else {
+            A.strings.add(String.fromCodePoint(...canonicalized));
+          }
+        }
+        return A;
+      }
       // 3. Let p be ! UnicodeMatchProperty(s).
       const p = X(UnicodeMatchProperty(s));
       // 4. Assert: p is a binary Unicode property or binary property alias listed in the “Property name and aliases” column of Table 56.
@@ -1070,25 +1375,35 @@ export function Evaluate_Pattern(Pattern, flags) {
 
   /** https://tc39.es/ecma262/#sec-characterclass */
   //  CharacterClass ::
-  //    `[` ClassRanges `]`
-  //    `[` `^` ClassRanges `]`
-  function Evaluate_CharacterClass({ invert, ClassRanges }) {
+  //    `[` ClassContents `]`
+  //    `[` `^` ClassContents `]`
+  function Evaluate_CharacterClass({ invert, ClassRanges, ClassSetExpression }, rer) {
+    if (ClassSetExpression) {
+      // 1. Let A be CompileToCharSet of ClassContents with argument rer.
+      const A = Evaluate(ClassSetExpression, rer);
+      // 2. If rer.[[UnicodeSets]] is true and invert is true, return the Record { [[CharSet]]: CharacterComplement(A), [[Invert]]: false }.
+      if (invert) {
+        return { A: CharacterComplement(A), invert: false };
+      }
+      // 3. Return the Record { [[CharSet]]: A, [[Invert]]: invert }.
+      return { A, invert };
+    }
     let A = new ConcreteCharSet([]);
     for (const range of ClassRanges) {
       if (Array.isArray(range)) {
-        const B = Evaluate(range[0]);
-        const C = Evaluate(range[1]);
-        const D = CharacterRange(B, C);
+        const B = Evaluate(range[0], rer);
+        const C = Evaluate(range[1], rer);
+        const D = CharacterRangeOrUnion(rer, B, C);
         A = A.union(D);
       } else {
-        A = A.union(Evaluate(range));
+        A = A.union(Evaluate(range, rer));
       }
     }
     return { A, invert };
   }
 
   /** https://tc39.es/ecma262/#sec-runtime-semantics-characterrange-abstract-operation */
-  function CharacterRange(A, B) {
+  function CharacterRange(rer, A, B) {
     // 1. Assert: A and B each contain exactly one character.
     Assert(A.size === 1 && B.size === 1);
     // 2. Let a be the one character in CharSet A.
@@ -1104,11 +1419,128 @@ export function Evaluate_Pattern(Pattern, flags) {
     // 7. Return the set containing all characters numbered i through j, inclusive.
     const set = new Set();
     for (let k = i; k <= j; k += 1) {
-      set.add(Canonicalize(k));
+      set.add(Canonicalize(rer, k));
     }
     return new ConcreteCharSet(set);
   }
 
+  /** https://tc39.es/ecma262/#sec-runtime-semantics-characterrangeorunion-abstract-operation */
+  function CharacterRangeOrUnion(rer, A, B) {
+    // 1. If rer.[[Unicode]] is false, then
+    if (rer.Unicode === false) {
+      // a. If A does not contain exactly one character or B does not contain exactly one character, then
+      if (!(A instanceof ConcreteCharSet && A.size === 1) || !(B instanceof ConcreteCharSet && B.size === 1)) {
+        // i. Let C be the one-element CharSet containing the character U+002D (HYPHEN-MINUS).
+        const C = new ConcreteCharSet([0x002D]);
+        // ii. Return the union of CharSets A, B and C.
+        return A.union(B).union(C);
+      }
+    }
+    // 2. Return CharacterRange(A, B).
+    return CharacterRange(rer, A, B);
+  }
+
+  /** https://tc39.es/ecma262/#sec-charactercomplement */
+  function CharacterComplement(A) {
+    // 1. Assert: A does not contain any CharSetElement that does not consist of a single character.
+    Assert(A.strings.size === 0);
+    // 2. Return the CharSet containing the characters which are not also CharSetElements of A.
+    return new VirtualCharSet((c) => !A.has(c));
+  }
+
+  /** https://tc39.es/ecma262/#sec-compiletocharset */
+  // ClassUnion ::
+  //   ClassSetRange ClassUnion?
+  //   ClassSetOperand ClassUnion?
+  // ClassIntersection ::
+  //   ClassSetOperand `&&` ClassSetOperand
+  //   ClassIntersection `&&` ClassSetOperand
+  // ClassSubtraction ::
+  //   ClassSetOperand `--` ClassSetOperand
+  //   ClassSubtraction `--` ClassSetOperand
+  function Evaluate_ClassSetExpression({ type, operands }, rer) {
+    if (operands.length === 0) {
+      // 1. Return the empty CharSet.
+      return new ConcreteCharSet([]);
+    }
+    let A = Evaluate(operands[0], rer);
+    for (const operand of operands.slice(1)) {
+      const B = Evaluate(operand, rer);
+      switch (type) {
+        case 'ClassUnion':
+          // Return the union of CharSets A and B.
+          A = A.union(B);
+          break;
+        case 'ClassIntersection':
+          // Return the intersection of CharSets A and B.
+          A = A.intersection(B);
+          break;
+        case 'ClassSubtraction':
+          // Return the CharSet containing the CharSetElements of A which are not also CharSetElements of B.
+          A = A.difference(B);
+          break;
+        default:
+          throw new OutOfRange('Evaluate_ClassSetExpression', type);
+      }
+    }
+    return A;
+  }
+
+  // ClassSetRange ::
+  //   ClassSetCharacter `-` ClassSetCharacter
+  function Evaluate_ClassSetRange({ ClassSetCharacter_a, ClassSetCharacter_b }, rer) {
+    // 1. Let i be the CharacterValue of the first ClassSetCharacter.
+    const i = CharacterValue(ClassSetCharacter_a);
+    // 2. Let j be the CharacterValue of the second ClassSetCharacter.
+    const j = CharacterValue(ClassSetCharacter_b);
+    // 3. Let A be the CharSet containing all characters with a character value in the inclusive interval from i to j.
+    // 4. Return MaybeSimpleCaseFolding(rer, A).
+    return CharacterRange(rer, new ConcreteCharSet([i]), new ConcreteCharSet([j]));
+  }
+
+  // NestedClass ::
+  //   `[` ClassContents `]`
+  //   `[` `^` ClassContents `]`
+  function Evaluate_NestedClass({ invert, ClassSetExpression }, rer) {
+    // 1. Let A be CompileToCharSet of ClassContents with argument rer.
+    const A = Evaluate(ClassSetExpression, rer);
+    // 2. If invert is true, return CharacterComplement(A).
+    if (invert) {
+      return CharacterComplement(A);
+    }
+    // 3. Return A.
+    return A;
+  }
+
+  // ClassStringDisjunction ::
+  //   `\q{` ClassStringDisjunctionContents `}`
+  function Evaluate_ClassStringDisjunction({ ClassStrings }, rer) {
+    const A = new ConcreteCharSet([]);
+    for (const ClassString of ClassStrings) {
+      // 1. Let s be CompileClassSetString of ClassString with argument rer.
+      // 2. Return the CharSet containing the one string s, with each character simple case folded.
+      const s = ClassString.map((ClassSetCharacter) => Canonicalize(rer, CharacterValue(ClassSetCharacter)));
+      if (s.length === 1) {
+        A.concrete.add(s[0]);
+      } else {
+        A.strings.add(String.fromCodePoint(...s));
+      }
+    }
+    return A;
+  }
+
+  // ClassSetCharacter ::
+  //   SourceCharacter
+  //   `\` CharacterEscape
+  //   `\` ClassSetReservedPunctuator
+  //   `\b`
+  function Evaluate_ClassSetCharacter(ClassSetCharacter, rer) {
+    // 1. Let cv be the CharacterValue of this ClassSetCharacter.
+    const cv = CharacterValue(ClassSetCharacter);
+    // 2. Return the CharSet containing the single character whose character value is cv, simple case folded.
+    return new ConcreteCharSet([Canonicalize(rer, cv)]);
+  }
+
   /** https://tc39.es/ecma262/#sec-classatom */
   // ClassAtom ::
   //   `-`
@@ -1116,11 +1548,11 @@ export function Evaluate_Pattern(Pattern, flags) {
   // ClassAtomNoDash ::
   //   SourceCharacter
   //   `\` ClassEscape
-  function Evaluate_ClassAtom(ClassAtom) {
+  function Evaluate_ClassAtom(ClassAtom, rer) {
     switch (true) {
       case !!ClassAtom.SourceCharacter:
         // 1. Return the CharSet containing the character matched by SourceCharacter.
-        return new ConcreteCharSet([Canonicalize(ClassAtom.SourceCharacter.codePointAt(0))]);
+        return new ConcreteCharSet([Canonicalize(rer, ClassAtom.SourceCharacter.codePointAt(0))]);
       case ClassAtom.value === '-':
         // 1. Return the CharSet containing the single character - U+002D (HYPHEN-MINUS).
         return new ConcreteCharSet([0x002D]);
@@ -1133,19 +1565,21 @@ export function Evaluate_Pattern(Pattern, flags) {
   // ClassEscape ::
   //   `b`
   //   `-`
+  //   `c` ClassControlLetter
   //   CharacterEscape
   //   CharacterClassEscape
-  function Evaluate_ClassEscape(ClassEscape) {
+  function Evaluate_ClassEscape(ClassEscape, rer) {
     switch (true) {
       case ClassEscape.value === 'b':
       case ClassEscape.value === '-':
+      case !!ClassEscape.ClassControlLetter:
       case !!ClassEscape.CharacterEscape: {
         // 1. Let cv be the CharacterValue of this ClassEscape.
         const cv = CharacterValue(ClassEscape);
         // 2. Let c be the character whose character value is cv.
         const c = cv;
         // 3. Return the CharSet containing the single character c.
-        return new ConcreteCharSet([Canonicalize(c)]);
+        return new ConcreteCharSet([Canonicalize(rer, c)]);
       }
       default:
         throw new OutOfRange('Evaluate_ClassEscape', ClassEscape);
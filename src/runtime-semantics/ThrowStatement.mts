@@ -20,3 +20,14 @@ export function* Evaluate_ThrowStatement({ Expression }) {
   // 3. Return ThrowCompletion(exprValue).
   return ThrowCompletion(exprValue);
 }
+
+/** https://github.com/tc39/proposal-throw-expressions */
+// ThrowExpression : `throw` UnaryExpression
+export function* Evaluate_ThrowExpression({ UnaryExpression }) {
+  // 1. Let exprRef be the result of evaluating UnaryExpression.
+  const exprRef = yield* Evaluate(UnaryExpression);
+  // 2. Let exprValue be ? GetValue(exprRef).
+  const exprValue = Q(GetValue(exprRef));
+  // 3. Return ThrowCompletion(exprValue).
+  return ThrowCompletion(exprValue);
+}
@@ -95,6 +95,8 @@ function* CatchClauseEvaluation({ CatchParameter, Block }, thrownValue) {
   const oldEnv = surroundingAgent.runningExecutionContext.LexicalEnvironment;
   // 2. Let catchEnv be NewDeclarativeEnvironment(oldEnv).
   const catchEnv = NewDeclarativeEnvironment(oldEnv);
+  // Annex B.3.4 needs to identify the Environment Record for a Catch clause.
+  catchEnv.IsCatchEnvironment = true;
   // 3. For each element argName of the BoundNames of CatchParameter, do
   for (const argName of BoundNames(CatchParameter)) {
     // a. Perform ! catchEnv.CreateMutableBinding(argName, false).
@@ -0,0 +1,67 @@
+// @ts-nocheck
+import { TupleValue, Value } from '../value.mjs';
+import { Evaluate } from '../evaluator.mjs';
+import {
+  AddValueToTupleSequenceList,
+  GetIterator,
+  GetValue,
+  IteratorStep,
+  IteratorValue,
+} from '../abstract-ops/all.mjs';
+import { Q } from '../completion.mjs';
+
+/** https://tc39.es/proposal-record-tuple/#sec-runtime-semantics-tuplesequenceaccumulation */
+//   TupleElementList :
+//     AssignmentExpression
+//     SpreadElement
+//     TupleElementList `,` AssignmentExpression
+//     TupleElementList `,` SpreadElement
+//   SpreadElement :
+//     `...` AssignmentExpression
+function* TupleSequenceAccumulation(TupleElementList, sequence) {
+  for (const element of TupleElementList) {
+    if (element.type === 'SpreadElement') {
+      // 1. Let spreadRef be the result of evaluating AssignmentExpression.
+      const spreadRef = yield* Evaluate(element.AssignmentExpression);
+      // 2. Let spreadObj be ? GetValue(spreadRef).
+      const spreadObj = Q(GetValue(spreadRef));
+      // 3. Let iteratorRecord be ? GetIterator(spreadObj, sync).
+      const iteratorRecord = Q(GetIterator(spreadObj, 'sync'));
+      // 4. Repeat,
+      while (true) {
+        // a. Let next be ? IteratorStep(iteratorRecord).
+        const next = Q(IteratorStep(iteratorRecord));
+        // b. If next is false, return sequence.
+        if (next === Value.false) {
+          break;
+        }
+        // c. Let nextValue be ? IteratorValue(next).
+        const nextValue = Q(IteratorValue(next));
+        // d. Perform ? AddValueToTupleSequenceList(sequence, nextValue).
+        Q(AddValueToTupleSequenceList(sequence, nextValue));
+      }
+    } else {
+      // 1. Let initResult be the result of evaluating AssignmentExpression.
+      const initResult = yield* Evaluate(element);
+      // 2. Let initValue be ? GetValue(initResult).
+      const initValue = Q(GetValue(initResult));
+      // 3. Perform ? AddValueToTupleSequenceList(sequence, initValue).
+      Q(AddValueToTupleSequenceList(sequence, initValue));
+    }
+  }
+  return sequence;
+}
+
+/** https://tc39.es/proposal-record-tuple/#sec-tuple-initializer-runtime-semantics-evaluation */
+//   TupleLiteral :
+//     `#[` `]`
+//     `#[` TupleElementList `]`
+//     `#[` TupleElementList `,` `]`
+export function* Evaluate_TupleLiteral({ TupleElementList }) {
+  // 1. Let sequence be a new empty List.
+  const sequence = [];
+  // 2. Perform ? TupleSequenceAccumulation of TupleElementList with argument sequence.
+  Q(yield* TupleSequenceAccumulation(TupleElementList, sequence));
+  // 3. Return a new Tuple value whose [[Sequence]] is sequence.
+  return new TupleValue(sequence);
+}
@@ -15,7 +15,7 @@ import {
 import { Evaluate } from '../evaluator.mjs';
 import { Q, ReturnIfAbrupt, X } from '../completion.mjs';
 import {
-  TypeForMethod, Value, ReferenceRecord, UndefinedValue, BigIntValue, BooleanValue, JSStringValue, NullValue, NumberValue, ObjectValue, SymbolValue,
+  TypeForMethod, Value, ReferenceRecord, UndefinedValue, BigIntValue, BooleanValue, JSStringValue, NullValue, NumberValue, ObjectValue, SymbolValue, RecordValue, TupleValue,
 } from '../value.mjs';
 import { EnvironmentRecord } from '../environment.mjs';
 import { OutOfRange } from '../helpers.mjs';
@@ -104,6 +104,10 @@ function* Evaluate_UnaryExpression_Typeof({ UnaryExpression }) {
     return new JSStringValue('bigint');
   } else if (val instanceof SymbolValue) {
     return new JSStringValue('symbol');
+  } else if (val instanceof RecordValue) {
+    return new JSStringValue('record');
+  } else if (val instanceof TupleValue) {
+    return new JSStringValue('tuple');
   } else if (val instanceof ObjectValue) {
     if (IsCallable(val) === Value.true) {
       return new JSStringValue('function');
@@ -118,6 +118,18 @@ export const BinaryUnicodeProperties = {
   XIDS: 'XID_Start',
 };
 
+// #table-binary-unicode-properties-of-strings
+export const BinaryUnicodePropertiesOfStrings = {
+  __proto__: null,
+  Basic_Emoji: 'Basic_Emoji',
+  Emoji_Keycap_Sequence: 'Emoji_Keycap_Sequence',
+  RGI_Emoji_Modifier_Sequence: 'RGI_Emoji_Modifier_Sequence',
+  RGI_Emoji_Flag_Sequence: 'RGI_Emoji_Flag_Sequence',
+  RGI_Emoji_Tag_Sequence: 'RGI_Emoji_Tag_Sequence',
+  RGI_Emoji_ZWJ_Sequence: 'RGI_Emoji_ZWJ_Sequence',
+  RGI_Emoji: 'RGI_Emoji',
+};
+
 // #table-unicode-general-category-values
 export const UnicodeGeneralCategoryValues = {
   __proto__: null,
@@ -552,3 +564,7 @@ export function getUnicodePropertyValueSet(property, value) {
   }
   return expandedSets.get(path);
 }
+
+export function getUnicodePropertyOfStringsSet(property) {
+  return UnicodeSets[`Sequence_Property/${property}`];
+}
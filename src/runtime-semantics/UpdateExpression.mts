@@ -1,4 +1,5 @@
 // @ts-nocheck
+import { surroundingAgent } from '../engine.mjs';
 import { Evaluate } from '../evaluator.mjs';
 import { OutOfRange } from '../helpers.mjs';
 import {
@@ -7,7 +8,8 @@ import {
   ToNumeric,
 } from '../abstract-ops/all.mjs';
 import { TypeForMethod } from '../value.mjs';
-import { Q, X } from '../completion.mjs';
+import { Q, X, ReturnIfAbrupt } from '../completion.mjs';
+import { AssignmentTargetType } from '../static-semantics/all.mjs';
 
 // UpdateExpression :
 //   LeftHandSideExpression `++`
@@ -20,6 +22,11 @@ export function* Evaluate_UpdateExpression({ LeftHandSideExpression, operator, U
     case operator === '++' && !!LeftHandSideExpression: {
       // 1. Let lhs be the result of evaluating LeftHandSideExpression.
       const lhs = yield* Evaluate(LeftHandSideExpression);
+      // (Annex B.3.9) If the AssignmentTargetType of LeftHandSideExpression is web-compat, throw a ReferenceError exception.
+      if (AssignmentTargetType(LeftHandSideExpression) === 'web-compat') {
+        ReturnIfAbrupt(lhs);
+        return surroundingAgent.Throw('ReferenceError', 'InvalidAssignmentTarget');
+      }
       // 2. Let oldValue be ? ToNumeric(? GetValue(lhs)).
       const oldValue = Q(ToNumeric(Q(GetValue(lhs))));
       // 3. Let newValue be ! Type(oldvalue)::add(oldValue, Type(oldValue)::unit).
@@ -34,6 +41,11 @@ export function* Evaluate_UpdateExpression({ LeftHandSideExpression, operator, U
     case operator === '--' && !!LeftHandSideExpression: {
       // 1. Let lhs be the result of evaluating LeftHandSideExpression.
       const lhs = yield* Evaluate(LeftHandSideExpression);
+      // (Annex B.3.9) If the AssignmentTargetType of LeftHandSideExpression is web-compat, throw a ReferenceError exception.
+      if (AssignmentTargetType(LeftHandSideExpression) === 'web-compat') {
+        ReturnIfAbrupt(lhs);
+        return surroundingAgent.Throw('ReferenceError', 'InvalidAssignmentTarget');
+      }
       // 2. Let oldValue be ? ToNumeric(? GetValue(lhs)).
       const oldValue = Q(ToNumeric(Q(GetValue(lhs))));
       // 3. Let newValue be ! Type(oldvalue)::subtract(oldValue, Type(oldValue)::unit).
@@ -48,6 +60,11 @@ export function* Evaluate_UpdateExpression({ LeftHandSideExpression, operator, U
     case operator === '++' && !!UnaryExpression: {
       // 1. Let expr be the result of evaluating UnaryExpression.
       const expr = yield* Evaluate(UnaryExpression);
+      // (Annex B.3.9) If the AssignmentTargetType of UnaryExpression is web-compat, throw a ReferenceError exception.
+      if (AssignmentTargetType(UnaryExpression) === 'web-compat') {
+        ReturnIfAbrupt(expr);
+        return surroundingAgent.Throw('ReferenceError', 'InvalidAssignmentTarget');
+      }
       // 2. Let oldValue be ? ToNumeric(? GetValue(expr)).
       const oldValue = Q(ToNumeric(Q(GetValue(expr))));
       // 3. Let newValue be ! Type(oldvalue)::add(oldValue, Type(oldValue)::unit).
@@ -62,6 +79,11 @@ export function* Evaluate_UpdateExpression({ LeftHandSideExpression, operator, U
     case operator === '--' && !!UnaryExpression: {
       // 1. Let expr be the result of evaluating UnaryExpression.
       const expr = yield* Evaluate(UnaryExpression);
+      // (Annex B.3.9) If the AssignmentTargetType of UnaryExpression is web-compat, throw a ReferenceError exception.
+      if (AssignmentTargetType(UnaryExpression) === 'web-compat') {
+        ReturnIfAbrupt(expr);
+        return surroundingAgent.Throw('ReferenceError', 'InvalidAssignmentTarget');
+      }
       // 2. Let oldValue be ? ToNumeric(? GetValue(expr)).
       const oldValue = Q(ToNumeric(Q(GetValue(expr))));
       // 3. Let newValue be ! Type(oldvalue)::subtract(oldValue, Type(oldValue)::unit).
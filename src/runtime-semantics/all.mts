@@ -107,3 +107,10 @@ export * from './InstantiateAsyncArrowFunctionExpression.mjs';
 export * from './InstantiateAsyncFunctionExpression.mjs';
 export * from './InstantiateAsyncGeneratorFunctionExpression.mjs';
 export * from './ClassStaticBlockDefinitionEvaluation.mjs';
+export * from './DecoratorListEvaluation.mjs';
+export * from './PipeExpression.mjs';
+export * from './MatchExpression.mjs';
+export * from './DoExpression.mjs';
+export * from './RecordLiteral.mjs';
+export * from './TupleLiteral.mjs';
+export * from './ModuleExpression.mjs';
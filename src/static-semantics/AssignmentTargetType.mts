@@ -0,0 +1,24 @@
+// @ts-nocheck
+/** https://tc39.es/ecma262/#sec-static-semantics-assignmenttargettype */
+export function AssignmentTargetType(node) {
+  switch (node.type) {
+    case 'IdentifierReference':
+      if (node.strict && (node.name === 'eval' || node.name === 'arguments')) {
+        return 'invalid';
+      }
+      return 'simple';
+    case 'MemberExpression':
+    case 'SuperProperty':
+      return 'simple';
+    case 'ParenthesizedExpression':
+      return AssignmentTargetType(node.Expression);
+    case 'CallExpression':
+      // Annex B.3.9: the parser only accepts these targets when annex-b is enabled.
+      if (!node.strict) {
+        return 'web-compat';
+      }
+      return 'invalid';
+    default:
+      return 'invalid';
+  }
+}
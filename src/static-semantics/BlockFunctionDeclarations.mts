@@ -0,0 +1,114 @@
+// @ts-nocheck
+import {
+  BoundNames,
+  LexicallyDeclaredNames,
+  LexicallyScopedDeclarations,
+} from './all.mjs';
+
+/** https://tc39.es/ecma262/#sec-block-level-function-declarations-web-legacy-compatibility-semantics */
+// Returns each FunctionDeclaration f that is directly contained in the StatementList
+// of a Block, CaseClause, or DefaultClause within node, for which replacing f with a
+// VariableStatement that has the same BindingIdentifier would not produce any Early Errors.
+export function BlockFunctionDeclarations(node) {
+  const functions = [];
+  const names = (declarations) => new Set(BoundNames(declarations).map((n) => n.stringValue()));
+
+  const visitStatementList = (StatementList, enclosing) => {
+    const scope = [...enclosing, names(LexicallyScopedDeclarations(StatementList))];
+    for (const item of StatementList) {
+      if (item.type === 'FunctionDeclaration') {
+        const F = BoundNames(item)[0].stringValue();
+        if (!enclosing.some((s) => s.has(F))) {
+          functions.push(item);
+        }
+      } else {
+        // eslint-disable-next-line no-use-before-define
+        visit(item, scope);
+      }
+    }
+  };
+
+  const visit = (n, enclosing) => {
+    if (!n) {
+      return;
+    }
+    switch (n.type) {
+      case 'Block':
+        visitStatementList(n.StatementList, enclosing);
+        break;
+      case 'IfStatement':
+        visit(n.Statement_a, enclosing);
+        visit(n.Statement_b, enclosing);
+        break;
+      case 'WhileStatement':
+      case 'DoWhileStatement':
+      case 'WithStatement':
+        visit(n.Statement, enclosing);
+        break;
+      case 'ForStatement':
+        if (n.LexicalDeclaration) {
+          visit(n.Statement, [...enclosing, names(n.LexicalDeclaration)]);
+        } else {
+          visit(n.Statement, enclosing);
+        }
+        break;
+      case 'ForInStatement':
+      case 'ForOfStatement':
+      case 'ForAwaitStatement':
+        if (n.ForDeclaration) {
+          visit(n.Statement, [...enclosing, names(n.ForDeclaration)]);
+        } else {
+          visit(n.Statement, enclosing);
+        }
+        break;
+      case 'SwitchStatement': {
+        const { CaseClauses_a, DefaultClause, CaseClauses_b } = n.CaseBlock;
+        const clauses = [...(CaseClauses_a || []), ...(DefaultClause ? [DefaultClause] : []), ...(CaseClauses_b || [])];
+        visitStatementList(clauses.flatMap((c) => c.StatementList || []), enclosing);
+        break;
+      }
+      case 'LabelledStatement':
+        visit(n.LabelledItem, enclosing);
+        break;
+      case 'TryStatement':
+        visit(n.Block, enclosing);
+        if (n.Catch) {
+          // Annex B.3.4 permits var declarations that rebind a simple catch parameter.
+          const { CatchParameter } = n.Catch;
+          if (CatchParameter && CatchParameter.type !== 'BindingIdentifier') {
+            visit(n.Catch.Block, [...enclosing, names(CatchParameter)]);
+          } else {
+            visit(n.Catch.Block, enclosing);
+          }
+        }
+        visit(n.Finally, enclosing);
+        break;
+      default:
+        break;
+    }
+  };
+
+  let StatementList;
+  switch (node.type) {
+    case 'Script':
+      StatementList = node.ScriptBody ? node.ScriptBody.StatementList : [];
+      break;
+    case 'ScriptBody':
+      ({ StatementList } = node);
+      break;
+    case 'FunctionBody':
+    case 'GeneratorBody':
+    case 'AsyncFunctionBody':
+    case 'AsyncGeneratorBody':
+      StatementList = node.FunctionStatementList;
+      break;
+    default:
+      StatementList = [];
+      break;
+  }
+  const topLevel = [new Set(LexicallyDeclaredNames(node).map((n) => n.stringValue()))];
+  for (const item of StatementList) {
+    visit(item, topLevel);
+  }
+  return functions;
+}
@@ -40,6 +40,7 @@ export function BoundNames(node) {
     case 'AsyncFunctionDeclaration':
     case 'AsyncGeneratorDeclaration':
     case 'ClassDeclaration':
+    case 'ModuleDeclaration':
       if (node.BindingIdentifier) {
         return BoundNames(node.BindingIdentifier);
       }
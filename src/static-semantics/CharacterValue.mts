@@ -37,6 +37,9 @@ export function CharacterValue(node) {
         case node.subtype === '0':
           // 1. Return the code point value of U+0000 (NULL).
           return 0x0000;
+        case !!node.LegacyOctalEscapeSequence:
+          // 1. Return the MV of LegacyOctalEscapeSequence.
+          return Number.parseInt(node.LegacyOctalEscapeSequence, 8);
         case !!node.IdentityEscape: {
           // 1. Let ch be the code point matched by IdentityEscape.
           const ch = node.IdentityEscape.codePointAt(0);
@@ -81,8 +84,34 @@ export function CharacterValue(node) {
         case node.value === '-':
           // 1. Return the code point value of U+002D (HYPHEN-MINUS).
           return 0x002D;
+        case !!node.ClassControlLetter: {
+          // 1. Let ch be the code point matched by ClassControlLetter.
+          const ch = node.ClassControlLetter;
+          // 2. Let i be the numeric value of ch.
+          const i = ch.codePointAt(0);
+          // 3. Return the remainder of dividing i by 32.
+          return i % 32;
+        }
+        case !!node.CharacterEscape:
+          return CharacterValue(node.CharacterEscape);
+        default:
+          throw new OutOfRange('CharacterValue', node);
+      }
+    case 'ClassSetCharacter':
+      switch (true) {
+        case node.value === 'b':
+          // 1. Return the code point value of U+0008 (BACKSPACE).
+          return 0x0008;
+        case !!node.ClassSetReservedPunctuator:
+          // 1. Let ch be the code point matched by ClassSetReservedPunctuator.
+          // 2. Return the numeric value of ch.
+          return node.ClassSetReservedPunctuator.codePointAt(0);
         case !!node.CharacterEscape:
           return CharacterValue(node.CharacterEscape);
+        case !!node.SourceCharacter:
+          // 1. Let ch be the code point matched by SourceCharacter.
+          // 2. Return the numeric value of ch.
+          return node.SourceCharacter.codePointAt(0);
         default:
           throw new OutOfRange('CharacterValue', node);
       }
@@ -16,6 +16,8 @@ export function ContainsArguments(node) {
     case 'AsyncMethod':
     case 'AsyncFunctionDeclaration':
     case 'AsyncFunctionExpression':
+    case 'ModuleExpression':
+    case 'ModuleDeclaration':
       return null;
     default:
       for (const value of Object.values(node)) {
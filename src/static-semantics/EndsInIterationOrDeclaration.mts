@@ -0,0 +1,64 @@
+// @ts-nocheck
+/** https://tc39.es/proposal-do-expressions/#sec-static-semantics-endsiniterationordeclaration */
+export function EndsInIterationOrDeclaration(node) {
+  if (Array.isArray(node)) {
+    // The completion value of a StatementList is that of its last non-empty statement.
+    for (let i = node.length - 1; i >= 0; i -= 1) {
+      if (node[i].type !== 'EmptyStatement') {
+        return EndsInIterationOrDeclaration(node[i]);
+      }
+    }
+    return false;
+  }
+  switch (node.type) {
+    case 'VariableStatement':
+    case 'LexicalDeclaration':
+    case 'FunctionDeclaration':
+    case 'GeneratorDeclaration':
+    case 'AsyncFunctionDeclaration':
+    case 'AsyncGeneratorDeclaration':
+    case 'ClassDeclaration':
+    case 'ModuleDeclaration':
+    case 'DoWhileStatement':
+    case 'WhileStatement':
+    case 'ForStatement':
+    case 'ForInStatement':
+    case 'ForOfStatement':
+    case 'ForAwaitStatement':
+      return true;
+    case 'Block':
+      return EndsInIterationOrDeclaration(node.StatementList);
+    case 'IfStatement':
+      if (EndsInIterationOrDeclaration(node.Statement_a)) {
+        return true;
+      }
+      if (node.Statement_b) {
+        return EndsInIterationOrDeclaration(node.Statement_b);
+      }
+      return false;
+    case 'LabelledStatement':
+      return EndsInIterationOrDeclaration(node.LabelledItem);
+    case 'TryStatement':
+      if (EndsInIterationOrDeclaration(node.Block)) {
+        return true;
+      }
+      if (node.Catch) {
+        return EndsInIterationOrDeclaration(node.Catch.Block);
+      }
+      return false;
+    case 'SwitchStatement':
+      return EndsInIterationOrDeclaration(node.CaseBlock);
+    case 'CaseBlock':
+      return [node.CaseClauses_a, node.DefaultClause, node.CaseClauses_b]
+        .flat()
+        .some((clause) => clause && EndsInIterationOrDeclaration(clause));
+    case 'CaseClause':
+    case 'DefaultClause':
+      if (node.StatementList) {
+        return EndsInIterationOrDeclaration(node.StatementList);
+      }
+      return false;
+    default:
+      return false;
+  }
+}
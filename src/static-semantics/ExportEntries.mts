@@ -22,9 +22,9 @@ export function ExportEntries(node) {
     case 'ExportDeclaration':
       switch (true) {
         case !!node.ExportFromClause && !!node.FromClause: {
-          // `export` ExportFromClause FromClause `;`
-          // 1. Let module be the sole element of ModuleRequests of FromClause.
-          const module = ModuleRequests(node.FromClause)[0];
+          // `export` ExportFromClause FromClause WithClause? `;`
+          // 1. Let module be the sole element of ModuleRequests of ExportDeclaration.
+          const module = ModuleRequests(node)[0];
           // 2. Return ExportEntriesForModule(ExportFromClause, module).
           return ExportEntriesForModule(node.ExportFromClause, module);
         }
@@ -1,5 +1,5 @@
 // @ts-nocheck
-import { ImportEntriesForModule, ModuleRequests } from './all.mjs';
+import { ImportEntriesForModule, ModuleRequests, StringValue } from './all.mjs';
 
 export function ImportEntries(node) {
   switch (node.type) {
@@ -16,9 +16,23 @@ export function ImportEntries(node) {
       return entries;
     }
     case 'ImportDeclaration':
+      if (node.Phase === 'source') {
+        // 1. Let module be the sole element of ModuleRequests of ImportDeclaration.
+        const module = ModuleRequests(node)[0];
+        // 2. Let localName be the StringValue of ImportedBinding.
+        const localName = StringValue(node.ImportedBinding);
+        // 3. Let entry be the ImportEntry Record { [[ModuleRequest]]: module, [[ImportName]]: ~source~, [[LocalName]]: localName }.
+        const entry = {
+          ModuleRequest: module,
+          ImportName: 'source',
+          LocalName: localName,
+        };
+        // 4. Return « entry ».
+        return [entry];
+      }
       if (node.FromClause) {
-        // 1. Let module be the sole element of ModuleRequests of FromClause.
-        const module = ModuleRequests(node.FromClause)[0];
+        // 1. Let module be the sole element of ModuleRequests of ImportDeclaration.
+        const module = ModuleRequests(node)[0];
         // 2. Return ImportEntriesForModule of ImportClause with argument module.
         return ImportEntriesForModule(node.ImportClause, module);
       }
@@ -1,4 +1,5 @@
 // @ts-nocheck
 export function IsConstantDeclaration(node) {
-  return node === 'const' || node.LetOrConst === 'const';
+  const LetOrConst = typeof node === 'string' ? node : node.LetOrConst;
+  return LetOrConst === 'const' || LetOrConst === 'using' || LetOrConst === 'await using';
 }
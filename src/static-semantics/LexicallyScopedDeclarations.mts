@@ -36,6 +36,7 @@ export function LexicallyScopedDeclarations(node) {
     case 'ImportDeclaration':
       return [];
     case 'ClassDeclaration':
+    case 'ModuleDeclaration':
     case 'LexicalDeclaration':
     case 'FunctionDeclaration':
     case 'GeneratorDeclaration':
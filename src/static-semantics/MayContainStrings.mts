@@ -0,0 +1,28 @@
+// @ts-nocheck
+import { BinaryUnicodePropertiesOfStrings } from '../runtime-semantics/all.mjs';
+
+/** https://tc39.es/ecma262/#sec-static-semantics-maycontainstrings */
+export function MayContainStrings(node) {
+  switch (node.type) {
+    case 'ClassUnion':
+      return node.operands.some((operand) => MayContainStrings(operand));
+    case 'ClassIntersection':
+      return node.operands.every((operand) => MayContainStrings(operand));
+    case 'ClassSubtraction':
+      return MayContainStrings(node.operands[0]);
+    case 'NestedClass':
+      if (node.invert) {
+        return false;
+      }
+      return MayContainStrings(node.ClassSetExpression);
+    case 'CharacterClassEscape':
+      if (node.value === 'p' && node.UnicodePropertyValueExpression.LoneUnicodePropertyNameOrValue) {
+        return node.UnicodePropertyValueExpression.LoneUnicodePropertyNameOrValue in BinaryUnicodePropertiesOfStrings;
+      }
+      return false;
+    case 'ClassStringDisjunction':
+      return node.ClassStrings.some((ClassString) => ClassString.length !== 1);
+    default:
+      return false;
+  }
+}
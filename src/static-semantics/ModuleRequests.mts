@@ -1,5 +1,6 @@
 // @ts-nocheck
-import { StringValue } from './all.mjs';
+import { ModuleRequestsEqual } from '../abstract-ops/all.mjs';
+import { StringValue, WithClauseToAttributes } from './all.mjs';
 
 export function ModuleRequests(node) {
   switch (node.type) {
@@ -9,25 +10,58 @@ export function ModuleRequests(node) {
       }
       return [];
     case 'ModuleBody': {
-      const moduleNames = [];
+      // 1. Let requests be ModuleRequests of ModuleItemList.
+      const requests = [];
       for (const item of node.ModuleItemList) {
-        moduleNames.push(...ModuleRequests(item));
+        // 2. Let additionalRequests be ModuleRequests of ModuleItem.
+        const additionalRequests = ModuleRequests(item);
+        // 3. For each ModuleRequest Record mr of additionalRequests, do
+        for (const mr of additionalRequests) {
+          // a. Let found be false.
+          // b. For each ModuleRequest Record mr2 of requests, do
+          //   i. If ModuleRequestsEqual(mr, mr2) is true and mr.[[Phase]] is mr2.[[Phase]], then
+          //     1. Set found to true.
+          const found = requests.some((mr2) => ModuleRequestsEqual(mr, mr2) && mr.Phase === mr2.Phase);
+          // c. If found is false, append mr to requests.
+          if (!found) {
+            requests.push(mr);
+          }
+        }
       }
-      return moduleNames;
+      // 4. Return requests.
+      return requests;
     }
     case 'ImportDeclaration':
-      if (node.FromClause) {
-        return ModuleRequests(node.FromClause);
-      }
-      return [StringValue(node.ModuleSpecifier)];
+      // 1. Let specifier be the SV of FromClause (or ModuleSpecifier).
+      // 2. Let attributes be WithClauseToAttributes of WithClause.
+      // 3. If ImportDeclaration is `import` `defer` NameSpaceImport FromClause WithClause? `;`, let phase be defer.
+      // 4. Else if ImportDeclaration is `import` `source` ImportedBinding FromClause WithClause? `;`, let phase be source.
+      // 5. Else, let phase be evaluation.
+      // 6. Return a List whose sole element is the ModuleRequest Record { [[Specifier]]: specifier, [[Attributes]]: attributes, [[Phase]]: phase }.
+      return [{
+        Specifier: ModuleSpecifierValue(node.FromClause || node.ModuleSpecifier),
+        Attributes: node.WithClause ? WithClauseToAttributes(node.WithClause) : [],
+        Phase: node.Phase || 'evaluation',
+      }];
     case 'ExportDeclaration':
       if (node.FromClause) {
-        return ModuleRequests(node.FromClause);
+        return [{
+          Specifier: ModuleSpecifierValue(node.FromClause),
+          Attributes: node.WithClause ? WithClauseToAttributes(node.WithClause) : [],
+          Phase: 'evaluation',
+        }];
       }
       return [];
-    case 'StringLiteral':
-      return [StringValue(node)];
     default:
       return [];
   }
 }
+
+// A FromClause that names a module declaration requests the ModuleDeclaration
+// Parse Node, which is resolved to a Module Record while loading.
+function ModuleSpecifierValue(node) {
+  if (node.type === 'IdentifierReference') {
+    return node.ModuleDeclaration;
+  }
+  return StringValue(node);
+}
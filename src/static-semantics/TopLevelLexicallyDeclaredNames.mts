@@ -11,6 +11,7 @@ export function TopLevelLexicallyDeclaredNames(node) {
   }
   switch (node.type) {
     case 'ClassDeclaration':
+    case 'ModuleDeclaration':
     case 'LexicalDeclaration':
       return BoundNames(node);
     default:
@@ -9,6 +9,7 @@ export function TopLevelLexicallyScopedDeclarations(node) {
   }
   switch (node.type) {
     case 'ClassDeclaration':
+    case 'ModuleDeclaration':
     case 'LexicalDeclaration':
       return [node];
     default:
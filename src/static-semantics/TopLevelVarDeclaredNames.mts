@@ -11,6 +11,7 @@ export function TopLevelVarDeclaredNames(node) {
   }
   switch (node.type) {
     case 'ClassDeclaration':
+    case 'ModuleDeclaration':
     case 'LexicalDeclaration':
       return [];
     case 'FunctionDeclaration':
@@ -18,6 +19,8 @@ export function TopLevelVarDeclaredNames(node) {
     case 'AsyncFunctionDeclaration':
     case 'AsyncGeneratorDeclaration':
       return BoundNames(node);
+    case 'LabelledStatement':
+      return TopLevelVarDeclaredNames(node.LabelledItem);
     default:
       return VarDeclaredNames(node);
   }
@@ -11,6 +11,7 @@ export function TopLevelVarScopedDeclarations(node) {
   }
   switch (node.type) {
     case 'ClassDeclaration':
+    case 'ModuleDeclaration':
     case 'LexicalDeclaration':
       return [];
     case 'FunctionDeclaration':
@@ -18,6 +19,8 @@ export function TopLevelVarScopedDeclarations(node) {
     case 'AsyncFunctionDeclaration':
     case 'AsyncGeneratorDeclaration':
       return [DeclarationPart(node)];
+    case 'LabelledStatement':
+      return TopLevelVarScopedDeclarations(node.LabelledItem);
     default:
       return VarScopedDeclarations(node);
   }
@@ -88,14 +88,26 @@ export function VarDeclaredNames(node) {
       }
       return [];
     case 'ScriptBody':
-      return TopLevelVarDeclaredNames(node.StatementList);
+      return [
+        ...TopLevelVarDeclaredNames(node.StatementList),
+        ...BoundNames(node.DoExpressionVarScopedDeclarations || []),
+      ];
     case 'FunctionBody':
     case 'GeneratorBody':
     case 'AsyncFunctionBody':
     case 'AsyncGeneratorBody':
-      return TopLevelVarDeclaredNames(node.FunctionStatementList);
+      return [
+        ...TopLevelVarDeclaredNames(node.FunctionStatementList),
+        ...BoundNames(node.DoExpressionVarScopedDeclarations || []),
+      ];
     case 'ClassStaticBlockBody':
-      return TopLevelVarDeclaredNames(node.ClassStaticBlockStatementList);
+      return [
+        ...TopLevelVarDeclaredNames(node.ClassStaticBlockStatementList),
+        ...BoundNames(node.DoExpressionVarScopedDeclarations || []),
+      ];
+    case 'ConciseBody':
+    case 'AsyncConciseBody':
+      return BoundNames(node.DoExpressionVarScopedDeclarations || []);
     case 'ExportDeclaration':
       if (node.VariableStatement) {
         return BoundNames(node);
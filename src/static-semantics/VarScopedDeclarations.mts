@@ -93,21 +93,36 @@ export function VarScopedDeclarations(node) {
       }
       return [];
     case 'ScriptBody':
-      return TopLevelVarScopedDeclarations(node.StatementList);
+      return [
+        ...TopLevelVarScopedDeclarations(node.StatementList),
+        ...(node.DoExpressionVarScopedDeclarations || []),
+      ];
     case 'Module':
       if (node.ModuleBody) {
         return VarScopedDeclarations(node.ModuleBody);
       }
       return [];
     case 'ModuleBody':
-      return VarScopedDeclarations(node.ModuleItemList);
+      return [
+        ...VarScopedDeclarations(node.ModuleItemList),
+        ...(node.DoExpressionVarScopedDeclarations || []),
+      ];
     case 'FunctionBody':
     case 'GeneratorBody':
     case 'AsyncFunctionBody':
     case 'AsyncGeneratorBody':
-      return TopLevelVarScopedDeclarations(node.FunctionStatementList);
+      return [
+        ...TopLevelVarScopedDeclarations(node.FunctionStatementList),
+        ...(node.DoExpressionVarScopedDeclarations || []),
+      ];
     case 'ClassStaticBlockBody':
-      return TopLevelVarScopedDeclarations(node.ClassStaticBlockStatementList);
+      return [
+        ...TopLevelVarScopedDeclarations(node.ClassStaticBlockStatementList),
+        ...(node.DoExpressionVarScopedDeclarations || []),
+      ];
+    case 'ConciseBody':
+    case 'AsyncConciseBody':
+      return node.DoExpressionVarScopedDeclarations || [];
     default:
       return [];
   }
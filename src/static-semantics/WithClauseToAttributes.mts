@@ -0,0 +1,24 @@
+// @ts-nocheck
+import { StringValue } from './all.mjs';
+
+/** https://tc39.es/ecma262/#sec-withclausetoattributes */
+//   WithClause :
+//     `with` `{` `}`
+//     `with` `{` WithEntries `,`? `}`
+export function WithClauseToAttributes(WithClause) {
+  // 1. Let attributes be a new empty List.
+  const attributes = [];
+  // 2. For each WithEntries entry of WithClause, do
+  for (const entry of WithClause.WithEntries) {
+    // a. Let key be the PropName of AttributeKey.
+    const key = StringValue(entry.AttributeKey);
+    // b. Let entry be the ImportAttribute Record { [[Key]]: key, [[Value]]: SV of StringLiteral }.
+    // c. Append entry to attributes.
+    attributes.push({ Key: key, Value: StringValue(entry.StringLiteral) });
+  }
+  // 3. Sort attributes according to the lexicographic order of their [[Key]] field, treating the value of each such field as a sequence of UTF-16 code unit values.
+  //    NOTE: This sorting is observable only in that hosts are prohibited from changing behaviour based on the order in which attributes are enumerated.
+  attributes.sort((a, b) => (a.Key.stringValue() < b.Key.stringValue() ? -1 : 1));
+  // 4. Return attributes.
+  return attributes;
+}
@@ -9,6 +9,7 @@ export * from './IsAnonymousFunctionDefinition.mjs';
 export * from './IsFunctionDefinition.mjs';
 export * from './HasName.mjs';
 export * from './IsIdentifierRef.mjs';
+export * from './AssignmentTargetType.mjs';
 export * from './LexicallyDeclaredNames.mjs';
 export * from './TopLevelLexicallyDeclaredNames.mjs';
 export * from './BoundNames.mjs';
@@ -19,16 +20,19 @@ export * from './TopLevelVarScopedDeclarations.mjs';
 export * from './DeclarationPart.mjs';
 export * from './LexicallyScopedDeclarations.mjs';
 export * from './TopLevelLexicallyScopedDeclarations.mjs';
+export * from './BlockFunctionDeclarations.mjs';
 export * from './IsConstantDeclaration.mjs';
 export * from './IsInTailPosition.mjs';
 export * from './ExpectedArgumentCount.mjs';
 export * from './HasInitializer.mjs';
 export * from './IsSimpleParameterList.mjs';
 export * from './ContainsExpression.mjs';
+export * from './EndsInIterationOrDeclaration.mjs';
 export * from './IsStrict.mjs';
 export * from './BodyText.mjs';
 export * from './FlagText.mjs';
 export * from './ModuleRequests.mjs';
+export * from './WithClauseToAttributes.mjs';
 export * from './ImportEntries.mjs';
 export * from './ExportEntries.mjs';
 export * from './ImportedLocalNames.mjs';
@@ -37,6 +41,7 @@ export * from './TemplateStrings.mjs';
 export * from './ImportEntriesForModule.mjs';
 export * from './ExportEntriesForModule.mjs';
 export * from './CharacterValue.mjs';
+export * from './MayContainStrings.mjs';
 export * from './UTF16SurrogatePairToCodePoint.mjs';
 export * from './CodePointAt.mjs';
 export * from './StringToCodePoints.mjs';
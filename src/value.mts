@@ -126,7 +126,10 @@ export class SymbolValue extends PrimitiveValue {
 }
 
 export const wellKnownSymbols = {
+  asyncDispose: new SymbolValue(new StringValue('Symbol.asyncDispose')),
   asyncIterator: new SymbolValue(new StringValue('Symbol.asyncIterator')),
+  customMatcher: new SymbolValue(new StringValue('Symbol.customMatcher')),
+  dispose: new SymbolValue(new StringValue('Symbol.dispose')),
   hasInstance: new SymbolValue(new StringValue('Symbol.hasInstance')),
   isConcatSpreadable: new SymbolValue(new StringValue('Symbol.isConcatSpreadable')),
   iterator: new SymbolValue(new StringValue('Symbol.iterator')),
@@ -565,6 +568,24 @@ export class BigIntValue extends PrimitiveValue {
   static readonly unit = new BigIntValue(1n);
 }
 
+/** https://tc39.es/proposal-record-tuple/#sec-ecmascript-language-types-record-type */
+export class RecordValue extends PrimitiveValue {
+  readonly Fields: readonly { readonly Key: StringValue, readonly Value: Value }[];
+  constructor(Fields: { Key: StringValue, Value: Value }[]) {
+    super();
+    this.Fields = Object.freeze(Fields.map((field) => Object.freeze({ ...field })));
+  }
+}
+
+/** https://tc39.es/proposal-record-tuple/#sec-ecmascript-language-types-tuple-type */
+export class TupleValue extends PrimitiveValue {
+  readonly Sequence: readonly Value[];
+  constructor(Sequence: Value[]) {
+    super();
+    this.Sequence = Object.freeze([...Sequence]);
+  }
+}
+
 /*
 /** https://tc39.es/ecma262/#sec-binaryand */
 // function BinaryAnd(x, y) {
@@ -861,6 +882,14 @@ export function Type(val: Value) {
     return 'Symbol';
   }
 
+  if (val instanceof RecordValue) {
+    return 'Record';
+  }
+
+  if (val instanceof TupleValue) {
+    return 'Tuple';
+  }
+
   if (val instanceof ObjectValue) {
     return 'Object';
   }
@@ -10,12 +10,39 @@ const {
   Get,
   CreateArrayFromList,
   CreateDataProperty,
+  Throw,
+  inspect,
 } = require('..');
 const test262realm = require('../bin/test262_realm');
 const { total, pass, fail } = require('./base');
 
 // Features that cannot be tested by test262 should go here.
 
+// Evaluates `source` as a script in a fresh realm with the given feature flags
+// and passes the completion to `check`, inside the realm's scope.
+function evaluateWithFeatures(features, source, check) {
+  const agent = new Agent({ features });
+  setSurroundingAgent(agent);
+  const realm = new ManagedRealm();
+  realm.scope(() => {
+    check(realm.evaluateScript(source));
+  });
+}
+
+function assertEvaluates(features, source, expected) {
+  evaluateWithFeatures(features, source, (result) => {
+    assert.strictEqual(result.Type, 'normal', `${source}\n${result.Type === 'throw' ? inspect(result.Value) : ''}`);
+    assert.strictEqual(inspect(result.Value), expected, source);
+  });
+}
+
+function assertSyntaxError(features, source) {
+  evaluateWithFeatures(features, source, (result) => {
+    assert.strictEqual(result.Type, 'throw', `${source} should not evaluate`);
+    assert.match(inspect(result.Value), /^SyntaxError: /m, source);
+  });
+}
+
 [
   () => {
     const agent = new Agent();
@@ -282,6 +309,476 @@ Error: owo
     }
     assert(!varNames.has('deleteMe'), "`realm.[[GlobalEnv]].[[VarNames]]` shouldn't have 'deleteMe'.");
   },
+  () => {
+    const agent = new Agent();
+    setSurroundingAgent(agent);
+    const realm = new ManagedRealm();
+    realm.scope(() => {
+      const result = realm.evaluateScript('Object.groupBy([1, 2, 3], (x) => (x % 2 ? "odd" : "even"))');
+      assert.strictEqual(inspect(result.Value), '[Object: null prototype] { odd: [1, 3], even: [2] }');
+    });
+  },
+  () => {
+    assertEvaluates(['decorators'], `
+      const order = [];
+      function logged(name) {
+        order.push('eval ' + name);
+        return (value, context) => {
+          order.push('apply ' + name + ' ' + context.kind + ' ' + String(context.name));
+          context.addInitializer(function () { order.push('init ' + name); });
+        };
+      }
+      @logged('class')
+      class C {
+        @logged('a') @logged('b') method() {}
+        @logged('f') field = 1;
+        @logged('s') static sm() {}
+      }
+      new C();
+      order.join();
+    `, "'eval class,eval a,eval b,eval f,eval s,apply s method sm,apply b method method,apply a method method,apply f field field,apply class class C,init s,init class,init b,init a,init f'");
+  },
+  () => {
+    assertEvaluates(['decorators'], `
+      let access;
+      class D {
+        @((v, context) => { access = context.access; }) #x = 5;
+        static read(d) { return d.#x; }
+      }
+      const d = new D();
+      const before = access.get(d);
+      access.set(d, 7);
+      [before, D.read(d), access.has(d), access.has({}), 'get' in access, 'set' in access].join();
+    `, "'5,7,true,false,true,true'");
+  },
+  () => {
+    assertEvaluates(['decorators'], `
+      let late;
+      class E {
+        @((v, context) => { late = context.addInitializer; }) m() {}
+      }
+      try {
+        late(() => {});
+      } catch (e) {
+        e.constructor.name;
+      }
+    `, "'TypeError'");
+  },
+  () => {
+    assertSyntaxError(['decorators'], 'class A { @x constructor() {} }');
+    assertSyntaxError(['decorators'], 'class A { @x @y constructor() {} }');
+    assertSyntaxError([], 'class A { @x m() {} }');
+    assertEvaluates(['decorators'], 'class A { @((v) => v) static constructor() {} }; typeof A.constructor', "'function'");
+  },
+  () => {
+    const calls = [];
+    const agent = new Agent({
+      loadImportedModule(referrer, specifier, hostDefined, finish, request) {
+        calls.push([typeof specifier === 'string' ? specifier : typeof specifier, typeof finish, request.attributes.get('type'), request.phase]);
+        finish(referrer.Realm.createJSONModule(specifier, '{ "answer": 42 }'));
+      },
+    });
+    setSurroundingAgent(agent);
+    const realm = new ManagedRealm();
+    realm.scope(() => {
+      const module = realm.createSourceTextModule('test.mjs', `
+        import data from './data.json' with { type: 'json' };
+        globalThis.result = data.answer;
+      `);
+      module.LoadRequestedModules();
+      module.Link();
+      module.Evaluate();
+      const result = Get(realm.GlobalObject, Value('result'));
+      assert.strictEqual(result.Value.numberValue(), 42);
+    });
+    assert.deepStrictEqual(calls, [['./data.json', 'function', 'json', 'evaluation']]);
+  },
+  () => {
+    const calls = [];
+    const agent = new Agent({
+      features: ['module-declarations', 'module-expressions'],
+      loadImportedModule(referrer, specifier, hostDefined, finish) {
+        calls.push(specifier);
+        finish(referrer.Realm.createSourceTextModule(specifier, 'export default 3;'));
+      },
+    });
+    setSurroundingAgent(agent);
+    const realm = new ManagedRealm();
+    realm.scope(() => {
+      const module = realm.createSourceTextModule('test.mjs', `
+        import three from './three.mjs';
+        module m { export const x = 1; }
+        import { x } from m;
+        const n = module { export default 2; };
+        globalThis.result = import(n).then((ns) => [x, ns.default, three].join());
+      `);
+      module.LoadRequestedModules();
+      module.Link();
+      module.Evaluate();
+      const result = Get(realm.GlobalObject, Value('result'));
+      assert.strictEqual(result.Value.PromiseResult.stringValue(), '1,2,3');
+    });
+    assert.deepStrictEqual(calls, ['./three.mjs']);
+  },
+  () => {
+    const calls = [];
+    const agent = new Agent({
+      features: ['module-declarations', 'module-expressions'],
+      loadInlineModule(referrer, moduleRecord, hostDefined, finish) {
+        calls.push(moduleRecord.HostDefined === referrer.HostDefined);
+        if (calls.length === 1) {
+          finish(moduleRecord);
+        } else {
+          finish(Throw('TypeError', 'Raw', 'blocked'));
+        }
+      },
+    });
+    setSurroundingAgent(agent);
+    const realm = new ManagedRealm();
+    realm.scope(() => {
+      const module = realm.createSourceTextModule('test.mjs', `
+        module m { export const x = 1; }
+        import { x } from m;
+        globalThis.result = import(module { export default 2; }).then(() => 'no error', (e) => \`\${x} \${e.message}\`);
+      `);
+      module.LoadRequestedModules();
+      module.Link();
+      module.Evaluate();
+      const result = Get(realm.GlobalObject, Value('result'));
+      assert.strictEqual(result.Value.PromiseResult.stringValue(), '1 blocked');
+    });
+    assert.deepStrictEqual(calls, [true, true]);
+  },
+  () => {
+    let sourceObject;
+    const agent = new Agent({
+      features: ['source-phase-imports'],
+      loadImportedModule(referrer, specifier, hostDefined, finish) {
+        finish(sourceObject);
+      },
+    });
+    setSurroundingAgent(agent);
+    const realms = [new ManagedRealm(), new ManagedRealm()];
+    realms[0].scope(() => {
+      sourceObject = realms[0].evaluateScript('({})').Value;
+    });
+    realms.forEach((realm) => {
+      realm.scope(() => {
+        const result = realm.evaluateScript(`
+          Promise.all([import.source('./a.wasm'), import.source('./b.wasm')])
+            .then(([a, b]) => a === b)
+            .then((same) => import('./a.wasm').then(() => 'no error', (e) => \`\${same} \${e.constructor.name}: \${e.message}\`));
+        `);
+        assert.strictEqual(result.Value.PromiseResult.stringValue(), 'true TypeError: Module source objects can only be loaded by source phase imports');
+        assert.strictEqual(realm.ModuleSourceMap.length, 1);
+        assert.strictEqual(realm.ModuleSourceMap[0].Module.Realm, realm);
+      });
+    });
+  },
+  () => {
+    assertEvaluates(['hack-pipeline'], '1 |> % + 1 |> % * 2', '4');
+    assertEvaluates(['hack-pipeline'], '[1, 2, 3] |> %.length', '3');
+    assertEvaluates(['hack-pipeline'], '2 |> % * %', '4');
+    assertEvaluates(['hack-pipeline'], '1 |> (() => %)()', '1');
+    assertEvaluates(['hack-pipeline'], '1 |> (%, 2)', '2');
+    assertEvaluates(['hack-pipeline'], "'a' |> [%, % + 'b'] |> %.join()", "'a,ab'");
+    assertSyntaxError(['hack-pipeline'], '1 |> 2');
+    assertSyntaxError(['hack-pipeline'], '% + 1');
+    assertSyntaxError(['hack-pipeline'], '1 |> (x) => %');
+    assertSyntaxError(['hack-pipeline'], 'let x; 1 |> x = %');
+    assertSyntaxError(['hack-pipeline'], '1 |> % ? 1 : 2');
+    assertSyntaxError([], '1 |> %');
+  },
+  () => {
+    assertEvaluates(['do-expressions'], '(do { 1; 2 })', '2');
+    assertEvaluates(['do-expressions'], '(do { if (true) { 3 } else { 4 } }) + 0', '3');
+    assertEvaluates(['do-expressions'], 'let x = do { if (false) { 3 } }; x', 'undefined');
+    assertEvaluates(['do-expressions'], 'let x = do { try { throw 1 } catch (e) { e + 1 } }; x', '2');
+    assertEvaluates(['do-expressions'], 'let x = do { try { 1 } finally { 2 } }; x', '1');
+    assertEvaluates(['do-expressions'], 'let x = do { switch (1) { case 1: 5 } }; x', '5');
+    assertEvaluates(['do-expressions'], 'let x = do { var v = 5; v }; [x, v].join()', "'5,5'");
+    assertEvaluates(['do-expressions'], 'let y = 1; let x = do { let y = 2; y }; [x, y].join()', "'2,1'");
+    assertEvaluates(['do-expressions'], '(do {})', 'undefined');
+    assertEvaluates(['do-expressions'], '(function () { return do { if (true) { return 7 } 8 } })()', '7');
+    assertEvaluates(['do-expressions'], 'do { 1 } while (false)', '1');
+    assertSyntaxError(['do-expressions'], '(do { for (;;) { break } })');
+    assertSyntaxError(['do-expressions'], '(do { function f() {} })');
+    assertSyntaxError(['do-expressions'], '(do { let x = 1; })');
+    assertSyntaxError(['do-expressions'], '(do { return 1 })');
+    assertSyntaxError(['do-expressions'], 'while (true) { (do { continue; }) }');
+    assertSyntaxError([], '(do { 1 })');
+  },
+  () => {
+    assertEvaluates(['throw-expressions'], 'try { (() => throw 1)() } catch (e) { e + 1 }', '2');
+    assertEvaluates(['throw-expressions'], 'true ? 1 : throw 2', '1');
+    assertEvaluates(['throw-expressions'], 'try { false ? 1 : throw 2 } catch (e) { e }', '2');
+    assertEvaluates(['throw-expressions'], 'function f(x = throw new TypeError()) {} try { f() } catch (e) { e.name }', "'TypeError'");
+    assertEvaluates(['throw-expressions'], 'try { 0 || throw 3 } catch (e) { e }', '3');
+    assertEvaluates(['throw-expressions'], 'try { null ?? throw 4 } catch (e) { e }', '4');
+    assertEvaluates(['throw-expressions'], 'try { (throw 5) ?? 1 } catch (e) { e }', '5');
+    assertEvaluates(['throw-expressions'], 'let x; try { x = throw 6 } catch (e) { e }', '6');
+    assertEvaluates(['throw-expressions'], 'try { throw 1 + 2 ? 3 : 4 } catch (e) { e }', '3');
+    assertSyntaxError(['throw-expressions'], 'x = throw a ? b : c');
+    assertSyntaxError(['throw-expressions'], 'a ?? throw b ?? c');
+    assertSyntaxError(['throw-expressions'], 'a || throw b + c');
+    assertSyntaxError(['throw-expressions'], '(x) => throw x, 1');
+    assertSyntaxError([], '(() => throw 1)');
+  },
+  () => {
+    assertEvaluates(['pattern-matching'], 'match (5) { when < 3: "small"; when >= 3 and < 10: "medium"; default: "large" }', "'medium'");
+    assertEvaluates(['pattern-matching'], 'match ("b") { when "a" or "b": 1; default: 2 }', '1');
+    assertEvaluates(['pattern-matching'], 'match (1) { when not 1: 1; default: 2 }', '2');
+    assertEvaluates(['pattern-matching'], 'match (NaN) { when NaN: 1; default: 2 }', '1');
+    assertEvaluates(['pattern-matching'], 'match (-0) { when 0: 1; default: 2 }', '1');
+    assertEvaluates(['pattern-matching'], 'match ({ x: 1, y: 2 }) { when { x: 1, ...let rest }: rest.y; default: 0 }', '2');
+    assertEvaluates(['pattern-matching'], 'match ([1, 2, 3]) { when [1, 2]: 1; when [1, ...let rest]: rest.length; default: 0 }', '2');
+    assertEvaluates(['pattern-matching'], 'match ("abc-1") { when /([a-z]+)-(\\d)/(let all, let w, let n): w + n; default: 0 }', "'abc1'");
+    assertEvaluates(['pattern-matching'], 'match (4) { when if (4 % 2 === 0): "even"; default: "odd" }', "'even'");
+    assertEvaluates(['pattern-matching'], 'const o = { [Symbol.customMatcher]() { return 1; } }; try { match (1) { when o(let a): a; default: 0 } } catch (e) { e.name }', "'TypeError'");
+    assertEvaluates(['pattern-matching'], 'try { match (3) { when 1: 1 } } catch (e) { e.name }', "'TypeError'");
+    assertSyntaxError(['pattern-matching'], 'match (1) { default: 1; when 1: 2 }');
+    assertSyntaxError(['pattern-matching'], 'match (1) { when 1 and 2 or 3: 1 }');
+    assertSyntaxError(['pattern-matching'], 'match (1) { when let a and let a: 1 }');
+  },
+  () => {
+    assertEvaluates(['pattern-matching'], 'match ("abc") { when Number: 1; when String(let s): s; default: 0 }', "'abc'");
+    assertEvaluates(['pattern-matching'], 'match (new String("abc")) { when String(let s): typeof s; default: 0 }', "'string'");
+    assertEvaluates(['pattern-matching'], 'match (1) { when String: 1; when Number(let n): n + 1; default: 0 }', '2');
+    assertEvaluates(['pattern-matching'], 'match (new Boolean(false)) { when Boolean(let b): b; default: 0 }', 'false');
+    assertEvaluates(['pattern-matching'], 'match (1n) { when Number: 1; when BigInt: 2; default: 0 }', '2');
+    assertEvaluates(['pattern-matching'], 'match (Symbol.iterator) { when Symbol(let s): s.description; default: 0 }', "'Symbol.iterator'");
+    assertEvaluates(['pattern-matching'], 'match ([1, 2]) { when Array([let a, let b]): a * 10 + b; default: 0 }', '12');
+    assertEvaluates(['pattern-matching'], 'match ({ length: 0 }) { when Array: 1; default: 0 }', '0');
+    assertEvaluates(['pattern-matching'], 'Array[Symbol.customMatcher](new Proxy([], {}), "boolean")', 'true');
+    assertEvaluates(['pattern-matching'], 'class A {} match (new A()) { when Map: 1; when A(let a): a instanceof A; default: 0 }', 'true');
+    assertEvaluates(['pattern-matching'], 'match (new TypeError()) { when RangeError: 1; when TypeError: 2; default: 0 }', '2');
+    assertEvaluates(['pattern-matching'], 'try { Function.prototype[Symbol.customMatcher].call({}, 1) } catch (e) { e.name }', "'TypeError'");
+    assertEvaluates([], 'typeof String[Symbol.customMatcher]', "'undefined'");
+  },
+  () => {
+    assertEvaluates(['record-tuple'], '#{ ...{ b: 1 }, a: #[2, "x"] }', "#{ a: #[2, 'x'], b: 1 }");
+    assertEvaluates(['record-tuple'], '#[]', '#[]');
+    assertEvaluates(['record-tuple'], '[typeof #{}, typeof #[]].join()', "'record,tuple'");
+    assertEvaluates(['record-tuple'], '#{ a: 1, b: 2 } === #{ b: 2, a: 1 }', 'true');
+    assertEvaluates(['record-tuple'], '#[+0] === #[-0]', 'true');
+    assertEvaluates(['record-tuple'], '#[NaN] === #[NaN]', 'true');
+    assertEvaluates(['record-tuple'], 'Object.is(#[+0], #[-0])', 'false');
+    assertEvaluates(['record-tuple'], 'Object.is(#{ a: NaN }, #{ a: NaN })', 'true');
+    assertEvaluates(['record-tuple'], 'try { #{ a: {} } } catch (e) { e.name }', "'TypeError'");
+    assertEvaluates(['record-tuple'], 'JSON.stringify(#{ z: #[1, "x", #{}], a: null })', String.raw`'{\"a\":null,\"z\":[1,\"x\",{}]}'`);
+    assertEvaluates(['record-tuple'], 'JSON.stringify({ t: #[1, #[2]] })', String.raw`'{\"t\":[1,[2]]}'`);
+    assertEvaluates(['record-tuple'], 'JSON.stringify(#{ a: 1 }, (k, v) => (k === "a" ? v + 1 : v))', String.raw`'{\"a\":2}'`);
+    assertSyntaxError(['record-tuple'], '#[1, , 2]');
+    assertSyntaxError(['record-tuple'], '#{ f() {} }');
+    assertSyntaxError(['record-tuple'], '#{ get a() { return 1; } }');
+    assertSyntaxError(['record-tuple'], '#{ __proto__: 1 }');
+    assertSyntaxError(['record-tuple'], '#{ "__proto__": 1 }');
+    assertSyntaxError([], '#[1]');
+  },
+  () => {
+    assertEvaluates(['annex-b'], String.raw`/\w{/.test('a{') && /]/.test(']') && /a}/.test('a}') && /a{,5}/.test('a{,5}')`, 'true');
+    assertEvaluates(['annex-b'], String.raw`/\c/.test('\\c') && /\c1/.test('\\c1') && /\cA/.test('\x01')`, 'true');
+    assertEvaluates(['annex-b'], String.raw`/[\c1]/.test('\x11') && /[\c_]/.test('\x1f') && /^[\c*]+$/.test('\\c*')`, 'true');
+    assertEvaluates(['annex-b'], String.raw`['-', 'z', '5', 'm'].map((c) => /[\d-z]/.test(c)).join()`, "'true,true,true,false'");
+    assertEvaluates(['annex-b'], String.raw`/(a)\1/.test('aa') && /(a)\2/.test('a\x02') && /\1(a)/.test('a')`, 'true');
+    assertEvaluates(['annex-b'], String.raw`/\1/.test('\x01') && /\10/.test('\x08') && /\377/.test('\xff') && /\400/.test(' 0') && /\8/.test('8')`, 'true');
+    assertEvaluates(['annex-b'], String.raw`/[\1-\3]/.test('\x02')`, 'true');
+    assertEvaluates(['annex-b'], String.raw`/\k<a>/.test('k<a>') && /(?<a>.)\k<a>/.test('xx')`, 'true');
+    assertEvaluates(['annex-b'], String.raw`/.(?=Z)*/.exec('abc')[0] + /(?!a){2}b/.exec('b')[0]`, "'ab'");
+    assertEvaluates(['annex-b'], String.raw`/(?=(a))?b/.exec('ab').length`, '2');
+    assertEvaluates(['annex-b'], String.raw`new RegExp('[\\d-z]').test('-')`, 'true');
+    assertSyntaxError(['annex-b'], '/{1}/');
+    assertSyntaxError(['annex-b'], '/a{2,1}/');
+    assertSyntaxError(['annex-b'], '/(?<=a)*/');
+    assertSyntaxError(['annex-b'], String.raw`/(?<a>.)\k/`);
+    assertSyntaxError(['annex-b'], String.raw`/[\d-z]/u`);
+    assertSyntaxError(['annex-b'], String.raw`/\c/u`);
+    assertSyntaxError(['annex-b'], '/]/u');
+    assertSyntaxError([], '/]/');
+    assertSyntaxError([], String.raw`/\1/`);
+    assertSyntaxError([], String.raw`/[\d-z]/`);
+  },
+  () => {
+    assertEvaluates(['annex-b'], '-->comment\n1', '1');
+    assertEvaluates(['annex-b'], '/* a */ --> b\n1', '1');
+    assertEvaluates(['annex-b'], `
+      const log = [];
+      for (var k = (log.push('init'), 'x') in (log.push('object'), { a: 1 })) {
+        log.push(k);
+      }
+      log.join();
+    `, "'init,object,a'");
+    assertEvaluates(['annex-b'], 'for (var k = 1 in {}); k', '1');
+    assertEvaluates(['annex-b'], 'for (var f = function() {} in {}); f.name', "'f'");
+    assertEvaluates(['annex-b'], `
+      let calls = 0;
+      function f() {
+        calls += 1;
+      }
+      [() => { f() = calls += 10; }, () => { f() += 1; }, () => { f()++; }, () => { --(f()); }, () => { for (f() in { a: 1 }); }].map((t) => {
+        try {
+          t();
+        } catch (e) {
+          return \`\${e.constructor.name}:\${calls}\`;
+        }
+      }).join();
+    `, "'ReferenceError:1,ReferenceError:2,ReferenceError:3,ReferenceError:4,ReferenceError:5'");
+    assertEvaluates(['annex-b'], `
+      let closed = false;
+      const iterable = {
+        [Symbol.iterator]() {
+          return { next: () => ({ done: false }), return: () => { closed = true; return {}; } };
+        },
+      };
+      function f() {}
+      for (f() of []);
+      try {
+        for (f() of iterable);
+      } catch (e) {
+        \`\${e.constructor.name} \${closed}\`;
+      }
+    `, "'ReferenceError true'");
+    assertSyntaxError(['annex-b'], 'for (var k = 1 of []);');
+    assertSyntaxError(['annex-b'], 'for (var [k] = [] in {});');
+    assertSyntaxError(['annex-b'], '"use strict"; for (var k = 1 in {});');
+    assertSyntaxError(['annex-b'], '"use strict"; f() = 1;');
+    assertSyntaxError(['annex-b'], 'f() &&= 1;');
+    assertSyntaxError(['annex-b'], '[f()] = [];');
+    assertSyntaxError([], '-->comment');
+    assertSyntaxError([], 'for (var k = 1 in {});');
+    assertSyntaxError([], 'f() = 1;');
+    assertSyntaxError([], 'for (f() in {});');
+  },
+  () => {
+    assertEvaluates(['regexp-x-mode'], String.raw`/a b  c/x.test('abc') && /[ ]/x.test(' ')`, 'true');
+    assertEvaluates(['regexp-x-mode'], String.raw`new RegExp('a # comment\n b', 'x').test('ab')`, 'true');
+    assertEvaluates(['regexp-x-mode'], String.raw`/a\ b/x.test('a b') && !/a\ b/x.test('ab') && /a\#b/x.test('a#b') && /a\ \#b/ux.test('a #b')`, 'true');
+    assertEvaluates(['regexp-x-mode'], "[/a/x.extended, /a/.extended, Object.getOwnPropertyDescriptor(RegExp.prototype, 'extended').get.call(RegExp.prototype)].join()", "'true,false,'");
+    assertEvaluates(['regexp-x-mode'], "new RegExp('a', 'yxvgd').flags", "'dgvxy'");
+    assertEvaluates(['regexp-x-mode'], '/a/dgimsuxy.flags', "'dgimsuxy'");
+    assertSyntaxError(['regexp-x-mode'], '/a/xx');
+    assertSyntaxError([], '/a/x');
+    assertEvaluates([], "try { new RegExp('a', 'x'); } catch (e) { e.name }", "'SyntaxError'");
+    assertEvaluates([], '[RegExp.prototype.extended, /a/.flags].join()', "','");
+    assertSyntaxError([], String.raw`/\ /u`);
+  },
+  () => {
+    assertEvaluates(['regexp-buffer-boundaries'], String.raw`/\Aab/u.test('ab') && !/\Ab/u.test('ab') && !/\Ab/mu.test('a\nb')`, 'true');
+    assertEvaluates(['regexp-buffer-boundaries'], String.raw`/ab\z/u.test('ab') && !/a\z/u.test('ab') && !/a\z/mu.test('a\nb') && !/a\z/u.test('a\n')`, 'true');
+    assertEvaluates(['regexp-buffer-boundaries'], String.raw`/a\Z/u.test('a') && /a\Z/u.test('a\n') && /a\Z/u.test('a\u2028') && !/a\Z/u.test('a\n\n') && !/a\Z/u.test('ab')`, 'true');
+    assertEvaluates(['regexp-buffer-boundaries'], String.raw`'a\nb\n'.match(/b\Z/u).index`, '2');
+    assertEvaluates(['regexp-buffer-boundaries'], String.raw`/\Aa\z/v.test('a')`, 'true');
+    assertSyntaxError(['regexp-buffer-boundaries'], String.raw`/\A/`);
+    assertSyntaxError([], String.raw`/\A/u`);
+    assertSyntaxError([], String.raw`/\z/u`);
+    assertSyntaxError([], String.raw`/\Z/u`);
+  },
+  () => {
+    assertEvaluates(['legacy-regexp'], "/(a)(b)/.exec('xabc'); [RegExp.$1, RegExp.$2, RegExp.$3, RegExp.lastParen, RegExp['$&'], RegExp.leftContext, RegExp.rightContext, RegExp.input].join()", "'a,b,,b,ab,x,c,xabc'");
+    assertEvaluates(['legacy-regexp'], "/a/.exec('a'); RegExp.input = 1; RegExp.$_ + typeof RegExp.$_", "'1string'");
+    assertEvaluates(['legacy-regexp'], `
+      class R extends RegExp {}
+      /a/.exec('a');
+      new R('b').exec('b');
+      ['$1', 'lastMatch', 'input'].map((name) => {
+        try {
+          RegExp[name];
+          return 'no error';
+        } catch (e) {
+          return e.constructor.name;
+        }
+      }).join();
+    `, "'TypeError,TypeError,TypeError'");
+    assertEvaluates(['legacy-regexp'], "class R extends RegExp {} new R('b').exec('b'); /(c)/.exec('c'); RegExp.$1", "'c'");
+    assertEvaluates(['legacy-regexp'], `
+      const { get } = Object.getOwnPropertyDescriptor(RegExp, 'lastMatch');
+      class R extends RegExp {}
+      try {
+        get.call(R);
+      } catch (e) {
+        e.constructor.name;
+      }
+    `, "'TypeError'");
+    assertEvaluates([], "'$1' in RegExp", 'false');
+
+    const agent = test262realm.createAgent({ features: ['legacy-regexp'] });
+    setSurroundingAgent(agent);
+    const { realm } = test262realm.createRealm();
+    realm.scope(() => {
+      const result = realm.evaluateScript(`
+        const other = $262.createRealm().global;
+        /(a)/.exec('a');
+        other.eval("/(o)/.exec('o')");
+        // A regexp allocated in another realm is ignored by this realm's exec.
+        RegExp.prototype.exec.call(new other.RegExp('(x)'), 'x');
+        const before = RegExp.$1 + other.RegExp.$1;
+        // A regexp allocated by another realm's constructor with this realm's
+        // RegExp as newTarget invalidates the other realm's legacy properties.
+        other.RegExp.prototype.exec.call(Reflect.construct(other.RegExp, ['(y)'], RegExp), 'y');
+        let after;
+        try {
+          other.RegExp.$1;
+        } catch (e) {
+          after = e instanceof other.TypeError;
+        }
+        [before, after, RegExp.$1].join();
+      `);
+      assert.strictEqual(result.Type, 'normal', inspect(result.Value));
+      assert.strictEqual(inspect(result.Value), "'ao,true,a'");
+    });
+  },
+  () => {
+    assertEvaluates(['string-dedent'], `
+      const tag = (strings) => strings;
+      const dedentTag = String.dedent(tag);
+      const f = () => dedentTag\`
+        a
+      \`;
+      const g = () => tag\`
+        a
+      \`;
+      [f() === f(), g() === g(), f() !== g(), f()[0], f().raw[0].length].join();
+    `, "'true,true,true,a,1'");
+    assertEvaluates(['string-dedent'], `
+      String.dedent\`
+        a
+          \${1}
+        b
+      \`;
+    `, "'a\\n  1\\nb'");
+    assertEvaluates(['string-dedent'], "String.dedent('\\n    x\\\\n\\n  ')", String.raw`'x\\n'`);
+  },
+  () => {
+    const D = 'const D = (s) => new Decimal128(s);';
+    assertEvaluates(['decimal'], `${D} ['ceil', 'floor', 'trunc', 'halfEven', 'halfExpand'].map((m) => \`\${D('1.25').round(1, m)}/\${D('-1.25').round(1, m)}\`).join()`, "'1.3/-1.2,1.2/-1.3,1.2/-1.2,1.2/-1.2,1.3/-1.3'");
+    assertEvaluates(['decimal'], `${D} [D('1.35').round(1), D('1.45').round(1), D('2.5').round(0), D('3.5').round(0)].join()`, "'1.4,1.4,2,4'");
+    assertEvaluates(['decimal'], `${D} [D('1').divide(D('3')), D('2').divide(D('3')), D('10').divide(D('4'))].join()`, "'0.3333333333333333333333333333333333,0.6666666666666666666666666666666667,2.5'");
+    assertEvaluates(['decimal'], `${D} [D('1').divide(D('0')), D('-1').divide(D('0')), D('0').divide(D('0'))].join()`, "'Infinity,-Infinity,NaN'");
+    assertEvaluates(['decimal'], `${D} [D('7').remainder(D('3')), D('-7').remainder(D('3')), D('7').remainder(D('-3')), D('-7').remainder(D('-3')), D('5.5').remainder(D('2')), D('1').remainder(D('0'))].join()`, "'1,-1,1,-1,1.5,NaN'");
+    assertEvaluates(['decimal'], `${D} [D('1.005').toFixed(2), D('1.015').toFixed(2), D('123.456').toFixed(0), D('0.5').toFixed(0), D('1.5').toFixed(0), D('-0.001').toFixed(2), D('1.5').toFixed(3)].join(' ')`, "'1.00 1.02 123 0 2 -0.00 1.500'");
+    assertEvaluates(['decimal'], `${D} [D('123.456').toPrecision(4), D('123.456').toPrecision(2), D('0.00001234').toPrecision(2), D('9.99').toPrecision(2), D('0').toPrecision(3), D('-1.25').toPrecision(2)].join(' ')`, "'123.5 1.2e+2 0.000012 10 0.00 -1.2'");
+    assertEvaluates(['decimal'], `${D} [() => D('1').round(1, 'up'), () => D('1').toFixed(101), () => D('1').toPrecision(0)].map((f) => { try { f(); } catch (e) { return e.constructor.name; } }).join()`, "'RangeError,RangeError,RangeError'");
+  },
+  () => {
+    assertEvaluates([], `
+      [() => [].values().drop(-1), () => [].values().take(NaN)].map((f) => {
+        try {
+          f();
+        } catch (e) {
+          return \`\${e.constructor.name}: \${e.message}\`;
+        }
+      }).join();
+    `, "'RangeError: -1 is out of range,RangeError: NaN is out of range'");
+    assertEvaluates(['async-iterator-helpers'], `
+      [() => AsyncIterator.from([]).drop(-1), () => AsyncIterator.from([]).take(NaN)].map((f) => {
+        try {
+          f();
+        } catch (e) {
+          return \`\${e.constructor.name}: \${e.message}\`;
+        }
+      }).join();
+    `, "'RangeError: -1 is out of range,RangeError: NaN is out of range'");
+  },
 ].forEach((test, i) => {
   total();
   try {
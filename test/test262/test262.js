@@ -186,7 +186,7 @@ if (!process.send) {
     }
 
     for await (const file of files) {
-      if (/annexB|intl402|_FIXTURE/.test(file)) {
+      if (/intl402|_FIXTURE/.test(file)) {
         continue;
       }
 
@@ -275,6 +275,9 @@ if (!process.send) {
 
   const run = (test) => {
     const features = [];
+    if (test.file.startsWith('annexB')) {
+      features.push('annex-b');
+    }
     if (test.attrs.features) {
       test.attrs.features.forEach((f) => {
         if (featureMap[f]) {